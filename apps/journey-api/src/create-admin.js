@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Create Admin Script
+ * Accounts are invite-only, so the first admin has to be created here.
+ * Prints an invite link (new users) or a password reset link (existing
+ * users, who are promoted to admin).
+ *
+ * Usage: npm run auth:create-admin -- admin@example.com "Admin Name"
+ */
+
+import 'dotenv/config';
+import { PrismaClient } from '@bloom/data';
+import { inviteUser, requestPasswordReset, appLink, UserStatus } from './services/auth-service.js';
+
+const prisma = new PrismaClient();
+
+async function createAdmin() {
+  const [email, name] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: npm run auth:create-admin -- <email> [name]');
+    process.exit(1);
+  }
+
+  try {
+    const existing = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+
+    if (existing && existing.status !== UserStatus.INVITED) {
+      await prisma.user.update({
+        where: { id: existing.id },
+        data: { role: 'admin', status: UserStatus.ACTIVE }
+      });
+      const { resetToken } = await requestPasswordReset(email);
+      console.log(`✅ ${email} is now an admin`);
+      console.log(`🔑 Set a password: ${appLink('/reset-password', { token: resetToken })}`);
+      return;
+    }
+
+    const { inviteToken } = await inviteUser({ email, name, role: 'admin' });
+    console.log(`✅ Invited ${email} as admin`);
+    console.log(`🔑 Accept the invite: ${appLink('/accept-invite', { token: inviteToken })}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createAdmin();
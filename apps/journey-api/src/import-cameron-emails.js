@@ -255,7 +255,8 @@ async function main() {
   console.log('Next step:');
   console.log('  Open each email in the visual editor (Touchpoints -> Edit Visually)');
   console.log('  and click Save to compile the HTML body for client review previews.');
-  console.log(`\n  Review URL: https://bloom-frontend.zeabur.app/journeys/${journey.id}/client-review\n`);
+  const reviewLink = await apiFetch(`/journeys/${journey.id}/review-link`, { method: 'POST', headers: auth });
+  console.log(`\n  Review URL: ${reviewLink.url}\n`);
 }
 
 main().catch((e) => { console.error(e.message); process.exit(1); });
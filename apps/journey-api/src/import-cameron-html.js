@@ -167,7 +167,8 @@ async function main() {
   console.log(`\n${updated} updated, ${skipped} skipped.\n`);
   console.log('The compiled HTML is now stored in touchpoint.content.body');
   console.log('Client review will display this HTML directly (no Unlayer needed).');
-  console.log(`\n  Review URL: https://bloom-frontend.zeabur.app/journeys/${journey.id}/client-review\n`);
+  const reviewLink = await apiFetch(`/journeys/${journey.id}/review-link`, { method: 'POST', headers: auth });
+  console.log(`\n  Review URL: ${reviewLink.url}\n`);
 }
 
 main().catch((e) => { console.error(e.message); process.exit(1); });
@@ -16,7 +16,7 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 import { errorHandler } from './middleware/error-handler.js';
 import { compressionMiddleware } from './middleware/compression.js';
@@ -24,9 +24,19 @@ import { performanceMonitor, performanceReportEndpoint, healthCheckEndpoint } fr
 import { cacheMiddleware, getCacheStats } from './services/cache-service.js';
 import { createRateLimitMiddleware, publicRateLimit, authRateLimit, strictRateLimit, apiKeyRateLimit } from './middleware/rate-limit-middleware.js';
 import { rateLimitService } from './services/rate-limit-service.js';
+import { workflowQueue } from './services/workflow-queue.js';
+import { analyticsRollupWorker } from './services/analytics-rollup.js';
+import { outboundWebhookWorker } from './services/outbound-webhooks.js';
+import { webhookRetryWorker } from './services/webhook-service.js';
+import { abTestBanditWorker } from './services/ab-test-bandit.js';
+import { attachLiveEventSocket } from './services/live-event-socket.js';
+import { requireInternalUser, requireAdmin, reviewLinkRoutes } from './middleware/auth.js';
+import { loadProvidersFromEnv } from './services/oidc-provider.js';
 
 // Route imports
 import { authRouter } from './routes/auth.js';
+import { usersRouter } from './routes/users.js';
+import { auditLogsRouter } from './routes/auditLogs.js';
 import { clientsRouter } from './routes/clients.js';
 import { journeysRouter } from './routes/journeys.js';
 import { touchpointsRouter } from './routes/touchpoints.js';
@@ -38,11 +48,21 @@ import { analyticsRouter } from './routes/analytics.js';
 import { fieldMappingsRouter } from './routes/fieldMappings.js';
 import { clientPortalRouter } from './routes/clientPortal.js';
 import { webhooksRouter } from './routes/webhooks.js';
+import { outboundWebhooksRouter } from './routes/outboundWebhooks.js';
 import { abTestingRouter } from './routes/abTesting.js';
 import { rateLimitAdminRouter } from './routes/rateLimitAdmin.js';
+import { syncConflictsRouter } from './routes/syncConflicts.js';
+import { deployPlansRouter } from './routes/deployPlans.js';
 
 dotenv.config();
 
+// Access tokens cannot be signed or verified without it
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET must be set');
+  process.exit(1);
+}
+loadProvidersFromEnv();
+
 const app = express();
 const prisma = new PrismaClient({
   // Performance: Optimize Prisma connection pool
@@ -104,7 +124,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cache-Control', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cache-Control', 'X-Requested-With', 'Accept', 'Origin', 'X-Review-Token'],
   exposedHeaders: ['Content-Length', 'Content-Type'],
 };
 
@@ -157,6 +177,12 @@ app.use(express.json({
   limit: '10mb',
   // Performance: Skip parsing for specific routes
   type: ['application/json', 'application/vnd.api+json'],
+  // Inbound GHL webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/ghl/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
 }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -245,51 +271,103 @@ const CACHE_CONFIG = {
   HEALTH: { ttl: 60, type: 'health' },        // 1 min
 };
 
+// Internal routers require a signed-in user (see middleware/auth.js).
+// Clients, journeys, touchpoints, templates and workflows authorize each
+// route against the user's client roles; the remaining routers need viewer
+// to read and editor to write. Public endpoints are listed explicitly, and
+// client review links (services/review-links.js) reach only the routes in
+// reviewLinkRoutes.
+const internalAuth = requireInternalUser();
+const perRouteAuth = (options = {}) => requireInternalUser({ read: false, write: false, ...options });
+const adminAuth = requireInternalUser({ read: 'admin', write: 'admin' });
+
 // API routes with selective caching
 app.use('/api/auth', authRouter);
+app.use('/api/users', adminAuth, usersRouter);
+app.use('/api/audit-logs', adminAuth, auditLogsRouter);
 
 // Cache client list but not individual mutations
 app.use('/api/clients', 
+  perRouteAuth(),
   cacheMiddleware(CACHE_CONFIG.CLIENTS.type, null, CACHE_CONFIG.CLIENTS.ttl),
   clientsRouter
 );
 
 // Cache journey reads
 app.use('/api/journeys', 
+  perRouteAuth({ reviewRoutes: reviewLinkRoutes.journeys }),
   cacheMiddleware(CACHE_CONFIG.JOURNEYS.type, (req) => {
-    // Generate cache key based on query params
+    // Generate cache key based on user and query params (results are
+    // scoped to the user's clients, or to a review link's journey)
     if (req.method === 'GET') {
-      return `journey:${req.path}:${JSON.stringify(req.query)}`;
+      const viewer = req.user?.id || `review:${req.reviewLink?.journeyId}`;
+      return `journey:${viewer}:${req.path}:${JSON.stringify(req.query)}`;
     }
     return null; // Don't cache mutations
   }, CACHE_CONFIG.JOURNEYS.ttl),
   journeysRouter
 );
 
-app.use('/api/touchpoints', touchpointsRouter);
+app.use('/api/touchpoints',
+  // Client review links read a journey's touchpoints and save notes
+  perRouteAuth({ reviewRoutes: reviewLinkRoutes.touchpoints }),
+  touchpointsRouter
+);
 app.use('/api/templates', 
+  perRouteAuth(),
   cacheMiddleware(CACHE_CONFIG.TEMPLATES.type, null, CACHE_CONFIG.TEMPLATES.ttl),
   templatesRouter
 );
-app.use('/api/workflows', workflowsRouter);
-app.use('/api/workflow-triggers', workflowTriggersRouter);
+app.use('/api/workflows', perRouteAuth(), workflowsRouter);
+app.use('/api/sync-conflicts', perRouteAuth(), syncConflictsRouter);
+app.use('/api/deploy-plans', perRouteAuth(), deployPlansRouter);
+app.use('/api/workflow-triggers',
+  perRouteAuth({
+    publicRoutes: [{ method: 'POST', path: /^\/webhook\/[^/]+\/?$/ }]
+  }),
+  workflowTriggersRouter
+);
 
-// Search with caching
+// Search with caching (search endpoints are POST but read-only)
 app.use('/api/search', 
+  requireInternalUser({ write: 'viewer' }),
   cacheMiddleware('search', null, 300),
   searchRouter
 );
 
 // Analytics with short cache
 app.use('/api/analytics', 
+  perRouteAuth({
+    // Event ingestion from tracked sites
+    publicRoutes: [{ method: 'POST', path: /^\/events(\/batch)?\/?$/ }]
+  }),
   cacheMiddleware(CACHE_CONFIG.ANALYTICS.type, null, CACHE_CONFIG.ANALYTICS.ttl),
   analyticsRouter
 );
 
+// Field mappings are mounted at /api; their /clients/... paths are
+// authenticated by the /api/clients guard above and authorize per route
+app.use('/api/field-mappings', internalAuth);
 app.use('/api', fieldMappingsRouter);
+
+// Client portal has its own authentication (middleware/client-auth.js)
 app.use('/api/portal', clientPortalRouter);
-app.use('/api/webhooks', webhooksRouter);
-app.use('/api/ab-testing', abTestingRouter);
+
+app.use('/api/webhooks',
+  perRouteAuth({
+    // Inbound GHL webhooks are verified by signature instead
+    publicRoutes: [{ method: 'POST', path: /^\/ghl\/[^/]+\/?$/ }]
+  }),
+  webhooksRouter
+);
+app.use('/api/outbound-webhooks', adminAuth, outboundWebhooksRouter);
+app.use('/api/ab-testing',
+  perRouteAuth({
+    // Variant assignment and conversion tracking from tracked sites
+    publicRoutes: [{ method: 'POST', path: /^\/tests\/[^/]+\/(assign|convert|events)\/?$/ }]
+  }),
+  abTestingRouter
+);
 
 // ============================================
 // RATE LIMIT ADMIN ROUTES
@@ -310,8 +388,7 @@ app.get('/health/rate-limits', async (req, res) => {
 // ============================================
 
 // Clear cache endpoint (admin only)
-app.post('/admin/cache/clear', async (req, res) => {
-  // In production, add proper authentication here
+app.post('/admin/cache/clear', requireAdmin, async (req, res) => {
   const { type } = req.body;
   
   try {
@@ -390,18 +467,31 @@ app.use(errorHandler);
 // SERVER STARTUP
 // ============================================
 
+// Background workers, each started unless its env flag is 'false' (set the
+// flags to 'false' on instances that should only serve HTTP)
+const backgroundWorkers = [
+  // Workflow execution worker
+  { worker: workflowQueue, flag: 'WORKFLOW_WORKER_ENABLED' },
+  // Rolls raw analytics events into the daily metrics tables
+  { worker: analyticsRollupWorker, flag: 'ANALYTICS_ROLLUP_ENABLED' },
+  // Sends and retries outbound webhook deliveries to partner endpoints
+  { worker: outboundWebhookWorker, flag: 'OUTBOUND_WEBHOOKS_ENABLED' },
+  // Retries failed inbound GHL webhook deliveries per each config's retry policy
+  { worker: webhookRetryWorker, flag: 'WEBHOOK_RETRY_ENABLED' },
+  // Reweights traffic of running bandit A/B tests from observed conversions
+  { worker: abTestBanditWorker, flag: 'AB_TEST_BANDIT_ENABLED' }
+];
+
 // Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, closing HTTP server and database connections...');
+const shutdown = (signal) => async () => {
+  console.log(`${signal} received, closing HTTP server and database connections...`);
+  backgroundWorkers.forEach(({ worker }) => worker.stop());
   await prisma.$disconnect();
   process.exit(0);
-});
+};
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, closing HTTP server and database connections...');
-  await prisma.$disconnect();
-  process.exit(0);
-});
+process.on('SIGTERM', shutdown('SIGTERM'));
+process.on('SIGINT', shutdown('SIGINT'));
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
@@ -413,12 +503,21 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Journey API server running on port ${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/health`);
   console.log(`📊 Performance Report: http://localhost:${PORT}/metrics/performance`);
   console.log(`🔌 Listening on 0.0.0.0:${PORT}`);
   console.log(`⚡ Performance Target: Sub-2s load times`);
+
+  for (const { worker, flag } of backgroundWorkers) {
+    if (process.env[flag] !== 'false') {
+      worker.start();
+    }
+  }
 });
 
+// WebSocket variant of GET /api/analytics/stream
+attachLiveEventSocket(server);
+
 export { prisma };
\ No newline at end of file
@@ -0,0 +1,387 @@
+/**
+ * Internal User Authentication Middleware
+ * Verifies access tokens issued by /api/auth and applies the permission
+ * model in services/access-control.js to the internal routers. Client
+ * portal users use middleware/client-auth.js instead.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@bloom/data';
+import { verifyAccessToken, UserStatus } from '../services/auth-service.js';
+import { verifyReviewLinkToken } from '../services/review-links.js';
+import { ROLE_LEVELS, ROLES, can, getEffectiveRole, hasRole } from '../services/access-control.js';
+import { recordAccessDenied } from '../services/audit-log.js';
+
+export { ROLE_LEVELS, ROLES, getEffectiveRole, hasRole };
+
+const prisma = new PrismaClient();
+
+/**
+ * Client a request targets, from route params, query or body
+ */
+function getRequestClientId(req) {
+  return req.params?.clientId || req.query?.clientId || req.body?.clientId || null;
+}
+
+/**
+ * The req.user shape for an active user
+ * @param {string} userId
+ * @returns {Promise<Object|null>} null when the user is missing or not active
+ */
+export async function loadActiveUser(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      clientUsers: {
+        select: { clientId: true, role: true }
+      }
+    }
+  });
+
+  if (!user || user.status !== UserStatus.ACTIVE) return null;
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: user.permissions,
+    clientRoles: Object.fromEntries(user.clientUsers.map(cu => [cu.clientId, cu.role]))
+  };
+}
+
+/**
+ * Require a valid access token; attaches req.user
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader?.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'No authentication token provided'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyAccessToken(authHeader.substring(7));
+    } catch (err) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+      });
+    }
+
+    const user = await loadActiveUser(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User account is inactive or not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function isReadRequest(req) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+}
+
+/**
+ * Resource name for audit entries from the router mount point
+ * ('/api/webhooks' -> 'webhooks')
+ */
+function resourceFromRequest(req) {
+  return (req.baseUrl || '').replace(/^\/api\//, '') || 'api';
+}
+
+/**
+ * Require at least `minRole`, globally or for the client in the request
+ * @param {string} minRole - viewer, editor, approver or admin
+ */
+export function requireRole(minRole) {
+  if (!ROLE_LEVELS[minRole]) {
+    throw new Error(`Unknown role: ${minRole}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    const clientId = getRequestClientId(req);
+    if (!hasRole(req.user, minRole, clientId)) {
+      recordAccessDenied(req, {
+        resource: resourceFromRequest(req),
+        action: isReadRequest(req) ? 'read' : 'write',
+        clientId,
+        reason: `requires ${minRole} role`
+      });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Requires ${minRole} role`
+      });
+    }
+
+    next();
+  };
+}
+
+function matchRoute(routes, req) {
+  for (const route of routes) {
+    const match = (!route.method || route.method === req.method) && route.path.exec(req.path);
+    if (match) return { route, match };
+  }
+  return null;
+}
+
+/**
+ * Accept a client review link (X-Review-Token) instead of a user. The
+ * token must name the journey the route resolves to; req.reviewLink is set
+ * for the route handlers and `authorize()`.
+ */
+async function authenticateReviewLink(req, res, next, { route, match }) {
+  let link;
+  try {
+    link = verifyReviewLinkToken(req.headers['x-review-token']);
+  } catch (err) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: err.name === 'TokenExpiredError' ? 'Review link expired' : 'Invalid review link'
+    });
+  }
+
+  try {
+    const journeyId = await route.journeyId(match, req);
+    if (journeyId === undefined) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (journeyId !== link.journeyId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Review link is for another journey'
+      });
+    }
+
+    req.reviewLink = link;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Journeys client review links may read or write, per router. `journeyId`
+ * gets the path match and the request and returns the journey the request
+ * touches, or undefined when its record does not exist.
+ */
+export const reviewLinkRoutes = {
+  journeys: [
+    { method: 'GET', path: /^\/([^/]+)\/?$/, journeyId: match => match[1] }
+  ],
+  touchpoints: [
+    { method: 'GET', path: /^\/?$/, journeyId: (match, req) => req.query.journeyId || null },
+    {
+      method: 'POST',
+      path: /^\/([^/]+)\/note\/?$/,
+      journeyId: async (match) => {
+        const touchpoint = await prisma.touchpoint.findUnique({
+          where: { id: match[1] },
+          select: { journeyId: true }
+        });
+        return touchpoint ? touchpoint.journeyId : undefined;
+      }
+    }
+  ]
+};
+
+/**
+ * Authenticate and check roles for a whole router: reads need `read`,
+ * everything else needs `write`. Pass `false` to skip a check when the
+ * router authorizes each route itself with `authorize()`. `publicRoutes`
+ * lists endpoints that stay open (inbound webhooks, tracking), as
+ * `{ method, path: RegExp }` matched against the path relative to the
+ * mount point. `reviewRoutes` (see reviewLinkRoutes) also accept a client
+ * review link for their journey in place of a user.
+ *
+ * @example
+ * app.use('/api/webhooks', requireInternalUser({
+ *   publicRoutes: [{ method: 'POST', path: /^\/ghl\/[^/]+$/ }]
+ * }), webhooksRouter);
+ */
+export function requireInternalUser({ read = 'viewer', write = 'editor', publicRoutes = [], reviewRoutes = [] } = {}) {
+  const readCheck = read ? requireRole(read) : null;
+  const writeCheck = write ? requireRole(write) : null;
+
+  return (req, res, next) => {
+    if (matchRoute(publicRoutes, req)) {
+      return next();
+    }
+
+    const reviewRoute = req.headers['x-review-token'] && matchRoute(reviewRoutes, req);
+    if (reviewRoute) {
+      return authenticateReviewLink(req, res, next, reviewRoute);
+    }
+
+    authenticate(req, res, (err) => {
+      if (err) return next(err);
+      const check = isReadRequest(req) ? readCheck : writeCheck;
+      if (!check) return next();
+      check(req, res, next);
+    });
+  };
+}
+
+/**
+ * Resolvers telling `authorize()` which client a request touches. Each
+ * takes the request and returns a client ID, null for resources without a
+ * client, or undefined when the record does not exist (the route handler
+ * then answers 404 itself).
+ */
+export const clientFrom = {
+  param: (name = 'clientId') => req => req.params[name] || null,
+  query: (name = 'clientId') => req => req.query[name] || null,
+  body: (name = 'clientId') => req => req.body?.[name] || null,
+
+  /**
+   * Look the client up from a stored record
+   * @param {string} model - Prisma model, e.g. 'journey'
+   * @param {Object} [options]
+   * @param {string} [options.param='id'] - request field holding the key
+   * @param {string} [options.source='params'] - params, query or body
+   * @param {string} [options.field='id'] - unique field the key matches
+   * @param {string} [options.path='clientId'] - dotted path to the client ID,
+   *   e.g. 'journey.clientId' for touchpoints
+   */
+  record: (model, { param = 'id', source = 'params', field = 'id', path = 'clientId' } = {}) => async (req) => {
+    const key = req[source]?.[param];
+    if (!key) return null;
+
+    const segments = path.split('.');
+    const select = segments.reduceRight((inner, segment) => ({ [segment]: inner === true ? true : { select: inner } }), true);
+
+    const row = await prisma[model].findUnique({
+      where: { [field]: key },
+      select
+    });
+    if (!row) return undefined;
+
+    return segments.reduce((value, segment) => value?.[segment], row) ?? null;
+  },
+
+  /**
+   * Every client the resolvers name (e.g. a record's current client and
+   * the client it is being moved to). Missing values are skipped.
+   */
+  all: (...resolvers) => async (req) => {
+    const results = [];
+    for (const resolve of resolvers) {
+      const value = await resolve(req);
+      if (value === undefined) return undefined;
+      results.push(...[].concat(value));
+    }
+    const ids = results.filter(Boolean);
+    return ids.length > 0 ? [...new Set(ids)] : null;
+  }
+};
+
+/**
+ * Per-route permission check for routers mounted with
+ * requireInternalUser({ read: false, write: false }). Denied attempts get a
+ * 403 and an audit log entry.
+ *
+ * @param {string} resource - e.g. 'journeys'
+ * @param {string|Function} action - one of Actions, or (req) => action
+ * @param {Function} [resolveClientId] - one of the clientFrom resolvers;
+ *   may return an array when several clients must all be allowed
+ *
+ * @example
+ * router.delete('/:id', authorize('journeys', 'delete', clientFrom.record('journey')), handler);
+ */
+export function authorize(resource, action, resolveClientId) {
+  return async (req, res, next) => {
+    // Already checked against the link's journey by requireInternalUser
+    if (req.reviewLink) {
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const verb = typeof action === 'function' ? action(req) : action;
+      const resolved = resolveClientId ? await resolveClientId(req) : null;
+      if (resolved === undefined) {
+        return next();
+      }
+
+      const clientIds = [].concat(resolved);
+      const deniedIndex = clientIds.findIndex(clientId => !can(req.user, resource, verb, clientId));
+      if (deniedIndex === -1) {
+        return next();
+      }
+
+      const clientId = clientIds[deniedIndex];
+      await recordAccessDenied(req, { resource, action: verb, clientId });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: clientId && getEffectiveRole(req.user, clientId) === null
+          ? 'You do not have access to this client'
+          : `Your role does not allow ${verb} on ${resource}`
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Admin-only endpoints. Accepts an admin user's access token, or the
+ * ADMIN_TOKEN shared secret (X-Admin-Token) for scripts and the rate limit
+ * admin UI. The shared secret is ignored when ADMIN_TOKEN is unset.
+ */
+export function requireAdmin(req, res, next) {
+  const adminToken = req.headers['x-admin-token'];
+  const expected = process.env.ADMIN_TOKEN;
+
+  if (adminToken && expected) {
+    const a = Buffer.from(String(adminToken));
+    const b = Buffer.from(expected);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) {
+      return next();
+    }
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  authenticate(req, res, (err) => {
+    if (err) return next(err);
+    requireRole('admin')(req, res, next);
+  });
+}
+
+export default {
+  loadActiveUser,
+  authenticate,
+  requireRole,
+  requireInternalUser,
+  requireAdmin,
+  authorize,
+  clientFrom,
+  reviewLinkRoutes,
+  getEffectiveRole,
+  hasRole
+};
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for Internal Auth Middleware
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const users = vi.hoisted(() => new Map());
+const journeys = vi.hoisted(() => new Map());
+const auditLog = vi.hoisted(() => []);
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({
+    user: {
+      findUnique: vi.fn(async ({ where }) => users.get(where.id) || null)
+    },
+    journey: {
+      findUnique: vi.fn(async ({ where }) => journeys.get(where.id) || null)
+    },
+    auditLog: {
+      create: vi.fn(async ({ data }) => { auditLog.push(data); return data; })
+    }
+  }))
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+import { requireInternalUser, requireAdmin, getEffectiveRole, authorize, clientFrom } from './auth.js';
+import { issueAccessToken } from '../services/auth-service.js';
+
+function addUser(id, role, clientUsers = [], status = 'active') {
+  const user = { id, email: `${id}@bloom.test`, role, status, permissions: {}, clientUsers };
+  users.set(id, user);
+  return user;
+}
+
+/**
+ * Run a middleware and report whether it passed the request on
+ */
+async function run(middleware, { method = 'GET', path = '/', token, headers = {}, query = {}, body = {}, params = {}, user } = {}) {
+  const req = {
+    method,
+    path,
+    query,
+    body,
+    params,
+    user,
+    headers: { ...headers, ...(token && { authorization: `Bearer ${token}` }) }
+  };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+
+  const passed = await new Promise((resolve) => {
+    res.json = (payload) => { res.body = payload; resolve(false); return res; };
+    middleware(req, res, (err) => resolve(err ? err : true));
+  });
+
+  return { passed, status: res.statusCode, req };
+}
+
+describe('internal auth middleware', () => {
+  const guard = requireInternalUser({
+    publicRoutes: [{ method: 'POST', path: /^\/ghl\/[^/]+$/ }]
+  });
+
+  beforeEach(() => {
+    users.clear();
+    auditLog.splice(0);
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  it('rejects requests without a valid access token', async () => {
+    expect(await run(guard)).toMatchObject({ passed: false, status: 401 });
+    expect(await run(guard, { token: 'not-a-jwt' })).toMatchObject({ passed: false, status: 401 });
+  });
+
+  it('lets viewers read but not write', async () => {
+    const token = issueAccessToken(addUser('viewer-1', 'viewer'));
+
+    const read = await run(guard, { token });
+    expect(read.passed).toBe(true);
+    expect(read.req.user).toMatchObject({ id: 'viewer-1', role: 'viewer' });
+
+    expect(await run(guard, { token, method: 'PUT' })).toMatchObject({ passed: false, status: 403 });
+  });
+
+  it('uses the ClientUser role for the client in the request', async () => {
+    const user = addUser('viewer-2', 'viewer', [{ clientId: 'client-1', role: 'editor' }]);
+    const token = issueAccessToken(user);
+
+    expect(getEffectiveRole({ role: 'viewer', clientRoles: { 'client-1': 'editor' } }, 'client-1')).toBe('editor');
+    expect(getEffectiveRole({ role: 'editor', clientRoles: {} }, 'client-2')).toBeNull();
+    expect((await run(guard, { token, method: 'POST', body: { clientId: 'client-1' } })).passed).toBe(true);
+    expect((await run(guard, { token, method: 'POST', body: { clientId: 'client-2' } })).status).toBe(403);
+  });
+
+  it('rejects tokens for disabled users', async () => {
+    const token = issueAccessToken(addUser('gone', 'admin', [], 'disabled'));
+
+    expect(await run(guard, { token })).toMatchObject({ passed: false, status: 401 });
+  });
+
+  it('leaves public routes open', async () => {
+    expect((await run(guard, { method: 'POST', path: '/ghl/client-1' })).passed).toBe(true);
+    expect((await run(guard, { method: 'GET', path: '/ghl/client-1' })).status).toBe(401);
+  });
+
+  it('requires an admin user or the configured admin token', async () => {
+    const editorToken = issueAccessToken(addUser('editor-1', 'editor'));
+    const adminToken = issueAccessToken(addUser('admin-1', 'admin'));
+
+    expect((await run(requireAdmin, { token: editorToken })).status).toBe(403);
+    expect((await run(requireAdmin, { token: adminToken })).passed).toBe(true);
+
+    // Without ADMIN_TOKEN configured the header grants nothing
+    expect((await run(requireAdmin, { headers: { 'x-admin-token': 'undefined' } })).status).toBe(401);
+
+    process.env.ADMIN_TOKEN = 'ops-secret';
+    expect((await run(requireAdmin, { headers: { 'x-admin-token': 'ops-secret' } })).passed).toBe(true);
+    expect((await run(requireAdmin, { headers: { 'x-admin-token': 'guess' } })).status).toBe(401);
+  });
+});
+
+describe('authorize', () => {
+  const journeyClient = clientFrom.record('journey');
+  const member = (role, clientRoles) => ({ id: `${role}-user`, role, permissions: {}, clientRoles });
+
+  beforeEach(() => {
+    journeys.clear();
+    auditLog.splice(0);
+    journeys.set('journey-1', { clientId: 'client-1' });
+  });
+
+  it('checks the client that owns the record', async () => {
+    const remove = authorize('journeys', 'delete', journeyClient);
+    const params = { id: 'journey-1' };
+
+    expect((await run(remove, { params, user: member('editor', { 'client-1': 'editor' }) })).passed).toBe(true);
+    expect((await run(remove, { params, user: member('editor', { 'client-1': 'viewer' }) })).status).toBe(403);
+    expect((await run(remove, { params, user: member('editor', { 'client-2': 'admin' }) })).status).toBe(403);
+  });
+
+  it('logs denied attempts to the audit log', async () => {
+    const user = member('editor', { 'client-2': 'editor' });
+
+    await run(authorize('journeys', 'delete', journeyClient), { method: 'DELETE', params: { id: 'journey-1' }, user });
+
+    expect(auditLog).toHaveLength(1);
+    expect(auditLog[0]).toMatchObject({
+      action: 'access.denied',
+      userId: user.id,
+      clientId: 'client-1',
+      resourceType: 'journeys',
+      resourceId: 'journey-1',
+      details: { attemptedAction: 'delete', method: 'DELETE' }
+    });
+  });
+
+  it('leaves missing records to the route handler', async () => {
+    const result = await run(authorize('journeys', 'read', journeyClient), {
+      params: { id: 'missing' },
+      user: member('viewer', {})
+    });
+
+    expect(result.passed).toBe(true);
+    expect(auditLog).toHaveLength(0);
+  });
+
+  it('requires every client named by the request', async () => {
+    // Moving a journey to another client needs rights on both
+    const move = authorize('journeys', 'update', clientFrom.all(journeyClient, clientFrom.body()));
+    const params = { id: 'journey-1' };
+    const body = { clientId: 'client-2' };
+
+    expect((await run(move, { params, body, user: member('editor', { 'client-1': 'editor' }) })).status).toBe(403);
+    expect((await run(move, { params, body, user: member('editor', { 'client-1': 'editor', 'client-2': 'editor' }) })).passed).toBe(true);
+  });
+
+  it('resolves the action from the request', async () => {
+    const setStatus = authorize('journeys', req => (req.body.status === 'published' ? 'publish' : 'update'), journeyClient);
+    const params = { id: 'journey-1' };
+    const editor = member('editor', { 'client-1': 'editor' });
+
+    expect((await run(setStatus, { params, body: { status: 'draft' }, user: editor })).passed).toBe(true);
+    expect((await run(setStatus, { params, body: { status: 'published' }, user: editor })).status).toBe(403);
+    expect((await run(setStatus, { params, body: { status: 'published' }, user: member('editor', { 'client-1': 'approver' }) })).passed).toBe(true);
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 const prisma = new PrismaClient();
 const JWT_SECRET = process.env.CLIENT_JWT_SECRET || process.env.JWT_SECRET || 'dev-client-secret-key';
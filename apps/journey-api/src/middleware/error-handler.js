@@ -1,3 +1,16 @@
+/**
+ * Error with an HTTP status (and optional details) for errorHandler to send
+ * @param {string} message
+ * @param {number} statusCode
+ * @param {Object} [details] - Sent as `details` in the response body
+ */
+export function httpError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
 export function errorHandler(err, req, res, next) {
   console.error('Error:', err);
 
@@ -48,6 +61,7 @@ export function errorHandler(err, req, res, next) {
 
   res.status(statusCode).json({
     error: message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 }
\ No newline at end of file
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Analytics Rollup Script
+ * Rebuilds the daily metrics tables from raw events. Days are rebuilt from
+ * scratch, so a range can be re-run safely. Defaults to yesterday and today.
+ *
+ * Usage: npm run analytics:rollup -- [--from 2026-01-01] [--to 2026-01-31] [--client <clientId>]
+ */
+
+import 'dotenv/config';
+import { PrismaClient } from '@bloom/data';
+import { backfill, startOfDay } from './services/analytics-rollup.js';
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i]?.replace(/^--/, '');
+    if (!['from', 'to', 'client'].includes(flag) || !argv[i + 1]) {
+      console.error('Usage: npm run analytics:rollup -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--client <clientId>]');
+      process.exit(1);
+    }
+    args[flag] = argv[i + 1];
+  }
+  return args;
+}
+
+async function rollupAnalytics() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = startOfDay(new Date());
+  const from = args.from || new Date(today.getTime() - 24 * 60 * 60 * 1000);
+  const to = args.to || today;
+
+  try {
+    const days = await backfill({
+      from,
+      to,
+      clientId: args.client,
+      onDay: (day) => console.log(`📈 ${day.date}: ${day.journeys} journeys, ${day.touchpoints} touchpoints, ${day.funnelStages} funnel stages, ${day.clients} clients`)
+    });
+    console.log(`✅ Rolled up ${days.length} day(s)`);
+  } catch (error) {
+    console.error('❌ Analytics rollup failed:', error.message);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+rollupAnalytics();
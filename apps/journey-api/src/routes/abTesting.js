@@ -5,13 +5,51 @@
 
 import { Router } from 'express';
 import { z } from 'zod';
-import { abTestingService } from '../services/ab-testing-service.js';
-import { PrismaClient } from '@prisma/client';
+import {
+  abTestingService,
+  ANALYSIS_MODES,
+  AnalysisMode,
+  SequentialMethod,
+  TEST_DESIGNS,
+  TestDesign
+} from '../services/ab-testing-service.js';
+import { ALLOCATION_MODES, AllocationMode, reallocateTraffic } from '../services/ab-test-bandit.js';
+import { PrismaClient } from '@bloom/data';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
+const testClient = clientFrom.record('journeyABTest');
+
 // Validation schemas
+const analysisConfigSchema = z.object({
+  priorAlpha: z.number().positive().optional(),
+  priorBeta: z.number().positive().optional(),
+  expectedLossThreshold: z.number().min(0).max(1).optional(),
+  method: z.enum(Object.values(SequentialMethod)).optional(),
+  mixingVariance: z.number().positive().optional(),
+  plannedSampleSize: z.number().int().min(10).optional()
+});
+
+const allocationConfigSchema = z.object({
+  epsilon: z.number().min(0).max(1).optional(),
+  minTrafficPercentage: z.number().min(0).max(50).optional(),
+  intervalMinutes: z.number().int().min(5).optional(),
+  minParticipants: z.number().int().min(0).optional()
+});
+
+const factorSchema = z.object({
+  key: z.string().regex(/^[a-z][a-z0-9_]*$/i).max(50),
+  name: z.string().min(1).max(100),
+  touchpointId: z.string().optional(),
+  levels: z.array(z.object({
+    name: z.string().min(1).max(100),
+    changes: z.record(z.any()).default({})
+  })).min(2).max(5)
+});
+
 const createTestSchema = z.object({
   clientId: z.string().uuid(),
   journeyId: z.string().uuid(),
@@ -23,6 +61,13 @@ const createTestSchema = z.object({
   minConfidenceLevel: z.number().min(0.8).max(0.99).default(0.95),
   minSampleSize: z.number().int().min(10).default(100),
   autoWinnerSelection: z.boolean().default(false),
+  analysisMode: z.enum(ANALYSIS_MODES).default(AnalysisMode.FIXED),
+  analysisConfig: analysisConfigSchema.default({}),
+  allocationMode: z.enum(ALLOCATION_MODES).default(AllocationMode.FIXED),
+  allocationConfig: allocationConfigSchema.default({}),
+  design: z.enum(TEST_DESIGNS).default(TestDesign.AB),
+  factors: z.array(factorSchema).min(2).max(6).optional(),
+  factorGenerators: z.record(z.array(z.string())).optional(),
   scheduledStart: z.string().datetime().optional(),
   createdBy: z.string().optional(),
   variants: z.array(z.object({
@@ -32,7 +77,14 @@ const createTestSchema = z.object({
     journeySnapshot: z.record(z.any()),
     touchpointChanges: z.record(z.any()).optional(),
     isControl: z.boolean().default(false)
-  })).min(2).max(5)
+  })).min(2).max(5).optional()
+}).superRefine((data, ctx) => {
+  if (data.design === TestDesign.AB && !data.variants) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variants'], message: 'Required for A/B tests' });
+  }
+  if (data.design !== TestDesign.AB && !data.factors) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['factors'], message: 'Required for factorial tests' });
+  }
 });
 
 const assignParticipantSchema = z.object({
@@ -52,7 +104,7 @@ const recordEventSchema = z.object({
 // ============================================
 
 // GET /api/ab-testing/tests - List all tests
-router.get('/tests', async (req, res, next) => {
+router.get('/tests', authorize('ab-tests', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, journeyId, status, limit, offset } = req.query;
 
@@ -74,7 +126,7 @@ router.get('/tests', async (req, res, next) => {
 });
 
 // GET /api/ab-testing/tests/:id - Get test details
-router.get('/tests/:id', async (req, res, next) => {
+router.get('/tests/:id', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const test = await abTestingService.getTest(id);
@@ -90,7 +142,7 @@ router.get('/tests/:id', async (req, res, next) => {
 });
 
 // POST /api/ab-testing/tests - Create a new test
-router.post('/tests', async (req, res, next) => {
+router.post('/tests', authorize('ab-tests', Actions.CREATE, clientFrom.all(clientFrom.body(), clientFrom.record('journey', { source: 'body', param: 'journeyId' }))), async (req, res, next) => {
   try {
     const data = createTestSchema.parse(req.body);
     const test = await abTestingService.createTest(data);
@@ -104,10 +156,32 @@ router.post('/tests', async (req, res, next) => {
 });
 
 // PUT /api/ab-testing/tests/:id - Update test (limited fields)
-router.put('/tests/:id', async (req, res, next) => {
+// The analysis mode can only change before the test starts; the allocation
+// mode can change at any time, except that factorial tests stay fixed
+router.put('/tests/:id', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, description, hypothesis, autoWinnerSelection } = req.body;
+    const { analysisMode, analysisConfig, allocationMode, allocationConfig } = z.object({
+      analysisMode: z.enum(ANALYSIS_MODES).optional(),
+      analysisConfig: analysisConfigSchema.optional(),
+      allocationMode: z.enum(ALLOCATION_MODES).optional(),
+      allocationConfig: allocationConfigSchema.optional()
+    }).parse(req.body);
+
+    const changesAllocation = allocationMode !== undefined && allocationMode !== AllocationMode.FIXED;
+    if (analysisMode !== undefined || analysisConfig !== undefined || changesAllocation) {
+      const existing = await prisma.journeyABTest.findUnique({ where: { id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Test not found' });
+      }
+      if ((analysisMode !== undefined || analysisConfig !== undefined) && existing.status !== 'draft') {
+        return res.status(409).json({ error: 'Analysis mode can only be changed before the test starts' });
+      }
+      if (changesAllocation && existing.design && existing.design !== TestDesign.AB) {
+        return res.status(409).json({ error: 'Factorial tests need a fixed traffic split' });
+      }
+    }
 
     const test = await prisma.journeyABTest.update({
       where: { id },
@@ -116,6 +190,10 @@ router.put('/tests/:id', async (req, res, next) => {
         ...(description && { description }),
         ...(hypothesis && { hypothesis }),
         ...(autoWinnerSelection !== undefined && { autoWinnerSelection }),
+        ...(analysisMode && { analysisMode }),
+        ...(analysisConfig && { analysisConfig }),
+        ...(allocationMode && { allocationMode }),
+        ...(allocationConfig && { allocationConfig }),
         updatedAt: new Date()
       },
       include: { variants: true }
@@ -123,12 +201,15 @@ router.put('/tests/:id', async (req, res, next) => {
 
     res.json(test);
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
     next(error);
   }
 });
 
 // DELETE /api/ab-testing/tests/:id - Delete a test
-router.delete('/tests/:id', async (req, res, next) => {
+router.delete('/tests/:id', authorize('ab-tests', Actions.DELETE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     await abTestingService.deleteTest(id);
@@ -143,7 +224,7 @@ router.delete('/tests/:id', async (req, res, next) => {
 // ============================================
 
 // POST /api/ab-testing/tests/:id/start - Start a test
-router.post('/tests/:id/start', async (req, res, next) => {
+router.post('/tests/:id/start', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const test = await abTestingService.startTest(id);
@@ -154,7 +235,7 @@ router.post('/tests/:id/start', async (req, res, next) => {
 });
 
 // POST /api/ab-testing/tests/:id/pause - Pause a test
-router.post('/tests/:id/pause', async (req, res, next) => {
+router.post('/tests/:id/pause', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const test = await abTestingService.pauseTest(id);
@@ -165,7 +246,7 @@ router.post('/tests/:id/pause', async (req, res, next) => {
 });
 
 // POST /api/ab-testing/tests/:id/stop - Stop a test
-router.post('/tests/:id/stop', async (req, res, next) => {
+router.post('/tests/:id/stop', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { winnerVariantId } = req.body;
@@ -181,7 +262,7 @@ router.post('/tests/:id/stop', async (req, res, next) => {
 // ============================================
 
 // GET /api/ab-testing/tests/:id/results - Get test results
-router.get('/tests/:id/results', async (req, res, next) => {
+router.get('/tests/:id/results', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const results = await abTestingService.calculateResults(id);
@@ -192,7 +273,7 @@ router.get('/tests/:id/results', async (req, res, next) => {
 });
 
 // GET /api/ab-testing/tests/:id/daily-stats - Get daily statistics
-router.get('/tests/:id/daily-stats', async (req, res, next) => {
+router.get('/tests/:id/daily-stats', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { days = 30 } = req.query;
@@ -224,7 +305,7 @@ router.get('/tests/:id/daily-stats', async (req, res, next) => {
 });
 
 // GET /api/ab-testing/tests/:id/participants - List participants
-router.get('/tests/:id/participants', async (req, res, next) => {
+router.get('/tests/:id/participants', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { limit = 100, offset = 0, variantId, converted } = req.query;
@@ -263,6 +344,22 @@ router.get('/tests/:id/participants', async (req, res, next) => {
   }
 });
 
+// GET /api/ab-testing/tests/:id/participants/:contactId/factors - Factor levels a participant sees
+router.get('/tests/:id/participants/:contactId/factors', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
+  try {
+    const { id, contactId } = req.params;
+    const factors = await abTestingService.getParticipantFactors(id, contactId);
+
+    if (!factors) {
+      return res.status(404).json({ error: 'Participant not found in a factorial test' });
+    }
+
+    res.json(factors);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // Participant Assignment and Tracking
 // ============================================
@@ -373,7 +470,7 @@ router.get('/sample-size-calculator', async (req, res, next) => {
 // ============================================
 
 // GET /api/ab-testing/dashboard - Get A/B testing dashboard data
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', authorize('ab-tests', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, days = 30 } = req.query;
 
@@ -464,7 +561,7 @@ router.get('/dashboard', async (req, res, next) => {
 });
 
 // GET /api/ab-testing/active-tests - Get running tests for journey assignment
-router.get('/active-tests', async (req, res, next) => {
+router.get('/active-tests', authorize('ab-tests', Actions.READ, clientFrom.all(clientFrom.query(), clientFrom.record('journey', { source: 'query', param: 'journeyId' }))), async (req, res, next) => {
   try {
     const { journeyId, clientId } = req.query;
 
@@ -480,7 +577,7 @@ router.get('/active-tests', async (req, res, next) => {
     if (clientId) where.clientId = clientId;
 
     const tests = await prisma.journeyABTest.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user)] },
       include: {
         variants: {
           where: { status: 'active' },
@@ -489,6 +586,8 @@ router.get('/active-tests', async (req, res, next) => {
             name: true,
             trafficPercentage: true,
             journeySnapshot: true,
+            touchpointChanges: true,
+            factorLevels: true,
             isControl: true
           }
         }
@@ -506,7 +605,7 @@ router.get('/active-tests', async (req, res, next) => {
 // ============================================
 
 // POST /api/ab-testing/tests/:id/auto-check - Check and auto-select winner
-router.post('/tests/:id/auto-check', async (req, res, next) => {
+router.post('/tests/:id/auto-check', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const result = await abTestingService.autoCheckAndSelectWinner(id);
@@ -529,12 +628,13 @@ router.post('/tests/:id/auto-check', async (req, res, next) => {
 });
 
 // POST /api/ab-testing/run-auto-checks - Run auto-checks for all running tests
-router.post('/run-auto-checks', async (req, res, next) => {
+router.post('/run-auto-checks', authorize('ab-tests', Actions.UPDATE), async (req, res, next) => {
   try {
     const runningTests = await prisma.journeyABTest.findMany({
       where: {
         status: 'running',
-        autoWinnerSelection: true
+        autoWinnerSelection: true,
+        ...clientScope(req.user)
       }
     });
 
@@ -563,12 +663,56 @@ router.post('/run-auto-checks', async (req, res, next) => {
   }
 });
 
+// ============================================
+// Bandit Traffic Allocation
+// ============================================
+
+// POST /api/ab-testing/tests/:id/reallocate - Run the bandit for a test now
+router.post('/tests/:id/reallocate', authorize('ab-tests', Actions.UPDATE, testClient), async (req, res, next) => {
+  try {
+    const result = await reallocateTraffic(req.params.id, { changedBy: req.user?.email || null });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/ab-testing/tests/:id/allocations - Traffic reallocation history, newest first
+router.get('/tests/:id/allocations', authorize('ab-tests', Actions.READ, testClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const [allocations, total] = await Promise.all([
+      prisma.aBTestAllocation.findMany({
+        where: { testId: id },
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset)
+      }),
+      prisma.aBTestAllocation.count({ where: { testId: id } })
+    ]);
+
+    res.json({
+      allocations,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // Variant Management
 // ============================================
 
 // PUT /api/ab-testing/variants/:id/traffic - Update variant traffic allocation
-router.put('/variants/:id/traffic', async (req, res, next) => {
+router.put('/variants/:id/traffic', authorize('ab-tests', Actions.UPDATE, clientFrom.record('journeyABTestVariant')), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { trafficPercentage } = z.object({
@@ -585,9 +729,13 @@ router.put('/variants/:id/traffic', async (req, res, next) => {
       return res.status(404).json({ error: 'Variant not found' });
     }
 
+    if (variant.test.allocationMode && variant.test.allocationMode !== AllocationMode.FIXED) {
+      return res.status(409).json({ error: 'Traffic is managed by the bandit. Set allocationMode to fixed first.' });
+    }
+
     // Calculate total traffic if we make this change
     const otherVariants = variant.test.variants.filter(v => v.id !== id);
-    const totalTraffic = trafficPercentage + otherVariants.reduce((sum, v) => sum + v.trafficPercentage, 0);
+    const totalTraffic = trafficPercentage + otherVariants.reduce((sum, v) => sum + Number(v.trafficPercentage), 0);
 
     if (Math.abs(totalTraffic - 100) > 0.01) {
       return res.status(400).json({
@@ -596,9 +744,26 @@ router.put('/variants/:id/traffic', async (req, res, next) => {
       });
     }
 
-    const updatedVariant = await prisma.journeyABTestVariant.update({
-      where: { id },
-      data: { trafficPercentage }
+    const previous = Object.fromEntries(variant.test.variants.map(v => [v.id, Number(v.trafficPercentage)]));
+
+    const updatedVariant = await prisma.$transaction(async (tx) => {
+      const updated = await tx.journeyABTestVariant.update({
+        where: { id },
+        data: { trafficPercentage }
+      });
+
+      await tx.aBTestAllocation.create({
+        data: {
+          testId: variant.testId,
+          clientId: variant.clientId,
+          mode: 'manual',
+          previous,
+          allocation: { ...previous, [id]: trafficPercentage },
+          changedBy: req.user?.email || null
+        }
+      });
+
+      return updated;
     });
 
     res.json(updatedVariant);
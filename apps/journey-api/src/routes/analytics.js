@@ -1,10 +1,27 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { authorize, clientFrom, requireRole } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
+import { backfill, startOfDay } from '../services/analytics-rollup.js';
+import { calculateHoldoutLift } from '../services/journey-holdout.js';
+import { LiveEventType, publishLiveEvent, resolveStreamFilter, subscribeLiveEvents } from '../services/live-events.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
+const journeyClient = clientFrom.record('journey');
+
+// The client a filter names directly or through its journey
+const filterClients = clientFrom.all(
+  clientFrom.query(),
+  clientFrom.record('journey', { source: 'query', param: 'journeyId' })
+);
+
+// `where` fragment for the requested client (checked by authorize()), or
+// for every client the user can see when the request names none
+const clientFilter = (req) => req.query.clientId ? { clientId: req.query.clientId } : clientScope(req.user);
+
 // Validation schemas
 const dateRangeSchema = z.object({
   startDate: z.string().datetime().optional(),
@@ -69,28 +86,35 @@ function generateTimeSeries(startDate, endDate, dataPoints) {
   return series;
 }
 
+// Push a stored analytics event to live streams
+function publishAnalyticsEvent(event) {
+  publishLiveEvent({
+    type: LiveEventType.ANALYTICS_EVENT,
+    clientId: event.clientId,
+    journeyId: event.journeyId,
+    data: event
+  });
+}
+
 // ============================================
 // Dashboard Overview Endpoints
 // ============================================
 
 // GET /api/analytics/dashboard - Get overall dashboard metrics
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', authorize('analytics', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
-    const { clientId } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
     // Build where clause
+    const clients = clientFilter(req);
     const where = {
       date: {
         gte: startDate,
         lte: endDate
-      }
+      },
+      ...clients
     };
 
-    if (clientId) {
-      where.clientId = clientId;
-    }
-
     // Aggregate metrics from client analytics summary
     const clientSummaries = await prisma.clientAnalyticsSummary.findMany({
       where,
@@ -109,21 +133,19 @@ router.get('/dashboard', async (req, res, next) => {
 
     // Calculate overall metrics
     const totalJourneys = await prisma.journey.count({
-      where: clientId ? { clientId } : {}
+      where: clients
     });
 
     const activeJourneys = await prisma.journey.count({
       where: {
-        ...(clientId && { clientId }),
+        ...clients,
         status: 'published'
       }
     });
 
     const totalTouchpoints = await prisma.touchpoint.count({
       where: {
-        journey: {
-          ...(clientId && { clientId })
-        }
+        journey: clients
       }
     });
 
@@ -257,7 +279,7 @@ router.get('/dashboard', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/journeys/:id/metrics - Get detailed metrics for a specific journey
-router.get('/journeys/:id/metrics', async (req, res, next) => {
+router.get('/journeys/:id/metrics', authorize('analytics', Actions.READ, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { startDate, endDate } = getDateRange(req.query);
@@ -394,6 +416,11 @@ router.get('/journeys/:id/metrics', async (req, res, next) => {
       orderBy: { stageOrder: 'asc' }
     });
 
+    // Incremental lift over the holdout, for journeys that hold contacts out
+    const incrementality = Number(journey.holdoutPercentage ?? 0) > 0
+      ? await calculateHoldoutLift(id, { startDate, endDate })
+      : null;
+
     // Aggregate funnel data
     const funnelData = funnelStages.reduce((acc, stage) => {
       const existing = acc.find(s => s.stageName === stage.stageName);
@@ -444,6 +471,7 @@ router.get('/journeys/:id/metrics', async (req, res, next) => {
       },
       touchpoints: touchpointStats,
       funnel: funnelData.sort((a, b) => a.stageOrder - b.stageOrder),
+      incrementality,
       dailyTrends: metrics.map(m => ({
         date: m.date.toISOString().split('T')[0],
         contactsEntered: m.totalContactsEntered,
@@ -461,23 +489,47 @@ router.get('/journeys/:id/metrics', async (req, res, next) => {
   }
 });
 
+// GET /api/analytics/journeys/:id/incrementality - Lift over the journey's holdout
+// Query: startDate/endDate or days (by assignment date), confidenceLevel (default 0.95)
+router.get('/journeys/:id/incrementality', authorize('analytics', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = getDateRange(req.query);
+    const confidenceLevel = z.coerce.number().min(0.8).max(0.99).default(0.95).parse(req.query.confidenceLevel);
+
+    const journey = await prisma.journey.findUnique({ where: { id }, select: { id: true } });
+    if (!journey) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    const lift = await calculateHoldoutLift(id, { startDate, endDate, confidenceLevel });
+
+    res.json({
+      ...lift,
+      dateRange: {
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/analytics/journeys/performance - Get performance comparison across journeys
-router.get('/journeys/performance', async (req, res, next) => {
+router.get('/journeys/performance', authorize('analytics', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
-    const { clientId, category, limit = 10 } = req.query;
+    const { category, limit = 10 } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
     const where = {
       date: {
         gte: startDate,
         lte: endDate
-      }
+      },
+      ...clientFilter(req)
     };
 
-    if (clientId) {
-      where.clientId = clientId;
-    }
-
     // Get all journey metrics
     const metrics = await prisma.journeyPerformanceMetrics.findMany({
       where,
@@ -552,20 +604,20 @@ router.get('/journeys/performance', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/touchpoints/engagement - Get engagement metrics for touchpoints
-router.get('/touchpoints/engagement', async (req, res, next) => {
+router.get('/touchpoints/engagement', authorize('analytics', Actions.READ, filterClients), async (req, res, next) => {
   try {
-    const { journeyId, clientId, type } = req.query;
+    const { journeyId, type } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
     const where = {
       date: {
         gte: startDate,
         lte: endDate
-      }
+      },
+      ...clientFilter(req)
     };
 
     if (journeyId) where.journeyId = journeyId;
-    if (clientId) where.clientId = clientId;
 
     const metrics = await prisma.touchpointPerformanceMetrics.findMany({
       where,
@@ -654,15 +706,14 @@ router.get('/touchpoints/engagement', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/ab-tests - Get A/B test results
-router.get('/ab-tests', async (req, res, next) => {
+router.get('/ab-tests', authorize('analytics', Actions.READ, filterClients), async (req, res, next) => {
   try {
-    const { journeyId, clientId, status } = req.query;
+    const { journeyId, status } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
-    const where = {};
+    const where = clientFilter(req);
 
     if (journeyId) where.journeyId = journeyId;
-    if (clientId) where.clientId = clientId;
     if (status) where.status = status;
 
     const tests = await prisma.aBTestResult.findMany({
@@ -731,20 +782,20 @@ router.get('/ab-tests', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/drop-offs - Get drop-off analysis
-router.get('/drop-offs', async (req, res, next) => {
+router.get('/drop-offs', authorize('analytics', Actions.READ, filterClients), async (req, res, next) => {
   try {
-    const { journeyId, clientId } = req.query;
+    const { journeyId } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
     const where = {
       date: {
         gte: startDate,
         lte: endDate
-      }
+      },
+      ...clientFilter(req)
     };
 
     if (journeyId) where.journeyId = journeyId;
-    if (clientId) where.clientId = clientId;
 
     // Get funnel stages with drop-offs
     const funnelStages = await prisma.journeyFunnelStage.findMany({
@@ -852,6 +903,7 @@ router.post('/events', async (req, res, next) => {
         metadata: data.metadata || {}
       }
     });
+    publishAnalyticsEvent(event);
 
     res.status(201).json(event);
   } catch (error) {
@@ -883,6 +935,8 @@ router.post('/events/batch', async (req, res, next) => {
       )
     );
 
+    createdEvents.forEach(publishAnalyticsEvent);
+
     res.status(201).json({
       count: createdEvents.length,
       events: createdEvents
@@ -893,21 +947,21 @@ router.post('/events/batch', async (req, res, next) => {
 });
 
 // GET /api/analytics/events - Query events
-router.get('/events', async (req, res, next) => {
+router.get('/events', authorize('analytics', Actions.READ, filterClients), async (req, res, next) => {
   try {
-    const { journeyId, touchpointId, clientId, eventType, contactId, limit = 100, offset = 0 } = req.query;
+    const { journeyId, touchpointId, eventType, contactId, limit = 100, offset = 0 } = req.query;
     const { startDate, endDate } = getDateRange(req.query);
 
     const where = {
       createdAt: {
         gte: startDate,
         lte: endDate
-      }
+      },
+      ...clientFilter(req)
     };
 
     if (journeyId) where.journeyId = journeyId;
     if (touchpointId) where.touchpointId = touchpointId;
-    if (clientId) where.clientId = clientId;
     if (eventType) where.eventType = eventType;
     if (contactId) where.contactId = contactId;
 
@@ -952,7 +1006,7 @@ router.get('/events', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/clients/:id/summary - Get client analytics summary
-router.get('/clients/:id/summary', async (req, res, next) => {
+router.get('/clients/:id/summary', authorize('analytics', Actions.READ, clientFrom.param('id')), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { startDate, endDate } = getDateRange(req.query);
@@ -1046,9 +1100,9 @@ router.get('/clients/:id/summary', async (req, res, next) => {
 // ============================================
 
 // GET /api/analytics/realtime - Get real-time metrics
-router.get('/realtime', async (req, res, next) => {
+router.get('/realtime', authorize('analytics', Actions.READ, filterClients), async (req, res, next) => {
   try {
-    const { clientId, journeyId } = req.query;
+    const { journeyId } = req.query;
 
     // Get events from the last hour
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
@@ -1057,10 +1111,10 @@ router.get('/realtime', async (req, res, next) => {
     const where = {
       createdAt: {
         gte: oneHourAgo
-      }
+      },
+      ...clientFilter(req)
     };
 
-    if (clientId) where.clientId = clientId;
     if (journeyId) where.journeyId = journeyId;
 
     // Get recent events
@@ -1100,4 +1154,70 @@ router.get('/realtime', async (req, res, next) => {
   }
 });
 
+const STREAM_HEARTBEAT_MS = 25000;
+
+// GET /api/analytics/stream - Server-Sent Events stream of analytics events,
+// webhook deliveries and trigger executions as they land.
+// Query: clientId, journeyId, types (comma-separated). The WebSocket variant
+// is served at /api/analytics/stream/ws (services/live-event-socket.js).
+router.get('/stream', (req, res, next) => {
+  let filter;
+  try {
+    filter = resolveStreamFilter(req.user, req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies buffering the stream
+  });
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const unsubscribe = subscribeLiveEvents(filter, send, {
+    lastEventId: parseInt(req.headers['last-event-id'] || req.query.lastEventId) || undefined
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ============================================
+// Rollup Endpoints
+// ============================================
+
+const isoDay = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD');
+
+const rollupSchema = z.object({
+  from: isoDay.optional(),
+  to: isoDay.optional(),
+  clientId: z.string().uuid().optional()
+});
+
+// POST /api/analytics/rollup - Rebuild the daily metrics tables for a date range (admin)
+router.post('/rollup', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { from, to, clientId } = rollupSchema.parse(req.body || {});
+    const today = startOfDay(new Date());
+
+    const days = await backfill({
+      from: from || to || today,
+      to: to || today,
+      clientId
+    });
+
+    res.json({ days, count: days.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export { router as analyticsRouter };
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { listAuditEvents } from '../services/audit-log.js';
+
+// Audit log viewer. Mounted behind requireInternalUser with admin for both
+// reads and writes.
+const router = Router();
+
+// GET /api/audit-logs?userId=&clientId=&action=&resourceType=&since=&limit=&offset=
+router.get('/', async (req, res, next) => {
+  try {
+    const { userId, clientId, action, resourceType, since, limit, offset } = req.query;
+
+    const result = await listAuditEvents({ userId, clientId, action, resourceType, since, limit, offset });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as auditLogsRouter };
@@ -1,78 +1,96 @@
 import { Router } from 'express';
-import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { authenticate } from '../middleware/auth.js';
+import {
+  loginWithPassword,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  acceptInvite,
+  recordPasswordResetRequest,
+  resetPassword,
+  changePassword,
+  createSession,
+  createSsoState,
+  verifySsoState,
+  findUserForSsoLogin,
+  appLink
+} from '../services/auth-service.js';
+import { getProvider, listProviders } from '../services/oidc-provider.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const passwordSchema = z.string().min(12, 'Password must be at least 12 characters').max(200);
 
-// Simple auth for development
-// In production, integrate with Auth0, Clerk, or similar
+function sessionMeta(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+}
 
-// POST /api/auth/login
+// POST /api/auth/login - Email and password
 router.post('/login', async (req, res, next) => {
   try {
-    const { email, name } = z.object({
+    const { email, password } = z.object({
       email: z.string().email(),
-      name: z.string().optional()
+      password: z.string().min(1)
     }).parse(req.body);
 
-    // Find or create user
-    let user = await prisma.user.findUnique({
-      where: { email }
-    });
+    const session = await loginWithPassword(email, password, sessionMeta(req));
 
-    if (!user) {
-      user = await prisma.user.create({
-        data: {
-          email,
-          name: name || email.split('@')[0],
-          role: 'editor'
-        }
-      });
-    }
+    // `token` kept for clients written against the old response shape
+    res.json({ ...session, token: session.accessToken });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+// POST /api/auth/refresh - Rotate a refresh token
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = z.object({
+      refreshToken: z.string().min(1)
+    }).parse(req.body);
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
-    });
+    const session = await refreshSession(refreshToken, sessionMeta(req));
+    res.json({ ...session, token: session.accessToken });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/auth/me
-router.get('/me', async (req, res, next) => {
+// POST /api/auth/logout - Revoke one refresh token
+router.post('/logout', async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+    const { refreshToken } = z.object({
+      refreshToken: z.string().min(1)
+    }).parse(req.body);
+
+    await revokeSession(refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
+// POST /api/auth/logout-all - Revoke every session for the current user
+router.post('/logout-all', authenticate, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// GET /api/auth/me
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { id: req.user.id },
       include: {
         clientUsers: {
           include: {
@@ -84,10 +102,6 @@ router.get('/me', async (req, res, next) => {
       }
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
-
     res.json({
       user: {
         id: user.id,
@@ -105,4 +119,173 @@ router.get('/me', async (req, res, next) => {
   }
 });
 
-export { router as authRouter };
\ No newline at end of file
+// ============================================
+// INVITES & PASSWORDS
+// ============================================
+
+// POST /api/auth/invites/accept - Set a password and activate an invited account
+router.post('/invites/accept', async (req, res, next) => {
+  try {
+    const data = z.object({
+      token: z.string().min(1),
+      password: passwordSchema,
+      name: z.string().optional()
+    }).parse(req.body);
+
+    const session = await acceptInvite(data, sessionMeta(req));
+    res.json({ ...session, token: session.accessToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/password/forgot - Always the same 202 so emails cannot be
+// enumerated. Reset links are issued by admins (POST /api/users/:id/password-reset);
+// the request is left in the audit log for them.
+router.post('/password/forgot', async (req, res, next) => {
+  try {
+    const { email } = z.object({
+      email: z.string().email()
+    }).parse(req.body);
+
+    await recordPasswordResetRequest(email, sessionMeta(req));
+
+    res.status(202).json({
+      message: 'Password resets are issued by an administrator. Ask one to send you a reset link.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/password/reset - Complete a reset with the token from a reset link
+router.post('/password/reset', async (req, res, next) => {
+  try {
+    const data = z.object({
+      token: z.string().min(1),
+      password: passwordSchema
+    }).parse(req.body);
+
+    const user = await resetPassword(data);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/password/change - Change password while signed in
+router.post('/password/change', authenticate, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = z.object({
+      currentPassword: z.string().min(1),
+      newPassword: passwordSchema
+    }).parse(req.body);
+
+    await changePassword(req.user.id, currentPassword, newPassword);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// SSO (OIDC)
+// ============================================
+
+// Ties an SSO login to the browser that started it (see createSsoState)
+const SSO_STATE_COOKIE = 'bloom_sso_state';
+const SSO_COOKIE_OPTIONS = {
+  httpOnly: true,
+  // Lax so the cookie survives the IdP's top-level redirect back to us
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/sso'
+};
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+// GET /api/auth/sso/providers - Configured identity providers
+router.get('/sso/providers', (req, res) => {
+  res.json({ providers: listProviders().map(p => p.toJSON()) });
+});
+
+// GET /api/auth/sso/:provider/start - Redirect to the identity provider
+router.get('/sso/:provider/start', async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown SSO provider' });
+    }
+
+    const { state, binding, nonce, codeVerifier } = createSsoState(provider.name);
+    const url = await provider.getAuthorizationUrl({
+      state,
+      nonce,
+      codeVerifier,
+      loginHint: req.query.loginHint
+    });
+
+    res.cookie(SSO_STATE_COOKIE, binding, { ...SSO_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/sso/:provider/callback - Identity provider redirect target
+router.get('/sso/:provider/callback', async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown SSO provider' });
+    }
+
+    if (req.query.error) {
+      return res.status(401).json({ error: 'SSO login failed', reason: req.query.error });
+    }
+
+    const { code, state } = z.object({
+      code: z.string().min(1),
+      state: z.string().min(1)
+    }).parse(req.query);
+
+    const binding = readCookie(req, SSO_STATE_COOKIE);
+    res.clearCookie(SSO_STATE_COOKIE, SSO_COOKIE_OPTIONS);
+    const { nonce, codeVerifier } = verifySsoState(state, provider.name, binding);
+
+    let claims;
+    try {
+      claims = await provider.authenticate({ code, codeVerifier, nonce });
+    } catch (err) {
+      console.error(`SSO login via ${provider.name} failed:`, err.message);
+      return res.status(401).json({ error: 'SSO login failed' });
+    }
+
+    const user = await findUserForSsoLogin(provider.name, claims);
+    const session = await createSession(user, sessionMeta(req));
+
+    // Browser flow: hand tokens to the visualizer in the URL fragment,
+    // which is never sent to a server
+    if (process.env.APP_URL) {
+      const fragment = new URLSearchParams({
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken
+      });
+      return res.redirect(`${appLink('/login/sso')}#${fragment}`);
+    }
+
+    res.json({ ...session, token: session.accessToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as authRouter };
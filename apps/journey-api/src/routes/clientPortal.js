@@ -4,9 +4,10 @@
  */
 
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
 import { authenticateClient, requireRole, generateClientToken } from '../middleware/client-auth.js';
+import { emitOutboundEvent, OutboundEventType } from '../services/outbound-webhooks.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -351,6 +352,20 @@ router.post('/change-requests', authenticateClient, async (req, res, next) => {
       }
     });
 
+    await emitOutboundEvent(OutboundEventType.CHANGE_REQUEST_CREATED, {
+      clientId,
+      data: {
+        changeRequestId: changeRequest.id,
+        journeyId: changeRequest.journeyId,
+        touchpointId: changeRequest.touchpointId,
+        type: changeRequest.type,
+        title: changeRequest.title,
+        priority: changeRequest.priority,
+        requestedBy: changeRequest.requestedBy,
+        requestedByEmail: changeRequest.requestedByEmail
+      }
+    });
+
     res.status(201).json(changeRequest);
   } catch (error) {
     next(error);
@@ -0,0 +1,145 @@
+/**
+ * Client review page requests through the internal auth stack
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+const db = vi.hoisted(() => ({ users: new Map(), journeys: new Map(), touchpoints: new Map() }));
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({
+    user: {
+      findUnique: vi.fn(async ({ where }) => db.users.get(where.id) || null)
+    },
+    journey: {
+      findUnique: vi.fn(async ({ where }) => db.journeys.get(where.id) || null)
+    },
+    touchpoint: {
+      findUnique: vi.fn(async ({ where }) => db.touchpoints.get(where.id) || null),
+      findMany: vi.fn(async ({ where }) => {
+        const journeyIds = where.AND.map(clause => clause.journeyId).filter(Boolean);
+        return [...db.touchpoints.values()].filter(tp => journeyIds.every(id => tp.journeyId === id));
+      }),
+      update: vi.fn(async ({ where, data }) => {
+        const updated = { ...db.touchpoints.get(where.id), ...data };
+        db.touchpoints.set(where.id, updated);
+        return updated;
+      })
+    },
+    auditLog: { create: vi.fn(async ({ data }) => data) }
+  }))
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+import { requireInternalUser, reviewLinkRoutes } from '../middleware/auth.js';
+import { issueAccessToken } from '../services/auth-service.js';
+import { journeysRouter } from './journeys.js';
+import { touchpointsRouter } from './touchpoints.js';
+
+describe('client review page', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    // Mounted as in index.js
+    const perRouteAuth = (options = {}) => requireInternalUser({ read: false, write: false, ...options });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/journeys', perRouteAuth({ reviewRoutes: reviewLinkRoutes.journeys }), journeysRouter);
+    app.use('/api/touchpoints', perRouteAuth({ reviewRoutes: reviewLinkRoutes.touchpoints }), touchpointsRouter);
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(() => new Promise(done => server.close(done)));
+
+  beforeEach(() => {
+    db.users.clear();
+    db.journeys.clear();
+    db.touchpoints.clear();
+
+    db.users.set('editor-1', {
+      id: 'editor-1', email: 'editor@bloom.test', role: 'viewer', status: 'active', permissions: {},
+      clientUsers: [{ clientId: 'client-1', role: 'editor' }]
+    });
+    db.journeys.set('journey-1', { id: 'journey-1', clientId: 'client-1', name: 'Welcome' });
+    db.journeys.set('journey-2', { id: 'journey-2', clientId: 'client-2', name: 'Other client' });
+    db.touchpoints.set('tp-1', { id: 'tp-1', journeyId: 'journey-1', journey: { clientId: 'client-1' }, config: {} });
+    db.touchpoints.set('tp-2', { id: 'tp-2', journeyId: 'journey-2', journey: { clientId: 'client-2' }, config: {} });
+  });
+
+  const request = (path, { method = 'GET', headers = {}, body } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  /**
+   * Share a link the way the touchpoint list does
+   */
+  async function shareLink(journeyId) {
+    const accessToken = issueAccessToken(db.users.get('editor-1'));
+    const res = await request(`/journeys/${journeyId}/review-link`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    expect(res.status).toBe(201);
+    return (await res.json()).token;
+  }
+
+  it('loads the journey and its touchpoints and saves notes with a review link', async () => {
+    const reviewHeaders = { 'X-Review-Token': await shareLink('journey-1') };
+
+    const journey = await request('/journeys/journey-1', { headers: reviewHeaders });
+    expect(journey.status).toBe(200);
+    expect((await journey.json()).name).toBe('Welcome');
+
+    const touchpoints = await request('/touchpoints?journeyId=journey-1', { headers: reviewHeaders });
+    expect(touchpoints.status).toBe(200);
+    expect((await touchpoints.json()).map(tp => tp.id)).toEqual(['tp-1']);
+
+    const note = await request('/touchpoints/tp-1/note', { method: 'POST', headers: reviewHeaders, body: { note: 'Looks good' } });
+    expect(note.status).toBe(200);
+    expect(db.touchpoints.get('tp-1').config.clientNote).toBe('Looks good');
+  });
+
+  it('requires a review link or a signed-in user', async () => {
+    expect((await request('/journeys/journey-1')).status).toBe(401);
+    expect((await request('/touchpoints?journeyId=journey-1')).status).toBe(401);
+    expect((await request('/touchpoints/tp-1/note', { method: 'POST', body: { note: 'Hi' } })).status).toBe(401);
+    expect((await request('/journeys/journey-1', { headers: { 'X-Review-Token': 'forged' } })).status).toBe(401);
+    expect(db.touchpoints.get('tp-1').config.clientNote).toBeUndefined();
+  });
+
+  it('only opens the journey the link was shared for', async () => {
+    const reviewHeaders = { 'X-Review-Token': await shareLink('journey-1') };
+
+    expect((await request('/journeys/journey-2', { headers: reviewHeaders })).status).toBe(403);
+    expect((await request('/touchpoints?journeyId=journey-2', { headers: reviewHeaders })).status).toBe(403);
+    expect((await request('/touchpoints', { headers: reviewHeaders })).status).toBe(403);
+    expect((await request('/touchpoints/tp-2/note', { method: 'POST', headers: reviewHeaders, body: { note: 'Hi' } })).status).toBe(403);
+    expect(db.touchpoints.get('tp-2').config.clientNote).toBeUndefined();
+  });
+
+  it('does not open other routes', async () => {
+    const reviewHeaders = { 'X-Review-Token': await shareLink('journey-1') };
+
+    expect((await request('/journeys/journey-1/versions', { headers: reviewHeaders })).status).toBe(401);
+    expect((await request('/touchpoints/tp-1', { method: 'PUT', headers: reviewHeaders, body: { name: 'Renamed' } })).status).toBe(401);
+  });
+
+  it('only lets users who can edit the journey share it', async () => {
+    const accessToken = issueAccessToken(db.users.get('editor-1'));
+    const res = await request('/journeys/journey-2/review-link', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -1,6 +1,10 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, can, clientScope } from '../services/access-control.js';
+import { JOURNEY_STATUSES, transitionJourneyStatus } from '../services/journey-status.js';
+import { approvalPolicySchema, policyFromSettings } from '../services/approval-policy.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -29,8 +33,87 @@ const bulkActionSchema = z.object({
   }).optional()
 });
 
+// Permission each bulk action needs on every client it touches
+const BULK_ACTION_PERMISSIONS = {
+  pause_journeys: Actions.PUBLISH,
+  publish_journeys: Actions.PUBLISH,
+  activate: Actions.MANAGE,
+  deactivate: Actions.MANAGE,
+  sync: Actions.UPDATE
+};
+
+const JOURNEY_STATUS_ACTIONS = {
+  approved: Actions.APPROVE,
+  rejected: Actions.APPROVE,
+  published: Actions.PUBLISH
+};
+
+const clientById = clientFrom.param('id');
+
+// Explicit clientIds are checked up front; filter-based selections are
+// narrowed to permitted clients inside the handler
+const bulkClientIds = req => (req.body?.clientIds?.length ? req.body.clientIds : undefined);
+
+/**
+ * Move every journey of a client that is in `from` to `to` through the
+ * status state machine. Journeys the state machine refuses (validation
+ * errors, missing approval) are reported and the rest still move.
+ * @returns {Promise<{ moved: number, failed: Object[] }>}
+ */
+async function transitionClientJourneys(req, clientId, from, to, reason) {
+  const journeys = await prisma.journey.findMany({
+    where: { clientId, status: from },
+    select: { id: true }
+  });
+
+  let moved = 0;
+  const failed = [];
+  for (const { id } of journeys) {
+    try {
+      await transitionJourneyStatus(id, to, { user: req.user, reason, ipAddress: req.ip });
+      moved++;
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      failed.push({ clientId, journeyId: id, error: err.message, ...(err.details && { details: err.details }) });
+    }
+  }
+  return { moved, failed };
+}
+
+/**
+ * Run a journey bulk action for each client, counting a client as failed
+ * when any of its journeys could not be moved
+ */
+async function bulkTransition(req, results, clientIds, from, to, reason) {
+  for (const clientId of clientIds) {
+    try {
+      const { failed } = await transitionClientJourneys(req, clientId, from, to, reason);
+      if (failed.length > 0) {
+        results.failed++;
+        results.errors.push(...failed);
+      } else {
+        results.processed++;
+      }
+    } catch (err) {
+      results.failed++;
+      results.errors.push({ clientId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Clients owning the journeys in a bulk status update
+ */
+async function bulkJourneyClients(req) {
+  const journeys = await prisma.journey.findMany({
+    where: { id: { in: req.body?.journeyIds || [] } },
+    select: { clientId: true }
+  });
+  return [...new Set(journeys.map(j => j.clientId))];
+}
+
 // GET /api/clients
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('clients', Actions.READ), async (req, res, next) => {
   try {
     const { status, search } = req.query;
     
@@ -44,7 +127,7 @@ router.get('/', async (req, res, next) => {
     }
 
     const clients = await prisma.client.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user, { field: 'id' })] },
       orderBy: { createdAt: 'desc' },
       include: {
         _count: {
@@ -60,7 +143,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/clients/:slug
-router.get('/:slug', async (req, res, next) => {
+router.get('/:slug', authorize('clients', Actions.READ, clientFrom.record('client', { param: 'slug', field: 'slug', path: 'id' })), async (req, res, next) => {
   try {
     const { slug } = req.params;
     
@@ -90,9 +173,12 @@ router.get('/:slug', async (req, res, next) => {
 });
 
 // POST /api/clients
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('clients', Actions.MANAGE), async (req, res, next) => {
   try {
     const data = clientSchema.parse(req.body);
+    if (data.settings.approvalPolicy) {
+      data.settings.approvalPolicy = approvalPolicySchema.parse(data.settings.approvalPolicy);
+    }
     
     const client = await prisma.client.create({
       data: {
@@ -107,11 +193,27 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// PUT /api/clients/:id
-router.put('/:id', async (req, res, next) => {
+// PUT /api/clients/:id - settings.approvalPolicy is kept as stored; it is
+// changed only through PUT /:id/approval-policy, which needs manage rights
+router.put('/:id', authorize('clients', Actions.UPDATE, clientById), async (req, res, next) => {
   try {
     const { id } = req.params;
     const data = clientSchema.partial().parse(req.body);
+
+    if (data.settings) {
+      const current = await prisma.client.findUnique({
+        where: { id },
+        select: { settings: true }
+      });
+
+      if (!current) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      const { approvalPolicy, ...settings } = data.settings;
+      const storedPolicy = current.settings?.approvalPolicy;
+      data.settings = storedPolicy ? { ...settings, approvalPolicy: storedPolicy } : settings;
+    }
     
     const client = await prisma.client.update({
       where: { id },
@@ -125,7 +227,7 @@ router.put('/:id', async (req, res, next) => {
 });
 
 // DELETE /api/clients/:id
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('clients', Actions.MANAGE, clientById), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -140,7 +242,7 @@ router.delete('/:id', async (req, res, next) => {
 });
 
 // GET /api/clients/:id/stats
-router.get('/:id/stats', async (req, res, next) => {
+router.get('/:id/stats', authorize('clients', Actions.READ, clientById), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -179,10 +281,56 @@ router.get('/:id/stats', async (req, res, next) => {
   }
 });
 
+// GET /api/clients/:id/approval-policy
+router.get('/:id/approval-policy', authorize('clients', Actions.READ, clientById), async (req, res, next) => {
+  try {
+    const client = await prisma.client.findUnique({
+      where: { id: req.params.id },
+      select: { settings: true }
+    });
+
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(policyFromSettings(client.settings));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/clients/:id/approval-policy - Stored in Client.settings.approvalPolicy;
+// applies to review requests made from now on
+router.put('/:id/approval-policy', authorize('clients', Actions.MANAGE, clientById), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const policy = approvalPolicySchema.parse(req.body);
+
+    const client = await prisma.client.findUnique({
+      where: { id },
+      select: { settings: true }
+    });
+
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    await prisma.client.update({
+      where: { id },
+      data: { settings: { ...(client.settings || {}), approvalPolicy: policy } }
+    });
+
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/clients/health - Get health status for all clients
-router.get('/health/all', async (req, res, next) => {
+router.get('/health/all', authorize('clients', Actions.READ), async (req, res, next) => {
   try {
     const clients = await prisma.client.findMany({
+      where: clientScope(req.user, { field: 'id' }),
       select: {
         id: true,
         slug: true,
@@ -283,7 +431,7 @@ router.get('/health/all', async (req, res, next) => {
 });
 
 // GET /api/clients/:id/health - Get detailed health status for a client
-router.get('/:id/health', async (req, res, next) => {
+router.get('/:id/health', authorize('clients', Actions.READ, clientById), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -375,7 +523,7 @@ router.get('/:id/health', async (req, res, next) => {
 });
 
 // POST /api/clients/bulk-action - Perform bulk actions on clients
-router.post('/bulk-action', async (req, res, next) => {
+router.post('/bulk-action', authorize('clients', req => BULK_ACTION_PERMISSIONS[req.body?.action] || Actions.MANAGE, bulkClientIds), async (req, res, next) => {
   try {
     const { clientIds, action, filters } = bulkActionSchema.parse(req.body);
     
@@ -393,7 +541,9 @@ router.post('/bulk-action', async (req, res, next) => {
         select: { id: true }
       });
       
-      targetClientIds = filteredClients.map(c => c.id);
+      targetClientIds = filteredClients
+        .map(c => c.id)
+        .filter(id => can(req.user, 'clients', BULK_ACTION_PERMISSIONS[action], id));
     }
 
     if (targetClientIds.length === 0) {
@@ -412,43 +562,12 @@ router.post('/bulk-action', async (req, res, next) => {
     switch (action) {
       case 'pause_journeys':
         // Pause all published journeys for selected clients
-        for (const clientId of targetClientIds) {
-          try {
-            await prisma.journey.updateMany({
-              where: {
-                clientId,
-                status: 'published'
-              },
-              data: { status: 'draft' }
-            });
-            results.processed++;
-          } catch (err) {
-            results.failed++;
-            results.errors.push({ clientId, error: err.message });
-          }
-        }
+        await bulkTransition(req, results, targetClientIds, 'published', 'draft', 'Bulk pause');
         break;
 
       case 'publish_journeys':
-        // Publish all approved journeys for selected clients
-        for (const clientId of targetClientIds) {
-          try {
-            await prisma.journey.updateMany({
-              where: {
-                clientId,
-                status: 'approved'
-              },
-              data: {
-                status: 'published',
-                publishedAt: new Date()
-              }
-            });
-            results.processed++;
-          } catch (err) {
-            results.failed++;
-            results.errors.push({ clientId, error: err.message });
-          }
-        }
+        // Publish all approved journeys for selected clients that pass validation
+        await bulkTransition(req, results, targetClientIds, 'approved', 'published', 'Bulk publish');
         break;
 
       case 'activate':
@@ -514,29 +633,41 @@ router.post('/bulk-action', async (req, res, next) => {
 });
 
 // POST /api/journeys/bulk-status - Bulk update journey statuses
-router.post('/journeys/bulk-status', async (req, res, next) => {
+router.post('/journeys/bulk-status', authorize('journeys', req => JOURNEY_STATUS_ACTIONS[req.body?.status] || Actions.UPDATE, bulkJourneyClients), async (req, res, next) => {
   try {
-    const { journeyIds, status } = z.object({
+    const { journeyIds, status, reason } = z.object({
       journeyIds: z.array(z.string()),
-      status: z.enum(['draft', 'client_review', 'approved', 'published', 'rejected', 'archived'])
+      status: z.enum(JOURNEY_STATUSES),
+      reason: z.string().max(2000).optional()
     }).parse(req.body);
 
-    const updateData = { status };
-    if (status === 'published') {
-      updateData.publishedAt = new Date();
-    }
-    if (status === 'approved') {
-      updateData.approvedAt = new Date();
+    // Each journey goes through the state machine; illegal moves are
+    // reported per journey instead of failing the batch. Approvals the
+    // policy still needs more sign-offs for are reported as pending
+    let updatedCount = 0;
+    const failed = [];
+    const pending = [];
+    for (const journeyId of journeyIds) {
+      try {
+        const result = await transitionJourneyStatus(journeyId, status, { user: req.user, reason, ipAddress: req.ip });
+        if (!result) {
+          failed.push({ journeyId, error: 'Journey not found' });
+        } else if (result.pending) {
+          pending.push({ journeyId, outcome: result.outcome });
+        } else {
+          updatedCount++;
+        }
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        failed.push({ journeyId, error: err.message, ...(err.details && { details: err.details }) });
+      }
     }
 
-    const result = await prisma.journey.updateMany({
-      where: { id: { in: journeyIds } },
-      data: updateData
-    });
-
     res.json({
-      success: true,
-      updatedCount: result.count,
+      success: failed.length === 0,
+      updatedCount,
+      failed,
+      pending,
       status,
       updatedAt: new Date().toISOString()
     });
@@ -0,0 +1,118 @@
+/**
+ * Bulk journey status changes on the clients router
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+const journeys = vi.hoisted(() => new Map());
+
+vi.mock('@bloom/data', () => {
+  const matches = (journey, where = {}) => Object.entries(where).every(([field, value]) =>
+    (value && typeof value === 'object' && 'in' in value) ? value.in.includes(journey[field]) : journey[field] === value
+  );
+
+  const prisma = {
+    journey: {
+      findMany: vi.fn(async ({ where }) => [...journeys.values()].filter(journey => matches(journey, where))),
+      findUnique: vi.fn(async ({ where }) => journeys.get(where.id) || null),
+      update: vi.fn(async ({ where, data }) => {
+        const updated = { ...journeys.get(where.id), ...data };
+        journeys.set(where.id, updated);
+        return updated;
+      })
+    },
+    approval: {
+      findFirst: vi.fn(async () => ({ id: 'ap1', status: 'approved', decisions: [] })),
+      create: vi.fn(async ({ data }) => ({ id: 'ap2', ...data }))
+    },
+    fieldMapping: { findMany: vi.fn(async () => []) },
+    auditLog: { create: vi.fn(async ({ data }) => data) },
+    outboundWebhook: { findMany: vi.fn(async () => []) }
+  };
+  prisma.$transaction = vi.fn(callback => callback(prisma));
+
+  return { PrismaClient: vi.fn(() => prisma) };
+});
+
+import { clientsRouter } from './clients.js';
+
+const approver = { id: 'u1', email: 'amy@bloom.test', role: 'viewer', permissions: {}, clientRoles: { c1: 'approver' } };
+
+const email = (id, subject) => ({
+  id,
+  name: `Email ${id}`,
+  type: 'email',
+  orderIndex: 0,
+  content: { ...(subject && { subject }), body: '<p>Hi {{unsubscribe_link}}</p>' },
+  config: {}
+});
+
+const journey = (id, status, subject) => ({
+  id,
+  clientId: 'c1',
+  name: `Journey ${id}`,
+  status,
+  touchpoints: [email(`${id}-t1`, subject)],
+  edges: []
+});
+
+describe('bulk journey status changes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => { req.user = approver; next(); });
+    app.use('/api/clients', clientsRouter);
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/clients`;
+  });
+
+  afterAll(() => new Promise(done => server.close(done)));
+
+  beforeEach(() => {
+    journeys.clear();
+  });
+
+  const post = async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('does not send journeys that fail validation to review', async () => {
+    journeys.set('j1', journey('j1', 'draft', 'Welcome'));
+    journeys.set('j2', journey('j2', 'draft', null));
+
+    const { status, body } = await post('/journeys/bulk-status', { journeyIds: ['j1', 'j2'], status: 'client_review' });
+
+    expect(status).toBe(200);
+    expect(body.updatedCount).toBe(1);
+    expect(body.failed).toEqual([expect.objectContaining({
+      journeyId: 'j2',
+      details: expect.objectContaining({ validation: expect.objectContaining({ valid: false }) })
+    })]);
+    expect(journeys.get('j1').status).toBe('client_review');
+    expect(journeys.get('j2').status).toBe('draft');
+  });
+
+  it('publishes only the approved journeys that pass validation', async () => {
+    journeys.set('j3', journey('j3', 'approved', 'Welcome'));
+    journeys.set('j4', journey('j4', 'approved', null));
+
+    const { body } = await post('/bulk-action', { clientIds: ['c1'], action: 'publish_journeys' });
+
+    expect(body.success).toBe(false);
+    expect(body.errors).toEqual([expect.objectContaining({ clientId: 'c1', journeyId: 'j4' })]);
+    expect(journeys.get('j3').status).toBe('published');
+    expect(journeys.get('j4').status).toBe('approved');
+  });
+});
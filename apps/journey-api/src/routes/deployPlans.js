@@ -0,0 +1,73 @@
+/**
+ * Deploy Plan Routes
+ * Plans the sync engine wrote with `deploy --plan-out`, and their sign-off.
+ * Mounted with per-route authorization against the plan's client.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
+import {
+  DEPLOY_PLAN_DECISIONS,
+  DEPLOY_PLAN_STATUSES,
+  getDeployPlan,
+  listDeployPlans,
+  reviewDeployPlan
+} from '../services/deploy-plans.js';
+
+const router = Router();
+
+const planClient = clientFrom.record('deployPlan');
+
+const listQuerySchema = z.object({
+  clientId: z.string().optional(),
+  journeyId: z.string().optional(),
+  status: z.enum(DEPLOY_PLAN_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+const reviewSchema = z.object({
+  decision: z.enum(DEPLOY_PLAN_DECISIONS),
+  note: z.string().max(2000).optional()
+});
+
+// GET /api/deploy-plans - Plans, newest first, with their operation counts
+// Query: clientId, journeyId, status (pending, approved, rejected, applied), limit
+router.get('/', authorize('journeys', Actions.READ, clientFrom.query()), async (req, res, next) => {
+  try {
+    const filters = listQuerySchema.parse(req.query);
+    res.json({ plans: await listDeployPlans({ ...filters, scope: clientScope(req.user) }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/deploy-plans/:id - One plan with its operations
+router.get('/:id', authorize('journeys', Actions.READ, planClient), async (req, res, next) => {
+  try {
+    const plan = await getDeployPlan(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Deploy plan not found' });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/deploy-plans/:id/review - Sign a plan off or reject it
+// Body: { decision: 'approved' | 'rejected', note }
+router.post('/:id/review', authorize('journeys', Actions.APPROVE, planClient), async (req, res, next) => {
+  try {
+    const { decision, note } = reviewSchema.parse(req.body);
+    const plan = await reviewDeployPlan(req.params.id, req.user, { decision, note, ipAddress: req.ip });
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as deployPlansRouter };
@@ -1,10 +1,17 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions } from '../services/access-control.js';
+import { createGHLClient } from '../services/ghl-client.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
+// Every mapping route is nested under its client, and handlers already
+// match mappings on (id, clientId), so the path param decides access
+const mappingClient = clientFrom.param('clientId');
+
 // Field type definitions
 const FIELD_TYPES = [
   'TEXT',
@@ -101,7 +108,7 @@ const bulkMappingSchema = z.object({
 });
 
 // GET /api/clients/:clientId/field-mappings - Get all field mappings for a client
-router.get('/clients/:clientId/field-mappings', async (req, res, next) => {
+router.get('/clients/:clientId/field-mappings', authorize('field-mappings', Actions.READ, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { targetSystem, isActive } = req.query;
@@ -143,7 +150,7 @@ router.get('/clients/:clientId/field-mappings', async (req, res, next) => {
 });
 
 // GET /api/clients/:clientId/field-mappings/:id - Get a specific field mapping
-router.get('/clients/:clientId/field-mappings/:id', async (req, res, next) => {
+router.get('/clients/:clientId/field-mappings/:id', authorize('field-mappings', Actions.READ, mappingClient), async (req, res, next) => {
   try {
     const { clientId, id } = req.params;
 
@@ -162,7 +169,7 @@ router.get('/clients/:clientId/field-mappings/:id', async (req, res, next) => {
 });
 
 // POST /api/clients/:clientId/field-mappings - Create a new field mapping
-router.post('/clients/:clientId/field-mappings', async (req, res, next) => {
+router.post('/clients/:clientId/field-mappings', authorize('field-mappings', Actions.CREATE, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const data = fieldMappingSchema.parse(req.body);
@@ -213,7 +220,7 @@ router.post('/clients/:clientId/field-mappings', async (req, res, next) => {
 });
 
 // POST /api/clients/:clientId/field-mappings/bulk - Create multiple field mappings
-router.post('/clients/:clientId/field-mappings/bulk', async (req, res, next) => {
+router.post('/clients/:clientId/field-mappings/bulk', authorize('field-mappings', Actions.CREATE, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { mappings } = bulkMappingSchema.parse(req.body);
@@ -291,7 +298,7 @@ router.post('/clients/:clientId/field-mappings/bulk', async (req, res, next) =>
 });
 
 // PUT /api/clients/:clientId/field-mappings/:id - Update a field mapping
-router.put('/clients/:clientId/field-mappings/:id', async (req, res, next) => {
+router.put('/clients/:clientId/field-mappings/:id', authorize('field-mappings', Actions.UPDATE, mappingClient), async (req, res, next) => {
   try {
     const { clientId, id } = req.params;
     const data = fieldMappingSchema.partial().parse(req.body);
@@ -323,7 +330,7 @@ router.put('/clients/:clientId/field-mappings/:id', async (req, res, next) => {
 });
 
 // DELETE /api/clients/:clientId/field-mappings/:id - Delete a field mapping
-router.delete('/clients/:clientId/field-mappings/:id', async (req, res, next) => {
+router.delete('/clients/:clientId/field-mappings/:id', authorize('field-mappings', Actions.DELETE, mappingClient), async (req, res, next) => {
   try {
     const { clientId, id } = req.params;
 
@@ -358,7 +365,7 @@ router.get('/field-mappings/metadata', async (req, res) => {
 });
 
 // POST /api/clients/:clientId/field-mappings/validate - Validate data against mappings
-router.post('/clients/:clientId/field-mappings/validate', async (req, res, next) => {
+router.post('/clients/:clientId/field-mappings/validate', authorize('field-mappings', Actions.READ, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { data } = req.body;
@@ -429,7 +436,7 @@ router.post('/clients/:clientId/field-mappings/validate', async (req, res, next)
 });
 
 // POST /api/clients/:clientId/field-mappings/transform - Transform data according to mappings
-router.post('/clients/:clientId/field-mappings/transform', async (req, res, next) => {
+router.post('/clients/:clientId/field-mappings/transform', authorize('field-mappings', Actions.READ, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { data, targetSystem = 'gohighlevel' } = req.body;
@@ -505,11 +512,25 @@ router.post('/clients/:clientId/field-mappings/transform', async (req, res, next
   }
 });
 
-// POST /api/clients/:clientId/field-mappings/sync-ghl - Sync custom fields from GoHighLevel
-router.post('/clients/:clientId/field-mappings/sync-ghl', async (req, res, next) => {
+// POST /api/clients/:clientId/field-mappings/sync-ghl - Sync custom fields from GoHighLevel.
+// Uses the posted customFields, or fetches them from the client's GHL location when omitted.
+router.post('/clients/:clientId/field-mappings/sync-ghl', authorize('field-mappings', Actions.UPDATE, mappingClient), async (req, res, next) => {
   try {
     const { clientId } = req.params;
-    const { customFields } = req.body;
+    let { customFields } = req.body;
+
+    if (customFields === undefined) {
+      const client = await prisma.client.findUnique({
+        where: { id: clientId },
+        select: { ghlLocationId: true }
+      });
+
+      if (!client?.ghlLocationId) {
+        return res.status(400).json({ error: 'customFields array is required when the client has no GHL location' });
+      }
+
+      customFields = await createGHLClient().getCustomFields(client.ghlLocationId);
+    }
 
     if (!Array.isArray(customFields)) {
       return res.status(400).json({ error: 'customFields array is required' });
@@ -3,7 +3,7 @@
  * @vitest-environment node
  */
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 const prisma = new PrismaClient();
 let dbAvailable = false;
@@ -1,6 +1,17 @@
+import crypto from 'crypto';
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
+import { exportComparison } from '@bloom/data/version-compare';
 import { z } from 'zod';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
+import { normalizeEdge, validateGraph, getJourneyGraph, saveJourneyGraph } from '../services/journey-graph.js';
+import { validateJourneyById } from '../services/journey-validator.js';
+import { snapshotJourney, restoreJourneyVersion, diffJourneyVersions } from '../services/journey-versions.js';
+import { JOURNEY_STATUSES, assertEditable, changesContent, checkTransition, transitionJourneyStatus } from '../services/journey-status.js';
+import { listApprovals, decideApproval } from '../services/approvals.js';
+import { assignHoldoutGroup } from '../services/journey-holdout.js';
+import { createReviewLink } from '../services/review-links.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -13,14 +24,76 @@ const journeySchema = z.object({
   slug: z.string().optional(),
   description: z.string().optional(),
   category: z.enum(['wedding', 'corporate', 'event', 'inquiry', 'nurture', 'retention', 'reactivation']).optional(),
-  status: z.enum(['draft', 'client_review', 'approved', 'published', 'rejected', 'archived']).default('draft'),
+  status: z.enum(JOURNEY_STATUSES).default('draft'),
   triggerConfig: z.record(z.any()).optional(),
   goal: z.string().optional(),
-  metadata: z.record(z.any()).default({})
+  metadata: z.record(z.any()).default({}),
+  holdoutPercentage: z.number().min(0).max(50).optional(),
+  holdoutConfig: z.object({
+    conversionStages: z.array(z.string()).optional(),
+    countAppointments: z.boolean().optional(),
+    attributionWindowDays: z.number().int().min(1).max(365).optional()
+  }).optional()
 });
 
+// Moving a journey to approved/rejected or published needs more than edit rights
+const STATUS_ACTIONS = {
+  approved: Actions.APPROVE,
+  rejected: Actions.APPROVE,
+  published: Actions.PUBLISH
+};
+
+const statusAction = (fallback) => (req) => STATUS_ACTIONS[req.body?.status] || fallback;
+
+const journeyClient = clientFrom.record('journey');
+
+// What a client review link sees of a journey: no client settings, versions
+// or approvals
+const reviewLinkInclude = {
+  client: { select: { id: true, name: true, slug: true } },
+  touchpoints: { orderBy: { orderIndex: 'asc' } }
+};
+
+const rejectTransition = (res, from, to, { message, allowedTransitions }) => res.status(409).json({
+  error: 'Invalid status transition',
+  message,
+  currentStatus: from,
+  requestedStatus: to,
+  allowedTransitions
+});
+
+/**
+ * Check a status change against the transition table before anything is
+ * written. transitionJourneyStatus checks it again along with the caller's
+ * role, the validator and the approval guards.
+ * @returns {boolean} true when a rejection was sent
+ */
+function rejectStatusChange(res, from, to) {
+  const transition = checkTransition(from, to);
+  if (!transition.allowed) {
+    rejectTransition(res, from, to, transition);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Describe a transitionJourneyStatus result for a response. A pending
+ * transition recorded the caller's decision but the approval policy needs
+ * more sign-offs before the journey moves.
+ */
+function transitionSummary({ from, approval, version, pending, outcome }, to) {
+  return {
+    from,
+    to,
+    approvalId: approval?.id || null,
+    version,
+    ...(pending && { pending: true, outcome })
+  };
+}
+
 // GET /api/journeys
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('journeys', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, clientSlug, status, category, search } = req.query;
     
@@ -52,7 +125,7 @@ router.get('/', async (req, res, next) => {
     }
 
     const journeys = await prisma.journey.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user)] },
       orderBy: { updatedAt: 'desc' },
       include: {
         client: {
@@ -74,13 +147,13 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/journeys/:id
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     const journey = await prisma.journey.findUnique({
       where: { id },
-      include: {
+      include: req.reviewLink ? reviewLinkInclude : {
         client: true,
         pipeline: true,
         touchpoints: {
@@ -108,9 +181,18 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/journeys
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('journeys', statusAction(Actions.CREATE), clientFrom.body()), async (req, res, next) => {
   try {
     const data = journeySchema.parse(req.body);
+
+    if (data.status !== 'draft') {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: 'New journeys start as draft; change the status with PUT /api/journeys/:id/status',
+        requestedStatus: data.status,
+        allowedTransitions: ['draft']
+      });
+    }
     
     const journey = await prisma.$transaction(async (tx) => {
       // Create journey with slug
@@ -146,10 +228,10 @@ router.post('/', async (req, res, next) => {
 });
 
 // PUT /api/journeys/:id
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('journeys', statusAction(Actions.UPDATE), clientFrom.all(journeyClient, clientFrom.body())), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { version, ...updateData } = req.body;
+    const { version, reason, ...updateData } = req.body;
     
     // Validate update data (excluding version)
     const data = journeySchema.partial().parse(updateData);
@@ -188,69 +270,146 @@ router.put('/:id', async (req, res, next) => {
       });
     }
 
-    // Increment version on successful update
-    const journey = await prisma.journey.update({
-      where: { id },
-      data: {
-        ...data,
-        version: { increment: 1 }
+    const include = {
+      client: {
+        select: { id: true, name: true, slug: true }
       },
-      include: {
-        client: {
-          select: { id: true, name: true, slug: true }
-        },
-        pipeline: {
-          select: { id: true, name: true }
-        },
-        _count: {
-          select: { touchpoints: true }
-        }
+      pipeline: {
+        select: { id: true, name: true }
+      },
+      _count: {
+        select: { touchpoints: true }
       }
+    };
+
+    // Increment version on successful update
+    const { status, ...fields } = data;
+    const changes = { ...fields, version: { increment: 1 } };
+
+    if (!status || status === currentJourney.status) {
+      if (changesContent(fields)) assertEditable(currentJourney);
+      const journey = await prisma.journey.update({ where: { id }, data: changes, include });
+      return res.json(journey);
+    }
+
+    // Status changes go through the state machine, which writes the other
+    // fields in the same transaction
+    if (rejectStatusChange(res, currentJourney.status, status)) return;
+
+    const result = await transitionJourneyStatus(id, status, {
+      user: req.user,
+      reason,
+      ipAddress: req.ip,
+      changes
     });
+    const journey = await prisma.journey.findUnique({ where: { id }, include });
 
-    res.json(journey);
+    res.status(result.pending ? 202 : 200).json({
+      ...journey,
+      transition: transitionSummary(result, status)
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // PUT /api/journeys/:id/status
-router.put('/:id/status', async (req, res, next) => {
+// Body: { status, reason? }. 409 lists the allowed transitions when the move
+// is not in the table or its Approval guard fails.
+router.put('/:id/status', authorize('journeys', statusAction(Actions.UPDATE), journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = z.object({
-      status: z.enum(['draft', 'client_review', 'approved', 'published', 'rejected', 'archived'])
+    const { status, reason } = z.object({
+      status: z.enum(JOURNEY_STATUSES),
+      reason: z.string().max(2000).optional()
     }).parse(req.body);
 
-    const updateData = { status };
-    
-    if (status === 'published') {
-      updateData.publishedAt = new Date();
+    const current = await prisma.journey.findUnique({ where: { id } });
+    if (!current) {
+      return res.status(404).json({ error: 'Journey not found' });
     }
-    if (status === 'approved') {
-      updateData.approvedAt = new Date();
+    if (current.status === status) {
+      return res.json(current);
     }
-    
-    const journey = await prisma.journey.update({
-      where: { id },
-      data: updateData
+
+    if (rejectStatusChange(res, current.status, status)) return;
+
+    const result = await transitionJourneyStatus(id, status, {
+      user: req.user,
+      reason,
+      ipAddress: req.ip
     });
 
-    res.json(journey);
+    res.status(result.pending ? 202 : 200).json({
+      ...result.journey,
+      transition: transitionSummary(result, status)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/journeys/:id/approvals - Approval requests with each approver's
+// decision and the client's policy outcome
+router.get('/:id/approvals', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    res.json(await listApprovals(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/journeys/:id/approvals/decisions - Record the caller's decision;
+// the journey moves once the approval policy is satisfied
+router.post('/:id/approvals/decisions', authorize('journeys', Actions.APPROVE, journeyClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { decision, comments } = z.object({
+      decision: z.enum(['approved', 'rejected']),
+      comments: z.string().max(2000).optional()
+    }).parse(req.body);
+
+    const result = await decideApproval(id, req.user, { decision, comments, ipAddress: req.ip });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/journeys/:id/review-link - Shareable client review link
+// Returns { url, token, expiresAt }. The link can read the journey and its
+// touchpoints and save touchpoint notes, for this journey only.
+router.post('/:id/review-link', authorize('journeys', Actions.UPDATE, journeyClient), async (req, res, next) => {
+  try {
+    const journey = await prisma.journey.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+
+    if (!journey) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    res.status(201).json(createReviewLink(journey.id, { issuedBy: req.user.id }));
   } catch (error) {
     next(error);
   }
 });
 
 // POST /api/journeys/:id/duplicate
-router.post('/:id/duplicate', async (req, res, next) => {
+router.post('/:id/duplicate', authorize('journeys', Actions.CREATE, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
     
     const sourceJourney = await prisma.journey.findUnique({
       where: { id },
-      include: { touchpoints: true }
+      include: { touchpoints: true, edges: true }
     });
 
     if (!sourceJourney) {
@@ -273,10 +432,13 @@ router.post('/:id/duplicate', async (req, res, next) => {
         }
       });
 
-      // Duplicate touchpoints
+      // Duplicate touchpoints with fresh IDs so the graph can be remapped
+      const newIds = new Map(sourceJourney.touchpoints.map(tp => [tp.id, crypto.randomUUID()]));
+
       if (sourceJourney.touchpoints.length > 0) {
         await tx.touchpoint.createMany({
           data: sourceJourney.touchpoints.map((tp, index) => ({
+            id: newIds.get(tp.id),
             journeyId: newJourney.id,
             name: tp.name,
             type: tp.type,
@@ -285,11 +447,23 @@ router.post('/:id/duplicate', async (req, res, next) => {
             config: tp.config,
             position: tp.position,
             ghlTemplateId: tp.ghlTemplateId,
+            nextTouchpointId: newIds.get(tp.nextTouchpointId) || null,
             status: 'draft'
           }))
         });
       }
 
+      if (sourceJourney.edges.length > 0) {
+        await tx.touchpointEdge.createMany({
+          data: sourceJourney.edges.map(({ id: _id, createdAt, updatedAt, ...edge }) => ({
+            ...edge,
+            journeyId: newJourney.id,
+            sourceId: newIds.get(edge.sourceId),
+            targetId: newIds.get(edge.targetId)
+          }))
+        });
+      }
+
       return newJourney;
     });
 
@@ -300,7 +474,7 @@ router.post('/:id/duplicate', async (req, res, next) => {
 });
 
 // DELETE /api/journeys/:id
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('journeys', Actions.DELETE, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -314,8 +488,90 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
+// GET /api/journeys/:id/graph - Touchpoints and the links between them
+router.get('/:id/graph', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    const graph = await getJourneyGraph(req.params.id);
+
+    if (!graph) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    res.json(graph);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/journeys/:id/graph - Replace the journey's links
+router.put('/:id/graph', authorize('journeys', Actions.UPDATE, journeyClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { edges } = z.object({
+      edges: z.array(z.object({
+        sourceId: z.string(),
+        targetId: z.string(),
+        branch: z.string().optional(),
+        label: z.string().nullish(),
+        condition: z.string().nullish(),
+        orderIndex: z.number().int().optional()
+      }))
+    }).parse(req.body);
+
+    const journey = await prisma.journey.findUnique({
+      where: { id },
+      select: { status: true, touchpoints: { select: { id: true, name: true, type: true } } }
+    });
+
+    if (!journey) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+    assertEditable(journey);
+
+    const normalized = edges.map(normalizeEdge);
+    const errors = validateGraph(journey.touchpoints, normalized);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid journey graph', details: errors });
+    }
+
+    const saved = await saveJourneyGraph(id, normalized);
+
+    res.json({ journeyId: id, edges: saved, derived: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/journeys/:id/enrollments - Ask whether a contact may enroll
+// Body: { contactId } (GHL contact ID). Contacts in the journey's holdout get
+// enroll: false; the group is recorded so conversions can be compared.
+router.post('/:id/enrollments', authorize('journeys', Actions.UPDATE, journeyClient), async (req, res, next) => {
+  try {
+    const { contactId } = z.object({ contactId: z.string().min(1) }).parse(req.body);
+    const result = await assignHoldoutGroup(req.params.id, contactId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/journeys/:id/validate - Lint the journey's graph and content
+router.post('/:id/validate', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    const result = await validateJourneyById(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/journeys/:id/versions
-router.get('/:id/versions', async (req, res, next) => {
+router.get('/:id/versions', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -331,51 +587,86 @@ router.get('/:id/versions', async (req, res, next) => {
 });
 
 // POST /api/journeys/:id/versions
-router.post('/:id/versions', async (req, res, next) => {
+router.post('/:id/versions', authorize('journeys', Actions.UPDATE, journeyClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { changeLog, createdBy } = req.body;
-    
-    const journey = await prisma.journey.findUnique({
-      where: { id },
-      include: { touchpoints: true }
-    });
 
-    if (!journey) {
+    const version = await snapshotJourney(id, { changeLog, createdBy: createdBy || req.user?.email });
+
+    if (version === null) {
       return res.status(404).json({ error: 'Journey not found' });
     }
 
-    const version = await prisma.$transaction(async (tx) => {
-      const newVersion = journey.version + 1;
-      
-      await tx.journeyVersion.create({
-        data: {
-          journeyId: id,
-          version: newVersion,
-          snapshot: {
-            journey: {
-              name: journey.name,
-              description: journey.description,
-              category: journey.category,
-              triggerConfig: journey.triggerConfig,
-              goal: journey.goal
-            },
-            touchpoints: journey.touchpoints
-          },
-          createdBy,
-          changeLog
-        }
-      });
+    res.status(201).json({ version });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      await tx.journey.update({
-        where: { id },
-        data: { version: newVersion }
-      });
+// GET /api/journeys/:id/versions/diff?from=&to=&format= - What changed between two versions.
+// `from` defaults to the last approved version, `to` to the journey as it is now.
+router.get('/:id/versions/diff', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    const versionRef = (special) => z.union([z.literal(special), z.coerce.number().int().positive()]).default(special);
+    const { from, to, format } = z.object({
+      from: versionRef('approved'),
+      to: versionRef('current'),
+      format: z.enum(['json', 'html', 'markdown']).default('json')
+    }).parse(req.query);
+
+    const result = await diffJourneyVersions(req.params.id, { from, to });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(exportComparison(result.comparison, 'html'));
+    }
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(exportComparison(result.comparison, 'markdown'));
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/journeys/:id/versions/:version - A single version, for previews
+router.get('/:id/versions/:version', authorize('journeys', Actions.READ, journeyClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const version = z.coerce.number().int().positive().parse(req.params.version);
 
-      return newVersion;
+    const journeyVersion = await prisma.journeyVersion.findUnique({
+      where: { journeyId_version: { journeyId: id, version } }
     });
 
-    res.status(201).json({ version });
+    if (!journeyVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(journeyVersion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/journeys/:id/versions/:version/restore - Roll the journey back to a version
+router.post('/:id/versions/:version/restore', authorize('journeys', Actions.UPDATE, journeyClient), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const version = z.coerce.number().int().positive().parse(req.params.version);
+
+    const result = await restoreJourneyVersion(id, version, { createdBy: req.user?.email });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -5,7 +5,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
 // Mock PrismaClient BEFORE importing the routes
-vi.mock('@prisma/client', () => ({
+vi.mock('@bloom/data', () => ({
   PrismaClient: vi.fn(() => ({
     journey: {
       findUnique: vi.fn(),
@@ -23,7 +23,7 @@ vi.mock('@prisma/client', () => ({
 
 // Import after mocking
 import { journeysRouter } from './journeys.js';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 // Create mock instance for assertions
 const mockPrisma = new PrismaClient();
@@ -0,0 +1,306 @@
+/**
+ * Outbound Webhook Routes
+ * Subscriptions that send journey-api events to partner endpoints, their
+ * delivery log and manual redelivery. Mounted behind requireInternalUser
+ * with admin for both reads and writes.
+ */
+
+import { Router } from 'express';
+import { PrismaClient } from '@bloom/data';
+import { z } from 'zod';
+import {
+  OutboundEventType,
+  OUTBOUND_EVENT_TYPES,
+  generateSecret,
+  redeliver,
+  sendPing
+} from '../services/outbound-webhooks.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+const subscriptionSchema = z.object({
+  name: z.string().min(1).max(255),
+  url: z.string().url().refine(url => /^https?:\/\//.test(url), 'URL must be http or https'),
+  clientId: z.string().nullable().optional(),
+  events: z.array(z.enum(OUTBOUND_EVENT_TYPES)).default([]),
+  status: z.enum(['active', 'paused']).default('active'),
+  maxRetries: z.number().int().min(0).max(10).default(5),
+  timeoutMs: z.number().int().min(1000).max(30000).default(10000),
+  secret: z.string().min(16).optional()
+});
+
+const EVENT_DESCRIPTIONS = {
+  [OutboundEventType.JOURNEY_STATUS_CHANGED]: 'A journey moved to a new status',
+  [OutboundEventType.APPROVAL_GRANTED]: 'A journey was approved',
+  [OutboundEventType.AB_TEST_WINNER_DECLARED]: 'An A/B test was completed with a winning variant',
+  [OutboundEventType.CHANGE_REQUEST_CREATED]: 'A client filed a change request from the portal'
+};
+
+const maskSecret = (subscription) => ({
+  ...subscription,
+  secret: subscription.secret ? '••••••••' + subscription.secret.slice(-4) : null
+});
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * GET /outbound-webhooks?clientId=
+ * List subscriptions. With a clientId, includes the all-client subscriptions
+ * that also receive its events.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { clientId } = req.query;
+
+    const subscriptions = await prisma.outboundWebhook.findMany({
+      where: clientId ? { OR: [{ clientId }, { clientId: null }] } : {},
+      orderBy: { createdAt: 'desc' },
+      include: {
+        client: { select: { id: true, name: true } },
+        _count: { select: { deliveries: true } }
+      }
+    });
+
+    res.json(subscriptions.map(maskSecret));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /outbound-webhooks/event-types
+ */
+router.get('/event-types', (req, res) => {
+  res.json({
+    eventTypes: OUTBOUND_EVENT_TYPES,
+    descriptions: EVENT_DESCRIPTIONS
+  });
+});
+
+/**
+ * POST /outbound-webhooks
+ * Create a subscription. The secret (generated unless supplied) is only
+ * returned in full here and from rotate-secret.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { secret, ...data } = subscriptionSchema.parse(req.body);
+
+    const subscription = await prisma.outboundWebhook.create({
+      data: {
+        ...data,
+        secret: secret || generateSecret(),
+        createdBy: req.user?.email || null
+      }
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// DELIVERY LOG
+// ============================================
+
+/**
+ * GET /outbound-webhooks/deliveries
+ * Delivery log, newest first
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const {
+      subscriptionId,
+      clientId,
+      eventType,
+      status,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const where = {};
+    if (subscriptionId) where.subscriptionId = subscriptionId;
+    if (clientId) where.clientId = clientId;
+    if (eventType) where.eventType = eventType;
+    if (status) where.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      prisma.outboundWebhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          subscription: { select: { name: true, url: true } }
+        }
+      }),
+      prisma.outboundWebhookDelivery.count({ where })
+    ]);
+
+    res.json({
+      data: deliveries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + deliveries.length < total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /outbound-webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await prisma.outboundWebhookDelivery.findUnique({
+      where: { id: req.params.id },
+      include: {
+        subscription: { select: { name: true, url: true } }
+      }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /outbound-webhooks/deliveries/:id/redeliver
+ * Send the event again now as a new delivery with the same event id
+ */
+router.post('/deliveries/:id/redeliver', async (req, res, next) => {
+  try {
+    const result = await redeliver(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// SINGLE SUBSCRIPTION
+// ============================================
+
+/**
+ * GET /outbound-webhooks/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const subscription = await prisma.outboundWebhook.findUnique({
+      where: { id: req.params.id },
+      include: {
+        client: { select: { id: true, name: true } },
+        _count: { select: { deliveries: true } }
+      }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(maskSecret(subscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /outbound-webhooks/:id
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { secret, ...data } = subscriptionSchema.partial().parse(req.body);
+
+    const subscription = await prisma.outboundWebhook.update({
+      where: { id: req.params.id },
+      data: {
+        ...data,
+        ...(secret && { secret })
+      }
+    });
+
+    res.json(maskSecret(subscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /outbound-webhooks/:id
+ * Deletes the subscription and its delivery log
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await prisma.outboundWebhook.delete({
+      where: { id: req.params.id }
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /outbound-webhooks/:id/rotate-secret
+ * Replace the signing secret. Queued retries are signed with the new one.
+ */
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const secret = generateSecret();
+
+    const subscription = await prisma.outboundWebhook.update({
+      where: { id: req.params.id },
+      data: { secret }
+    });
+
+    res.json({
+      id: subscription.id,
+      secret,
+      message: 'Store this secret securely. It will not be shown again.',
+      updatedAt: subscription.updatedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /outbound-webhooks/:id/ping
+ * Send a signed ping event now and return the endpoint's response
+ */
+router.post('/:id/ping', async (req, res, next) => {
+  try {
+    const subscription = await prisma.outboundWebhook.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(await sendPing(subscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as outboundWebhooksRouter };
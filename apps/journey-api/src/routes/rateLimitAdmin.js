@@ -4,24 +4,14 @@
  */
 
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
 import { rateLimitService } from '../services/rate-limit-service.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
-// Authentication middleware placeholder - should be replaced with actual auth
-function requireAdmin(req, res, next) {
-  // In production, check for admin role
-  // For now, check for a secret admin token
-  const adminToken = req.headers['x-admin-token'];
-  if (adminToken !== process.env.ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}
-
 // ============================================
 // TIER MANAGEMENT
 // ============================================
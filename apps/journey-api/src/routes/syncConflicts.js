@@ -0,0 +1,75 @@
+/**
+ * Sync Conflict Routes
+ * Conflicts the sync engine found between journeys and their GHL workflows,
+ * and their resolution. Mounted with per-route authorization against the
+ * conflict's client.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { ConflictSide } from '@bloom/data/conflict-diff';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
+import {
+  SYNC_CONFLICT_RESOLUTIONS,
+  SYNC_CONFLICT_STATUSES,
+  getSyncConflict,
+  listSyncConflicts,
+  resolveSyncConflict
+} from '../services/sync-conflicts.js';
+
+const router = Router();
+
+const conflictClient = clientFrom.record('syncConflict');
+
+const listQuerySchema = z.object({
+  clientId: z.string().optional(),
+  journeyId: z.string().optional(),
+  status: z.enum(SYNC_CONFLICT_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional()
+});
+
+const resolveSchema = z.object({
+  resolution: z.enum(SYNC_CONFLICT_RESOLUTIONS),
+  fields: z.record(z.enum(Object.values(ConflictSide))).optional()
+});
+
+// GET /api/sync-conflicts - Conflicts, newest first, with counts
+// Query: clientId, journeyId, status (open, resolved, applied), limit
+router.get('/', authorize('journeys', Actions.READ, clientFrom.query()), async (req, res, next) => {
+  try {
+    const filters = listQuerySchema.parse(req.query);
+    res.json(await listSyncConflicts({ ...filters, scope: clientScope(req.user) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/sync-conflicts/:id - One conflict with both snapshots and the diff
+router.get('/:id', authorize('journeys', Actions.READ, conflictClient), async (req, res, next) => {
+  try {
+    const conflict = await getSyncConflict(req.params.id);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Sync conflict not found' });
+    }
+
+    res.json(conflict);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/sync-conflicts/:id/resolve - Keep ours, keep theirs, or merge
+// Body: { resolution, fields } where fields maps every diff field to ours/theirs for merge
+router.post('/:id/resolve', authorize('journeys', Actions.UPDATE, conflictClient), async (req, res, next) => {
+  try {
+    const { resolution, fields } = resolveSchema.parse(req.body);
+    const conflict = await resolveSyncConflict(req.params.id, req.user, { resolution, fields, ipAddress: req.ip });
+    res.json(conflict);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as syncConflictsRouter };
@@ -1,6 +1,8 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -15,8 +17,11 @@ const templateSchema = z.object({
   status: z.enum(['draft', 'active', 'archived']).default('draft')
 });
 
+// Templates without a clientId are shared; those fall back to the global role
+const templateClient = clientFrom.record('template');
+
 // GET /api/templates
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('templates', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, type, status, search } = req.query;
     
@@ -29,7 +34,7 @@ router.get('/', async (req, res, next) => {
     }
 
     const templates = await prisma.template.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user, { includeGlobal: true })] },
       orderBy: { updatedAt: 'desc' },
       include: {
         client: {
@@ -45,7 +50,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/templates/:id
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('templates', Actions.READ, templateClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -67,7 +72,7 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/templates
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('templates', Actions.CREATE, clientFrom.body()), async (req, res, next) => {
   try {
     const data = templateSchema.parse(req.body);
     
@@ -82,7 +87,7 @@ router.post('/', async (req, res, next) => {
 });
 
 // PUT /api/templates/:id
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('templates', Actions.UPDATE, clientFrom.all(templateClient, clientFrom.body())), async (req, res, next) => {
   try {
     const { id } = req.params;
     const data = templateSchema.partial().parse(req.body);
@@ -102,7 +107,7 @@ router.put('/:id', async (req, res, next) => {
 });
 
 // POST /api/templates/:id/sync-to-ghl
-router.post('/:id/sync-to-ghl', async (req, res, next) => {
+router.post('/:id/sync-to-ghl', authorize('templates', Actions.PUBLISH, templateClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -128,7 +133,7 @@ router.post('/:id/sync-to-ghl', async (req, res, next) => {
 });
 
 // DELETE /api/templates/:id
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('templates', Actions.DELETE, templateClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
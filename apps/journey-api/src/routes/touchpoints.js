@@ -1,7 +1,10 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
 import { touchpointPublisher } from '../services/touchpoint-publisher.js';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
+import { assertEditable } from '../services/journey-status.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -23,8 +26,40 @@ const touchpointSchema = z.object({
   nextTouchpointId: z.string().uuid().nullish(),
 }).strip();
 
+const touchpointClient = clientFrom.record('touchpoint', { path: 'journey.clientId' });
+const bodyJourneyClient = clientFrom.record('journey', { source: 'body', param: 'journeyId' });
+
+// Setting a touchpoint's status to approved or published needs those rights
+const statusAction = (fallback) => (req) => ({
+  approved: Actions.APPROVE,
+  published: Actions.PUBLISH
+})[req.body?.status] || fallback;
+
+/**
+ * Clients owning the touchpoints in a reorder request
+ */
+async function reorderClients(req) {
+  const ids = (req.body?.items || []).map(item => item.id).filter(Boolean);
+  const touchpoints = await prisma.touchpoint.findMany({
+    where: { id: { in: ids } },
+    select: { journey: { select: { clientId: true } } }
+  });
+  return [...new Set(touchpoints.map(tp => tp.journey.clientId))];
+}
+
+/**
+ * Refuse the write when any journey it touches is approved or published
+ * @param {Object} where - Journey filter
+ */
+async function assertJourneysEditable(where) {
+  const journeys = await prisma.journey.findMany({ where, select: { status: true } });
+  journeys.forEach(assertEditable);
+}
+
+const withTouchpoints = (ids) => ({ touchpoints: { some: { id: { in: ids } } } });
+
 // GET /api/touchpoints
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('touchpoints', Actions.READ, clientFrom.record('journey', { source: 'query', param: 'journeyId' })), async (req, res, next) => {
   try {
     const { journeyId, type, status } = req.query;
     
@@ -33,8 +68,13 @@ router.get('/', async (req, res, next) => {
     if (type) where.type = type;
     if (status) where.status = status;
 
+    // Review links only see the journey they were shared for
+    const scope = req.reviewLink
+      ? { journeyId: req.reviewLink.journeyId }
+      : { journey: clientScope(req.user) };
+
     const touchpoints = await prisma.touchpoint.findMany({
-      where,
+      where: { AND: [where, scope] },
       orderBy: [
         { journeyId: 'asc' },
         { orderIndex: 'asc' }
@@ -53,7 +93,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/touchpoints/:id
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('touchpoints', Actions.READ, touchpointClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -81,9 +121,10 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/touchpoints
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('touchpoints', statusAction(Actions.CREATE), bodyJourneyClient), async (req, res, next) => {
   try {
     const data = touchpointSchema.parse(req.body);
+    await assertJourneysEditable({ id: data.journeyId });
     
     const touchpoint = await prisma.touchpoint.create({
       data
@@ -95,32 +136,8 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// PUT /api/touchpoints/:id
-router.put('/:id', async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    
-    const { id: _id, ...updateData } = touchpointSchema.partial().parse(req.body);
-
-    // Ensure content is never null/undefined - use empty object as fallback
-    if (updateData.content === null || updateData.content === undefined) {
-      updateData.content = {};
-    }
-
-    const touchpoint = await prisma.touchpoint.update({
-      where: { id },
-      data: updateData
-    });
-
-    res.json(touchpoint);
-  } catch (error) {
-    console.error('PUT /touchpoints/:id - Error:', error);
-    next(error);
-  }
-});
-
-// PUT /api/touchpoints/reorder - Bulk reorder
-router.put('/reorder', async (req, res, next) => {
+// PUT /api/touchpoints/reorder - Bulk reorder (registered before /:id so it is not shadowed)
+router.put('/reorder', authorize('touchpoints', Actions.UPDATE, reorderClients), async (req, res, next) => {
   try {
     const { items } = z.object({
       items: z.array(z.object({
@@ -128,6 +145,7 @@ router.put('/reorder', async (req, res, next) => {
         orderIndex: z.number().int()
       }))
     }).parse(req.body);
+    await assertJourneysEditable(withTouchpoints(items.map(item => item.id)));
 
     await prisma.$transaction(
       items.map(({ id, orderIndex }) =>
@@ -144,10 +162,39 @@ router.put('/reorder', async (req, res, next) => {
   }
 });
 
+// PUT /api/touchpoints/:id
+router.put('/:id', authorize('touchpoints', statusAction(Actions.UPDATE), clientFrom.all(touchpointClient, bodyJourneyClient)), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const { id: _id, ...updateData } = touchpointSchema.partial().parse(req.body);
+    // Moving a touchpoint edits the journey it joins as well
+    await assertJourneysEditable({
+      OR: [withTouchpoints([id]), ...(updateData.journeyId ? [{ id: updateData.journeyId }] : [])]
+    });
+
+    // Ensure content is never null/undefined - use empty object as fallback
+    if (updateData.content === null || updateData.content === undefined) {
+      updateData.content = {};
+    }
+
+    const touchpoint = await prisma.touchpoint.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.json(touchpoint);
+  } catch (error) {
+    console.error('PUT /touchpoints/:id - Error:', error);
+    next(error);
+  }
+});
+
 // DELETE /api/touchpoints/:id
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('touchpoints', Actions.DELETE, touchpointClient), async (req, res, next) => {
   try {
     const { id } = req.params;
+    await assertJourneysEditable(withTouchpoints([id]));
     
     await prisma.touchpoint.delete({
       where: { id }
@@ -160,7 +207,7 @@ router.delete('/:id', async (req, res, next) => {
 });
 
 // POST /api/touchpoints/:id/publish - Publish touchpoint to GHL
-router.post('/:id/publish', async (req, res, next) => {
+router.post('/:id/publish', authorize('touchpoints', Actions.PUBLISH, touchpointClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -233,8 +280,9 @@ router.post('/:id/publish', async (req, res, next) => {
   }
 });
 
-// POST /api/touchpoints/:id/note - Save client review note (no auth required, safe for review links)
-router.post('/:id/note', async (req, res, next) => {
+// POST /api/touchpoints/:id/note - Save client review note (internal users,
+// or a client review link for the touchpoint's journey)
+router.post('/:id/note', authorize('touchpoints', Actions.UPDATE, touchpointClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { note } = z.object({ note: z.string() }).parse(req.body);
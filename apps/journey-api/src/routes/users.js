@@ -0,0 +1,173 @@
+import { Router } from 'express';
+import { PrismaClient } from '@bloom/data';
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import {
+  inviteUser,
+  requestPasswordReset,
+  revokeAllSessions,
+  UserStatus,
+  appLink
+} from '../services/auth-service.js';
+
+// Internal user administration. Mounted behind requireInternalUser with
+// admin for both reads and writes.
+const router = Router();
+const prisma = new PrismaClient();
+
+const roleSchema = z.enum(ROLES);
+
+// User.permissions overrides: "<resource|*>:<action|*>" -> allow/deny
+const permissionsSchema = z.record(
+  z.string().regex(/^(\*|[a-z-]+):(\*|[a-z]+)$/, 'Use resource:action, e.g. journeys:delete'),
+  z.boolean()
+);
+
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  status: true,
+  permissions: true,
+  ssoProvider: true,
+  lastLoginAt: true,
+  createdAt: true,
+  clientUsers: {
+    select: { clientId: true, role: true }
+  }
+};
+
+// GET /api/users
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, role } = req.query;
+
+    const users = await prisma.user.findMany({
+      where: {
+        ...(status && { status }),
+        ...(role && { role })
+      },
+      select: userSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/invite - Create (or re-invite) an account
+router.post('/invite', async (req, res, next) => {
+  try {
+    const data = z.object({
+      email: z.string().email(),
+      name: z.string().optional(),
+      role: roleSchema.default('editor'),
+      clients: z.array(z.object({
+        clientId: z.string(),
+        role: roleSchema
+      })).default([])
+    }).parse(req.body);
+
+    const { user, inviteToken } = await inviteUser({ ...data, invitedById: req.user.id });
+
+    res.status(201).json({
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, status: user.status },
+      inviteUrl: appLink('/accept-invite', { token: inviteToken })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/users/:id - Change role, status or permission overrides
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const data = z.object({
+      name: z.string().optional(),
+      role: roleSchema.optional(),
+      status: z.enum([UserStatus.ACTIVE, UserStatus.DISABLED]).optional(),
+      permissions: permissionsSchema.optional()
+    }).parse(req.body);
+
+    if (req.params.id === req.user.id && (data.status === UserStatus.DISABLED || (data.role && data.role !== 'admin'))) {
+      return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.params.id },
+      data,
+      select: userSelect
+    });
+
+    if (data.status === UserStatus.DISABLED) {
+      await revokeAllSessions(user.id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/users/:id/clients/:clientId - Set a per-client role
+router.put('/:id/clients/:clientId', async (req, res, next) => {
+  try {
+    const { role } = z.object({ role: roleSchema }).parse(req.body);
+
+    const clientUser = await prisma.clientUser.upsert({
+      where: { clientId_userId: { clientId: req.params.clientId, userId: req.params.id } },
+      create: { clientId: req.params.clientId, userId: req.params.id, role },
+      update: { role }
+    });
+
+    res.json(clientUser);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/:id/clients/:clientId - Remove per-client access
+router.delete('/:id/clients/:clientId', async (req, res, next) => {
+  try {
+    await prisma.clientUser.delete({
+      where: { clientId_userId: { clientId: req.params.clientId, userId: req.params.id } }
+    });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/:id/password-reset - Generate a reset link for a user
+router.post('/:id/password-reset', async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const reset = await requestPasswordReset(user.email);
+    if (!reset) {
+      return res.status(400).json({ error: 'Only active users can reset their password' });
+    }
+
+    res.json({ resetUrl: appLink('/reset-password', { token: reset.resetToken }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/:id/revoke-sessions - Sign a user out everywhere
+router.post('/:id/revoke-sessions', async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.params.id);
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as usersRouter };
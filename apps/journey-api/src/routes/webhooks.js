@@ -9,15 +9,27 @@
  */
 
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
-import webhookService, { WebhookEventTypes, EventCategories } from '../services/webhook-service.js';
+import webhookService, {
+  WebhookEventTypes,
+  EventCategories,
+  deadLetterWhere,
+  replayDeadLetters
+} from '../services/webhook-service.js';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope, isAdmin } from '../services/access-control.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
-// Store raw body for signature verification
+// Store raw body for signature verification. JSON bodies are captured by
+// the express.json verify hook in index.js before this runs.
 const captureRawBody = (req, res, next) => {
+  if (req.rawBody !== undefined || req.readableEnded) {
+    return next();
+  }
+  
   req.rawBody = '';
   req.setEncoding('utf8');
   
@@ -43,9 +55,35 @@ const webhookConfigSchema = z.object({
   status: z.enum(['active', 'paused', 'disabled']).default('active'),
   maxRetries: z.number().min(0).max(10).default(3),
   retryDelayMs: z.number().min(1000).max(60000).default(5000),
-  rateLimitPerMinute: z.number().min(10).max(1000).default(100)
+  retryBackoff: z.enum(['exponential', 'fixed']).default('exponential'),
+  maxRetryDelayMs: z.number().int().min(1000).max(24 * 60 * 60 * 1000).default(60 * 60 * 1000),
+  rateLimitPerMinute: z.number().min(10).max(1000).default(100),
+  signatureMode: z.enum(['off', 'log_only', 'enforce']).default('enforce'),
+  timestampToleranceSec: z.number().int().min(0).max(86400).default(300)
+});
+
+const deadLetterFilterSchema = z.object({
+  clientId: z.string().optional(),
+  configId: z.string().optional(),
+  eventType: z.string().optional(),
+  error: z.string().optional(),
+  ids: z.array(z.string()).min(1).optional(),
+  limit: z.number().int().min(1).max(500).default(100)
 });
 
+const replaySchema = z.object({
+  payload: z.record(z.any()).optional()
+});
+
+const configClient = clientFrom.record('webhookConfig');
+const deliveryClient = clientFrom.record('webhookDelivery');
+
+// The client a delivery filter names directly or through its config
+const filterClients = (source) => clientFrom.all(
+  clientFrom[source](),
+  clientFrom.record('webhookConfig', { source, param: 'configId' })
+);
+
 // ============================================
 // WEBHOOK RECEIVER ENDPOINTS (Public)
 // ============================================
@@ -62,14 +100,6 @@ router.post('/ghl/:clientId', captureRawBody, async (req, res, next) => {
   
   try {
     const { clientId } = req.params;
-    const eventType = req.headers['x-ghl-event'] || req.headers['X-GHL-Event'] || req.body.type;
-    
-    if (!eventType) {
-      return res.status(400).json({
-        error: 'Missing event type',
-        message: 'X-GHL-Event header or type field is required'
-      });
-    }
     
     // Parse payload from raw body if available, otherwise use req.body
     let payload;
@@ -79,6 +109,17 @@ router.post('/ghl/:clientId', captureRawBody, async (req, res, next) => {
       payload = req.body;
     }
     
+    // The event type comes from the signed body; the X-GHL-Event header
+    // isn't covered by the signature, so it is never trusted
+    const eventType = payload?.type;
+    
+    if (!eventType) {
+      return res.status(400).json({
+        error: 'Missing event type',
+        message: 'type field is required in the webhook body'
+      });
+    }
+    
     // Process the webhook
     const result = await webhookService.processWebhook({
       clientId,
@@ -89,6 +130,16 @@ router.post('/ghl/:clientId', captureRawBody, async (req, res, next) => {
       rawBody: req.rawBody
     });
     
+    // Signature enforcement failures are the one case GHL is told about
+    if (result.rejected) {
+      return res.status(401).json({
+        received: true,
+        eventType,
+        processingTimeMs: Date.now() - startTime,
+        ...result
+      });
+    }
+    
     // Return response
     res.status(200).json({
       success: true,
@@ -118,7 +169,7 @@ router.post('/ghl/:clientId', captureRawBody, async (req, res, next) => {
  * 
  * Useful for testing webhook processing without sending from GHL
  */
-router.post('/test/:clientId', async (req, res, next) => {
+router.post('/test/:clientId', authorize('webhooks', Actions.UPDATE, clientFrom.param()), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { eventType, payload } = req.body;
@@ -137,7 +188,8 @@ router.post('/test/:clientId', async (req, res, next) => {
       payload,
       headers: req.headers,
       ipAddress: req.ip || req.connection.remoteAddress,
-      rawBody: null // Skip signature verification
+      rawBody: null,
+      skipSignature: true
     });
     
     res.json({
@@ -159,7 +211,7 @@ router.post('/test/:clientId', async (req, res, next) => {
  * GET /webhooks/configs
  * Get all webhook configurations (optionally filtered by client)
  */
-router.get('/configs', async (req, res, next) => {
+router.get('/configs', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, status } = req.query;
     
@@ -168,7 +220,7 @@ router.get('/configs', async (req, res, next) => {
     if (status) where.status = status;
     
     const configs = await prisma.webhookConfig.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user)] },
       orderBy: { createdAt: 'desc' },
       include: {
         client: {
@@ -197,7 +249,7 @@ router.get('/configs', async (req, res, next) => {
  * GET /webhooks/configs/:id
  * Get a single webhook configuration
  */
-router.get('/configs/:id', async (req, res, next) => {
+router.get('/configs/:id', authorize('webhooks', Actions.READ, configClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -234,7 +286,7 @@ router.get('/configs/:id', async (req, res, next) => {
  * POST /webhooks/configs
  * Create a new webhook configuration
  */
-router.post('/configs', async (req, res, next) => {
+router.post('/configs', authorize('webhooks', Actions.CREATE, clientFrom.body()), async (req, res, next) => {
   try {
     const data = webhookConfigSchema.parse(req.body);
     const { clientId } = req.body;
@@ -274,7 +326,7 @@ router.post('/configs', async (req, res, next) => {
  * PUT /webhooks/configs/:id
  * Update a webhook configuration
  */
-router.put('/configs/:id', async (req, res, next) => {
+router.put('/configs/:id', authorize('webhooks', Actions.UPDATE, configClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const data = webhookConfigSchema.partial().parse(req.body);
@@ -298,7 +350,7 @@ router.put('/configs/:id', async (req, res, next) => {
  * DELETE /webhooks/configs/:id
  * Delete a webhook configuration
  */
-router.delete('/configs/:id', async (req, res, next) => {
+router.delete('/configs/:id', authorize('webhooks', Actions.DELETE, configClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -317,7 +369,7 @@ router.delete('/configs/:id', async (req, res, next) => {
  * POST /webhooks/configs/:id/regenerate-secret
  * Regenerate webhook secret key
  */
-router.post('/configs/:id/regenerate-secret', async (req, res, next) => {
+router.post('/configs/:id/regenerate-secret', authorize('webhooks', Actions.UPDATE, configClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -346,7 +398,7 @@ router.post('/configs/:id/regenerate-secret', async (req, res, next) => {
  * POST /webhooks/configs/:id/toggle
  * Toggle webhook status (active/paused)
  */
-router.post('/configs/:id/toggle', async (req, res, next) => {
+router.post('/configs/:id/toggle', authorize('webhooks', Actions.UPDATE, configClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -384,7 +436,7 @@ router.post('/configs/:id/toggle', async (req, res, next) => {
  * GET /webhooks/deliveries
  * Get webhook delivery logs
  */
-router.get('/deliveries', async (req, res, next) => {
+router.get('/deliveries', authorize('webhooks', Actions.READ, filterClients('query')), async (req, res, next) => {
   try {
     const { 
       clientId, 
@@ -395,11 +447,12 @@ router.get('/deliveries', async (req, res, next) => {
       offset = 0 
     } = req.query;
     
-    const where = {};
-    if (clientId) where.clientId = clientId;
-    if (configId) where.configId = configId;
-    if (eventType) where.eventType = eventType;
-    if (status) where.status = status;
+    const filter = {};
+    if (clientId) filter.clientId = clientId;
+    if (configId) filter.configId = configId;
+    if (eventType) filter.eventType = eventType;
+    if (status) filter.status = status;
+    const where = { AND: [filter, clientScope(req.user)] };
     
     const [deliveries, total] = await Promise.all([
       prisma.webhookDelivery.findMany({
@@ -435,7 +488,7 @@ router.get('/deliveries', async (req, res, next) => {
  * GET /webhooks/deliveries/:id
  * Get a single delivery log with full details
  */
-router.get('/deliveries/:id', async (req, res, next) => {
+router.get('/deliveries/:id', authorize('webhooks', Actions.READ, deliveryClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -461,47 +514,143 @@ router.get('/deliveries/:id', async (req, res, next) => {
 
 /**
  * POST /webhooks/deliveries/:id/retry
- * Retry a failed webhook delivery
+ * Replay a failed, retrying or rejected delivery now
  */
-router.post('/deliveries/:id/retry', async (req, res, next) => {
+router.post('/deliveries/:id/retry', authorize('webhooks', Actions.UPDATE, deliveryClient), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    const delivery = await prisma.webhookDelivery.findUnique({
-      where: { id }
+    const result = await webhookService.replayDelivery(req.params.id, {
+      actor: req.user?.email || null,
+      allowRejected: isAdmin(req.user)
     });
     
-    if (!delivery) {
+    if (!result) {
       return res.status(404).json({ error: 'Delivery not found' });
     }
     
-    // Reset status and retry
-    await prisma.webhookDelivery.update({
-      where: { id },
-      data: {
-        status: 'pending',
-        retryCount: 0,
-        errorMessage: null,
-        nextRetryAt: new Date()
+    res.json({
+      success: result.success !== false,
+      retried: true,
+      result
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// DEAD-LETTER QUEUE
+// ============================================
+
+/**
+ * GET /webhooks/dead-letters
+ * Deliveries whose retries are used up, with counts by event type and
+ * error message for the client/config scope
+ */
+router.get('/dead-letters', authorize('webhooks', Actions.READ, filterClients('query')), async (req, res, next) => {
+  try {
+    const {
+      clientId,
+      configId,
+      eventType,
+      error,
+      limit = 50,
+      offset = 0
+    } = req.query;
+    
+    const visible = clientScope(req.user);
+    const where = { AND: [deadLetterWhere({ clientId, configId, eventType, error }), visible] };
+    const scope = { AND: [deadLetterWhere({ clientId, configId }), visible] };
+    
+    const [deadLetters, total, byEventType, byError] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          config: {
+            select: { name: true, maxRetries: true }
+          }
+        }
+      }),
+      prisma.webhookDelivery.count({ where }),
+      prisma.webhookDelivery.groupBy({
+        by: ['eventType'],
+        where: scope,
+        _count: { eventType: true },
+        orderBy: { _count: { eventType: 'desc' } }
+      }),
+      prisma.webhookDelivery.groupBy({
+        by: ['errorMessage'],
+        where: scope,
+        _count: { errorMessage: true },
+        orderBy: { _count: { errorMessage: 'desc' } },
+        take: 20
+      })
+    ]);
+    
+    res.json({
+      data: deadLetters,
+      facets: {
+        eventTypes: byEventType.map(row => ({ eventType: row.eventType, count: row._count.eventType })),
+        errors: byError.map(row => ({ errorMessage: row.errorMessage, count: row._count.errorMessage }))
+      },
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + deadLetters.length < total
       }
     });
     
-    // Process immediately
-    const result = await webhookService.processWebhook({
-      clientId: delivery.clientId,
-      eventType: delivery.eventType,
-      payload: delivery.payload,
-      headers: delivery.headers || {},
-      ipAddress: delivery.ipAddress,
-      rawBody: JSON.stringify(delivery.payload)
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /webhooks/dead-letters/replay
+ * Replay every dead letter matching the filter (or the given ids), oldest first
+ */
+router.post('/dead-letters/replay', authorize('webhooks', Actions.UPDATE, filterClients('body')), async (req, res, next) => {
+  try {
+    const { limit, ...filter } = deadLetterFilterSchema.parse(req.body);
+    
+    const summary = await replayDeadLetters(filter, {
+      actor: req.user?.email || null,
+      limit,
+      scope: clientScope(req.user)
     });
     
-    res.json({
-      success: true,
-      retried: true,
-      result
+    res.json(summary);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /webhooks/dead-letters/:id/replay
+ * Replay one dead letter, optionally with a corrected payload. The original
+ * payload stays on the dead letter; the replay records payloadEdited.
+ */
+router.post('/dead-letters/:id/replay', authorize('webhooks', Actions.UPDATE, deliveryClient), async (req, res, next) => {
+  try {
+    const { payload } = replaySchema.parse(req.body || {});
+    
+    const result = await webhookService.replayDelivery(req.params.id, {
+      payload,
+      actor: req.user?.email || null,
+      allowRejected: isAdmin(req.user)
     });
     
+    if (!result) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    res.json(result);
+    
   } catch (error) {
     next(error);
   }
@@ -515,12 +664,13 @@ router.post('/deliveries/:id/retry', async (req, res, next) => {
  * GET /webhooks/stats
  * Get webhook statistics
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, period = '24h' } = req.query;
     
     if (!clientId) {
-      // Return system-wide stats
+      // Return stats across the clients the user can see
+      const visible = clientScope(req.user);
       const periodMs = period === '24h' ? 24 * 60 * 60 * 1000 :
                        period === '7d' ? 7 * 24 * 60 * 60 * 1000 :
                        period === '30d' ? 30 * 24 * 60 * 60 * 1000 :
@@ -533,13 +683,15 @@ router.get('/stats', async (req, res, next) => {
         activeConfigs,
         totalDeliveries,
         successfulDeliveries,
-        failedDeliveries
+        failedDeliveries,
+        rejectedDeliveries
       ] = await Promise.all([
-        prisma.webhookConfig.count(),
-        prisma.webhookConfig.count({ where: { status: 'active' } }),
-        prisma.webhookDelivery.count({ where: { createdAt: { gte: since } } }),
-        prisma.webhookDelivery.count({ where: { status: 'completed', createdAt: { gte: since } } }),
-        prisma.webhookDelivery.count({ where: { status: 'failed', createdAt: { gte: since } } })
+        prisma.webhookConfig.count({ where: visible }),
+        prisma.webhookConfig.count({ where: { ...visible, status: 'active' } }),
+        prisma.webhookDelivery.count({ where: { ...visible, createdAt: { gte: since } } }),
+        prisma.webhookDelivery.count({ where: { ...visible, status: 'completed', createdAt: { gte: since } } }),
+        prisma.webhookDelivery.count({ where: { ...visible, status: 'failed', createdAt: { gte: since } } }),
+        prisma.webhookDelivery.count({ where: { ...visible, status: 'rejected', createdAt: { gte: since } } })
       ]);
       
       res.json({
@@ -552,6 +704,7 @@ router.get('/stats', async (req, res, next) => {
           total: totalDeliveries,
           successful: successfulDeliveries,
           failed: failedDeliveries,
+          rejected: rejectedDeliveries,
           successRate: totalDeliveries > 0 ? Math.round((successfulDeliveries / totalDeliveries) * 100) : 0
         }
       });
@@ -571,7 +724,7 @@ router.get('/stats', async (req, res, next) => {
  * GET /webhooks/stats/:clientId
  * Get detailed webhook statistics for a client
  */
-router.get('/stats/:clientId', async (req, res, next) => {
+router.get('/stats/:clientId', authorize('webhooks', Actions.READ, clientFrom.param()), async (req, res, next) => {
   try {
     const { clientId } = req.params;
     const { period = '24h' } = req.query;
@@ -587,6 +740,7 @@ router.get('/stats/:clientId', async (req, res, next) => {
         id: true,
         eventType: true,
         status: true,
+        signatureError: true,
         createdAt: true,
         processingTimeMs: true
       }
@@ -683,7 +837,7 @@ router.get('/event-types', async (req, res, next) => {
  * GET /webhooks/synced-contacts
  * Get synced contacts
  */
-router.get('/synced-contacts', async (req, res, next) => {
+router.get('/synced-contacts', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, search, status = 'active', limit = 50, offset = 0 } = req.query;
     
@@ -731,7 +885,7 @@ router.get('/synced-contacts', async (req, res, next) => {
  * GET /webhooks/synced-appointments
  * Get synced appointments
  */
-router.get('/synced-appointments', async (req, res, next) => {
+router.get('/synced-appointments', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, status, from, to, limit = 50, offset = 0 } = req.query;
     
@@ -782,7 +936,7 @@ router.get('/synced-appointments', async (req, res, next) => {
  * GET /webhooks/form-submissions
  * Get form submissions
  */
-router.get('/form-submissions', async (req, res, next) => {
+router.get('/form-submissions', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, formId, limit = 50, offset = 0 } = req.query;
     
@@ -827,7 +981,7 @@ router.get('/form-submissions', async (req, res, next) => {
  * GET /webhooks/email-events
  * Get email events
  */
-router.get('/email-events', async (req, res, next) => {
+router.get('/email-events', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, eventType, contactId, limit = 50, offset = 0 } = req.query;
     
@@ -873,7 +1027,7 @@ router.get('/email-events', async (req, res, next) => {
  * GET /webhooks/stage-history
  * Get opportunity stage history
  */
-router.get('/stage-history', async (req, res, next) => {
+router.get('/stage-history', authorize('webhooks', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, pipelineId, limit = 50, offset = 0 } = req.query;
     
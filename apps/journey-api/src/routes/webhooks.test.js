@@ -0,0 +1,173 @@
+/**
+ * Webhook routes
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+const { processWebhook, replayDelivery, replayDeadLetters, mockPrisma } = vi.hoisted(() => ({
+  processWebhook: vi.fn(async () => ({ success: true, deliveryId: 'del-1' })),
+  replayDelivery: vi.fn(async (id) => ({ success: true, replayOf: id })),
+  replayDeadLetters: vi.fn(async () => ({ matched: 0, succeeded: 0, failed: 0, results: [] })),
+  mockPrisma: {
+    webhookDelivery: {
+      findMany: vi.fn(async () => []),
+      count: vi.fn(async () => 0),
+      groupBy: vi.fn(async () => []),
+      findUnique: vi.fn()
+    },
+    webhookConfig: {
+      findMany: vi.fn(async () => []),
+      findUnique: vi.fn(),
+      delete: vi.fn(async () => ({}))
+    },
+    auditLog: { create: vi.fn(async ({ data }) => data) }
+  }
+}));
+
+vi.mock('@bloom/data', () => ({ PrismaClient: vi.fn(() => mockPrisma) }));
+
+vi.mock('../services/webhook-service.js', () => ({
+  default: { processWebhook, replayDelivery },
+  WebhookEventTypes: {},
+  EventCategories: {},
+  deadLetterWhere: vi.fn(filter => ({ status: 'failed', ...filter })),
+  replayDeadLetters
+}));
+
+import { webhooksRouter } from './webhooks.js';
+
+const editor = { id: 'u1', email: 'ed@bloom.test', role: 'viewer', permissions: {}, clientRoles: { c1: 'editor' } };
+const admin = { id: 'u2', email: 'ada@bloom.test', role: 'admin', permissions: {}, clientRoles: {} };
+
+let server;
+let baseUrl;
+let currentUser = null;
+
+beforeAll(async () => {
+  const app = express();
+  // As in index.js: keep the raw body for signature checks
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+  app.use((req, res, next) => { req.user = currentUser; next(); });
+  app.use('/api/webhooks', webhooksRouter);
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks`;
+});
+
+afterAll(() => new Promise(done => server.close(done)));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  currentUser = null;
+});
+
+describe('POST /webhooks/ghl/:clientId', () => {
+  const deliver = (body, headers = {}) => fetch(`${baseUrl}/ghl/c1`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  it('takes the event type from the signed body, not the X-GHL-Event header', async () => {
+    const res = await deliver({ type: 'ContactCreate', id: 'evt-1' }, { 'X-GHL-Event': 'ContactDelete' });
+
+    expect(res.status).toBe(200);
+    expect(processWebhook).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'c1', eventType: 'ContactCreate' }));
+  });
+
+  it('refuses a body without a type even when the header names one', async () => {
+    const res = await deliver({ id: 'evt-1' }, { 'X-GHL-Event': 'ContactDelete' });
+
+    expect(res.status).toBe(400);
+    expect(processWebhook).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhook configs', () => {
+  beforeEach(() => {
+    currentUser = editor;
+    mockPrisma.webhookConfig.findUnique.mockImplementation(async ({ where }) =>
+      ({ 'cfg-c2': { id: 'cfg-c2', clientId: 'c2' } })[where.id] || null);
+  });
+
+  it('lists only configs for the user\'s clients', async () => {
+    const res = await fetch(`${baseUrl}/configs?status=active`);
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.webhookConfig.findMany.mock.calls[0][0].where).toEqual({
+      AND: [{ status: 'active' }, { clientId: { in: ['c1'] } }]
+    });
+  });
+
+  it('refuses configs of another client', async () => {
+    expect((await fetch(`${baseUrl}/configs/cfg-c2`)).status).toBe(403);
+    expect((await fetch(`${baseUrl}/configs/cfg-c2`, { method: 'DELETE' })).status).toBe(403);
+    expect(mockPrisma.webhookConfig.delete).not.toHaveBeenCalled();
+
+    expect((await fetch(`${baseUrl}/configs/cfg-missing`)).status).toBe(404);
+  });
+});
+
+describe('dead letters', () => {
+  const post = (path, body = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    currentUser = editor;
+    mockPrisma.webhookDelivery.findUnique.mockImplementation(async ({ where }) =>
+      ({ 'del-c1': { clientId: 'c1' }, 'del-c2': { clientId: 'c2' } })[where.id] || null);
+    mockPrisma.webhookConfig.findUnique.mockImplementation(async ({ where }) =>
+      ({ 'cfg-c2': { clientId: 'c2' } })[where.id] || null);
+  });
+
+  it('lists only dead letters for the user\'s clients', async () => {
+    const res = await fetch(`${baseUrl}/dead-letters?eventType=ContactCreate`);
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.webhookDelivery.findMany.mock.calls[0][0].where).toEqual({
+      AND: [{ status: 'failed', eventType: 'ContactCreate' }, { clientId: { in: ['c1'] } }]
+    });
+    expect(mockPrisma.webhookDelivery.groupBy.mock.calls[0][0].where.AND[1]).toEqual({ clientId: { in: ['c1'] } });
+  });
+
+  it('refuses filters naming another client directly or through its config', async () => {
+    expect((await fetch(`${baseUrl}/dead-letters?clientId=c2`)).status).toBe(403);
+    expect((await fetch(`${baseUrl}/dead-letters?configId=cfg-c2`)).status).toBe(403);
+    expect((await post('/dead-letters/replay', { configId: 'cfg-c2' })).status).toBe(403);
+    expect(mockPrisma.webhookDelivery.findMany).not.toHaveBeenCalled();
+    expect(replayDeadLetters).not.toHaveBeenCalled();
+  });
+
+  it('scopes bulk replays to the user\'s clients', async () => {
+    const res = await post('/dead-letters/replay', { clientId: 'c1', eventType: 'ContactCreate' });
+
+    expect(res.status).toBe(200);
+    expect(replayDeadLetters).toHaveBeenCalledWith(
+      expect.objectContaining({ clientId: 'c1', eventType: 'ContactCreate' }),
+      expect.objectContaining({ scope: { clientId: { in: ['c1'] } } })
+    );
+  });
+
+  it('replays one dead letter only for the delivery\'s client', async () => {
+    expect((await post('/dead-letters/del-c2/replay')).status).toBe(403);
+    expect(replayDelivery).not.toHaveBeenCalled();
+
+    expect((await post('/dead-letters/del-c1/replay')).status).toBe(200);
+    expect(replayDelivery).toHaveBeenCalledWith('del-c1', expect.objectContaining({ allowRejected: false }));
+  });
+
+  it('lets only admins replay rejected deliveries', async () => {
+    currentUser = admin;
+
+    await post('/dead-letters/del-c2/replay');
+    await post('/deliveries/del-c2/retry');
+
+    expect(replayDelivery.mock.calls.map(([, options]) => options.allowRejected)).toEqual([true, true]);
+  });
+});
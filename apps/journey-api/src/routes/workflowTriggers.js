@@ -4,17 +4,22 @@
  */
 
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
 import triggerEngine, { 
   TriggerTypes, 
   ConditionOperators,
   TriggerTypeConfigs 
 } from '../services/trigger-engine.js';
+import { workflowQueue } from '../services/workflow-queue.js';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope, isAdmin } from '../services/access-control.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
+const triggerClient = clientFrom.record('workflowTriggerV2');
+
 // Validation schemas
 const conditionSchema = z.object({
   field: z.string(),
@@ -74,9 +79,28 @@ router.get('/types', async (req, res, next) => {
   }
 });
 
+// GET /api/workflow-triggers/queue/stats
+// Get workflow execution queue status
+router.get('/queue/stats', authorize('workflow-triggers', Actions.READ, clientFrom.query()), async (req, res, next) => {
+  try {
+    const { clientId } = req.query;
+    
+    // Counts across every client are for admins only
+    if (!clientId && !isAdmin(req.user)) {
+      return res.status(400).json({ error: 'clientId is required' });
+    }
+    
+    const stats = await workflowQueue.getStats(clientId);
+    
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/workflow-triggers
 // Get all triggers for a client/workflow
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('workflow-triggers', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, workflowId, status, type } = req.query;
     
@@ -87,7 +111,7 @@ router.get('/', async (req, res, next) => {
     if (type) where.type = type;
 
     const triggers = await prisma.workflowTriggerV2.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user)] },
       orderBy: { updatedAt: 'desc' },
       include: {
         workflow: {
@@ -107,7 +131,7 @@ router.get('/', async (req, res, next) => {
 
 // GET /api/workflow-triggers/:id
 // Get a single trigger by ID
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('workflow-triggers', Actions.READ, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -134,7 +158,7 @@ router.get('/:id', async (req, res, next) => {
 
 // POST /api/workflow-triggers
 // Create a new trigger
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('workflow-triggers', Actions.CREATE, clientFrom.body()), async (req, res, next) => {
   try {
     const data = triggerSchema.parse(req.body);
     
@@ -162,7 +186,7 @@ router.post('/', async (req, res, next) => {
 
 // PUT /api/workflow-triggers/:id
 // Update a trigger
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('workflow-triggers', Actions.UPDATE, clientFrom.all(triggerClient, clientFrom.body())), async (req, res, next) => {
   try {
     const { id } = req.params;
     const data = triggerSchema.partial().parse(req.body);
@@ -195,7 +219,7 @@ router.put('/:id', async (req, res, next) => {
 
 // DELETE /api/workflow-triggers/:id
 // Delete a trigger
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('workflow-triggers', Actions.DELETE, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -211,7 +235,7 @@ router.delete('/:id', async (req, res, next) => {
 
 // POST /api/workflow-triggers/:id/duplicate
 // Duplicate a trigger
-router.post('/:id/duplicate', async (req, res, next) => {
+router.post('/:id/duplicate', authorize('workflow-triggers', Actions.CREATE, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -241,7 +265,7 @@ router.post('/:id/duplicate', async (req, res, next) => {
 
 // POST /api/workflow-triggers/:id/toggle
 // Toggle trigger status (active/paused)
-router.post('/:id/toggle', async (req, res, next) => {
+router.post('/:id/toggle', authorize('workflow-triggers', Actions.UPDATE, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -268,7 +292,7 @@ router.post('/:id/toggle', async (req, res, next) => {
 
 // POST /api/workflow-triggers/:id/test
 // Test a trigger with sample data
-router.post('/:id/test', async (req, res, next) => {
+router.post('/:id/test', authorize('workflow-triggers', Actions.READ, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { eventData } = req.body;
@@ -307,12 +331,20 @@ router.post('/:id/test', async (req, res, next) => {
 
 // GET /api/workflow-triggers/:id/stats
 // Get trigger statistics
-router.get('/:id/stats', async (req, res, next) => {
+router.get('/:id/stats', authorize('workflow-triggers', Actions.READ, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { clientId } = req.query;
     
-    const stats = await triggerEngine.getTriggerStats(clientId, id);
+    const trigger = await prisma.workflowTriggerV2.findUnique({
+      where: { id },
+      select: { clientId: true }
+    });
+
+    if (!trigger) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+    
+    const stats = await triggerEngine.getTriggerStats(trigger.clientId, id);
     
     res.json(stats);
   } catch (error) {
@@ -354,7 +386,7 @@ router.post('/webhook/:clientId', async (req, res, next) => {
 
 // GET /api/workflow-triggers/:id/executions
 // Get execution history for a trigger
-router.get('/:id/executions', async (req, res, next) => {
+router.get('/:id/executions', authorize('workflow-triggers', Actions.READ, triggerClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, limit = 50, offset = 0 } = req.query;
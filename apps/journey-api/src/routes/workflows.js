@@ -1,6 +1,9 @@
 import { Router } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import { z } from 'zod';
+import { actionExecutor } from '../services/action-executor.js';
+import { authorize, clientFrom } from '../middleware/auth.js';
+import { Actions, clientScope } from '../services/access-control.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -15,8 +18,10 @@ const workflowSchema = z.object({
   notes: z.record(z.any()).optional()
 });
 
+const workflowClient = clientFrom.record('workflow');
+
 // GET /api/workflows
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('workflows', Actions.READ, clientFrom.query()), async (req, res, next) => {
   try {
     const { clientId, status, search } = req.query;
     
@@ -28,7 +33,7 @@ router.get('/', async (req, res, next) => {
     }
 
     const workflows = await prisma.workflow.findMany({
-      where,
+      where: { AND: [where, clientScope(req.user)] },
       orderBy: { updatedAt: 'desc' },
       include: {
         client: {
@@ -43,8 +48,13 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// GET /api/workflows/action-types
+router.get('/action-types', (req, res) => {
+  res.json({ types: actionExecutor.getTypes() });
+});
+
 // GET /api/workflows/:id
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('workflows', Actions.READ, workflowClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -66,7 +76,7 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/workflows
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('workflows', Actions.CREATE, clientFrom.body()), async (req, res, next) => {
   try {
     const data = workflowSchema.parse(req.body);
     
@@ -81,7 +91,7 @@ router.post('/', async (req, res, next) => {
 });
 
 // PUT /api/workflows/:id
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('workflows', Actions.UPDATE, clientFrom.all(workflowClient, clientFrom.body())), async (req, res, next) => {
   try {
     const { id } = req.params;
     const data = workflowSchema.partial().parse(req.body);
@@ -98,7 +108,7 @@ router.put('/:id', async (req, res, next) => {
 });
 
 // DELETE /api/workflows/:id
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('workflows', Actions.DELETE, workflowClient), async (req, res, next) => {
   try {
     const { id } = req.params;
     
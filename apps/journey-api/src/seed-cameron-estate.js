@@ -8,7 +8,8 @@
  */
 
 import 'dotenv/config';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
+import { createReviewLink } from './services/review-links.js';
 
 const prisma = new PrismaClient();
 
@@ -104,7 +105,7 @@ async function seed() {
   console.log('\n✅ Done!\n');
   console.log('─────────────────────────────────────────');
   console.log(`Journey ID:   ${journey.id}`);
-  console.log(`Review URL:   /journeys/${journey.id}/client-review`);
+  console.log(`Review URL:   ${createReviewLink(journey.id).url}`);
   console.log('─────────────────────────────────────────\n');
 }
 
@@ -5,7 +5,7 @@
  */
 
 import 'dotenv/config';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 const prisma = new PrismaClient();
 
@@ -0,0 +1,211 @@
+/**
+ * A/B Test Bandit Allocation
+ * Periodically reweights the traffic of running tests from observed
+ * conversions, using Thompson sampling or epsilon-greedy. Participants keep
+ * the variant they were assigned; only new participants follow the new
+ * weights. Every reallocation is written to ABTestAllocation.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { calculateBayesianStatistics } from './ab-testing-service.js';
+import { IntervalWorker } from './interval-worker.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+export const AllocationMode = {
+  FIXED: 'fixed',                   // Traffic only changes by hand
+  THOMPSON: 'thompson',             // Traffic follows each variant's probability of being best
+  EPSILON_GREEDY: 'epsilon_greedy'  // The best observed variant gets 1 - epsilon, the rest share epsilon
+};
+
+export const ALLOCATION_MODES = Object.values(AllocationMode);
+
+const DEFAULT_BANDIT_POLL_MS = 5 * 60 * 1000;
+
+const DEFAULT_ALLOCATION_CONFIG = {
+  epsilon: 0.1,
+  minTrafficPercentage: 5, // No active variant drops below this share
+  intervalMinutes: 60,     // Time between scheduled reallocations
+  minParticipants: 20      // Every active variant needs this many before the first reallocation
+};
+
+/**
+ * Fill in defaults for a test's allocationConfig
+ */
+export function resolveAllocationConfig(config = {}) {
+  return { ...DEFAULT_ALLOCATION_CONFIG, ...config };
+}
+
+/**
+ * Compute new traffic percentages for the given arms. Thompson sampling is
+ * applied in expectation: each arm's share is its posterior probability of
+ * being best, so the split is deterministic for the same counts.
+ *
+ * @param {Array<{ id: string, participants: number, conversions: number }>} arms
+ * @param {string} mode - AllocationMode.THOMPSON or AllocationMode.EPSILON_GREEDY
+ * @param {Object} [config] - allocationConfig
+ * @returns {Object<string, number>} variantId -> percentage (2 decimals, sums to 100)
+ */
+export function computeBanditAllocation(arms, mode, config = {}) {
+  const { epsilon, minTrafficPercentage } = resolveAllocationConfig(config);
+  let shares;
+
+  if (mode === AllocationMode.THOMPSON) {
+    shares = calculateBayesianStatistics(arms).probabilityToBeBest;
+  } else if (mode === AllocationMode.EPSILON_GREEDY) {
+    const rates = arms.map(arm => (arm.participants > 0 ? arm.conversions / arm.participants : 0));
+    const bestRate = Math.max(...rates);
+    const leaders = rates.filter(rate => rate === bestRate).length;
+    shares = rates.map(rate => epsilon / arms.length + (rate === bestRate ? (1 - epsilon) / leaders : 0));
+  } else {
+    throw httpError(`Unknown allocation mode: ${mode}`, 400);
+  }
+
+  // Guarantee every arm its floor, split the rest by share
+  const floor = Math.min(minTrafficPercentage / 100, 1 / arms.length);
+  const percentages = shares.map(share => Math.round((floor + (1 - floor * arms.length) * share) * 10000) / 100);
+
+  // Absorb rounding error in the largest arm so the split sums to exactly 100
+  const largest = percentages.indexOf(Math.max(...percentages));
+  const total = percentages.reduce((sum, value) => sum + value, 0);
+  percentages[largest] = Math.round((percentages[largest] + 100 - total) * 100) / 100;
+
+  return Object.fromEntries(arms.map((arm, index) => [arm.id, percentages[index]]));
+}
+
+/**
+ * Reweight a running bandit test's active variants now
+ *
+ * @param {string} testId
+ * @param {Object} [options]
+ * @param {string|null} [options.changedBy] - User who asked for it; null for the scheduler
+ * @param {Date} [options.now]
+ * @returns {Promise<{ reallocated: boolean, reason?: string, allocation?: Object }>}
+ */
+export async function reallocateTraffic(testId, { changedBy = null, now = new Date() } = {}) {
+  const test = await prisma.journeyABTest.findUnique({
+    where: { id: testId },
+    include: { variants: true }
+  });
+
+  if (!test) {
+    throw httpError('Test not found', 404);
+  }
+  if (!test.allocationMode || test.allocationMode === AllocationMode.FIXED) {
+    throw httpError('Test uses a fixed traffic split', 409);
+  }
+  if (test.status !== 'running') {
+    throw httpError(`Cannot reallocate test with status: ${test.status}`, 409);
+  }
+
+  const config = resolveAllocationConfig(test.allocationConfig);
+  const active = test.variants.filter(v => v.status === 'active');
+
+  if (active.length < 2) {
+    return { reallocated: false, reason: 'Fewer than two active variants' };
+  }
+  if (active.some(v => v.participantsCount < config.minParticipants)) {
+    return { reallocated: false, reason: `Waiting for ${config.minParticipants} participants per variant` };
+  }
+
+  const arms = active.map(v => ({ id: v.id, participants: v.participantsCount, conversions: v.conversionsCount }));
+  const allocation = computeBanditAllocation(arms, test.allocationMode, config);
+
+  const entry = await prisma.$transaction(async (tx) => {
+    for (const variant of active) {
+      await tx.journeyABTestVariant.update({
+        where: { id: variant.id },
+        data: { trafficPercentage: allocation[variant.id] }
+      });
+    }
+
+    await tx.journeyABTest.update({
+      where: { id: testId },
+      data: { lastReallocatedAt: now }
+    });
+
+    return tx.aBTestAllocation.create({
+      data: {
+        testId,
+        clientId: test.clientId,
+        mode: test.allocationMode,
+        previous: Object.fromEntries(active.map(v => [v.id, Number(v.trafficPercentage)])),
+        allocation,
+        observed: Object.fromEntries(arms.map(({ id, participants, conversions }) => [id, { participants, conversions }])),
+        changedBy,
+        createdAt: now
+      }
+    });
+  });
+
+  return { reallocated: true, allocation: entry };
+}
+
+/**
+ * Reallocate every running bandit test whose interval has elapsed
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Per-test results
+ */
+export async function processDueReallocations(now = new Date()) {
+  const tests = await prisma.journeyABTest.findMany({
+    where: {
+      status: 'running',
+      allocationMode: { in: [AllocationMode.THOMPSON, AllocationMode.EPSILON_GREEDY] }
+    },
+    select: { id: true, allocationConfig: true, lastReallocatedAt: true }
+  });
+
+  const results = [];
+  for (const test of tests) {
+    const { intervalMinutes } = resolveAllocationConfig(test.allocationConfig);
+    if (test.lastReallocatedAt && now.getTime() - test.lastReallocatedAt.getTime() < intervalMinutes * 60 * 1000) {
+      continue;
+    }
+
+    try {
+      results.push({ testId: test.id, ...(await reallocateTraffic(test.id, { now })) });
+    } catch (error) {
+      console.error(`Bandit reallocation failed for test ${test.id}:`, error);
+      results.push({ testId: test.id, reallocated: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Background worker that runs due bandit reallocations
+ */
+export class ABTestBanditWorker extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs]
+   */
+  constructor(options = {}) {
+    super({
+      name: 'A/B test bandit worker',
+      icon: '🎰',
+      pollIntervalMs: options.pollIntervalMs ?? (parseInt(process.env.AB_TEST_BANDIT_POLL_MS) || DEFAULT_BANDIT_POLL_MS)
+    });
+  }
+
+  /**
+   * Run due reallocations
+   *
+   * @param {Date} now
+   * @returns {Promise<Object[]>}
+   */
+  async run(now) {
+    return processDueReallocations(now);
+  }
+}
+
+export const abTestBanditWorker = new ABTestBanditWorker();
+
+export default {
+  computeBanditAllocation,
+  reallocateTraffic,
+  processDueReallocations
+};
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for A/B Test Bandit Allocation
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    journeyABTest: { findUnique: vi.fn(), findMany: vi.fn(), update: vi.fn() },
+    journeyABTestVariant: { update: vi.fn() },
+    aBTestAllocation: { create: vi.fn() },
+    $transaction: vi.fn(callback => callback(mockPrisma))
+  };
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+vi.mock('./outbound-webhooks.js', () => ({
+  emitOutboundEvent: vi.fn(),
+  OutboundEventType: {}
+}));
+
+import {
+  AllocationMode,
+  computeBanditAllocation,
+  processDueReallocations,
+  reallocateTraffic
+} from './ab-test-bandit.js';
+
+const now = new Date('2026-03-19T12:00:00Z');
+
+const arms = [
+  { id: 'control', participants: 1000, conversions: 100 },
+  { id: 'b', participants: 1000, conversions: 130 },
+  { id: 'c', participants: 1000, conversions: 95 }
+];
+
+const sum = (allocation) => Object.values(allocation).reduce((total, value) => total + value, 0);
+
+const banditTest = (overrides = {}) => ({
+  id: 'test-1',
+  clientId: 'c1',
+  status: 'running',
+  allocationMode: AllocationMode.THOMPSON,
+  allocationConfig: {},
+  lastReallocatedAt: null,
+  variants: arms.map(arm => ({
+    id: arm.id,
+    status: 'active',
+    trafficPercentage: arm.id === 'control' ? 33.34 : 33.33,
+    participantsCount: arm.participants,
+    conversionsCount: arm.conversions
+  })),
+  ...overrides
+});
+
+describe('computeBanditAllocation', () => {
+  it('moves Thompson traffic toward the likely best variant, keeping a floor', () => {
+    const allocation = computeBanditAllocation(arms, AllocationMode.THOMPSON, { minTrafficPercentage: 5 });
+
+    expect(allocation.b).toBeGreaterThan(80);
+    expect(allocation.control).toBeGreaterThanOrEqual(5);
+    expect(allocation.c).toBeGreaterThanOrEqual(5);
+    expect(sum(allocation)).toBeCloseTo(100, 10);
+  });
+
+  it('gives the observed leader 1 - epsilon under epsilon-greedy', () => {
+    const allocation = computeBanditAllocation(arms, AllocationMode.EPSILON_GREEDY, { epsilon: 0.3, minTrafficPercentage: 0 });
+
+    expect(allocation).toEqual({ control: 10, b: 80, c: 10 });
+  });
+
+  it('splits evenly while nothing has converted', () => {
+    const fresh = arms.map(arm => ({ ...arm, participants: 0, conversions: 0 }));
+
+    const allocation = computeBanditAllocation(fresh, AllocationMode.EPSILON_GREEDY);
+
+    expect(sum(allocation)).toBeCloseTo(100, 10);
+    expect(Math.max(...Object.values(allocation)) - Math.min(...Object.values(allocation))).toBeLessThan(0.02);
+  });
+});
+
+describe('reallocateTraffic', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.aBTestAllocation.create.mockImplementation(({ data }) => Promise.resolve({ id: 'alloc-1', ...data }));
+  });
+
+  it('updates active variants and logs the change', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(banditTest());
+
+    const result = await reallocateTraffic('test-1', { changedBy: 'ops@bloom.test', now });
+
+    expect(result.reallocated).toBe(true);
+    expect(mockPrisma.journeyABTestVariant.update).toHaveBeenCalledTimes(3);
+    expect(mockPrisma.journeyABTest.update).toHaveBeenCalledWith({
+      where: { id: 'test-1' },
+      data: { lastReallocatedAt: now }
+    });
+
+    const { data } = mockPrisma.aBTestAllocation.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      testId: 'test-1',
+      clientId: 'c1',
+      mode: 'thompson',
+      previous: { control: 33.34, b: 33.33, c: 33.33 },
+      observed: { b: { participants: 1000, conversions: 130 } },
+      changedBy: 'ops@bloom.test'
+    });
+    expect(sum(data.allocation)).toBeCloseTo(100, 10);
+  });
+
+  it('waits until every variant has enough participants', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(banditTest({ allocationConfig: { minParticipants: 2000 } }));
+
+    const result = await reallocateTraffic('test-1', { now });
+
+    expect(result).toEqual({ reallocated: false, reason: 'Waiting for 2000 participants per variant' });
+    expect(mockPrisma.aBTestAllocation.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses tests with a fixed split', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(banditTest({ allocationMode: AllocationMode.FIXED }));
+
+    await expect(reallocateTraffic('test-1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('processDueReallocations', () => {
+  it('only reallocates tests whose interval has elapsed', async () => {
+    vi.clearAllMocks();
+    mockPrisma.journeyABTest.findMany.mockResolvedValue([
+      { id: 'due', allocationConfig: { intervalMinutes: 60 }, lastReallocatedAt: new Date(now.getTime() - 61 * 60 * 1000) },
+      { id: 'recent', allocationConfig: { intervalMinutes: 60 }, lastReallocatedAt: new Date(now.getTime() - 10 * 60 * 1000) }
+    ]);
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(banditTest({ id: 'due' }));
+    mockPrisma.aBTestAllocation.create.mockResolvedValue({ id: 'alloc-1' });
+
+    const results = await processDueReallocations(now);
+
+    expect(results.map(result => result.testId)).toEqual(['due']);
+    expect(mockPrisma.journeyABTest.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'due' } }));
+  });
+});
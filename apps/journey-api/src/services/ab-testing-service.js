@@ -5,12 +5,17 @@
  * Features:
  * - Traffic splitting with weighted allocation
  * - Statistical significance calculation (Z-test for proportions)
+ * - Bayesian analysis (Beta posteriors, probability to beat control, expected loss)
+ * - Sequential analysis (always-valid p-values, O'Brien-Fleming alpha spending)
+ * - Full and fractional factorial designs (main effects, two-way interactions)
  * - Confidence interval calculation
- * - Automatic winner selection
+ * - Automatic winner selection following the test's analysis mode
  * - Sample size estimation
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
+import { emitOutboundEvent, OutboundEventType } from './outbound-webhooks.js';
+import { httpError } from '../middleware/error-handler.js';
 
 const prisma = new PrismaClient();
 
@@ -55,23 +60,61 @@ function calculateZStatistic(p1, n1, p2, n2) {
 }
 
 /**
- * Calculate p-value from Z-statistic (two-tailed)
+ * Error function (Abramowitz and Stegun 7.1.26)
  */
-function calculatePValue(z) {
-  // Approximation of standard normal CDF
+function erf(x) {
   const a1 = 0.254829592;
   const a2 = -0.284496736;
   const a3 = 1.421413741;
   const a4 = -1.453152027;
   const a5 = 1.061405429;
   const p = 0.3275911;
-  
-  const sign = z < 0 ? -1 : 1;
-  const x = Math.abs(z) / Math.sqrt(2);
-  const t = 1 / (1 + p * x);
+
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + p * Math.abs(x));
   const y = 1 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-  
-  return 2 * (0.5 - 0.5 * sign * y);
+
+  return sign * y;
+}
+
+/**
+ * Standard normal CDF
+ */
+function normalCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow || p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < pLow ? x : -x;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Calculate p-value from Z-statistic (two-tailed)
+ */
+function calculatePValue(z) {
+  return 1 - erf(Math.abs(z) / Math.SQRT2);
 }
 
 /**
@@ -113,24 +156,26 @@ function calculateRequiredSampleSize(
   return Math.ceil(n);
 }
 
+/**
+ * Map a key (usually a contact ID) to a stable number in [0, 1)
+ */
+function hashToUnit(key) {
+  // Simple hash function for deterministic assignment
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    const char = key.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return (Math.abs(hash) % 10000) / 10000;
+}
+
 /**
  * Assign participant to variant using weighted random allocation
  */
 function assignVariant(variants, contactId) {
   // Use contactId for consistent hashing if provided
-  let random;
-  if (contactId) {
-    // Simple hash function for deterministic assignment
-    let hash = 0;
-    for (let i = 0; i < contactId.length; i++) {
-      const char = contactId.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    random = (Math.abs(hash) % 10000) / 10000;
-  } else {
-    random = Math.random();
-  }
+  const random = contactId ? hashToUnit(contactId) : Math.random();
 
   let cumulativeWeight = 0;
   for (const variant of variants) {
@@ -144,46 +189,588 @@ function assignVariant(variants, contactId) {
   return variants[variants.length - 1];
 }
 
+/**
+ * Observed conversion rate of an arm ({ participants, conversions })
+ */
+function rateOf(arm) {
+  return arm.participants > 0 ? arm.conversions / arm.participants : 0;
+}
+
+/**
+ * Rates and lift of a treatment against control
+ */
+function describeDifference(control, treatment) {
+  const p1 = rateOf(control);
+  const p2 = rateOf(treatment);
+
+  return {
+    controlRate: p1,
+    treatmentRate: p2,
+    absoluteDifference: p2 - p1,
+    relativeImprovement: p1 > 0 ? ((p2 - p1) / p1) * 100 : 0
+  };
+}
+
 /**
  * Calculate statistical significance between two variants
  */
-function calculateVariantSignificance(control, treatment) {
-  const p1 = control.conversions / control.participants;
-  const p2 = treatment.conversions / treatment.participants;
+function calculateVariantSignificance(control, treatment, minConfidenceLevel = 0.95) {
+  const difference = describeDifference(control, treatment);
   const n1 = control.participants;
   const n2 = treatment.participants;
 
-  const z = calculateZStatistic(p1, n1, p2, n2);
+  const z = calculateZStatistic(difference.controlRate, n1, difference.treatmentRate, n2);
   const pValue = calculatePValue(z);
   const confidenceLevel = 1 - pValue;
 
-  // Calculate improvement percentage
-  const improvement = p1 > 0 ? ((p2 - p1) / p1) * 100 : 0;
-
-  // Calculate confidence intervals
-  const ci1 = calculateConfidenceInterval(p1, n1);
-  const ci2 = calculateConfidenceInterval(p2, n2);
-
   return {
-    controlRate: p1,
-    treatmentRate: p2,
-    absoluteDifference: p2 - p1,
-    relativeImprovement: improvement,
+    ...difference,
     zScore: z,
     pValue,
     confidenceLevel,
-    isSignificant: confidenceLevel >= 0.95,
-    controlCI: ci1,
-    treatmentCI: ci2
+    isSignificant: confidenceLevel >= minConfidenceLevel,
+    controlCI: calculateConfidenceInterval(difference.controlRate, n1, minConfidenceLevel),
+    treatmentCI: calculateConfidenceInterval(difference.treatmentRate, n2, minConfidenceLevel)
+  };
+}
+
+// ============================================
+// ANALYSIS MODES
+// ============================================
+
+/**
+ * How a test's results are analysed and its winner chosen.
+ * Fixed-horizon z-tests are only valid when read once, at the planned
+ * sample size; the other two modes stay valid however often they are read.
+ */
+export const AnalysisMode = {
+  FIXED: 'fixed',           // Two-proportion z-test at minSampleSize
+  BAYESIAN: 'bayesian',     // Beta posteriors, probability to beat control, expected loss
+  SEQUENTIAL: 'sequential'  // Always-valid p-values or alpha spending
+};
+
+export const ANALYSIS_MODES = Object.values(AnalysisMode);
+
+export const SequentialMethod = {
+  MSPRT: 'msprt',                  // Mixture SPRT, always-valid p-value
+  ALPHA_SPENDING: 'alpha_spending' // O'Brien-Fleming-type spending over plannedSampleSize
+};
+
+const POSTERIOR_GRID_POINTS = 2000;
+const DENSITY_CHART_POINTS = 60;
+
+/**
+ * Fill in defaults for a test's analysisConfig
+ */
+function resolveAnalysisConfig(test) {
+  const mode = test.analysisMode || AnalysisMode.FIXED;
+  const config = test.analysisConfig || {};
+
+  if (mode === AnalysisMode.BAYESIAN) {
+    return {
+      priorAlpha: 1,
+      priorBeta: 1,
+      expectedLossThreshold: 0.001,
+      ...config
+    };
+  }
+
+  if (mode === AnalysisMode.SEQUENTIAL) {
+    return {
+      method: SequentialMethod.MSPRT,
+      mixingVariance: 0.0004,
+      plannedSampleSize: test.minSampleSize,
+      ...config
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Bayesian comparison of arms with Beta(priorAlpha + conversions,
+ * priorBeta + non-conversions) posteriors. The posteriors are integrated
+ * numerically on a shared grid, so results are deterministic.
+ *
+ * @param {Array<{ participants: number, conversions: number }>} arms - Control first
+ * @param {Object} [options]
+ * @param {number} [options.priorAlpha]
+ * @param {number} [options.priorBeta]
+ * @param {number} [options.credibleLevel] - Width of each arm's credible interval
+ * @returns {{ posteriors: Array<Object>, probabilityToBeBest: number[], versusControl: Array<Object> }}
+ *   versusControl[i] compares arms[i + 1] with control
+ */
+function calculateBayesianStatistics(arms, { priorAlpha = 1, priorBeta = 1, credibleLevel = 0.95 } = {}) {
+  const params = arms.map(arm => {
+    const alpha = priorAlpha + arm.conversions;
+    const beta = priorBeta + Math.max(0, arm.participants - arm.conversions);
+    const total = alpha + beta;
+    return { alpha, beta, mean: alpha / total, sd: Math.sqrt((alpha * beta) / (total * total * (total + 1))) };
+  });
+
+  // Grid wide enough to hold every posterior's mass
+  const lower = Math.max(0, Math.min(...params.map(p => p.mean - 10 * p.sd)));
+  const upper = Math.min(1, Math.max(...params.map(p => p.mean + 10 * p.sd)));
+  const step = (upper - lower) / POSTERIOR_GRID_POINTS;
+  const xs = Array.from({ length: POSTERIOR_GRID_POINTS }, (_, i) => lower + (i + 0.5) * step);
+
+  // Probability mass of each posterior in each grid cell
+  const masses = params.map(({ alpha, beta }) => {
+    const logDensity = xs.map(x => (alpha - 1) * Math.log(x) + (beta - 1) * Math.log(1 - x));
+    const max = Math.max(...logDensity);
+    const weights = logDensity.map(value => Math.exp(value - max));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map(weight => weight / sum);
+  });
+
+  // P(arm < x) at each cell, counting half of the cell itself
+  const below = masses.map(mass => {
+    let cumulative = 0;
+    return mass.map(m => {
+      const value = cumulative + m / 2;
+      cumulative += m;
+      return value;
+    });
+  });
+
+  const quantile = (mass, q) => {
+    let cumulative = 0;
+    for (let i = 0; i < mass.length; i++) {
+      cumulative += mass[i];
+      if (cumulative >= q) return xs[i];
+    }
+    return xs[xs.length - 1];
+  };
+
+  // E[max(other - arm, 0)]: what is lost by picking arm when other is better
+  const expectedLoss = (arm, other) => {
+    let tailMass = 0;
+    let tailMean = 0;
+    let loss = 0;
+    for (let i = xs.length - 1; i >= 0; i--) {
+      loss += masses[arm][i] * (tailMean - xs[i] * tailMass);
+      tailMass += masses[other][i];
+      tailMean += masses[other][i] * xs[i];
+    }
+    return loss;
+  };
+
+  const probabilityToBeBest = masses.map((mass, arm) =>
+    mass.reduce((sum, m, i) =>
+      sum + m * below.reduce((product, cdf, other) => (other === arm ? product : product * cdf[i]), 1), 0)
+  );
+  const bestTotal = probabilityToBeBest.reduce((a, b) => a + b, 0) || 1;
+
+  const chartStride = Math.max(1, Math.floor(POSTERIOR_GRID_POINTS / DENSITY_CHART_POINTS));
+  const tail = (1 - credibleLevel) / 2;
+
+  return {
+    posteriors: params.map(({ alpha, beta, mean }, arm) => ({
+      alpha,
+      beta,
+      mean,
+      credibleInterval: { lower: quantile(masses[arm], tail), upper: quantile(masses[arm], 1 - tail) },
+      density: xs
+        .map((x, i) => ({ x, y: masses[arm][i] / step }))
+        .filter((_, i) => i % chartStride === 0)
+    })),
+    probabilityToBeBest: probabilityToBeBest.map(p => p / bestTotal),
+    versusControl: arms.slice(1).map((_, index) => {
+      const arm = index + 1;
+      return {
+        probabilityToBeatControl: masses[arm].reduce((sum, m, i) => sum + m * below[0][i], 0),
+        expectedLoss: expectedLoss(arm, 0),
+        expectedLossControl: expectedLoss(0, arm)
+      };
+    })
   };
 }
 
+/**
+ * Mixture sequential probability ratio test for a difference in
+ * proportions (normal approximation, N(0, mixingVariance) mixture over the
+ * effect). The p-value is valid at every look; take the running minimum
+ * across looks.
+ *
+ * @returns {{ pValue: number, interval: { lower: number, upper: number } }}
+ *   interval is the always-valid confidence sequence for the difference
+ */
+function calculateMsprt(control, treatment, { mixingVariance = 0.0004, alpha = 0.05 } = {}) {
+  const p1 = rateOf(control);
+  const p2 = rateOf(treatment);
+  const difference = p2 - p1;
+
+  if (control.participants === 0 || treatment.participants === 0) {
+    return { pValue: 1, interval: { lower: -1, upper: 1 } };
+  }
+
+  const variance = (p1 * (1 - p1)) / control.participants + (p2 * (1 - p2)) / treatment.participants;
+  if (variance === 0) {
+    return { pValue: 1, interval: { lower: difference, upper: difference } };
+  }
+
+  const tau2 = mixingVariance;
+  const logLikelihoodRatio = 0.5 * Math.log(variance / (variance + tau2)) +
+    (difference * difference * tau2) / (2 * variance * (variance + tau2));
+  const halfWidth = Math.sqrt(
+    ((2 * variance * (variance + tau2)) / tau2) *
+    (Math.log(1 / alpha) + 0.5 * Math.log((variance + tau2) / variance))
+  );
+
+  return {
+    pValue: Math.min(1, Math.exp(-logLikelihoodRatio)),
+    interval: { lower: difference - halfWidth, upper: difference + halfWidth }
+  };
+}
+
+/**
+ * Lan-DeMets O'Brien-Fleming-type alpha spending. At information fraction
+ * t the two-sided boundary is z(1 - alpha/2) / sqrt(t), which spends
+ * 2 - 2 * Phi(boundary) of alpha so far.
+ */
+function obrienFlemingBoundary(informationFraction, alpha = 0.05) {
+  const t = Math.min(1, Math.max(informationFraction, 1e-6));
+  const boundary = normalQuantile(1 - alpha / 2) / Math.sqrt(t);
+
+  return {
+    informationFraction: t,
+    boundary,
+    alphaSpent: 2 - 2 * normalCdf(boundary)
+  };
+}
+
+/**
+ * Sequential statistics for a treatment over every look so far
+ *
+ * @param {Array<{ date: Date, counts: Map<string, { participants: number, conversions: number }> }>} looks
+ * @returns {Object} Current statistics plus `history` for charting
+ */
+function calculateSequentialStatistics(looks, controlId, treatmentId, config, minConfidenceLevel) {
+  const alpha = 1 - minConfidenceLevel;
+  const history = [];
+  let runningPValue = 1;
+  let crossedAt = null;
+
+  for (const look of looks) {
+    const control = look.counts.get(controlId);
+    const treatment = look.counts.get(treatmentId);
+    if (!control || !treatment) continue;
+
+    const zScore = calculateZStatistic(rateOf(control), control.participants, rateOf(treatment), treatment.participants);
+    const point = {
+      date: look.date,
+      participants: control.participants + treatment.participants,
+      zScore
+    };
+
+    if (config.method === SequentialMethod.ALPHA_SPENDING) {
+      const informationFraction = Math.min(control.participants, treatment.participants) / config.plannedSampleSize;
+      Object.assign(point, obrienFlemingBoundary(informationFraction, alpha));
+      if (!crossedAt && zScore >= point.boundary) crossedAt = look.date;
+    } else {
+      const { pValue, interval } = calculateMsprt(control, treatment, { mixingVariance: config.mixingVariance, alpha });
+      runningPValue = Math.min(runningPValue, pValue);
+      Object.assign(point, { pValue: runningPValue, interval });
+      if (!crossedAt && pValue <= alpha && zScore > 0) crossedAt = look.date;
+    }
+
+    history.push(point);
+  }
+
+  const latest = history[history.length - 1] || { zScore: 0, participants: 0 };
+  const result = {
+    sequentialMethod: config.method,
+    zScore: latest.zScore,
+    crossedAt,
+    isSignificant: !!crossedAt,
+    history
+  };
+
+  if (config.method === SequentialMethod.ALPHA_SPENDING) {
+    return {
+      ...result,
+      informationFraction: latest.informationFraction ?? 0,
+      boundary: latest.boundary ?? null,
+      alphaSpent: latest.alphaSpent ?? 0
+    };
+  }
+
+  return {
+    ...result,
+    alwaysValidPValue: runningPValue,
+    confidenceLevel: 1 - runningPValue,
+    differenceInterval: latest.interval || null
+  };
+}
+
+/**
+ * Pick the winning treatment: significant, better than control and, among
+ * those, the highest observed rate
+ */
+function pickWinner(statistics) {
+  return statistics
+    .filter(s => s.isSignificant && s.relativeImprovement > 0)
+    .sort((a, b) => b.treatmentRate - a.treatmentRate)[0] || null;
+}
+
+// ============================================
+// FACTORIAL DESIGNS
+// ============================================
+
+/**
+ * How a test's variants are laid out. Factorial tests vary several factors
+ * (touchpoints, wait lengths, ...) together; every combination of levels is a
+ * variant ("cell"), so a participant sees one consistent level of each factor.
+ */
+export const TestDesign = {
+  AB: 'ab',                                  // Hand-built variants
+  FULL_FACTORIAL: 'full_factorial',          // Every combination of levels
+  FRACTIONAL_FACTORIAL: 'fractional_factorial' // A fraction of the 2-level combinations, aliasing some effects
+};
+
+export const TEST_DESIGNS = Object.values(TestDesign);
+
+export const MAX_FACTORIAL_CELLS = 64;
+
+/**
+ * Generators for a fractional design: generated factor key -> base factor keys.
+ * A generated factor's level is the parity of its base factors' levels, so the
+ * all-baseline cell (the control) is always part of the fraction. Without
+ * generators the last factor is generated from all the others (a half fraction).
+ */
+function resolveGenerators(factors, generators = {}) {
+  const resolved = Object.keys(generators).length > 0
+    ? generators
+    : { [factors[factors.length - 1].key]: factors.slice(0, -1).map(f => f.key) };
+
+  const keys = new Set(factors.map(f => f.key));
+  const generated = new Set(Object.keys(resolved));
+
+  for (const [key, bases] of Object.entries(resolved)) {
+    if (!keys.has(key)) {
+      throw httpError(`Unknown generated factor: ${key}`, 400);
+    }
+    if (!Array.isArray(bases) || bases.length < 2) {
+      throw httpError(`Factor ${key} must be generated from at least two base factors`, 400);
+    }
+    for (const base of bases) {
+      if (!keys.has(base) || generated.has(base)) {
+        throw httpError(`Factor ${key} must be generated from base factors, got ${base}`, 400);
+      }
+    }
+  }
+
+  for (const factor of factors) {
+    const used = generated.has(factor.key) || Object.values(resolved).some(bases => bases.includes(factor.key));
+    if (used && factor.levels.length !== 2) {
+      throw httpError(`Fractional designs need two levels for factor ${factor.key}`, 400);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Equal traffic for n cells, two decimals, remainder to the first (control) cell
+ */
+function equalTrafficSplit(count) {
+  const share = Math.floor(10000 / count) / 100;
+  const remainder = Math.round((100 - share * count) * 100) / 100;
+  return Array.from({ length: count }, (_, index) => (index === 0 ? Math.round((share + remainder) * 100) / 100 : share));
+}
+
+/**
+ * Build the variants of a factorial test. Each level's `changes` are merged
+ * into the cell's touchpointChanges under the factor's touchpointId (or the
+ * factor key when it has none).
+ *
+ * @param {Array<{ key: string, name: string, touchpointId?: string, levels: Array<{ name: string, changes?: Object }> }>} factors
+ * @param {Object} [options]
+ * @param {string} [options.design] - TestDesign.FULL_FACTORIAL or TestDesign.FRACTIONAL_FACTORIAL
+ * @param {Object} [options.generators] - Fractional only, see resolveGenerators
+ * @returns {{ variants: Object[], generators: Object }} Variants in createTest's shape plus factorLevels
+ */
+function buildFactorialCells(factors, { design = TestDesign.FULL_FACTORIAL, generators = {} } = {}) {
+  if (!Array.isArray(factors) || factors.length < 2) {
+    throw httpError('Factorial tests need at least two factors', 400);
+  }
+  if (new Set(factors.map(f => f.key)).size !== factors.length) {
+    throw httpError('Factor keys must be unique', 400);
+  }
+  if (factors.some(f => !Array.isArray(f.levels) || f.levels.length < 2)) {
+    throw httpError('Every factor needs at least two levels', 400);
+  }
+
+  const resolvedGenerators = design === TestDesign.FRACTIONAL_FACTORIAL ? resolveGenerators(factors, generators) : {};
+  const baseFactors = factors.filter(f => !resolvedGenerators[f.key]);
+
+  const cellCount = baseFactors.reduce((count, f) => count * f.levels.length, 1);
+  if (cellCount > MAX_FACTORIAL_CELLS) {
+    throw httpError(`Factorial design has ${cellCount} combinations, the maximum is ${MAX_FACTORIAL_CELLS}`, 400);
+  }
+
+  // Enumerate base factor levels like an odometer, first factor changing slowest
+  const combinations = [];
+  for (let index = 0; index < cellCount; index++) {
+    const factorLevels = {};
+    let rest = index;
+    for (let f = baseFactors.length - 1; f >= 0; f--) {
+      factorLevels[baseFactors[f].key] = rest % baseFactors[f].levels.length;
+      rest = Math.floor(rest / baseFactors[f].levels.length);
+    }
+    for (const [key, bases] of Object.entries(resolvedGenerators)) {
+      factorLevels[key] = bases.reduce((sum, base) => sum + factorLevels[base], 0) % 2;
+    }
+    combinations.push(factorLevels);
+  }
+
+  const traffic = equalTrafficSplit(cellCount);
+
+  const variants = combinations.map((factorLevels, index) => {
+    const touchpointChanges = {};
+    for (const factor of factors) {
+      const target = factor.touchpointId || factor.key;
+      touchpointChanges[target] = { ...touchpointChanges[target], ...factor.levels[factorLevels[factor.key]].changes };
+    }
+
+    const orderedLevels = Object.fromEntries(factors.map(f => [f.key, factorLevels[f.key]]));
+
+    return {
+      name: factors.map(f => f.levels[factorLevels[f.key]].name).join(' / ').slice(0, 255),
+      description: factors.map(f => `${f.name}: ${f.levels[factorLevels[f.key]].name}`).join(', '),
+      trafficPercentage: traffic[index],
+      touchpointChanges,
+      factorLevels: orderedLevels,
+      isControl: index === 0
+    };
+  });
+
+  return { variants, generators: resolvedGenerators };
+}
+
+/**
+ * Effects whose contrasts cannot be told apart in the cells that were run.
+ * Only 2-level factors are checked; full factorials have no aliases.
+ *
+ * @returns {Object<string, string[]>} effect key ("a" or "a:b") -> aliased effect keys
+ */
+function findFactorialAliases(factors, cells) {
+  const twoLevel = factors.filter(f => f.levels.length === 2);
+  const column = (keys) => cells.map(cell => keys.reduce((sign, key) => sign * (cell.factorLevels[key] ? 1 : -1), 1)).join(',');
+
+  const effects = twoLevel.map(f => [f.key]);
+  for (let i = 0; i < twoLevel.length; i++) {
+    for (let j = i + 1; j < twoLevel.length; j++) {
+      effects.push([twoLevel[i].key, twoLevel[j].key]);
+    }
+  }
+
+  const columns = effects.map(keys => ({ key: keys.join(':'), column: column(keys), negated: column(keys).split(',').map(v => -v).join(',') }));
+  const aliases = {};
+  for (const effect of columns) {
+    const aliased = columns
+      .filter(other => other.key !== effect.key && (other.column === effect.column || other.column === effect.negated))
+      .map(other => other.key);
+    if (aliased.length > 0) {
+      aliases[effect.key] = aliased;
+    }
+  }
+
+  return aliases;
+}
+
+/**
+ * Main effects and two-way interactions of a factorial test, on conversion
+ * rates pooled over the other factors. A main effect compares each level of a
+ * factor with its first level; an interaction is the difference-in-differences
+ * (p_ab - p_a0) - (p_0b - p_00) between two factors' levels.
+ *
+ * @param {Object[]} factors - The test's factors
+ * @param {Array<{ factorLevels: Object, participants: number, conversions: number }>} cells
+ * @param {number} [minConfidenceLevel]
+ * @returns {{ factors: Object[], mainEffects: Object[], interactions: Object[], aliases: Object }}
+ */
+function calculateFactorialEffects(factors, cells, minConfidenceLevel = 0.95) {
+  const aliases = findFactorialAliases(factors, cells);
+  const z = normalQuantile(1 - (1 - minConfidenceLevel) / 2);
+
+  const pool = (levels) => cells
+    .filter(cell => Object.entries(levels).every(([key, level]) => cell.factorLevels?.[key] === level))
+    .reduce((arm, cell) => ({
+      participants: arm.participants + cell.participants,
+      conversions: arm.conversions + cell.conversions
+    }), { participants: 0, conversions: 0 });
+
+  const marginals = factors.map(factor => ({
+    key: factor.key,
+    name: factor.name,
+    levels: factor.levels.map((level, index) => {
+      const arm = pool({ [factor.key]: index });
+      return { level: index, name: level.name, ...arm, rate: rateOf(arm) };
+    })
+  }));
+
+  const mainEffects = factors.flatMap(factor => factor.levels.slice(1).map((level, offset) => {
+    const baseline = pool({ [factor.key]: 0 });
+    const treatment = pool({ [factor.key]: offset + 1 });
+    return {
+      factor: factor.key,
+      factorName: factor.name,
+      level: offset + 1,
+      levelName: level.name,
+      baselineLevelName: factor.levels[0].name,
+      ...calculateVariantSignificance(baseline, treatment, minConfidenceLevel),
+      aliasedWith: aliases[factor.key] || []
+    };
+  }));
+
+  const interactions = [];
+  for (let i = 0; i < factors.length; i++) {
+    for (let j = i + 1; j < factors.length; j++) {
+      const [first, second] = [factors[i], factors[j]];
+
+      for (let a = 1; a < first.levels.length; a++) {
+        for (let b = 1; b < second.levels.length; b++) {
+          const quadrants = [[0, 0], [a, 0], [0, b], [a, b]].map(([la, lb]) => pool({ [first.key]: la, [second.key]: lb }));
+          const [p00, pa0, p0b, pab] = quadrants.map(rateOf);
+          const estimable = quadrants.every(arm => arm.participants > 0);
+
+          const contrast = (pab - p0b) - (pa0 - p00);
+          const standardError = estimable
+            ? Math.sqrt(quadrants.reduce((sum, arm) => sum + rateOf(arm) * (1 - rateOf(arm)) / arm.participants, 0))
+            : 0;
+          const zScore = standardError > 0 ? contrast / standardError : 0;
+          const pValue = standardError > 0 ? calculatePValue(zScore) : 1;
+
+          interactions.push({
+            factors: [first.key, second.key],
+            levels: { [first.key]: a, [second.key]: b },
+            label: `${first.name}: ${first.levels[a].name} × ${second.name}: ${second.levels[b].name}`,
+            estimable,
+            contrast,
+            standardError,
+            zScore,
+            pValue,
+            confidenceLevel: 1 - pValue,
+            isSignificant: estimable && 1 - pValue >= minConfidenceLevel,
+            interval: { lower: contrast - z * standardError, upper: contrast + z * standardError },
+            aliasedWith: aliases[`${first.key}:${second.key}`] || []
+          });
+        }
+      }
+    }
+  }
+
+  return { factors: marginals, mainEffects, interactions, aliases };
+}
+
 /**
  * A/B Testing Service
  */
 export class ABTestingService {
   /**
-   * Create a new A/B test
+   * Create a new A/B test. Factorial designs build their variants from
+   * `factors` instead of taking `variants`.
    */
   async createTest(data) {
     const {
@@ -197,10 +784,26 @@ export class ABTestingService {
       minConfidenceLevel = 0.95,
       minSampleSize = 100,
       autoWinnerSelection = false,
+      analysisMode = AnalysisMode.FIXED,
+      analysisConfig = {},
+      allocationMode = 'fixed',
+      allocationConfig = {},
+      design = TestDesign.AB,
+      factors = [],
+      factorGenerators = {},
       scheduledStart,
-      variants,
       createdBy
     } = data;
+    let { variants } = data;
+    let generators = {};
+
+    if (design !== TestDesign.AB) {
+      // Uneven traffic would confound the factors' effects
+      if (allocationMode !== 'fixed') {
+        throw httpError('Factorial tests need a fixed traffic split', 400);
+      }
+      ({ variants, generators } = buildFactorialCells(factors, { design, generators: factorGenerators }));
+    }
 
     // Validate traffic allocation sums to 100%
     const totalTraffic = variants.reduce((sum, v) => sum + (v.trafficPercentage || 0), 0);
@@ -228,6 +831,13 @@ export class ABTestingService {
           minConfidenceLevel,
           minSampleSize,
           autoWinnerSelection,
+          analysisMode,
+          analysisConfig,
+          allocationMode,
+          allocationConfig,
+          design,
+          factors: design === TestDesign.AB ? [] : factors,
+          factorGenerators: generators,
           scheduledStart,
           status: scheduledStart ? 'draft' : 'draft',
           createdBy
@@ -247,6 +857,7 @@ export class ABTestingService {
               trafficPercentage: variant.trafficPercentage,
               journeySnapshot: variant.journeySnapshot,
               touchpointChanges: variant.touchpointChanges,
+              factorLevels: variant.factorLevels,
               isControl: variant.isControl,
               status: 'active'
             }
@@ -319,8 +930,11 @@ export class ABTestingService {
 
   /**
    * Stop an A/B test and optionally select a winner
+   * @param {string} testId
+   * @param {string|null} [winnerVariantId]
+   * @param {string|null} [reason] - Why the winner was chosen
    */
-  async stopTest(testId, winnerVariantId = null) {
+  async stopTest(testId, winnerVariantId = null, reason = null) {
     const test = await prisma.journeyABTest.findUnique({
       where: { id: testId },
       include: { variants: true }
@@ -336,7 +950,7 @@ export class ABTestingService {
 
     const now = new Date();
 
-    return await prisma.$transaction(async (tx) => {
+    const completed = await prisma.$transaction(async (tx) => {
       // Update test status
       const updatedTest = await tx.journeyABTest.update({
         where: { id: testId },
@@ -345,6 +959,7 @@ export class ABTestingService {
           endDate: now,
           winnerVariantId,
           winnerSelectedAt: winnerVariantId ? now : null,
+          winnerSelectionReason: winnerVariantId ? reason : null,
           updatedAt: now
         },
         include: { variants: true }
@@ -365,6 +980,23 @@ export class ABTestingService {
 
       return updatedTest;
     });
+
+    if (winnerVariantId) {
+      const winner = test.variants.find(variant => variant.id === winnerVariantId);
+      await emitOutboundEvent(OutboundEventType.AB_TEST_WINNER_DECLARED, {
+        clientId: test.clientId,
+        data: {
+          testId,
+          testName: test.name,
+          journeyId: test.journeyId,
+          winnerVariantId,
+          winnerVariantName: winner?.name || null,
+          selectedAt: now.toISOString()
+        }
+      });
+    }
+
+    return completed;
   }
 
   /**
@@ -430,6 +1062,35 @@ export class ABTestingService {
     return participant;
   }
 
+  /**
+   * The level of each factor a participant sees in a factorial test, so that
+   * every touchpoint in the test uses the same cell
+   *
+   * @returns {Promise<Object|null>} { variantId, factors: { [key]: { level, name, touchpointId, changes } } }
+   */
+  async getParticipantFactors(testId, contactId) {
+    const participant = await prisma.aBTestParticipant.findUnique({
+      where: { testId_contactId: { testId, contactId } },
+      include: { variant: true, test: true }
+    });
+
+    if (!participant || !participant.variant.factorLevels) {
+      return null;
+    }
+
+    const factors = Object.fromEntries(participant.test.factors.map(factor => {
+      const level = participant.variant.factorLevels[factor.key];
+      return [factor.key, {
+        level,
+        name: factor.levels[level].name,
+        touchpointId: factor.touchpointId || null,
+        changes: factor.levels[level].changes || {}
+      }];
+    }));
+
+    return { variantId: participant.variantId, factors };
+  }
+
   /**
    * Record a conversion for a participant
    */
@@ -517,7 +1178,7 @@ export class ABTestingService {
   }
 
   /**
-   * Calculate test results and statistics
+   * Calculate test results and statistics using the test's analysis mode
    */
   async calculateResults(testId) {
     const test = await prisma.journeyABTest.findUnique({
@@ -533,23 +1194,84 @@ export class ABTestingService {
       throw new Error('Test not found');
     }
 
+    const mode = test.analysisMode || AnalysisMode.FIXED;
+    const analysisConfig = resolveAnalysisConfig(test);
+    const minConfidenceLevel = Number(test.minConfidenceLevel ?? 0.95);
+
+    const arms = test.variants.map(v => ({
+      id: v.id,
+      name: v.name,
+      participants: v.participantsCount,
+      conversions: v.conversionsCount
+    }));
     const control = test.variants.find(v => v.isControl);
+    const controlArm = arms.find(arm => arm.id === control.id);
     const treatments = test.variants.filter(v => !v.isControl);
+    const treatmentArms = treatments.map(t => arms.find(arm => arm.id === t.id));
 
-    // Calculate statistics for each variant vs control
-    const variantResults = treatments.map(treatment => {
-      const stats = calculateVariantSignificance(control, treatment);
-      return {
-        variantId: treatment.id,
-        variantName: treatment.name,
-        ...stats
-      };
-    });
+    const analysis = { mode, config: analysisConfig };
+    let variantResults;
 
-    // Find best performing variant
-    const bestVariant = variantResults.reduce((best, current) => {
-      return current.treatmentRate > best.treatmentRate ? current : best;
-    }, variantResults[0]);
+    if (mode === AnalysisMode.BAYESIAN) {
+      const bayesian = calculateBayesianStatistics([controlArm, ...treatmentArms], {
+        priorAlpha: analysisConfig.priorAlpha,
+        priorBeta: analysisConfig.priorBeta,
+        credibleLevel: minConfidenceLevel
+      });
+
+      variantResults = treatmentArms.map((arm, index) => {
+        const comparison = bayesian.versusControl[index];
+        return {
+          variantId: arm.id,
+          variantName: arm.name,
+          ...describeDifference(controlArm, arm),
+          ...comparison,
+          probabilityToBeBest: bayesian.probabilityToBeBest[index + 1],
+          confidenceLevel: comparison.probabilityToBeatControl,
+          isSignificant: comparison.probabilityToBeatControl >= minConfidenceLevel &&
+            comparison.expectedLoss <= analysisConfig.expectedLossThreshold,
+          controlCI: bayesian.posteriors[0].credibleInterval,
+          treatmentCI: bayesian.posteriors[index + 1].credibleInterval
+        };
+      });
+
+      analysis.posteriors = [controlArm, ...treatmentArms].map((arm, index) => ({
+        variantId: arm.id,
+        variantName: arm.name,
+        isControl: index === 0,
+        probabilityToBeBest: bayesian.probabilityToBeBest[index],
+        ...bayesian.posteriors[index]
+      }));
+    } else if (mode === AnalysisMode.SEQUENTIAL) {
+      const looks = await this.getSequentialLooks(testId, arms);
+
+      variantResults = treatmentArms.map(arm => ({
+        variantId: arm.id,
+        variantName: arm.name,
+        ...describeDifference(controlArm, arm),
+        controlCI: calculateConfidenceInterval(rateOf(controlArm), controlArm.participants, minConfidenceLevel),
+        treatmentCI: calculateConfidenceInterval(rateOf(arm), arm.participants, minConfidenceLevel),
+        ...calculateSequentialStatistics(looks, controlArm.id, arm.id, analysisConfig, minConfidenceLevel)
+      }));
+    } else {
+      variantResults = treatmentArms.map(arm => ({
+        variantId: arm.id,
+        variantName: arm.name,
+        ...calculateVariantSignificance(controlArm, arm, minConfidenceLevel)
+      }));
+    }
+
+    if (test.design && test.design !== TestDesign.AB) {
+      analysis.factorial = {
+        design: test.design,
+        generators: test.factorGenerators || {},
+        ...calculateFactorialEffects(
+          test.factors,
+          test.variants.map(v => ({ factorLevels: v.factorLevels, participants: v.participantsCount, conversions: v.conversionsCount })),
+          minConfidenceLevel
+        )
+      };
+    }
 
     // Check if we have enough sample size
     const totalParticipants = test.variants.reduce((sum, v) => sum + v.participantsCount, 0);
@@ -572,6 +1294,9 @@ export class ABTestingService {
         name: test.name,
         status: test.status,
         targetMetric: test.targetMetric,
+        analysisMode: mode,
+        design: test.design || TestDesign.AB,
+        minConfidenceLevel,
         startDate: test.startDate,
         endDate: test.endDate
       },
@@ -587,9 +1312,7 @@ export class ABTestingService {
         name: control.name,
         participants: control.participantsCount,
         conversions: control.conversionsCount,
-        rate: control.participantsCount > 0
-          ? control.conversionsCount / control.participantsCount
-          : 0
+        rate: rateOf(controlArm)
       },
       variants: test.variants.map(v => ({
         id: v.id,
@@ -604,10 +1327,53 @@ export class ABTestingService {
         status: v.status
       })),
       statistics: variantResults,
+      analysis,
       recommendation: this.generateRecommendation(test, variantResults, hasEnoughSample, hasSignificantResult)
     };
   }
 
+  /**
+   * Cumulative participants and conversions per variant at the end of each
+   * UTC day since the test started, plus the current counts as the last look
+   */
+  async getSequentialLooks(testId, arms) {
+    const participants = await prisma.aBTestParticipant.findMany({
+      where: { testId },
+      select: { variantId: true, assignedAt: true, convertedAt: true }
+    });
+
+    // New participants and conversions per day, then running totals
+    const dayOf = (date) => date.toISOString().split('T')[0];
+    const daily = new Map();
+    const add = (date, variantId, field) => {
+      const day = dayOf(date);
+      if (!daily.has(day)) daily.set(day, []);
+      daily.get(day).push({ variantId, field });
+    };
+    for (const participant of participants) {
+      add(participant.assignedAt, participant.variantId, 'participants');
+      if (participant.convertedAt) add(participant.convertedAt, participant.variantId, 'conversions');
+    }
+
+    const totals = new Map(arms.map(arm => [arm.id, { participants: 0, conversions: 0 }]));
+    const looks = [...daily.keys()].sort().map(day => {
+      for (const { variantId, field } of daily.get(day)) {
+        if (totals.has(variantId)) totals.get(variantId)[field] += 1;
+      }
+      return {
+        date: new Date(day),
+        counts: new Map([...totals].map(([id, count]) => [id, { ...count }]))
+      };
+    });
+
+    looks.push({
+      date: new Date(),
+      counts: new Map(arms.map(arm => [arm.id, { participants: arm.participants, conversions: arm.conversions }]))
+    });
+
+    return looks;
+  }
+
   /**
    * Get average daily participants for a test
    */
@@ -625,30 +1391,56 @@ export class ABTestingService {
   }
 
   /**
-   * Generate recommendation based on test results
+   * Generate recommendation based on test results. Sequential tests may
+   * stop before minSampleSize; the other modes wait for it.
    */
   generateRecommendation(test, statistics, hasEnoughSample, hasSignificantResult) {
-    if (!hasEnoughSample) {
+    const mode = test.analysisMode || AnalysisMode.FIXED;
+
+    if (!hasEnoughSample && !(mode === AnalysisMode.SEQUENTIAL && hasSignificantResult)) {
       return {
         action: 'continue',
-        message: 'Continue the test to reach the minimum required sample size.',
+        message: mode === AnalysisMode.SEQUENTIAL
+          ? 'No variant has crossed the sequential boundary yet. Results stay valid however often you check.'
+          : 'Continue the test to reach the minimum required sample size.',
         confidence: 'low'
       };
     }
 
     if (!hasSignificantResult) {
+      if (mode === AnalysisMode.SEQUENTIAL && statistics.every(s => s.informationFraction >= 1)) {
+        return {
+          action: 'keep_control',
+          message: 'The test reached its planned sample size without any variant crossing the boundary.',
+          confidence: 'high'
+        };
+      }
+
       return {
         action: 'continue_or_stop',
-        message: 'No statistically significant difference detected yet. You may continue testing or stop if the improvement is not meaningful.',
+        message: mode === AnalysisMode.BAYESIAN
+          ? 'No variant is yet likely enough to beat control at an acceptable expected loss. You may continue testing or stop if the improvement is not meaningful.'
+          : 'No statistically significant difference detected yet. You may continue testing or stop if the improvement is not meaningful.',
         confidence: 'medium'
       };
     }
 
-    const winner = statistics.find(s => s.isSignificant && s.relativeImprovement > 0);
+    const winner = pickWinner(statistics);
     if (winner) {
+      const improvement = `${winner.relativeImprovement.toFixed(1)}% improvement`;
+      let message = `${winner.variantName} shows a ${improvement} with ${(winner.confidenceLevel * 100).toFixed(1)}% confidence.`;
+
+      if (mode === AnalysisMode.BAYESIAN) {
+        message = `${winner.variantName} shows a ${improvement} and a ${(winner.probabilityToBeatControl * 100).toFixed(1)}% probability of beating control (expected loss ${(winner.expectedLoss * 100).toFixed(3)} points).`;
+      } else if (winner.sequentialMethod === SequentialMethod.ALPHA_SPENDING) {
+        message = `${winner.variantName} shows a ${improvement} and crossed the O'Brien-Fleming boundary (z = ${winner.zScore.toFixed(2)}, boundary ${winner.boundary.toFixed(2)}).`;
+      } else if (mode === AnalysisMode.SEQUENTIAL) {
+        message = `${winner.variantName} shows a ${improvement} with an always-valid p-value of ${winner.alwaysValidPValue.toFixed(4)}.`;
+      }
+
       return {
         action: 'declare_winner',
-        message: `${winner.variantName} shows a ${winner.relativeImprovement.toFixed(1)}% improvement with ${(winner.confidenceLevel * 100).toFixed(1)}% confidence.`,
+        message,
         confidence: 'high',
         winnerVariantId: winner.variantId,
         winnerName: winner.variantName
@@ -663,7 +1455,8 @@ export class ABTestingService {
   }
 
   /**
-   * Automatically check and select winner if conditions are met
+   * Automatically check and select winner if conditions are met. Uses the
+   * recommendation, so the decision follows the test's analysis mode.
    */
   async autoCheckAndSelectWinner(testId) {
     const test = await prisma.journeyABTest.findUnique({
@@ -675,14 +1468,10 @@ export class ABTestingService {
       return null;
     }
 
-    const results = await this.calculateResults(testId);
+    const { recommendation } = await this.calculateResults(testId);
 
-    // Check if we have enough sample and a significant winner
-    if (results.summary.hasEnoughSample && results.summary.hasSignificantResult) {
-      const winner = results.statistics.find(s => s.isSignificant && s.relativeImprovement > 0);
-      if (winner) {
-        return await this.stopTest(testId, winner.variantId);
-      }
+    if (recommendation.action === 'declare_winner') {
+      return await this.stopTest(testId, recommendation.winnerVariantId, recommendation.message);
     }
 
     return null;
@@ -924,6 +1713,13 @@ export {
   calculatePValue,
   calculateConfidenceInterval,
   calculateRequiredSampleSize,
+  calculateBayesianStatistics,
+  calculateMsprt,
+  obrienFlemingBoundary,
+  normalQuantile,
+  buildFactorialCells,
+  calculateFactorialEffects,
+  hashToUnit,
   assignVariant
 };
 
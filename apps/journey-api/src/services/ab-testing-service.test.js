@@ -0,0 +1,287 @@
+/**
+ * Unit Tests for A/B Test Analysis Modes
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    journeyABTest: { findUnique: vi.fn(), update: vi.fn() },
+    journeyABTestVariant: { update: vi.fn(), updateMany: vi.fn() },
+    aBTestParticipant: { findMany: vi.fn() },
+    aBTestDailyStats: { findMany: vi.fn() },
+    $transaction: vi.fn(callback => callback(mockPrisma))
+  };
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+vi.mock('./outbound-webhooks.js', () => ({
+  emitOutboundEvent: vi.fn(),
+  OutboundEventType: { AB_TEST_WINNER_DECLARED: 'ab_test.winner_declared' }
+}));
+
+import {
+  abTestingService,
+  AnalysisMode,
+  SequentialMethod,
+  TestDesign,
+  buildFactorialCells,
+  calculateFactorialEffects,
+  calculateBayesianStatistics,
+  calculateMsprt,
+  calculatePValue,
+  obrienFlemingBoundary
+} from './ab-testing-service.js';
+
+const variant = (id, participantsCount, conversionsCount, isControl = false) => ({
+  id,
+  name: isControl ? 'Control' : `Variant ${id}`,
+  isControl,
+  trafficPercentage: 50,
+  participantsCount,
+  conversionsCount,
+  status: 'active'
+});
+
+const test = (overrides = {}) => ({
+  id: 'test-1',
+  name: 'Welcome subject',
+  status: 'running',
+  targetMetric: 'conversion',
+  minConfidenceLevel: 0.95,
+  minSampleSize: 500,
+  autoWinnerSelection: true,
+  analysisMode: AnalysisMode.FIXED,
+  analysisConfig: {},
+  variants: [variant('control', 1000, 100, true), variant('b', 1000, 130)],
+  ...overrides
+});
+
+describe('analysis statistics', () => {
+  it('gives two-tailed p-values for either direction', () => {
+    expect(calculatePValue(1.96)).toBeCloseTo(0.05, 3);
+    expect(calculatePValue(-1.96)).toBeCloseTo(0.05, 3);
+  });
+
+  it('compares Beta posteriors', () => {
+    const { versusControl, probabilityToBeBest } = calculateBayesianStatistics([
+      { participants: 1000, conversions: 100 },
+      { participants: 1000, conversions: 130 }
+    ]);
+
+    expect(versusControl[0].probabilityToBeatControl).toBeGreaterThan(0.97);
+    expect(versusControl[0].expectedLoss).toBeLessThan(0.001);
+    expect(versusControl[0].expectedLossControl).toBeGreaterThan(0.02);
+    expect(probabilityToBeBest[0] + probabilityToBeBest[1]).toBeCloseTo(1, 6);
+
+    const tied = calculateBayesianStatistics([
+      { participants: 500, conversions: 50 },
+      { participants: 500, conversions: 50 }
+    ]);
+    expect(tied.versusControl[0].probabilityToBeatControl).toBeCloseTo(0.5, 3);
+  });
+
+  it('keeps the always-valid p-value above the fixed-horizon one', () => {
+    const control = { participants: 1000, conversions: 100 };
+    const treatment = { participants: 1000, conversions: 130 };
+
+    const { pValue, interval } = calculateMsprt(control, treatment, { mixingVariance: 0.0004, alpha: 0.05 });
+
+    expect(pValue).toBeGreaterThan(0.05);
+    expect(interval.lower).toBeLessThan(0.03);
+    expect(interval.upper).toBeGreaterThan(0.03);
+    expect(calculateMsprt({ participants: 10000, conversions: 1000 }, { participants: 10000, conversions: 1300 }).pValue).toBeLessThan(0.001);
+  });
+
+  it('spends alpha along an O\'Brien-Fleming boundary', () => {
+    expect(obrienFlemingBoundary(1).boundary).toBeCloseTo(1.96, 2);
+    expect(obrienFlemingBoundary(0.25).boundary).toBeCloseTo(3.92, 2);
+    expect(obrienFlemingBoundary(0.25).alphaSpent).toBeLessThan(0.001);
+  });
+});
+
+describe('calculateResults', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.aBTestDailyStats.findMany.mockResolvedValue([]);
+    mockPrisma.aBTestParticipant.findMany.mockResolvedValue([]);
+  });
+
+  it('uses counts from the variant rows in fixed mode', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test());
+
+    const results = await abTestingService.calculateResults('test-1');
+
+    expect(results.statistics[0]).toMatchObject({ controlRate: 0.1, treatmentRate: 0.13, isSignificant: true });
+    expect(results.recommendation).toMatchObject({ action: 'declare_winner', winnerVariantId: 'b' });
+  });
+
+  it('reports posteriors and declares a winner in Bayesian mode', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test({ analysisMode: AnalysisMode.BAYESIAN }));
+
+    const results = await abTestingService.calculateResults('test-1');
+
+    expect(results.analysis.mode).toBe('bayesian');
+    expect(results.analysis.config).toMatchObject({ priorAlpha: 1, priorBeta: 1, expectedLossThreshold: 0.001 });
+    expect(results.analysis.posteriors.map(p => p.alpha)).toEqual([101, 131]);
+    expect(results.statistics[0].isSignificant).toBe(true);
+    expect(results.recommendation.message).toMatch(/probability of beating control/);
+  });
+
+  it('waits for the boundary in sequential mode rather than the sample size', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test({
+      analysisMode: AnalysisMode.SEQUENTIAL,
+      analysisConfig: { method: SequentialMethod.ALPHA_SPENDING, plannedSampleSize: 4000 }
+    }));
+
+    const results = await abTestingService.calculateResults('test-1');
+
+    // z is about 2.1 but a quarter of the way in the boundary is about 3.9
+    expect(results.statistics[0]).toMatchObject({ informationFraction: 0.25, isSignificant: false });
+    expect(results.statistics[0].history).toHaveLength(1);
+    expect(results.recommendation.action).toBe('continue_or_stop');
+  });
+
+  it('builds sequential looks from participants by day', async () => {
+    mockPrisma.aBTestParticipant.findMany.mockResolvedValue([
+      { variantId: 'control', assignedAt: new Date('2026-03-01T10:00:00Z'), convertedAt: new Date('2026-03-02T10:00:00Z') },
+      { variantId: 'control', assignedAt: new Date('2026-03-02T09:00:00Z'), convertedAt: null },
+      { variantId: 'b', assignedAt: new Date('2026-03-01T11:00:00Z'), convertedAt: new Date('2026-03-01T12:00:00Z') }
+    ]);
+
+    const looks = await abTestingService.getSequentialLooks('test-1', [
+      { id: 'control', participants: 2, conversions: 1 },
+      { id: 'b', participants: 1, conversions: 1 }
+    ]);
+
+    expect(looks).toHaveLength(3);
+    expect(looks[0].counts.get('control')).toEqual({ participants: 1, conversions: 0 });
+    expect(looks[0].counts.get('b')).toEqual({ participants: 1, conversions: 1 });
+    expect(looks[1].counts.get('control')).toEqual({ participants: 2, conversions: 1 });
+  });
+});
+
+describe('autoCheckAndSelectWinner', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.aBTestDailyStats.findMany.mockResolvedValue([]);
+    mockPrisma.aBTestParticipant.findMany.mockResolvedValue([]);
+    mockPrisma.journeyABTest.update.mockResolvedValue({ id: 'test-1', status: 'completed' });
+  });
+
+  it('does not stop a sequential test that has not crossed its boundary', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test({ analysisMode: AnalysisMode.SEQUENTIAL }));
+
+    expect(await abTestingService.autoCheckAndSelectWinner('test-1')).toBeNull();
+    expect(mockPrisma.journeyABTest.update).not.toHaveBeenCalled();
+  });
+
+  it('stops with the winner and records why', async () => {
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test({ analysisMode: AnalysisMode.BAYESIAN }));
+
+    await abTestingService.autoCheckAndSelectWinner('test-1');
+
+    expect(mockPrisma.journeyABTest.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        status: 'completed',
+        winnerVariantId: 'b',
+        winnerSelectionReason: expect.stringMatching(/probability of beating control/)
+      })
+    }));
+  });
+});
+
+describe('factorial designs', () => {
+  const twoLevel = (key, touchpointId, field, low, high) => ({
+    key,
+    name: key,
+    touchpointId,
+    levels: [{ name: low, changes: { [field]: low } }, { name: high, changes: { [field]: high } }]
+  });
+
+  const factors = [
+    twoLevel('subject', 'tp-email', 'subject', 'Plain', 'Question'),
+    twoLevel('preview', 'tp-email', 'preheader', 'None', 'Teaser'),
+    { key: 'wait', name: 'wait', touchpointId: 'tp-wait', levels: [1, 3, 7].map(days => ({ name: `${days}d`, changes: { days } })) }
+  ];
+
+  it('builds every combination with the all-baseline cell as control', () => {
+    const { variants } = buildFactorialCells(factors);
+
+    expect(variants).toHaveLength(12);
+    expect(variants[0]).toMatchObject({ isControl: true, factorLevels: { subject: 0, preview: 0, wait: 0 } });
+    expect(variants.filter(v => v.isControl)).toHaveLength(1);
+    expect(variants.reduce((sum, v) => sum + v.trafficPercentage, 0)).toBeCloseTo(100, 10);
+    expect(variants[5].touchpointChanges).toEqual({
+      'tp-email': { subject: 'Plain', preheader: 'Teaser' },
+      'tp-wait': { days: 7 }
+    });
+  });
+
+  it('halves a two-level design and reports the aliasing', () => {
+    const twoLevelFactors = [factors[0], factors[1], twoLevel('sms', 'tp-sms', 'body', 'Short', 'Long')];
+
+    const { variants, generators } = buildFactorialCells(twoLevelFactors, { design: TestDesign.FRACTIONAL_FACTORIAL });
+
+    expect(generators).toEqual({ sms: ['subject', 'preview'] });
+    expect(variants.map(v => Object.values(v.factorLevels))).toEqual([[0, 0, 0], [0, 1, 1], [1, 0, 1], [1, 1, 0]]);
+
+    const cells = variants.map(v => ({ factorLevels: v.factorLevels, participants: 100, conversions: 10 }));
+    const { mainEffects, interactions } = calculateFactorialEffects(twoLevelFactors, cells);
+    expect(mainEffects.find(e => e.factor === 'sms').aliasedWith).toEqual(['subject:preview']);
+    expect(interactions.find(i => i.factors.join() === 'subject,preview').aliasedWith).toEqual(['sms']);
+  });
+
+  it('rejects fractional designs over factors with more than two levels', () => {
+    expect(() => buildFactorialCells(factors, { design: TestDesign.FRACTIONAL_FACTORIAL })).toThrow(/two levels for factor wait/);
+  });
+
+  it('separates main effects from interactions', () => {
+    const ab = [factors[0], factors[1]];
+    // Question subjects lift conversion on their own; the teaser only helps with a question
+    const rates = { '0,0': 0.1, '1,0': 0.15, '0,1': 0.1, '1,1': 0.25 };
+    const cells = Object.entries(rates).map(([levels, rate]) => {
+      const [subject, preview] = levels.split(',').map(Number);
+      return { factorLevels: { subject, preview }, participants: 2000, conversions: rate * 2000 };
+    });
+
+    const { factors: marginals, mainEffects, interactions } = calculateFactorialEffects(ab, cells);
+
+    expect(marginals[0].levels.map(l => l.rate)).toEqual([0.1, 0.2]);
+    expect(mainEffects[0]).toMatchObject({ factor: 'subject', levelName: 'Question', isSignificant: true });
+    expect(mainEffects[0].absoluteDifference).toBeCloseTo(0.1, 10);
+    expect(interactions).toHaveLength(1);
+    expect(interactions[0].contrast).toBeCloseTo(0.1, 10);
+    expect(interactions[0]).toMatchObject({ estimable: true, isSignificant: true, aliasedWith: [] });
+  });
+
+  it('adds factor effects to the results of a factorial test', async () => {
+    vi.clearAllMocks();
+    mockPrisma.aBTestDailyStats.findMany.mockResolvedValue([]);
+    const { variants } = buildFactorialCells([factors[0], factors[1]]);
+    mockPrisma.journeyABTest.findUnique.mockResolvedValue(test({
+      design: TestDesign.FULL_FACTORIAL,
+      factors: [factors[0], factors[1]],
+      variants: variants.map((v, index) => ({ ...variant(`cell-${index}`, 500, 50 + index * 10, v.isControl), factorLevels: v.factorLevels }))
+    }));
+
+    const results = await abTestingService.calculateResults('test-1');
+
+    expect(results.test.design).toBe('full_factorial');
+    expect(results.statistics).toHaveLength(3);
+    expect(results.analysis.factorial.mainEffects.map(e => e.factor)).toEqual(['subject', 'preview']);
+    expect(results.analysis.factorial.interactions).toHaveLength(1);
+  });
+
+  it('keeps factorial tests on a fixed split', async () => {
+    await expect(abTestingService.createTest({
+      design: TestDesign.FULL_FACTORIAL,
+      factors,
+      allocationMode: 'thompson'
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
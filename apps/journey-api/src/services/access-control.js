@@ -0,0 +1,139 @@
+/**
+ * Access Control Service
+ * Permission model for internal users, built on User.role, ClientUser.role
+ * and User.permissions.
+ *
+ * - Global admins can do everything for every client.
+ * - Everyone else only sees clients they have a ClientUser row for, and
+ *   their role for that client decides which actions they may take.
+ * - Resources that belong to no client (global templates, lists without a
+ *   client filter) fall back to the user's global role.
+ * - User.permissions holds per-user overrides such as
+ *   { "journeys:delete": false, "*:publish": true }. Overrides adjust the
+ *   verbs a user has, but never grant access to an unassigned client.
+ */
+
+// Higher levels include everything below them
+export const ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  approver: 3,
+  admin: 4
+};
+
+export const ROLES = Object.keys(ROLE_LEVELS);
+
+export const Actions = {
+  READ: 'read',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  APPROVE: 'approve',
+  PUBLISH: 'publish',
+  MANAGE: 'manage'
+};
+
+const EDIT_ACTIONS = [Actions.READ, Actions.CREATE, Actions.UPDATE, Actions.DELETE];
+
+export const ROLE_ACTIONS = {
+  viewer: [Actions.READ],
+  editor: EDIT_ACTIONS,
+  approver: [...EDIT_ACTIONS, Actions.APPROVE, Actions.PUBLISH],
+  admin: Object.values(Actions)
+};
+
+export function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
+/**
+ * Role a user holds for a client. Without a client this is the global
+ * role; for a client it is the ClientUser role (admins always get admin).
+ * @param {Object} user - req.user
+ * @param {string|null} [clientId]
+ * @returns {string|null} null when the user is not assigned to the client
+ */
+export function getEffectiveRole(user, clientId) {
+  if (!clientId) return user.role;
+  if (isAdmin(user)) return 'admin';
+  return user.clientRoles?.[clientId] || null;
+}
+
+export function hasRole(user, minRole, clientId) {
+  return (ROLE_LEVELS[getEffectiveRole(user, clientId)] || 0) >= ROLE_LEVELS[minRole];
+}
+
+/**
+ * Most specific User.permissions entry for a resource/action, if any
+ */
+function getPermissionOverride(user, resource, action) {
+  const permissions = user.permissions || {};
+  const keys = [`${resource}:${action}`, `${resource}:*`, `*:${action}`];
+
+  for (const key of keys) {
+    if (typeof permissions[key] === 'boolean') {
+      return permissions[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether a user may perform `action` on `resource` for a client
+ * @param {Object} user - req.user
+ * @param {string} resource - e.g. 'journeys'
+ * @param {string} action - one of Actions
+ * @param {string|null} [clientId] - null for resources without a client
+ * @returns {boolean}
+ */
+export function can(user, resource, action, clientId = null) {
+  if (!user) return false;
+
+  const role = getEffectiveRole(user, clientId);
+  if (!role) return false;
+
+  const override = getPermissionOverride(user, resource, action);
+  if (override !== undefined) return override;
+
+  return (ROLE_ACTIONS[role] || []).includes(action);
+}
+
+/**
+ * Client IDs a user may see
+ * @returns {string[]|null} null means every client (admins)
+ */
+export function accessibleClientIds(user) {
+  if (isAdmin(user)) return null;
+  return Object.keys(user.clientRoles || {});
+}
+
+/**
+ * Prisma `where` fragment limiting a query to the user's clients
+ * @param {Object} user - req.user
+ * @param {Object} [options]
+ * @param {string} [options.field='clientId'] - column holding the client ID
+ * @param {boolean} [options.includeGlobal=false] - also match rows without a client
+ * @returns {Object} Empty for admins
+ */
+export function clientScope(user, { field = 'clientId', includeGlobal = false } = {}) {
+  const ids = accessibleClientIds(user);
+  if (ids === null) return {};
+
+  if (includeGlobal) {
+    return { OR: [{ [field]: { in: ids } }, { [field]: null }] };
+  }
+  return { [field]: { in: ids } };
+}
+
+export default {
+  ROLE_LEVELS,
+  ROLES,
+  Actions,
+  ROLE_ACTIONS,
+  isAdmin,
+  getEffectiveRole,
+  hasRole,
+  can,
+  accessibleClientIds,
+  clientScope
+};
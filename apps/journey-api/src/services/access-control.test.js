@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for the Internal Permission Model
+ * @vitest-environment node
+ */
+import { describe, it, expect } from 'vitest';
+import { can, getEffectiveRole, accessibleClientIds, clientScope, Actions } from './access-control.js';
+
+const user = (role, clientRoles = {}, permissions = {}) => ({ id: 'u1', role, clientRoles, permissions });
+
+describe('access-control', () => {
+  it('limits non-admins to their assigned clients', () => {
+    const editor = user('editor', { 'client-1': 'viewer' });
+
+    expect(getEffectiveRole(editor, 'client-1')).toBe('viewer');
+    expect(getEffectiveRole(editor, 'client-2')).toBeNull();
+    expect(can(editor, 'journeys', Actions.READ, 'client-2')).toBe(false);
+    expect(can(user('admin'), 'journeys', Actions.DELETE, 'client-2')).toBe(true);
+  });
+
+  it('grants verbs by role', () => {
+    const member = (role) => user('viewer', { c: role });
+
+    expect(can(member('viewer'), 'journeys', Actions.READ, 'c')).toBe(true);
+    expect(can(member('viewer'), 'journeys', Actions.UPDATE, 'c')).toBe(false);
+    expect(can(member('editor'), 'journeys', Actions.DELETE, 'c')).toBe(true);
+    expect(can(member('editor'), 'journeys', Actions.APPROVE, 'c')).toBe(false);
+    expect(can(member('approver'), 'journeys', Actions.PUBLISH, 'c')).toBe(true);
+    expect(can(member('approver'), 'clients', Actions.MANAGE, 'c')).toBe(false);
+    expect(can(member('admin'), 'clients', Actions.MANAGE, 'c')).toBe(true);
+  });
+
+  it('uses the global role for resources without a client', () => {
+    expect(can(user('viewer'), 'templates', Actions.UPDATE, null)).toBe(false);
+    expect(can(user('editor'), 'templates', Actions.UPDATE, null)).toBe(true);
+  });
+
+  it('applies User.permissions overrides, most specific first', () => {
+    const editor = user('editor', { c: 'editor' }, {
+      'journeys:delete': false,
+      '*:publish': true,
+      'touchpoints:*': false,
+      'touchpoints:read': true
+    });
+
+    expect(can(editor, 'journeys', Actions.DELETE, 'c')).toBe(false);
+    expect(can(editor, 'journeys', Actions.PUBLISH, 'c')).toBe(true);
+    expect(can(editor, 'touchpoints', Actions.UPDATE, 'c')).toBe(false);
+    expect(can(editor, 'touchpoints', Actions.READ, 'c')).toBe(true);
+
+    // Overrides never open up an unassigned client
+    expect(can(editor, 'journeys', Actions.PUBLISH, 'other')).toBe(false);
+  });
+
+  it('builds list filters from client assignments', () => {
+    const editor = user('editor', { a: 'editor', b: 'viewer' });
+
+    expect(accessibleClientIds(user('admin'))).toBeNull();
+    expect(clientScope(user('admin'))).toEqual({});
+    expect(clientScope(editor)).toEqual({ clientId: { in: ['a', 'b'] } });
+    expect(clientScope(editor, { field: 'id' })).toEqual({ id: { in: ['a', 'b'] } });
+    expect(clientScope(editor, { includeGlobal: true })).toEqual({
+      OR: [{ clientId: { in: ['a', 'b'] } }, { clientId: null }]
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Workflow Action Executor
+ * Interprets Workflow.actions steps for the workflow queue worker
+ *
+ * Each action is `{ type, delay?, ...params }`. Handlers are looked up by
+ * type and return a JSON-serialisable output that the worker stores in
+ * WorkflowExecution.results. Two output fields steer the worker:
+ * - `waitUntil`: pause the execution until this time
+ * - `nextStep`: jump to a later step index, or 'end' to finish
+ *
+ * Register extra handlers with `actionExecutor.register(type, handler)`.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import axios from 'axios';
+import { createGHLClient } from './ghl-client.js';
+import { evaluateConditions } from './trigger-engine.js';
+
+const prisma = new PrismaClient();
+
+// Built-in action types
+export const ActionTypes = {
+  SEND_EMAIL: 'sendEmail',
+  SEND_SMS: 'sendSMS',
+  ADD_TAG: 'addTag',
+  REMOVE_TAG: 'removeTag',
+  MOVE_STAGE: 'moveOpportunityStage',
+  CREATE_TASK: 'createTask',
+  WAIT: 'wait',
+  WEBHOOK: 'webhook',
+  BRANCH: 'branch'
+};
+
+const UNIT_MINUTES = {
+  minutes: 1,
+  hours: 60,
+  days: 24 * 60
+};
+
+/**
+ * Default template lookup: Bloom template ID or GHL template ID
+ */
+async function loadTemplateFromDatabase(templateId) {
+  return prisma.template.findFirst({
+    where: { OR: [{ id: templateId }, { ghlTemplateId: templateId }] }
+  });
+}
+
+/**
+ * GHL contact ID for the execution. Webhook-originated events carry both
+ * the SyncedContact ID (contactId) and the GHL ID (ghlContactId).
+ */
+function resolveContactId({ execution, context }) {
+  const contactId = context.eventData?.ghlContactId || context.eventData?.contactId || execution.contactId;
+  if (!contactId) {
+    throw new Error('Execution has no contact to act on');
+  }
+  return contactId;
+}
+
+/**
+ * Decide how to send a template: by GHL template ID when it has been
+ * published, otherwise with the Bloom template's own content. Unknown IDs
+ * are assumed to be GHL template IDs.
+ */
+async function resolveTemplateMessage(templateId, ctx) {
+  const template = await ctx.loadTemplate(templateId);
+  if (!template) {
+    return { ghlTemplateId: templateId };
+  }
+  if (template.ghlTemplateId) {
+    return { ghlTemplateId: template.ghlTemplateId };
+  }
+  return { content: template.content };
+}
+
+function toTagList(action) {
+  const tags = action.tags || action.tag || action.tagId;
+  const list = (Array.isArray(tags) ? tags : [tags]).filter(Boolean);
+  if (list.length === 0) {
+    throw new Error(`${action.type} action requires at least one tag`);
+  }
+  return list;
+}
+
+function waitMinutes(action) {
+  if (action.minutes !== undefined) return Number(action.minutes);
+  const amount = Number(action.amount ?? action.duration ?? 0);
+  const multiplier = UNIT_MINUTES[action.unit || 'minutes'];
+  if (multiplier === undefined) {
+    throw new Error(`Unsupported wait unit: ${action.unit}`);
+  }
+  return amount * multiplier;
+}
+
+// ============================================
+// BUILT-IN HANDLERS
+// ============================================
+
+const builtInHandlers = {
+  async [ActionTypes.SEND_EMAIL](action, ctx) {
+    if (!action.templateId) {
+      throw new Error('sendEmail action requires templateId');
+    }
+    const contactId = resolveContactId(ctx);
+    const message = await resolveTemplateMessage(action.templateId, ctx);
+    const content = message.content || {};
+
+    const response = await ctx.ghl.sendEmail({
+      contactId,
+      templateId: message.ghlTemplateId,
+      subject: action.subject || content.subject,
+      html: content.html || content.body
+    });
+
+    return { contactId, templateId: action.templateId, messageId: response?.messageId || null };
+  },
+
+  async [ActionTypes.SEND_SMS](action, ctx) {
+    if (!action.templateId && !action.message) {
+      throw new Error('sendSMS action requires templateId or message');
+    }
+    const contactId = resolveContactId(ctx);
+    const message = action.templateId ? await resolveTemplateMessage(action.templateId, ctx) : {};
+    const content = message.content || {};
+
+    const response = await ctx.ghl.sendSMS({
+      contactId,
+      templateId: message.ghlTemplateId,
+      message: action.message || content.body || content.message
+    });
+
+    return { contactId, templateId: action.templateId || null, messageId: response?.messageId || null };
+  },
+
+  async [ActionTypes.ADD_TAG](action, ctx) {
+    const contactId = resolveContactId(ctx);
+    const tags = toTagList(action);
+    await ctx.ghl.addTags(contactId, tags);
+    return { contactId, tags };
+  },
+
+  async [ActionTypes.REMOVE_TAG](action, ctx) {
+    const contactId = resolveContactId(ctx);
+    const tags = toTagList(action);
+    await ctx.ghl.removeTags(contactId, tags);
+    return { contactId, tags };
+  },
+
+  async [ActionTypes.MOVE_STAGE](action, ctx) {
+    const opportunityId = action.opportunityId || ctx.context.eventData?.opportunityId;
+    if (!opportunityId) {
+      throw new Error('moveOpportunityStage requires an opportunity in the action or event data');
+    }
+    if (!action.stageId) {
+      throw new Error('moveOpportunityStage action requires stageId');
+    }
+
+    await ctx.ghl.updateOpportunity(opportunityId, {
+      pipelineStageId: action.stageId,
+      ...(action.pipelineId && { pipelineId: action.pipelineId })
+    });
+
+    return { opportunityId, stageId: action.stageId };
+  },
+
+  async [ActionTypes.CREATE_TASK](action, ctx) {
+    if (!action.title) {
+      throw new Error('createTask action requires title');
+    }
+    const contactId = resolveContactId(ctx);
+    const dueInDays = Number(action.dueIn ?? 1);
+    const dueDate = new Date(ctx.now.getTime() + dueInDays * 24 * 60 * 60 * 1000);
+
+    const response = await ctx.ghl.createTask(contactId, {
+      title: action.title,
+      body: action.body || action.description || '',
+      dueDate: dueDate.toISOString(),
+      completed: false,
+      ...(action.assignee && { assignedTo: action.assignee })
+    });
+
+    return { contactId, taskId: response?.task?.id || null, dueDate: dueDate.toISOString() };
+  },
+
+  async [ActionTypes.WAIT](action, ctx) {
+    const minutes = waitMinutes(action);
+    return { minutes, waitUntil: new Date(ctx.now.getTime() + minutes * 60 * 1000).toISOString() };
+  },
+
+  async [ActionTypes.WEBHOOK](action, ctx) {
+    if (!action.url) {
+      throw new Error('webhook action requires url');
+    }
+    const { execution, context } = ctx;
+
+    const response = await ctx.http.request({
+      url: action.url,
+      method: action.method || 'POST',
+      headers: action.headers || {},
+      timeout: action.timeoutMs || 10000,
+      data: action.body ?? {
+        executionId: execution.id,
+        workflowId: execution.workflowId,
+        clientId: execution.clientId,
+        contactId: execution.contactId,
+        step: ctx.step,
+        eventData: context.eventData || {}
+      }
+    });
+
+    return { url: action.url, status: response.status };
+  },
+
+  /**
+   * `{ type: 'branch', conditions: [groups], conditionLogic, onTrue, onFalse }`
+   * onTrue/onFalse are later step indexes or 'end'; omitted means continue.
+   */
+  async [ActionTypes.BRANCH](action, ctx) {
+    const { matched, matchedConditions } = evaluateConditions(action, ctx.context.eventData || {}, ctx.context.contact || null);
+    const target = matched ? action.onTrue : action.onFalse;
+
+    if (target === undefined || target === null) {
+      return { matched, matchedConditions };
+    }
+    if (target !== 'end' && (!Number.isInteger(target) || target <= ctx.step)) {
+      throw new Error(`Branch target must be a later step index or 'end' (got ${target})`);
+    }
+
+    return { matched, matchedConditions, nextStep: target };
+  }
+};
+
+// ============================================
+// EXECUTOR
+// ============================================
+
+export class ActionExecutor {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.ghl] - GHLClient or MockGHLClient
+   * @param {Function} [options.loadTemplate] - async (templateId) => Template | null
+   * @param {Object} [options.http] - axios-compatible client for webhook actions
+   */
+  constructor({ ghl, loadTemplate, http } = {}) {
+    this.ghl = ghl || createGHLClient();
+    this.loadTemplate = loadTemplate || loadTemplateFromDatabase;
+    this.http = http || axios;
+    this.handlers = new Map(Object.entries(builtInHandlers));
+  }
+
+  /**
+   * Register or replace a handler
+   * @param {string} type - Action type
+   * @param {Function} handler - async (action, ctx) => output
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  getTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Run one action
+   * @param {Object} action - Workflow action
+   * @param {Object} params - { execution, step, context, now }
+   * @returns {Promise<Object>} Handler output
+   */
+  async execute(action, { execution, step, context = {}, now = new Date() }) {
+    const handler = this.handlers.get(action?.type);
+    if (!handler) {
+      throw new Error(`No handler registered for action type: ${action?.type}`);
+    }
+
+    return handler(action, {
+      execution,
+      step,
+      context,
+      now,
+      ghl: this.ghl,
+      http: this.http,
+      loadTemplate: this.loadTemplate
+    });
+  }
+}
+
+export const actionExecutor = new ActionExecutor();
+export default actionExecutor;
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for the Workflow Action Executor (mock GHL client)
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({}))
+}));
+
+import { ActionExecutor } from './action-executor.js';
+import { MockGHLClient } from './ghl-client.js';
+import { WorkflowQueue, LocalExecutionStore } from './workflow-queue.js';
+
+const templates = {
+  'tpl-published': { id: 'tpl-published', ghlTemplateId: 'ghl-123', content: { subject: 'Hi' } },
+  'tpl-draft': { id: 'tpl-draft', ghlTemplateId: null, content: { subject: 'Welcome', html: '<p>Hello</p>', body: 'Text body' } }
+};
+
+const execution = {
+  id: 'exec-1',
+  workflowId: 'wf-1',
+  clientId: 'client-1',
+  contactId: 'synced-1'
+};
+
+const now = new Date('2026-03-10T15:00:00Z');
+
+function run(executor, action, context = {}, step = 0) {
+  return executor.execute(action, { execution, step, context, now });
+}
+
+describe('ActionExecutor', () => {
+  let ghl;
+  let http;
+  let executor;
+
+  beforeEach(() => {
+    ghl = new MockGHLClient();
+    http = { request: vi.fn(async () => ({ status: 202 })) };
+    executor = new ActionExecutor({
+      ghl,
+      http,
+      loadTemplate: async (id) => templates[id] || null
+    });
+  });
+
+  it('sends published email templates by GHL template ID', async () => {
+    const output = await run(executor, { type: 'sendEmail', templateId: 'tpl-published' }, { eventData: { ghlContactId: 'ghl-contact-1' } });
+
+    expect(ghl.calls[0]).toMatchObject({
+      method: 'sendEmail',
+      args: { contactId: 'ghl-contact-1', templateId: 'ghl-123' }
+    });
+    expect(output.messageId).toMatch(/^msg_/);
+  });
+
+  it('sends unpublished email templates with their own content', async () => {
+    await run(executor, { type: 'sendEmail', templateId: 'tpl-draft' });
+
+    expect(ghl.calls[0].args).toMatchObject({
+      contactId: 'synced-1',
+      templateId: undefined,
+      subject: 'Welcome',
+      html: '<p>Hello</p>'
+    });
+  });
+
+  it('sends SMS from a template or a literal message', async () => {
+    await run(executor, { type: 'sendSMS', templateId: 'tpl-draft' });
+    await run(executor, { type: 'sendSMS', message: 'See you at the tour!' });
+
+    expect(ghl.messages.map(m => m.message)).toEqual(['Text body', 'See you at the tour!']);
+  });
+
+  it('adds and removes tags', async () => {
+    await run(executor, { type: 'addTag', tags: ['tour-booked', 'hot-lead'] });
+    await run(executor, { type: 'removeTag', tagId: 'hot-lead' });
+
+    expect([...ghl.contactTags.get('synced-1')]).toEqual(['tour-booked']);
+  });
+
+  it('moves the opportunity from the event to a new stage', async () => {
+    const output = await run(
+      executor,
+      { type: 'moveOpportunityStage', pipelineId: 'pipe-1', stageId: 'stage-tour' },
+      { eventData: { opportunityId: 'opp-1' } }
+    );
+
+    expect(output).toEqual({ opportunityId: 'opp-1', stageId: 'stage-tour' });
+    expect(ghl.opportunities.get('opp-1')).toMatchObject({ pipelineStageId: 'stage-tour', pipelineId: 'pipe-1' });
+  });
+
+  it('creates tasks due the configured number of days out', async () => {
+    const output = await run(executor, { type: 'createTask', title: 'Call lead', dueIn: 2 });
+
+    expect(output.dueDate).toBe('2026-03-12T15:00:00.000Z');
+    expect(ghl.tasks[0]).toMatchObject({ contactId: 'synced-1', title: 'Call lead', completed: false });
+  });
+
+  it('computes wait durations from minutes or amount/unit', async () => {
+    expect((await run(executor, { type: 'wait', minutes: 30 })).waitUntil).toBe('2026-03-10T15:30:00.000Z');
+    expect((await run(executor, { type: 'wait', amount: 2, unit: 'days' })).waitUntil).toBe('2026-03-12T15:00:00.000Z');
+    await expect(run(executor, { type: 'wait', amount: 1, unit: 'fortnights' })).rejects.toThrow(/Unsupported wait unit/);
+  });
+
+  it('posts outbound webhooks with execution details by default', async () => {
+    const output = await run(executor, { type: 'webhook', url: 'https://example.com/hook' }, { eventData: { source: 'webhook' } }, 3);
+
+    expect(output).toEqual({ url: 'https://example.com/hook', status: 202 });
+    expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      data: expect.objectContaining({ executionId: 'exec-1', step: 3, eventData: { source: 'webhook' } })
+    }));
+  });
+
+  it('branches on conditions to a later step', async () => {
+    const branch = {
+      type: 'branch',
+      conditions: [{ conditions: [{ field: 'source', operator: 'equals', value: 'website' }], logic: 'and' }],
+      onTrue: 3,
+      onFalse: 'end'
+    };
+
+    expect((await run(executor, branch, { eventData: { source: 'website' } }, 1)).nextStep).toBe(3);
+    expect((await run(executor, branch, { eventData: { source: 'referral' } }, 1)).nextStep).toBe('end');
+    await expect(run(executor, branch, { eventData: { source: 'website' } }, 3)).rejects.toThrow(/later step/);
+  });
+
+  it('rejects unknown action types and accepts registered handlers', async () => {
+    await expect(run(executor, { type: 'sendPostcard' })).rejects.toThrow(/No handler registered/);
+
+    executor.register('sendPostcard', async (action) => ({ sent: action.address }));
+    expect(await run(executor, { type: 'sendPostcard', address: '1 Main St' })).toEqual({ sent: '1 Main St' });
+  });
+
+  it('runs a full workflow through the queue against the mock client', async () => {
+    const store = new LocalExecutionStore({
+      workflows: [{
+        id: 'wf-1',
+        status: 'active',
+        actions: [
+          { type: 'addTag', tag: 'new-lead' },
+          { type: 'branch', conditions: [{ conditions: [{ field: 'source', operator: 'equals', value: 'website' }] }], onFalse: 3 },
+          { type: 'sendEmail', templateId: 'tpl-published' },
+          { type: 'createTask', title: 'Follow up' }
+        ]
+      }]
+    });
+    const queue = new WorkflowQueue({
+      store,
+      runAction: (action, params) => executor.execute(action, params)
+    });
+    const queued = await queue.enqueue({
+      workflowId: 'wf-1',
+      clientId: 'client-1',
+      contactId: 'contact-1',
+      context: { eventData: { source: 'referral' } }
+    });
+
+    await queue.poll();
+
+    const stored = store.get(queued.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.results.map(r => r.type)).toEqual(['addTag', 'branch', 'createTask']);
+    expect(ghl.calls.map(c => c.method)).toEqual(['addTags', 'createTask']);
+  });
+});
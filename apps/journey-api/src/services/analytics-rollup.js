@@ -0,0 +1,615 @@
+/**
+ * Analytics Rollup
+ * Rolls raw events into the daily metrics tables the analytics routes read:
+ *
+ *   JourneyAnalyticsEvent ─┐                 ┌─ JourneyPerformanceMetrics    (journey, date)
+ *   EmailEvent ────────────┤                 ├─ TouchpointPerformanceMetrics (touchpoint, date)
+ *   ABTestEvent ───────────┼─ facts ─ day ──┼─ JourneyFunnelStage           (journey, stage, date)
+ *   OpportunityStageHistory┘                 └─ ClientAnalyticsSummary       (client, date)
+ *
+ * Every source is normalised into "facts" ({ journeyId, touchpointId,
+ * contactKey, type, at, value }). Counts are unique contacts per type, so the
+ * same open reported by the tracking pixel, GHL and an A/B test is counted
+ * once. Days are UTC, matching the @db.Date columns.
+ *
+ * A day is rebuilt from scratch (delete + create in one transaction), so
+ * re-running a day or backfilling a range is idempotent. The worker re-rolls
+ * only the days that received new raw rows since its last poll, then brings
+ * journey holdout conversions up to date.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { trackAllHoldoutConversions } from './journey-holdout.js';
+import { IntervalWorker } from './interval-worker.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 2; // Re-rolled on the first poll after startup
+const MAX_BACKFILL_DAYS = 366;
+
+/**
+ * Fact types counted by the rollup
+ */
+export const FactType = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  EXITED: 'exited',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  OPENED: 'opened',
+  CLICKED: 'clicked',
+  REPLIED: 'replied',
+  BOUNCED: 'bounced',
+  UNSUBSCRIBED: 'unsubscribed',
+  DROP_OFF: 'drop_off',
+  CONVERSION: 'conversion'
+};
+
+const JOURNEY_EVENT_FACTS = {
+  journey_started: FactType.STARTED,
+  journey_completed: FactType.COMPLETED,
+  journey_exited: FactType.EXITED,
+  touchpoint_sent: FactType.SENT,
+  touchpoint_delivered: FactType.DELIVERED,
+  touchpoint_opened: FactType.OPENED,
+  touchpoint_clicked: FactType.CLICKED,
+  touchpoint_replied: FactType.REPLIED,
+  touchpoint_bounced: FactType.BOUNCED,
+  touchpoint_unsubscribed: FactType.UNSUBSCRIBED,
+  drop_off: FactType.DROP_OFF,
+  conversion: FactType.CONVERSION
+};
+
+const EMAIL_EVENT_FACTS = {
+  delivered: FactType.DELIVERED,
+  opened: FactType.OPENED,
+  clicked: FactType.CLICKED,
+  bounced: FactType.BOUNCED,
+  complained: FactType.UNSUBSCRIBED,
+  unsubscribed: FactType.UNSUBSCRIBED
+};
+
+const AB_TEST_EVENT_FACTS = {
+  email_opened: FactType.OPENED,
+  email_clicked: FactType.CLICKED,
+  conversion: FactType.CONVERSION
+};
+
+const TOUCHPOINT_COUNTERS = [
+  FactType.SENT, FactType.DELIVERED, FactType.OPENED, FactType.CLICKED,
+  FactType.REPLIED, FactType.BOUNCED, FactType.UNSUBSCRIBED
+];
+
+// ============================================
+// DATES
+// ============================================
+
+/**
+ * UTC midnight of the day containing a date
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export function startOfDay(date) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) {
+    throw httpError(`Invalid date: ${date}`, 400);
+  }
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Every UTC day from `from` to `to`, inclusive
+ * @returns {Date[]}
+ */
+export function daysBetween(from, to) {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+  if (last < first) {
+    throw httpError('"to" must not be before "from"', 400);
+  }
+
+  const count = Math.round((last - first) / DAY_MS) + 1;
+  if (count > MAX_BACKFILL_DAYS) {
+    throw httpError(`Backfill is limited to ${MAX_BACKFILL_DAYS} days per run`, 400);
+  }
+  return Array.from({ length: count }, (_, i) => new Date(first.getTime() + i * DAY_MS));
+}
+
+const dayKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+// ============================================
+// AGGREGATION (pure)
+// ============================================
+
+const rate = (count, total) => (total > 0 ? Math.min(1, Math.round((count / total) * 10000) / 10000) : 0);
+const money = (value) => Math.round(value * 100) / 100;
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0);
+
+/**
+ * Contacts per fact type; facts without a contact count individually
+ */
+function tally(facts) {
+  const byType = new Map();
+  for (const fact of facts) {
+    if (!byType.has(fact.type)) byType.set(fact.type, new Map());
+    const contacts = byType.get(fact.type);
+    const existing = contacts.get(fact.contactKey);
+    // Keep the earliest fact per contact, with the largest value seen
+    if (!existing || fact.at < existing.at) {
+      contacts.set(fact.contactKey, { ...fact, value: Math.max(fact.value || 0, existing?.value || 0) });
+    } else if ((fact.value || 0) > (existing.value || 0)) {
+      existing.value = fact.value;
+    }
+  }
+  return {
+    count: (type) => byType.get(type)?.size || 0,
+    facts: (type) => [...(byType.get(type)?.values() || [])]
+  };
+}
+
+/**
+ * Minutes from each contact's journey start to their fact
+ */
+function minutesSinceStart(facts, starts, journeyId) {
+  return facts
+    .map(fact => {
+      const started = starts.get(`${journeyId}:${fact.contactKey}`);
+      return started && started <= fact.at ? (fact.at - started) / 60000 : null;
+    })
+    .filter(minutes => minutes !== null);
+}
+
+// Stage names must be unique per journey (they are part of the row key)
+function stageNames(touchpoints) {
+  const seen = new Map();
+  for (const touchpoint of touchpoints) {
+    seen.set(touchpoint.name, (seen.get(touchpoint.name) || 0) + 1);
+  }
+  return new Map(touchpoints.map(touchpoint => [
+    touchpoint.id,
+    seen.get(touchpoint.name) > 1 ? `${touchpoint.name} (#${touchpoint.orderIndex + 1})` : touchpoint.name
+  ]));
+}
+
+/**
+ * Build one day's metric rows from normalised facts
+ * @param {Object} input
+ * @param {Date} input.date - UTC day
+ * @param {Object[]} input.facts - { journeyId, touchpointId, contactKey, type, at, value }
+ * @param {Object[]} input.journeys - { id, clientId, touchpoints: [{ id, name, orderIndex }] }
+ * @param {Map<string, Date>} [input.starts] - `${journeyId}:${contactKey}` → first journey start
+ * @param {Object[]} [input.revenue] - Won opportunities: { clientId, value, attributed }
+ * @returns {{ journeyMetrics: Object[], touchpointMetrics: Object[], funnelStages: Object[], clientSummaries: Object[] }}
+ */
+export function aggregateDay({ date, facts, journeys, starts = new Map(), revenue = [] }) {
+  const journeyMetrics = [];
+  const touchpointMetrics = [];
+  const funnelStages = [];
+
+  for (const journey of journeys) {
+    const journeyFacts = facts.filter(fact => fact.journeyId === journey.id);
+    if (journeyFacts.length === 0) continue;
+
+    const touchpoints = [...journey.touchpoints].sort((a, b) => a.orderIndex - b.orderIndex);
+    const names = stageNames(touchpoints);
+    const totals = { sent: 0, delivered: 0, opened: 0, clicked: 0, bounced: 0, unsubscribed: 0 };
+    const firstSeen = []; // Per stage: contactKey → earliest fact
+
+    for (const touchpoint of touchpoints) {
+      const stageFacts = journeyFacts.filter(fact => fact.touchpointId === touchpoint.id);
+      const seen = new Map();
+      for (const fact of stageFacts) {
+        if (!seen.has(fact.contactKey) || fact.at < seen.get(fact.contactKey)) seen.set(fact.contactKey, fact.at);
+      }
+      firstSeen.push(seen);
+      if (stageFacts.length === 0) continue;
+
+      const counts = tally(stageFacts);
+      const row = Object.fromEntries(TOUCHPOINT_COUNTERS.map(type => [type, counts.count(type)]));
+      // Email events can arrive without a matching send
+      const base = Math.max(row.sent, row.delivered);
+      const dropOffs = counts.count(FactType.DROP_OFF);
+
+      touchpointMetrics.push({
+        touchpointId: touchpoint.id,
+        journeyId: journey.id,
+        clientId: journey.clientId,
+        date,
+        ...row,
+        openRate: rate(row.opened, base),
+        clickRate: rate(row.clicked, base),
+        replyRate: rate(row.replied, base),
+        bounceRate: rate(row.bounced, base),
+        dropOffs,
+        dropOffRate: rate(dropOffs, base)
+      });
+
+      totals.sent += base;
+      totals.delivered += row.delivered;
+      totals.opened += row.opened;
+      totals.clicked += row.clicked;
+      totals.bounced += row.bounced;
+      totals.unsubscribed += row.unsubscribed;
+    }
+
+    // Funnel: contacts reaching each touchpoint, and how long until the next one
+    touchpoints.forEach((touchpoint, index) => {
+      const seen = firstSeen[index];
+      if (seen.size === 0) return;
+
+      const dropped = new Set(journeyFacts
+        .filter(fact => fact.touchpointId === touchpoint.id && fact.type === FactType.DROP_OFF)
+        .map(fact => fact.contactKey)).size;
+      const completed = Math.max(0, seen.size - dropped);
+      const next = firstSeen.slice(index + 1).find(stage => stage.size > 0);
+      const timeInStage = next
+        ? [...seen].filter(([contact]) => next.has(contact)).map(([contact, at]) => (next.get(contact) - at) / 60000).filter(m => m >= 0)
+        : [];
+
+      funnelStages.push({
+        journeyId: journey.id,
+        clientId: journey.clientId,
+        stageName: names.get(touchpoint.id),
+        stageOrder: touchpoint.orderIndex,
+        touchpointId: touchpoint.id,
+        enteredCount: seen.size,
+        completedCount: completed,
+        droppedCount: dropped,
+        conversionRate: rate(completed, seen.size),
+        avgTimeInStageMinutes: average(timeInStage),
+        date
+      });
+    });
+
+    const counts = tally(journeyFacts);
+    const entered = counts.count(FactType.STARTED);
+    const conversionFacts = counts.facts(FactType.CONVERSION);
+    const totalValue = money(conversionFacts.reduce((sum, fact) => sum + (fact.value || 0), 0));
+    const droppedContacts = new Set([
+      ...counts.facts(FactType.EXITED),
+      ...counts.facts(FactType.DROP_OFF)
+    ].map(fact => fact.contactKey));
+
+    journeyMetrics.push({
+      journeyId: journey.id,
+      clientId: journey.clientId,
+      date,
+      totalContactsEntered: entered,
+      totalContactsCompleted: counts.count(FactType.COMPLETED),
+      totalContactsDropped: droppedContacts.size,
+      conversions: conversionFacts.length,
+      conversionRate: rate(conversionFacts.length, entered),
+      touchpointsSent: totals.sent,
+      touchpointsDelivered: totals.delivered,
+      touchpointsOpened: totals.opened,
+      touchpointsClicked: totals.clicked,
+      bounceRate: rate(totals.bounced, totals.sent),
+      unsubscribeRate: rate(totals.unsubscribed, totals.sent),
+      avgTimeToCompletionMinutes: average(minutesSinceStart(counts.facts(FactType.COMPLETED), starts, journey.id)),
+      avgTimeToConversionMinutes: average(minutesSinceStart(conversionFacts, starts, journey.id)),
+      totalValue,
+      avgValuePerConversion: conversionFacts.length > 0 ? money(totalValue / conversionFacts.length) : 0
+    });
+  }
+
+  // Client summary: journeys with activity plus revenue not tied to a journey
+  const clientIds = new Set([
+    ...journeyMetrics.map(row => row.clientId),
+    ...revenue.map(row => row.clientId)
+  ]);
+  const clientSummaries = [...clientIds].map(clientId => {
+    const rows = journeyMetrics.filter(row => row.clientId === clientId);
+    const sum = (field) => rows.reduce((total, row) => total + Number(row[field]), 0);
+    const runs = sum('totalContactsEntered');
+    const conversions = sum('conversions');
+    const sent = sum('touchpointsSent');
+    const bounced = touchpointMetrics.filter(row => row.clientId === clientId).reduce((total, row) => total + row.bounced, 0);
+    const unattributed = revenue
+      .filter(row => row.clientId === clientId && !row.attributed)
+      .reduce((total, row) => total + row.value, 0);
+    const conversionMinutes = rows
+      .filter(row => row.conversions > 0)
+      .reduce((total, row) => total + row.avgTimeToConversionMinutes * row.conversions, 0);
+
+    return {
+      clientId,
+      date,
+      activeJourneys: rows.length,
+      totalJourneyRuns: runs,
+      totalConversions: conversions,
+      overallConversionRate: rate(conversions, runs),
+      totalTouchpointsSent: sent,
+      avgOpenRate: rate(sum('touchpointsOpened'), sent),
+      avgClickRate: rate(sum('touchpointsClicked'), sent),
+      avgBounceRate: rate(bounced, sent),
+      avgTimeToConversionMinutes: conversions > 0 ? Math.round(conversionMinutes / conversions) : 0,
+      totalRevenue: money(sum('totalValue') + unattributed)
+    };
+  });
+
+  return { journeyMetrics, touchpointMetrics, funnelStages, clientSummaries };
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+const eventValue = (data) => {
+  const value = parseFloat(data?.value ?? data?.conversionValue);
+  return Number.isFinite(value) ? value : 0;
+};
+
+/**
+ * Load a day's raw rows and normalise them into facts
+ * @param {Date} day - UTC day
+ * @param {Object} [options]
+ * @param {string} [options.clientId]
+ */
+export async function loadDay(day, { clientId } = {}) {
+  const window = { gte: day, lt: new Date(day.getTime() + DAY_MS) };
+  const client = clientId ? { clientId } : {};
+
+  const [journeyEvents, emailEvents, abEvents, wonOpportunities] = await Promise.all([
+    prisma.journeyAnalyticsEvent.findMany({
+      where: { ...client, createdAt: window, eventType: { in: Object.keys(JOURNEY_EVENT_FACTS) } },
+      select: { id: true, journeyId: true, touchpointId: true, clientId: true, contactId: true, eventType: true, eventData: true, createdAt: true }
+    }),
+    prisma.emailEvent.findMany({
+      where: { ...client, eventTime: window, templateId: { not: null }, eventType: { in: Object.keys(EMAIL_EVENT_FACTS) } },
+      select: { id: true, clientId: true, templateId: true, recipientEmail: true, eventType: true, eventTime: true, contact: { select: { ghlContactId: true } } }
+    }),
+    prisma.aBTestEvent.findMany({
+      where: { ...client, timestamp: window, eventType: { in: Object.keys(AB_TEST_EVENT_FACTS) } },
+      select: { id: true, touchpointId: true, eventType: true, eventData: true, timestamp: true, participant: { select: { contactId: true, journeyId: true } } }
+    }),
+    prisma.opportunityStageHistory.findMany({
+      where: { ...client, changedAt: window, status: 'won' },
+      select: { id: true, clientId: true, contactId: true, opportunityValue: true, changedAt: true }
+    })
+  ]);
+
+  const facts = [];
+
+  for (const event of journeyEvents) {
+    facts.push({
+      journeyId: event.journeyId,
+      touchpointId: event.touchpointId,
+      contactKey: event.contactId || `event:${event.id}`,
+      type: JOURNEY_EVENT_FACTS[event.eventType],
+      at: event.createdAt,
+      value: event.eventType === 'conversion' ? eventValue(event.eventData) : 0
+    });
+  }
+
+  // Email events reach touchpoints through the GHL template they were sent from
+  const templateIds = [...new Set(emailEvents.map(event => event.templateId))];
+  const touchpointsByTemplate = new Map();
+  if (templateIds.length > 0) {
+    const touchpoints = await prisma.touchpoint.findMany({
+      where: { ghlTemplateId: { in: templateIds }, ...(clientId && { journey: { clientId } }) },
+      select: { id: true, journeyId: true, ghlTemplateId: true, journey: { select: { clientId: true } } }
+    });
+    for (const touchpoint of touchpoints) {
+      const list = touchpointsByTemplate.get(touchpoint.ghlTemplateId) || [];
+      touchpointsByTemplate.set(touchpoint.ghlTemplateId, [...list, touchpoint]);
+    }
+  }
+  for (const event of emailEvents) {
+    const touchpoints = (touchpointsByTemplate.get(event.templateId) || [])
+      .filter(touchpoint => touchpoint.journey.clientId === event.clientId);
+    for (const touchpoint of touchpoints) {
+      facts.push({
+        journeyId: touchpoint.journeyId,
+        touchpointId: touchpoint.id,
+        contactKey: event.contact?.ghlContactId || event.recipientEmail,
+        type: EMAIL_EVENT_FACTS[event.eventType],
+        at: event.eventTime,
+        value: 0
+      });
+    }
+  }
+
+  for (const event of abEvents) {
+    const type = AB_TEST_EVENT_FACTS[event.eventType];
+    // Engagement only counts against a touchpoint; conversions against the journey
+    if (type !== FactType.CONVERSION && !event.touchpointId) continue;
+    facts.push({
+      journeyId: event.participant.journeyId,
+      touchpointId: type === FactType.CONVERSION ? null : event.touchpointId,
+      contactKey: event.participant.contactId,
+      type,
+      at: event.timestamp,
+      value: type === FactType.CONVERSION ? eventValue(event.eventData) : 0
+    });
+  }
+
+  // First journey start per contact (possibly on an earlier day), used for
+  // time-to-completion/conversion and to attribute won opportunities
+  const contactIds = [...new Set([
+    ...facts.filter(fact => !fact.contactKey.startsWith('event:')).map(fact => fact.contactKey),
+    ...wonOpportunities.map(opportunity => opportunity.contactId).filter(Boolean)
+  ])];
+  const startEvents = contactIds.length > 0
+    ? await prisma.journeyAnalyticsEvent.findMany({
+      where: { ...client, eventType: 'journey_started', contactId: { in: contactIds }, createdAt: { lt: window.lt } },
+      select: { journeyId: true, clientId: true, contactId: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+    : [];
+  const starts = new Map();
+  for (const event of startEvents) {
+    const key = `${event.journeyId}:${event.contactId}`;
+    if (!starts.has(key)) starts.set(key, event.createdAt);
+  }
+
+  // A won opportunity is a conversion for every journey the contact entered
+  // before it was won; anything else only counts toward client revenue
+  const revenue = [];
+  for (const opportunity of wonOpportunities) {
+    const value = opportunity.opportunityValue ? Number(opportunity.opportunityValue) : 0;
+    const journeyIds = [...new Set(startEvents
+      .filter(event => event.contactId === opportunity.contactId && event.clientId === opportunity.clientId && event.createdAt <= opportunity.changedAt)
+      .map(event => event.journeyId))];
+
+    for (const journeyId of journeyIds) {
+      facts.push({ journeyId, touchpointId: null, contactKey: opportunity.contactId, type: FactType.CONVERSION, at: opportunity.changedAt, value });
+    }
+    revenue.push({ clientId: opportunity.clientId, value, attributed: journeyIds.length > 0 });
+  }
+
+  const journeyIds = [...new Set(facts.map(fact => fact.journeyId))];
+  const journeys = journeyIds.length > 0
+    ? await prisma.journey.findMany({
+      where: { id: { in: journeyIds }, ...client },
+      select: { id: true, clientId: true, touchpoints: { select: { id: true, name: true, orderIndex: true } } }
+    })
+    : [];
+
+  return { facts, journeys, starts, revenue };
+}
+
+// ============================================
+// ROLLUP
+// ============================================
+
+/**
+ * Rebuild the metrics rows for one UTC day
+ * @param {Date|string} date
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Only this client's rows
+ * @returns {Promise<Object>} Row counts written per table
+ */
+export async function rollupDay(date, { clientId } = {}) {
+  const day = startOfDay(date);
+  const rows = aggregateDay({ date: day, ...(await loadDay(day, { clientId })) });
+  const where = { date: day, ...(clientId && { clientId }) };
+
+  await prisma.$transaction(async (tx) => {
+    await tx.journeyPerformanceMetrics.deleteMany({ where });
+    await tx.touchpointPerformanceMetrics.deleteMany({ where });
+    await tx.journeyFunnelStage.deleteMany({ where });
+    await tx.clientAnalyticsSummary.deleteMany({ where });
+
+    if (rows.journeyMetrics.length > 0) await tx.journeyPerformanceMetrics.createMany({ data: rows.journeyMetrics });
+    if (rows.touchpointMetrics.length > 0) await tx.touchpointPerformanceMetrics.createMany({ data: rows.touchpointMetrics });
+    if (rows.funnelStages.length > 0) await tx.journeyFunnelStage.createMany({ data: rows.funnelStages });
+    if (rows.clientSummaries.length > 0) await tx.clientAnalyticsSummary.createMany({ data: rows.clientSummaries });
+  });
+
+  return {
+    date: dayKey(day),
+    journeys: rows.journeyMetrics.length,
+    touchpoints: rows.touchpointMetrics.length,
+    funnelStages: rows.funnelStages.length,
+    clients: rows.clientSummaries.length
+  };
+}
+
+/**
+ * Roll up every day in a range, oldest first
+ * @param {Object} range
+ * @param {Date|string} range.from
+ * @param {Date|string} range.to - Inclusive
+ * @param {string} [range.clientId]
+ * @param {Function} [range.onDay] - Called with each day's result
+ * @returns {Promise<Object[]>}
+ */
+export async function backfill({ from, to, clientId, onDay }) {
+  const results = [];
+  for (const day of daysBetween(from, to)) {
+    const result = await rollupDay(day, { clientId });
+    onDay?.(result);
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Client days that received raw rows since a point in time
+ * (by insert time, grouped by the event's own day)
+ * @param {Date} since
+ * @returns {Promise<Array<{ clientId: string, date: Date }>>}
+ */
+export async function findDirtyDays(since) {
+  const inserted = { createdAt: { gt: since } };
+  const [journeyEvents, emailEvents, abEvents, opportunities] = await Promise.all([
+    prisma.journeyAnalyticsEvent.findMany({ where: inserted, select: { clientId: true, createdAt: true } }),
+    prisma.emailEvent.findMany({ where: inserted, select: { clientId: true, eventTime: true } }),
+    prisma.aBTestEvent.findMany({ where: inserted, select: { clientId: true, timestamp: true } }),
+    prisma.opportunityStageHistory.findMany({ where: inserted, select: { clientId: true, changedAt: true } })
+  ]);
+
+  const dirty = new Map();
+  const mark = (clientId, at) => {
+    const key = `${clientId}:${dayKey(at)}`;
+    if (!dirty.has(key)) dirty.set(key, { clientId, date: startOfDay(at) });
+  };
+  journeyEvents.forEach(row => mark(row.clientId, row.createdAt));
+  emailEvents.forEach(row => mark(row.clientId, row.eventTime));
+  abEvents.forEach(row => mark(row.clientId, row.timestamp));
+  opportunities.forEach(row => mark(row.clientId, row.changedAt));
+
+  return [...dirty.values()].sort((a, b) => a.date - b.date);
+}
+
+// ============================================
+// WORKER
+// ============================================
+
+export class AnalyticsRollupWorker extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.lookbackDays] - How far back the first poll looks for new rows
+   */
+  constructor(options = {}) {
+    super({
+      name: 'Analytics rollup worker',
+      icon: '📈',
+      pollIntervalMs: options.pollIntervalMs ?? (parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS)
+    });
+    this.lookbackDays = options.lookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+    this.lastPolledAt = null;
+  }
+
+  /**
+   * Re-roll the client days that received raw rows since the last poll and
+   * track holdout conversions
+   *
+   * @param {Date} now
+   * @returns {Promise<Object[]>} Per-day results
+   */
+  async run(now) {
+    const since = this.lastPolledAt || new Date(now.getTime() - this.lookbackDays * DAY_MS);
+    const dirty = await findDirtyDays(since);
+
+    const results = [];
+    for (const { clientId, date } of dirty) {
+      results.push({ clientId, ...(await rollupDay(date, { clientId })) });
+    }
+
+    await trackAllHoldoutConversions();
+
+    // Only advance once every dirty day has been rebuilt
+    this.lastPolledAt = now;
+    return results;
+  }
+}
+
+export const analyticsRollupWorker = new AnalyticsRollupWorker();
+
+export default {
+  FactType,
+  startOfDay,
+  daysBetween,
+  aggregateDay,
+  loadDay,
+  rollupDay,
+  backfill,
+  findDirtyDays,
+  AnalyticsRollupWorker,
+  analyticsRollupWorker
+};
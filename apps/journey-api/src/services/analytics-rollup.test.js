@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for the Analytics Rollup
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const table = () => ({ findMany: vi.fn(), deleteMany: vi.fn(), createMany: vi.fn() });
+  const mockPrisma = {
+    journeyAnalyticsEvent: table(),
+    emailEvent: table(),
+    aBTestEvent: table(),
+    opportunityStageHistory: table(),
+    touchpoint: table(),
+    journey: table(),
+    journeyPerformanceMetrics: table(),
+    touchpointPerformanceMetrics: table(),
+    journeyFunnelStage: table(),
+    clientAnalyticsSummary: table(),
+    journeyHoldoutAssignment: table()
+  };
+  mockPrisma.$transaction = vi.fn((callback) => callback(mockPrisma));
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { rollupDay, backfill, daysBetween, AnalyticsRollupWorker } from './analytics-rollup.js';
+
+const at = (time) => new Date(`2026-03-10T${time}:00.000Z`);
+const day = new Date('2026-03-10T00:00:00.000Z');
+
+const journeyEvent = (id, eventType, contactId, time, extra = {}) => ({
+  id, journeyId: 'j1', clientId: 'c1', touchpointId: null, contactId, eventType, eventData: {}, createdAt: at(time), ...extra
+});
+
+const journeys = [{
+  id: 'j1',
+  clientId: 'c1',
+  touchpoints: [
+    { id: 't1', name: 'Welcome email', orderIndex: 0 },
+    { id: 't2', name: 'Tour invite', orderIndex: 1 }
+  ]
+}];
+
+describe('analytics-rollup', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const model of Object.values(mockPrisma)) {
+      if (typeof model === 'object') model.findMany.mockResolvedValue([]);
+    }
+    mockPrisma.journey.findMany.mockResolvedValue(journeys);
+  });
+
+  it('rolls raw events from every source into daily rows, counting contacts once', async () => {
+    mockPrisma.journeyAnalyticsEvent.findMany
+      .mockResolvedValueOnce([
+        journeyEvent('e1', 'journey_started', 'a', '09:00'),
+        journeyEvent('e2', 'journey_started', 'b', '09:05'),
+        journeyEvent('e3', 'touchpoint_sent', 'a', '09:10', { touchpointId: 't1' }),
+        journeyEvent('e4', 'touchpoint_sent', 'b', '09:15', { touchpointId: 't1' }),
+        journeyEvent('e5', 'touchpoint_opened', 'a', '10:00', { touchpointId: 't1' }),
+        journeyEvent('e6', 'drop_off', 'b', '11:00', { touchpointId: 't1' }),
+        journeyEvent('e7', 'touchpoint_sent', 'a', '12:10', { touchpointId: 't2' }),
+        journeyEvent('e8', 'conversion', 'a', '13:00', { eventData: { value: 1500 } })
+      ])
+      // Journey starts for time-to-conversion and opportunity attribution
+      .mockResolvedValueOnce([
+        { journeyId: 'j1', clientId: 'c1', contactId: 'a', createdAt: at('09:00') },
+        { journeyId: 'j1', clientId: 'c1', contactId: 'b', createdAt: at('09:05') }
+      ]);
+    // The same open reported by GHL, plus a click only GHL saw
+    mockPrisma.emailEvent.findMany.mockResolvedValue([
+      { id: 'm1', clientId: 'c1', templateId: 'ghl-welcome', recipientEmail: 'a@x.com', eventType: 'opened', eventTime: at('10:01'), contact: { ghlContactId: 'a' } },
+      { id: 'm2', clientId: 'c1', templateId: 'ghl-welcome', recipientEmail: 'a@x.com', eventType: 'clicked', eventTime: at('10:02'), contact: { ghlContactId: 'a' } }
+    ]);
+    mockPrisma.touchpoint.findMany.mockResolvedValue([
+      { id: 't1', journeyId: 'j1', ghlTemplateId: 'ghl-welcome', journey: { clientId: 'c1' } }
+    ]);
+    // Won deal for a contact who never entered a journey
+    mockPrisma.opportunityStageHistory.findMany.mockResolvedValue([
+      { id: 'o1', clientId: 'c1', contactId: 'z', opportunityValue: 200, changedAt: at('15:00') }
+    ]);
+
+    const result = await rollupDay('2026-03-10T18:30:00Z');
+
+    expect(result).toEqual({ date: '2026-03-10', journeys: 1, touchpoints: 2, funnelStages: 2, clients: 1 });
+
+    const [journeyRow] = mockPrisma.journeyPerformanceMetrics.createMany.mock.calls[0][0].data;
+    expect(journeyRow).toMatchObject({
+      journeyId: 'j1',
+      date: day,
+      totalContactsEntered: 2,
+      totalContactsDropped: 1,
+      conversions: 1,
+      conversionRate: 0.5,
+      touchpointsSent: 3,
+      touchpointsOpened: 1,
+      touchpointsClicked: 1,
+      avgTimeToConversionMinutes: 240,
+      totalValue: 1500,
+      avgValuePerConversion: 1500
+    });
+
+    const [welcome] = mockPrisma.touchpointPerformanceMetrics.createMany.mock.calls[0][0].data;
+    expect(welcome).toMatchObject({ touchpointId: 't1', sent: 2, opened: 1, clicked: 1, openRate: 0.5, dropOffs: 1, dropOffRate: 0.5 });
+
+    expect(mockPrisma.journeyFunnelStage.createMany.mock.calls[0][0].data).toEqual([
+      expect.objectContaining({ stageName: 'Welcome email', stageOrder: 0, enteredCount: 2, completedCount: 1, droppedCount: 1, conversionRate: 0.5, avgTimeInStageMinutes: 180 }),
+      expect.objectContaining({ stageName: 'Tour invite', stageOrder: 1, enteredCount: 1, completedCount: 1, droppedCount: 0 })
+    ]);
+
+    const [summary] = mockPrisma.clientAnalyticsSummary.createMany.mock.calls[0][0].data;
+    expect(summary).toMatchObject({ clientId: 'c1', activeJourneys: 1, totalJourneyRuns: 2, totalConversions: 1, totalTouchpointsSent: 3, totalRevenue: 1700 });
+  });
+
+  it('attributes won opportunities and A/B conversions to the journey without double counting', async () => {
+    mockPrisma.journeyAnalyticsEvent.findMany
+      .mockResolvedValueOnce([journeyEvent('e1', 'journey_started', 'a', '09:00')])
+      .mockResolvedValueOnce([{ journeyId: 'j1', clientId: 'c1', contactId: 'a', createdAt: at('09:00') }]);
+    mockPrisma.aBTestEvent.findMany.mockResolvedValue([
+      { id: 'ab1', touchpointId: null, eventType: 'conversion', eventData: { value: 500 }, timestamp: at('12:00'), participant: { contactId: 'a', journeyId: 'j1' } }
+    ]);
+    mockPrisma.opportunityStageHistory.findMany.mockResolvedValue([
+      { id: 'o1', clientId: 'c1', contactId: 'a', opportunityValue: 4000, changedAt: at('14:00') }
+    ]);
+
+    await rollupDay(day, { clientId: 'c1' });
+
+    const [journeyRow] = mockPrisma.journeyPerformanceMetrics.createMany.mock.calls[0][0].data;
+    expect(journeyRow).toMatchObject({ conversions: 1, conversionRate: 1, totalValue: 4000, avgTimeToConversionMinutes: 180 });
+    expect(mockPrisma.clientAnalyticsSummary.createMany.mock.calls[0][0].data[0].totalRevenue).toBe(4000);
+  });
+
+  it('rebuilds each day from scratch so re-runs are idempotent', async () => {
+    mockPrisma.journeyAnalyticsEvent.findMany.mockResolvedValue([]);
+
+    const results = await backfill({ from: '2026-03-09', to: '2026-03-10', clientId: 'c1' });
+
+    expect(results.map(r => r.date)).toEqual(['2026-03-09', '2026-03-10']);
+    for (const model of ['journeyPerformanceMetrics', 'touchpointPerformanceMetrics', 'journeyFunnelStage', 'clientAnalyticsSummary']) {
+      expect(mockPrisma[model].deleteMany).toHaveBeenCalledWith({ where: { date: day, clientId: 'c1' } });
+      expect(mockPrisma[model].createMany).not.toHaveBeenCalled();
+    }
+
+    expect(() => daysBetween('2026-03-10', '2026-03-09')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('re-rolls only the client days that received new rows since the last poll', async () => {
+    const worker = new AnalyticsRollupWorker({ lookbackDays: 1 });
+    const now = at('16:00');
+    // Late GHL email event for the previous day
+    mockPrisma.emailEvent.findMany
+      .mockResolvedValueOnce([{ clientId: 'c2', eventTime: new Date('2026-03-09T23:50:00Z') }]);
+    mockPrisma.journeyAnalyticsEvent.findMany
+      .mockResolvedValueOnce([{ clientId: 'c1', createdAt: at('15:00') }]);
+
+    const results = await worker.poll(now);
+
+    expect(results.map(r => [r.clientId, r.date])).toEqual([['c2', '2026-03-09'], ['c1', '2026-03-10']]);
+    expect(mockPrisma.emailEvent.findMany.mock.calls[0][0].where).toEqual({ createdAt: { gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) } });
+    expect(worker.lastPolledAt).toBe(now);
+    // Holdout conversions are tracked here, not on analytics reads
+    expect(mockPrisma.journeyHoldoutAssignment.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { convertedAt: null } }));
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Approval Policy Service
+ * Per-client approval policies stored in Client.settings.approvalPolicy, and
+ * evaluation of the decisions recorded against an approval request.
+ *
+ *   {
+ *     "requiredApprovals": 2,
+ *     "approvers": [
+ *       { "email": "owner@venue.com", "role": "owner" },
+ *       { "email": "events@venue.com", "role": "events_manager" }
+ *     ],
+ *     "requiredRoles": ["owner"],
+ *     "ordered": true
+ *   }
+ *
+ * - requiredApprovals: N approvals are needed (N of M when approvers are listed)
+ * - approvers: who may decide; empty means anyone with approve permission
+ * - requiredRoles: each role needs at least one approval
+ * - ordered: listed approvers decide in list order
+ *
+ * A single rejection rejects the request.
+ */
+
+import { z } from 'zod';
+import { getEffectiveRole } from './access-control.js';
+import { httpError } from '../middleware/error-handler.js';
+
+export const Decision = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const approvalPolicySchema = z.object({
+  requiredApprovals: z.number().int().min(1).default(1),
+  approvers: z.array(z.object({
+    email: z.string().email(),
+    role: z.string().min(1).optional(),
+    name: z.string().optional()
+  })).default([]),
+  requiredRoles: z.array(z.string().min(1)).default([]),
+  ordered: z.boolean().default(false)
+}).superRefine((policy, ctx) => {
+  if (policy.approvers.length > 0 && policy.requiredApprovals > policy.approvers.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['requiredApprovals'],
+      message: `Needs ${policy.requiredApprovals} approvals but only ${policy.approvers.length} approvers are listed`
+    });
+  }
+  if (policy.approvers.length > 0) {
+    const roles = new Set(policy.approvers.map(approver => approver.role));
+    for (const role of policy.requiredRoles.filter(role => !roles.has(role))) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['requiredRoles'],
+        message: `No listed approver has the required role "${role}"`
+      });
+    }
+  }
+  if (policy.ordered && policy.approvers.length === 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['ordered'],
+      message: 'Ordered approval needs a list of approvers'
+    });
+  }
+});
+
+export const DEFAULT_POLICY = approvalPolicySchema.parse({});
+
+/**
+ * Policy from Client.settings, falling back to the single-approver default
+ * when none is set. A stored policy that no longer validates is refused
+ * rather than replaced, so a broken policy never lowers the approval bar.
+ * @param {Object} [settings] - Client.settings
+ * @returns {Object}
+ * @throws 409 when the stored policy is invalid
+ */
+export function policyFromSettings(settings) {
+  if (!settings?.approvalPolicy) return DEFAULT_POLICY;
+
+  const result = approvalPolicySchema.safeParse(settings.approvalPolicy);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+    console.error('Invalid stored approval policy:', JSON.stringify(issues));
+    throw httpError('Approval policy is invalid; an admin must fix it with PUT /api/clients/:id/approval-policy', 409, { issues });
+  }
+  return result.data;
+}
+
+const sameEmail = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+/**
+ * Who the user signs as under a policy
+ * @param {Object} policy
+ * @param {Object} user - req.user
+ * @param {string} clientId
+ * @returns {{ approverId: string, approverEmail: string, role: string|null }}
+ * @throws 403 when the policy lists approvers and the user is not one of them
+ */
+export function resolveApprover(policy, user, clientId) {
+  if (policy.approvers.length === 0) {
+    return { approverId: user.id, approverEmail: user.email, role: getEffectiveRole(user, clientId) };
+  }
+
+  const listed = policy.approvers.find(approver => sameEmail(approver.email, user.email));
+  if (!listed) {
+    throw httpError(`${user.email} is not an approver for this client`, 403, {
+      approvers: policy.approvers.map(approver => approver.email)
+    });
+  }
+  return { approverId: user.id, approverEmail: listed.email, role: listed.role || null };
+}
+
+/**
+ * Ordered policies: every approver listed before this one must have approved
+ * @throws 409 naming the approvers still to decide
+ */
+export function assertTurn(policy, decisions, approverEmail) {
+  if (!policy.ordered) return;
+
+  const index = policy.approvers.findIndex(approver => sameEmail(approver.email, approverEmail));
+  const waitingOn = policy.approvers.slice(0, index).filter(approver =>
+    !decisions.some(d => sameEmail(d.approverEmail, approver.email) && d.decision === Decision.APPROVED)
+  );
+
+  if (waitingOn.length > 0) {
+    throw httpError(`Waiting on ${waitingOn.map(approver => approver.email).join(', ')} to approve first`, 409, {
+      waitingOn: waitingOn.map(approver => approver.email)
+    });
+  }
+}
+
+/**
+ * Replace an approver's earlier decision with a new one
+ * @returns {Object[]}
+ */
+export function mergeDecision(decisions, decision) {
+  return [
+    ...decisions.filter(d => !sameEmail(d.approverEmail, decision.approverEmail)),
+    decision
+  ];
+}
+
+/**
+ * Evaluate decisions against a policy
+ * @param {Object} policy
+ * @param {Object[]} decisions - ApprovalDecision rows
+ * @returns {{ status: 'pending'|'approved'|'rejected', approvedCount: number, requiredApprovals: number,
+ *   missingRoles: string[], nextApprover: string|null, approvers: Object[] }}
+ */
+export function evaluatePolicy(policy, decisions = []) {
+  const approvals = decisions.filter(d => d.decision === Decision.APPROVED);
+  const rejected = decisions.some(d => d.decision === Decision.REJECTED);
+  const approvedRoles = new Set(approvals.map(d => d.role));
+  const missingRoles = policy.requiredRoles.filter(role => !approvedRoles.has(role));
+
+  // Listed approvers with their decision, or everyone who decided when the policy lists nobody
+  const approvers = policy.approvers.length > 0
+    ? policy.approvers.map(approver => {
+      const decided = decisions.find(d => sameEmail(d.approverEmail, approver.email));
+      return { email: approver.email, name: approver.name, role: approver.role || null, decision: decided?.decision || null, comments: decided?.comments || null };
+    })
+    : decisions.map(d => ({ email: d.approverEmail, role: d.role, decision: d.decision, comments: d.comments || null }));
+
+  const nextApprover = policy.ordered
+    ? approvers.find(approver => approver.decision !== Decision.APPROVED)?.email || null
+    : null;
+
+  let status = 'pending';
+  if (rejected) {
+    status = Decision.REJECTED;
+  } else if (approvals.length >= policy.requiredApprovals && missingRoles.length === 0) {
+    status = Decision.APPROVED;
+  }
+
+  return {
+    status,
+    approvedCount: approvals.length,
+    requiredApprovals: policy.requiredApprovals,
+    missingRoles,
+    nextApprover,
+    approvers
+  };
+}
+
+/**
+ * Record an approver's decision on a pending approval and evaluate the
+ * approval's policy with it
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Object} approval - Pending Approval with decisions included
+ * @param {Object} input
+ * @param {string} input.clientId - The journey's client
+ * @param {Object} input.user - req.user
+ * @param {string} input.decision - Decision.APPROVED or Decision.REJECTED
+ * @param {string} [input.comments]
+ * @returns {Promise<{ decision: Object, policy: Object, outcome: Object }>}
+ */
+export async function recordDecision(tx, approval, { clientId, user, decision, comments }) {
+  const policy = policyFromSettings({ approvalPolicy: approval.policy });
+  const approver = resolveApprover(policy, user, clientId);
+  assertTurn(policy, approval.decisions || [], approver.approverEmail);
+
+  const data = { ...approver, decision, comments: comments || null };
+  const saved = await tx.approvalDecision.upsert({
+    where: { approvalId_approverEmail: { approvalId: approval.id, approverEmail: approver.approverEmail } },
+    create: { approvalId: approval.id, ...data },
+    update: data
+  });
+
+  return {
+    decision: saved,
+    policy,
+    outcome: evaluatePolicy(policy, mergeDecision(approval.decisions || [], data))
+  };
+}
+
+export default {
+  Decision,
+  approvalPolicySchema,
+  DEFAULT_POLICY,
+  policyFromSettings,
+  resolveApprover,
+  assertTurn,
+  mergeDecision,
+  evaluatePolicy,
+  recordDecision
+};
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Approval Policies
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { approvalPolicySchema, policyFromSettings, resolveApprover, assertTurn, evaluatePolicy } from './approval-policy.js';
+
+const venuePolicy = approvalPolicySchema.parse({
+  requiredApprovals: 2,
+  approvers: [
+    { email: 'owner@venue.com', role: 'owner' },
+    { email: 'events@venue.com', role: 'events_manager' },
+    { email: 'assistant@venue.com', role: 'events_manager' }
+  ],
+  requiredRoles: ['owner'],
+  ordered: false
+});
+
+const decision = (approverEmail, role, value = 'approved') => ({ approverEmail, role, decision: value });
+
+describe('approval-policy', () => {
+  it('needs N approvals covering every required role', () => {
+    expect(evaluatePolicy(venuePolicy, [decision('events@venue.com', 'events_manager')])).toMatchObject({
+      status: 'pending',
+      approvedCount: 1,
+      requiredApprovals: 2,
+      missingRoles: ['owner']
+    });
+
+    // Two approvals, but not the owner
+    expect(evaluatePolicy(venuePolicy, [
+      decision('events@venue.com', 'events_manager'),
+      decision('assistant@venue.com', 'events_manager')
+    ]).status).toBe('pending');
+
+    expect(evaluatePolicy(venuePolicy, [
+      decision('events@venue.com', 'events_manager'),
+      decision('owner@venue.com', 'owner')
+    ]).status).toBe('approved');
+
+    expect(evaluatePolicy(venuePolicy, [
+      decision('owner@venue.com', 'owner'),
+      decision('events@venue.com', 'events_manager', 'rejected')
+    ]).status).toBe('rejected');
+  });
+
+  it('only lets listed approvers decide, in order when required', () => {
+    const ordered = { ...venuePolicy, ordered: true };
+    const user = { id: 'u1', email: 'Events@Venue.com', role: 'editor', clientRoles: { c1: 'approver' } };
+
+    expect(resolveApprover(ordered, user, 'c1')).toEqual({ approverId: 'u1', approverEmail: 'events@venue.com', role: 'events_manager' });
+    expect(() => resolveApprover(ordered, { ...user, email: 'someone@else.com' }, 'c1')).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+    expect(() => assertTurn(ordered, [], 'events@venue.com')).toThrow(expect.objectContaining({
+      statusCode: 409,
+      details: { waitingOn: ['owner@venue.com'] }
+    }));
+    expect(() => assertTurn(ordered, [decision('owner@venue.com', 'owner')], 'events@venue.com')).not.toThrow();
+    expect(evaluatePolicy(ordered, [decision('owner@venue.com', 'owner')]).nextApprover).toBe('events@venue.com');
+  });
+
+  it('rejects inconsistent policies and falls back to a single approver when none is set', () => {
+    const result = approvalPolicySchema.safeParse({
+      requiredApprovals: 3,
+      approvers: [{ email: 'owner@venue.com', role: 'owner' }],
+      requiredRoles: ['events_manager']
+    });
+    expect(result.success).toBe(false);
+    expect(result.error.issues.map(issue => issue.path[0])).toEqual(['requiredApprovals', 'requiredRoles']);
+
+    expect(policyFromSettings({})).toEqual({ requiredApprovals: 1, approvers: [], requiredRoles: [], ordered: false });
+    expect(policyFromSettings({ approvalPolicy: venuePolicy })).toEqual(venuePolicy);
+  });
+
+  it('refuses a stored policy that no longer validates instead of lowering the bar', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = { requiredApprovals: 3, approvers: [{ email: 'owner@venue.com' }] };
+
+    let error;
+    try {
+      policyFromSettings({ approvalPolicy: broken });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toMatchObject({ statusCode: 409, details: { issues: [{ path: 'requiredApprovals' }] } });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
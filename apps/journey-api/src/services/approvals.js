@@ -0,0 +1,126 @@
+/**
+ * Approvals Service
+ * Approval requests for a journey and the per-approver decisions recorded
+ * against them. A decision that satisfies (or fails) the client's approval
+ * policy moves the journey through the status state machine.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { recordAuditEvent, AuditAction } from './audit-log.js';
+import {
+  Decision,
+  policyFromSettings,
+  resolveApprover,
+  assertTurn,
+  mergeDecision,
+  evaluatePolicy,
+  recordDecision
+} from './approval-policy.js';
+import { JourneyStatus, lockPendingApproval, applyTransition, announceTransition } from './journey-status.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+// Approval rows as the API returns them: decisions plus the policy outcome
+const withOutcome = (approval) => {
+  const policy = policyFromSettings({ approvalPolicy: approval.policy });
+  return { ...approval, policy, outcome: evaluatePolicy(policy, approval.decisions) };
+};
+
+/**
+ * Approval requests for a journey, newest first
+ * @param {string} journeyId
+ * @returns {Promise<Object[]>}
+ */
+export async function listApprovals(journeyId) {
+  const approvals = await prisma.approval.findMany({
+    where: { journeyId },
+    orderBy: { createdAt: 'desc' },
+    include: { decisions: { orderBy: { createdAt: 'asc' } } }
+  });
+  return approvals.map(withOutcome);
+}
+
+const loadApproval = async (id) => withOutcome(await prisma.approval.findUnique({
+  where: { id },
+  include: { decisions: { orderBy: { createdAt: 'asc' } } }
+}));
+
+/**
+ * Record the user's decision on the journey's pending approval request.
+ * When the decision settles the policy the journey moves to approved or
+ * rejected; otherwise it stays in client_review.
+ * @param {string} journeyId
+ * @param {Object} user - req.user
+ * @param {Object} input
+ * @param {string} input.decision - Decision.APPROVED or Decision.REJECTED
+ * @param {string} [input.comments] - Required for rejections
+ * @param {string} [input.ipAddress]
+ * @returns {Promise<Object|null>} { journey, approval, outcome }, or null when the journey does not exist
+ */
+export async function decideApproval(journeyId, user, { decision, comments, ipAddress }) {
+  // The request stays locked from reading its decisions until this decision
+  // (and any status change it settles) commits, so two approvers deciding
+  // at once can't both see it pending
+  const result = await prisma.$transaction(async (tx) => {
+    const journey = await tx.journey.findUnique({ where: { id: journeyId } });
+    if (!journey) return null;
+
+    if (journey.status !== JourneyStatus.CLIENT_REVIEW) {
+      throw httpError('Journey is not awaiting review', 409, { currentStatus: journey.status });
+    }
+    if (decision === Decision.REJECTED && !comments?.trim()) {
+      throw httpError('A reason is required to reject a journey', 400);
+    }
+
+    const pending = await lockPendingApproval(tx, journeyId);
+    if (!pending) {
+      throw httpError('Journey has no pending approval request', 409, { currentStatus: journey.status });
+    }
+
+    // A settling decision is recorded by the status transition itself
+    const policy = policyFromSettings({ approvalPolicy: pending.policy });
+    const approver = resolveApprover(policy, user, journey.clientId);
+    assertTurn(policy, pending.decisions, approver.approverEmail);
+    const outcome = evaluatePolicy(policy, mergeDecision(pending.decisions, { ...approver, decision, comments }));
+
+    if (outcome.status !== 'pending') {
+      const transition = await applyTransition(tx, journeyId, outcome.status, { user, reason: comments });
+      return { journey: transition.journey, approvalId: pending.id, outcome, transition };
+    }
+
+    await recordDecision(tx, pending, { clientId: journey.clientId, user, decision, comments });
+    return { journey, approvalId: pending.id, outcome, approver };
+  });
+  if (!result) return null;
+
+  const { journey, approvalId, outcome, transition, approver } = result;
+
+  if (transition) {
+    await announceTransition(transition, outcome.status, { user, reason: comments, ipAddress });
+  } else {
+    await recordAuditEvent({
+      action: AuditAction.APPROVAL_DECISION,
+      userId: user.id,
+      clientId: journey.clientId,
+      resourceType: 'journeys',
+      resourceId: journeyId,
+      details: {
+        approvalId,
+        decision,
+        role: approver.role,
+        comments: comments || null,
+        approvedCount: outcome.approvedCount,
+        requiredApprovals: outcome.requiredApprovals
+      },
+      ipAddress
+    });
+  }
+
+  return { journey, approval: await loadApproval(approvalId), outcome };
+}
+
+export default {
+  listApprovals,
+  decideApproval
+};
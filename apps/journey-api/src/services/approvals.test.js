@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Approval Decisions
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    journey: { findUnique: vi.fn(), update: vi.fn() },
+    approval: { findFirst: vi.fn(), findUnique: vi.fn(), update: vi.fn() },
+    approvalDecision: { upsert: vi.fn() },
+    journeyVersion: { findFirst: vi.fn(), findUnique: vi.fn(), create: vi.fn() },
+    auditLog: { create: vi.fn() },
+    outboundWebhook: { findMany: vi.fn(async () => []) },
+    outboundWebhookDelivery: { createMany: vi.fn() }
+  };
+  mockPrisma.$transaction = vi.fn((callback) => callback(mockPrisma));
+  mockPrisma.$queryRaw = vi.fn(async () => []);
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { decideApproval } from './approvals.js';
+
+const policy = {
+  requiredApprovals: 2,
+  approvers: [
+    { email: 'owner@venue.com', role: 'owner' },
+    { email: 'events@venue.com', role: 'events_manager' }
+  ]
+};
+
+const owner = { id: 'u1', email: 'owner@venue.com', role: 'editor', clientRoles: { c1: 'approver' } };
+const eventsManager = { id: 'u2', email: 'events@venue.com', role: 'editor', clientRoles: { c1: 'approver' } };
+
+const journey = { id: 'j1', clientId: 'c1', status: 'client_review', version: 2, touchpoints: [], edges: [] };
+
+describe('approvals', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.$queryRaw.mockResolvedValue([]);
+    mockPrisma.journey.findUnique.mockResolvedValue(journey);
+    mockPrisma.journey.update.mockImplementation(({ data }) => Promise.resolve({ ...journey, ...data }));
+    mockPrisma.approval.findUnique.mockResolvedValue({ id: 'ap1', policy, decisions: [] });
+    mockPrisma.approval.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+    mockPrisma.journeyVersion.findFirst.mockResolvedValue({ version: 2 });
+    mockPrisma.journeyVersion.findUnique.mockResolvedValue({ id: 'v3-id' });
+  });
+
+  it('records a partial sign-off without moving the journey', async () => {
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap1', status: 'pending', policy, decisions: [] });
+
+    const result = await decideApproval('j1', owner, { decision: 'approved' });
+
+    expect(result.outcome).toMatchObject({ status: 'pending', approvedCount: 1, requiredApprovals: 2 });
+    expect(mockPrisma.approvalDecision.upsert).toHaveBeenCalledWith({
+      where: { approvalId_approverEmail: { approvalId: 'ap1', approverEmail: 'owner@venue.com' } },
+      create: { approvalId: 'ap1', approverId: 'u1', approverEmail: 'owner@venue.com', role: 'owner', decision: 'approved', comments: null },
+      update: { approverId: 'u1', approverEmail: 'owner@venue.com', role: 'owner', decision: 'approved', comments: null }
+    });
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+    expect(mockPrisma.auditLog.create.mock.calls[0][0].data).toMatchObject({ action: 'approval.decision' });
+  });
+
+  it('approves the journey once the last required approver signs off', async () => {
+    mockPrisma.approval.findFirst.mockResolvedValue({
+      id: 'ap1',
+      status: 'pending',
+      policy,
+      decisions: [{ approverEmail: 'owner@venue.com', role: 'owner', decision: 'approved' }]
+    });
+
+    const result = await decideApproval('j1', eventsManager, { decision: 'approved', comments: 'Good to go' });
+
+    expect(result.outcome.status).toBe('approved');
+    expect(result.journey.status).toBe('approved');
+    expect(mockPrisma.approval.update).toHaveBeenCalledWith({
+      where: { id: 'ap1' },
+      data: expect.objectContaining({ status: 'approved', versionId: 'v3-id' })
+    });
+  });
+
+  it('evaluates the decisions on the request once it holds its lock', async () => {
+    // The owner's decision commits while this one waits for the row lock
+    mockPrisma.$queryRaw.mockImplementation(async () => {
+      mockPrisma.approval.findFirst.mockResolvedValue({
+        id: 'ap1',
+        status: 'pending',
+        policy,
+        decisions: [{ approverEmail: 'owner@venue.com', role: 'owner', decision: 'approved' }]
+      });
+      return [{ id: 'ap1' }];
+    });
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap1', status: 'pending', policy, decisions: [] });
+
+    const result = await decideApproval('j1', eventsManager, { decision: 'approved' });
+
+    expect(mockPrisma.$queryRaw.mock.calls[0][0].join('')).toContain('FOR UPDATE');
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(result.outcome).toMatchObject({ status: 'approved', approvedCount: 2 });
+    expect(result.journey.status).toBe('approved');
+  });
+
+  it('refuses a decision once the request was closed while waiting', async () => {
+    mockPrisma.approval.findFirst.mockResolvedValue(null);
+
+    await expect(decideApproval('j1', owner, { decision: 'approved' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Journey has no pending approval request' });
+    expect(mockPrisma.approvalDecision.upsert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Audit Log Service
+ * Append-only record of security-relevant events (denied access, user
+ * changes, status transitions). Writes never fail the request that
+ * triggered them.
+ */
+
+import { PrismaClient } from '@bloom/data';
+
+const prisma = new PrismaClient();
+
+export const AuditAction = {
+  ACCESS_DENIED: 'access.denied',
+  JOURNEY_STATUS_CHANGED: 'journey.status_changed',
+  APPROVAL_DECISION: 'approval.decision',
+  SYNC_CONFLICT_RESOLVED: 'sync_conflict.resolved',
+  DEPLOY_PLAN_REVIEWED: 'deploy_plan.reviewed',
+  PASSWORD_RESET_REQUESTED: 'auth.password_reset_requested'
+};
+
+/**
+ * Record an audit event
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. AuditAction.ACCESS_DENIED
+ * @param {string} [entry.userId]
+ * @param {string} [entry.clientId]
+ * @param {string} [entry.resourceType]
+ * @param {string} [entry.resourceId]
+ * @param {Object} [entry.details]
+ * @param {string} [entry.ipAddress]
+ * @returns {Promise<Object|null>} The created entry, or null if the write failed
+ */
+export async function recordAuditEvent({ action, userId, clientId, resourceType, resourceId, details = {}, ipAddress }) {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        action,
+        userId: userId || null,
+        clientId: clientId || null,
+        resourceType: resourceType || null,
+        resourceId: resourceId || null,
+        details,
+        ipAddress: ipAddress || null
+      }
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', action, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a request the permission model refused
+ * @param {Object} req - Express request (req.user set by authenticate)
+ * @param {Object} denial
+ * @param {string} denial.resource
+ * @param {string} denial.action
+ * @param {string|null} [denial.clientId]
+ * @param {string} [denial.reason]
+ */
+export function recordAccessDenied(req, { resource, action, clientId, reason }) {
+  console.warn(`Access denied: user=${req.user?.id || 'anonymous'} ${action} ${resource}` +
+    `${clientId ? ` client=${clientId}` : ''} (${req.method} ${req.originalUrl || req.path})`);
+
+  return recordAuditEvent({
+    action: AuditAction.ACCESS_DENIED,
+    userId: req.user?.id,
+    clientId,
+    resourceType: resource,
+    resourceId: req.params?.id,
+    details: {
+      attemptedAction: action,
+      method: req.method,
+      path: req.originalUrl || req.path,
+      reason
+    },
+    ipAddress: req.ip
+  });
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} [filters]
+ */
+export async function listAuditEvents({ userId, clientId, action, resourceType, since, limit = 100, offset = 0 } = {}) {
+  const where = {};
+  if (userId) where.userId = userId;
+  if (clientId) where.clientId = clientId;
+  if (action) where.action = action;
+  if (resourceType) where.resourceType = resourceType;
+  if (since) where.createdAt = { gte: new Date(since) };
+
+  const [entries, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(limit) || 100, 500),
+      skip: parseInt(offset) || 0
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+
+  return { entries, total };
+}
+
+export default {
+  AuditAction,
+  recordAuditEvent,
+  recordAccessDenied,
+  listAuditEvents
+};
@@ -0,0 +1,594 @@
+/**
+ * Internal Authentication Service
+ * Passwords, access/refresh tokens, invites and password resets for
+ * internal (agency) users. Client portal users are handled separately in
+ * middleware/client-auth.js.
+ *
+ * - Passwords are hashed with scrypt (`scrypt$N$r$p$salt$hash`)
+ * - Access tokens are short-lived JWTs signed with JWT_SECRET
+ * - Refresh, invite and reset tokens are random strings stored as SHA-256
+ *   hashes, so a database leak does not expose usable tokens
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@bloom/data';
+import { httpError } from '../middleware/error-handler.js';
+import { recordAuditEvent, AuditAction } from './audit-log.js';
+
+const prisma = new PrismaClient();
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Read lazily: this module is imported before index.js loads .env
+function settings() {
+  return {
+    accessTokenTtl: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    inviteTtlHours: parseInt(process.env.INVITE_TTL_HOURS) || 7 * 24,
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+  };
+}
+
+export const UserStatus = {
+  INVITED: 'invited',
+  ACTIVE: 'active',
+  DISABLED: 'disabled'
+};
+
+export const TokenPurpose = {
+  INVITE: 'invite',
+  PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * JWT signing secret. There is deliberately no fallback: a missing secret
+ * must not silently fall back to a value anyone can read in the source.
+ */
+export function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET must be set');
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+/**
+ * Hash a password with a random salt
+ * @returns {Promise<string>} Encoded hash including the scrypt parameters
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash (constant-time)
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!storedHash) return false;
+
+  const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+// Precomputed so unknown-user logins cost the same as real ones
+const DUMMY_HASH = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// ============================================
+// ACCESS TOKENS
+// ============================================
+
+export function issueAccessToken(user) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      type: 'access'
+    },
+    getJwtSecret(),
+    { expiresIn: settings().accessTokenTtl }
+  );
+}
+
+/**
+ * Verify an access token. Throws JsonWebTokenError/TokenExpiredError.
+ */
+export function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== 'access' || !decoded.userId) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return decoded;
+}
+
+/**
+ * Link into the visualizer (APP_URL), e.g. for invite and reset links
+ */
+export function appLink(path, params = {}) {
+  const url = new URL(path, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    status: user.status
+  };
+}
+
+// ============================================
+// SESSIONS (REFRESH TOKENS)
+// ============================================
+
+async function createRefreshToken(userId, { ipAddress, userAgent } = {}, db = prisma) {
+  const token = generateToken();
+  const record = await db.refreshToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + settings().refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+      ipAddress,
+      userAgent
+    }
+  });
+  return { token, record };
+}
+
+/**
+ * Issue an access token and a new refresh token for an active user
+ * @param {Object} user - User record
+ * @param {Object} [meta] - { ipAddress, userAgent }
+ */
+export async function createSession(user, meta = {}) {
+  if (user.status !== UserStatus.ACTIVE) {
+    throw httpError('Account is not active', 401);
+  }
+
+  const { token: refreshToken } = await createRefreshToken(user.id, meta);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() }
+  });
+
+  return {
+    accessToken: issueAccessToken(user),
+    refreshToken,
+    expiresIn: settings().accessTokenTtl,
+    user: toPublicUser(user)
+  };
+}
+
+/**
+ * Authenticate with email and password
+ */
+export async function loginWithPassword(email, password, meta = {}) {
+  const user = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+
+  // Run scrypt even for unknown users so response time does not reveal
+  // which emails have accounts.
+  const valid = await verifyPassword(password, user?.passwordHash || DUMMY_HASH);
+  if (!user || !user.passwordHash || !valid) {
+    throw httpError('Invalid email or password', 401);
+  }
+
+  return createSession(user, meta);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented token is revoked; presenting a revoked token again is
+ * treated as theft and ends every session for the user.
+ */
+export async function refreshSession(refreshToken, meta = {}) {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true }
+  });
+
+  if (!existing) {
+    throw httpError('Invalid refresh token', 401);
+  }
+
+  if (existing.revokedAt) {
+    await revokeAllSessions(existing.userId);
+    throw httpError('Refresh token has been revoked', 401);
+  }
+
+  if (existing.expiresAt < new Date()) {
+    throw httpError('Refresh token expired', 401);
+  }
+
+  if (existing.user.status !== UserStatus.ACTIVE) {
+    throw httpError('Account is not active', 401);
+  }
+
+  const next = await prisma.$transaction(async (tx) => {
+    // Conditional revoke so two concurrent refreshes cannot both succeed
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (count === 0) {
+      throw httpError('Refresh token has been revoked', 401);
+    }
+
+    const created = await createRefreshToken(existing.userId, meta, tx);
+    await tx.refreshToken.update({
+      where: { id: existing.id },
+      data: { replacedById: created.record.id }
+    });
+    return created;
+  });
+
+  return {
+    accessToken: issueAccessToken(existing.user),
+    refreshToken: next.token,
+    expiresIn: settings().accessTokenTtl,
+    user: toPublicUser(existing.user)
+  };
+}
+
+/**
+ * Revoke a single refresh token (logout). Unknown tokens are ignored.
+ */
+export async function revokeSession(refreshToken) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count > 0;
+}
+
+/**
+ * Revoke every refresh token for a user (logout everywhere, password change)
+ */
+export async function revokeAllSessions(userId) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+// ============================================
+// INVITES & PASSWORD RESETS
+// ============================================
+
+async function createUserAuthToken(userId, purpose, ttlMs, createdById = null) {
+  const token = generateToken();
+
+  // Only the newest invite/reset link for a user is valid
+  await prisma.userAuthToken.updateMany({
+    where: { userId, purpose, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  await prisma.userAuthToken.create({
+    data: {
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMs),
+      createdById
+    }
+  });
+
+  return token;
+}
+
+async function consumeUserAuthToken(token, purpose) {
+  const record = await prisma.userAuthToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true }
+  });
+
+  if (!record || record.purpose !== purpose) {
+    throw httpError('Invalid or expired token', 400);
+  }
+
+  // Claim the token in one conditional write so concurrent requests can't both use it
+  const now = new Date();
+  const { count } = await prisma.userAuthToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now }
+  });
+  if (count === 0) {
+    throw httpError('Invalid or expired token', 400);
+  }
+
+  return record.user;
+}
+
+/**
+ * Invite a user. Accounts can only be created this way.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} [params.name]
+ * @param {string} [params.role] - Global role
+ * @param {Array<{clientId: string, role: string}>} [params.clients] - Per-client roles
+ * @param {string} [params.invitedById]
+ * @returns {Promise<{user: Object, inviteToken: string}>}
+ */
+export async function inviteUser({ email, name, role = 'editor', clients = [], invitedById = null }) {
+  const normalizedEmail = email.toLowerCase();
+  const existing = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+
+  if (existing && existing.status !== UserStatus.INVITED) {
+    throw httpError('A user with this email already exists', 409);
+  }
+
+  const user = existing
+    ? await prisma.user.update({
+      where: { id: existing.id },
+      data: { name: name || existing.name, role, invitedById }
+    })
+    : await prisma.user.create({
+      data: {
+        email: normalizedEmail,
+        name: name || normalizedEmail.split('@')[0],
+        role,
+        status: UserStatus.INVITED,
+        invitedById
+      }
+    });
+
+  for (const { clientId, role: clientRole } of clients) {
+    await prisma.clientUser.upsert({
+      where: { clientId_userId: { clientId, userId: user.id } },
+      create: { clientId, userId: user.id, role: clientRole },
+      update: { role: clientRole }
+    });
+  }
+
+  const inviteToken = await createUserAuthToken(
+    user.id,
+    TokenPurpose.INVITE,
+    settings().inviteTtlHours * 60 * 60 * 1000,
+    invitedById
+  );
+
+  return { user, inviteToken };
+}
+
+/**
+ * Accept an invite by choosing a password; activates the account
+ */
+export async function acceptInvite({ token, password, name }, meta = {}) {
+  const invited = await consumeUserAuthToken(token, TokenPurpose.INVITE);
+
+  const user = await prisma.user.update({
+    where: { id: invited.id },
+    data: {
+      passwordHash: await hashPassword(password),
+      status: UserStatus.ACTIVE,
+      ...(name && { name })
+    }
+  });
+
+  return createSession(user, meta);
+}
+
+/**
+ * Create a password reset link token (admins hand it to the user). Returns
+ * null (rather than throwing) for unknown or inactive accounts.
+ */
+export async function requestPasswordReset(email) {
+  const user = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+  if (!user || user.status !== UserStatus.ACTIVE) {
+    return null;
+  }
+
+  const resetToken = await createUserAuthToken(
+    user.id,
+    TokenPurpose.PASSWORD_RESET,
+    settings().passwordResetTtlMinutes * 60 * 1000
+  );
+
+  return { user, resetToken };
+}
+
+/**
+ * Note a self-service reset request in the audit log for an admin to act
+ * on. No mailer is configured, so no token is created: it would reach
+ * nobody and would revoke any link an admin already handed out.
+ * @param {string} email
+ * @param {Object} [meta] - { ipAddress }
+ * @returns {Promise<boolean>} Whether an active account matched; callers
+ *   must respond identically either way
+ */
+export async function recordPasswordResetRequest(email, { ipAddress } = {}) {
+  const user = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+  if (!user || user.status !== UserStatus.ACTIVE) {
+    return false;
+  }
+
+  await recordAuditEvent({
+    action: AuditAction.PASSWORD_RESET_REQUESTED,
+    userId: user.id,
+    resourceType: 'users',
+    resourceId: user.id,
+    ipAddress
+  });
+  return true;
+}
+
+/**
+ * Complete a password reset; signs out every existing session
+ */
+export async function resetPassword({ token, password }) {
+  const user = await consumeUserAuthToken(token, TokenPurpose.PASSWORD_RESET);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { passwordHash: await hashPassword(password) }
+  });
+  await revokeAllSessions(user.id);
+
+  return toPublicUser(user);
+}
+
+/**
+ * Change the password of a signed-in user; signs out other sessions
+ */
+export async function changePassword(userId, currentPassword, newPassword) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || !(await verifyPassword(currentPassword, user.passwordHash))) {
+    throw httpError('Current password is incorrect', 401);
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { passwordHash: await hashPassword(newPassword) }
+  });
+  await revokeAllSessions(userId);
+}
+
+// ============================================
+// SSO
+// ============================================
+
+const SSO_STATE_TTL = '10m';
+
+function deriveSsoSecret(label, stateId) {
+  return crypto.createHmac('sha256', getJwtSecret()).update(`${label}:${stateId}`).digest('base64url');
+}
+
+/**
+ * Start an SSO login. The state is a signed JWT, so no server-side storage
+ * is needed; the nonce and PKCE verifier are derived from it with an HMAC
+ * and never leave the server.
+ *
+ * The state only carries a hash of `binding`, which the caller keeps in a
+ * short-lived cookie on the browser that started the login. The callback
+ * must present the same binding, so a state minted in someone else's
+ * browser cannot be replayed to sign a victim into the attacker's account.
+ * @returns {{ state: string, binding: string, nonce: string, codeVerifier: string }}
+ */
+export function createSsoState(provider) {
+  const stateId = crypto.randomBytes(16).toString('base64url');
+  const binding = crypto.randomBytes(32).toString('base64url');
+  const state = jwt.sign(
+    { type: 'sso_state', provider, sid: stateId, bh: hashToken(binding) },
+    getJwtSecret(),
+    { expiresIn: SSO_STATE_TTL }
+  );
+  return {
+    state,
+    binding,
+    nonce: deriveSsoSecret('nonce', stateId),
+    codeVerifier: deriveSsoSecret('pkce', stateId)
+  };
+}
+
+/**
+ * Check a returned state against the browser's binding and recover its
+ * nonce and PKCE verifier
+ */
+export function verifySsoState(state, provider, binding) {
+  let decoded;
+  try {
+    decoded = jwt.verify(state, getJwtSecret());
+  } catch (err) {
+    throw httpError('Invalid or expired SSO state', 400);
+  }
+  if (decoded.type !== 'sso_state' || decoded.provider !== provider) {
+    throw httpError('Invalid or expired SSO state', 400);
+  }
+  if (!binding || !decoded.bh || hashToken(binding) !== decoded.bh) {
+    throw httpError('Invalid or expired SSO state', 400);
+  }
+  return {
+    nonce: deriveSsoSecret('nonce', decoded.sid),
+    codeVerifier: deriveSsoSecret('pkce', decoded.sid)
+  };
+}
+
+/**
+ * Resolve the local user for a verified OIDC identity. Accounts are
+ * invite-only, so the email must already belong to an invited or active
+ * user; the first SSO login links the identity and activates invites.
+ * @param {string} provider - Provider name
+ * @param {Object} claims - Verified ID token claims
+ */
+export async function findUserForSsoLogin(provider, claims) {
+  const linked = await prisma.user.findUnique({
+    where: { ssoProvider_ssoSubject: { ssoProvider: provider, ssoSubject: claims.sub } }
+  });
+  if (linked) {
+    return linked;
+  }
+
+  // Only an explicit true counts: providers that omit the claim haven't verified it
+  if (!claims.email || claims.email_verified !== true) {
+    throw httpError('Identity provider did not return a verified email', 403);
+  }
+
+  const user = await prisma.user.findUnique({ where: { email: claims.email.toLowerCase() } });
+  if (!user || user.status === UserStatus.DISABLED) {
+    throw httpError('No account has been created for this email', 403);
+  }
+  if (user.ssoSubject && (user.ssoProvider !== provider || user.ssoSubject !== claims.sub)) {
+    throw httpError('Account is linked to a different identity', 403);
+  }
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      ssoProvider: provider,
+      ssoSubject: claims.sub,
+      status: UserStatus.ACTIVE,
+      ...(!user.name && claims.name && { name: claims.name })
+    }
+  });
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  issueAccessToken,
+  verifyAccessToken,
+  createSession,
+  loginWithPassword,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  inviteUser,
+  acceptInvite,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  createSsoState,
+  verifySsoState,
+  findUserForSsoLogin
+};
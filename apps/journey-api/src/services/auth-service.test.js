@@ -0,0 +1,276 @@
+/**
+ * Unit Tests for Internal Authentication (in-memory Prisma stand-in)
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Minimal in-memory tables covering the queries auth-service makes
+const db = vi.hoisted(() => {
+  const tables = { user: [], refreshToken: [], userAuthToken: [], clientUser: [], auditLog: [] };
+  let seq = 0;
+
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (key === 'ssoProvider_ssoSubject') {
+      return row.ssoProvider === value.ssoProvider && row.ssoSubject === value.ssoSubject;
+    }
+    if (key === 'clientId_userId') {
+      return row.clientId === value.clientId && row.userId === value.userId;
+    }
+    if (value && typeof value === 'object' && 'gt' in value) {
+      return row[key] > value.gt;
+    }
+    return (row[key] ?? null) === value;
+  });
+
+  const model = (name, relations = {}) => ({
+    async findUnique({ where, include }) {
+      const row = tables[name].find(r => matches(r, where));
+      if (!row) return null;
+      const result = { ...row };
+      for (const [field, resolve] of Object.entries(relations)) {
+        if (include?.[field]) result[field] = resolve(row);
+      }
+      return result;
+    },
+    async create({ data }) {
+      const row = { id: `${name}-${++seq}`, createdAt: new Date(), ...data };
+      tables[name].push(row);
+      return { ...row };
+    },
+    async update({ where, data }) {
+      const row = tables[name].find(r => matches(r, where));
+      if (!row) throw Object.assign(new Error('Record not found'), { code: 'P2025' });
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async updateMany({ where, data }) {
+      const rows = tables[name].filter(r => matches(r, where));
+      rows.forEach(r => Object.assign(r, data));
+      return { count: rows.length };
+    },
+    async upsert({ where, create, update }) {
+      const row = tables[name].find(r => matches(r, where));
+      if (row) return Object.assign(row, update);
+      return this.create({ data: create });
+    }
+  });
+
+  const client = {
+    tables,
+    user: model('user'),
+    refreshToken: model('refreshToken', { user: row => tables.user.find(u => u.id === row.userId) }),
+    userAuthToken: model('userAuthToken', { user: row => tables.user.find(u => u.id === row.userId) }),
+    clientUser: model('clientUser'),
+    auditLog: model('auditLog'),
+    $transaction: async (callback) => callback(client),
+    reset() {
+      Object.values(tables).forEach(rows => rows.splice(0));
+    }
+  };
+  return client;
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => db)
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+import {
+  hashPassword,
+  verifyPassword,
+  verifyAccessToken,
+  loginWithPassword,
+  refreshSession,
+  revokeSession,
+  inviteUser,
+  acceptInvite,
+  requestPasswordReset,
+  recordPasswordResetRequest,
+  resetPassword,
+  createSsoState,
+  verifySsoState,
+  findUserForSsoLogin,
+  getJwtSecret
+} from './auth-service.js';
+
+const PASSWORD = 'correct horse battery';
+
+async function activeUser(overrides = {}) {
+  return db.user.create({
+    data: {
+      email: 'ops@bloom.test',
+      name: 'Ops',
+      role: 'editor',
+      status: 'active',
+      passwordHash: await hashPassword(PASSWORD),
+      ...overrides
+    }
+  });
+}
+
+describe('auth-service', () => {
+  beforeEach(() => {
+    db.reset();
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('hashes passwords with a random salt and verifies them', async () => {
+    const first = await hashPassword(PASSWORD);
+    const second = await hashPassword(PASSWORD);
+
+    expect(first).toMatch(/^scrypt\$16384\$8\$1\$/);
+    expect(first).not.toBe(second);
+    expect(await verifyPassword(PASSWORD, first)).toBe(true);
+    expect(await verifyPassword('wrong password!', first)).toBe(false);
+    expect(await verifyPassword(PASSWORD, null)).toBe(false);
+  });
+
+  it('refuses to sign tokens without JWT_SECRET', () => {
+    delete process.env.JWT_SECRET;
+    expect(() => getJwtSecret()).toThrow(/JWT_SECRET must be set/);
+  });
+
+  it('logs in with email and password and issues an access token', async () => {
+    const user = await activeUser();
+
+    const session = await loginWithPassword('OPS@bloom.test', PASSWORD);
+
+    expect(verifyAccessToken(session.accessToken)).toMatchObject({ userId: user.id, role: 'editor' });
+    expect(session.refreshToken).toBeTruthy();
+    expect(db.tables.refreshToken[0].tokenHash).not.toBe(session.refreshToken);
+  });
+
+  it('rejects wrong passwords, unknown emails and inactive accounts', async () => {
+    await activeUser();
+    await activeUser({ email: 'gone@bloom.test', status: 'disabled' });
+
+    await expect(loginWithPassword('ops@bloom.test', 'not the password')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(loginWithPassword('nobody@bloom.test', PASSWORD)).rejects.toThrow('Invalid email or password');
+    await expect(loginWithPassword('gone@bloom.test', PASSWORD)).rejects.toThrow('Account is not active');
+  });
+
+  it('rotates refresh tokens and revokes every session when one is reused', async () => {
+    await activeUser();
+    const { refreshToken: original } = await loginWithPassword('ops@bloom.test', PASSWORD);
+
+    const rotated = await refreshSession(original);
+    expect(rotated.refreshToken).not.toBe(original);
+
+    // Replaying the old token looks like theft
+    await expect(refreshSession(original)).rejects.toThrow(/revoked/);
+    await expect(refreshSession(rotated.refreshToken)).rejects.toThrow(/revoked/);
+    expect(db.tables.refreshToken.every(t => t.revokedAt)).toBe(true);
+  });
+
+  it('revokes a refresh token on logout', async () => {
+    await activeUser();
+    const { refreshToken } = await loginWithPassword('ops@bloom.test', PASSWORD);
+
+    expect(await revokeSession(refreshToken)).toBe(true);
+    await expect(refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('creates accounts only through invites', async () => {
+    const { user, inviteToken } = await inviteUser({
+      email: 'new@bloom.test',
+      role: 'viewer',
+      clients: [{ clientId: 'client-1', role: 'editor' }]
+    });
+
+    expect(user.status).toBe('invited');
+    expect(db.tables.clientUser[0]).toMatchObject({ clientId: 'client-1', userId: user.id, role: 'editor' });
+    await expect(loginWithPassword('new@bloom.test', PASSWORD)).rejects.toMatchObject({ statusCode: 401 });
+
+    const session = await acceptInvite({ token: inviteToken, password: PASSWORD });
+    expect(session.user.status).toBe('active');
+    await expect(loginWithPassword('new@bloom.test', PASSWORD)).resolves.toHaveProperty('accessToken');
+
+    // Invite links are single-use
+    await expect(acceptInvite({ token: inviteToken, password: PASSWORD })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(inviteUser({ email: 'new@bloom.test' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('resets passwords with a single-use token and signs out existing sessions', async () => {
+    await activeUser();
+    const { refreshToken } = await loginWithPassword('ops@bloom.test', PASSWORD);
+
+    expect(await requestPasswordReset('nobody@bloom.test')).toBeNull();
+    const { resetToken } = await requestPasswordReset('ops@bloom.test');
+
+    await resetPassword({ token: resetToken, password: 'a brand new passphrase' });
+
+    await expect(loginWithPassword('ops@bloom.test', PASSWORD)).rejects.toThrow();
+    await expect(loginWithPassword('ops@bloom.test', 'a brand new passphrase')).resolves.toHaveProperty('accessToken');
+    await expect(refreshSession(refreshToken)).rejects.toThrow(/revoked/);
+    await expect(resetPassword({ token: resetToken, password: 'another passphrase' })).rejects.toThrow(/Invalid or expired/);
+  });
+
+  it('logs self-service reset requests for admins without revoking their links', async () => {
+    const user = await activeUser();
+    const { resetToken } = await requestPasswordReset('ops@bloom.test');
+
+    expect(await recordPasswordResetRequest('nobody@bloom.test')).toBe(false);
+    expect(await recordPasswordResetRequest('OPS@bloom.test', { ipAddress: '10.0.0.1' })).toBe(true);
+
+    expect(db.tables.auditLog).toEqual([expect.objectContaining({
+      action: 'auth.password_reset_requested',
+      userId: user.id,
+      ipAddress: '10.0.0.1'
+    })]);
+    await expect(resetPassword({ token: resetToken, password: 'a brand new passphrase' })).resolves.toMatchObject({ id: user.id });
+  });
+
+  it('lets only one of two concurrent requests use a reset token', async () => {
+    await activeUser({ email: 'race@bloom.test' });
+    const { resetToken } = await requestPasswordReset('race@bloom.test');
+
+    const results = await Promise.allSettled([
+      resetPassword({ token: resetToken, password: 'first new passphrase' }),
+      resetPassword({ token: resetToken, password: 'second new passphrase' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('round-trips SSO state and rejects it for another provider', () => {
+    const { state, binding, nonce, codeVerifier } = createSsoState('okta');
+
+    expect(verifySsoState(state, 'okta', binding)).toEqual({ nonce, codeVerifier });
+    expect(() => verifySsoState(state, 'google', binding)).toThrow(/Invalid or expired SSO state/);
+    expect(() => verifySsoState('tampered', 'okta', binding)).toThrow(/Invalid or expired SSO state/);
+  });
+
+  it('rejects SSO state returned to a browser that did not start the login', () => {
+    const { state } = createSsoState('okta');
+    const other = createSsoState('okta');
+
+    expect(() => verifySsoState(state, 'okta')).toThrow(/Invalid or expired SSO state/);
+    expect(() => verifySsoState(state, 'okta', other.binding)).toThrow(/Invalid or expired SSO state/);
+  });
+
+  it('links SSO identities to invited users only', async () => {
+    const { user } = await inviteUser({ email: 'sso@bloom.test' });
+
+    const linked = await findUserForSsoLogin('okta', { sub: 'okta|1', email: 'sso@bloom.test', email_verified: true });
+    expect(linked).toMatchObject({ id: user.id, status: 'active', ssoProvider: 'okta', ssoSubject: 'okta|1' });
+
+    // Later logins match on the subject even if the email changed upstream
+    const again = await findUserForSsoLogin('okta', { sub: 'okta|1', email: 'renamed@bloom.test' });
+    expect(again.id).toBe(user.id);
+
+    await expect(findUserForSsoLogin('okta', { sub: 'okta|2', email: 'stranger@bloom.test', email_verified: true }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(findUserForSsoLogin('google', { sub: 'g|1', email: 'sso@bloom.test', email_verified: true }))
+      .rejects.toThrow(/different identity/);
+  });
+
+  it('only links SSO identities whose email the provider says is verified', async () => {
+    await inviteUser({ email: 'unverified@bloom.test' });
+
+    for (const email_verified of [undefined, false, 'true']) {
+      await expect(findUserForSsoLogin('okta', { sub: 'okta|3', email: 'unverified@bloom.test', email_verified }))
+        .rejects.toThrow(/verified email/);
+    }
+  });
+});
@@ -244,9 +244,12 @@ export function cacheMiddleware(type, keyGenerator = null, ttl = null) {
       
       // Override json method to cache response
       res.json = function(data) {
-        // Cache the response
-        setCache(key, data, type, ttl)
-          .catch(err => console.error('Cache set error:', err));
+        // Cache successful responses only; errors and 403s must not be
+        // replayed as 200s
+        if (res.statusCode < 300) {
+          setCache(key, data, type, ttl)
+            .catch(err => console.error('Cache set error:', err));
+        }
         
         res.setHeader('X-Cache', 'MISS');
         return originalJson(data);
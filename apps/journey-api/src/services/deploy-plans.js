@@ -0,0 +1,139 @@
+/**
+ * Deploy Plans Service
+ * Plans written by `ghl-sync deploy --plan-out`: the exact GHL template
+ * operations a deployment will run, with the templates found in GHL. An
+ * approver signs a plan off (or rejects it) here; `deploy --apply` only runs
+ * approved plans and marks them applied.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { recordAuditEvent, AuditAction } from './audit-log.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+export const DeployPlanStatus = {
+  PENDING: 'pending',   // Waiting for sign-off
+  APPROVED: 'approved', // `deploy --apply` may run it
+  REJECTED: 'rejected',
+  APPLIED: 'applied'    // Run by the sync engine
+};
+
+export const DeployPlanDecision = {
+  APPROVED: DeployPlanStatus.APPROVED,
+  REJECTED: DeployPlanStatus.REJECTED
+};
+
+export const DEPLOY_PLAN_STATUSES = Object.values(DeployPlanStatus);
+export const DEPLOY_PLAN_DECISIONS = Object.values(DeployPlanDecision);
+
+const DEFAULT_LIST_LIMIT = 50;
+
+const journeyInclude = { journey: { select: { id: true, name: true } } };
+
+/**
+ * Plans matching the filters, newest first, without the operations
+ *
+ * @param {Object} [filters]
+ * @param {Object} [filters.scope] - clientScope() fragment for the caller
+ * @param {string} [filters.clientId]
+ * @param {string} [filters.journeyId]
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object[]>}
+ */
+export async function listDeployPlans({ scope = {}, clientId, journeyId, status, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const where = {
+    ...(clientId && { clientId }),
+    ...(journeyId && { journeyId }),
+    ...(status && { status })
+  };
+
+  return prisma.deployPlan.findMany({
+    where: { AND: [where, scope] },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    select: {
+      id: true,
+      clientId: true,
+      clientSlug: true,
+      journeyId: true,
+      summary: true,
+      status: true,
+      createdBy: true,
+      reviewedBy: true,
+      reviewedAt: true,
+      appliedAt: true,
+      createdAt: true,
+      ...journeyInclude
+    }
+  });
+}
+
+/**
+ * One plan with its operations
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getDeployPlan(id) {
+  return prisma.deployPlan.findUnique({
+    where: { id },
+    include: journeyInclude
+  });
+}
+
+/**
+ * Sign a plan off or reject it. A decision can be changed until the plan
+ * has been applied.
+ *
+ * @param {string} id
+ * @param {Object} user - req.user
+ * @param {Object} options
+ * @param {string} options.decision - DeployPlanDecision value
+ * @param {string} [options.note]
+ * @param {string} [options.ipAddress]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} Updated plan
+ */
+export async function reviewDeployPlan(id, user, { decision, note, ipAddress, now = new Date() }) {
+  const plan = await prisma.deployPlan.findUnique({ where: { id } });
+
+  if (!plan) {
+    throw httpError('Deploy plan not found', 404);
+  }
+  if (plan.status === DeployPlanStatus.APPLIED) {
+    throw httpError('Deploy plan has already been applied', 409);
+  }
+  if (!DEPLOY_PLAN_DECISIONS.includes(decision)) {
+    throw httpError(`Unknown decision: ${decision}`, 400);
+  }
+
+  const updated = await prisma.deployPlan.update({
+    where: { id },
+    data: {
+      status: decision,
+      reviewedBy: user?.email ?? null,
+      reviewedAt: now,
+      reviewNote: note ?? null
+    },
+    include: journeyInclude
+  });
+
+  await recordAuditEvent({
+    action: AuditAction.DEPLOY_PLAN_REVIEWED,
+    userId: user?.id,
+    clientId: plan.clientId,
+    resourceType: 'journeys',
+    resourceId: plan.journeyId,
+    details: { planId: id, decision, summary: plan.summary },
+    ipAddress
+  });
+
+  return updated;
+}
+
+export default {
+  listDeployPlans,
+  getDeployPlan,
+  reviewDeployPlan
+};
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Deploy Plans
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => ({
+  mockPrisma: {
+    deployPlan: { findMany: vi.fn(), findUnique: vi.fn(), update: vi.fn() },
+    auditLog: { create: vi.fn() }
+  }
+}));
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { listDeployPlans, reviewDeployPlan } from './deploy-plans.js';
+
+const user = { id: 'user-1', email: 'approver@bloom.test' };
+const now = new Date('2026-10-18T12:00:00Z');
+
+const deployPlan = (overrides = {}) => ({
+  id: 'plan-1',
+  clientId: 'c1',
+  clientSlug: 'cameron-estate',
+  journeyId: 'j1',
+  status: 'pending',
+  summary: { create: 1, update: 1, noop: 0 },
+  ...overrides
+});
+
+describe('reviewDeployPlan', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.deployPlan.findUnique.mockResolvedValue(deployPlan());
+    mockPrisma.deployPlan.update.mockImplementation(({ data }) => Promise.resolve({ ...deployPlan(), ...data }));
+  });
+
+  it('signs a plan off and audits the decision', async () => {
+    const result = await reviewDeployPlan('plan-1', user, { decision: 'approved', note: 'Copy checked', now });
+
+    expect(mockPrisma.deployPlan.update.mock.calls[0][0].data).toEqual({
+      status: 'approved',
+      reviewedBy: 'approver@bloom.test',
+      reviewedAt: now,
+      reviewNote: 'Copy checked'
+    });
+    expect(result.status).toBe('approved');
+    expect(mockPrisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'deploy_plan.reviewed', clientId: 'c1', resourceId: 'j1' })
+    }));
+  });
+
+  it('can reject a plan that was signed off', async () => {
+    mockPrisma.deployPlan.findUnique.mockResolvedValue(deployPlan({ status: 'approved' }));
+
+    const result = await reviewDeployPlan('plan-1', user, { decision: 'rejected', now });
+
+    expect(result.status).toBe('rejected');
+    expect(result.reviewNote).toBeNull();
+  });
+
+  it('refuses plans that were applied or do not exist', async () => {
+    mockPrisma.deployPlan.findUnique.mockResolvedValueOnce(deployPlan({ status: 'applied' }));
+    await expect(reviewDeployPlan('plan-1', user, { decision: 'approved' })).rejects.toMatchObject({ statusCode: 409 });
+
+    mockPrisma.deployPlan.findUnique.mockResolvedValueOnce(null);
+    await expect(reviewDeployPlan('plan-2', user, { decision: 'approved' })).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(mockPrisma.deployPlan.update).not.toHaveBeenCalled();
+  });
+
+  it('only accepts approved or rejected', async () => {
+    await expect(reviewDeployPlan('plan-1', user, { decision: 'applied' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('listDeployPlans', () => {
+  it('filters within the caller scope, leaving out the operations', async () => {
+    mockPrisma.deployPlan.findMany.mockResolvedValue([deployPlan()]);
+
+    await listDeployPlans({ scope: { clientId: { in: ['c1'] } }, journeyId: 'j1', status: 'pending' });
+
+    const query = mockPrisma.deployPlan.findMany.mock.calls[0][0];
+    expect(query.where).toEqual({ AND: [{ journeyId: 'j1', status: 'pending' }, { clientId: { in: ['c1'] } }] });
+    expect(query.select.plan).toBeUndefined();
+    expect(query.select.summary).toBe(true);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * GHL Client
+ * Thin GoHighLevel API client used by workflow actions, plus an in-memory
+ * mock with the same interface for offline runs and tests.
+ *
+ * Set GHL_CLIENT_MODE=mock to use the mock without a GHL location.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+
+export class GHLClient {
+  constructor({ apiKey = process.env.GHL_API_KEY, baseUrl } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl || process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: 30000,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'Version': '2021-07-28'
+      }
+    });
+  }
+
+  /**
+   * Send an email to a contact via the conversations API
+   * @param {Object} params
+   * @param {string} params.contactId - GHL contact ID
+   * @param {string} [params.templateId] - GHL email template ID
+   * @param {string} [params.subject]
+   * @param {string} [params.html]
+   */
+  async sendEmail({ contactId, templateId, subject, html }) {
+    const response = await this.http.post('/conversations/messages', {
+      type: 'Email',
+      contactId,
+      ...(templateId && { templateId }),
+      ...(subject && { subject }),
+      ...(html && { html })
+    });
+    return response.data;
+  }
+
+  /**
+   * Send an SMS to a contact via the conversations API
+   */
+  async sendSMS({ contactId, templateId, message }) {
+    const response = await this.http.post('/conversations/messages', {
+      type: 'SMS',
+      contactId,
+      ...(templateId && { templateId }),
+      ...(message && { message })
+    });
+    return response.data;
+  }
+
+  async addTags(contactId, tags) {
+    const response = await this.http.post(`/contacts/${contactId}/tags`, { tags });
+    return response.data;
+  }
+
+  async removeTags(contactId, tags) {
+    const response = await this.http.delete(`/contacts/${contactId}/tags`, { data: { tags } });
+    return response.data;
+  }
+
+  async updateOpportunity(opportunityId, data) {
+    const response = await this.http.put(`/opportunities/${opportunityId}`, data);
+    return response.data;
+  }
+
+  async createTask(contactId, task) {
+    const response = await this.http.post(`/contacts/${contactId}/tasks`, task);
+    return response.data;
+  }
+
+  /**
+   * List a location's custom fields
+   * @param {string} locationId - GHL location ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async getCustomFields(locationId) {
+    const response = await this.http.get(`/locations/${locationId}/customFields`);
+    return response.data.customFields || [];
+  }
+}
+
+/**
+ * In-memory stand-in for GHLClient. Every call is recorded in `calls`
+ * and applied to simple contact/opportunity state.
+ */
+export class MockGHLClient {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.calls = [];
+    this.messages = [];
+    this.tasks = [];
+    this.contactTags = new Map();
+    this.opportunities = new Map();
+    this.customFields = [];
+    this.failures = new Map();
+  }
+
+  /**
+   * Make the next call to `method` throw (for retry/failure tests)
+   */
+  failNext(method, error = new Error(`Mock GHL ${method} failure`)) {
+    this.failures.set(method, error);
+  }
+
+  record(method, args) {
+    this.calls.push({ method, args, at: new Date() });
+    const failure = this.failures.get(method);
+    if (failure) {
+      this.failures.delete(method);
+      throw failure;
+    }
+  }
+
+  async sendEmail(params) {
+    this.record('sendEmail', params);
+    const message = { id: `msg_${crypto.randomUUID()}`, type: 'Email', ...params };
+    this.messages.push(message);
+    return { messageId: message.id, conversationId: `conv_${params.contactId}` };
+  }
+
+  async sendSMS(params) {
+    this.record('sendSMS', params);
+    const message = { id: `msg_${crypto.randomUUID()}`, type: 'SMS', ...params };
+    this.messages.push(message);
+    return { messageId: message.id, conversationId: `conv_${params.contactId}` };
+  }
+
+  async addTags(contactId, tags) {
+    this.record('addTags', { contactId, tags });
+    const current = this.contactTags.get(contactId) || new Set();
+    tags.forEach(tag => current.add(tag));
+    this.contactTags.set(contactId, current);
+    return { tags: [...current] };
+  }
+
+  async removeTags(contactId, tags) {
+    this.record('removeTags', { contactId, tags });
+    const current = this.contactTags.get(contactId) || new Set();
+    tags.forEach(tag => current.delete(tag));
+    this.contactTags.set(contactId, current);
+    return { tags: [...current] };
+  }
+
+  async updateOpportunity(opportunityId, data) {
+    this.record('updateOpportunity', { opportunityId, ...data });
+    const opportunity = { ...(this.opportunities.get(opportunityId) || { id: opportunityId }), ...data };
+    this.opportunities.set(opportunityId, opportunity);
+    return { opportunity };
+  }
+
+  async createTask(contactId, task) {
+    this.record('createTask', { contactId, ...task });
+    const created = { id: `task_${crypto.randomUUID()}`, contactId, ...task };
+    this.tasks.push(created);
+    return { task: created };
+  }
+
+  async getCustomFields(locationId) {
+    this.record('getCustomFields', { locationId });
+    return this.customFields;
+  }
+}
+
+/**
+ * Create the client for the current environment
+ */
+export function createGHLClient() {
+  return process.env.GHL_CLIENT_MODE === 'mock' ? new MockGHLClient() : new GHLClient();
+}
+
+export default createGHLClient;
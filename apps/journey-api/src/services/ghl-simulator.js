@@ -0,0 +1,823 @@
+/**
+ * GoHighLevel API Simulator
+ * An in-memory stand-in for the GHL endpoints this repo calls: locations,
+ * workflows, email builder templates, SMS templates, contacts, pipelines,
+ * opportunities, custom fields, trigger links and conversation messages.
+ * Any location ID works; each is seeded with a pipeline and custom fields
+ * on first use.
+ *
+ * Faults can be injected to exercise retry paths: random 429s and 5xxs,
+ * fixed latency, or a queue of failures for the next matching requests.
+ * The simulator can also POST signed GHL-style webhooks back to
+ * /api/webhooks/ghl/:clientId, on demand or whenever its state changes.
+ *
+ * Run standalone: `npm run ghl:simulate` (port GHL_SIM_PORT, default 4020),
+ * then point GHL_BASE_URL at it. Control endpoints live under /__sim.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const REQUEST_LOG_LIMIT = 500;
+
+const DEFAULT_FAULTS = {
+  latencyMs: 0,
+  rateLimitRate: 0,
+  errorRate: 0,
+  errorStatus: 503,
+  retryAfterSec: 1
+};
+
+const DEFAULT_STAGES = ['New Inquiry', 'Tour Scheduled', 'Proposal Sent', 'Booked', 'Lost'];
+
+const DEFAULT_CUSTOM_FIELDS = [
+  { name: 'Wedding Date', fieldKey: 'contact.wedding_date', dataType: 'DATE' },
+  { name: 'Guest Count', fieldKey: 'contact.guest_count', dataType: 'NUMERICAL' },
+  { name: 'Venue Interest', fieldKey: 'contact.venue_interest', dataType: 'SINGLE_OPTIONS', picklistOptions: ['Ceremony', 'Reception', 'Both'] }
+];
+
+const simId = () => crypto.randomBytes(10).toString('hex');
+
+/**
+ * Sign a webhook body the way GHL does (HMAC-SHA256, hex)
+ */
+export function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody, 'utf8').digest('hex');
+}
+
+/**
+ * Build a GHL-style webhook event. `data` is merged over realistic sample
+ * values for the event's entity.
+ *
+ * @param {string} type - GHL event type, e.g. ContactCreate, OpportunityStageChange
+ * @param {Object} [options]
+ * @param {string} [options.locationId]
+ * @param {Object} [options.data]
+ * @param {Date} [options.now]
+ * @returns {Object} Event payload
+ */
+export function buildWebhookEvent(type, { locationId = 'sim-location', data = {}, now = new Date() } = {}) {
+  const event = {
+    type,
+    id: `evt_${simId()}`,
+    locationId,
+    timestamp: Math.floor(now.getTime() / 1000)
+  };
+  const contactId = data.contactId || `contact_${simId()}`;
+
+  if (type === 'ContactDelete') {
+    return { ...event, contactId, ...data };
+  }
+  if (type.startsWith('Contact')) {
+    return {
+      ...event,
+      contact: {
+        id: contactId,
+        locationId,
+        firstName: 'Avery',
+        lastName: 'Sample',
+        email: `avery.${contactId.slice(-6)}@example.com`,
+        phone: '+15555550123',
+        tags: ['simulated'],
+        source: 'GHL Simulator',
+        dateAdded: now.toISOString(),
+        ...data
+      }
+    };
+  }
+  if (type === 'OpportunityStageChange' || type === 'PipelineStageMovement') {
+    return {
+      ...event,
+      opportunity: {
+        id: `opp_${simId()}`,
+        contactId,
+        pipelineId: `pipeline_${locationId}`,
+        pipelineName: 'Wedding Inquiries',
+        fromStageId: 'stage_1',
+        fromStageName: DEFAULT_STAGES[0],
+        toStageId: 'stage_2',
+        toStageName: DEFAULT_STAGES[1],
+        value: 12000,
+        status: 'open',
+        changedAt: now.toISOString(),
+        ...data
+      }
+    };
+  }
+  if (type.startsWith('Opportunity')) {
+    return {
+      ...event,
+      opportunity: {
+        id: `opp_${simId()}`,
+        contactId,
+        name: 'Sample Wedding',
+        pipelineId: `pipeline_${locationId}`,
+        stageId: 'stage_1',
+        stageName: DEFAULT_STAGES[0],
+        value: 12000,
+        status: 'open',
+        ...data
+      }
+    };
+  }
+  if (type.startsWith('Appointment')) {
+    const startTime = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    return {
+      ...event,
+      appointment: {
+        id: `apt_${simId()}`,
+        contactId,
+        calendarId: `calendar_${locationId}`,
+        title: 'Venue Tour',
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000).toISOString(),
+        appointmentStatus: type === 'AppointmentCancel' ? 'cancelled' : 'confirmed',
+        ...data
+      }
+    };
+  }
+  if (type === 'FormSubmit') {
+    return {
+      ...event,
+      submission: {
+        id: `sub_${simId()}`,
+        contactId,
+        formId: 'form_inquiry',
+        formName: 'Wedding Inquiry',
+        email: 'avery@example.com',
+        name: 'Avery Sample',
+        data: { wedding_date: '2027-06-12', guest_count: '120' },
+        pageUrl: 'https://example.com/inquire',
+        submittedAt: now.toISOString(),
+        ...data
+      }
+    };
+  }
+  if (type.startsWith('Email')) {
+    return {
+      ...event,
+      email: {
+        id: `email_${simId()}`,
+        messageId: `msg_${simId()}`,
+        contactId,
+        recipient: 'avery@example.com',
+        templateId: 'template_welcome',
+        templateName: 'Welcome',
+        timestamp: now.toISOString(),
+        ...data
+      }
+    };
+  }
+  return { ...event, ...data };
+}
+
+/**
+ * Build the simulator
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Bearer token to require; any token is accepted when unset
+ * @param {Object} [options.faults] - Initial faults, see DEFAULT_FAULTS
+ * @param {Object} [options.webhooks] - `{ url, secret, auto }`; auto sends events as state changes
+ * @param {Function} [options.random] - Random source for fault injection (tests)
+ * @param {Function} [options.fetch]
+ * @returns {Object} Simulator with `app`, state accessors and control methods
+ */
+export function createGhlSimulator({
+  apiKey,
+  faults = {},
+  webhooks = {},
+  random = Math.random,
+  fetch = globalThis.fetch
+} = {}) {
+  const simulator = {
+    faults: { ...DEFAULT_FAULTS, ...faults },
+    webhooks: { url: null, secret: null, auto: false, ...webhooks },
+    queuedFaults: [],
+    requests: [],
+    webhookLog: []
+  };
+
+  simulator.reset = () => {
+    simulator.store = {
+      workflows: new Map(),
+      emailTemplates: new Map(),
+      smsTemplates: new Map(),
+      contacts: new Map(),
+      pipelines: new Map(),
+      opportunities: new Map(),
+      customFields: new Map(),
+      links: new Map(),
+      messages: [],
+      tasks: []
+    };
+    simulator.seededLocations = new Set();
+    simulator.queuedFaults = [];
+    simulator.requests = [];
+    simulator.webhookLog = [];
+  };
+  simulator.reset();
+
+  /**
+   * Fail the next `count` requests whose path contains `path` (all when unset)
+   */
+  simulator.queueFault = ({ status = 503, count = 1, path = null, method = null } = {}) => {
+    simulator.queuedFaults.push({ status, remaining: count, path, method });
+  };
+
+  /**
+   * Build and send a webhook event
+   * @returns {Promise<Object>} `{ event, status, ok, error }`
+   */
+  simulator.emitWebhook = async (type, { data, locationId, url, secret } = {}) => {
+    const event = buildWebhookEvent(type, { data, locationId });
+    return simulator.sendWebhook(event, { url, secret });
+  };
+
+  simulator.sendWebhook = async (event, { url = simulator.webhooks.url, secret = simulator.webhooks.secret } = {}) => {
+    if (!url) {
+      throw new Error('No webhook URL configured');
+    }
+
+    const rawBody = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-GHL-Event': event.type,
+      'X-GHL-Timestamp': String(event.timestamp)
+    };
+    if (secret) headers['X-GHL-Signature'] = signWebhookBody(rawBody, secret);
+
+    const entry = { event, url, sentAt: new Date().toISOString() };
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body: rawBody });
+      Object.assign(entry, { status: response.status, ok: response.ok, body: await response.text() });
+    } catch (error) {
+      Object.assign(entry, { status: null, ok: false, error: error.message });
+    }
+    simulator.webhookLog.push(entry);
+    return entry;
+  };
+
+  // State changes made through the API fire webhooks when auto is on
+  const notify = (type, locationId, data) => {
+    if (!simulator.webhooks.auto || !simulator.webhooks.url) return;
+    simulator.emitWebhook(type, { locationId, data })
+      .catch(error => console.error('GHL simulator webhook failed:', error));
+  };
+
+  const seedLocation = (locationId) => {
+    if (!locationId || simulator.seededLocations.has(locationId)) return;
+    simulator.seededLocations.add(locationId);
+
+    const pipelineId = `pipeline_${locationId}`;
+    simulator.store.pipelines.set(pipelineId, {
+      id: pipelineId,
+      locationId,
+      name: 'Wedding Inquiries',
+      stages: DEFAULT_STAGES.map((name, i) => ({ id: `stage_${i + 1}`, name, position: i }))
+    });
+    for (const field of DEFAULT_CUSTOM_FIELDS) {
+      const id = `field_${simId()}`;
+      simulator.store.customFields.set(id, { id, locationId, model: 'contact', position: 0, ...field });
+    }
+  };
+
+  const inLocation = (collection, locationId) =>
+    [...simulator.store[collection].values()].filter(item => !locationId || item.locationId === locationId);
+
+  const notFound = (res, what) => res.status(404).json({ statusCode: 404, message: `${what} not found` });
+
+  const findOr404 = (collection, what) => (req, res, next) => {
+    const item = simulator.store[collection].get(req.params.id || req.params.templateId);
+    if (!item) return notFound(res, what);
+    req.item = item;
+    next();
+  };
+
+  const requireLocation = (req, res, next) => {
+    const locationId = req.params.locationId || req.query.locationId || req.body?.locationId || req.body?.altId;
+    if (!locationId) {
+      return res.status(422).json({ statusCode: 422, message: ['locationId should not be empty'] });
+    }
+    seedLocation(locationId);
+    req.locationId = locationId;
+    next();
+  };
+
+  const timestamps = (existing) => {
+    const now = new Date().toISOString();
+    return { dateAdded: existing?.dateAdded || now, dateUpdated: now };
+  };
+
+  const app = express();
+  simulator.app = app;
+  app.use(express.json({ limit: '5mb' }));
+
+  // ============================================
+  // CONTROL ENDPOINTS
+  // ============================================
+
+  const control = express.Router();
+
+  control.get('/state', (req, res) => {
+    const { store } = simulator;
+    res.json({
+      faults: simulator.faults,
+      queuedFaults: simulator.queuedFaults,
+      webhooks: { ...simulator.webhooks, secret: simulator.webhooks.secret ? '••••' : null },
+      counts: Object.fromEntries(Object.entries(store).map(([key, value]) => [key, value.size ?? value.length])),
+      store: Object.fromEntries(Object.entries(store).map(([key, value]) => [key, value instanceof Map ? [...value.values()] : value]))
+    });
+  });
+
+  control.post('/reset', (req, res) => {
+    simulator.reset();
+    res.json({ reset: true });
+  });
+
+  control.get('/requests', (req, res) => {
+    res.json({ requests: simulator.requests });
+  });
+
+  control.put('/faults', (req, res) => {
+    simulator.faults = { ...simulator.faults, ...req.body };
+    res.json({ faults: simulator.faults });
+  });
+
+  control.post('/faults/queue', (req, res) => {
+    simulator.queueFault(req.body);
+    res.status(201).json({ queuedFaults: simulator.queuedFaults });
+  });
+
+  control.put('/webhooks', (req, res) => {
+    simulator.webhooks = { ...simulator.webhooks, ...req.body };
+    res.json({ webhooks: { ...simulator.webhooks, secret: simulator.webhooks.secret ? '••••' : null } });
+  });
+
+  control.get('/webhooks', (req, res) => {
+    res.json({ deliveries: simulator.webhookLog });
+  });
+
+  control.post('/webhooks', async (req, res) => {
+    const { type, data, locationId, url, secret } = req.body;
+    if (!type) {
+      return res.status(400).json({ error: 'type is required' });
+    }
+    try {
+      res.json(await simulator.emitWebhook(type, { data, locationId, url, secret }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.use('/__sim', control);
+
+  // ============================================
+  // REQUEST LOG, LATENCY, AUTH AND FAULTS
+  // ============================================
+
+  app.use((req, res, next) => {
+    simulator.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, at: new Date().toISOString() });
+    if (simulator.requests.length > REQUEST_LOG_LIMIT) simulator.requests.shift();
+
+    const { latencyMs } = simulator.faults;
+    if (latencyMs > 0) setTimeout(next, latencyMs);
+    else next();
+  });
+
+  app.use((req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token || (apiKey && token !== apiKey)) {
+      return res.status(401).json({ statusCode: 401, message: 'Invalid JWT' });
+    }
+    next();
+  });
+
+  app.use((req, res, next) => {
+    const queued = simulator.queuedFaults.find(fault =>
+      (!fault.path || req.path.includes(fault.path)) && (!fault.method || fault.method === req.method)
+    );
+    let status = null;
+
+    if (queued) {
+      status = queued.status;
+      queued.remaining -= 1;
+      if (queued.remaining <= 0) simulator.queuedFaults.splice(simulator.queuedFaults.indexOf(queued), 1);
+    } else if (random() < simulator.faults.rateLimitRate) {
+      status = 429;
+    } else if (random() < simulator.faults.errorRate) {
+      status = simulator.faults.errorStatus;
+    }
+
+    if (!status) return next();
+    if (status === 429) {
+      res.set('Retry-After', String(simulator.faults.retryAfterSec));
+      return res.status(429).json({ statusCode: 429, message: 'Too many requests' });
+    }
+    res.status(status).json({ statusCode: status, message: 'Simulated server error' });
+  });
+
+  // ============================================
+  // LOCATIONS
+  // ============================================
+
+  app.get('/locations/:locationId', requireLocation, (req, res) => {
+    const location = {
+      id: req.locationId,
+      name: `Simulated Location ${req.locationId}`,
+      email: 'venue@example.com',
+      timezone: 'America/New_York'
+    };
+    res.json({ location, ...location });
+  });
+
+  // ============================================
+  // WORKFLOWS
+  // ============================================
+
+  const listWorkflows = (req, res) => {
+    res.json({ workflows: inLocation('workflows', req.locationId) });
+  };
+  app.get('/locations/:locationId/workflows', requireLocation, listWorkflows);
+  app.get('/workflows', requireLocation, listWorkflows);
+
+  app.post('/locations/:locationId/workflows', requireLocation, (req, res) => {
+    const workflow = {
+      id: `wf_${simId()}`,
+      locationId: req.locationId,
+      name: req.body.name,
+      description: req.body.description || '',
+      status: req.body.status || 'draft',
+      steps: req.body.steps || [],
+      version: 1,
+      ...timestamps()
+    };
+    simulator.store.workflows.set(workflow.id, workflow);
+    res.status(201).json(workflow);
+  });
+
+  app.get('/workflows/:id', findOr404('workflows', 'Workflow'), (req, res) => {
+    res.json(req.item);
+  });
+
+  app.put('/workflows/:id', findOr404('workflows', 'Workflow'), (req, res) => {
+    const workflow = { ...req.item, ...req.body, id: req.item.id, version: req.item.version + 1, ...timestamps(req.item) };
+    simulator.store.workflows.set(workflow.id, workflow);
+    res.json(workflow);
+  });
+
+  app.delete('/workflows/:id', findOr404('workflows', 'Workflow'), (req, res) => {
+    simulator.store.workflows.delete(req.item.id);
+    res.json({ succeeded: true });
+  });
+
+  for (const [action, status] of [['activate', 'published'], ['pause', 'paused']]) {
+    app.post(`/workflows/:id/${action}`, findOr404('workflows', 'Workflow'), (req, res) => {
+      const workflow = { ...req.item, status, ...timestamps(req.item) };
+      simulator.store.workflows.set(workflow.id, workflow);
+      res.json(workflow);
+    });
+  }
+
+  // ============================================
+  // EMAIL BUILDER TEMPLATES
+  // ============================================
+
+  app.get('/emails/builder', requireLocation, (req, res) => {
+    const builders = inLocation('emailTemplates', req.locationId);
+    res.json({ builders, emails: builders, total: builders.length });
+  });
+
+  app.post('/emails/builder', requireLocation, (req, res) => {
+    const template = {
+      id: `email_${simId()}`,
+      locationId: req.locationId,
+      name: req.body.name || req.body.title,
+      subject: req.body.subject || '',
+      previewText: req.body.metaDescription || '',
+      html: req.body.html || req.body.body || '',
+      type: req.body.type || 'html',
+      version: 1,
+      ...timestamps()
+    };
+    simulator.store.emailTemplates.set(template.id, template);
+    // The v1 builder answers with the new template's ID as `redirect`
+    res.status(201).json({ ...template, redirect: template.id });
+  });
+
+  app.get('/emails/builder/:id', findOr404('emailTemplates', 'Template'), (req, res) => {
+    res.json(req.item);
+  });
+
+  app.put('/emails/builder/:id', findOr404('emailTemplates', 'Template'), (req, res) => {
+    const { name, title, subject, metaDescription, html, body } = req.body;
+    const template = {
+      ...req.item,
+      ...(name || title ? { name: name || title } : {}),
+      ...(subject !== undefined && { subject }),
+      ...(metaDescription !== undefined && { previewText: metaDescription }),
+      ...(html || body ? { html: html || body } : {}),
+      version: req.item.version + 1,
+      ...timestamps(req.item)
+    };
+    simulator.store.emailTemplates.set(template.id, template);
+    res.json(template);
+  });
+
+  app.delete('/emails/builder/:locationId/:templateId', findOr404('emailTemplates', 'Template'), (req, res) => {
+    simulator.store.emailTemplates.delete(req.item.id);
+    res.json({ ok: true });
+  });
+
+  // ============================================
+  // SMS TEMPLATES
+  // ============================================
+
+  app.get('/locations/:locationId/templates', requireLocation, (req, res) => {
+    const templates = inLocation('smsTemplates', req.locationId)
+      .filter(template => !req.query.type || template.type === req.query.type);
+    res.json({ templates, totalCount: templates.length });
+  });
+
+  app.post('/locations/:locationId/templates', requireLocation, (req, res) => {
+    const template = {
+      id: `tmpl_${simId()}`,
+      locationId: req.locationId,
+      name: req.body.name,
+      type: req.body.type || 'sms',
+      template: { body: req.body.body || '', attachments: req.body.attachments || [] },
+      body: req.body.body || '',
+      ...timestamps()
+    };
+    simulator.store.smsTemplates.set(template.id, template);
+    res.status(201).json(template);
+  });
+
+  app.put('/locations/:locationId/templates/:id', findOr404('smsTemplates', 'Template'), (req, res) => {
+    const body = req.body.body ?? req.item.body;
+    const template = {
+      ...req.item,
+      ...(req.body.name && { name: req.body.name }),
+      body,
+      template: { ...req.item.template, body },
+      ...timestamps(req.item)
+    };
+    simulator.store.smsTemplates.set(template.id, template);
+    res.json(template);
+  });
+
+  app.delete('/locations/:locationId/templates/:id', findOr404('smsTemplates', 'Template'), (req, res) => {
+    simulator.store.smsTemplates.delete(req.item.id);
+    res.json({ succeeded: true });
+  });
+
+  // ============================================
+  // CONTACTS
+  // ============================================
+
+  const listContacts = (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const contacts = inLocation('contacts', req.locationId)
+      .filter(contact => !req.query.query || JSON.stringify(contact).toLowerCase().includes(req.query.query.toLowerCase()));
+    const start = req.query.startAfterId
+      ? contacts.findIndex(contact => contact.id === req.query.startAfterId) + 1
+      : 0;
+    const page = contacts.slice(start, start + limit);
+
+    res.json({
+      contacts: page,
+      meta: {
+        total: contacts.length,
+        startAfterId: page.length > 0 && start + limit < contacts.length ? page[page.length - 1].id : null
+      }
+    });
+  };
+  app.get('/contacts', requireLocation, listContacts);
+  app.get('/locations/:locationId/contacts', requireLocation, listContacts);
+
+  app.post('/contacts', requireLocation, (req, res) => {
+    const { locationId: _locationId, ...fields } = req.body;
+    const contact = { id: `contact_${simId()}`, locationId: req.locationId, tags: [], ...fields, ...timestamps() };
+    simulator.store.contacts.set(contact.id, contact);
+    notify('ContactCreate', contact.locationId, contact);
+    res.status(201).json({ contact });
+  });
+
+  app.get('/contacts/:id', findOr404('contacts', 'Contact'), (req, res) => {
+    res.json({ contact: req.item });
+  });
+
+  app.put('/contacts/:id', findOr404('contacts', 'Contact'), (req, res) => {
+    const contact = { ...req.item, ...req.body, id: req.item.id, locationId: req.item.locationId, ...timestamps(req.item) };
+    simulator.store.contacts.set(contact.id, contact);
+    notify('ContactUpdate', contact.locationId, contact);
+    res.json({ contact });
+  });
+
+  app.delete('/contacts/:id', findOr404('contacts', 'Contact'), (req, res) => {
+    simulator.store.contacts.delete(req.item.id);
+    notify('ContactDelete', req.item.locationId, { contactId: req.item.id });
+    res.json({ succeeded: true });
+  });
+
+  app.post('/contacts/:id/tags', findOr404('contacts', 'Contact'), (req, res) => {
+    const tags = [...new Set([...(req.item.tags || []), ...(req.body.tags || [])])];
+    simulator.store.contacts.set(req.item.id, { ...req.item, tags, ...timestamps(req.item) });
+    notify('ContactUpdate', req.item.locationId, { ...req.item, tags });
+    res.status(201).json({ tags });
+  });
+
+  app.delete('/contacts/:id/tags', findOr404('contacts', 'Contact'), (req, res) => {
+    const removed = new Set(req.body?.tags || []);
+    const tags = (req.item.tags || []).filter(tag => !removed.has(tag));
+    simulator.store.contacts.set(req.item.id, { ...req.item, tags, ...timestamps(req.item) });
+    notify('ContactUpdate', req.item.locationId, { ...req.item, tags });
+    res.json({ tags });
+  });
+
+  app.post('/contacts/:id/tasks', findOr404('contacts', 'Contact'), (req, res) => {
+    const task = { id: `task_${simId()}`, contactId: req.item.id, completed: false, ...req.body, ...timestamps() };
+    simulator.store.tasks.push(task);
+    res.status(201).json({ task });
+  });
+
+  // ============================================
+  // PIPELINES AND OPPORTUNITIES
+  // ============================================
+
+  const listPipelines = (req, res) => {
+    res.json({ pipelines: inLocation('pipelines', req.locationId) });
+  };
+  app.get('/opportunities/pipelines', requireLocation, listPipelines);
+  app.get('/locations/:locationId/pipelines', requireLocation, listPipelines);
+
+  const createOpportunity = (req) => {
+    const pipeline = simulator.store.pipelines.get(req.body.pipelineId) ||
+      inLocation('pipelines', req.locationId)[0];
+    const stageId = req.body.pipelineStageId || req.body.stageId || pipeline?.stages[0].id;
+    const opportunity = {
+      id: `opp_${simId()}`,
+      locationId: req.locationId,
+      name: req.body.name,
+      contactId: req.body.contactId,
+      pipelineId: pipeline?.id || req.body.pipelineId,
+      pipelineStageId: stageId,
+      monetaryValue: req.body.monetaryValue ?? req.body.value ?? 0,
+      status: req.body.status || 'open',
+      ...timestamps()
+    };
+    simulator.store.opportunities.set(opportunity.id, opportunity);
+    notify('OpportunityCreate', opportunity.locationId, {
+      ...opportunity,
+      stageId,
+      stageName: pipeline?.stages.find(stage => stage.id === stageId)?.name,
+      value: opportunity.monetaryValue
+    });
+    return opportunity;
+  };
+
+  app.post('/opportunities', requireLocation, (req, res) => {
+    res.status(201).json({ opportunity: createOpportunity(req) });
+  });
+
+  app.post('/locations/:locationId/opportunities', requireLocation, (req, res) => {
+    res.status(201).json(createOpportunity(req));
+  });
+
+  app.get('/opportunities/:id', findOr404('opportunities', 'Opportunity'), (req, res) => {
+    res.json({ opportunity: req.item });
+  });
+
+  app.put('/opportunities/:id', findOr404('opportunities', 'Opportunity'), (req, res) => {
+    const previous = req.item;
+    const stageId = req.body.pipelineStageId || req.body.stageId || previous.pipelineStageId;
+    const opportunity = {
+      ...previous,
+      ...req.body,
+      id: previous.id,
+      pipelineStageId: stageId,
+      ...timestamps(previous)
+    };
+    delete opportunity.stageId;
+    simulator.store.opportunities.set(opportunity.id, opportunity);
+
+    if (stageId !== previous.pipelineStageId) {
+      const stages = simulator.store.pipelines.get(opportunity.pipelineId)?.stages || [];
+      notify('OpportunityStageChange', opportunity.locationId, {
+        id: opportunity.id,
+        contactId: opportunity.contactId,
+        pipelineId: opportunity.pipelineId,
+        fromStageId: previous.pipelineStageId,
+        fromStageName: stages.find(stage => stage.id === previous.pipelineStageId)?.name,
+        toStageId: stageId,
+        toStageName: stages.find(stage => stage.id === stageId)?.name,
+        value: opportunity.monetaryValue,
+        status: opportunity.status
+      });
+    }
+    res.json({ opportunity });
+  });
+
+  // ============================================
+  // CUSTOM FIELDS
+  // ============================================
+
+  app.get('/locations/:locationId/customFields', requireLocation, (req, res) => {
+    res.json({ customFields: inLocation('customFields', req.locationId) });
+  });
+
+  app.post('/locations/:locationId/customFields', requireLocation, (req, res) => {
+    const customField = {
+      id: `field_${simId()}`,
+      locationId: req.locationId,
+      model: 'contact',
+      position: 0,
+      ...req.body,
+      fieldKey: req.body.fieldKey || `contact.${String(req.body.name || '').toLowerCase().replace(/\s+/g, '_')}`
+    };
+    simulator.store.customFields.set(customField.id, customField);
+    res.status(201).json({ customField });
+  });
+
+  app.put('/locations/:locationId/customFields/:id', findOr404('customFields', 'Custom field'), (req, res) => {
+    const customField = { ...req.item, ...req.body, id: req.item.id };
+    simulator.store.customFields.set(customField.id, customField);
+    res.json({ customField });
+  });
+
+  app.delete('/locations/:locationId/customFields/:id', findOr404('customFields', 'Custom field'), (req, res) => {
+    simulator.store.customFields.delete(req.item.id);
+    res.json({ succeeded: true });
+  });
+
+  // ============================================
+  // TRIGGER LINKS AND MESSAGES
+  // ============================================
+
+  app.get('/links', requireLocation, (req, res) => {
+    res.json({ links: inLocation('links', req.locationId) });
+  });
+
+  app.post('/links', requireLocation, (req, res) => {
+    const link = { id: `link_${simId()}`, locationId: req.locationId, name: req.body.name, redirectTo: req.body.redirectTo };
+    link.fieldKey = `{{trigger_link.${link.id}}}`;
+    simulator.store.links.set(link.id, link);
+    res.status(201).json({ link });
+  });
+
+  app.post('/conversations/messages', (req, res) => {
+    const message = { id: `msg_${simId()}`, conversationId: `conv_${req.body.contactId}`, ...req.body, dateAdded: new Date().toISOString() };
+    simulator.store.messages.push(message);
+    res.status(201).json({ conversationId: message.conversationId, messageId: message.id, msg: message.type });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ statusCode: 404, message: `Cannot ${req.method} ${req.path}` });
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((error, req, res, next) => {
+    res.status(error.status || 500).json({ statusCode: error.status || 500, message: error.message });
+  });
+
+  return simulator;
+}
+
+/**
+ * Start the simulator on a port (0 picks a free one)
+ * @returns {Promise<{ baseUrl: string, server: import('http').Server, simulator: Object, close: Function }>}
+ */
+export function startGhlSimulator({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const simulator = createGhlSimulator(options);
+
+  return new Promise((resolve, reject) => {
+    const server = simulator.app
+      .listen(port, host, () => {
+        resolve({
+          baseUrl: `http://${host}:${server.address().port}`,
+          server,
+          simulator,
+          close: () => new Promise(done => server.close(done))
+        });
+      })
+      .on('error', reject);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { baseUrl } = await startGhlSimulator({
+    port: parseInt(process.env.GHL_SIM_PORT) || 4020,
+    apiKey: process.env.GHL_SIM_API_KEY || undefined,
+    faults: {
+      latencyMs: parseInt(process.env.GHL_SIM_LATENCY_MS) || 0,
+      rateLimitRate: parseFloat(process.env.GHL_SIM_RATE_LIMIT_RATE) || 0,
+      errorRate: parseFloat(process.env.GHL_SIM_ERROR_RATE) || 0
+    },
+    webhooks: {
+      url: process.env.GHL_SIM_WEBHOOK_URL || null,
+      secret: process.env.GHL_SIM_WEBHOOK_SECRET || null,
+      auto: process.env.GHL_SIM_AUTO_WEBHOOKS === 'true'
+    }
+  });
+  console.log(`🧪 GHL simulator running at ${baseUrl} (set GHL_BASE_URL to use it)`);
+}
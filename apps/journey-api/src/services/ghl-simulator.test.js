@@ -0,0 +1,157 @@
+/**
+ * GHL clients against the local GoHighLevel simulator
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+import axios from 'axios';
+
+vi.mock('@bloom/data', () => ({ PrismaClient: vi.fn(() => ({})) }));
+vi.mock('./trigger-engine.js', () => ({ default: {} }));
+
+import { startGhlSimulator, buildWebhookEvent } from './ghl-simulator.js';
+import { GHLClient } from './ghl-client.js';
+import { touchpointPublisher } from './touchpoint-publisher.js';
+import { checkInboundSignature, SignatureMode } from './webhook-service.js';
+
+const API_KEY = 'sim-key';
+const LOCATION = 'loc-1';
+
+describe('GHL simulator', () => {
+  let ghl;
+  let receiver;
+  let received;
+
+  beforeAll(async () => {
+    ghl = await startGhlSimulator({ apiKey: API_KEY });
+    touchpointPublisher.baseUrl = ghl.baseUrl;
+    touchpointPublisher.apiKey = API_KEY;
+
+    // Stands in for POST /api/webhooks/ghl/:clientId, keeping the raw body
+    const app = express();
+    app.post('/api/webhooks/ghl/:clientId', express.raw({ type: '*/*' }), (req, res) => {
+      received.push({ clientId: req.params.clientId, rawBody: req.body.toString('utf8'), headers: req.headers });
+      res.json({ success: true });
+    });
+    receiver = await new Promise(resolve => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  });
+
+  afterAll(async () => {
+    await ghl.close();
+    await new Promise(done => receiver.close(done));
+  });
+
+  beforeEach(() => {
+    ghl.simulator.reset();
+    received = [];
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/api/webhooks/ghl/client-1`;
+
+  it('creates and then updates an email template through the touchpoint publisher', async () => {
+    const touchpoint = { id: 'tp-1', name: 'Welcome', type: 'email', content: { subject: 'Hi', body: '<p>Hello</p>' } };
+
+    const created = await touchpointPublisher.publishEmailTemplate(touchpoint, LOCATION);
+    expect(created).toMatchObject({ success: true, action: 'created' });
+
+    const updated = await touchpointPublisher.publishEmailTemplate(
+      { ...touchpoint, ghlTemplateId: created.ghlTemplateId, content: { subject: 'Hi again', body: '<p>Hello</p>' } },
+      LOCATION
+    );
+    expect(updated).toMatchObject({ success: true, action: 'updated', ghlTemplateId: created.ghlTemplateId });
+    expect(ghl.simulator.store.emailTemplates.get(created.ghlTemplateId)).toMatchObject({ locationId: LOCATION, subject: 'Hi again' });
+  });
+
+  it('seeds a pipeline and custom fields for each location', async () => {
+    const client = new GHLClient({ apiKey: API_KEY, baseUrl: ghl.baseUrl });
+
+    const fields = await client.getCustomFields(LOCATION);
+    expect(fields.map(field => field.locationId)).toEqual([LOCATION, LOCATION, LOCATION]);
+
+    const { data } = await client.http.get('/opportunities/pipelines', { params: { locationId: LOCATION } });
+    expect(data.pipelines[0].stages).toHaveLength(5);
+  });
+
+  it('rejects requests without the expected bearer token', async () => {
+    const response = await axios.get(`${ghl.baseUrl}/locations/${LOCATION}`, {
+      headers: { Authorization: 'Bearer wrong' },
+      validateStatus: () => true
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('injects queued rate limits and server errors', async () => {
+    ghl.simulator.queueFault({ status: 429, path: '/emails/builder' });
+    ghl.simulator.queueFault({ status: 503, path: '/emails/builder' });
+    const request = () => axios.get(`${ghl.baseUrl}/emails/builder`, {
+      params: { locationId: LOCATION },
+      headers: { Authorization: `Bearer ${API_KEY}` },
+      validateStatus: () => true
+    });
+
+    const limited = await request();
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('1');
+    expect((await request()).status).toBe(503);
+    expect((await request()).status).toBe(200);
+  });
+
+  it('surfaces simulated failures as publish errors', async () => {
+    ghl.simulator.faults.errorRate = 1;
+    try {
+      const result = await touchpointPublisher.publishEmailTemplate({ id: 'tp-1', name: 'Welcome', content: {} }, LOCATION);
+      expect(result.success).toBe(false);
+      expect(result.details).toContain('503');
+    } finally {
+      ghl.simulator.faults.errorRate = 0;
+    }
+  });
+
+  it('emits webhooks the inbound signature check accepts', async () => {
+    const result = await ghl.simulator.emitWebhook('OpportunityStageChange', {
+      locationId: LOCATION,
+      url: receiverUrl(),
+      secret: 'shared-secret'
+    });
+
+    expect(result.ok).toBe(true);
+    const [delivery] = received;
+    expect(delivery.headers['x-ghl-event']).toBe('OpportunityStageChange');
+    expect(JSON.parse(delivery.rawBody)).toMatchObject({ type: 'OpportunityStageChange', locationId: LOCATION });
+
+    const config = { signatureMode: SignatureMode.ENFORCE, secretKey: 'shared-secret', timestampToleranceSec: 300 };
+    const check = checkInboundSignature(config, {
+      rawBody: delivery.rawBody,
+      headers: delivery.headers,
+      payload: JSON.parse(delivery.rawBody)
+    });
+    expect(check).toMatchObject({ checked: true, valid: true, reject: false });
+  });
+
+  it('fires webhooks for API state changes when auto webhooks are on', async () => {
+    ghl.simulator.webhooks = { url: receiverUrl(), secret: null, auto: true };
+    try {
+      const client = new GHLClient({ apiKey: API_KEY, baseUrl: ghl.baseUrl });
+      const { data } = await client.http.post('/contacts', { locationId: LOCATION, email: 'couple@example.com' });
+      await client.addTags(data.contact.id, ['booked']);
+
+      await vi.waitFor(() => expect(received).toHaveLength(2));
+      expect(received.map(delivery => JSON.parse(delivery.rawBody).type)).toEqual(['ContactCreate', 'ContactUpdate']);
+    } finally {
+      ghl.simulator.webhooks = { url: null, secret: null, auto: false };
+    }
+  });
+});
+
+describe('buildWebhookEvent', () => {
+  it('merges data over a sample entity for the event type', () => {
+    const event = buildWebhookEvent('ContactCreate', { locationId: LOCATION, data: { email: 'a@b.test' }, now: new Date(2026, 0, 1) });
+
+    expect(event).toMatchObject({ type: 'ContactCreate', locationId: LOCATION, contact: { email: 'a@b.test' } });
+    expect(event.id).toMatch(/^evt_/);
+  });
+});
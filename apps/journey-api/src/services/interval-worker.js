@@ -0,0 +1,72 @@
+/**
+ * Interval Worker
+ * Base class for the background workers that poll on an interval (workflow
+ * queue, analytics rollup, outbound webhooks, webhook retries, A/B test
+ * bandit). Subclasses implement run(now); poll() wraps it so overlapping
+ * polls are skipped rather than queued up.
+ */
+
+export class IntervalWorker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Used in log lines, e.g. "Webhook retry worker"
+   * @param {string} [options.icon] - Prefix for the start log line
+   * @param {number} options.pollIntervalMs
+   */
+  constructor({ name, icon = '⏱️', pollIntervalMs }) {
+    this.name = name;
+    this.icon = icon;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error(`${this.name} poll failed:`, error));
+    }, this.pollIntervalMs);
+    this.timer.unref?.();
+
+    console.log(`${this.icon} ${this.name} started (every ${this.pollIntervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run once, unless a previous run is still going
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object[]>} What run() returned, or [] when skipped
+   */
+  async poll(now = new Date()) {
+    if (this.polling) return [];
+    this.polling = true;
+
+    try {
+      return await this.run(now);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * One unit of work; implemented by subclasses, which receive `now`
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async run() {
+    throw new Error(`${this.constructor.name} does not implement run()`);
+  }
+}
+
+export default IntervalWorker;
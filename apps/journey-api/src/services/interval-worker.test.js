@@ -0,0 +1,49 @@
+/**
+ * Interval Worker
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { IntervalWorker } from './interval-worker.js';
+
+class CountingWorker extends IntervalWorker {
+  constructor(run) {
+    super({ name: 'Counting worker', pollIntervalMs: 1000 });
+    this.run = run;
+  }
+}
+
+describe('IntervalWorker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('skips a poll while the previous one is still running', async () => {
+    let finish;
+    const worker = new CountingWorker(vi.fn(() => new Promise(resolve => { finish = resolve; })));
+
+    const first = worker.poll();
+    expect(await worker.poll()).toEqual([]);
+    finish(['done']);
+
+    expect(await first).toEqual(['done']);
+    expect(worker.run).toHaveBeenCalledTimes(1);
+    expect(worker.polling).toBe(false);
+  });
+
+  it('polls on its interval until stopped, logging failed runs', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const worker = new CountingWorker(vi.fn(async () => { throw new Error('boom'); }));
+
+    worker.start();
+    worker.start();
+    await vi.advanceTimersByTimeAsync(2000);
+    worker.stop();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(worker.run).toHaveBeenCalledTimes(2);
+    expect(logged).toHaveBeenCalledWith('Counting worker poll failed:', expect.any(Error));
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Journey Graph Service
+ * Reads and writes the persisted touchpoint graph (TouchpointEdge). Plain
+ * touchpoints have a single "default" outlet; Condition touchpoints branch
+ * on "yes"/"no" or any number of named branches, each leading to one target.
+ */
+
+import { PrismaClient } from '@bloom/data';
+
+const prisma = new PrismaClient();
+
+export const Branch = {
+  DEFAULT: 'default',
+  YES: 'yes',
+  NO: 'no'
+};
+
+const BRANCH_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+
+export function isConditionTouchpoint(touchpoint) {
+  return touchpoint?.type?.toLowerCase() === 'condition';
+}
+
+/**
+ * Normalize an edge from the API or the canvas
+ * @param {Object} edge - { sourceId|source, targetId|target, branch, label, condition, orderIndex }
+ */
+export function normalizeEdge(edge, index = 0) {
+  return {
+    sourceId: edge.sourceId ?? edge.source,
+    targetId: edge.targetId ?? edge.target,
+    branch: edge.branch || Branch.DEFAULT,
+    label: edge.label || null,
+    condition: edge.condition || null,
+    orderIndex: edge.orderIndex ?? index
+  };
+}
+
+/**
+ * Edges for journeys saved before the graph existed: follow
+ * nextTouchpointId where set, otherwise touchpoint order
+ * @param {Array} touchpoints
+ */
+export function deriveLinearEdges(touchpoints) {
+  const sorted = [...touchpoints].sort((a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0));
+  const ids = new Set(sorted.map(tp => tp.id));
+  const edges = [];
+
+  sorted.forEach((touchpoint, index) => {
+    const targetId = ids.has(touchpoint.nextTouchpointId)
+      ? touchpoint.nextTouchpointId
+      : sorted[index + 1]?.id;
+
+    if (targetId && targetId !== touchpoint.id) {
+      edges.push(normalizeEdge({ sourceId: touchpoint.id, targetId }, edges.length));
+    }
+  });
+
+  return edges;
+}
+
+/**
+ * Check a set of edges against the journey's touchpoints
+ * @param {Array} touchpoints - Touchpoints of the journey
+ * @param {Array} edges - Normalized edges
+ * @returns {string[]} Problems found; empty when the graph is valid
+ */
+export function validateGraph(touchpoints, edges) {
+  const errors = [];
+  const byId = new Map(touchpoints.map(tp => [tp.id, tp]));
+  const outlets = new Set();
+
+  edges.forEach((edge, index) => {
+    const at = `Edge ${index + 1}`;
+    const source = byId.get(edge.sourceId);
+
+    if (!source) errors.push(`${at}: source ${edge.sourceId} is not a touchpoint of this journey`);
+    if (!byId.has(edge.targetId)) errors.push(`${at}: target ${edge.targetId} is not a touchpoint of this journey`);
+    if (edge.sourceId === edge.targetId) errors.push(`${at}: a touchpoint cannot link to itself`);
+
+    if (!BRANCH_PATTERN.test(edge.branch)) {
+      errors.push(`${at}: invalid branch name "${edge.branch}"`);
+    } else if (source && !isConditionTouchpoint(source) && edge.branch !== Branch.DEFAULT) {
+      errors.push(`${at}: only Condition touchpoints can branch ("${source.name}" uses "${edge.branch}")`);
+    }
+
+    const outlet = `${edge.sourceId}:${edge.branch}`;
+    if (outlets.has(outlet)) {
+      errors.push(`${at}: "${source?.name || edge.sourceId}" already has a "${edge.branch}" link`);
+    }
+    outlets.add(outlet);
+  });
+
+  if (errors.length === 0 && hasCycle(edges)) {
+    errors.push('Journey graph contains a loop; GHL workflows must run front to back');
+  }
+
+  return errors;
+}
+
+function hasCycle(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.sourceId)) outgoing.set(edge.sourceId, []);
+    outgoing.get(edge.sourceId).push(edge.targetId);
+  }
+
+  const state = new Map(); // 1 = visiting, 2 = done
+  const visit = (id) => {
+    if (state.get(id) === 1) return true;
+    if (state.get(id) === 2) return false;
+    state.set(id, 1);
+    const found = (outgoing.get(id) || []).some(visit);
+    state.set(id, 2);
+    return found;
+  };
+
+  return [...outgoing.keys()].some(visit);
+}
+
+/**
+ * Load a journey's graph
+ * @param {string} journeyId
+ * @returns {Promise<Object|null>} { journeyId, touchpoints, edges, derived }, or
+ *   null when the journey does not exist. `derived` is true when no edges
+ *   are stored yet and they were inferred from touchpoint order.
+ */
+export async function getJourneyGraph(journeyId) {
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: {
+      id: true,
+      touchpoints: {
+        orderBy: { orderIndex: 'asc' },
+        select: { id: true, name: true, type: true, orderIndex: true, position: true, nextTouchpointId: true }
+      },
+      edges: {
+        orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }]
+      }
+    }
+  });
+
+  if (!journey) return null;
+
+  const derived = journey.edges.length === 0;
+  const edges = derived ? deriveLinearEdges(journey.touchpoints) : journey.edges;
+
+  return {
+    journeyId: journey.id,
+    touchpoints: journey.touchpoints.map(({ nextTouchpointId, ...tp }) => tp),
+    edges,
+    derived
+  };
+}
+
+/**
+ * Replace a journey's edges. Keeps Touchpoint.nextTouchpointId in step
+ * with the default links for older readers.
+ * @param {string} journeyId
+ * @param {Array} edges - Normalized, validated edges
+ * @returns {Promise<Array>} The stored edges
+ */
+export async function saveJourneyGraph(journeyId, edges) {
+  return prisma.$transaction(async (tx) => {
+    await tx.touchpointEdge.deleteMany({ where: { journeyId } });
+
+    if (edges.length > 0) {
+      await tx.touchpointEdge.createMany({
+        data: edges.map(edge => ({ ...edge, journeyId }))
+      });
+    }
+
+    await tx.touchpoint.updateMany({
+      where: { journeyId },
+      data: { nextTouchpointId: null }
+    });
+    for (const edge of edges.filter(e => e.branch === Branch.DEFAULT)) {
+      await tx.touchpoint.update({
+        where: { id: edge.sourceId },
+        data: { nextTouchpointId: edge.targetId }
+      });
+    }
+
+    return tx.touchpointEdge.findMany({
+      where: { journeyId },
+      orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }]
+    });
+  });
+}
+
+export default {
+  Branch,
+  isConditionTouchpoint,
+  normalizeEdge,
+  deriveLinearEdges,
+  validateGraph,
+  getJourneyGraph,
+  saveJourneyGraph
+};
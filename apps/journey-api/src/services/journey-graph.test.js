@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for the Journey Graph
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({}))
+}));
+
+import { deriveLinearEdges, normalizeEdge, validateGraph } from './journey-graph.js';
+
+const touchpoints = [
+  { id: 'welcome', name: 'Welcome', type: 'email', orderIndex: 0 },
+  { id: 'opened', name: 'Opened?', type: 'condition', orderIndex: 1 },
+  { id: 'call', name: 'Call', type: 'call', orderIndex: 2 },
+  { id: 'nudge', name: 'Nudge', type: 'sms', orderIndex: 3 }
+];
+
+const edges = (...list) => list.map(normalizeEdge);
+
+describe('journey-graph', () => {
+  it('derives links from order, preferring nextTouchpointId', () => {
+    const derived = deriveLinearEdges(touchpoints.map(tp =>
+      (tp.id === 'welcome' ? { ...tp, nextTouchpointId: 'call' } : tp)
+    ));
+
+    expect(derived.map(e => [e.sourceId, e.targetId, e.branch])).toEqual([
+      ['welcome', 'call', 'default'],
+      ['opened', 'call', 'default'],
+      ['call', 'nudge', 'default']
+    ]);
+  });
+
+  it('accepts yes/no and named branches on Condition touchpoints', () => {
+    expect(validateGraph(touchpoints, edges(
+      { source: 'welcome', target: 'opened' },
+      { source: 'opened', target: 'call', branch: 'yes', label: 'Opened' },
+      { source: 'opened', target: 'nudge', branch: 'no' }
+    ))).toEqual([]);
+
+    expect(validateGraph(touchpoints, edges(
+      { sourceId: 'opened', targetId: 'call', branch: 'hot', condition: 'score > 80' },
+      { sourceId: 'opened', targetId: 'nudge', branch: 'warm', condition: 'score > 40' },
+      { sourceId: 'opened', targetId: 'welcome', branch: 'default' }
+    ))).toEqual([]);
+  });
+
+  it('rejects branches from plain touchpoints and duplicate outlets', () => {
+    const errors = validateGraph(touchpoints, edges(
+      { source: 'welcome', target: 'call', branch: 'yes' },
+      { source: 'opened', target: 'call', branch: 'yes' },
+      { source: 'opened', target: 'nudge', branch: 'yes' }
+    ));
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/only Condition touchpoints can branch/);
+    expect(errors[1]).toMatch(/already has a "yes" link/);
+  });
+
+  it('rejects unknown touchpoints, self links and loops', () => {
+    expect(validateGraph(touchpoints, edges({ source: 'welcome', target: 'elsewhere' })))
+      .toEqual(['Edge 1: target elsewhere is not a touchpoint of this journey']);
+    expect(validateGraph(touchpoints, edges({ source: 'call', target: 'call' }))[0])
+      .toMatch(/cannot link to itself/);
+    expect(validateGraph(touchpoints, edges(
+      { source: 'welcome', target: 'call' },
+      { source: 'call', target: 'welcome' }
+    ))).toEqual(['Journey graph contains a loop; GHL workflows must run front to back']);
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * Journey Holdouts
+ * Measures whether a journey lifts conversions compared with doing nothing.
+ * A per-journey share of contacts is held out of enrollment, decided by the
+ * same contact hashing A/B tests use. Conversions (opportunity stage changes
+ * and booked appointments) are tracked for both groups, and the difference
+ * is reported as incremental lift with confidence intervals.
+ *
+ * Enrollment is checked where workflows start: the trigger engine skips
+ * held-out contacts and the workflow queue cancels any execution queued for
+ * one. Conversions are tracked by the analytics rollup worker, so reading
+ * the lift never writes.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { calculatePValue, calculateZStatistic, hashToUnit, normalQuantile } from './ab-testing-service.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+export const HoldoutGroup = {
+  HOLDOUT: 'holdout',     // Not enrolled; the baseline
+  TREATMENT: 'treatment'  // Enrolled as usual
+};
+
+export const ConversionSource = {
+  OPPORTUNITY: 'opportunity', // OpportunityStageHistory
+  APPOINTMENT: 'appointment'  // SyncedAppointment
+};
+
+const DEFAULT_HOLDOUT_CONFIG = {
+  conversionStages: [],      // Stage IDs or names that count; empty means opportunities marked won
+  countAppointments: true,   // Booked (not cancelled) appointments count
+  attributionWindowDays: 30  // Conversions must follow assignment within this many days
+};
+
+const CONTACT_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill in defaults for a journey's holdoutConfig
+ */
+export function resolveHoldoutConfig(config = {}) {
+  return { ...DEFAULT_HOLDOUT_CONFIG, ...config };
+}
+
+/**
+ * Group for a contact. The hash is salted with the journey ID so the
+ * holdout is independent of A/B test assignment, which hashes the bare
+ * contact ID.
+ *
+ * @param {string} journeyId
+ * @param {string} contactId - GHL contact ID
+ * @param {number} holdoutPercentage - 0-100
+ * @returns {string} HoldoutGroup value
+ */
+export function holdoutGroupFor(journeyId, contactId, holdoutPercentage) {
+  return hashToUnit(`${journeyId}:${contactId}`) < holdoutPercentage / 100
+    ? HoldoutGroup.HOLDOUT
+    : HoldoutGroup.TREATMENT;
+}
+
+/**
+ * Decide whether a contact may enroll in a journey, recording their group.
+ * A contact keeps their first group even if the percentage changes later.
+ *
+ * @param {string} journeyId
+ * @param {string} contactId - GHL contact ID
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ contactId: string, group: string|null, enroll: boolean, assignedAt?: Date }>}
+ */
+export async function assignHoldoutGroup(journeyId, contactId, { now = new Date() } = {}) {
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: { id: true, clientId: true, holdoutPercentage: true }
+  });
+
+  if (!journey) {
+    throw httpError('Journey not found', 404);
+  }
+
+  const holdoutPercentage = Number(journey.holdoutPercentage ?? 0);
+  if (holdoutPercentage <= 0) {
+    return { contactId, group: null, enroll: true };
+  }
+
+  const assignment = await prisma.journeyHoldoutAssignment.upsert({
+    where: { journeyId_contactId: { journeyId, contactId } },
+    create: {
+      journeyId,
+      clientId: journey.clientId,
+      contactId,
+      group: holdoutGroupFor(journeyId, contactId, holdoutPercentage),
+      assignedAt: now
+    },
+    update: {}
+  });
+
+  return {
+    contactId,
+    group: assignment.group,
+    enroll: assignment.group === HoldoutGroup.TREATMENT,
+    assignedAt: assignment.assignedAt
+  };
+}
+
+/**
+ * The journey a workflow runs, matched by the GHL workflow ID the sync
+ * engine keeps in Journey.metadata.ghlWorkflowId
+ *
+ * @param {{ clientId: string, workflowId?: string }} workflow
+ * @returns {Promise<{ id: string }|null>}
+ */
+export async function findJourneyForWorkflow(workflow) {
+  if (!workflow?.workflowId) {
+    return null;
+  }
+
+  return prisma.journey.findFirst({
+    where: {
+      clientId: workflow.clientId,
+      metadata: { path: ['ghlWorkflowId'], equals: workflow.workflowId }
+    },
+    select: { id: true }
+  });
+}
+
+/**
+ * Decide whether a workflow may enroll a contact. Workflows that don't run
+ * a journey, and executions without a contact, always enroll.
+ *
+ * @param {Object} workflow
+ * @param {string|null} contactId - GHL contact ID
+ * @returns {Promise<{ journeyId: string|null, group: string|null, enroll: boolean }>}
+ */
+export async function checkWorkflowEnrollment(workflow, contactId) {
+  const journey = contactId ? await findJourneyForWorkflow(workflow) : null;
+  if (!journey) {
+    return { journeyId: null, group: null, enroll: true };
+  }
+
+  const { group, enroll } = await assignHoldoutGroup(journey.id, contactId);
+  return { journeyId: journey.id, group, enroll };
+}
+
+/**
+ * Mark assignments converted from opportunity stage history and synced
+ * appointments. Only the first qualifying event inside the attribution
+ * window counts, and converted assignments are not revisited.
+ *
+ * @param {string} journeyId
+ * @returns {Promise<{ checked: number, converted: number }>}
+ */
+export async function trackHoldoutConversions(journeyId) {
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: { id: true, clientId: true, holdoutConfig: true }
+  });
+
+  if (!journey) {
+    throw httpError('Journey not found', 404);
+  }
+
+  const config = resolveHoldoutConfig(journey.holdoutConfig);
+  const windowMs = config.attributionWindowDays * DAY_MS;
+  const pending = await prisma.journeyHoldoutAssignment.findMany({
+    where: { journeyId, convertedAt: null },
+    orderBy: { assignedAt: 'asc' }
+  });
+
+  let converted = 0;
+  for (let start = 0; start < pending.length; start += CONTACT_BATCH_SIZE) {
+    const batch = pending.slice(start, start + CONTACT_BATCH_SIZE);
+    const contactIds = batch.map(a => a.contactId);
+    const since = batch[0].assignedAt;
+
+    const stageChanges = await prisma.opportunityStageHistory.findMany({
+      where: {
+        clientId: journey.clientId,
+        contactId: { in: contactIds },
+        changedAt: { gte: since },
+        OR: config.conversionStages.length > 0
+          ? [{ toStageId: { in: config.conversionStages } }, { toStageName: { in: config.conversionStages } }]
+          : [{ status: 'won' }]
+      },
+      select: { id: true, contactId: true, changedAt: true },
+      orderBy: { changedAt: 'asc' }
+    });
+
+    const appointments = config.countAppointments
+      ? await prisma.syncedAppointment.findMany({
+        where: {
+          clientId: journey.clientId,
+          status: { not: 'cancelled' },
+          createdAt: { gte: since },
+          contact: { ghlContactId: { in: contactIds } }
+        },
+        select: { id: true, createdAt: true, contact: { select: { ghlContactId: true } } },
+        orderBy: { createdAt: 'asc' }
+      })
+      : [];
+
+    const events = [
+      ...stageChanges.map(c => ({ contactId: c.contactId, at: c.changedAt, source: ConversionSource.OPPORTUNITY, ref: c.id })),
+      ...appointments.map(a => ({ contactId: a.contact.ghlContactId, at: a.createdAt, source: ConversionSource.APPOINTMENT, ref: a.id }))
+    ].sort((a, b) => a.at - b.at);
+
+    for (const assignment of batch) {
+      const conversion = events.find(e => e.contactId === assignment.contactId &&
+        e.at >= assignment.assignedAt &&
+        e.at - assignment.assignedAt <= windowMs);
+
+      if (conversion) {
+        await prisma.journeyHoldoutAssignment.update({
+          where: { id: assignment.id },
+          data: { convertedAt: conversion.at, conversionSource: conversion.source, conversionRef: conversion.ref }
+        });
+        converted++;
+      }
+    }
+  }
+
+  return { checked: pending.length, converted };
+}
+
+/**
+ * Track conversions for every journey with unconverted assignments.
+ * Run by the analytics rollup worker; a failing journey is logged and
+ * retried on the next poll.
+ *
+ * @returns {Promise<{ journeys: number, checked: number, converted: number }>}
+ */
+export async function trackAllHoldoutConversions() {
+  const journeys = await prisma.journeyHoldoutAssignment.findMany({
+    where: { convertedAt: null },
+    distinct: ['journeyId'],
+    select: { journeyId: true }
+  });
+
+  const totals = { journeys: journeys.length, checked: 0, converted: 0 };
+  for (const { journeyId } of journeys) {
+    try {
+      const result = await trackHoldoutConversions(journeyId);
+      totals.checked += result.checked;
+      totals.converted += result.converted;
+    } catch (error) {
+      console.error(`Holdout conversion tracking failed for journey ${journeyId}:`, error);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Incremental lift of treatment over holdout. The absolute lift uses an
+ * unpooled normal interval; the relative lift uses a log risk-ratio interval,
+ * which needs conversions in both groups.
+ *
+ * @param {{ participants: number, conversions: number }} treatment
+ * @param {{ participants: number, conversions: number }} holdout
+ * @param {number} [confidenceLevel]
+ */
+export function calculateIncrementalLift(treatment, holdout, confidenceLevel = 0.95) {
+  const rate = (group) => (group.participants > 0 ? group.conversions / group.participants : 0);
+  const pt = rate(treatment);
+  const ph = rate(holdout);
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  const measurable = treatment.participants > 0 && holdout.participants > 0;
+
+  const absoluteLift = pt - ph;
+  const absoluteSe = measurable
+    ? Math.sqrt(pt * (1 - pt) / treatment.participants + ph * (1 - ph) / holdout.participants)
+    : 0;
+
+  let relativeLift = null;
+  let relativeLiftInterval = null;
+  if (treatment.conversions > 0 && holdout.conversions > 0) {
+    const logRatio = Math.log(pt / ph);
+    const logSe = Math.sqrt((1 - pt) / treatment.conversions + (1 - ph) / holdout.conversions);
+    relativeLift = pt / ph - 1;
+    relativeLiftInterval = {
+      lower: Math.exp(logRatio - z * logSe) - 1,
+      upper: Math.exp(logRatio + z * logSe) - 1
+    };
+  }
+
+  const pValue = measurable
+    ? calculatePValue(calculateZStatistic(ph, holdout.participants, pt, treatment.participants))
+    : 1;
+
+  return {
+    treatment: { ...treatment, rate: pt },
+    holdout: { ...holdout, rate: ph },
+    absoluteLift,
+    absoluteLiftInterval: measurable
+      ? { lower: absoluteLift - z * absoluteSe, upper: absoluteLift + z * absoluteSe }
+      : null,
+    relativeLift,
+    relativeLiftInterval,
+    incrementalConversions: absoluteLift * treatment.participants,
+    pValue,
+    isSignificant: measurable && 1 - pValue >= confidenceLevel
+  };
+}
+
+/**
+ * Report the journey's incremental lift for contacts assigned in the date
+ * range. Conversions are as of the last rollup poll.
+ *
+ * @param {string} journeyId
+ * @param {Object} [options]
+ * @param {Date} [options.startDate]
+ * @param {Date} [options.endDate]
+ * @param {number} [options.confidenceLevel]
+ */
+export async function calculateHoldoutLift(journeyId, { startDate, endDate, confidenceLevel = 0.95 } = {}) {
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: { holdoutPercentage: true, holdoutConfig: true }
+  });
+
+  if (!journey) {
+    throw httpError('Journey not found', 404);
+  }
+
+  const where = {
+    journeyId,
+    ...((startDate || endDate) && {
+      assignedAt: { ...(startDate && { gte: startDate }), ...(endDate && { lte: endDate }) }
+    })
+  };
+
+  const [assigned, converted] = await Promise.all([
+    prisma.journeyHoldoutAssignment.groupBy({ by: ['group'], where, _count: { _all: true } }),
+    prisma.journeyHoldoutAssignment.groupBy({ by: ['group'], where: { ...where, convertedAt: { not: null } }, _count: { _all: true } })
+  ]);
+
+  const countFor = (rows, group) => rows.find(r => r.group === group)?._count._all || 0;
+  const groupStats = (group) => ({ participants: countFor(assigned, group), conversions: countFor(converted, group) });
+
+  return {
+    journeyId,
+    holdoutPercentage: Number(journey.holdoutPercentage ?? 0),
+    config: resolveHoldoutConfig(journey.holdoutConfig),
+    confidenceLevel,
+    ...calculateIncrementalLift(groupStats(HoldoutGroup.TREATMENT), groupStats(HoldoutGroup.HOLDOUT), confidenceLevel)
+  };
+}
+
+export default {
+  holdoutGroupFor,
+  assignHoldoutGroup,
+  findJourneyForWorkflow,
+  checkWorkflowEnrollment,
+  trackHoldoutConversions,
+  trackAllHoldoutConversions,
+  calculateHoldoutLift
+};
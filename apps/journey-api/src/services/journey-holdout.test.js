@@ -0,0 +1,229 @@
+/**
+ * Unit Tests for Journey Holdouts
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => ({
+  mockPrisma: {
+    journey: { findUnique: vi.fn(), findFirst: vi.fn() },
+    journeyHoldoutAssignment: { upsert: vi.fn(), findMany: vi.fn(), update: vi.fn(), groupBy: vi.fn() },
+    opportunityStageHistory: { findMany: vi.fn() },
+    syncedAppointment: { findMany: vi.fn() }
+  }
+}));
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+vi.mock('./outbound-webhooks.js', () => ({
+  emitOutboundEvent: vi.fn(),
+  OutboundEventType: {}
+}));
+
+import {
+  HoldoutGroup,
+  assignHoldoutGroup,
+  calculateHoldoutLift,
+  calculateIncrementalLift,
+  checkWorkflowEnrollment,
+  holdoutGroupFor,
+  trackAllHoldoutConversions,
+  trackHoldoutConversions
+} from './journey-holdout.js';
+
+const journeyId = 'journey-1';
+const assignedAt = new Date('2026-03-01T00:00:00Z');
+const daysLater = (days) => new Date(assignedAt.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('holdoutGroupFor', () => {
+  it('holds out about the configured share, the same way every time', () => {
+    const contacts = Array.from({ length: 4000 }, (_, i) => `contact-${i}`);
+    const held = contacts.filter(c => holdoutGroupFor(journeyId, c, 10) === HoldoutGroup.HOLDOUT);
+
+    expect(held.length / contacts.length).toBeGreaterThan(0.08);
+    expect(held.length / contacts.length).toBeLessThan(0.12);
+    expect(held.every(c => holdoutGroupFor(journeyId, c, 10) === HoldoutGroup.HOLDOUT)).toBe(true);
+  });
+
+  it('holds out different contacts for different journeys', () => {
+    const contacts = Array.from({ length: 1000 }, (_, i) => `contact-${i}`);
+    const differing = contacts.filter(c => holdoutGroupFor('journey-1', c, 20) !== holdoutGroupFor('journey-2', c, 20));
+
+    expect(differing.length).toBeGreaterThan(100);
+  });
+});
+
+describe('assignHoldoutGroup', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.journeyHoldoutAssignment.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+  });
+
+  it('lets everyone enroll without recording when there is no holdout', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutPercentage: '0' });
+
+    expect(await assignHoldoutGroup(journeyId, 'contact-1')).toEqual({ contactId: 'contact-1', group: null, enroll: true });
+    expect(mockPrisma.journeyHoldoutAssignment.upsert).not.toHaveBeenCalled();
+  });
+
+  it('records the hashed group and keeps held-out contacts from enrolling', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutPercentage: '100' });
+
+    const result = await assignHoldoutGroup(journeyId, 'contact-1', { now: assignedAt });
+
+    expect(result).toEqual({ contactId: 'contact-1', group: 'holdout', enroll: false, assignedAt });
+    expect(mockPrisma.journeyHoldoutAssignment.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { journeyId_contactId: { journeyId, contactId: 'contact-1' } },
+      update: {}
+    }));
+  });
+
+  it('keeps an earlier group after the percentage changes', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutPercentage: '100' });
+    mockPrisma.journeyHoldoutAssignment.upsert.mockResolvedValue({ group: 'treatment', assignedAt });
+
+    expect(await assignHoldoutGroup(journeyId, 'contact-1')).toMatchObject({ group: 'treatment', enroll: true });
+  });
+
+  it('404s for unknown journeys', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(null);
+
+    await expect(assignHoldoutGroup('missing', 'contact-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('checkWorkflowEnrollment', () => {
+  const workflow = { id: 'wf-1', clientId: 'c1', workflowId: 'ghl-wf-1' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.journeyHoldoutAssignment.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+  });
+
+  it('keeps held-out contacts out of the workflow of their journey', async () => {
+    mockPrisma.journey.findFirst.mockResolvedValue({ id: journeyId });
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutPercentage: '100' });
+
+    expect(await checkWorkflowEnrollment(workflow, 'contact-1')).toEqual({ journeyId, group: 'holdout', enroll: false });
+    expect(mockPrisma.journey.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { clientId: 'c1', metadata: { path: ['ghlWorkflowId'], equals: 'ghl-wf-1' } }
+    }));
+  });
+
+  it('enrolls when the workflow runs no journey or there is no contact', async () => {
+    mockPrisma.journey.findFirst.mockResolvedValue(null);
+
+    expect(await checkWorkflowEnrollment(workflow, 'contact-1')).toEqual({ journeyId: null, group: null, enroll: true });
+    expect(await checkWorkflowEnrollment({ id: 'wf-2', clientId: 'c1' }, 'contact-1')).toMatchObject({ enroll: true });
+    expect(await checkWorkflowEnrollment(workflow, null)).toMatchObject({ enroll: true });
+    expect(mockPrisma.journey.findFirst).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.journeyHoldoutAssignment.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('trackHoldoutConversions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutConfig: {} });
+    mockPrisma.journeyHoldoutAssignment.findMany.mockResolvedValue([
+      { id: 'a1', contactId: 'won', assignedAt },
+      { id: 'a2', contactId: 'booked', assignedAt },
+      { id: 'a3', contactId: 'late', assignedAt },
+      { id: 'a4', contactId: 'before', assignedAt }
+    ]);
+    mockPrisma.opportunityStageHistory.findMany.mockResolvedValue([
+      { id: 'osh-1', contactId: 'won', changedAt: daysLater(5) },
+      { id: 'osh-2', contactId: 'late', changedAt: daysLater(45) }
+    ]);
+    mockPrisma.syncedAppointment.findMany.mockResolvedValue([
+      { id: 'appt-1', createdAt: daysLater(-1), contact: { ghlContactId: 'before' } },
+      { id: 'appt-2', createdAt: daysLater(2), contact: { ghlContactId: 'booked' } },
+      { id: 'appt-3', createdAt: daysLater(1), contact: { ghlContactId: 'won' } }
+    ]);
+  });
+
+  it('credits the first won opportunity or booking inside the window', async () => {
+    const result = await trackHoldoutConversions(journeyId);
+
+    expect(result).toEqual({ checked: 4, converted: 2 });
+    expect(mockPrisma.opportunityStageHistory.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ clientId: 'c1', OR: [{ status: 'won' }] })
+    }));
+    expect(mockPrisma.journeyHoldoutAssignment.update.mock.calls.map(([call]) => call)).toEqual([
+      { where: { id: 'a1' }, data: { convertedAt: daysLater(1), conversionSource: 'appointment', conversionRef: 'appt-3' } },
+      { where: { id: 'a2' }, data: { convertedAt: daysLater(2), conversionSource: 'appointment', conversionRef: 'appt-2' } }
+    ]);
+  });
+
+  it('uses configured stages and can ignore appointments', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue({
+      id: journeyId,
+      clientId: 'c1',
+      holdoutConfig: { conversionStages: ['Booked'], countAppointments: false, attributionWindowDays: 60 }
+    });
+
+    const result = await trackHoldoutConversions(journeyId);
+
+    expect(result.converted).toBe(2);
+    expect(mockPrisma.syncedAppointment.findMany).not.toHaveBeenCalled();
+    expect(mockPrisma.opportunityStageHistory.findMany.mock.calls[0][0].where.OR).toEqual([
+      { toStageId: { in: ['Booked'] } },
+      { toStageName: { in: ['Booked'] } }
+    ]);
+  });
+
+  it('tracks every journey with unconverted assignments, past a failing one', async () => {
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockPrisma.journeyHoldoutAssignment.findMany
+      .mockResolvedValueOnce([{ journeyId: 'missing' }, { journeyId }]);
+    mockPrisma.journey.findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: journeyId, clientId: 'c1', holdoutConfig: {} });
+
+    expect(await trackAllHoldoutConversions()).toEqual({ journeys: 2, checked: 4, converted: 2 });
+    expect(errors).toHaveBeenCalledTimes(1);
+    errors.mockRestore();
+  });
+});
+
+describe('incremental lift', () => {
+  it('reports absolute and relative lift with intervals', () => {
+    const lift = calculateIncrementalLift({ participants: 9000, conversions: 1080 }, { participants: 1000, conversions: 80 });
+
+    expect(lift.treatment.rate).toBeCloseTo(0.12, 10);
+    expect(lift.holdout.rate).toBeCloseTo(0.08, 10);
+    expect(lift.absoluteLift).toBeCloseTo(0.04, 10);
+    expect(lift.absoluteLiftInterval.lower).toBeGreaterThan(0.02);
+    expect(lift.absoluteLiftInterval.upper).toBeLessThan(0.06);
+    expect(lift.relativeLift).toBeCloseTo(0.5, 10);
+    expect(lift.relativeLiftInterval.lower).toBeGreaterThan(0.15);
+    expect(lift.incrementalConversions).toBeCloseTo(360, 6);
+    expect(lift.isSignificant).toBe(true);
+  });
+
+  it('leaves the relative lift out until both groups convert', () => {
+    const lift = calculateIncrementalLift({ participants: 50, conversions: 5 }, { participants: 5, conversions: 0 });
+
+    expect(lift.relativeLift).toBeNull();
+    expect(lift.relativeLiftInterval).toBeNull();
+    expect(lift.isSignificant).toBe(false);
+  });
+
+  it('compares the groups without writing', async () => {
+    vi.clearAllMocks();
+    mockPrisma.journey.findUnique.mockResolvedValue({ id: journeyId, clientId: 'c1', holdoutPercentage: '10', holdoutConfig: {} });
+    mockPrisma.journeyHoldoutAssignment.findMany.mockResolvedValue([]);
+    mockPrisma.journeyHoldoutAssignment.groupBy
+      .mockResolvedValueOnce([{ group: 'treatment', _count: { _all: 900 } }, { group: 'holdout', _count: { _all: 100 } }])
+      .mockResolvedValueOnce([{ group: 'treatment', _count: { _all: 90 } }, { group: 'holdout', _count: { _all: 5 } }]);
+
+    const result = await calculateHoldoutLift(journeyId, { startDate: assignedAt });
+
+    expect(result).toMatchObject({ holdoutPercentage: 10, treatment: { rate: 0.1 }, holdout: { rate: 0.05 } });
+    expect(mockPrisma.journeyHoldoutAssignment.groupBy.mock.calls[0][0].where).toEqual({ journeyId, assignedAt: { gte: assignedAt } });
+    expect(mockPrisma.journeyHoldoutAssignment.update).not.toHaveBeenCalled();
+    expect(mockPrisma.opportunityStageHistory.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,458 @@
+/**
+ * Journey Status Service
+ * The journey status state machine. Every status change goes through
+ * transitionJourneyStatus, which checks the transition table, the caller's
+ * role, the journey validator (for client_review and published) and the
+ * journey's Approval records, snapshots a JourneyVersion on approval and
+ * writes an audit entry.
+ *
+ * The happy path is draft → client_review → approved → published. A review
+ * can be withdrawn (back to draft) or rejected; rejected, approved and
+ * published journeys go back to draft for edits; anything not under review
+ * can be archived, and archived journeys reopen as drafts.
+ *
+ * Approved and published journeys are locked: what runs is what was signed
+ * off, so their content can only change after they go back to draft (and
+ * through review again). assertEditable is the check the write paths share.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { Actions, can } from './access-control.js';
+import { recordAuditEvent, AuditAction } from './audit-log.js';
+import { createJourneyVersion } from './journey-versions.js';
+import { policyFromSettings, recordDecision } from './approval-policy.js';
+import { validateJourney } from './journey-validator.js';
+import { emitOutboundEvent, OutboundEventType } from './outbound-webhooks.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+export const JourneyStatus = {
+  DRAFT: 'draft',
+  CLIENT_REVIEW: 'client_review',
+  APPROVED: 'approved',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+  ARCHIVED: 'archived'
+};
+
+export const JOURNEY_STATUSES = Object.values(JourneyStatus);
+
+export const ApprovalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+
+// Journeys must pass the validator before they reach these statuses
+export const VALIDATED_STATUSES = [JourneyStatus.CLIENT_REVIEW, JourneyStatus.PUBLISHED];
+
+// Journeys whose content matches their approved version and can't be edited
+export const LOCKED_STATUSES = [JourneyStatus.APPROVED, JourneyStatus.PUBLISHED];
+
+// Journey columns that are part of the reviewed content (the fields of a
+// version snapshot); touchpoints and edges are content as well
+export const CONTENT_FIELDS = ['name', 'description', 'category', 'triggerConfig', 'goal'];
+
+/**
+ * Whether a journey update writes any reviewed content
+ * @param {Object} [changes] - Journey fields being written
+ * @returns {boolean}
+ */
+export function changesContent(changes = {}) {
+  return CONTENT_FIELDS.some(field => changes[field] !== undefined);
+}
+
+/**
+ * Refuse a content edit to a locked journey
+ * @param {{ status: string }} journey
+ * @throws 409 while the journey is approved or published
+ */
+export function assertEditable(journey) {
+  if (LOCKED_STATUSES.includes(journey.status)) {
+    throw httpError(`Journey is ${journey.status}; move it back to draft before editing it`, 409, {
+      currentStatus: journey.status,
+      hint: 'Edits to an approved or published journey need a new review'
+    });
+  }
+}
+
+/**
+ * Allowed transitions: TRANSITIONS[from][to] describes the move.
+ * - action: permission the caller needs for the journey's client
+ * - approval: what the move does with Approval records
+ *     request  - opens a pending Approval
+ *     resolve  - closes the pending Approval as approved/rejected (one must exist)
+ *     withdraw - closes the pending Approval as withdrawn
+ *     require  - the latest Approval must be approved
+ * - requiresReason: the caller must say why
+ */
+export const TRANSITIONS = {
+  draft: {
+    client_review: { action: Actions.UPDATE, approval: 'request' },
+    archived: { action: Actions.UPDATE }
+  },
+  client_review: {
+    approved: { action: Actions.APPROVE, approval: 'resolve' },
+    rejected: { action: Actions.APPROVE, approval: 'resolve', requiresReason: true },
+    draft: { action: Actions.UPDATE, approval: 'withdraw' }
+  },
+  approved: {
+    published: { action: Actions.PUBLISH, approval: 'require' },
+    draft: { action: Actions.UPDATE },
+    archived: { action: Actions.UPDATE }
+  },
+  rejected: {
+    draft: { action: Actions.UPDATE },
+    archived: { action: Actions.UPDATE }
+  },
+  published: {
+    draft: { action: Actions.PUBLISH },
+    archived: { action: Actions.PUBLISH }
+  },
+  archived: {
+    draft: { action: Actions.UPDATE }
+  }
+};
+
+/**
+ * Statuses a journey can move to from `from`
+ * @param {string} from
+ * @returns {string[]}
+ */
+export function getAllowedTransitions(from) {
+  return Object.keys(TRANSITIONS[from] || {});
+}
+
+/**
+ * Look up a transition in the table
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ allowed: boolean, rule: Object|null, message: string, allowedTransitions: string[] }}
+ */
+export function checkTransition(from, to) {
+  const allowedTransitions = getAllowedTransitions(from);
+  const rule = TRANSITIONS[from]?.[to] || null;
+
+  const message = rule
+    ? `Journey can move from ${from} to ${to}`
+    : `Cannot move a journey from ${from} to ${to}. ` + (allowedTransitions.length
+      ? `Allowed: ${allowedTransitions.join(', ')}`
+      : 'No transitions are allowed from this status');
+
+  return { allowed: Boolean(rule), rule, message, allowedTransitions };
+}
+
+/**
+ * Run the journey validator on a journey loaded with its touchpoints and edges
+ * @throws 422 with the validation result while errors remain
+ */
+async function assertValid(tx, journey, to) {
+  const fieldMappings = await tx.fieldMapping.findMany({
+    where: { clientId: journey.clientId, isActive: true },
+    select: { sourceField: true, targetField: true }
+  });
+
+  const validation = validateJourney({ touchpoints: journey.touchpoints, edges: journey.edges, fieldMappings });
+  if (!validation.valid) {
+    throw httpError(`Fix ${validation.errorCount} validation error(s) before moving the journey to ${to}`, 422, {
+      currentStatus: journey.status,
+      requestedStatus: to,
+      validation: { journeyId: journey.id, validatedAt: new Date().toISOString(), ...validation }
+    });
+  }
+}
+
+const latestApproval = (tx, journeyId, where = {}) => tx.approval.findFirst({
+  where: { journeyId, ...where },
+  orderBy: { createdAt: 'desc' },
+  include: { decisions: true }
+});
+
+/**
+ * The journey's pending Approval, with its row locked until the transaction
+ * ends so decisions on it are recorded and evaluated one at a time. A
+ * request closed while waiting for the lock no longer matches.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} journeyId
+ * @returns {Promise<Object|null>} The Approval with its decisions
+ */
+export async function lockPendingApproval(tx, journeyId) {
+  await tx.$queryRaw`
+    SELECT "id" FROM "approvals"
+    WHERE "journey_id" = ${journeyId} AND "status" = ${ApprovalStatus.PENDING}
+    FOR UPDATE
+  `;
+  return latestApproval(tx, journeyId, { status: ApprovalStatus.PENDING });
+}
+
+/**
+ * The pending Approval a resolve or withdraw closes
+ * @throws 409 when a resolve has nothing to close
+ */
+async function findPendingApproval(tx, journey, to, rule) {
+  const pending = await lockPendingApproval(tx, journey.id);
+  if (!pending && rule.approval === 'resolve') {
+    throw httpError('Journey has no pending approval request', 409, {
+      currentStatus: journey.status,
+      requestedStatus: to,
+      hint: 'Move the journey back to draft and request review again'
+    });
+  }
+  return pending;
+}
+
+/**
+ * Create, close or check the Approval record a transition depends on
+ * @returns {Promise<Object|null>} The Approval row touched, if any
+ */
+async function applyApproval(tx, journey, to, rule, { user, actor, reason, versionId }) {
+  switch (rule.approval) {
+    case 'request':
+      // The policy is copied so later changes to the client's settings
+      // don't move the goalposts for a review already in progress
+      return tx.approval.create({
+        data: {
+          journeyId: journey.id,
+          status: ApprovalStatus.PENDING,
+          comments: reason || null,
+          requestedBy: actor,
+          policy: policyFromSettings(journey.client?.settings)
+        }
+      });
+
+    case 'resolve':
+    case 'withdraw': {
+      const pending = await findPendingApproval(tx, journey, to, rule);
+      if (!pending) return null;
+
+      return tx.approval.update({
+        where: { id: pending.id },
+        data: {
+          status: rule.approval === 'withdraw' ? ApprovalStatus.WITHDRAWN : to,
+          comments: reason || pending.comments,
+          reviewedBy: actor,
+          reviewedAt: new Date(),
+          ...(versionId && { versionId })
+        }
+      });
+    }
+
+    case 'require': {
+      const approval = await latestApproval(tx, journey.id, { status: { not: ApprovalStatus.WITHDRAWN } });
+      if (approval?.status !== ApprovalStatus.APPROVED) {
+        throw httpError('Journey has no approved approval record', 409, {
+          currentStatus: journey.status,
+          requestedStatus: to,
+          latestApproval: approval ? { id: approval.id, status: approval.status } : null
+        });
+      }
+      return approval;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Move a journey to a new status inside the caller's transaction. The audit
+ * entry and outbound events are left to announceTransition, once committed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} journeyId
+ * @param {string} to - Target status
+ * @param {Object} [options] - { user, reason, changes }, as for transitionJourneyStatus
+ * @returns {Promise<Object|null>} As transitionJourneyStatus
+ */
+export async function applyTransition(tx, journeyId, to, { user, reason, changes } = {}) {
+  const actor = user?.email || user?.id || null;
+
+  const journey = await tx.journey.findUnique({
+    where: { id: journeyId },
+    include: {
+      client: { select: { settings: true } },
+      touchpoints: { orderBy: { orderIndex: 'asc' } },
+      edges: { orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }] }
+    }
+  });
+  if (!journey) return null;
+
+  const from = journey.status;
+  const { rule, message, allowedTransitions } = checkTransition(from, to);
+  if (!rule) {
+    throw httpError(message, 409, { currentStatus: from, requestedStatus: to, allowedTransitions });
+  }
+
+  if (user && !can(user, 'journeys', rule.action, journey.clientId)) {
+    throw httpError(`Moving a journey from ${from} to ${to} requires ${rule.action} permission`, 403, {
+      requiredAction: rule.action
+    });
+  }
+
+  if (rule.requiresReason && !reason?.trim()) {
+    throw httpError(`A reason is required to move a journey to ${to}`, 400);
+  }
+
+  // The approved snapshot is taken from the journey as loaded, so content
+  // written alongside the move would never have been reviewed
+  if (LOCKED_STATUSES.includes(to) && changesContent(changes)) {
+    throw httpError(`Journey content can't change in the same request that moves it to ${to}`, 409, {
+      currentStatus: from,
+      requestedStatus: to
+    });
+  }
+
+  if (VALIDATED_STATUSES.includes(to)) {
+    await assertValid(tx, journey, to);
+  }
+
+  // The caller's own decision counts towards the policy; the journey only
+  // moves once the policy is satisfied, and the decision is kept either way
+  if (rule.approval === 'resolve' && user) {
+    const pending = await findPendingApproval(tx, journey, to, rule);
+    const { outcome } = await recordDecision(tx, pending, {
+      clientId: journey.clientId,
+      user,
+      decision: to,
+      comments: reason
+    });
+    if (outcome.status !== to) {
+      const { client, touchpoints, edges, ...current } = journey;
+      const unchanged = changes ? await tx.journey.update({ where: { id: journeyId }, data: changes }) : current;
+      return { journey: unchanged, from, to, approval: pending, version: null, pending: true, outcome };
+    }
+  }
+
+  // Approval snapshots the reviewed state so later edits can be diffed against it
+  let version = null;
+  let versionId = null;
+  if (to === JourneyStatus.APPROVED) {
+    version = await createJourneyVersion(tx, journey, {
+      createdBy: actor,
+      changeLog: `Approved${reason ? `: ${reason}` : ''}`
+    });
+    const saved = await tx.journeyVersion.findUnique({
+      where: { journeyId_version: { journeyId, version } },
+      select: { id: true }
+    });
+    versionId = saved?.id;
+  }
+
+  const approval = await applyApproval(tx, journey, to, rule, { user, actor, reason, versionId });
+
+  const updated = await tx.journey.update({
+    where: { id: journeyId },
+    data: {
+      ...changes,
+      status: to,
+      ...(to === JourneyStatus.APPROVED && { approvedAt: new Date() }),
+      ...(to === JourneyStatus.PUBLISHED && { publishedAt: new Date() })
+    }
+  });
+
+  return { journey: updated, from, to, approval, version };
+}
+
+/**
+ * Audit a committed transition (or a decision that left it pending) and emit
+ * its outbound events
+ * @param {Object|null} result - What applyTransition returned
+ * @param {string} to
+ * @param {Object} [options] - { user, reason, ipAddress }
+ */
+export async function announceTransition(result, to, { user, reason, ipAddress } = {}) {
+  const actor = user?.email || user?.id || null;
+  const journeyId = result?.journey.id;
+
+  if (result?.pending) {
+    await recordAuditEvent({
+      action: AuditAction.APPROVAL_DECISION,
+      userId: user?.id,
+      clientId: result.journey.clientId,
+      resourceType: 'journeys',
+      resourceId: journeyId,
+      details: {
+        approvalId: result.approval.id,
+        decision: to,
+        comments: reason || null,
+        approvedCount: result.outcome.approvedCount,
+        requiredApprovals: result.outcome.requiredApprovals
+      },
+      ipAddress
+    });
+  } else if (result) {
+    await recordAuditEvent({
+      action: AuditAction.JOURNEY_STATUS_CHANGED,
+      userId: user?.id,
+      clientId: result.journey.clientId,
+      resourceType: 'journeys',
+      resourceId: journeyId,
+      details: {
+        from: result.from,
+        to: result.to,
+        actor,
+        reason: reason || null,
+        approvalId: result.approval?.id || null,
+        version: result.version
+      },
+      ipAddress
+    });
+
+    const event = {
+      journeyId,
+      journeyName: result.journey.name,
+      from: result.from,
+      to: result.to,
+      actor,
+      reason: reason || null,
+      version: result.version
+    };
+    await emitOutboundEvent(OutboundEventType.JOURNEY_STATUS_CHANGED, { clientId: result.journey.clientId, data: event });
+    if (result.to === JourneyStatus.APPROVED) {
+      await emitOutboundEvent(OutboundEventType.APPROVAL_GRANTED, {
+        clientId: result.journey.clientId,
+        data: { ...event, approvalId: result.approval?.id || null }
+      });
+    }
+  }
+}
+
+/**
+ * Move a journey to a new status
+ * @param {string} journeyId
+ * @param {string} to - Target status
+ * @param {Object} [options]
+ * @param {Object} [options.user] - req.user; checked against the transition's action
+ * @param {string} [options.reason] - Why; required for rejections
+ * @param {string} [options.ipAddress] - Recorded in the audit entry
+ * @param {Object} [options.changes] - Other journey fields to write in the
+ *   same transaction as the status
+ * @returns {Promise<Object|null>} { journey, from, to, approval, version },
+ *   or null when the journey does not exist. When the caller's approval or
+ *   rejection does not settle the approval policy yet, their decision is
+ *   kept, the status stays and the result has pending: true and the outcome.
+ */
+export async function transitionJourneyStatus(journeyId, to, { user, reason, ipAddress, changes } = {}) {
+  const result = await prisma.$transaction(tx => applyTransition(tx, journeyId, to, { user, reason, changes }));
+  await announceTransition(result, to, { user, reason, ipAddress });
+  return result;
+}
+
+export default {
+  JourneyStatus,
+  JOURNEY_STATUSES,
+  ApprovalStatus,
+  VALIDATED_STATUSES,
+  LOCKED_STATUSES,
+  CONTENT_FIELDS,
+  TRANSITIONS,
+  getAllowedTransitions,
+  checkTransition,
+  changesContent,
+  assertEditable,
+  lockPendingApproval,
+  applyTransition,
+  announceTransition,
+  transitionJourneyStatus
+};
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for the Journey Status State Machine
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    journey: { findUnique: vi.fn(), update: vi.fn() },
+    approval: { findFirst: vi.fn(), create: vi.fn(), update: vi.fn() },
+    approvalDecision: { upsert: vi.fn() },
+    journeyVersion: { findFirst: vi.fn(), findUnique: vi.fn(), create: vi.fn() },
+    fieldMapping: { findMany: vi.fn(async () => []) },
+    auditLog: { create: vi.fn() },
+    outboundWebhook: { findMany: vi.fn(async () => []) },
+    outboundWebhookDelivery: { createMany: vi.fn() }
+  };
+  mockPrisma.$transaction = vi.fn((callback) => callback(mockPrisma));
+  mockPrisma.$queryRaw = vi.fn(async () => []);
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { assertEditable, checkTransition, transitionJourneyStatus } from './journey-status.js';
+
+const approver = { id: 'u1', email: 'amy@example.com', role: 'editor', clientRoles: { c1: 'approver' } };
+const editor = { id: 'u2', email: 'ed@example.com', role: 'editor', clientRoles: { c1: 'editor' } };
+
+const journeyIn = (status) => ({
+  id: 'j1',
+  clientId: 'c1',
+  status,
+  version: 3,
+  name: 'Welcome',
+  touchpoints: [],
+  edges: []
+});
+
+describe('journey-status', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.journey.update.mockImplementation(({ data }) => Promise.resolve({ id: 'j1', clientId: 'c1', ...data }));
+    mockPrisma.approval.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+  });
+
+  it('lists the allowed transitions for an illegal move', () => {
+    expect(checkTransition('draft', 'client_review').allowed).toBe(true);
+
+    const result = checkTransition('draft', 'published');
+    expect(result.allowed).toBe(false);
+    expect(result.allowedTransitions).toEqual(['client_review', 'archived']);
+    expect(result.message).toBe('Cannot move a journey from draft to published. Allowed: client_review, archived');
+  });
+
+  it('rejects a draft jumping straight to published with 409', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('draft'));
+
+    await expect(transitionJourneyStatus('j1', 'published', { user: approver })).rejects.toMatchObject({
+      statusCode: 409,
+      details: { currentStatus: 'draft', requestedStatus: 'published', allowedTransitions: ['client_review', 'archived'] }
+    });
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+  });
+
+  it('opens a pending approval when a draft goes to review', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('draft'));
+    mockPrisma.approval.create.mockResolvedValue({ id: 'ap1', status: 'pending' });
+
+    const result = await transitionJourneyStatus('j1', 'client_review', { user: editor });
+
+    expect(result).toMatchObject({ from: 'draft', to: 'client_review', approval: { id: 'ap1' } });
+    expect(mockPrisma.approval.create).toHaveBeenCalledWith({
+      data: {
+        journeyId: 'j1',
+        status: 'pending',
+        comments: null,
+        requestedBy: 'ed@example.com',
+        policy: { requiredApprovals: 1, approvers: [], requiredRoles: [], ordered: false }
+      }
+    });
+  });
+
+  it('refuses review and publish while the validator reports errors', async () => {
+    const noSubject = { id: 't1', name: 'Welcome email', type: 'email', orderIndex: 0, content: { body: '<p>Hi {{unsubscribe_link}}</p>' }, config: {} };
+    mockPrisma.journey.findUnique.mockResolvedValue({ ...journeyIn('draft'), touchpoints: [noSubject] });
+
+    await expect(transitionJourneyStatus('j1', 'client_review', { user: editor })).rejects.toMatchObject({
+      statusCode: 422,
+      details: {
+        requestedStatus: 'client_review',
+        validation: { valid: false, issues: expect.arrayContaining([expect.objectContaining({ rule: 'email-subject' })]) }
+      }
+    });
+    expect(mockPrisma.approval.create).not.toHaveBeenCalled();
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+  });
+
+  it('snapshots a version, closes the approval and audits on approval', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('client_review'));
+    mockPrisma.journeyVersion.findFirst.mockResolvedValue({ version: 3 });
+    mockPrisma.journeyVersion.findUnique.mockResolvedValue({ id: 'v4-id' });
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap1', status: 'pending', comments: null });
+
+    mockPrisma.outboundWebhook.findMany.mockResolvedValue([{ id: 'sub-1', clientId: null, events: [], status: 'active' }]);
+
+    const result = await transitionJourneyStatus('j1', 'approved', { user: approver, reason: 'Looks good', ipAddress: '10.0.0.1' });
+
+    expect(result.version).toBe(4);
+    expect(mockPrisma.journeyVersion.create.mock.calls[0][0].data).toMatchObject({
+      version: 4,
+      createdBy: 'amy@example.com',
+      changeLog: 'Approved: Looks good'
+    });
+    expect(mockPrisma.approval.update).toHaveBeenCalledWith({
+      where: { id: 'ap1' },
+      data: expect.objectContaining({ status: 'approved', reviewedBy: 'amy@example.com', versionId: 'v4-id', comments: 'Looks good' })
+    });
+    expect(mockPrisma.journey.update).toHaveBeenLastCalledWith({
+      where: { id: 'j1' },
+      data: { status: 'approved', approvedAt: expect.any(Date) }
+    });
+    expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'journey.status_changed',
+        userId: 'u1',
+        resourceId: 'j1',
+        ipAddress: '10.0.0.1',
+        details: { from: 'client_review', to: 'approved', actor: 'amy@example.com', reason: 'Looks good', approvalId: 'ap1', version: 4 }
+      })
+    });
+    expect(mockPrisma.outboundWebhookDelivery.createMany.mock.calls.map(([{ data }]) => data[0].eventType)).toEqual([
+      'journey.status_changed',
+      'approval.granted'
+    ]);
+    expect(mockPrisma.outboundWebhookDelivery.createMany.mock.calls[1][0].data[0]).toMatchObject({
+      clientId: 'c1',
+      payload: { journeyId: 'j1', from: 'client_review', to: 'approved', version: 4, approvalId: 'ap1' }
+    });
+  });
+
+  it('keeps the decision and reports pending until the approval policy is satisfied', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('client_review'));
+    mockPrisma.journeyVersion.findFirst.mockResolvedValue({ version: 3 });
+    mockPrisma.approval.findFirst.mockResolvedValue({
+      id: 'ap1',
+      status: 'pending',
+      policy: { requiredApprovals: 2 },
+      decisions: []
+    });
+
+    const result = await transitionJourneyStatus('j1', 'approved', { user: approver, reason: 'Fine by me' });
+
+    expect(result).toMatchObject({
+      pending: true,
+      from: 'client_review',
+      journey: { id: 'j1', status: 'client_review' },
+      approval: { id: 'ap1' },
+      outcome: { status: 'pending', approvedCount: 1, requiredApprovals: 2 }
+    });
+    expect(mockPrisma.approvalDecision.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: expect.objectContaining({ approvalId: 'ap1', approverEmail: 'amy@example.com', decision: 'approved' })
+    }));
+    expect(mockPrisma.approval.update).not.toHaveBeenCalled();
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+    expect(mockPrisma.journeyVersion.create).not.toHaveBeenCalled();
+    expect(mockPrisma.auditLog.create.mock.calls.map(([{ data }]) => data.action)).toEqual(['approval.decision']);
+  });
+
+  it('writes other fields in the same update as the status', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('approved'));
+
+    await transitionJourneyStatus('j1', 'draft', { user: editor, changes: { name: 'Welcome v2', version: { increment: 1 } } });
+
+    expect(mockPrisma.journey.update).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.journey.update).toHaveBeenCalledWith({
+      where: { id: 'j1' },
+      data: { name: 'Welcome v2', version: { increment: 1 }, status: 'draft' }
+    });
+  });
+
+  it('refuses content edits to approved and published journeys', async () => {
+    expect(() => assertEditable(journeyIn('draft'))).not.toThrow();
+    expect(() => assertEditable(journeyIn('published'))).toThrow(expect.objectContaining({
+      statusCode: 409,
+      details: expect.objectContaining({ currentStatus: 'published' })
+    }));
+
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('approved'));
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap1', status: 'approved' });
+    await expect(transitionJourneyStatus('j1', 'published', { user: approver, changes: { name: 'Welcome v2' } }))
+      .rejects.toMatchObject({ statusCode: 409, details: { currentStatus: 'approved', requestedStatus: 'published' } });
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+  });
+
+  it('guards transitions by role, reason and approval record', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('client_review'));
+    await expect(transitionJourneyStatus('j1', 'approved', { user: editor })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(transitionJourneyStatus('j1', 'rejected', { user: approver })).rejects.toMatchObject({ statusCode: 400 });
+
+    mockPrisma.approval.findFirst.mockResolvedValue(null);
+    await expect(transitionJourneyStatus('j1', 'rejected', { user: approver, reason: 'Too formal' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Journey has no pending approval request' });
+
+    mockPrisma.journey.findUnique.mockResolvedValue(journeyIn('approved'));
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap2', status: 'rejected' });
+    await expect(transitionJourneyStatus('j1', 'published', { user: approver }))
+      .rejects.toMatchObject({ statusCode: 409, details: { latestApproval: { id: 'ap2', status: 'rejected' } } });
+
+    expect(mockPrisma.journey.update).not.toHaveBeenCalled();
+    expect(mockPrisma.auditLog.create).not.toHaveBeenCalled();
+  });
+});
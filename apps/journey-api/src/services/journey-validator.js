@@ -0,0 +1,288 @@
+/**
+ * Journey Validator
+ * Structural and content lint rules run before a journey goes to client
+ * review or is deployed. Works on the persisted graph from journey-graph.js,
+ * so journeys without stored edges are checked in touchpoint order.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { Branch, isConditionTouchpoint, normalizeEdge, validateGraph, deriveLinearEdges } from './journey-graph.js';
+
+const prisma = new PrismaClient();
+
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+export const Rule = {
+  GRAPH: 'graph',
+  UNREACHABLE: 'unreachable',
+  DEAD_END: 'dead-end',
+  CONDITION_OUTCOMES: 'condition-outcomes',
+  ZERO_WAIT: 'zero-wait',
+  EMAIL_SUBJECT: 'email-subject',
+  EMAIL_UNSUBSCRIBE: 'email-unsubscribe',
+  SMS_SEGMENTS: 'sms-segments',
+  UNKNOWN_MERGE_FIELD: 'unknown-merge-field'
+};
+
+// Carriers drop or truncate long concatenated messages
+export const MAX_SMS_SEGMENTS = 10;
+
+// GSM 03.38 basic set; extension characters take two septets
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+// Merge fields GHL fills without a FieldMapping
+const BUILT_IN_FIELDS = [
+  'first_name', 'last_name', 'name', 'full_name', 'email', 'phone', 'company_name',
+  'address1', 'city', 'state', 'postal_code', 'country', 'website', 'date_of_birth',
+  'source', 'tags', 'unsubscribe_url', 'unsubscribe_link', 'preferences_url', 'view_in_browser'
+];
+const BUILT_IN_NAMESPACES = ['location', 'user', 'appointment', 'message', 'right_now', 'campaign'];
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// first_name, firstName and First Name all refer to the same field
+const fieldKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const typeOf = (touchpoint) => touchpoint.type?.toLowerCase();
+
+/**
+ * Count SMS segments for a message body
+ * @param {string} text
+ * @returns {{ encoding: string, length: number, segments: number }}
+ */
+export function countSmsSegments(text = '') {
+  const chars = [...text];
+  const isGsm = chars.every(ch => GSM_BASIC.includes(ch) || GSM_EXTENDED.includes(ch));
+
+  if (isGsm) {
+    const length = chars.reduce((sum, ch) => sum + (GSM_EXTENDED.includes(ch) ? 2 : 1), 0);
+    return { encoding: 'GSM-7', length, segments: length <= 160 ? 1 : Math.ceil(length / 153) };
+  }
+
+  // UCS-2 counts UTF-16 code units
+  const length = text.length;
+  return { encoding: 'UCS-2', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+}
+
+/**
+ * Merge field names used in a piece of content, e.g. "contact.first_name"
+ * @param {...string} texts
+ * @returns {string[]}
+ */
+export function extractMergeFields(...texts) {
+  const fields = new Set();
+  for (const text of texts) {
+    if (typeof text !== 'string') continue;
+    for (const match of text.matchAll(MERGE_FIELD_PATTERN)) {
+      // Drop filters/defaults such as {{ contact.first_name | default: "there" }}
+      fields.add(match[1].split('|')[0].trim());
+    }
+  }
+  return [...fields];
+}
+
+/**
+ * Build a lookup of merge fields a client can use
+ * @param {Array} fieldMappings - Active FieldMapping rows
+ * @returns {Function} (fieldName) => boolean
+ */
+export function buildMergeFieldResolver(fieldMappings = []) {
+  const known = new Set(BUILT_IN_FIELDS.map(fieldKey));
+  for (const mapping of fieldMappings) {
+    for (const name of [mapping.sourceField, mapping.targetField]) {
+      if (!name) continue;
+      known.add(fieldKey(name));
+      known.add(fieldKey(name.split('.').pop()));
+    }
+  }
+
+  return (field) => {
+    const [namespace, ...rest] = field.split('.');
+    if (rest.length > 0 && BUILT_IN_NAMESPACES.includes(namespace)) return true;
+    const name = namespace === 'contact' && rest.length > 0 ? rest.join('.') : field;
+    return known.has(fieldKey(name)) || known.has(fieldKey(name.split('.').pop()));
+  };
+}
+
+const waitDuration = (touchpoint) => {
+  const content = touchpoint.content || {};
+  const config = touchpoint.config || {};
+  return Number(content.duration ?? config.delay ?? config.duration ?? 0);
+};
+
+/**
+ * Run every rule against a journey's touchpoints and edges
+ * @param {Object} input
+ * @param {Array} input.touchpoints - Touchpoint rows (id, name, type, orderIndex, content, config)
+ * @param {Array} input.edges - Graph edges; derived from order when empty
+ * @param {Array} [input.fieldMappings] - The client's active FieldMapping rows
+ * @returns {Object} { valid, errorCount, warningCount, issues, byTouchpoint }
+ */
+export function validateJourney({ touchpoints, edges = [], fieldMappings = [] }) {
+  const issues = [];
+  const add = (rule, severity, touchpoint, message) => issues.push({
+    rule,
+    severity,
+    touchpointId: touchpoint?.id || null,
+    touchpointName: touchpoint?.name || null,
+    message
+  });
+
+  const graphEdges = edges.length > 0 ? edges.map(normalizeEdge) : deriveLinearEdges(touchpoints);
+
+  for (const message of validateGraph(touchpoints, graphEdges)) {
+    add(Rule.GRAPH, Severity.ERROR, null, message);
+  }
+
+  const outgoing = new Map(touchpoints.map(tp => [tp.id, []]));
+  const incoming = new Set();
+  for (const edge of graphEdges) {
+    outgoing.get(edge.sourceId)?.push(edge);
+    incoming.add(edge.targetId);
+  }
+
+  // Reachability from the first touchpoint nothing links to
+  const sorted = [...touchpoints].sort((a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0));
+  const start = sorted.find(tp => !incoming.has(tp.id)) || sorted[0];
+  const reached = new Set();
+  const queue = start ? [start.id] : [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (reached.has(id)) continue;
+    reached.add(id);
+    (outgoing.get(id) || []).forEach(edge => queue.push(edge.targetId));
+  }
+
+  const endpoints = sorted.filter(tp => (outgoing.get(tp.id) || []).length === 0);
+  const finalEndpoint = endpoints[endpoints.length - 1];
+  const isKnownField = buildMergeFieldResolver(fieldMappings);
+
+  for (const touchpoint of sorted) {
+    const type = typeOf(touchpoint);
+    const content = touchpoint.content || {};
+    const links = outgoing.get(touchpoint.id) || [];
+
+    if (!reached.has(touchpoint.id)) {
+      add(Rule.UNREACHABLE, Severity.ERROR, touchpoint,
+        `"${touchpoint.name}" cannot be reached from "${start.name}"`);
+    }
+
+    if (links.length === 0 && (isConditionTouchpoint(touchpoint) || type === 'wait')) {
+      add(Rule.DEAD_END, Severity.ERROR, touchpoint,
+        `"${touchpoint.name}" is a ${type} step with nothing after it`);
+    } else if (links.length === 0 && touchpoint !== finalEndpoint && reached.has(touchpoint.id)) {
+      add(Rule.DEAD_END, Severity.WARNING, touchpoint,
+        `Path ends at "${touchpoint.name}" while the journey continues to "${finalEndpoint.name}"`);
+    }
+
+    if (isConditionTouchpoint(touchpoint) && links.length > 0) {
+      const hasElse = links.some(e => e.branch === Branch.NO || e.branch === Branch.DEFAULT);
+      const hasIf = links.some(e => e.branch !== Branch.NO && e.branch !== Branch.DEFAULT);
+      if (!hasIf || !hasElse) {
+        add(Rule.CONDITION_OUTCOMES, Severity.ERROR, touchpoint,
+          `Condition "${touchpoint.name}" needs both outcomes; missing the ${hasIf ? '"no"' : '"yes"'} link`);
+      }
+    }
+
+    if (type === 'wait' && !(waitDuration(touchpoint) > 0)) {
+      add(Rule.ZERO_WAIT, Severity.ERROR, touchpoint, `Wait "${touchpoint.name}" has no duration`);
+    }
+
+    if (type === 'email') {
+      const subject = content.subject || touchpoint.config?.subject;
+      const body = content.body || content.html || touchpoint.config?.content || '';
+
+      if (!subject?.trim()) {
+        add(Rule.EMAIL_SUBJECT, Severity.ERROR, touchpoint, `Email "${touchpoint.name}" has no subject line`);
+      }
+      // An email without a body has no footer either
+      if (!body.trim()) {
+        add(Rule.EMAIL_UNSUBSCRIBE, Severity.ERROR, touchpoint,
+          `Email "${touchpoint.name}" has no body, so no unsubscribe link`);
+      } else if (!/unsubscribe/i.test(body)) {
+        add(Rule.EMAIL_UNSUBSCRIBE, Severity.ERROR, touchpoint,
+          `Email "${touchpoint.name}" has no unsubscribe link in its footer`);
+      }
+    }
+
+    if (type === 'sms') {
+      const body = content.body || content.message || touchpoint.config?.content || '';
+      const { encoding, length, segments } = countSmsSegments(body);
+
+      if (segments > MAX_SMS_SEGMENTS) {
+        add(Rule.SMS_SEGMENTS, Severity.ERROR, touchpoint,
+          `SMS "${touchpoint.name}" is ${segments} segments (${length} ${encoding} chars); the limit is ${MAX_SMS_SEGMENTS}`);
+      } else if (segments > 1) {
+        add(Rule.SMS_SEGMENTS, Severity.WARNING, touchpoint,
+          `SMS "${touchpoint.name}" will send as ${segments} segments (${length} ${encoding} chars)`);
+      }
+    }
+
+    const fields = extractMergeFields(content.subject, content.body, content.html, content.message, content.previewText);
+    for (const field of fields.filter(f => !isKnownField(f))) {
+      add(Rule.UNKNOWN_MERGE_FIELD, Severity.ERROR, touchpoint,
+        `"${touchpoint.name}" uses {{${field}}}, which has no field mapping for this client`);
+    }
+  }
+
+  const byTouchpoint = {};
+  for (const issue of issues.filter(i => i.touchpointId)) {
+    (byTouchpoint[issue.touchpointId] ||= []).push(issue);
+  }
+
+  const errorCount = issues.filter(i => i.severity === Severity.ERROR).length;
+
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    issues,
+    byTouchpoint
+  };
+}
+
+/**
+ * Load a journey and validate it
+ * @param {string} journeyId
+ * @returns {Promise<Object|null>} Validation result, or null when the journey does not exist
+ */
+export async function validateJourneyById(journeyId) {
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: {
+      id: true,
+      clientId: true,
+      touchpoints: { orderBy: { orderIndex: 'asc' } },
+      edges: { orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }] }
+    }
+  });
+
+  if (!journey) return null;
+
+  const fieldMappings = await prisma.fieldMapping.findMany({
+    where: { clientId: journey.clientId, isActive: true },
+    select: { sourceField: true, targetField: true }
+  });
+
+  return {
+    journeyId: journey.id,
+    validatedAt: new Date().toISOString(),
+    ...validateJourney({ touchpoints: journey.touchpoints, edges: journey.edges, fieldMappings })
+  };
+}
+
+export default {
+  Severity,
+  Rule,
+  MAX_SMS_SEGMENTS,
+  countSmsSegments,
+  extractMergeFields,
+  buildMergeFieldResolver,
+  validateJourney,
+  validateJourneyById
+};
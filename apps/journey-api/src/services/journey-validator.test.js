@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for the Journey Validator
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({}))
+}));
+
+import { validateJourney, countSmsSegments, extractMergeFields, Rule, Severity } from './journey-validator.js';
+
+const footer = '<p><a href="{{unsubscribe_url}}">Unsubscribe</a></p>';
+
+const email = (id, orderIndex, content = {}) => ({
+  id, name: id, type: 'email', orderIndex,
+  content: { subject: 'Hello', body: `<p>Hi</p>${footer}`, ...content }
+});
+
+const rules = (result) => result.issues.map(issue => [issue.rule, issue.touchpointId]);
+
+describe('journey-validator', () => {
+  it('passes a clean linear journey', () => {
+    const result = validateJourney({
+      touchpoints: [
+        email('welcome', 0, { subject: 'Hi {{contact.first_name}}' }),
+        { id: 'pause', name: 'pause', type: 'wait', orderIndex: 1, content: { duration: 2, unit: 'day' } },
+        email('followup', 2)
+      ]
+    });
+
+    expect(result).toMatchObject({ valid: true, errorCount: 0, warningCount: 0, issues: [] });
+  });
+
+  it('finds unreachable touchpoints, dead ends and missing condition outcomes', () => {
+    const result = validateJourney({
+      touchpoints: [
+        email('welcome', 0),
+        { id: 'opened', name: 'opened', type: 'condition', orderIndex: 1, content: {} },
+        email('call', 2),
+        email('orphan', 3),
+        email('end', 4)
+      ],
+      edges: [
+        { sourceId: 'welcome', targetId: 'opened' },
+        { sourceId: 'opened', targetId: 'call', branch: 'yes' },
+        { sourceId: 'orphan', targetId: 'end' }
+      ]
+    });
+
+    expect(rules(result)).toEqual([
+      [Rule.CONDITION_OUTCOMES, 'opened'],
+      [Rule.DEAD_END, 'call'],
+      [Rule.UNREACHABLE, 'orphan'],
+      [Rule.UNREACHABLE, 'end']
+    ]);
+    expect(result.byTouchpoint.call[0].severity).toBe(Severity.WARNING);
+    expect(result.valid).toBe(false);
+  });
+
+  it('checks waits, email subjects and footers, and SMS segments', () => {
+    const result = validateJourney({
+      touchpoints: [
+        email('nosubject', 0, { subject: '' }),
+        email('nofooter', 1, { body: '<p>Hi</p>' }),
+        { id: 'pause', name: 'pause', type: 'wait', orderIndex: 2, content: { duration: 0 } },
+        { id: 'long', name: 'long', type: 'sms', orderIndex: 3, content: { body: 'x'.repeat(200) } },
+        { id: 'huge', name: 'huge', type: 'sms', orderIndex: 4, content: { body: '😀'.repeat(400) } }
+      ]
+    });
+
+    expect(rules(result)).toEqual([
+      [Rule.EMAIL_SUBJECT, 'nosubject'],
+      [Rule.EMAIL_UNSUBSCRIBE, 'nofooter'],
+      [Rule.ZERO_WAIT, 'pause'],
+      [Rule.SMS_SEGMENTS, 'long'],
+      [Rule.SMS_SEGMENTS, 'huge']
+    ]);
+    expect(result.byTouchpoint.long[0].severity).toBe(Severity.WARNING);
+    expect(result.byTouchpoint.huge[0].severity).toBe(Severity.ERROR);
+  });
+
+  it('flags emails with an empty or missing body as missing the unsubscribe link', () => {
+    const result = validateJourney({
+      touchpoints: [
+        email('empty', 0, { body: '' }),
+        email('blank', 1, { body: '  \n ' }),
+        { id: 'nobody', name: 'nobody', type: 'email', orderIndex: 2, content: { subject: 'Hello' } }
+      ]
+    });
+
+    expect(rules(result)).toEqual([
+      [Rule.EMAIL_UNSUBSCRIBE, 'empty'],
+      [Rule.EMAIL_UNSUBSCRIBE, 'blank'],
+      [Rule.EMAIL_UNSUBSCRIBE, 'nobody']
+    ]);
+    expect(result.byTouchpoint.nobody[0]).toMatchObject({
+      severity: Severity.ERROR,
+      message: 'Email "nobody" has no body, so no unsubscribe link'
+    });
+  });
+
+  it('flags merge fields without a field mapping', () => {
+    const touchpoints = [email('welcome', 0, { body: `Your date: {{contact.wedding_date}} {{location.name}}${footer}` })];
+
+    expect(rules(validateJourney({ touchpoints }))).toEqual([[Rule.UNKNOWN_MERGE_FIELD, 'welcome']]);
+    expect(validateJourney({
+      touchpoints,
+      fieldMappings: [{ sourceField: 'weddingDate', targetField: 'custom_field_123' }]
+    }).valid).toBe(true);
+  });
+
+  it('counts SMS segments by encoding', () => {
+    expect(countSmsSegments('a'.repeat(160))).toEqual({ encoding: 'GSM-7', length: 160, segments: 1 });
+    expect(countSmsSegments('a'.repeat(161)).segments).toBe(2);
+    expect(countSmsSegments('€'.repeat(80))).toEqual({ encoding: 'GSM-7', length: 160, segments: 1 });
+    expect(countSmsSegments('é'.repeat(10) + 'ł')).toMatchObject({ encoding: 'UCS-2', segments: 1 });
+    expect(extractMergeFields('Hi {{ contact.first_name | default: "there" }}')).toEqual(['contact.first_name']);
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Journey Versions Service
+ * Snapshots of a journey (fields, touchpoints and graph edges) stored in
+ * JourneyVersion.snapshot, restoring a journey from one, and diffing two.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { compareJourneys } from '@bloom/data/version-compare';
+import { httpError } from '../middleware/error-handler.js';
+import { assertEditable } from './journey-status.js';
+
+const prisma = new PrismaClient();
+
+// Touchpoint columns restored from a snapshot
+const TOUCHPOINT_FIELDS = [
+  'name', 'type', 'orderIndex', 'content', 'config', 'position',
+  'ghlTemplateId', 'status', 'nextTouchpointId'
+];
+
+const EDGE_FIELDS = ['sourceId', 'targetId', 'branch', 'label', 'condition', 'orderIndex'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Build the snapshot stored in JourneyVersion.snapshot
+ * @param {Object} journey - Journey with touchpoints and edges included
+ */
+export function buildSnapshot(journey) {
+  return {
+    journey: {
+      name: journey.name,
+      description: journey.description,
+      category: journey.category,
+      triggerConfig: journey.triggerConfig,
+      goal: journey.goal
+    },
+    touchpoints: journey.touchpoints || [],
+    edges: journey.edges || []
+  };
+}
+
+/**
+ * Snapshot a journey as a new version and bump Journey.version
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} journey - Journey with touchpoints and edges included
+ * @param {Object} [options]
+ * @param {string} [options.createdBy]
+ * @param {string} [options.changeLog]
+ * @returns {Promise<number>} The new version number
+ */
+export async function createJourneyVersion(tx, journey, { createdBy, changeLog } = {}) {
+  const latest = await tx.journeyVersion.findFirst({
+    where: { journeyId: journey.id },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  const version = Math.max(journey.version, latest?.version || 0) + 1;
+
+  await tx.journeyVersion.create({
+    data: {
+      journeyId: journey.id,
+      version,
+      snapshot: buildSnapshot(journey),
+      createdBy,
+      changeLog
+    }
+  });
+
+  await tx.journey.update({
+    where: { id: journey.id },
+    data: { version }
+  });
+
+  return version;
+}
+
+const loadJourney = (client, id) => client.journey.findUnique({
+  where: { id },
+  include: {
+    touchpoints: { orderBy: { orderIndex: 'asc' } },
+    edges: { orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }] }
+  }
+});
+
+/**
+ * Snapshot the journey's current state
+ * @param {string} journeyId
+ * @param {Object} [options] - { createdBy, changeLog }
+ * @returns {Promise<number|null>} The new version, or null when the journey does not exist
+ */
+export async function snapshotJourney(journeyId, options = {}) {
+  return prisma.$transaction(async (tx) => {
+    const journey = await loadJourney(tx, journeyId);
+    if (!journey) return null;
+    return createJourneyVersion(tx, journey, options);
+  });
+}
+
+/**
+ * Rewrite a journey, its touchpoints and its graph from a saved version.
+ * The current state is snapshotted first so the restore can be undone, and
+ * the restored state is recorded as the newest version.
+ * @param {string} journeyId
+ * @param {number} version - Version to restore
+ * @param {Object} [options]
+ * @param {string} [options.createdBy]
+ * @returns {Promise<Object|null>} { journey, restoredFrom, backupVersion, version },
+ *   or null when the journey does not exist
+ * @throws 409 while the journey is approved or published
+ */
+export async function restoreJourneyVersion(journeyId, version, { createdBy } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const journey = await loadJourney(tx, journeyId);
+    if (!journey) return null;
+    assertEditable(journey);
+
+    const saved = await tx.journeyVersion.findUnique({
+      where: { journeyId_version: { journeyId, version } }
+    });
+    if (!saved) {
+      throw httpError(`Version ${version} not found`, 404);
+    }
+
+    const backupVersion = await createJourneyVersion(tx, journey, {
+      createdBy,
+      changeLog: `Automatic snapshot before restoring version ${version}`
+    });
+
+    const { journey: fields = {}, touchpoints = [], edges = [] } = saved.snapshot || {};
+    const keepIds = touchpoints.map(tp => tp.id).filter(Boolean);
+
+    await tx.journey.update({
+      where: { id: journeyId },
+      data: {
+        name: fields.name ?? journey.name,
+        description: fields.description ?? null,
+        category: fields.category ?? null,
+        triggerConfig: fields.triggerConfig ?? undefined,
+        goal: fields.goal ?? null
+      }
+    });
+
+    // Edges reference touchpoints, so clear them before touchpoints change
+    await tx.touchpointEdge.deleteMany({ where: { journeyId } });
+    await tx.touchpoint.deleteMany({ where: { journeyId, id: { notIn: keepIds } } });
+
+    // Upsert by ID so touchpoints that still exist keep their analytics
+    for (const [index, touchpoint] of touchpoints.entries()) {
+      const data = { orderIndex: index, ...pick(touchpoint, TOUCHPOINT_FIELDS) };
+      await tx.touchpoint.upsert({
+        where: { id: touchpoint.id },
+        create: { ...data, id: touchpoint.id, journeyId },
+        update: data
+      });
+    }
+
+    // Snapshots taken before the graph existed have no edges; the graph is
+    // then derived from nextTouchpointId again
+    if (edges.length > 0) {
+      await tx.touchpointEdge.createMany({
+        data: edges.map(edge => ({ ...pick(edge, EDGE_FIELDS), journeyId }))
+      });
+    }
+
+    const restored = await loadJourney(tx, journeyId);
+    const newVersion = await createJourneyVersion(tx, restored, {
+      createdBy,
+      changeLog: `Restored from version ${version}`
+    });
+
+    return {
+      journey: { ...restored, version: newVersion },
+      restoredFrom: version,
+      backupVersion,
+      version: newVersion
+    };
+  });
+}
+
+/**
+ * The version a journey was last approved at: the version linked to the
+ * latest approved Approval, else the last version saved before approvedAt
+ * @param {string} journeyId
+ * @returns {Promise<Object|null>} JourneyVersion row
+ */
+export async function findApprovedVersion(journeyId) {
+  const approval = await prisma.approval.findFirst({
+    where: { journeyId, status: 'approved', versionId: { not: null } },
+    orderBy: [{ reviewedAt: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }]
+  });
+
+  if (approval) {
+    const version = await prisma.journeyVersion.findUnique({ where: { id: approval.versionId } });
+    if (version) return version;
+  }
+
+  const journey = await prisma.journey.findUnique({
+    where: { id: journeyId },
+    select: { approvedAt: true }
+  });
+  if (!journey?.approvedAt) return null;
+
+  return prisma.journeyVersion.findFirst({
+    where: { journeyId, createdAt: { lte: journey.approvedAt } },
+    orderBy: { version: 'desc' }
+  });
+}
+
+// Shape compareJourneys expects: journey fields at the top level
+const comparable = (id, version, snapshot) => ({
+  id,
+  version,
+  ...(snapshot.journey || {}),
+  touchpoints: snapshot.touchpoints || []
+});
+
+/**
+ * Diff two versions of a journey
+ * @param {string} journeyId
+ * @param {Object} [options]
+ * @param {number|'approved'} [options.from='approved'] - Version number, or the last approved version
+ * @param {number|'current'} [options.to='current'] - Version number, or the journey as it is now
+ * @returns {Promise<Object|null>} { from, to, comparison }, or null when the journey does not exist
+ */
+export async function diffJourneyVersions(journeyId, { from = 'approved', to = 'current' } = {}) {
+  const journey = await loadJourney(prisma, journeyId);
+  if (!journey) return null;
+
+  const load = async (version) => {
+    if (version === 'current') {
+      return { version: 'current', label: `current (v${journey.version})`, snapshot: buildSnapshot(journey) };
+    }
+
+    const saved = version === 'approved'
+      ? await findApprovedVersion(journeyId)
+      : await prisma.journeyVersion.findUnique({ where: { journeyId_version: { journeyId, version } } });
+
+    if (!saved) {
+      throw httpError(version === 'approved'
+        ? 'Journey has no approved version to compare against; pass ?from=<version>'
+        : `Version ${version} not found`, 404);
+    }
+    return { version: saved.version, label: `v${saved.version}`, createdAt: saved.createdAt, snapshot: saved.snapshot || {} };
+  };
+
+  const [older, newer] = await Promise.all([load(from), load(to)]);
+  const comparison = compareJourneys(
+    comparable(journeyId, older.label, older.snapshot),
+    comparable(journeyId, newer.label, newer.snapshot)
+  );
+
+  const describe = ({ version, createdAt }) => ({ version, ...(createdAt && { createdAt }) });
+
+  return { from: describe(older), to: describe(newer), comparison };
+}
+
+export default {
+  buildSnapshot,
+  createJourneyVersion,
+  snapshotJourney,
+  restoreJourneyVersion,
+  findApprovedVersion,
+  diffJourneyVersions
+};
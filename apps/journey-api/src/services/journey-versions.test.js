@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Journey Versions
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    journey: { findUnique: vi.fn(), update: vi.fn() },
+    approval: { findFirst: vi.fn() },
+    journeyVersion: { findFirst: vi.fn(), findUnique: vi.fn(), create: vi.fn() },
+    touchpoint: { deleteMany: vi.fn(), upsert: vi.fn() },
+    touchpointEdge: { deleteMany: vi.fn(), createMany: vi.fn() }
+  };
+  mockPrisma.$transaction = vi.fn((callback) => callback(mockPrisma));
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { buildSnapshot, snapshotJourney, restoreJourneyVersion, diffJourneyVersions } from './journey-versions.js';
+
+const current = {
+  id: 'j1',
+  name: 'Current',
+  description: 'Now',
+  category: 'wedding',
+  goal: null,
+  triggerConfig: null,
+  version: 4,
+  touchpoints: [
+    { id: 'a', name: 'A', type: 'email', orderIndex: 0, content: {}, config: {} },
+    { id: 'c', name: 'C', type: 'sms', orderIndex: 1, content: {}, config: {} }
+  ],
+  edges: [{ sourceId: 'a', targetId: 'c', branch: 'default' }]
+};
+
+describe('journey-versions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.journey.findUnique.mockResolvedValue(current);
+    mockPrisma.journeyVersion.findFirst.mockResolvedValue({ version: 4 });
+  });
+
+  it('snapshots journey fields, touchpoints and edges as the next version', async () => {
+    const version = await snapshotJourney('j1', { createdBy: 'amy@example.com', changeLog: 'Before launch' });
+
+    expect(version).toBe(5);
+    expect(mockPrisma.journeyVersion.create).toHaveBeenCalledWith({
+      data: {
+        journeyId: 'j1',
+        version: 5,
+        snapshot: buildSnapshot(current),
+        createdBy: 'amy@example.com',
+        changeLog: 'Before launch'
+      }
+    });
+    expect(buildSnapshot(current).edges).toEqual(current.edges);
+    expect(mockPrisma.journey.update).toHaveBeenCalledWith({ where: { id: 'j1' }, data: { version: 5 } });
+  });
+
+  it('restores a version after snapshotting the current state', async () => {
+    mockPrisma.journeyVersion.findFirst
+      .mockResolvedValueOnce({ version: 4 })
+      .mockResolvedValueOnce({ version: 5 });
+    mockPrisma.journeyVersion.findUnique.mockResolvedValue({
+      version: 2,
+      snapshot: {
+        journey: { name: 'Original', description: 'Then', category: 'wedding' },
+        touchpoints: [
+          { id: 'a', name: 'A (v2)', type: 'email', orderIndex: 0, content: { subject: 'Hi' }, config: {}, journeyId: 'j1', createdAt: 'x' },
+          { id: 'b', name: 'B', type: 'wait', orderIndex: 1, content: { duration: 1 }, config: {} }
+        ],
+        edges: [{ id: 'e1', sourceId: 'a', targetId: 'b', branch: 'default', journeyId: 'j1' }]
+      }
+    });
+
+    const result = await restoreJourneyVersion('j1', 2, { createdBy: 'amy@example.com' });
+
+    expect(result).toMatchObject({ restoredFrom: 2, backupVersion: 5, version: 6 });
+    expect(mockPrisma.journeyVersion.create.mock.calls[0][0].data).toMatchObject({
+      version: 5,
+      changeLog: 'Automatic snapshot before restoring version 2'
+    });
+    expect(mockPrisma.journeyVersion.create.mock.calls[1][0].data).toMatchObject({
+      version: 6,
+      changeLog: 'Restored from version 2'
+    });
+
+    expect(mockPrisma.journey.update).toHaveBeenCalledWith({
+      where: { id: 'j1' },
+      data: expect.objectContaining({ name: 'Original', description: 'Then' })
+    });
+    expect(mockPrisma.touchpoint.deleteMany).toHaveBeenCalledWith({ where: { journeyId: 'j1', id: { notIn: ['a', 'b'] } } });
+    expect(mockPrisma.touchpoint.upsert).toHaveBeenCalledTimes(2);
+    expect(mockPrisma.touchpoint.upsert.mock.calls[0][0]).toEqual({
+      where: { id: 'a' },
+      create: { id: 'a', journeyId: 'j1', name: 'A (v2)', type: 'email', orderIndex: 0, content: { subject: 'Hi' }, config: {} },
+      update: { name: 'A (v2)', type: 'email', orderIndex: 0, content: { subject: 'Hi' }, config: {} }
+    });
+    expect(mockPrisma.touchpointEdge.createMany).toHaveBeenCalledWith({
+      data: [{ sourceId: 'a', targetId: 'b', branch: 'default', journeyId: 'j1' }]
+    });
+  });
+
+  it('fails with 404 for a missing version and null for a missing journey', async () => {
+    mockPrisma.journeyVersion.findUnique.mockResolvedValue(null);
+    await expect(restoreJourneyVersion('j1', 9)).rejects.toMatchObject({ statusCode: 404, message: 'Version 9 not found' });
+    expect(mockPrisma.touchpoint.upsert).not.toHaveBeenCalled();
+
+    mockPrisma.journey.findUnique.mockResolvedValue(null);
+    expect(await restoreJourneyVersion('missing', 1)).toBeNull();
+  });
+
+  it('refuses to restore an approved or published journey', async () => {
+    mockPrisma.journey.findUnique.mockResolvedValue({ ...current, status: 'published' });
+
+    await expect(restoreJourneyVersion('j1', 2)).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockPrisma.journeyVersion.create).not.toHaveBeenCalled();
+    expect(mockPrisma.touchpoint.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('diffs the last approved version against the current journey', async () => {
+    mockPrisma.approval.findFirst.mockResolvedValue({ id: 'ap1', versionId: 'v3-id' });
+    mockPrisma.journeyVersion.findUnique.mockResolvedValue({
+      id: 'v3-id',
+      version: 3,
+      createdAt: new Date('2026-03-01'),
+      snapshot: {
+        journey: { name: 'Current', description: 'Before', category: 'wedding' },
+        touchpoints: [{ id: 'a', name: 'A', type: 'email', orderIndex: 0, content: {}, config: {} }]
+      }
+    });
+
+    const result = await diffJourneyVersions('j1');
+
+    expect(mockPrisma.journeyVersion.findUnique).toHaveBeenCalledWith({ where: { id: 'v3-id' } });
+    expect(result.from).toEqual({ version: 3, createdAt: new Date('2026-03-01') });
+    expect(result.to).toEqual({ version: 'current' });
+    expect(result.comparison.summary).toMatchObject({ fieldsChanged: 1, added: 1, removed: 0 });
+    expect(result.comparison.addedTouchpoints.map(tp => tp.id)).toEqual(['c']);
+  });
+
+  it('fails with 404 when there is no approved version', async () => {
+    mockPrisma.approval.findFirst.mockResolvedValue(null);
+    mockPrisma.journey.findUnique
+      .mockResolvedValueOnce(current)
+      .mockResolvedValueOnce({ approvedAt: null });
+
+    await expect(diffJourneyVersions('j1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
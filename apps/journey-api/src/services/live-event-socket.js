@@ -0,0 +1,163 @@
+/**
+ * Live Event Socket
+ * WebSocket transport for the analytics stream, for clients that prefer a
+ * socket to Server-Sent Events. Push-only: the server sends each event as a
+ * JSON text message; anything the client sends is ignored.
+ *
+ *   const socket = new WebSocket(
+ *     'wss://api.example.com/api/analytics/stream/ws?clientId=...&types=analytics_event',
+ *     ['bearer', accessToken]
+ *   );
+ *
+ * Browsers cannot set an Authorization header on a WebSocket, so the access
+ * token travels as the second subprotocol and the server answers with
+ * "bearer". Filters are the same query parameters as the SSE endpoint.
+ *
+ * The token and user are checked again every LIVE_SOCKET_REAUTH_MS. When the
+ * token has expired, the user is deactivated or loses access to the requested
+ * client, the socket is closed with code 4001 and the client reconnects with
+ * a fresh token. A stream without a clientId carries on with the clients the
+ * user can see at that point.
+ */
+
+import { WebSocketServer } from 'ws';
+import { verifyAccessToken } from './auth-service.js';
+import { loadActiveUser } from '../middleware/auth.js';
+import { resolveStreamFilter, subscribeLiveEvents } from './live-events.js';
+
+export const LIVE_SOCKET_PATH = '/api/analytics/stream/ws';
+
+// Clients only send control frames, so anything bigger is abuse
+export const MAX_CLIENT_PAYLOAD_BYTES = 4 * 1024;
+
+export const CloseCode = {
+  UNAUTHORIZED: 4001
+};
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden' };
+
+// Read lazily: this module is imported before index.js loads .env
+function reauthIntervalMs() {
+  return parseInt(process.env.LIVE_SOCKET_REAUTH_MS) || 60000;
+}
+
+function reject(socket, statusCode, message) {
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${STATUS_TEXT[statusCode] || 'Error'}\r\n` +
+    'Content-Type: application/json\r\n' +
+    'Connection: close\r\n\r\n' +
+    JSON.stringify({ error: STATUS_TEXT[statusCode] || 'Error', message })
+  );
+}
+
+function bearerToken(req) {
+  const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  return protocols[0] === 'bearer' ? protocols[1] || null : null;
+}
+
+/**
+ * Resolve the user and stream filter for a token
+ * @returns {Promise<{ user: Object, filter: Object }|null>} null when the token or user is no longer valid
+ * @throws 400/403 from resolveStreamFilter()
+ */
+async function authorizeStream(token, query) {
+  let user;
+  try {
+    user = await loadActiveUser(verifyAccessToken(token).userId);
+  } catch {
+    return null;
+  }
+  if (!user) return null;
+
+  return { user, filter: resolveStreamFilter(user, query) };
+}
+
+/**
+ * Serve the live event stream over WebSocket upgrades on the HTTP server
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+export function attachLiveEventSocket(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_CLIENT_PAYLOAD_BYTES,
+    handleProtocols: () => 'bearer'
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== LIVE_SOCKET_PATH) return;
+
+    socket.on('error', () => socket.destroy());
+
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !req.headers['sec-websocket-key']) {
+      return reject(socket, 400, 'Expected a WebSocket upgrade');
+    }
+
+    const token = bearerToken(req);
+    const query = Object.fromEntries(url.searchParams);
+    let stream;
+    try {
+      stream = token && await authorizeStream(token, query);
+    } catch (error) {
+      return reject(socket, error.statusCode || 400, error.message);
+    }
+    if (!stream) {
+      return reject(socket, 401, 'Send the access token as the WebSocket subprotocols ["bearer", token]');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const send = event => ws.send(JSON.stringify(event));
+      let unsubscribe = subscribeLiveEvents(stream.filter, send, {
+        lastEventId: parseInt(url.searchParams.get('lastEventId')) || undefined
+      });
+
+      let alive = true;
+      ws.on('pong', () => { alive = true; });
+      const heartbeat = setInterval(() => {
+        if (!alive) return ws.terminate();
+        alive = false;
+        ws.ping();
+      }, HEARTBEAT_INTERVAL_MS);
+      heartbeat.unref?.();
+
+      const reauth = setInterval(async () => {
+        let current;
+        try {
+          current = await authorizeStream(token, query);
+        } catch {
+          current = null;
+        }
+        if (!current) {
+          ws.close(CloseCode.UNAUTHORIZED, 'Access token expired or revoked');
+          return;
+        }
+        if (ws.readyState !== ws.OPEN) return;
+
+        // Swap in the filter for the user's current client access; both
+        // calls run in the same tick, so no event is missed or sent twice
+        unsubscribe();
+        unsubscribe = subscribeLiveEvents(current.filter, send);
+      }, reauthIntervalMs());
+      reauth.unref?.();
+
+      ws.on('error', () => ws.terminate());
+      ws.on('close', () => {
+        clearInterval(heartbeat);
+        clearInterval(reauth);
+        unsubscribe();
+      });
+    });
+  });
+
+  return wss;
+}
+
+export default {
+  LIVE_SOCKET_PATH,
+  MAX_CLIENT_PAYLOAD_BYTES,
+  CloseCode,
+  attachLiveEventSocket
+};
@@ -0,0 +1,129 @@
+/**
+ * Live Event Socket over a real HTTP server
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import WebSocket from 'ws';
+
+const users = vi.hoisted(() => new Map());
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({
+    user: {
+      findUnique: vi.fn(async ({ where }) => users.get(where.id) || null)
+    }
+  }))
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LIVE_SOCKET_REAUTH_MS = '50';
+
+import { attachLiveEventSocket, LIVE_SOCKET_PATH, MAX_CLIENT_PAYLOAD_BYTES, CloseCode } from './live-event-socket.js';
+import { publishLiveEvent, LiveEventType } from './live-events.js';
+import { issueAccessToken } from './auth-service.js';
+
+const viewer = {
+  id: 'u1', email: 'vic@bloom.test', role: 'viewer', status: 'active', permissions: {},
+  clientUsers: [{ clientId: 'c1', role: 'viewer' }]
+};
+
+describe('live-event-socket', () => {
+  let server;
+  let wss;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    wss = attachLiveEventSocket(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}${LIVE_SOCKET_PATH}`;
+  });
+
+  afterAll(() => {
+    wss.close();
+    return new Promise(done => server.close(done));
+  });
+
+  beforeEach(() => {
+    users.clear();
+    users.set('u1', { ...viewer });
+  });
+
+  const connect = (query = '', protocols = ['bearer', issueAccessToken(viewer)]) =>
+    new WebSocket(`${baseUrl}${query}`, protocols);
+
+  const opened = socket => new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    socket.once('error', reject);
+  });
+
+  const closed = socket => new Promise(resolve => socket.once('close', code => resolve(code)));
+
+  it('streams events for the clients the user can read', async () => {
+    const socket = connect('?types=analytics_event');
+    await opened(socket);
+    expect(socket.protocol).toBe('bearer');
+
+    const message = new Promise(resolve => socket.once('message', data => resolve(JSON.parse(data))));
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c2', data: { hidden: true } });
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c1', data: { eventType: 'open' } });
+
+    expect(await message).toMatchObject({ clientId: 'c1', data: { eventType: 'open' } });
+    socket.close();
+    await closed(socket);
+  });
+
+  it('refuses upgrades without a valid token', async () => {
+    await expect(opened(connect('', []))).rejects.toThrow('HTTP 401');
+    await expect(opened(connect('', ['bearer', 'forged']))).rejects.toThrow('HTTP 401');
+    await expect(opened(connect('?clientId=c2'))).rejects.toThrow('HTTP 403');
+  });
+
+  it('closes the socket when a client sends more than the payload limit', async () => {
+    const socket = connect();
+    await opened(socket);
+
+    const code = closed(socket);
+    socket.send('x'.repeat(MAX_CLIENT_PAYLOAD_BYTES + 1));
+
+    expect(await code).toBe(1009);
+  });
+
+  it('closes the socket once the user is deactivated', async () => {
+    const socket = connect();
+    await opened(socket);
+
+    const code = closed(socket);
+    users.set('u1', { ...viewer, status: 'disabled' });
+
+    expect(await code).toBe(CloseCode.UNAUTHORIZED);
+  });
+
+  it('closes the socket once the user loses access to the streamed client', async () => {
+    const socket = connect('?clientId=c1');
+    await opened(socket);
+
+    const code = closed(socket);
+    users.set('u1', { ...viewer, clientUsers: [] });
+
+    expect(await code).toBe(CloseCode.UNAUTHORIZED);
+  });
+
+  it('follows the user\'s current clients on a stream without a clientId', async () => {
+    const socket = connect('?types=analytics_event');
+    await opened(socket);
+
+    users.set('u1', { ...viewer, clientUsers: [{ clientId: 'c2', role: 'viewer' }] });
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const message = new Promise(resolve => socket.once('message', data => resolve(JSON.parse(data))));
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c1', data: { revoked: true } });
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c2', data: { granted: true } });
+
+    expect(await message).toMatchObject({ clientId: 'c2', data: { granted: true } });
+    socket.close();
+    await closed(socket);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Live Events
+ * In-process hub for the analytics stream. Analytics ingestion, webhook
+ * processing and the workflow queue publish here as rows land; the SSE
+ * endpoint (GET /api/analytics/stream) and the WebSocket endpoint
+ * (services/live-event-socket.js) fan events out to subscribers.
+ *
+ * Events are kept in a short ring buffer so a reconnecting client can
+ * resume from its Last-Event-ID. The hub is per process: a stream only
+ * sees events published by the API instance serving it.
+ */
+
+import { EventEmitter } from 'events';
+import { Actions, can, accessibleClientIds } from './access-control.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const RECENT_EVENT_LIMIT = 500;
+
+/**
+ * Event types carried by the stream
+ */
+export const LiveEventType = {
+  ANALYTICS_EVENT: 'analytics_event',
+  WEBHOOK_DELIVERY: 'webhook_delivery',
+  TRIGGER_EXECUTION: 'trigger_execution'
+};
+
+const LIVE_EVENT_TYPES = Object.values(LiveEventType);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const recent = [];
+let sequence = 0;
+
+/**
+ * Publish an event to every matching stream. Never throws: publishing is a
+ * side effect of the write that produced the event.
+ * @param {Object} event
+ * @param {string} event.type - One of LiveEventType
+ * @param {string} event.clientId
+ * @param {string|null} [event.journeyId]
+ * @param {Object} event.data
+ * @returns {Object|null} The published event with its stream id
+ */
+export function publishLiveEvent({ type, clientId, journeyId = null, data }) {
+  try {
+    const event = { id: ++sequence, type, clientId, journeyId, at: new Date().toISOString(), data };
+    recent.push(event);
+    if (recent.length > RECENT_EVENT_LIMIT) recent.shift();
+    emitter.emit('event', event);
+    return event;
+  } catch (error) {
+    console.error('Live event publish failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether an event passes a stream filter
+ * @param {Object} event
+ * @param {Object} filter - From resolveStreamFilter()
+ */
+export function matchesFilter(event, { clientIds, journeyId, types }) {
+  if (clientIds && !clientIds.includes(event.clientId)) return false;
+  if (journeyId && event.journeyId !== journeyId) return false;
+  return types.includes(event.type);
+}
+
+/**
+ * Stream filter for a user from query parameters. Without a clientId the
+ * stream covers every client the user can see.
+ * @param {Object} user - req.user
+ * @param {Object} query
+ * @param {string} [query.clientId]
+ * @param {string} [query.journeyId]
+ * @param {string} [query.types] - Comma-separated LiveEventType values
+ * @returns {{ clientIds: string[]|null, journeyId: string|null, types: string[] }}
+ * @throws 400 for unknown types, 403 when the user cannot read the client
+ */
+export function resolveStreamFilter(user, { clientId, journeyId, types } = {}) {
+  const requested = types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : LIVE_EVENT_TYPES;
+  const unknown = requested.filter(type => !LIVE_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw httpError(`Unknown event types: ${unknown.join(', ')}. Expected: ${LIVE_EVENT_TYPES.join(', ')}`, 400);
+  }
+
+  let clientIds;
+  if (clientId) {
+    if (!can(user, 'analytics', Actions.READ, clientId)) {
+      throw httpError('You do not have access to this client', 403);
+    }
+    clientIds = [clientId];
+  } else {
+    clientIds = accessibleClientIds(user);
+  }
+
+  return { clientIds, journeyId: journeyId || null, types: requested };
+}
+
+/**
+ * Subscribe to events matching a filter
+ * @param {Object} filter - From resolveStreamFilter()
+ * @param {Function} listener - Called with each event
+ * @param {Object} [options]
+ * @param {number} [options.lastEventId] - Replay buffered events after this id first
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLiveEvents(filter, listener, { lastEventId } = {}) {
+  if (lastEventId) {
+    recent
+      .filter(event => event.id > lastEventId && matchesFilter(event, filter))
+      .forEach(listener);
+  }
+
+  const handler = (event) => {
+    if (matchesFilter(event, filter)) listener(event);
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+}
+
+/**
+ * Number of open streams, for health output
+ */
+export function liveSubscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+export default {
+  LiveEventType,
+  publishLiveEvent,
+  matchesFilter,
+  resolveStreamFilter,
+  subscribeLiveEvents,
+  liveSubscriberCount
+};
@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for Live Events
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { LiveEventType, publishLiveEvent, resolveStreamFilter, subscribeLiveEvents } from './live-events.js';
+
+const admin = { id: 'a1', role: 'admin', clientRoles: {} };
+const viewer = { id: 'u1', role: 'viewer', clientRoles: { c1: 'viewer' } };
+
+describe('live-events', () => {
+  it('scopes streams to the clients a user can read', () => {
+    expect(resolveStreamFilter(admin, {})).toEqual({
+      clientIds: null,
+      journeyId: null,
+      types: ['analytics_event', 'webhook_delivery', 'trigger_execution']
+    });
+    expect(resolveStreamFilter(viewer, { journeyId: 'j1', types: 'analytics_event' })).toEqual({
+      clientIds: ['c1'],
+      journeyId: 'j1',
+      types: ['analytics_event']
+    });
+
+    expect(() => resolveStreamFilter(viewer, { clientId: 'c2' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => resolveStreamFilter(viewer, { types: 'analytics_event,emails' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('emails') }));
+  });
+
+  it('delivers matching events and replays missed ones after Last-Event-ID', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeLiveEvents(resolveStreamFilter(viewer, { journeyId: 'j1' }), listener);
+
+    const seen = publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c1', journeyId: 'j1', data: { eventType: 'touchpoint_opened' } });
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c2', journeyId: 'j1', data: {} });
+    publishLiveEvent({ type: LiveEventType.TRIGGER_EXECUTION, clientId: 'c1', data: { status: 'completed' } });
+    const missed = publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c1', journeyId: 'j1', data: { eventType: 'conversion' } });
+    unsubscribe();
+    publishLiveEvent({ type: LiveEventType.ANALYTICS_EVENT, clientId: 'c1', journeyId: 'j1', data: {} });
+
+    expect(listener.mock.calls.map(([event]) => event.id)).toEqual([seen.id, missed.id]);
+    expect(seen).toMatchObject({ type: 'analytics_event', clientId: 'c1', at: expect.any(String) });
+
+    // A client reconnecting after `seen` gets `missed` before live events
+    const replay = vi.fn();
+    subscribeLiveEvents(resolveStreamFilter(viewer, { journeyId: 'j1' }), replay, { lastEventId: seen.id })();
+    expect(replay.mock.calls.map(([event]) => event.id)).toEqual([missed.id, missed.id + 1]);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * OIDC Login Providers
+ * Authorization-code + PKCE login against any OpenID Connect identity
+ * provider (Google Workspace, Okta, Entra ID, ...). Providers are
+ * discovered from `<issuer>/.well-known/openid-configuration` and ID tokens
+ * are verified against the provider's JWKS.
+ *
+ * Configure one provider from the environment (OIDC_ISSUER, OIDC_CLIENT_ID,
+ * OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI, OIDC_PROVIDER_NAME) or call
+ * `registerProvider()` for more.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * PKCE S256 code challenge for a verifier
+ */
+export function createCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+export class OIDCProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Provider key used in login URLs
+   * @param {string} [config.displayName]
+   * @param {string} config.issuer - Issuer URL (discovery base)
+   * @param {string} config.clientId
+   * @param {string} [config.clientSecret]
+   * @param {string} config.redirectUri - Our callback URL registered with the IdP
+   * @param {string[]} [config.scopes]
+   * @param {Object} [config.http] - axios-compatible client
+   */
+  constructor({ name, displayName, issuer, clientId, clientSecret, redirectUri, scopes, http }) {
+    if (!name || !issuer || !clientId || !redirectUri) {
+      throw new Error('OIDC provider requires name, issuer, clientId and redirectUri');
+    }
+    this.name = name;
+    this.displayName = displayName || name;
+    this.issuer = issuer.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes || ['openid', 'email', 'profile'];
+    this.http = http || axios;
+    this.metadata = null;
+    this.keys = new Map();
+  }
+
+  async discover() {
+    if (!this.metadata) {
+      const response = await this.http.get(`${this.issuer}${DISCOVERY_PATH}`, { timeout: 10000 });
+      this.metadata = response.data;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * URL to send the browser to
+   * @param {Object} params - { state, nonce, codeVerifier, loginHint? }
+   */
+  async getAuthorizationUrl({ state, nonce, codeVerifier, loginHint }) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const url = new URL(endpoint);
+
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+      ...(loginHint && { login_hint: loginHint })
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code at the token endpoint
+   */
+  async exchangeCode({ code, codeVerifier }) {
+    const { token_endpoint: endpoint } = await this.discover();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier,
+      ...(this.clientSecret && { client_secret: this.clientSecret })
+    });
+
+    const response = await this.http.post(endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  async getSigningKey(kid) {
+    if (!this.keys.has(kid)) {
+      // Unknown key ID: the provider may have rotated keys, so refetch
+      const { jwks_uri: jwksUri } = await this.discover();
+      const response = await this.http.get(jwksUri, { timeout: 10000 });
+      this.keys = new Map(
+        (response.data.keys || [])
+          .filter(key => key.use !== 'enc')
+          .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+      );
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error(`No signing key found for kid ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @returns {Promise<Object>} Token claims
+   */
+  async verifyIdToken(idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('ID token is not a valid JWT');
+    }
+
+    const metadata = await this.discover();
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer || this.issuer,
+      audience: this.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+    return claims;
+  }
+
+  /**
+   * Complete a login: exchange the code and return verified ID token claims
+   */
+  async authenticate({ code, codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode({ code, codeVerifier });
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an id_token');
+    }
+    return this.verifyIdToken(tokens.id_token, { nonce });
+  }
+
+  toJSON() {
+    return { name: this.name, displayName: this.displayName, issuer: this.issuer };
+  }
+}
+
+// ============================================
+// PROVIDER REGISTRY
+// ============================================
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function unregisterProvider(name) {
+  return providers.delete(name);
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Register the provider described by OIDC_* environment variables, if any.
+ * Called from index.js once .env has been loaded.
+ */
+export function loadProvidersFromEnv(env = process.env) {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) {
+    return null;
+  }
+
+  const name = env.OIDC_PROVIDER_NAME || 'sso';
+  return registerProvider(new OIDCProvider({
+    name,
+    displayName: env.OIDC_DISPLAY_NAME,
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI || `${env.API_BASE_URL}/api/auth/sso/${name}/callback`,
+    scopes: env.OIDC_SCOPES ? env.OIDC_SCOPES.split(/[ ,]+/) : undefined
+  }));
+}
+
+export default {
+  OIDCProvider,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  loadProvidersFromEnv
+};
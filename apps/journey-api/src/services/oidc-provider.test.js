@@ -0,0 +1,106 @@
+/**
+ * OIDC provider tests against the local stub identity provider
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import axios from 'axios';
+import { OIDCProvider, createCodeChallenge } from './oidc-provider.js';
+import { startStubIdentityProvider } from './oidc-stub-provider.js';
+
+const REDIRECT_URI = 'http://localhost:8080/api/auth/sso/stub/callback';
+const CODE_VERIFIER = 'v'.repeat(43);
+
+describe('OIDCProvider (stub IdP)', () => {
+  let idp;
+  let provider;
+
+  beforeAll(async () => {
+    idp = await startStubIdentityProvider({
+      clientId: 'bloom-test',
+      clientSecret: 'shh',
+      users: [
+        { sub: 'user-1', email: 'planner@bloom.test', name: 'Planner' },
+        { sub: 'user-2', email: 'unverified@bloom.test', email_verified: false }
+      ]
+    });
+    provider = new OIDCProvider({
+      name: 'stub',
+      issuer: idp.issuer,
+      clientId: 'bloom-test',
+      clientSecret: 'shh',
+      redirectUri: REDIRECT_URI
+    });
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  /**
+   * Follow the authorization URL like a browser would and return the
+   * query parameters the IdP redirects back with
+   */
+  async function authorize({ nonce = 'nonce-1', loginHint } = {}) {
+    const url = await provider.getAuthorizationUrl({ state: 'state-1', nonce, codeVerifier: CODE_VERIFIER, loginHint });
+    const response = await axios.get(url, { maxRedirects: 0, validateStatus: status => status === 302 });
+    return new URL(response.headers.location).searchParams;
+  }
+
+  it('builds a PKCE authorization URL from discovery', async () => {
+    const url = new URL(await provider.getAuthorizationUrl({ state: 's', nonce: 'n', codeVerifier: CODE_VERIFIER }));
+
+    expect(url.origin + url.pathname).toBe(`${idp.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: 'bloom-test',
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid email profile',
+      code_challenge: createCodeChallenge(CODE_VERIFIER),
+      code_challenge_method: 'S256'
+    });
+  });
+
+  it('completes the code flow and returns verified claims', async () => {
+    const params = await authorize({ loginHint: 'planner@bloom.test' });
+    expect(params.get('state')).toBe('state-1');
+
+    const claims = await provider.authenticate({ code: params.get('code'), codeVerifier: CODE_VERIFIER, nonce: 'nonce-1' });
+
+    expect(claims).toMatchObject({
+      sub: 'user-1',
+      email: 'planner@bloom.test',
+      email_verified: true,
+      iss: idp.issuer,
+      aud: 'bloom-test'
+    });
+  });
+
+  it('rejects ID tokens issued for a different nonce', async () => {
+    const params = await authorize({ nonce: 'nonce-from-another-login' });
+
+    await expect(provider.authenticate({ code: params.get('code'), codeVerifier: CODE_VERIFIER, nonce: 'nonce-1' }))
+      .rejects.toThrow(/nonce mismatch/);
+  });
+
+  it('fails the token exchange when the PKCE verifier does not match', async () => {
+    const params = await authorize();
+
+    await expect(provider.authenticate({ code: params.get('code'), codeVerifier: 'w'.repeat(43), nonce: 'nonce-1' }))
+      .rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  it('rejects ID tokens signed for another client', async () => {
+    const other = new OIDCProvider({ name: 'other', issuer: idp.issuer, clientId: 'someone-else', redirectUri: REDIRECT_URI });
+    const params = await authorize();
+    const { id_token: idToken } = await provider.exchangeCode({ code: params.get('code'), codeVerifier: CODE_VERIFIER });
+
+    await expect(other.verifyIdToken(idToken, { nonce: 'nonce-1' })).rejects.toThrow(/audience/);
+  });
+
+  it('redirects back with access_denied for unknown users', async () => {
+    const params = await authorize({ loginHint: 'stranger@bloom.test' });
+
+    expect(params.get('error')).toBe('access_denied');
+    expect(params.get('code')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Stub OIDC Identity Provider
+ * A minimal OpenID Connect provider for local development and tests.
+ * It serves discovery, JWKS, authorize and token endpoints, and signs
+ * RS256 ID tokens for a fixed list of users. There is no login screen:
+ * /authorize signs in the user named by `login_hint` (or the first user)
+ * and redirects straight back with a code.
+ *
+ * Run standalone: `npm run auth:stub-idp` (port OIDC_STUB_PORT, default 4010),
+ * then point OIDC_ISSUER at it with OIDC_CLIENT_ID=bloom-local.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { pathToFileURL } from 'url';
+import { createCodeChallenge } from './oidc-provider.js';
+
+const CODE_TTL_MS = 60 * 1000;
+
+/**
+ * Build the stub IdP app
+ * @param {Object} options
+ * @param {string} options.issuer - Public base URL of the stub
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret] - Required at the token endpoint when set
+ * @param {Array<Object>} [options.users] - `{ sub, email, name, email_verified? }`
+ */
+export function createStubIdentityProvider({ issuer, clientId = 'bloom-local', clientSecret, users = [] }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, login_hint } = req.query;
+
+    if (client_id !== clientId || !redirect_uri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const user = login_hint ? users.find(u => u.email === login_hint) : users[0];
+    const redirect = new URL(redirect_uri);
+    if (state) redirect.searchParams.set('state', state);
+
+    if (!user) {
+      redirect.searchParams.set('error', 'access_denied');
+      return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      user,
+      nonce,
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || client_id !== clientId) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if (clientSecret && client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.codeChallenge && createCodeChallenge(code_verifier || '') !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { sub, email, name, email_verified = true } = grant.user;
+    const idToken = jwt.sign(
+      { sub, email, name, email_verified, ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Start the stub on a port (0 picks a free one)
+ * @returns {Promise<{ issuer: string, server: import('http').Server, close: Function }>}
+ */
+export function startStubIdentityProvider({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  return new Promise((resolve, reject) => {
+    // The issuer depends on the bound port, so build the app once listening
+    let app = null;
+    const server = express()
+      .use((req, res, next) => app(req, res, next))
+      .listen(port, host, () => {
+        const issuer = `http://${host}:${server.address().port}`;
+        app = createStubIdentityProvider({ issuer, ...options });
+        resolve({
+          issuer,
+          server,
+          close: () => new Promise(done => server.close(done))
+        });
+      })
+      .on('error', reject);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { issuer } = await startStubIdentityProvider({
+    port: parseInt(process.env.OIDC_STUB_PORT) || 4010,
+    clientId: process.env.OIDC_CLIENT_ID || 'bloom-local',
+    users: [
+      { sub: 'stub-admin', email: process.env.OIDC_STUB_EMAIL || 'admin@bloom.local', name: 'Local Admin' }
+    ]
+  });
+  console.log(`🔑 Stub OIDC provider running at ${issuer}`);
+}
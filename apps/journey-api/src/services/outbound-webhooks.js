@@ -0,0 +1,367 @@
+/**
+ * Outbound Webhooks
+ * Partner endpoints subscribe to journey-api events (journey status changes,
+ * approvals, A/B test winners, change requests). Emitting an event writes one
+ * OutboundWebhookDelivery row per matching subscription; the worker POSTs due
+ * rows and retries failures with exponential backoff, so an event survives a
+ * restart or a partner outage.
+ *
+ * Each request is signed like GHL signs the webhooks we receive: an
+ * HMAC-SHA256 of the raw body with the subscription secret, sent as
+ * X-Journey-Signature: v1=<hex>. The body carries a `timestamp` (epoch
+ * seconds) and an `id` that stays the same across retries and redeliveries,
+ * so receivers can reject stale requests and deduplicate.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import crypto from 'crypto';
+import { generateWebhookSignature } from './webhook-service.js';
+import { IntervalWorker } from './interval-worker.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_RETRY_BASE_DELAY_MS = 30000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000; // Reclaim rows from crashed workers
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * Events a subscription can receive
+ */
+export const OutboundEventType = {
+  JOURNEY_STATUS_CHANGED: 'journey.status_changed',
+  APPROVAL_GRANTED: 'approval.granted',
+  AB_TEST_WINNER_DECLARED: 'ab_test.winner_declared',
+  CHANGE_REQUEST_CREATED: 'change_request.created',
+  PING: 'ping' // Sent on demand from the admin UI, never emitted
+};
+
+export const OUTBOUND_EVENT_TYPES = Object.values(OutboundEventType).filter(type => type !== OutboundEventType.PING);
+
+export const DeliveryStatus = {
+  PENDING: 'pending',
+  DELIVERING: 'delivering',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Whether a subscription wants an event. Subscriptions without a client get
+ * every client's events; an empty event list means every event.
+ */
+export function subscriptionMatches(subscription, type, clientId) {
+  if (subscription.status !== 'active') return false;
+  if (subscription.clientId && subscription.clientId !== clientId) return false;
+  const events = Array.isArray(subscription.events) ? subscription.events : [];
+  return events.length === 0 || events.includes(type);
+}
+
+/**
+ * Queue an event for every matching subscription. Never throws: sending
+ * webhooks is a side effect of the change that produced the event.
+ * @param {string} type - One of OutboundEventType
+ * @param {Object} event
+ * @param {string|null} event.clientId
+ * @param {Object} event.data
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function emitOutboundEvent(type, { clientId = null, data }) {
+  try {
+    const subscriptions = await prisma.outboundWebhook.findMany({
+      where: {
+        status: 'active',
+        OR: [{ clientId: null }, ...(clientId ? [{ clientId }] : [])]
+      }
+    });
+    const matching = subscriptions.filter(subscription => subscriptionMatches(subscription, type, clientId));
+    if (matching.length === 0) return 0;
+
+    const eventId = crypto.randomUUID();
+    await prisma.outboundWebhookDelivery.createMany({
+      data: matching.map(subscription => ({
+        subscriptionId: subscription.id,
+        clientId,
+        eventId,
+        eventType: type,
+        payload: data,
+        status: DeliveryStatus.PENDING
+      }))
+    });
+    return matching.length;
+  } catch (error) {
+    console.error(`Outbound webhook emit failed (${type}):`, error);
+    return 0;
+  }
+}
+
+/**
+ * Signed request for one delivery attempt
+ * @returns {{ body: string, headers: Object }}
+ */
+export function buildDeliveryRequest(subscription, delivery, now = new Date()) {
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    type: delivery.eventType,
+    timestamp: Math.floor(now.getTime() / 1000),
+    clientId: delivery.clientId,
+    data: delivery.payload
+  });
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'journey-api-webhooks/1.0',
+      'X-Journey-Event': delivery.eventType,
+      'X-Journey-Event-Id': delivery.eventId,
+      'X-Journey-Delivery': delivery.id,
+      'X-Journey-Signature': `v1=${generateWebhookSignature(body, subscription.secret)}`
+    }
+  };
+}
+
+/**
+ * Backoff before the next attempt: base, 2x base, 4x base... capped at an hour
+ */
+export function retryDelayMs(attempts, baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS) {
+  return Math.min(Math.pow(2, Math.max(attempts - 1, 0)) * baseDelayMs, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Generate a subscription secret
+ */
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// ============================================
+// WORKER
+// ============================================
+
+export class OutboundWebhookWorker extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation (tests)
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.batchSize] - Deliveries attempted per poll
+   * @param {number} [options.retryBaseDelayMs] - Backoff base; doubles per attempt
+   * @param {number} [options.lockTimeoutMs] - After this, a delivering row is considered abandoned
+   */
+  constructor(options = {}) {
+    super({
+      name: 'Outbound webhook worker',
+      icon: '📤',
+      pollIntervalMs: options.pollIntervalMs ?? (parseInt(process.env.OUTBOUND_WEBHOOK_POLL_MS) || DEFAULT_POLL_INTERVAL_MS)
+    });
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? DEFAULT_RETRY_BASE_DELAY_MS;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  }
+
+  /**
+   * Attempt one batch of due deliveries
+   *
+   * @param {Date} now
+   * @returns {Promise<Object[]>} Per-delivery outcome
+   */
+  async run(now) {
+    const due = await prisma.outboundWebhookDelivery.findMany({
+      where: {
+        // Deliveries for paused subscriptions wait until they are resumed
+        subscription: { status: 'active' },
+        OR: [
+          { status: DeliveryStatus.PENDING, nextAttemptAt: { lte: now } },
+          { status: DeliveryStatus.DELIVERING, lastAttemptAt: { lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: this.batchSize,
+      select: { id: true, status: true }
+    });
+
+    const outcomes = [];
+    for (const { id, status } of due) {
+      const outcome = await this.deliver(id, { now, from: status });
+      if (outcome) outcomes.push(outcome);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Claim a delivery and attempt it once. Another worker that claimed it
+   * first wins; this call then returns null.
+   *
+   * @param {string} deliveryId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {string} [options.from] - Status the row is expected to be in
+   * @returns {Promise<Object|null>} { deliveryId, status, attempts, responseStatus, nextAttemptAt, error }
+   */
+  async deliver(deliveryId, { now = new Date(), from = DeliveryStatus.PENDING } = {}) {
+    const claimed = await prisma.outboundWebhookDelivery.updateMany({
+      where: {
+        id: deliveryId,
+        status: from,
+        ...(from === DeliveryStatus.DELIVERING && { lastAttemptAt: { lt: new Date(now.getTime() - this.lockTimeoutMs) } })
+      },
+      data: { status: DeliveryStatus.DELIVERING, lastAttemptAt: now }
+    });
+    if (claimed.count === 0) return null;
+
+    const delivery = await prisma.outboundWebhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { subscription: true }
+    });
+    const subscription = delivery.subscription;
+    const attempts = delivery.attempts + 1;
+
+    // Paused after the row was picked up: hand it back untouched
+    if (subscription.status !== 'active') {
+      await prisma.outboundWebhookDelivery.update({
+        where: { id: deliveryId },
+        data: { status: DeliveryStatus.PENDING }
+      });
+      return { deliveryId, status: 'paused', attempts: delivery.attempts };
+    }
+
+    const { body, headers } = buildDeliveryRequest(subscription, delivery, now);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      const response = await this.fetch(subscription.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(subscription.timeoutMs)
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+      if (!response.ok) errorMessage = `HTTP ${response.status}`;
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError'
+        ? `Timed out after ${subscription.timeoutMs}ms`
+        : error.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const succeeded = !errorMessage;
+    const exhausted = !succeeded && attempts > subscription.maxRetries;
+    const nextAttemptAt = succeeded || exhausted
+      ? null
+      : new Date(now.getTime() + retryDelayMs(attempts, this.retryBaseDelayMs));
+    const status = succeeded ? DeliveryStatus.SUCCEEDED : exhausted ? DeliveryStatus.FAILED : DeliveryStatus.PENDING;
+
+    await prisma.outboundWebhookDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status,
+        attempts,
+        responseStatus,
+        responseBody,
+        errorMessage,
+        durationMs,
+        ...(succeeded && { deliveredAt: now }),
+        ...(nextAttemptAt && { nextAttemptAt })
+      }
+    });
+    await prisma.outboundWebhook.update({
+      where: { id: subscription.id },
+      data: succeeded ? { lastSuccessAt: now } : { lastFailureAt: now }
+    });
+
+    return {
+      deliveryId,
+      status: succeeded || exhausted ? status : 'retrying',
+      attempts,
+      responseStatus,
+      nextAttemptAt,
+      error: errorMessage
+    };
+  }
+}
+
+export const outboundWebhookWorker = new OutboundWebhookWorker();
+
+// ============================================
+// MANUAL DELIVERY
+// ============================================
+
+/**
+ * Send an event to a subscription again as a new delivery, now. The event
+ * id is unchanged so receivers that already processed it can skip it.
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} { delivery, outcome }, or null when the delivery does not exist
+ */
+export async function redeliver(deliveryId) {
+  const original = await prisma.outboundWebhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { subscription: { select: { status: true } } }
+  });
+  if (!original) return null;
+
+  if (original.subscription.status !== 'active') {
+    throw httpError('Resume the subscription before redelivering', 409);
+  }
+
+  const delivery = await prisma.outboundWebhookDelivery.create({
+    data: {
+      subscriptionId: original.subscriptionId,
+      clientId: original.clientId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      payload: original.payload,
+      status: DeliveryStatus.PENDING,
+      redeliveryOf: original.id
+    }
+  });
+
+  const outcome = await outboundWebhookWorker.deliver(delivery.id);
+  return { delivery, outcome };
+}
+
+/**
+ * Send a ping event to check a subscription's endpoint and signature handling
+ * @param {Object} subscription - OutboundWebhook
+ * @returns {Promise<Object>} { delivery, outcome }
+ */
+export async function sendPing(subscription) {
+  if (subscription.status !== 'active') {
+    throw httpError('Resume the subscription before sending a ping', 409);
+  }
+
+  const delivery = await prisma.outboundWebhookDelivery.create({
+    data: {
+      subscriptionId: subscription.id,
+      clientId: subscription.clientId,
+      eventId: crypto.randomUUID(),
+      eventType: OutboundEventType.PING,
+      payload: { subscriptionId: subscription.id, name: subscription.name },
+      status: DeliveryStatus.PENDING
+    }
+  });
+
+  const outcome = await outboundWebhookWorker.deliver(delivery.id);
+  return { delivery, outcome };
+}
+
+export default {
+  OutboundEventType,
+  OUTBOUND_EVENT_TYPES,
+  DeliveryStatus,
+  subscriptionMatches,
+  emitOutboundEvent,
+  buildDeliveryRequest,
+  retryDelayMs,
+  generateSecret,
+  OutboundWebhookWorker,
+  outboundWebhookWorker,
+  redeliver,
+  sendPing
+};
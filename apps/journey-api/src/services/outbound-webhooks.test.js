@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Outbound Webhooks
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => {
+  const mockPrisma = {
+    outboundWebhook: { findMany: vi.fn(), update: vi.fn() },
+    outboundWebhookDelivery: {
+      findMany: vi.fn(),
+      findUnique: vi.fn(),
+      create: vi.fn(),
+      createMany: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn()
+    }
+  };
+  return { mockPrisma };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+vi.mock('./trigger-engine.js', () => ({ default: {} }));
+
+import {
+  emitOutboundEvent,
+  OutboundEventType,
+  OutboundWebhookWorker,
+  redeliver,
+  retryDelayMs
+} from './outbound-webhooks.js';
+import { verifyWebhookSignature } from './webhook-service.js';
+
+const now = new Date('2026-03-16T10:00:00Z');
+
+const subscription = {
+  id: 'sub-1',
+  clientId: 'c1',
+  url: 'https://partner.example.com/hooks',
+  secret: 'partner-secret',
+  events: [],
+  status: 'active',
+  maxRetries: 2,
+  timeoutMs: 5000
+};
+
+const delivery = (overrides = {}) => ({
+  id: 'del-1',
+  subscriptionId: 'sub-1',
+  clientId: 'c1',
+  eventId: 'evt-1',
+  eventType: OutboundEventType.JOURNEY_STATUS_CHANGED,
+  payload: { journeyId: 'j1', from: 'draft', to: 'internal_review' },
+  attempts: 0,
+  subscription,
+  ...overrides
+});
+
+const response = (status, text = '') => ({ status, ok: status >= 200 && status < 300, text: async () => text });
+
+describe('emitOutboundEvent', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('queues one delivery per matching subscription, sharing the event id', async () => {
+    mockPrisma.outboundWebhook.findMany.mockResolvedValue([
+      { ...subscription, id: 'all-events' },
+      { ...subscription, id: 'every-client', clientId: null, events: [OutboundEventType.JOURNEY_STATUS_CHANGED] },
+      { ...subscription, id: 'approvals-only', events: [OutboundEventType.APPROVAL_GRANTED] }
+    ]);
+
+    const queued = await emitOutboundEvent(OutboundEventType.JOURNEY_STATUS_CHANGED, {
+      clientId: 'c1',
+      data: { journeyId: 'j1' }
+    });
+
+    expect(queued).toBe(2);
+    expect(mockPrisma.outboundWebhook.findMany).toHaveBeenCalledWith({
+      where: { status: 'active', OR: [{ clientId: null }, { clientId: 'c1' }] }
+    });
+    const rows = mockPrisma.outboundWebhookDelivery.createMany.mock.calls[0][0].data;
+    expect(rows.map(row => row.subscriptionId)).toEqual(['all-events', 'every-client']);
+    expect(new Set(rows.map(row => row.eventId)).size).toBe(1);
+    expect(rows[0]).toMatchObject({ clientId: 'c1', eventType: 'journey.status_changed', payload: { journeyId: 'j1' }, status: 'pending' });
+  });
+
+  it('never throws into the caller', async () => {
+    mockPrisma.outboundWebhook.findMany.mockRejectedValue(new Error('db down'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(emitOutboundEvent(OutboundEventType.APPROVAL_GRANTED, { clientId: 'c1', data: {} })).resolves.toBe(0);
+  });
+});
+
+describe('OutboundWebhookWorker', () => {
+  let fetch;
+  let worker;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch = vi.fn();
+    worker = new OutboundWebhookWorker({ fetch, retryBaseDelayMs: 1000 });
+    mockPrisma.outboundWebhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.outboundWebhookDelivery.update.mockResolvedValue({});
+    mockPrisma.outboundWebhook.update.mockResolvedValue({});
+  });
+
+  it('POSTs a body signed with the subscription secret and records the response', async () => {
+    mockPrisma.outboundWebhookDelivery.findUnique.mockResolvedValue(delivery());
+    fetch.mockResolvedValue(response(200, 'ok'));
+
+    const outcome = await worker.deliver('del-1', { now });
+
+    expect(outcome).toMatchObject({ deliveryId: 'del-1', status: 'succeeded', attempts: 1, responseStatus: 200 });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe(subscription.url);
+    expect(JSON.parse(request.body)).toEqual({
+      id: 'evt-1',
+      type: 'journey.status_changed',
+      timestamp: now.getTime() / 1000,
+      clientId: 'c1',
+      data: { journeyId: 'j1', from: 'draft', to: 'internal_review' }
+    });
+    expect(request.headers['X-Journey-Event-Id']).toBe('evt-1');
+    expect(verifyWebhookSignature(request.body, request.headers['X-Journey-Signature'], 'partner-secret')).toBe(true);
+    expect(mockPrisma.outboundWebhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: 'del-1' },
+      data: expect.objectContaining({ status: 'succeeded', attempts: 1, responseBody: 'ok', deliveredAt: now })
+    });
+  });
+
+  it('backs off exponentially and fails the delivery once retries run out', async () => {
+    fetch.mockResolvedValue(response(503));
+
+    mockPrisma.outboundWebhookDelivery.findUnique.mockResolvedValueOnce(delivery({ attempts: 1 }));
+    const retrying = await worker.deliver('del-1', { now });
+    expect(retrying).toMatchObject({ status: 'retrying', attempts: 2, error: 'HTTP 503' });
+    expect(retrying.nextAttemptAt).toEqual(new Date(now.getTime() + 2000));
+    expect(mockPrisma.outboundWebhookDelivery.update.mock.calls[0][0].data.status).toBe('pending');
+
+    fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    mockPrisma.outboundWebhookDelivery.findUnique.mockResolvedValueOnce(delivery({ attempts: 2 }));
+    const failed = await worker.deliver('del-1', { now });
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null, error: 'ECONNREFUSED' });
+
+    expect(retryDelayMs(30, 1000)).toBe(60 * 60 * 1000);
+  });
+
+  it('skips a delivery another worker already claimed', async () => {
+    mockPrisma.outboundWebhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await worker.deliver('del-1', { now })).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('redeliver', () => {
+  it('sends the same event again as a new delivery', async () => {
+    vi.clearAllMocks();
+    mockPrisma.outboundWebhookDelivery.findUnique.mockResolvedValueOnce({ ...delivery({ status: 'failed' }), subscription: { status: 'active' } });
+    mockPrisma.outboundWebhookDelivery.create.mockResolvedValue({ id: 'del-2' });
+    mockPrisma.outboundWebhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await redeliver('del-1');
+
+    expect(mockPrisma.outboundWebhookDelivery.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ subscriptionId: 'sub-1', eventId: 'evt-1', status: 'pending', redeliveryOf: 'del-1' })
+    });
+    expect(result.delivery).toEqual({ id: 'del-2' });
+  });
+});
@@ -4,7 +4,7 @@
  * Ensures sub-2s query execution times
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 
 // Query performance thresholds (ms)
 const THRESHOLDS = {
@@ -4,7 +4,7 @@
  * Redis-backed for distributed deployments, in-memory fallback for development
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import crypto from 'crypto';
 
 let prisma;
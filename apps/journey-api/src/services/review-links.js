@@ -0,0 +1,56 @@
+/**
+ * Client Review Links
+ * Signed links that let a client review one journey's touchpoints and leave
+ * notes without an account (visualizer route /journeys/:id/client-review).
+ * The token is a JWT bound to a single journey; the page sends it back in
+ * the X-Review-Token header.
+ */
+
+import jwt from 'jsonwebtoken';
+import { getJwtSecret, appLink } from './auth-service.js';
+
+const TOKEN_TYPE = 'client_review';
+
+// Read lazily: this module is imported before index.js loads .env
+function ttlDays() {
+  return parseInt(process.env.REVIEW_LINK_TTL_DAYS) || 14;
+}
+
+/**
+ * Issue a review link for a journey
+ * @param {string} journeyId
+ * @param {Object} [options]
+ * @param {string} [options.issuedBy] - User ID that shared the link
+ * @returns {{ token: string, url: string, expiresAt: Date }}
+ */
+export function createReviewLink(journeyId, { issuedBy } = {}) {
+  const days = ttlDays();
+  const token = jwt.sign(
+    { type: TOKEN_TYPE, journeyId, ...(issuedBy && { issuedBy }) },
+    getJwtSecret(),
+    { expiresIn: `${days}d` }
+  );
+
+  return {
+    token,
+    url: appLink(`/journeys/${journeyId}/client-review`, { token }),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Verify a review link token. Throws JsonWebTokenError/TokenExpiredError.
+ * @returns {{ journeyId: string }}
+ */
+export function verifyReviewLinkToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== TOKEN_TYPE || !decoded.journeyId) {
+    throw new jwt.JsonWebTokenError('Not a review link token');
+  }
+  return { journeyId: decoded.journeyId };
+}
+
+export default {
+  createReviewLink,
+  verifyReviewLinkToken
+};
@@ -0,0 +1,175 @@
+/**
+ * Sync Conflicts Service
+ * Conflicts the sync engine records between a journey and its GHL workflow.
+ * Editors resolve them by keeping Bloom's workflow (ours), GHL's (theirs) or
+ * choosing field by field (merge). The sync engine pushes the resolved
+ * workflow on its next run and marks the conflict applied.
+ */
+
+import { PrismaClient } from '@bloom/data';
+import { ConflictSide, mergeWorkflows } from '@bloom/data/conflict-diff';
+import { recordAuditEvent, AuditAction } from './audit-log.js';
+import { httpError } from '../middleware/error-handler.js';
+
+const prisma = new PrismaClient();
+
+export const SyncConflictStatus = {
+  OPEN: 'open',         // Blocks the journey's sync until resolved
+  RESOLVED: 'resolved', // Waiting for the next sync to push resolvedSnapshot
+  APPLIED: 'applied'    // Pushed (or kept, for theirs) by the sync engine
+};
+
+export const SyncConflictResolution = {
+  OURS: 'ours',     // Push Bloom's workflow over GHL's
+  THEIRS: 'theirs', // Keep GHL's workflow as it is
+  MERGE: 'merge'    // Push a workflow built from per-field choices
+};
+
+export const SYNC_CONFLICT_STATUSES = Object.values(SyncConflictStatus);
+export const SYNC_CONFLICT_RESOLUTIONS = Object.values(SyncConflictResolution);
+
+const DEFAULT_LIST_LIMIT = 100;
+
+const countBy = (rows, key) => rows.reduce((counts, row) => {
+  counts[row[key]] = (counts[row[key]] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Conflicts matching the filters, newest first, with counts
+ *
+ * @param {Object} [filters]
+ * @param {Object} [filters.scope] - clientScope() fragment for the caller
+ * @param {string} [filters.clientId]
+ * @param {string} [filters.journeyId]
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit]
+ * @returns {Promise<{ conflicts: Object[], counts: Object }>}
+ */
+export async function listSyncConflicts({ scope = {}, clientId, journeyId, status, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const where = {
+    ...(clientId && { clientId }),
+    ...(journeyId && { journeyId }),
+    ...(status && { status })
+  };
+
+  const conflicts = await prisma.syncConflict.findMany({
+    where: { AND: [where, scope] },
+    orderBy: { detectedAt: 'desc' },
+    take: limit,
+    include: { journey: { select: { id: true, name: true } } }
+  });
+
+  return {
+    conflicts,
+    counts: {
+      byStatus: countBy(conflicts, 'status'),
+      bySeverity: countBy(conflicts, 'severity'),
+      byType: countBy(conflicts, 'type')
+    }
+  };
+}
+
+/**
+ * One conflict with its journey
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSyncConflict(id) {
+  return prisma.syncConflict.findUnique({
+    where: { id },
+    include: { journey: { select: { id: true, name: true } } }
+  });
+}
+
+/**
+ * Workflow a resolution would push. A merge must choose a side for every
+ * field in the diff, and only for those.
+ *
+ * @param {Object} conflict - SyncConflict row
+ * @param {string} resolution - SyncConflictResolution value
+ * @param {Object<string, string>} [fields] - field -> ours/theirs, for merge
+ * @returns {Object} Workflow snapshot
+ */
+export function resolveSnapshot(conflict, resolution, fields = {}) {
+  if (resolution === SyncConflictResolution.OURS) {
+    return conflict.bloomSnapshot;
+  }
+
+  if (!conflict.ghlSnapshot) {
+    throw httpError('The workflow is missing in GHL, so only ours can be kept', 409);
+  }
+  if (resolution === SyncConflictResolution.THEIRS) {
+    return conflict.ghlSnapshot;
+  }
+  if (resolution !== SyncConflictResolution.MERGE) {
+    throw httpError(`Unknown resolution: ${resolution}`, 400);
+  }
+
+  const diffFields = (conflict.diff || []).map(entry => entry.field);
+  const missing = diffFields.filter(field => !fields[field]);
+  const unknown = Object.keys(fields).filter(field => !diffFields.includes(field));
+  const invalid = Object.keys(fields).filter(field => !Object.values(ConflictSide).includes(fields[field]));
+
+  if (missing.length > 0 || unknown.length > 0 || invalid.length > 0) {
+    throw httpError('Choose ours or theirs for every differing field', 400, { missing, unknown, invalid });
+  }
+
+  return mergeWorkflows(conflict.bloomSnapshot, conflict.ghlSnapshot, fields);
+}
+
+/**
+ * Resolve (or re-resolve) a conflict the sync engine hasn't applied yet
+ *
+ * @param {string} id
+ * @param {Object} user - req.user
+ * @param {Object} options
+ * @param {string} options.resolution - SyncConflictResolution value
+ * @param {Object<string, string>} [options.fields] - field -> ours/theirs, for merge
+ * @param {string} [options.ipAddress]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} Updated conflict
+ */
+export async function resolveSyncConflict(id, user, { resolution, fields = {}, ipAddress, now = new Date() }) {
+  const conflict = await prisma.syncConflict.findUnique({ where: { id } });
+
+  if (!conflict) {
+    throw httpError('Sync conflict not found', 404);
+  }
+  if (conflict.status === SyncConflictStatus.APPLIED) {
+    throw httpError('Conflict has already been applied by the sync engine', 409);
+  }
+
+  const resolvedSnapshot = resolveSnapshot(conflict, resolution, fields);
+
+  const updated = await prisma.syncConflict.update({
+    where: { id },
+    data: {
+      status: SyncConflictStatus.RESOLVED,
+      resolution,
+      fieldResolutions: resolution === SyncConflictResolution.MERGE ? fields : {},
+      resolvedSnapshot,
+      resolvedBy: user?.email ?? null,
+      resolvedAt: now
+    },
+    include: { journey: { select: { id: true, name: true } } }
+  });
+
+  await recordAuditEvent({
+    action: AuditAction.SYNC_CONFLICT_RESOLVED,
+    userId: user?.id,
+    clientId: conflict.clientId,
+    resourceType: 'journeys',
+    resourceId: conflict.journeyId,
+    details: { conflictId: id, type: conflict.type, resolution, fields: updated.fieldResolutions },
+    ipAddress
+  });
+
+  return updated;
+}
+
+export default {
+  listSyncConflicts,
+  getSyncConflict,
+  resolveSyncConflict
+};
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for Sync Conflicts
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma } = vi.hoisted(() => ({
+  mockPrisma: {
+    syncConflict: { findMany: vi.fn(), findUnique: vi.fn(), update: vi.fn() },
+    auditLog: { create: vi.fn() }
+  }
+}));
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+import { listSyncConflicts, resolveSyncConflict } from './sync-conflicts.js';
+
+const user = { id: 'user-1', email: 'editor@bloom.test' };
+const now = new Date('2026-03-22T12:00:00Z');
+
+const bloomSnapshot = {
+  name: 'Welcome',
+  status: 'active',
+  steps: [{ id: 'step_a', order: 0, type: 'email', name: 'Hello', data: { body: 'Hi' } }]
+};
+const ghlSnapshot = {
+  name: 'Welcome v2',
+  status: 'active',
+  steps: [{ id: 'step_a', order: 0, type: 'email', name: 'Hello', data: { body: 'Hi there' } }]
+};
+
+const conflict = (overrides = {}) => ({
+  id: 'conflict-1',
+  clientId: 'c1',
+  journeyId: 'j1',
+  type: 'external_modification',
+  status: 'open',
+  bloomSnapshot,
+  ghlSnapshot,
+  diff: [
+    { field: 'name', bloom: 'Welcome', ghl: 'Welcome v2' },
+    { field: 'steps.step_a', bloom: {}, ghl: {} }
+  ],
+  ...overrides
+});
+
+describe('resolveSyncConflict', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.syncConflict.findUnique.mockResolvedValue(conflict());
+    mockPrisma.syncConflict.update.mockImplementation(({ data }) => Promise.resolve({ ...conflict(), ...data }));
+  });
+
+  it('keeps ours or theirs as the workflow to push', async () => {
+    await resolveSyncConflict('conflict-1', user, { resolution: 'ours', now });
+    await resolveSyncConflict('conflict-1', user, { resolution: 'theirs', now });
+
+    const [ours, theirs] = mockPrisma.syncConflict.update.mock.calls.map(([call]) => call.data);
+    expect(ours).toEqual({
+      status: 'resolved',
+      resolution: 'ours',
+      fieldResolutions: {},
+      resolvedSnapshot: bloomSnapshot,
+      resolvedBy: 'editor@bloom.test',
+      resolvedAt: now
+    });
+    expect(theirs.resolvedSnapshot).toBe(ghlSnapshot);
+  });
+
+  it('merges the chosen fields and audits the decision', async () => {
+    const fields = { name: 'ours', 'steps.step_a': 'theirs' };
+
+    const result = await resolveSyncConflict('conflict-1', user, { resolution: 'merge', fields, now });
+
+    expect(result.resolvedSnapshot.name).toBe('Welcome');
+    expect(result.resolvedSnapshot.steps[0].data.body).toBe('Hi there');
+    expect(result.fieldResolutions).toEqual(fields);
+    expect(mockPrisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'sync_conflict.resolved', clientId: 'c1', resourceId: 'j1' })
+    }));
+  });
+
+  it('needs a choice for every differing field to merge', async () => {
+    await expect(resolveSyncConflict('conflict-1', user, { resolution: 'merge', fields: { name: 'theirs', color: 'ours' } }))
+      .rejects.toMatchObject({ statusCode: 400, details: { missing: ['steps.step_a'], unknown: ['color'] } });
+    expect(mockPrisma.syncConflict.update).not.toHaveBeenCalled();
+  });
+
+  it('only keeps ours when the workflow is missing in GHL', async () => {
+    mockPrisma.syncConflict.findUnique.mockResolvedValue(conflict({ type: 'missing_in_ghl', ghlSnapshot: null, diff: [] }));
+
+    await expect(resolveSyncConflict('conflict-1', user, { resolution: 'theirs' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses conflicts the sync engine already applied', async () => {
+    mockPrisma.syncConflict.findUnique.mockResolvedValue(conflict({ status: 'applied' }));
+
+    await expect(resolveSyncConflict('conflict-1', user, { resolution: 'ours' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('listSyncConflicts', () => {
+  it('filters within the caller scope and counts the results', async () => {
+    mockPrisma.syncConflict.findMany.mockResolvedValue([
+      conflict({ severity: 'high' }),
+      conflict({ id: 'conflict-2', type: 'concurrent_edit', severity: 'low', status: 'resolved' })
+    ]);
+
+    const result = await listSyncConflicts({ scope: { clientId: { in: ['c1'] } }, status: 'open' });
+
+    expect(mockPrisma.syncConflict.findMany.mock.calls[0][0].where).toEqual({
+      AND: [{ status: 'open' }, { clientId: { in: ['c1'] } }]
+    });
+    expect(result.counts).toEqual({
+      byStatus: { open: 1, resolved: 1 },
+      bySeverity: { high: 1, low: 1 },
+      byType: { external_modification: 1, concurrent_edit: 1 }
+    });
+  });
+});
@@ -3,8 +3,9 @@
  * P1 Q2 2026 - Conditional Logic, Time-based Delays, Multi-trigger Support
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import crypto from 'crypto';
+import { checkWorkflowEnrollment } from './journey-holdout.js';
 
 const prisma = new PrismaClient();
 
@@ -367,7 +368,7 @@ export function calculateExecutionTime(trigger, baseTime = new Date()) {
 /**
  * Apply business hours/days constraints to a scheduled time
  */
-function applyScheduleWindow(date, window) {
+export function applyScheduleWindow(date, window) {
   const { 
     businessHoursStart = 9, 
     businessHoursEnd = 17, 
@@ -508,11 +509,38 @@ async function processTrigger(trigger, eventData) {
       }
     }
     
-    // 5. Calculate execution time
+    // 5. Keep contacts in the journey's holdout out of its workflow
+    if (contactId && trigger.workflow) {
+      const enrollment = await checkWorkflowEnrollment(trigger.workflow, contactId);
+      if (!enrollment.enroll) {
+        const execution = await prisma.triggerExecution.create({
+          data: {
+            triggerId: trigger.id,
+            workflowId: trigger.workflowId,
+            clientId: trigger.clientId,
+            contactId,
+            eventType: trigger.type,
+            eventData,
+            status: 'held_out',
+            matchedConditions: conditionResult.matchedConditions,
+            dedupHash
+          }
+        });
+
+        return {
+          triggerId: trigger.id,
+          status: 'held_out',
+          executionId: execution.id,
+          journeyId: enrollment.journeyId
+        };
+      }
+    }
+    
+    // 6. Calculate execution time
     const scheduledTime = calculateExecutionTime(trigger);
     const isImmediate = scheduledTime <= new Date();
     
-    // 6. Create execution record
+    // 7. Create execution record
     const execution = await prisma.triggerExecution.create({
       data: {
         triggerId: trigger.id,
@@ -527,13 +555,13 @@ async function processTrigger(trigger, eventData) {
       }
     });
     
-    // 7. If immediate, start workflow execution
-    if (isImmediate) {
-      await executeWorkflow(trigger, eventData, execution.id);
-    } else {
-      // Schedule for later execution
-      await scheduleWorkflowExecution(trigger, eventData, execution.id, scheduledTime);
-    }
+    // 8. Queue the workflow execution; the worker runs it once due
+    await enqueueWorkflowExecution(
+      trigger,
+      eventData,
+      execution.id,
+      isImmediate ? new Date() : scheduledTime
+    );
     
     return {
       triggerId: trigger.id,
@@ -568,9 +596,11 @@ async function processTrigger(trigger, eventData) {
 }
 
 /**
- * Execute the workflow immediately
+ * Queue a workflow execution for the worker to pick up.
+ * Immediate executions are scheduled for now; delayed ones for their
+ * calculated time. See services/workflow-queue.js for the worker.
  */
-async function executeWorkflow(trigger, eventData, triggerExecutionId) {
+async function enqueueWorkflowExecution(trigger, eventData, triggerExecutionId, scheduledTime) {
   try {
     const workflowExecution = await prisma.workflowExecution.create({
       data: {
@@ -578,11 +608,15 @@ async function executeWorkflow(trigger, eventData, triggerExecutionId) {
         clientId: trigger.clientId,
         contactId: eventData.contactId || eventData.contact_id,
         triggerId: trigger.id,
-        status: 'running',
+        status: 'pending',
+        scheduledFor: scheduledTime,
+        actionsTotal: Array.isArray(trigger.workflow?.actions) ? trigger.workflow.actions.length : 0,
         context: {
           triggerType: trigger.type,
           eventData,
-          conditions: trigger.conditions
+          conditions: trigger.conditions,
+          scheduleWindow: trigger.scheduleWindow || null,
+          scheduledTime
         }
       }
     });
@@ -593,47 +627,13 @@ async function executeWorkflow(trigger, eventData, triggerExecutionId) {
       data: { executionId: workflowExecution.id }
     });
     
-    // TODO: Execute workflow actions asynchronously
-    // This would typically be handled by a job queue (Bull, etc.)
-    
     return workflowExecution;
   } catch (error) {
-    console.error('Error executing workflow:', error);
+    console.error('Error queueing workflow execution:', error);
     throw error;
   }
 }
 
-/**
- * Schedule a workflow execution for later
- */
-async function scheduleWorkflowExecution(trigger, eventData, triggerExecutionId, scheduledTime) {
-  // TODO: Implement job queue scheduling
-  // For now, we'll rely on a polling mechanism or external scheduler
-  
-  const workflowExecution = await prisma.workflowExecution.create({
-    data: {
-      workflowId: trigger.workflowId,
-      clientId: trigger.clientId,
-      contactId: eventData.contactId || eventData.contact_id,
-      triggerId: trigger.id,
-      status: 'pending',
-      context: {
-        triggerType: trigger.type,
-        eventData,
-        conditions: trigger.conditions,
-        scheduledTime
-      }
-    }
-  });
-  
-  await prisma.triggerExecution.update({
-    where: { id: triggerExecutionId },
-    data: { executionId: workflowExecution.id }
-  });
-  
-  return workflowExecution;
-}
-
 /**
  * Get trigger statistics for a client
  */
@@ -646,13 +646,15 @@ export async function getTriggerStats(clientId, triggerId = null) {
     triggeredCount,
     suppressedCount,
     failedCount,
-    conditionsNotMetCount
+    conditionsNotMetCount,
+    heldOutCount
   ] = await Promise.all([
     prisma.triggerExecution.count({ where }),
     prisma.triggerExecution.count({ where: { ...where, status: 'triggered' } }),
     prisma.triggerExecution.count({ where: { ...where, status: 'suppressed' } }),
     prisma.triggerExecution.count({ where: { ...where, status: 'failed' } }),
-    prisma.triggerExecution.count({ where: { ...where, status: 'conditions_not_met' } })
+    prisma.triggerExecution.count({ where: { ...where, status: 'conditions_not_met' } }),
+    prisma.triggerExecution.count({ where: { ...where, status: 'held_out' } })
   ]);
   
   // Get daily stats for the last 30 days
@@ -674,6 +676,7 @@ export async function getTriggerStats(clientId, triggerId = null) {
     suppressed: suppressedCount,
     failed: failedCount,
     conditionsNotMet: conditionsNotMetCount,
+    heldOut: heldOutCount,
     dailyStats
   };
 }
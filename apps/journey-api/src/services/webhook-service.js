@@ -6,9 +6,12 @@
  * and database synchronization for all GHL webhook events.
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient } from '@bloom/data';
 import crypto from 'crypto';
 import triggerEngine from './trigger-engine.js';
+import { LiveEventType, publishLiveEvent } from './live-events.js';
+import { IntervalWorker } from './interval-worker.js';
+import { httpError } from '../middleware/error-handler.js';
 
 const prisma = new PrismaClient();
 
@@ -122,6 +125,84 @@ export function generateWebhookSignature(payload, secret) {
     .digest('hex');
 }
 
+/**
+ * What a config does with an inbound webhook whose signature or timestamp
+ * fails verification
+ */
+export const SignatureMode = {
+  OFF: 'off',           // Don't verify
+  LOG_ONLY: 'log_only', // Verify and record the result, process anyway
+  ENFORCE: 'enforce'    // Reject the delivery without processing it
+};
+
+export const SignatureError = {
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_SIGNATURE: 'invalid_signature',
+  MISSING_TIMESTAMP: 'missing_timestamp',
+  STALE_TIMESTAMP: 'stale_timestamp',
+  MISSING_SECRET: 'missing_secret'
+};
+
+/**
+ * Parse a GHL event timestamp: epoch seconds, epoch milliseconds or an ISO string
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseEventTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check an inbound webhook against its config's signature mode and replay
+ * window. The timestamp is read from the signed payload, falling back to the
+ * X-GHL-Timestamp header; replays inside the window are caught by eventId
+ * deduplication instead. A config with no secret can't verify anything, so
+ * enforce mode rejects every delivery until one is set.
+ *
+ * @param {Object} config - WebhookConfig
+ * @param {Object} request
+ * @param {string} request.rawBody - Body exactly as received
+ * @param {Object} request.headers
+ * @param {Object} request.payload - Parsed body
+ * @param {Date} [request.now]
+ * @returns {{ checked: boolean, valid: boolean|null, error: string|null, reject: boolean }}
+ */
+export function checkInboundSignature(config, { rawBody, headers = {}, payload = {}, now = new Date() }) {
+  const mode = config.signatureMode || SignatureMode.LOG_ONLY;
+  if (mode === SignatureMode.OFF) {
+    return { checked: false, valid: null, error: null, reject: false };
+  }
+  if (!config.secretKey) {
+    return mode === SignatureMode.ENFORCE
+      ? { checked: true, valid: false, error: SignatureError.MISSING_SECRET, reject: true }
+      : { checked: false, valid: null, error: null, reject: false };
+  }
+
+  const signature = headers['x-ghl-signature'] || headers['X-GHL-Signature'];
+  const valid = !!signature && verifyWebhookSignature(rawBody ?? JSON.stringify(payload), signature, config.secretKey);
+
+  let error = null;
+  if (!signature) {
+    error = SignatureError.MISSING_SIGNATURE;
+  } else if (!valid) {
+    error = SignatureError.INVALID_SIGNATURE;
+  } else if (config.timestampToleranceSec > 0) {
+    const timestamp = parseEventTimestamp(payload.timestamp ?? headers['x-ghl-timestamp']);
+    if (timestamp === null) {
+      error = SignatureError.MISSING_TIMESTAMP;
+    } else if (Math.abs(now.getTime() - timestamp) > config.timestampToleranceSec * 1000) {
+      error = SignatureError.STALE_TIMESTAMP;
+    }
+  }
+
+  return { checked: true, valid, error, reject: !!error && mode === SignatureMode.ENFORCE };
+}
+
 // ============================================
 // WEBHOOK PROCESSING
 // ============================================
@@ -136,6 +217,7 @@ export function generateWebhookSignature(payload, secret) {
  * @param {Object} params.headers - HTTP headers
  * @param {string} params.ipAddress - Client IP address
  * @param {string} params.rawBody - Raw request body for signature verification
+ * @param {boolean} [params.skipSignature=false] - Skip signature verification (test sends, manual retries)
  * @returns {Promise<Object>} - Processing result
  */
 export async function processWebhook({
@@ -144,9 +226,17 @@ export async function processWebhook({
   payload,
   headers,
   ipAddress,
-  rawBody
+  rawBody,
+  configId = null,
+  skipSignature = false,
+  replayOf = null,
+  replayedBy = null,
+  payloadEdited = false
 }) {
   const startTime = Date.now();
+  let config = null;
+  let delivery = null;
+  let claimedEventId = null;
   
   try {
     // Get client and webhook config
@@ -163,31 +253,42 @@ export async function processWebhook({
       throw new Error(`Client not found: ${clientId}`);
     }
     
-    // Get the primary webhook config
-    const config = client.webhookConfigs[0];
+    // Get the primary webhook config; replays go back through the config
+    // that received the original
+    config = configId
+      ? client.webhookConfigs.find(c => c.id === configId)
+      : client.webhookConfigs[0];
     if (!config) {
-      throw new Error(`No active webhook config found for client: ${clientId}`);
+      throw new Error(configId
+        ? `Webhook config ${configId} is not active for client: ${clientId}`
+        : `No active webhook config found for client: ${clientId}`);
     }
     
-    // Verify signature if configured
-    let signatureValid = null;
-    const signature = headers['x-ghl-signature'] || headers['X-GHL-Signature'];
+    // Verify signature and timestamp per the config's signature mode
+    const signature = skipSignature
+      ? { checked: false, valid: null, error: null, reject: false }
+      : checkInboundSignature(config, { rawBody, headers, payload });
+    const eventId = extractEventId(payload);
     
-    if (config.secretKey && rawBody) {
-      signatureValid = verifyWebhookSignature(rawBody, signature, config.secretKey);
+    if (signature.reject) {
+      return rejectDelivery({ config, clientId, eventType, eventId, payload, headers, ipAddress, signature });
     }
     
     // Create delivery record
-    const delivery = await prisma.webhookDelivery.create({
+    delivery = await prisma.webhookDelivery.create({
       data: {
         configId: config.id,
         clientId,
         eventType,
-        eventId: extractEventId(payload),
+        eventId,
         payload,
         status: 'processing',
-        signatureValid,
-        signatureChecked: !!config.secretKey,
+        signatureValid: signature.valid,
+        signatureChecked: signature.checked,
+        signatureError: signature.error,
+        replayOf,
+        replayedBy,
+        payloadEdited,
         headers: sanitizeHeaders(headers),
         ipAddress
       }
@@ -200,6 +301,7 @@ export async function processWebhook({
         skipped: true,
         reason: 'Event type not subscribed'
       });
+      publishDelivery(delivery, 'completed', { skipped: true });
       
       return {
         success: true,
@@ -209,6 +311,23 @@ export async function processWebhook({
       };
     }
     
+    // Process each GHL event once per config, however often it is delivered
+    if (eventId) {
+      const firstDeliveryId = await claimEvent(config.id, eventId, delivery.id);
+      if (firstDeliveryId) {
+        await updateDeliveryStatus(delivery.id, 'duplicate', { duplicateOf: firstDeliveryId });
+        publishDelivery(delivery, 'duplicate', { duplicateOf: firstDeliveryId });
+        
+        return {
+          success: true,
+          deliveryId: delivery.id,
+          duplicate: true,
+          duplicateOf: firstDeliveryId
+        };
+      }
+      claimedEventId = eventId;
+    }
+    
     // Process the event based on type
     const handlerResults = await processEventByType(eventType, payload, clientId);
     
@@ -227,6 +346,7 @@ export async function processWebhook({
       handlerResults,
       processingTimeMs: processingTime
     });
+    publishDelivery(delivery, 'completed', { processingTimeMs: processingTime });
     
     return {
       success: true,
@@ -238,6 +358,29 @@ export async function processWebhook({
     
   } catch (error) {
     console.error('Error processing webhook:', error);
+    publishLiveEvent({
+      type: LiveEventType.WEBHOOK_DELIVERY,
+      clientId,
+      data: { deliveryId: delivery?.id, eventType, status: 'failed', error: error.message }
+    });
+    
+    // Schedule a retry (or dead-letter the delivery) and release the event
+    // so either our retry or GHL's is processed
+    try {
+      if (delivery) {
+        const { status, ...retry } = nextRetryState(config, 0);
+        await updateDeliveryStatus(delivery.id, status, {
+          ...retry,
+          errorMessage: error.message,
+          processingTimeMs: Date.now() - startTime
+        });
+      }
+      if (claimedEventId) {
+        await releaseEvent(delivery.configId, claimedEventId, delivery.id);
+      }
+    } catch (deliveryError) {
+      console.error('Error recording webhook failure:', deliveryError);
+    }
     
     // Update config failure stats if config exists
     try {
@@ -262,6 +405,94 @@ export async function processWebhook({
   }
 }
 
+/**
+ * Log a delivery that failed signature enforcement without processing it.
+ * No event receipt is taken, so a forged delivery can't shadow the real event.
+ */
+async function rejectDelivery({ config, clientId, eventType, eventId, payload, headers, ipAddress, signature }) {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      configId: config.id,
+      clientId,
+      eventType,
+      eventId,
+      payload,
+      status: 'rejected',
+      signatureValid: signature.valid,
+      signatureChecked: signature.checked,
+      signatureError: signature.error,
+      errorMessage: `Rejected: ${signature.error}`,
+      processedAt: new Date(),
+      headers: sanitizeHeaders(headers),
+      ipAddress
+    }
+  });
+  
+  await prisma.webhookConfig.update({
+    where: { id: config.id },
+    data: {
+      rejectedDeliveries: { increment: 1 },
+      lastFailureAt: new Date()
+    }
+  });
+  publishDelivery(delivery, 'rejected', { signatureError: signature.error });
+  
+  return {
+    success: false,
+    deliveryId: delivery.id,
+    rejected: true,
+    reason: signature.error
+  };
+}
+
+/**
+ * Record that a delivery is processing an event
+ * @returns {Promise<string|null>} Delivery that already claimed the event, or null if this one did
+ */
+async function claimEvent(configId, eventId, deliveryId) {
+  try {
+    await prisma.webhookEventReceipt.create({
+      data: { configId, eventId, deliveryId }
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    
+    const receipt = await prisma.webhookEventReceipt.findUnique({
+      where: { configId_eventId: { configId, eventId } }
+    });
+    // Released between the insert and the lookup: the other delivery failed
+    return receipt ? receipt.deliveryId : claimEvent(configId, eventId, deliveryId);
+  }
+}
+
+/**
+ * Drop a delivery's claim on an event after it failed to process it
+ */
+async function releaseEvent(configId, eventId, deliveryId) {
+  await prisma.webhookEventReceipt.deleteMany({
+    where: { configId, eventId, deliveryId }
+  });
+}
+
+/**
+ * Push a delivery's outcome to live streams
+ */
+function publishDelivery(delivery, status, extra = {}) {
+  publishLiveEvent({
+    type: LiveEventType.WEBHOOK_DELIVERY,
+    clientId: delivery.clientId,
+    data: {
+      deliveryId: delivery.id,
+      eventType: delivery.eventType,
+      eventId: delivery.eventId,
+      status,
+      signatureValid: delivery.signatureValid,
+      ...extra
+    }
+  });
+}
+
 /**
  * Process webhook event based on type
  * 
@@ -842,83 +1073,315 @@ function mapEmailEventType(eventType) {
 }
 
 // ============================================
-// RETRY PROCESSING
+// RETRY PROCESSING AND DEAD LETTERS
 // ============================================
 
+const DEFAULT_RETRY_POLL_MS = 30 * 1000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
 /**
- * Process failed webhook deliveries that need retry
+ * Deliveries that can be replayed. Dead letters are failed deliveries
+ * whose retries are used up.
  */
-export async function processRetryQueue() {
-  const now = new Date();
-  
-  const failedDeliveries = await prisma.webhookDelivery.findMany({
+export const REPLAYABLE_STATUSES = ['failed', 'retrying', 'rejected'];
+
+/**
+ * Delay before the next retry under a config's retry policy
+ *
+ * @param {Object} config - WebhookConfig
+ * @param {number} retryCount - Retries already made
+ * @returns {number} Milliseconds
+ */
+export function retryDelayFor(config, retryCount) {
+  if (config.retryBackoff === 'fixed') {
+    return config.retryDelayMs;
+  }
+  return Math.min(
+    config.retryDelayMs * Math.pow(2, retryCount),
+    config.maxRetryDelayMs || DEFAULT_MAX_RETRY_DELAY_MS
+  );
+}
+
+/**
+ * Status for a delivery that just failed: retrying while the config allows
+ * more retries, otherwise failed and dead-lettered
+ */
+function nextRetryState(config, retryCount, now = new Date()) {
+  if (!config || retryCount >= config.maxRetries) {
+    return { status: 'failed', nextRetryAt: null, deadLetteredAt: now };
+  }
+  return {
+    status: 'retrying',
+    nextRetryAt: new Date(now.getTime() + retryDelayFor(config, retryCount))
+  };
+}
+
+/**
+ * Process webhook deliveries whose next retry is due
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Per-delivery results
+ */
+export async function processRetryQueue(now = new Date()) {
+  const dueDeliveries = await prisma.webhookDelivery.findMany({
     where: {
-      status: { in: ['failed', 'retrying'] },
-      nextRetryAt: { lte: now },
-      retryCount: { lt: 3 }
+      status: 'retrying',
+      nextRetryAt: { lte: now }
     },
+    include: { config: true },
     take: 100,
-    orderBy: { createdAt: 'asc' }
+    orderBy: { nextRetryAt: 'asc' }
   });
   
   const results = [];
   
-  for (const delivery of failedDeliveries) {
-    try {
-      // Get config for retry
-      const config = await prisma.webhookConfig.findUnique({
-        where: { id: delivery.configId }
-      });
-      
-      if (!config || config.status !== 'active') {
-        continue;
+  for (const delivery of dueDeliveries) {
+    // Paused configs keep their deliveries queued until resumed
+    if (delivery.config.status !== 'active') {
+      continue;
+    }
+    
+    const result = await retryDelivery(delivery, now);
+    if (result) results.push(result);
+  }
+  
+  return results;
+}
+
+/**
+ * Run one retry of a delivery
+ * @returns {Promise<Object|null>} Result, or null if another run claimed it
+ */
+async function retryDelivery(delivery, now) {
+  // Claim the delivery so an overlapping run or a replay skips it
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, status: 'retrying' },
+    data: { status: 'processing' }
+  });
+  if (count === 0) return null;
+  
+  const startTime = Date.now();
+  const retryCount = delivery.retryCount + 1;
+  let claimedEventId = null;
+  
+  try {
+    // GHL may have redelivered the event and had it processed meanwhile
+    if (delivery.eventId) {
+      const firstDeliveryId = await claimEvent(delivery.configId, delivery.eventId, delivery.id);
+      if (firstDeliveryId) {
+        await updateDeliveryStatus(delivery.id, 'duplicate', {
+          duplicateOf: firstDeliveryId,
+          retryCount,
+          nextRetryAt: null
+        });
+        publishDelivery(delivery, 'duplicate', { duplicateOf: firstDeliveryId });
+        return { deliveryId: delivery.id, status: 'duplicate', duplicateOf: firstDeliveryId };
       }
-      
-      // Retry processing
-      const handlerResults = await processEventByType(
-        delivery.eventType,
-        delivery.payload,
-        delivery.clientId
-      );
-      
-      await prisma.webhookDelivery.update({
-        where: { id: delivery.id },
-        data: {
-          status: 'completed',
-          processedAt: new Date(),
-          handlerResults,
-          errorMessage: null
-        }
-      });
-      
-      results.push({ deliveryId: delivery.id, status: 'success' });
-      
+      claimedEventId = delivery.eventId;
+    }
+    
+    const handlerResults = await processEventByType(
+      delivery.eventType,
+      delivery.payload,
+      delivery.clientId
+    );
+    
+    await prisma.webhookConfig.update({
+      where: { id: delivery.configId },
+      data: {
+        totalDeliveries: { increment: 1 },
+        lastSuccessAt: new Date()
+      }
+    });
+    
+    await updateDeliveryStatus(delivery.id, 'completed', {
+      handlerResults,
+      retryCount,
+      nextRetryAt: null,
+      errorMessage: null,
+      processingTimeMs: Date.now() - startTime
+    });
+    publishDelivery(delivery, 'completed', { retryCount });
+    
+    return { deliveryId: delivery.id, status: 'success', retryCount };
+    
+  } catch (error) {
+    if (claimedEventId) {
+      await releaseEvent(delivery.configId, claimedEventId, delivery.id);
+    }
+    
+    const { status, ...retry } = nextRetryState(delivery.config, retryCount, now);
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status,
+        ...retry,
+        retryCount,
+        errorMessage: error.message
+      }
+    });
+    publishDelivery(delivery, status, { retryCount, error: error.message });
+    
+    return {
+      deliveryId: delivery.id,
+      status,
+      retryCount,
+      nextRetryAt: retry.nextRetryAt,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Prisma filter for dead-lettered deliveries
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.clientId]
+ * @param {string} [filter.configId]
+ * @param {string} [filter.eventType]
+ * @param {string} [filter.error] - Case-insensitive substring of the error message
+ * @param {string[]} [filter.ids]
+ */
+export function deadLetterWhere({ clientId, configId, eventType, error, ids } = {}) {
+  const where = { status: 'failed' };
+  if (clientId) where.clientId = clientId;
+  if (configId) where.configId = configId;
+  if (eventType) where.eventType = eventType;
+  if (error) where.errorMessage = { contains: error, mode: 'insensitive' };
+  if (ids) where.id = { in: ids };
+  return where;
+}
+
+/**
+ * Replay a failed, retrying or rejected delivery as a new delivery through
+ * the config that received it. The original is marked replayed so it leaves
+ * the dead-letter queue and the retry queue; the replay gets its own retries
+ * if it fails again.
+ *
+ * Rejected deliveries failed their signature check and the replay skips it,
+ * so only callers passing allowRejected (admins) may replay them.
+ *
+ * @param {string} deliveryId
+ * @param {Object} [options]
+ * @param {Object} [options.payload] - Corrected payload to process instead of the original
+ * @param {string} [options.actor] - Email of the user replaying it
+ * @param {boolean} [options.allowRejected] - Allow replaying rejected deliveries
+ * @returns {Promise<Object|null>} processWebhook result plus replayOf, or null if not found
+ */
+export async function replayDelivery(deliveryId, { payload, actor = null, allowRejected = false } = {}) {
+  const original = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId }
+  });
+  
+  if (!original) return null;
+  
+  if (original.status === 'rejected' && !allowRejected) {
+    throw httpError('Only admins can replay deliveries rejected by the signature check', 403);
+  }
+  
+  const config = await prisma.webhookConfig.findFirst({
+    where: { id: original.configId, clientId: original.clientId, status: 'active' }
+  });
+  if (!config) {
+    throw httpError('The webhook config that received this delivery is not active', 409);
+  }
+  
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: { in: REPLAYABLE_STATUSES } },
+    data: { status: 'replayed', nextRetryAt: null }
+  });
+  if (count === 0) {
+    throw httpError(`Only ${REPLAYABLE_STATUSES.join(', ')} deliveries can be replayed`, 409);
+  }
+  
+  try {
+    // The original was verified (or deliberately rejected) on receipt, so a
+    // replay skips the signature check; eventId deduplication still applies
+    const result = await processWebhook({
+      clientId: original.clientId,
+      configId: config.id,
+      eventType: original.eventType,
+      payload: payload ?? original.payload,
+      headers: original.headers || {},
+      ipAddress: original.ipAddress,
+      skipSignature: true,
+      replayOf: original.id,
+      replayedBy: actor,
+      payloadEdited: payload !== undefined
+    });
+    
+    return { replayOf: original.id, ...result };
+  } catch (error) {
+    // The replay's own delivery records the failure and schedules its retries
+    return { success: false, replayOf: original.id, error: error.message };
+  }
+}
+
+/**
+ * Replay every dead letter matching a filter, oldest first
+ *
+ * @param {Object} filter - See deadLetterWhere
+ * @param {Object} [options]
+ * @param {string} [options.actor]
+ * @param {number} [options.limit]
+ * @param {Object} [options.scope] - Extra Prisma filter, e.g. the caller's clientScope()
+ * @returns {Promise<Object>} { matched, succeeded, failed, results }
+ */
+export async function replayDeadLetters(filter, { actor = null, limit = 100, scope = {} } = {}) {
+  const deadLetters = await prisma.webhookDelivery.findMany({
+    where: { AND: [deadLetterWhere(filter), scope] },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+    take: limit
+  });
+  
+  const results = [];
+  for (const { id } of deadLetters) {
+    try {
+      results.push({ deliveryId: id, ...(await replayDelivery(id, { actor })) });
     } catch (error) {
-      // Schedule next retry
-      const retryDelay = Math.pow(2, delivery.retryCount) * 5000; // Exponential backoff
-      const nextRetryAt = new Date(Date.now() + retryDelay);
-      
-      await prisma.webhookDelivery.update({
-        where: { id: delivery.id },
-        data: {
-          status: delivery.retryCount >= 2 ? 'failed' : 'retrying',
-          retryCount: { increment: 1 },
-          nextRetryAt,
-          errorMessage: error.message
-        }
-      });
-      
-      results.push({ 
-        deliveryId: delivery.id, 
-        status: delivery.retryCount >= 2 ? 'failed' : 'retrying',
-        error: error.message 
-      });
+      results.push({ deliveryId: id, success: false, error: error.message });
     }
   }
   
-  return results;
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    matched: deadLetters.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+}
+
+/**
+ * Background worker that runs the retry queue on an interval
+ */
+export class WebhookRetryWorker extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs]
+   */
+  constructor(options = {}) {
+    super({
+      name: 'Webhook retry worker',
+      icon: '🔁',
+      pollIntervalMs: options.pollIntervalMs ?? (parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || DEFAULT_RETRY_POLL_MS)
+    });
+  }
+
+  /**
+   * Retry due deliveries
+   *
+   * @param {Date} now
+   * @returns {Promise<Object[]>} Per-delivery results
+   */
+  async run(now) {
+    return processRetryQueue(now);
+  }
 }
 
+export const webhookRetryWorker = new WebhookRetryWorker();
+
 // ============================================
 // STATS AND MONITORING
 // ============================================
@@ -938,6 +1401,9 @@ export async function getWebhookStats(clientId, period = '24h') {
     totalDeliveries,
     successfulDeliveries,
     failedDeliveries,
+    retryingDeliveries,
+    rejectedDeliveries,
+    duplicateDeliveries,
     avgProcessingTime,
     eventTypeBreakdown
   ] = await Promise.all([
@@ -950,6 +1416,15 @@ export async function getWebhookStats(clientId, period = '24h') {
     prisma.webhookDelivery.count({
       where: { clientId, status: 'failed', createdAt: { gte: since } }
     }),
+    prisma.webhookDelivery.count({
+      where: { clientId, status: 'retrying', createdAt: { gte: since } }
+    }),
+    prisma.webhookDelivery.count({
+      where: { clientId, status: 'rejected', createdAt: { gte: since } }
+    }),
+    prisma.webhookDelivery.count({
+      where: { clientId, status: 'duplicate', createdAt: { gte: since } }
+    }),
     prisma.webhookDelivery.aggregate({
       where: { 
         clientId, 
@@ -971,6 +1446,9 @@ export async function getWebhookStats(clientId, period = '24h') {
     total: totalDeliveries,
     successful: successfulDeliveries,
     failed: failedDeliveries,
+    retrying: retryingDeliveries,
+    rejected: rejectedDeliveries,
+    duplicates: duplicateDeliveries,
     successRate: totalDeliveries > 0 ? Math.round((successfulDeliveries / totalDeliveries) * 100) : 0,
     avgProcessingTimeMs: avgProcessingTime._avg.processingTimeMs || 0,
     eventTypes: eventTypeBreakdown.reduce((acc, curr) => {
@@ -988,8 +1466,13 @@ export default {
   processWebhook,
   verifyWebhookSignature,
   generateWebhookSignature,
+  checkInboundSignature,
   processRetryQueue,
+  replayDelivery,
+  replayDeadLetters,
   getWebhookStats,
   WebhookEventTypes,
-  EventCategories
+  EventCategories,
+  SignatureMode,
+  SignatureError
 };
\ No newline at end of file
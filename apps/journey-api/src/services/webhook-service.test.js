@@ -0,0 +1,323 @@
+/**
+ * Unit Tests for Inbound Webhook Signature Enforcement, Deduplication and Retries
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockPrisma, triggerEngine } = vi.hoisted(() => {
+  const mockPrisma = {
+    client: { findUnique: vi.fn() },
+    webhookConfig: { findFirst: vi.fn(), update: vi.fn() },
+    webhookDelivery: {
+      create: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+      findMany: vi.fn(),
+      findUnique: vi.fn()
+    },
+    webhookEventReceipt: { create: vi.fn(), findUnique: vi.fn(), deleteMany: vi.fn() },
+    syncedContact: { upsert: vi.fn() }
+  };
+  return { mockPrisma, triggerEngine: { processEvent: vi.fn() } };
+});
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => mockPrisma)
+}));
+
+vi.mock('./trigger-engine.js', () => ({ default: triggerEngine }));
+
+import {
+  processWebhook,
+  checkInboundSignature,
+  generateWebhookSignature,
+  SignatureError,
+  processRetryQueue,
+  replayDelivery,
+  replayDeadLetters,
+  retryDelayFor
+} from './webhook-service.js';
+
+const SECRET = 'shh';
+const now = new Date('2026-03-15T12:00:00Z');
+
+const baseConfig = {
+  id: 'cfg-1',
+  clientId: 'c1',
+  secretKey: SECRET,
+  subscribedEvents: [],
+  signatureMode: 'enforce',
+  timestampToleranceSec: 300,
+  status: 'active',
+  maxRetries: 3,
+  retryDelayMs: 5000,
+  retryBackoff: 'exponential',
+  maxRetryDelayMs: 3600000
+};
+
+function signed(payload, secret = SECRET) {
+  const rawBody = JSON.stringify(payload);
+  return { rawBody, headers: { 'x-ghl-signature': generateWebhookSignature(rawBody, secret) } };
+}
+
+const contactEvent = (overrides = {}) => ({
+  id: 'evt-1',
+  timestamp: Math.floor(Date.now() / 1000),
+  contact: { id: 'ghl-contact-1', email: 'a@example.com' },
+  ...overrides
+});
+
+describe('checkInboundSignature', () => {
+  it('accepts a valid signature with a fresh timestamp in seconds, milliseconds or ISO form', () => {
+    for (const timestamp of [now.getTime() / 1000 - 60, now.getTime() - 60000, '2026-03-15T11:59:00Z']) {
+      const payload = { id: 'evt-1', timestamp };
+      expect(checkInboundSignature(baseConfig, { ...signed(payload), payload, now })).toEqual({
+        checked: true, valid: true, error: null, reject: false
+      });
+    }
+  });
+
+  it('flags missing and bad signatures and stale or missing timestamps', () => {
+    const payload = { id: 'evt-1', timestamp: now.getTime() / 1000 };
+    const check = (config, request) => checkInboundSignature(config, { payload, now, ...request });
+
+    expect(check(baseConfig, { rawBody: JSON.stringify(payload), headers: {} }).error).toBe(SignatureError.MISSING_SIGNATURE);
+    expect(check(baseConfig, signed(payload, 'other')).error).toBe(SignatureError.INVALID_SIGNATURE);
+
+    const stale = { id: 'evt-1', timestamp: now.getTime() / 1000 - 301 };
+    expect(check(baseConfig, { ...signed(stale), payload: stale }).error).toBe(SignatureError.STALE_TIMESTAMP);
+
+    const undated = { id: 'evt-1' };
+    expect(check(baseConfig, { ...signed(undated), payload: undated }).error).toBe(SignatureError.MISSING_TIMESTAMP);
+    // The header is the fallback when the payload carries no timestamp
+    const withHeader = signed(undated);
+    withHeader.headers['x-ghl-timestamp'] = String(now.getTime() / 1000);
+    expect(check(baseConfig, { ...withHeader, payload: undated }).error).toBeNull();
+    // Tolerance 0 disables the replay window
+    expect(check({ ...baseConfig, timestampToleranceSec: 0 }, { ...signed(stale), payload: stale }).error).toBeNull();
+  });
+
+  it('only rejects in enforce mode and skips verification when off', () => {
+    const payload = { id: 'evt-1', timestamp: now.getTime() / 1000 };
+    const request = { ...signed(payload, 'other'), payload, now };
+
+    expect(checkInboundSignature(baseConfig, request).reject).toBe(true);
+    expect(checkInboundSignature({ ...baseConfig, signatureMode: 'log_only' }, request)).toMatchObject({
+      checked: true, valid: false, error: SignatureError.INVALID_SIGNATURE, reject: false
+    });
+    expect(checkInboundSignature({ ...baseConfig, signatureMode: 'off' }, request)).toEqual({
+      checked: false, valid: null, error: null, reject: false
+    });
+  });
+
+  it('rejects every delivery to an enforce config that has no secret', () => {
+    const payload = { id: 'evt-1', timestamp: now.getTime() / 1000 };
+    const request = { rawBody: JSON.stringify(payload), headers: { 'x-ghl-signature': 'anything' }, payload, now };
+
+    expect(checkInboundSignature({ ...baseConfig, secretKey: '' }, request)).toEqual({
+      checked: true, valid: false, error: SignatureError.MISSING_SECRET, reject: true
+    });
+    expect(checkInboundSignature({ ...baseConfig, secretKey: null, signatureMode: 'log_only' }, request).reject).toBe(false);
+  });
+});
+
+describe('processWebhook', () => {
+  let deliveries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    deliveries = 0;
+    mockPrisma.client.findUnique.mockResolvedValue({ id: 'c1', webhookConfigs: [baseConfig] });
+    mockPrisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ id: `del-${++deliveries}`, ...data }));
+    mockPrisma.webhookDelivery.update.mockResolvedValue({});
+    mockPrisma.webhookConfig.update.mockResolvedValue({});
+    mockPrisma.webhookConfig.findFirst.mockResolvedValue(baseConfig);
+    mockPrisma.webhookEventReceipt.create.mockResolvedValue({});
+    mockPrisma.syncedContact.upsert.mockResolvedValue({ id: 'contact-1' });
+  });
+
+  const receive = (payload, request = signed(payload)) => processWebhook({
+    clientId: 'c1',
+    eventType: 'ContactCreate',
+    payload,
+    ipAddress: '127.0.0.1',
+    ...request
+  });
+
+  it('stores a rejected delivery without processing the event or claiming its eventId', async () => {
+    const payload = contactEvent();
+    const result = await receive(payload, signed(payload, 'forged'));
+
+    expect(result).toEqual({ success: false, deliveryId: 'del-1', rejected: true, reason: SignatureError.INVALID_SIGNATURE });
+    expect(mockPrisma.webhookDelivery.create.mock.calls[0][0].data).toMatchObject({
+      status: 'rejected', signatureValid: false, signatureError: 'invalid_signature'
+    });
+    expect(mockPrisma.webhookConfig.update).toHaveBeenCalledWith({
+      where: { id: 'cfg-1' },
+      data: expect.objectContaining({ rejectedDeliveries: { increment: 1 } })
+    });
+    expect(mockPrisma.webhookEventReceipt.create).not.toHaveBeenCalled();
+    expect(mockPrisma.syncedContact.upsert).not.toHaveBeenCalled();
+    expect(triggerEngine.processEvent).not.toHaveBeenCalled();
+  });
+
+  it('processes a GHL retry of an already processed eventId once', async () => {
+    const payload = contactEvent();
+    await receive(payload);
+
+    mockPrisma.webhookEventReceipt.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+    mockPrisma.webhookEventReceipt.findUnique.mockResolvedValueOnce({ deliveryId: 'del-1' });
+    const result = await receive(payload);
+
+    expect(result).toEqual({ success: true, deliveryId: 'del-2', duplicate: true, duplicateOf: 'del-1' });
+    expect(mockPrisma.webhookEventReceipt.findUnique).toHaveBeenCalledWith({
+      where: { configId_eventId: { configId: 'cfg-1', eventId: 'evt-1' } }
+    });
+    expect(mockPrisma.syncedContact.upsert).toHaveBeenCalledTimes(1);
+    expect(triggerEngine.processEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('schedules a retry and releases the eventId when processing throws', async () => {
+    mockPrisma.syncedContact.upsert.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(receive(contactEvent())).rejects.toThrow('db down');
+
+    expect(mockPrisma.webhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: 'del-1' },
+      data: expect.objectContaining({ status: 'retrying', nextRetryAt: expect.any(Date), errorMessage: 'db down' })
+    });
+    expect(mockPrisma.webhookEventReceipt.deleteMany).toHaveBeenCalledWith({
+      where: { configId: 'cfg-1', eventId: 'evt-1', deliveryId: 'del-1' }
+    });
+  });
+});
+
+describe('retry policy and dead letters', () => {
+  const failedContact = (overrides = {}) => ({
+    id: 'del-1',
+    configId: 'cfg-1',
+    clientId: 'c1',
+    eventType: 'ContactCreate',
+    eventId: 'evt-1',
+    payload: contactEvent(),
+    headers: {},
+    status: 'retrying',
+    retryCount: 0,
+    config: baseConfig,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.client.findUnique.mockResolvedValue({ id: 'c1', webhookConfigs: [baseConfig] });
+    mockPrisma.webhookConfig.findFirst.mockResolvedValue(baseConfig);
+    mockPrisma.webhookConfig.update.mockResolvedValue({});
+    mockPrisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({ id: 'del-2', ...data }));
+    mockPrisma.webhookDelivery.update.mockResolvedValue({});
+    mockPrisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.webhookEventReceipt.create.mockResolvedValue({});
+    mockPrisma.syncedContact.upsert.mockResolvedValue({ id: 'contact-1' });
+  });
+
+  it('computes delays from the config policy', () => {
+    expect(retryDelayFor(baseConfig, 0)).toBe(5000);
+    expect(retryDelayFor(baseConfig, 3)).toBe(40000);
+    expect(retryDelayFor({ ...baseConfig, maxRetryDelayMs: 20000 }, 3)).toBe(20000);
+    expect(retryDelayFor({ ...baseConfig, retryBackoff: 'fixed' }, 3)).toBe(5000);
+  });
+
+  it('retries due deliveries and dead-letters them once the config allows no more', async () => {
+    const now = new Date('2026-03-17T09:00:00Z');
+    mockPrisma.webhookDelivery.findMany.mockResolvedValue([
+      failedContact(),
+      failedContact({ id: 'del-3', eventId: 'evt-3', retryCount: 2 }),
+      failedContact({ id: 'del-4', config: { ...baseConfig, status: 'paused' } })
+    ]);
+    mockPrisma.syncedContact.upsert
+      .mockResolvedValueOnce({ id: 'contact-1' })
+      .mockRejectedValueOnce(new Error('still malformed'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const results = await processRetryQueue(now);
+
+    expect(results).toEqual([
+      { deliveryId: 'del-1', status: 'success', retryCount: 1 },
+      { deliveryId: 'del-3', status: 'failed', retryCount: 3, nextRetryAt: null, error: 'still malformed' }
+    ]);
+    expect(mockPrisma.webhookDelivery.updateMany).toHaveBeenCalledWith({
+      where: { id: 'del-1', status: 'retrying' },
+      data: { status: 'processing' }
+    });
+    expect(mockPrisma.webhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: 'del-3' },
+      data: expect.objectContaining({ status: 'failed', deadLetteredAt: now, retryCount: 3 })
+    });
+    expect(mockPrisma.webhookEventReceipt.deleteMany).toHaveBeenCalledWith({
+      where: { configId: 'cfg-1', eventId: 'evt-3', deliveryId: 'del-3' }
+    });
+  });
+
+  it('replays a dead letter with an edited payload as a new delivery', async () => {
+    mockPrisma.webhookDelivery.findUnique.mockResolvedValue(failedContact({ status: 'failed', retryCount: 3 }));
+    const fixed = contactEvent({ contact: { id: 'ghl-contact-1', email: 'fixed@example.com' } });
+
+    const result = await replayDelivery('del-1', { payload: fixed, actor: 'ops@example.com' });
+
+    expect(result).toMatchObject({ success: true, replayOf: 'del-1', deliveryId: 'del-2' });
+    expect(mockPrisma.webhookDelivery.updateMany).toHaveBeenCalledWith({
+      where: { id: 'del-1', status: { in: ['failed', 'retrying', 'rejected'] } },
+      data: { status: 'replayed', nextRetryAt: null }
+    });
+    expect(mockPrisma.webhookDelivery.create.mock.calls[0][0].data).toMatchObject({
+      payload: fixed,
+      replayOf: 'del-1',
+      replayedBy: 'ops@example.com',
+      payloadEdited: true
+    });
+  });
+
+  it('replays through the config that received the original', async () => {
+    const other = { ...baseConfig, id: 'cfg-2' };
+    mockPrisma.client.findUnique.mockResolvedValue({ id: 'c1', webhookConfigs: [baseConfig, other] });
+    mockPrisma.webhookConfig.findFirst.mockResolvedValue(other);
+    mockPrisma.webhookDelivery.findUnique.mockResolvedValue(failedContact({ status: 'failed', configId: 'cfg-2' }));
+
+    await replayDelivery('del-1');
+
+    expect(mockPrisma.webhookConfig.findFirst).toHaveBeenCalledWith({
+      where: { id: 'cfg-2', clientId: 'c1', status: 'active' }
+    });
+    expect(mockPrisma.webhookDelivery.create.mock.calls[0][0].data.configId).toBe('cfg-2');
+  });
+
+  it('replays rejected deliveries only when allowed', async () => {
+    mockPrisma.webhookDelivery.findUnique.mockResolvedValue(failedContact({ status: 'rejected' }));
+
+    await expect(replayDelivery('del-1')).rejects.toMatchObject({ statusCode: 403 });
+    expect(mockPrisma.webhookDelivery.updateMany).not.toHaveBeenCalled();
+
+    expect(await replayDelivery('del-1', { allowRejected: true })).toMatchObject({ success: true, replayOf: 'del-1' });
+  });
+
+  it('bulk replays the filtered dead letters and reports ones that could not be replayed', async () => {
+    mockPrisma.webhookDelivery.findMany.mockResolvedValue([{ id: 'del-1' }, { id: 'del-5' }]);
+    mockPrisma.webhookDelivery.findUnique.mockImplementation(async ({ where }) => failedContact({ id: where.id, status: 'failed' }));
+    mockPrisma.webhookDelivery.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    const scope = { clientId: { in: ['c1'] } };
+    const summary = await replayDeadLetters({ clientId: 'c1', error: 'malformed' }, { limit: 10, scope });
+
+    expect(mockPrisma.webhookDelivery.findMany).toHaveBeenCalledWith({
+      where: {
+        AND: [{ status: 'failed', clientId: 'c1', errorMessage: { contains: 'malformed', mode: 'insensitive' } }, scope]
+      },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' },
+      take: 10
+    });
+    expect(summary).toMatchObject({ matched: 2, succeeded: 1, failed: 1 });
+    expect(summary.results[1]).toMatchObject({ deliveryId: 'del-5', success: false });
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Workflow Execution Queue
+ * Durable job queue that runs trigger-initiated workflow executions
+ *
+ * Each WorkflowExecution row is a job. The worker polls for due rows, claims
+ * them with FOR UPDATE SKIP LOCKED (so several API instances can poll side by
+ * side) and walks the workflow's actions one step at a time. Action delays are
+ * persisted as a new scheduledFor, so nothing is held in memory between steps.
+ *
+ * Set WORKFLOW_QUEUE_MODE=local to use the in-process store instead of
+ * Postgres (tests, offline development).
+ */
+
+import { PrismaClient } from '@bloom/data';
+import crypto from 'crypto';
+import os from 'os';
+import { applyScheduleWindow } from './trigger-engine.js';
+import { actionExecutor } from './action-executor.js';
+import { LiveEventType, publishLiveEvent } from './live-events.js';
+import { checkWorkflowEnrollment } from './journey-holdout.js';
+import { IntervalWorker } from './interval-worker.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // Reclaim rows from crashed workers
+const DEFAULT_RETRY_BASE_DELAY_MS = 30000;
+
+/**
+ * Queue statuses stored on WorkflowExecution.status
+ */
+export const ExecutionStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// ============================================
+// STORES
+// ============================================
+
+/**
+ * Postgres-backed store (default)
+ */
+export class PostgresExecutionStore {
+  constructor(client = prisma) {
+    this.prisma = client;
+  }
+
+  async create(data) {
+    return this.prisma.workflowExecution.create({ data });
+  }
+
+  /**
+   * Claim due executions for a worker.
+   * Pending rows that are due, plus running rows whose lock has gone stale.
+   */
+  async claimDue({ workerId, limit, now, staleBefore }) {
+    const claimed = await this.prisma.$queryRaw`
+      UPDATE "workflow_executions"
+      SET "status" = 'running', "locked_at" = ${now}, "locked_by" = ${workerId}, "updated_at" = ${now}
+      WHERE "id" IN (
+        SELECT "id" FROM "workflow_executions"
+        WHERE ("status" = 'pending' AND "scheduled_for" <= ${now})
+           OR ("status" = 'running' AND "locked_at" < ${staleBefore})
+        ORDER BY "scheduled_for" ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING "id"
+    `;
+
+    if (claimed.length === 0) return [];
+
+    return this.prisma.workflowExecution.findMany({
+      where: { id: { in: claimed.map(row => row.id) } },
+      include: { workflow: true },
+      orderBy: { scheduledFor: 'asc' }
+    });
+  }
+
+  async update(id, data) {
+    return this.prisma.workflowExecution.update({ where: { id }, data });
+  }
+
+  async countByStatus(clientId) {
+    const where = clientId ? { clientId } : {};
+    const groups = await this.prisma.workflowExecution.groupBy({
+      by: ['status'],
+      where,
+      _count: { status: true }
+    });
+
+    return groups.reduce((acc, group) => {
+      acc[group.status] = group._count.status;
+      return acc;
+    }, {});
+  }
+}
+
+/**
+ * In-process store with the same interface, for tests and local runs.
+ * Workflows are registered up front since there is no database to join.
+ */
+export class LocalExecutionStore {
+  constructor({ workflows = [] } = {}) {
+    this.executions = new Map();
+    this.workflows = new Map(workflows.map(workflow => [workflow.id, workflow]));
+  }
+
+  addWorkflow(workflow) {
+    this.workflows.set(workflow.id, workflow);
+  }
+
+  async create(data) {
+    const now = new Date();
+    const execution = {
+      id: crypto.randomUUID(),
+      contactId: null,
+      triggerId: null,
+      context: null,
+      results: null,
+      error: null,
+      completedAt: null,
+      actionsTotal: 0,
+      actionsCompleted: 0,
+      actionsFailed: 0,
+      scheduledFor: now,
+      currentStep: 0,
+      retryCount: 0,
+      maxRetries: 3,
+      lockedAt: null,
+      lockedBy: null,
+      startedAt: now,
+      createdAt: now,
+      ...data,
+      updatedAt: now
+    };
+    this.executions.set(execution.id, execution);
+    return { ...execution };
+  }
+
+  async claimDue({ workerId, limit, now, staleBefore }) {
+    const due = [...this.executions.values()]
+      .filter(execution =>
+        (execution.status === ExecutionStatus.PENDING && execution.scheduledFor <= now) ||
+        (execution.status === ExecutionStatus.RUNNING && execution.lockedAt < staleBefore)
+      )
+      .sort((a, b) => a.scheduledFor - b.scheduledFor)
+      .slice(0, limit);
+
+    return due.map(execution => {
+      Object.assign(execution, {
+        status: ExecutionStatus.RUNNING,
+        lockedAt: now,
+        lockedBy: workerId,
+        updatedAt: now
+      });
+      return { ...execution, workflow: this.workflows.get(execution.workflowId) || null };
+    });
+  }
+
+  async update(id, data) {
+    const execution = this.executions.get(id);
+    if (!execution) {
+      throw new Error(`Workflow execution not found: ${id}`);
+    }
+    Object.assign(execution, data, { updatedAt: new Date() });
+    return { ...execution };
+  }
+
+  async countByStatus(clientId) {
+    const counts = {};
+    for (const execution of this.executions.values()) {
+      if (clientId && execution.clientId !== clientId) continue;
+      counts[execution.status] = (counts[execution.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  get(id) {
+    const execution = this.executions.get(id);
+    return execution ? { ...execution } : null;
+  }
+}
+
+// ============================================
+// QUEUE / WORKER
+// ============================================
+
+export class WorkflowQueue extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - PostgresExecutionStore or LocalExecutionStore
+   * @param {Function} [options.runAction] - async (action, { execution, step, context, now }) => output;
+   *   defaults to the shared ActionExecutor
+   * @param {Function} [options.checkEnrollment] - async (workflow, contactId) => ({ enroll });
+   *   defaults to the journey holdout check
+   * @param {string} [options.workerId] - Identifies this worker in locked_by
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.batchSize] - Executions claimed per poll
+   * @param {number} [options.lockTimeoutMs] - After this, a running row is considered abandoned
+   * @param {number} [options.retryBaseDelayMs] - Backoff base; doubles per retry
+   */
+  constructor(options = {}) {
+    const workerId = options.workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    super({
+      name: `Workflow queue worker (${workerId})`,
+      icon: '⚙️',
+      pollIntervalMs: options.pollIntervalMs ?? (parseInt(process.env.WORKFLOW_QUEUE_POLL_MS) || DEFAULT_POLL_INTERVAL_MS)
+    });
+    this.store = options.store || (process.env.WORKFLOW_QUEUE_MODE === 'local'
+      ? new LocalExecutionStore()
+      : new PostgresExecutionStore());
+    this.runAction = options.runAction || ((action, params) => actionExecutor.execute(action, params));
+    this.checkEnrollment = options.checkEnrollment || checkWorkflowEnrollment;
+    this.workerId = workerId;
+    this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? DEFAULT_RETRY_BASE_DELAY_MS;
+  }
+
+  /**
+   * Add an execution to the queue
+   */
+  async enqueue({ workflowId, clientId, contactId = null, triggerId = null, context = {}, scheduledFor = new Date(), maxRetries }) {
+    return this.store.create({
+      workflowId,
+      clientId,
+      contactId,
+      triggerId,
+      context,
+      status: ExecutionStatus.PENDING,
+      scheduledFor,
+      ...(maxRetries !== undefined && { maxRetries })
+    });
+  }
+
+  /**
+   * Claim and run one batch of due executions
+   *
+   * @param {Date} now
+   * @returns {Promise<Array>} Per-execution outcome
+   */
+  async run(now) {
+    const executions = await this.store.claimDue({
+      workerId: this.workerId,
+      limit: this.batchSize,
+      now,
+      staleBefore: new Date(now.getTime() - this.lockTimeoutMs)
+    });
+
+    const outcomes = [];
+    for (const execution of executions) {
+      const outcome = await this.processExecution(execution, now);
+      publishLiveEvent({
+        type: LiveEventType.TRIGGER_EXECUTION,
+        clientId: execution.clientId,
+        data: {
+          ...outcome,
+          workflowId: execution.workflowId,
+          workflowName: execution.workflow?.name || null,
+          triggerId: execution.triggerId,
+          contactId: execution.contactId
+        }
+      });
+      outcomes.push(outcome);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Run a claimed execution from its current step until it finishes,
+   * hits a delay, or fails.
+   */
+  async processExecution(execution, now = new Date()) {
+    const workflow = execution.workflow;
+
+    if (!workflow || workflow.status !== 'active') {
+      await this.release(execution.id, {
+        status: ExecutionStatus.CANCELLED,
+        completedAt: now,
+        error: workflow ? `Workflow is ${workflow.status}` : 'Workflow not found'
+      });
+      return { executionId: execution.id, status: ExecutionStatus.CANCELLED };
+    }
+
+    // Held-out contacts never start, however the execution was queued
+    if (!execution.currentStep && !execution.actionsCompleted) {
+      const enrollment = await this.checkEnrollment(workflow, execution.contactId);
+      if (!enrollment.enroll) {
+        await this.release(execution.id, {
+          status: ExecutionStatus.CANCELLED,
+          completedAt: now,
+          error: 'Contact is in the journey holdout'
+        });
+        return { executionId: execution.id, status: ExecutionStatus.CANCELLED, reason: 'holdout' };
+      }
+    }
+
+    const actions = Array.isArray(workflow.actions) ? workflow.actions : [];
+    const context = { ...(execution.context || {}) };
+    const results = Array.isArray(execution.results) ? [...execution.results] : [];
+    let step = execution.currentStep || 0;
+    let actionsCompleted = execution.actionsCompleted || 0;
+    let retryCount = execution.retryCount || 0;
+
+    const progress = () => ({
+      currentStep: step,
+      actionsTotal: actions.length,
+      actionsCompleted,
+      results,
+      context
+    });
+
+    while (step < actions.length) {
+      const action = actions[step];
+
+      // Per-action delay (minutes) runs once before the action
+      const delayMinutes = Number(action.delay) || 0;
+      if (delayMinutes > 0 && context.delayedStep !== step) {
+        context.delayedStep = step;
+        const resumeAt = this.resolveResumeTime(new Date(now.getTime() + delayMinutes * 60 * 1000), context);
+        await this.release(execution.id, { ...progress(), status: ExecutionStatus.PENDING, scheduledFor: resumeAt });
+        return { executionId: execution.id, status: 'waiting', step, resumeAt };
+      }
+
+      let output;
+      try {
+        output = await this.runAction(action, { execution, step, context, now });
+      } catch (error) {
+        retryCount += 1;
+        results.push({
+          step,
+          type: action.type,
+          status: 'failed',
+          attempt: retryCount,
+          error: error.message,
+          at: now.toISOString()
+        });
+
+        if (retryCount <= execution.maxRetries) {
+          const retryAt = new Date(now.getTime() + Math.pow(2, retryCount - 1) * this.retryBaseDelayMs);
+          await this.release(execution.id, {
+            ...progress(),
+            status: ExecutionStatus.PENDING,
+            scheduledFor: retryAt,
+            retryCount,
+            error: error.message
+          });
+          return { executionId: execution.id, status: 'retrying', step, retryAt, error: error.message };
+        }
+
+        await this.release(execution.id, {
+          ...progress(),
+          status: ExecutionStatus.FAILED,
+          retryCount,
+          actionsFailed: (execution.actionsFailed || 0) + 1,
+          completedAt: now,
+          error: error.message
+        });
+        return { executionId: execution.id, status: ExecutionStatus.FAILED, step, error: error.message };
+      }
+
+      results.push({
+        step,
+        type: action.type,
+        status: 'completed',
+        output: output ?? null,
+        at: now.toISOString()
+      });
+      actionsCompleted += 1;
+      retryCount = 0;
+      step = output?.nextStep === 'end'
+        ? actions.length
+        : Number.isInteger(output?.nextStep) ? output.nextStep : step + 1;
+
+      // Actions may pause the execution themselves (wait steps)
+      if (output?.waitUntil && step < actions.length) {
+        const resumeAt = this.resolveResumeTime(new Date(output.waitUntil), context);
+        await this.release(execution.id, {
+          ...progress(),
+          status: ExecutionStatus.PENDING,
+          scheduledFor: resumeAt,
+          retryCount: 0,
+          error: null
+        });
+        return { executionId: execution.id, status: 'waiting', step, resumeAt };
+      }
+    }
+
+    await this.release(execution.id, {
+      ...progress(),
+      status: ExecutionStatus.COMPLETED,
+      retryCount: 0,
+      completedAt: now,
+      error: null
+    });
+    return { executionId: execution.id, status: ExecutionStatus.COMPLETED, actionsCompleted };
+  }
+
+  /**
+   * Apply the trigger's business hours window (if any) to a resume time
+   */
+  resolveResumeTime(date, context) {
+    return context.scheduleWindow ? applyScheduleWindow(date, context.scheduleWindow) : date;
+  }
+
+  /**
+   * Persist progress and drop this worker's claim
+   */
+  async release(id, data) {
+    return this.store.update(id, { ...data, lockedAt: null, lockedBy: null });
+  }
+
+  async getStats(clientId) {
+    return {
+      workerId: this.workerId,
+      running: Boolean(this.timer),
+      pollIntervalMs: this.pollIntervalMs,
+      executions: await this.store.countByStatus(clientId)
+    };
+  }
+}
+
+export const workflowQueue = new WorkflowQueue();
+export default workflowQueue;
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for the Workflow Execution Queue (local store)
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('@bloom/data', () => ({
+  PrismaClient: vi.fn(() => ({}))
+}));
+
+import { WorkflowQueue, LocalExecutionStore } from './workflow-queue.js';
+
+const MINUTE = 60 * 1000;
+
+function buildQueue(actions, options = {}) {
+  const store = new LocalExecutionStore({
+    workflows: [{ id: 'wf-1', status: 'active', actions }]
+  });
+  const queue = new WorkflowQueue({
+    store,
+    workerId: 'test-worker',
+    retryBaseDelayMs: 1000,
+    ...options
+  });
+  return { store, queue };
+}
+
+describe('WorkflowQueue', () => {
+  let runAction;
+
+  beforeEach(() => {
+    runAction = vi.fn(async (action) => ({ ran: action.type }));
+  });
+
+  it('runs every action of a due execution and marks it completed', async () => {
+    const { store, queue } = buildQueue([{ type: 'sendEmail' }, { type: 'addTag' }], { runAction });
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1' });
+
+    const outcomes = await queue.poll();
+
+    expect(outcomes).toHaveLength(1);
+    expect(outcomes[0].status).toBe('completed');
+    expect(runAction).toHaveBeenCalledTimes(2);
+
+    const stored = store.get(execution.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.actionsTotal).toBe(2);
+    expect(stored.actionsCompleted).toBe(2);
+    expect(stored.lockedBy).toBeNull();
+    expect(stored.results.map(r => r.status)).toEqual(['completed', 'completed']);
+  });
+
+  it('does not pick up executions scheduled in the future', async () => {
+    const { queue } = buildQueue([{ type: 'sendEmail' }], { runAction });
+    await queue.enqueue({
+      workflowId: 'wf-1',
+      clientId: 'client-1',
+      scheduledFor: new Date(Date.now() + 10 * MINUTE)
+    });
+
+    expect(await queue.poll()).toEqual([]);
+    expect(runAction).not.toHaveBeenCalled();
+  });
+
+  it('persists action delays and resumes at the delayed step', async () => {
+    const { store, queue } = buildQueue([
+      { type: 'sendEmail' },
+      { type: 'createTask', delay: 60 }
+    ], { runAction });
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1' });
+    const now = new Date();
+
+    const [first] = await queue.poll(now);
+    expect(first.status).toBe('waiting');
+    expect(first.resumeAt.getTime()).toBe(now.getTime() + 60 * MINUTE);
+    expect(store.get(execution.id)).toMatchObject({ status: 'pending', currentStep: 1, actionsCompleted: 1 });
+
+    // Nothing to do until the delay has elapsed
+    expect(await queue.poll(new Date(now.getTime() + 30 * MINUTE))).toEqual([]);
+
+    const [second] = await queue.poll(new Date(now.getTime() + 61 * MINUTE));
+    expect(second.status).toBe('completed');
+    expect(runAction).toHaveBeenCalledTimes(2);
+    expect(store.get(execution.id).actionsCompleted).toBe(2);
+  });
+
+  it('applies the trigger schedule window when resuming', async () => {
+    const { store, queue } = buildQueue([{ type: 'wait', minutes: 1 }, { type: 'sendEmail' }]);
+    const execution = await queue.enqueue({
+      workflowId: 'wf-1',
+      clientId: 'client-1',
+      context: {
+        // Zero-length business day: any resume time is pushed to the next day
+        scheduleWindow: { businessHoursStart: 0, businessHoursEnd: 0, businessDays: [0, 1, 2, 3, 4, 5, 6], timezone: 'UTC' }
+      }
+    });
+
+    const [outcome] = await queue.poll();
+    const stored = store.get(execution.id);
+
+    expect(outcome.status).toBe('waiting');
+    expect(stored.currentStep).toBe(1);
+    expect(stored.scheduledFor.getTime() - Date.now()).toBeGreaterThan(60 * MINUTE);
+  });
+
+  it('retries a failing step with backoff, then fails the execution', async () => {
+    runAction.mockRejectedValue(new Error('GHL unavailable'));
+    const { store, queue } = buildQueue([{ type: 'sendEmail' }], { runAction });
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1', maxRetries: 1 });
+    const now = new Date();
+
+    const [first] = await queue.poll(now);
+    expect(first.status).toBe('retrying');
+    expect(first.retryAt.getTime()).toBe(now.getTime() + 1000);
+    expect(store.get(execution.id)).toMatchObject({ status: 'pending', retryCount: 1, error: 'GHL unavailable' });
+
+    const [second] = await queue.poll(new Date(now.getTime() + 1000));
+    expect(second.status).toBe('failed');
+
+    const stored = store.get(execution.id);
+    expect(stored.status).toBe('failed');
+    expect(stored.actionsFailed).toBe(1);
+    expect(stored.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('reclaims executions whose worker lock has gone stale', async () => {
+    const { store, queue } = buildQueue([{ type: 'sendEmail' }], { runAction, lockTimeoutMs: MINUTE });
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1' });
+    const now = new Date();
+    await store.update(execution.id, { status: 'running', lockedBy: 'crashed-worker', lockedAt: new Date(now.getTime() - 2 * MINUTE) });
+
+    const [outcome] = await queue.poll(now);
+
+    expect(outcome.status).toBe('completed');
+  });
+
+  it('cancels executions whose workflow is no longer active', async () => {
+    const { store, queue } = buildQueue([{ type: 'sendEmail' }], { runAction });
+    store.addWorkflow({ id: 'wf-1', status: 'paused', actions: [{ type: 'sendEmail' }] });
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1' });
+
+    await queue.poll();
+
+    expect(store.get(execution.id)).toMatchObject({ status: 'cancelled', error: 'Workflow is paused' });
+    expect(runAction).not.toHaveBeenCalled();
+  });
+
+  it('cancels executions for contacts in the journey holdout before the first step', async () => {
+    const checkEnrollment = vi.fn(async (workflow, contactId) => ({ enroll: contactId !== 'held-out' }));
+    const { store, queue } = buildQueue([{ type: 'sendEmail' }], { runAction, checkEnrollment });
+    const held = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1', contactId: 'held-out' });
+    const treated = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1', contactId: 'treated' });
+
+    await queue.poll();
+
+    expect(store.get(held.id)).toMatchObject({ status: 'cancelled', error: 'Contact is in the journey holdout' });
+    expect(store.get(treated.id).status).toBe('completed');
+    expect(runAction).toHaveBeenCalledTimes(1);
+    expect(checkEnrollment).toHaveBeenCalledWith(expect.objectContaining({ id: 'wf-1' }), 'held-out');
+  });
+
+  it('fails unknown action types with the default runner', async () => {
+    const { store, queue } = buildQueue([{ type: 'teleport' }]);
+    const execution = await queue.enqueue({ workflowId: 'wf-1', clientId: 'client-1', maxRetries: 0 });
+
+    await queue.poll();
+
+    expect(store.get(execution.id).error).toMatch(/No handler registered for action type: teleport/);
+  });
+});
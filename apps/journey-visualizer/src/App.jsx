@@ -29,6 +29,9 @@ const JourneyFlow = lazy(() => import('./components/JourneyFlow'));
 const MultiClientDashboard = lazy(() => import('./components/MultiClientDashboard'));
 const AnalyticsDashboard = lazy(() => import('./components/AnalyticsDashboard'));
 const ApprovalPanel = lazy(() => import('./components/ApprovalPanel'));
+const VersionHistoryDrawer = lazy(() => import('./components/VersionHistoryDrawer'));
+const SyncConflictDialog = lazy(() => import('./components/ConflictDialog').then(m => ({ default: m.SyncConflictDialog })));
+const DeployPlanDialog = lazy(() => import('./components/DeployPlanDialog'));
 const TouchpointList = lazy(() => import('./components/TouchpointList'));
 const TouchpointPrintView = lazy(() => import('./components/TouchpointPrintView'));
 const JourneyPrintView = lazy(() => import('./components/JourneyPrintView'));
@@ -38,6 +41,7 @@ const StandaloneEmailEditor = lazy(() => import('./components/StandaloneEmailEdi
 const ClientSelfServicePortal = lazy(() => import('./components/ClientSelfServicePortal'));
 const ClientLogin = lazy(() => import('./components/ClientLogin'));
 const WebhookManager = lazy(() => import('./components/WebhookManager'));
+const OutboundWebhookManager = lazy(() => import('./components/OutboundWebhookManager'));
 const JourneyReviewer = lazy(() => import('./components/JourneyReviewer'));
 const ClientReviewPage = lazy(() => import('./components/ClientReviewPage').then(m => ({ default: m.ClientReviewPage })));
 
@@ -121,9 +125,9 @@ function Navigation({ onNavigate }) {
 function AppLayout({ selectedClientId, onClientChange }) {
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    const { getApiClient } = await import('./services/apiClient');
+    await getApiClient().logout();
     navigate('/login');
   };
 
@@ -188,11 +192,16 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
   const [selectedJourneyId, setSelectedJourneyId] = useState('journey-1');
   const [showApprovalPanel, setShowApprovalPanel] = useState(true);
   const [isEditMode, setIsEditMode] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const [showDeployPlans, setShowDeployPlans] = useState(false);
+  // Bumped after a restore so the canvas reloads the restored graph
+  const [restoreCount, setRestoreCount] = useState(0);
 
   // Initialize hooks (will use mock data if no API key provided)
   console.log('[JourneyBuilder] Calling useJourneys, selectedClientId:', selectedClientId);
-  const { journeys, loading: journeysLoading, updateJourney } = useJourneys(selectedClientId);
-  const { approvals, requestApproval, approveJourney, rejectJourney } = useApprovals(null);
+  const { journeys, loading: journeysLoading, updateJourney, updateJourneyStatus, refetch: refetchJourneys } = useJourneys(selectedClientId);
+  const { approvals, fetchApprovals, requestApproval, approveJourney, rejectJourney } = useApprovals(null);
 
   // Get selected journey
   const selectedJourney = useMemo(() => 
@@ -212,6 +221,13 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
     [journeys, selectedClientId]
   );
 
+  // Load the selected journey's approval requests and sign-offs
+  React.useEffect(() => {
+    if (selectedJourney?.id) {
+      fetchApprovals(selectedJourney.id);
+    }
+  }, [selectedJourney?.id, fetchApprovals]);
+
   // Auto-select first journey when journeys load
   React.useEffect(() => {
     if (clientJourneys.length > 0 && !clientJourneys.find(j => j.id === selectedJourneyId)) {
@@ -229,26 +245,53 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
     }
   };
 
+  // Status changes go through the API's transition table; show its reason when it refuses.
+  // An approval the policy needs more sign-offs for is recorded without moving the journey
+  const changeStatus = async (journeyId, status, reason) => {
+    try {
+      const result = await updateJourneyStatus(journeyId, status, reason);
+      const outcome = result.transition?.pending && result.transition.outcome;
+      if (outcome) {
+        alert(`Decision recorded: ${outcome.approvedCount} of ${outcome.requiredApprovals} required approvals so far`);
+      }
+      return result;
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || err.message);
+      throw err;
+    }
+  };
+
+  // A decision only moves the journey once the client's approval policy is
+  // satisfied, so refetch to pick up any status change
   const handleApprove = async (journeyId, comment) => {
-    await approveJourney(journeyId, journeyApprovals[0]?.id || 'mock-approval', comment);
-    await updateJourney(journeyId, { status: JOURNEY_STATUS.APPROVED });
+    try {
+      await approveJourney(journeyId, comment);
+    } catch (err) {
+      alert(err.response?.data?.error || err.message);
+    }
+    await refetchJourneys();
   };
 
   const handleReject = async (journeyId, comment) => {
-    await rejectJourney(journeyId, journeyApprovals[0]?.id || 'mock-approval', comment);
-    await updateJourney(journeyId, { status: JOURNEY_STATUS.REJECTED });
+    try {
+      await rejectJourney(journeyId, comment);
+    } catch (err) {
+      alert(err.response?.data?.error || err.message);
+    }
+    await refetchJourneys();
   };
 
   const handleRequestApproval = async (journeyId) => {
-    await requestApproval(journeyId, 1);
-    await updateJourney(journeyId, { status: JOURNEY_STATUS.CLIENT_REVIEW });
+    try {
+      await requestApproval(journeyId);
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || err.message);
+    }
+    await refetchJourneys();
   };
 
   const handleDeploy = async (journeyId) => {
-    await updateJourney(journeyId, { 
-      status: JOURNEY_STATUS.PUBLISHED,
-      publishedAt: new Date().toISOString()
-    });
+    await changeStatus(journeyId, JOURNEY_STATUS.PUBLISHED);
     alert('Journey deployed successfully!');
   };
 
@@ -256,6 +299,11 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
     updateJourney(updatedJourney.id, updatedJourney);
   };
 
+  const handleVersionRestored = async () => {
+    await refetchJourneys();
+    setRestoreCount(count => count + 1);
+  };
+
   const handleEditModeChange = (editMode) => {
     setIsEditMode(editMode);
   };
@@ -301,6 +349,30 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
                 </p>
               </div>
               <div className="app__canvas-actions">
+                {!isLocalMode() && (
+                  <button
+                    className="app__toggle-panel"
+                    onClick={() => setShowVersionHistory(true)}
+                  >
+                    Version History
+                  </button>
+                )}
+                {!isLocalMode() && (
+                  <button
+                    className="app__toggle-panel"
+                    onClick={() => setShowSyncConflicts(true)}
+                  >
+                    Sync Conflicts
+                  </button>
+                )}
+                {!isLocalMode() && (
+                  <button
+                    className="app__toggle-panel"
+                    onClick={() => setShowDeployPlans(true)}
+                  >
+                    Deploy Plans
+                  </button>
+                )}
                 <button
                   className="app__toggle-panel"
                   onClick={() => setShowApprovalPanel(!showApprovalPanel)}
@@ -312,6 +384,7 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
             <div className={`app__flow-wrapper ${showApprovalPanel ? 'app__flow-wrapper--with-panel' : ''}`}>
               <Suspense fallback={<PageLoader />}>
                 <JourneyFlow 
+                  key={`${selectedJourney.id}-${restoreCount}`}
                   journey={selectedJourney} 
                   clientSlug={selectedClientId}
                   onUpdateJourney={handleUpdateJourney}
@@ -322,6 +395,37 @@ function JourneyBuilder({ selectedClientId, onClientChange }) {
         )}
       </section>
 
+      {showVersionHistory && selectedJourney && (
+        <Suspense fallback={null}>
+          <VersionHistoryDrawer
+            journey={selectedJourney}
+            isOpen={showVersionHistory}
+            onClose={() => setShowVersionHistory(false)}
+            onRestored={handleVersionRestored}
+          />
+        </Suspense>
+      )}
+
+      {showSyncConflicts && selectedJourney && (
+        <Suspense fallback={null}>
+          <SyncConflictDialog
+            journey={selectedJourney}
+            isOpen={showSyncConflicts}
+            onClose={() => setShowSyncConflicts(false)}
+          />
+        </Suspense>
+      )}
+
+      {showDeployPlans && selectedJourney && (
+        <Suspense fallback={null}>
+          <DeployPlanDialog
+            journey={selectedJourney}
+            isOpen={showDeployPlans}
+            onClose={() => setShowDeployPlans(false)}
+          />
+        </Suspense>
+      )}
+
       {/* Approval Panel Sidebar */}
       {showApprovalPanel && selectedJourney && (
         <aside className="app__approval-sidebar">
@@ -359,13 +463,16 @@ function ProtectedRoute({ children }) {
 }
 
 /**
- * Login Page
+ * Login Page - email/password, plus SSO buttons when providers are configured
  */
 function LoginPage() {
   const [email, setEmail] = useState('');
-  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [forgotMode, setForgotMode] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
   const navigate = useNavigate();
 
   // Check if already logged in
@@ -376,24 +483,49 @@ function LoginPage() {
     }
   }, [navigate]);
 
+  React.useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        const { getApiClient } = await import('./services/apiClient');
+        setProviders(await getApiClient().getSsoProviders());
+      } catch (err) {
+        console.error('Failed to load SSO providers:', err);
+      }
+    };
+    loadProviders();
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
+    setNotice(null);
 
     try {
       const { getApiClient } = await import('./services/apiClient');
       const apiClient = getApiClient();
-      await apiClient.login(email, name || email.split('@')[0]);
-      navigate('/');
+      if (forgotMode) {
+        setNotice(await apiClient.requestPasswordReset(email));
+        setForgotMode(false);
+      } else {
+        await apiClient.login(email, password);
+        navigate('/');
+      }
     } catch (err) {
       console.error('Login failed:', err);
-      setError('Login failed. Please try again.');
+      setError(err.response?.status === 401
+        ? 'Incorrect email or password.'
+        : 'Login failed. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSso = async (provider) => {
+    const { getApiClient } = await import('./services/apiClient');
+    window.location.href = getApiClient().getSsoLoginUrl(provider.name);
+  };
+
   return (
     <div className="app__login">
       <div className="app__login-card">
@@ -401,13 +533,21 @@ function LoginPage() {
           <span>🌸</span>
           <h1>Journey Builder</h1>
         </div>
-        <p className="app__login-subtitle">Sign in to manage your journeys and touchpoints</p>
+        <p className="app__login-subtitle">
+          {forgotMode ? 'Enter your email to reset your password' : 'Sign in to manage your journeys and touchpoints'}
+        </p>
         
         {error && (
           <div className="app__login-error">
             {error}
           </div>
         )}
+
+        {notice && (
+          <div className="app__login-notice">
+            {notice}
+          </div>
+        )}
         
         <form onSubmit={handleSubmit} className="app__login-form">
           <div className="app__login-field">
@@ -418,27 +558,159 @@ function LoginPage() {
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               placeholder="your@email.com"
+              autoComplete="username"
               required
             />
           </div>
           
-          <div className="app__login-field">
-            <label htmlFor="name">Name (optional)</label>
-            <input
-              type="text"
-              id="name"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              placeholder="Your Name"
-            />
-          </div>
+          {!forgotMode && (
+            <div className="app__login-field">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+            </div>
+          )}
           
           <button 
             type="submit" 
             className="app__login-btn"
             disabled={loading}
           >
-            {loading ? 'Signing in...' : 'Sign In'}
+            {forgotMode
+              ? (loading ? 'Sending...' : 'Request Reset')
+              : (loading ? 'Signing in...' : 'Sign In')}
+          </button>
+
+          <button
+            type="button"
+            className="app__login-link"
+            onClick={() => { setForgotMode(!forgotMode); setError(null); }}
+          >
+            {forgotMode ? 'Back to sign in' : 'Forgot password?'}
+          </button>
+        </form>
+
+        {!forgotMode && providers.length > 0 && (
+          <div className="app__login-sso">
+            {providers.map(provider => (
+              <button
+                key={provider.name}
+                type="button"
+                className="app__login-btn app__login-btn--secondary"
+                onClick={() => handleSso(provider)}
+              >
+                Sign in with {provider.displayName}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Set Password Page - accepting an invite or completing a password reset.
+ * The token comes from the emailed link (?token=...).
+ */
+function SetPasswordPage({ mode }) {
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get('token');
+  const isInvite = mode === 'invite';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { getApiClient } = await import('./services/apiClient');
+      const apiClient = getApiClient();
+      if (isInvite) {
+        await apiClient.acceptInvite(token, password);
+        navigate('/');
+      } else {
+        await apiClient.resetPassword(token, password);
+        navigate('/login');
+      }
+    } catch (err) {
+      console.error('Set password failed:', err);
+      const details = err.response?.data?.details;
+      setError(details?.[0]?.message || err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="app__login">
+      <div className="app__login-card">
+        <div className="app__login-logo">
+          <span>🌸</span>
+          <h1>{isInvite ? 'Welcome to Journey Builder' : 'Reset Password'}</h1>
+        </div>
+        <p className="app__login-subtitle">
+          {isInvite ? 'Choose a password to activate your account' : 'Choose a new password'}
+        </p>
+
+        {!token && (
+          <div className="app__login-error">This link is missing its token.</div>
+        )}
+
+        {error && (
+          <div className="app__login-error">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="app__login-form">
+          <div className="app__login-field">
+            <label htmlFor="new-password">Password (at least 12 characters)</label>
+            <input
+              type="password"
+              id="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              minLength={12}
+              required
+            />
+          </div>
+
+          <div className="app__login-field">
+            <label htmlFor="confirm-password">Confirm password</label>
+            <input
+              type="password"
+              id="confirm-password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="app__login-btn"
+            disabled={loading || !token}
+          >
+            {loading ? 'Saving...' : (isInvite ? 'Activate Account' : 'Set Password')}
           </button>
         </form>
       </div>
@@ -446,12 +718,62 @@ function LoginPage() {
   );
 }
 
+/**
+ * SSO Callback - the API redirects here with tokens in the URL fragment
+ */
+function SsoCallbackPage() {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  React.useEffect(() => {
+    const completeLogin = async () => {
+      const params = new URLSearchParams(window.location.hash.slice(1));
+      const accessToken = params.get('accessToken');
+      const refreshToken = params.get('refreshToken');
+      // Drop the tokens from the address bar and history
+      window.history.replaceState(null, '', window.location.pathname);
+
+      if (!accessToken || !refreshToken) {
+        setError('Single sign-on did not complete. Please try again.');
+        return;
+      }
+
+      try {
+        const { getApiClient } = await import('./services/apiClient');
+        const apiClient = getApiClient();
+        apiClient.storeSession({ accessToken, refreshToken });
+        const user = await apiClient.getCurrentUser();
+        localStorage.setItem('user', JSON.stringify(user));
+        navigate('/', { replace: true });
+      } catch (err) {
+        console.error('SSO login failed:', err);
+        setError('Single sign-on failed. Please try again.');
+      }
+    };
+    completeLogin();
+  }, [navigate]);
+
+  if (!error) {
+    return <PageLoader />;
+  }
+
+  return (
+    <div className="app__login">
+      <div className="app__login-card">
+        <div className="app__login-error">{error}</div>
+        <Link to="/login" className="app__login-link">Back to sign in</Link>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Webhook Manager Page Wrapper
  * Now uses the shared layout from parent - no duplicate header
  */
 function WebhookManagerPage({ selectedClientId }) {
   const [clientName, setClientName] = useState('');
+  const [direction, setDirection] = useState('inbound');
 
   // Fetch client name when client changes
   React.useEffect(() => {
@@ -471,8 +793,26 @@ function WebhookManagerPage({ selectedClientId }) {
 
   return (
     <div className="webhook-page">
+      <div className="webhook-page__direction">
+        <button
+          className={direction === 'inbound' ? 'active' : ''}
+          onClick={() => setDirection('inbound')}
+        >
+          Inbound (GHL)
+        </button>
+        <button
+          className={direction === 'outbound' ? 'active' : ''}
+          onClick={() => setDirection('outbound')}
+        >
+          Outbound
+        </button>
+      </div>
       <Suspense fallback={<PageLoader />}>
-        <WebhookManager clientId={selectedClientId} clientName={clientName} />
+        {direction === 'inbound' ? (
+          <WebhookManager clientId={selectedClientId} clientName={clientName} />
+        ) : (
+          <OutboundWebhookManager clientId={selectedClientId} clientName={clientName} />
+        )}
       </Suspense>
     </div>
   );
@@ -522,6 +862,9 @@ function App() {
     <BrowserRouter>
       <Routes>
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/login/sso" element={<SsoCallbackPage />} />
+        <Route path="/accept-invite" element={<SetPasswordPage mode="invite" />} />
+        <Route path="/reset-password" element={<SetPasswordPage mode="reset" />} />
         
         {/* All authenticated routes share the same persistent layout */}
         <Route element={<ProtectedRoute><AppLayout selectedClientId={selectedClientId} onClientChange={setSelectedClientId} /></ProtectedRoute>}>
@@ -1,6 +1,7 @@
 /**
  * A/B Test Creator
- * Component for creating new A/B tests with variants
+ * Component for creating new A/B tests with variants, or multivariate tests
+ * from factors and their levels
  */
 
 import React, { useState, useEffect } from 'react';
@@ -22,6 +23,48 @@ const TARGET_METRICS = [
   { value: 'reply_rate', label: 'Reply Rate', description: 'Response rate to messages' }
 ];
 
+const ANALYSIS_MODES = [
+  { value: 'fixed', label: 'Fixed Horizon', description: 'Z-test read once the minimum sample size is reached' },
+  { value: 'bayesian', label: 'Bayesian', description: 'Probability to beat control and expected loss; safe to check any time' },
+  { value: 'sequential', label: 'Sequential', description: 'Always-valid p-values or alpha spending; can stop early' }
+];
+
+const SEQUENTIAL_METHODS = [
+  { value: 'msprt', label: 'Always-valid p-value (mSPRT)' },
+  { value: 'alpha_spending', label: "Alpha spending (O'Brien-Fleming)" }
+];
+
+const ALLOCATION_MODES = [
+  { value: 'fixed', label: 'Fixed', description: 'Traffic stays at the split below' },
+  { value: 'thompson', label: 'Thompson Sampling', description: 'New participants shift toward the variant most likely to be best' },
+  { value: 'epsilon_greedy', label: 'Epsilon-Greedy', description: 'The leading variant gets most new traffic; the rest keep exploring' }
+];
+
+const TEST_DESIGNS = [
+  { value: 'ab', label: 'A/B/n', description: 'Compare up to five hand-built variants' },
+  { value: 'factorial', label: 'Multivariate', description: 'Vary several touchpoints at once; every combination of levels is a variant' }
+];
+
+const MAX_FACTORS = 6;
+const MAX_LEVELS = 5;
+const MAX_COMBINATIONS = 64;
+
+const newFactor = () => ({
+  name: '',
+  touchpointId: '',
+  field: '',
+  levels: [{ name: '', value: '' }, { name: '', value: '' }]
+});
+
+// Keys are the API's handle for a factor (e.g. "welcome_subject")
+const toFactorKey = (name, index, taken) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  const key = /^[a-z]/.test(slug) ? slug.slice(0, 40) : `factor_${index + 1}`;
+  return taken.has(key) ? `${key}_${index + 1}` : key;
+};
+
+const parseLevelValue = (value) => (value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value);
+
 const TRAFFIC_SPLITS = [
   { label: '50/50', value: [50, 50] },
   { label: '60/40', value: [60, 40] },
@@ -44,6 +87,13 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
     minConfidenceLevel: 0.95,
     minSampleSize: 100,
     autoWinnerSelection: false,
+    analysisMode: 'fixed',
+    expectedLossThreshold: 0.001,
+    sequentialMethod: 'msprt',
+    allocationMode: 'fixed',
+    design: 'ab',
+    factors: [newFactor(), newFactor()],
+    fractional: false,
     trafficSplit: '50/50',
     customTraffic: [50, 50],
     variants: [
@@ -179,6 +229,80 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
     return Math.abs(total - 100) < 0.01;
   };
 
+  const handleFactorChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      factors: prev.factors.map((f, i) => (i === index ? { ...f, [field]: value } : f))
+    }));
+  };
+
+  const handleLevelChange = (factorIndex, levelIndex, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      factors: prev.factors.map((f, i) => (i === factorIndex
+        ? { ...f, levels: f.levels.map((l, j) => (j === levelIndex ? { ...l, [field]: value } : l)) }
+        : f))
+    }));
+  };
+
+  const handleAddFactor = () => {
+    setFormData(prev => ({ ...prev, factors: [...prev.factors, newFactor()] }));
+  };
+
+  const handleRemoveFactor = (index) => {
+    setFormData(prev => ({ ...prev, factors: prev.factors.filter((_, i) => i !== index) }));
+  };
+
+  const handleAddLevel = (factorIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      factors: prev.factors.map((f, i) => (i === factorIndex ? { ...f, levels: [...f.levels, { name: '', value: '' }] } : f))
+    }));
+  };
+
+  const handleRemoveLevel = (factorIndex, levelIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      factors: prev.factors.map((f, i) => (i === factorIndex ? { ...f, levels: f.levels.filter((_, j) => j !== levelIndex) } : f))
+    }));
+  };
+
+  const isFactorial = formData.design === 'factorial';
+  // A half fraction needs at least three factors, all with two levels
+  const canRunFractional = formData.factors.length >= 3 && formData.factors.every(f => f.levels.length === 2);
+  const runsFractional = formData.fractional && canRunFractional;
+  const combinationCount = formData.factors.reduce((count, f) => count * f.levels.length, 1) / (runsFractional ? 2 : 1);
+
+  const validateFactors = () => formData.factors.every(f => f.name.trim() && f.levels.every(l => l.name.trim())) &&
+    combinationCount <= MAX_COMBINATIONS;
+
+  const buildFactors = () => {
+    const taken = new Set();
+    return formData.factors.map((factor, index) => {
+      const key = toFactorKey(factor.name, index, taken);
+      taken.add(key);
+      return {
+        key,
+        name: factor.name.trim(),
+        ...(factor.touchpointId && { touchpointId: factor.touchpointId }),
+        levels: factor.levels.map(level => ({
+          name: level.name.trim(),
+          changes: factor.field.trim() ? { [factor.field.trim()]: parseLevelValue(level.value) } : {}
+        }))
+      };
+    });
+  };
+
+  const buildAnalysisConfig = () => {
+    if (formData.analysisMode === 'bayesian') {
+      return { expectedLossThreshold: formData.expectedLossThreshold };
+    }
+    if (formData.analysisMode === 'sequential') {
+      return { method: formData.sequentialMethod };
+    }
+    return {};
+  };
+
   const handleSubmit = async () => {
     if (!formData.name.trim()) {
       alert('Please enter a test name');
@@ -190,7 +314,12 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
       return;
     }
 
-    if (!validateTrafficAllocation()) {
+    if (isFactorial && !validateFactors()) {
+      alert(`Name every factor and level, and keep to ${MAX_COMBINATIONS} combinations or fewer`);
+      return;
+    }
+
+    if (!isFactorial && !validateTrafficAllocation()) {
       const total = formData.variants.reduce((sum, v) => sum + v.trafficPercentage, 0);
       alert(`Traffic allocation must equal 100%. Current total: ${total}%`);
       return;
@@ -205,6 +334,10 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
         journeySnapshot: journey || {}
       }));
 
+      const layout = isFactorial
+        ? { design: runsFractional ? 'fractional_factorial' : 'full_factorial', factors: buildFactors() }
+        : { variants: variantsWithSnapshots };
+
       await onCreate({
         name: formData.name,
         description: formData.description,
@@ -214,7 +347,10 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
         minConfidenceLevel: formData.minConfidenceLevel,
         minSampleSize: formData.minSampleSize,
         autoWinnerSelection: formData.autoWinnerSelection,
-        variants: variantsWithSnapshots
+        analysisMode: formData.analysisMode,
+        analysisConfig: buildAnalysisConfig(),
+        allocationMode: isFactorial ? 'fixed' : formData.allocationMode,
+        ...layout
       });
     } catch (err) {
       alert('Failed to create test: ' + err.message);
@@ -306,94 +442,245 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
     </div>
   );
 
-  const renderStep2 = () => (
-    <div className="creator-step">
-      <h3>Step 2: Configure Variants</h3>
-      
-      <div className="traffic-split-section">
-        <label>Traffic Split</label>
-        <div className="traffic-split-options">
-          {TRAFFIC_SPLITS.map(split => (
-            <button
-              key={split.label}
-              className={`split-option ${formData.trafficSplit === split.label ? 'active' : ''}`}
-              onClick={() => handleTrafficSplitChange(split)}
-            >
-              {split.label}
-            </button>
-          ))}
-        </div>
-      </div>
-
+  const renderFactorBuilder = () => (
+    <>
       <div className="variants-list">
-        {formData.variants.map((variant, index) => (
-          <div key={index} className={`variant-card ${variant.isControl ? 'control' : ''}`}>
+        {formData.factors.map((factor, index) => (
+          <div key={index} className="variant-card">
             <div className="variant-header">
               <div className="variant-title">
-                {variant.isControl && <span className="control-badge">Control</span>}
-                <span className="variant-number">{variant.isControl ? 'Control' : `Variant ${String.fromCharCode(64 + index)}`}</span>
+                <span className="variant-number">Factor {index + 1}</span>
               </div>
-              {!variant.isControl && (
-                <button
-                  className="btn btn-ghost btn-sm"
-                  onClick={() => handleRemoveVariant(index)}
-                >
+              {formData.factors.length > 2 && (
+                <button className="btn btn-ghost btn-sm" onClick={() => handleRemoveFactor(index)}>
                   Remove
                 </button>
               )}
             </div>
 
             <div className="form-row">
-              <div className="form-group flex-grow">
-                <label>Variant Name</label>
+              <div className="form-group">
+                <label>Factor Name</label>
                 <input
                   type="text"
-                  value={variant.name}
-                  onChange={(e) => handleVariantChange(index, 'name', e.target.value)}
+                  value={factor.name}
+                  onChange={(e) => handleFactorChange(index, 'name', e.target.value)}
                   className="form-input"
-                  placeholder={variant.isControl ? 'Control' : `Variant ${String.fromCharCode(64 + index)}`}
+                  placeholder="e.g., Welcome email subject"
                 />
               </div>
-              <div className="form-group traffic-input">
-                <label>Traffic %</label>
-                <input
-                  type="number"
-                  min="0"
-                  max="100"
-                  value={variant.trafficPercentage}
-                  onChange={(e) => handleTrafficPercentageChange(index, e.target.value)}
-                  className="form-input"
-                  disabled={formData.trafficSplit !== 'Custom'}
-                />
+              <div className="form-group">
+                <label>Touchpoint</label>
+                {journey?.touchpoints?.length > 0 ? (
+                  <select
+                    value={factor.touchpointId}
+                    onChange={(e) => handleFactorChange(index, 'touchpointId', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">Not tied to a touchpoint</option>
+                    {journey.touchpoints.map(tp => (
+                      <option key={tp.id} value={tp.id}>{tp.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={factor.touchpointId}
+                    onChange={(e) => handleFactorChange(index, 'touchpointId', e.target.value)}
+                    className="form-input"
+                    placeholder="Touchpoint ID (optional)"
+                  />
+                )}
               </div>
             </div>
 
             <div className="form-group">
-              <label>Description</label>
+              <label>Field Changed</label>
               <input
                 type="text"
-                value={variant.description}
-                onChange={(e) => handleVariantChange(index, 'description', e.target.value)}
+                value={factor.field}
+                onChange={(e) => handleFactorChange(index, 'field', e.target.value)}
                 className="form-input"
-                placeholder={variant.isControl ? 'Current version' : 'What makes this different?'}
+                placeholder="e.g., subject, body, waitDays"
               />
             </div>
+
+            <div className="factor-levels">
+              {factor.levels.map((level, levelIndex) => (
+                <div key={levelIndex} className="factor-level-row">
+                  <span className="factor-level-index">{levelIndex === 0 ? 'Baseline' : `Level ${levelIndex + 1}`}</span>
+                  <input
+                    type="text"
+                    value={level.name}
+                    onChange={(e) => handleLevelChange(index, levelIndex, 'name', e.target.value)}
+                    className="form-input"
+                    placeholder="Level name"
+                  />
+                  <input
+                    type="text"
+                    value={level.value}
+                    onChange={(e) => handleLevelChange(index, levelIndex, 'value', e.target.value)}
+                    className="form-input"
+                    placeholder={factor.field ? `${factor.field} value` : 'Value'}
+                  />
+                  {factor.levels.length > 2 && (
+                    <button className="btn btn-ghost btn-sm" onClick={() => handleRemoveLevel(index, levelIndex)}>
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              {factor.levels.length < MAX_LEVELS && (
+                <button className="btn btn-ghost btn-sm" onClick={() => handleAddLevel(index)}>
+                  + Add Level
+                </button>
+              )}
+            </div>
           </div>
         ))}
       </div>
 
-      {formData.variants.length < 5 && (
-        <button className="btn btn-secondary btn-add-variant" onClick={handleAddVariant}>
-          + Add Variant
+      {formData.factors.length < MAX_FACTORS && (
+        <button className="btn btn-secondary btn-add-variant" onClick={handleAddFactor}>
+          + Add Factor
         </button>
       )}
 
+      <div className="form-group checkbox-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={runsFractional}
+            disabled={!canRunFractional}
+            onChange={(e) => setFormData(prev => ({ ...prev, fractional: e.target.checked }))}
+          />
+          <span>Run a half fraction</span>
+        </label>
+        <span className="form-hint">
+          Needs three or more factors with two levels each. Halves the combinations, but some
+          effects can no longer be told apart from others.
+        </span>
+      </div>
+
       <div className="traffic-validation">
-        Total Traffic: {formData.variants.reduce((sum, v) => sum + v.trafficPercentage, 0)}%
-        {!validateTrafficAllocation() && (
-          <span className="validation-error">Must equal 100%</span>
+        {combinationCount} combinations, {(100 / combinationCount).toFixed(2)}% of traffic each
+        {combinationCount > MAX_COMBINATIONS && (
+          <span className="validation-error">Maximum {MAX_COMBINATIONS}</span>
         )}
       </div>
+    </>
+  );
+
+  const renderStep2 = () => (
+    <div className="creator-step">
+      <h3>Step 2: Configure Variants</h3>
+
+      <div className="traffic-split-section">
+        <label>Test Design</label>
+        <div className="traffic-split-options">
+          {TEST_DESIGNS.map(design => (
+            <button
+              key={design.value}
+              className={`split-option ${formData.design === design.value ? 'active' : ''}`}
+              onClick={() => setFormData(prev => ({ ...prev, design: design.value }))}
+            >
+              {design.label}
+            </button>
+          ))}
+        </div>
+        <span className="form-hint">
+          {TEST_DESIGNS.find(d => d.value === formData.design)?.description}
+        </span>
+      </div>
+
+      {isFactorial ? renderFactorBuilder() : (
+        <>
+          <div className="traffic-split-section">
+            <label>Traffic Split</label>
+            <div className="traffic-split-options">
+              {TRAFFIC_SPLITS.map(split => (
+                <button
+                  key={split.label}
+                  className={`split-option ${formData.trafficSplit === split.label ? 'active' : ''}`}
+                  onClick={() => handleTrafficSplitChange(split)}
+                >
+                  {split.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="variants-list">
+            {formData.variants.map((variant, index) => (
+              <div key={index} className={`variant-card ${variant.isControl ? 'control' : ''}`}>
+                <div className="variant-header">
+                  <div className="variant-title">
+                    {variant.isControl && <span className="control-badge">Control</span>}
+                    <span className="variant-number">{variant.isControl ? 'Control' : `Variant ${String.fromCharCode(64 + index)}`}</span>
+                  </div>
+                  {!variant.isControl && (
+                    <button
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => handleRemoveVariant(index)}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group flex-grow">
+                    <label>Variant Name</label>
+                    <input
+                      type="text"
+                      value={variant.name}
+                      onChange={(e) => handleVariantChange(index, 'name', e.target.value)}
+                      className="form-input"
+                      placeholder={variant.isControl ? 'Control' : `Variant ${String.fromCharCode(64 + index)}`}
+                    />
+                  </div>
+                  <div className="form-group traffic-input">
+                    <label>Traffic %</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={variant.trafficPercentage}
+                      onChange={(e) => handleTrafficPercentageChange(index, e.target.value)}
+                      className="form-input"
+                      disabled={formData.trafficSplit !== 'Custom'}
+                    />
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Description</label>
+                  <input
+                    type="text"
+                    value={variant.description}
+                    onChange={(e) => handleVariantChange(index, 'description', e.target.value)}
+                    className="form-input"
+                    placeholder={variant.isControl ? 'Current version' : 'What makes this different?'}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {formData.variants.length < 5 && (
+            <button className="btn btn-secondary btn-add-variant" onClick={handleAddVariant}>
+              + Add Variant
+            </button>
+          )}
+
+          <div className="traffic-validation">
+            Total Traffic: {formData.variants.reduce((sum, v) => sum + v.trafficPercentage, 0)}%
+            {!validateTrafficAllocation() && (
+              <span className="validation-error">Must equal 100%</span>
+            )}
+          </div>
+        </>
+      )}
 
       <div className="form-actions">
         <button className="btn btn-secondary" onClick={() => setStep(1)}>
@@ -458,6 +745,83 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
           </div>
         </div>
 
+        <div className="form-group">
+          <label>Analysis Mode</label>
+          <select
+            value={formData.analysisMode}
+            onChange={(e) => setFormData(prev => ({ ...prev, analysisMode: e.target.value }))}
+            className="form-select"
+          >
+            {ANALYSIS_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          <span className="form-hint">
+            {ANALYSIS_MODES.find(m => m.value === formData.analysisMode)?.description}
+          </span>
+        </div>
+
+        {formData.analysisMode === 'bayesian' && (
+          <div className="form-group">
+            <label>Maximum Expected Loss (percentage points)</label>
+            <input
+              type="number"
+              value={formData.expectedLossThreshold * 100}
+              onChange={(e) => setFormData(prev => ({
+                ...prev,
+                expectedLossThreshold: (parseFloat(e.target.value) || 0) / 100
+              }))}
+              className="form-input"
+              min="0"
+              step="0.05"
+            />
+            <span className="form-hint">
+              A variant wins once it beats control with the confidence level above and
+              choosing it would cost at most this much conversion rate if it were wrong.
+            </span>
+          </div>
+        )}
+
+        {formData.analysisMode === 'sequential' && (
+          <div className="form-group">
+            <label>Sequential Method</label>
+            <select
+              value={formData.sequentialMethod}
+              onChange={(e) => setFormData(prev => ({ ...prev, sequentialMethod: e.target.value }))}
+              className="form-select"
+            >
+              {SEQUENTIAL_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+            {formData.sequentialMethod === 'alpha_spending' && (
+              <span className="form-hint">
+                The minimum sample size per variant is the planned sample at which all alpha is spent.
+              </span>
+            )}
+          </div>
+        )}
+
+        {!isFactorial && (
+          <div className="form-group">
+            <label>Traffic Allocation</label>
+            <select
+              value={formData.allocationMode}
+              onChange={(e) => setFormData(prev => ({ ...prev, allocationMode: e.target.value }))}
+              className="form-select"
+            >
+              {ALLOCATION_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+            <span className="form-hint">
+              {ALLOCATION_MODES.find(m => m.value === formData.allocationMode)?.description}
+              {formData.allocationMode !== 'fixed' && formData.analysisMode === 'fixed' &&
+                '. Bayesian analysis is recommended, since variants end up with uneven sample sizes.'}
+            </span>
+          </div>
+        )}
+
         <div className="form-group checkbox-group">
           <label className="checkbox-label">
             <input
@@ -471,8 +835,8 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
             <span>Automatically select winner when significance is reached</span>
           </label>
           <span className="form-hint">
-            If enabled, the test will automatically stop and declare a winner when statistical 
-            significance is achieved with the minimum sample size.
+            If enabled, the test will automatically stop and declare a winner when the analysis
+            mode's criteria are met (sequential tests may stop before the minimum sample size).
           </span>
         </div>
       </div>
@@ -497,15 +861,42 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
             </span>
           </div>
           <div className="summary-item">
-            <span className="summary-label">Variants:</span>
-            <span className="summary-value">{formData.variants.length}</span>
-          </div>
-          <div className="summary-item">
-            <span className="summary-label">Traffic Split:</span>
+            <span className="summary-label">Analysis:</span>
             <span className="summary-value">
-              {formData.variants.map(v => `${v.name} (${v.trafficPercentage}%)`).join(', ')}
+              {ANALYSIS_MODES.find(m => m.value === formData.analysisMode)?.label}
             </span>
           </div>
+          {isFactorial ? (
+            <>
+              <div className="summary-item">
+                <span className="summary-label">Factors:</span>
+                <span className="summary-value">
+                  {formData.factors.map(f => `${f.name || 'Unnamed'} (${f.levels.length} levels)`).join(', ')}
+                </span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Combinations:</span>
+                <span className="summary-value">
+                  {combinationCount}{runsFractional ? ' (half fraction)' : ''}, equal traffic
+                </span>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="summary-item">
+                <span className="summary-label">Variants:</span>
+                <span className="summary-value">{formData.variants.length}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Traffic Split:</span>
+                <span className="summary-value">
+                  {formData.variants.map(v => `${v.name} (${v.trafficPercentage}%)`).join(', ')}
+                  {formData.allocationMode !== 'fixed' &&
+                    `, then ${ALLOCATION_MODES.find(m => m.value === formData.allocationMode)?.label}`}
+                </span>
+              </div>
+            </>
+          )}
         </div>
       </div>
 
@@ -516,7 +907,7 @@ export default function ABTestCreator({ journey, onCancel, onCreate }) {
         <button
           className="btn btn-primary btn-lg"
           onClick={handleSubmit}
-          disabled={loading || !validateTrafficAllocation()}
+          disabled={loading || (isFactorial ? !validateFactors() : !validateTrafficAllocation())}
         >
           {loading ? 'Creating...' : 'Create A/B Test'}
         </button>
@@ -14,6 +14,277 @@ const CONFIDENCE_LEVELS = {
   high: { label: 'High', color: '#22c55e', icon: '✓' }
 };
 
+const ANALYSIS_MODES = {
+  fixed: { label: 'Fixed Horizon', column: 'Confidence' },
+  bayesian: { label: 'Bayesian', column: 'P(Beat Control)' },
+  sequential: { label: 'Sequential', column: 'Sequential Test' }
+};
+
+// Control first, then treatments in order
+const SERIES_COLORS = ['#6b7280', '#3b82f6', '#22c55e', '#f59e0b', '#8b5cf6'];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en', { month: 'short', day: 'numeric' });
+
+/**
+ * Minimal SVG line chart. Each series is { label, color, dashed, points: [[x, y]] }.
+ */
+function TrendChart({ series, xDomain, yDomain, xFormat, yFormat, height = 180 }) {
+  const width = 600;
+  const pad = { top: 8, right: 12, bottom: 24, left: 52 };
+  const [x0, x1] = xDomain;
+  const [y0, y1] = yDomain;
+  const scaleX = (x) => pad.left + ((x - x0) / ((x1 - x0) || 1)) * (width - pad.left - pad.right);
+  const scaleY = (y) => pad.top + (1 - (Math.min(Math.max(y, y0), y1) - y0) / ((y1 - y0) || 1)) * (height - pad.top - pad.bottom);
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${width} ${height}`} role="img">
+        <line className="trend-chart__axis" x1={pad.left} y1={scaleY(y0)} x2={width - pad.right} y2={scaleY(y0)} />
+        <line className="trend-chart__axis" x1={pad.left} y1={scaleY(y1)} x2={pad.left} y2={scaleY(y0)} />
+        <text x={pad.left - 6} y={scaleY(y1) + 4} textAnchor="end">{yFormat(y1)}</text>
+        <text x={pad.left - 6} y={scaleY(y0)} textAnchor="end">{yFormat(y0)}</text>
+        <text x={scaleX(x0)} y={height - 6}>{xFormat(x0)}</text>
+        <text x={scaleX(x1)} y={height - 6} textAnchor="end">{xFormat(x1)}</text>
+        {series.map((line) => (
+          <g key={line.label} stroke={line.color}>
+            <polyline
+              fill="none"
+              strokeWidth="2"
+              strokeDasharray={line.dashed ? '6 4' : undefined}
+              points={line.points.map(([x, y]) => `${scaleX(x)},${scaleY(y)}`).join(' ')}
+            />
+            {!line.dashed && line.points.length < 40 && line.points.map(([x, y], index) => (
+              <circle key={index} cx={scaleX(x)} cy={scaleY(y)} r="3" fill={line.color} />
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="chart-legend">
+        {series.map((line) => (
+          <div key={line.label} className="legend-item">
+            <div
+              className={`legend-color ${line.dashed ? 'dashed' : ''}`}
+              style={line.dashed ? { borderColor: line.color } : { background: line.color }}
+            />
+            <span>{line.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Posterior densities of every variant's conversion rate, and the
+ * probability that each is best
+ */
+function BayesianCharts({ posteriors }) {
+  const xs = posteriors.flatMap(p => p.density.map(d => d.x));
+  const maxDensity = Math.max(...posteriors.flatMap(p => p.density.map(d => d.y)));
+
+  return (
+    <div className="analysis-chart-grid">
+      <div className="analysis-chart">
+        <h4>Posterior Conversion Rate</h4>
+        <TrendChart
+          series={posteriors.map((p, index) => ({
+            label: p.variantName,
+            color: SERIES_COLORS[index % SERIES_COLORS.length],
+            points: p.density.map(d => [d.x, d.y])
+          }))}
+          xDomain={[Math.min(...xs), Math.max(...xs)]}
+          yDomain={[0, maxDensity]}
+          xFormat={(x) => `${(x * 100).toFixed(1)}%`}
+          yFormat={() => ''}
+        />
+      </div>
+      <div className="analysis-chart">
+        <h4>Probability to Be Best</h4>
+        <div className="probability-bars">
+          {posteriors.map((p, index) => (
+            <div key={p.variantId} className="probability-bar-row">
+              <span className="probability-bar-label">{p.variantName}</span>
+              <div className="probability-bar-track">
+                <div
+                  className="probability-bar-fill"
+                  style={{
+                    width: `${p.probabilityToBeBest * 100}%`,
+                    background: SERIES_COLORS[index % SERIES_COLORS.length]
+                  }}
+                />
+              </div>
+              <span className="probability-bar-value">{(p.probabilityToBeBest * 100).toFixed(1)}%</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Each treatment's sequential statistic over time against its stopping
+ * threshold: the always-valid p-value against alpha, or the z-score
+ * against the O'Brien-Fleming boundary
+ */
+function SequentialCharts({ statistics, alpha }) {
+  return (
+    <div className="analysis-chart-grid">
+      {statistics.filter(stat => stat.history?.length > 0).map((stat) => {
+        const times = stat.history.map(point => new Date(point.date).getTime());
+        const xDomain = [Math.min(...times), Math.max(...times)];
+        const isAlphaSpending = stat.sequentialMethod === 'alpha_spending';
+
+        let series;
+        let yDomain;
+        if (isAlphaSpending) {
+          const zScores = stat.history.map(point => point.zScore);
+          series = [
+            { label: 'Z-score', color: SERIES_COLORS[1], points: stat.history.map((point, i) => [times[i], point.zScore]) },
+            { label: 'Boundary', color: '#dc2626', dashed: true, points: stat.history.map((point, i) => [times[i], point.boundary]) }
+          ];
+          yDomain = [
+            Math.min(0, ...zScores),
+            Math.max(Math.min(6, Math.max(...stat.history.map(point => point.boundary))), ...zScores, 1)
+          ];
+        } else {
+          series = [
+            { label: 'Always-valid p-value', color: SERIES_COLORS[1], points: stat.history.map((point, i) => [times[i], point.pValue]) },
+            { label: `α = ${alpha.toFixed(2)}`, color: '#dc2626', dashed: true, points: [[xDomain[0], alpha], [xDomain[1], alpha]] }
+          ];
+          yDomain = [0, 1];
+        }
+
+        return (
+          <div key={stat.variantId} className="analysis-chart">
+            <h4>{stat.variantName} vs Control</h4>
+            <TrendChart
+              series={series}
+              xDomain={xDomain}
+              yDomain={yDomain}
+              xFormat={(x) => formatDate(x)}
+              yFormat={(y) => (isAlphaSpending ? y.toFixed(1) : y.toFixed(2))}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const formatPoints = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)} pts`;
+
+/**
+ * Factorial tests: each factor's pooled rate per level, main effects against
+ * the first level and two-way interactions. Aliased effects are flagged, since
+ * a fractional design cannot tell them apart.
+ */
+function FactorialEffects({ factorial }) {
+  const factorNames = Object.fromEntries(factorial.factors.map(f => [f.key, f.name]));
+  const aliasNote = (keys) => (keys.length > 0
+    ? `Aliased with ${keys.map(key => key.split(':').map(k => factorNames[k]).join(' × ')).join(', ')}`
+    : '');
+
+  return (
+    <>
+      <div className="analysis-chart-grid">
+        {factorial.factors.map(factor => {
+          const maxRate = Math.max(...factor.levels.map(l => l.rate), 0.0001);
+          return (
+            <div key={factor.key} className="analysis-chart">
+              <h4>{factor.name}</h4>
+              <div className="probability-bars">
+                {factor.levels.map((level, index) => (
+                  <div key={level.level} className="probability-bar-row">
+                    <span className="probability-bar-label">{level.name}</span>
+                    <div className="probability-bar-track">
+                      <div
+                        className="probability-bar-fill"
+                        style={{
+                          width: `${(level.rate / maxRate) * 100}%`,
+                          background: SERIES_COLORS[index % SERIES_COLORS.length]
+                        }}
+                      />
+                    </div>
+                    <span className="probability-bar-value">{(level.rate * 100).toFixed(2)}%</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <h4>Main Effects</h4>
+      <div className="comparison-table-wrapper">
+        <table className="comparison-table factorial-table">
+          <thead>
+            <tr>
+              <th>Factor</th>
+              <th>Level vs Baseline</th>
+              <th>Effect</th>
+              <th>Lift</th>
+              <th>Confidence</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {factorial.mainEffects.map(effect => (
+              <tr key={`${effect.factor}-${effect.level}`}>
+                <td>{effect.factorName}</td>
+                <td>{effect.levelName} vs {effect.baselineLevelName}</td>
+                <td>{formatPoints(effect.absoluteDifference)}</td>
+                <td className={`improvement ${effect.relativeImprovement >= 0 ? 'positive' : 'negative'}`}>
+                  {effect.relativeImprovement >= 0 ? '+' : ''}{effect.relativeImprovement.toFixed(1)}%
+                </td>
+                <td className={effect.isSignificant ? 'significant' : ''}>
+                  {(effect.confidenceLevel * 100).toFixed(1)}%
+                </td>
+                <td className="alias-note">{aliasNote(effect.aliasedWith)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {factorial.interactions.length > 0 && (
+        <>
+          <h4>Interactions</h4>
+          <div className="comparison-table-wrapper">
+            <table className="comparison-table factorial-table">
+              <thead>
+                <tr>
+                  <th>Combination</th>
+                  <th>Interaction</th>
+                  <th>Interval</th>
+                  <th>Confidence</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {factorial.interactions.map(interaction => (
+                  <tr key={interaction.label}>
+                    <td>{interaction.label}</td>
+                    <td>{interaction.estimable ? formatPoints(interaction.contrast) : 'Not enough data'}</td>
+                    <td>
+                      {interaction.estimable &&
+                        `${formatPoints(interaction.interval.lower)} – ${formatPoints(interaction.interval.upper)}`}
+                    </td>
+                    <td className={interaction.isSignificant ? 'significant' : ''}>
+                      {(interaction.confidenceLevel * 100).toFixed(1)}%
+                    </td>
+                    <td className="alias-note">{aliasNote(interaction.aliasedWith)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
 export default function ABTestResults({ test, onBack, onStop }) {
   const [results, setResults] = useState(null);
   const [dailyStats, setDailyStats] = useState([]);
@@ -104,8 +375,23 @@ export default function ABTestResults({ test, onBack, onStop }) {
 
   if (!results) return null;
 
-  const { test: testInfo, summary, control, variants, statistics, recommendation } = results;
+  const { test: testInfo, summary, control, variants, statistics, analysis, recommendation } = results;
   const confidenceConfig = getConfidenceLevel(summary.hasSignificantResult ? 0.95 : 0);
+  const mode = analysis?.mode || 'fixed';
+  const alpha = 1 - (testInfo.minConfidenceLevel ?? 0.95);
+
+  const renderDecision = (stat) => {
+    if (mode === 'bayesian') {
+      return formatPercentage(stat.probabilityToBeatControl * 100, 1);
+    }
+    if (mode === 'sequential' && stat.sequentialMethod === 'alpha_spending') {
+      return `z ${stat.zScore.toFixed(2)} / ${stat.boundary.toFixed(2)}`;
+    }
+    if (mode === 'sequential') {
+      return `p ${stat.alwaysValidPValue.toFixed(4)}`;
+    }
+    return formatPercentage(stat.confidenceLevel * 100, 1);
+  };
 
   return (
     <div className="ab-test-results">
@@ -173,7 +459,11 @@ export default function ABTestResults({ test, onBack, onStop }) {
           </span>
           <span className="metric-label">Confidence Level</span>
         </div>
-        {summary.daysToSignificance && (
+        <div className="metric-card">
+          <span className="metric-value">{ANALYSIS_MODES[mode].label}</span>
+          <span className="metric-label">Analysis</span>
+        </div>
+        {summary.daysToSignificance && mode !== 'sequential' && (
           <div className="metric-card">
             <span className="metric-value">~{summary.daysToSignificance} days</span>
             <span className="metric-label">Est. to Significance</span>
@@ -193,7 +483,7 @@ export default function ABTestResults({ test, onBack, onStop }) {
                 <th>Conversions</th>
                 <th>Conversion Rate</th>
                 <th>vs Control</th>
-                <th>Confidence</th>
+                <th>{ANALYSIS_MODES[mode].column}</th>
                 {testInfo.status === 'running' && <th>Select Winner</th>}
               </tr>
             </thead>
@@ -263,7 +553,7 @@ export default function ABTestResults({ test, onBack, onStop }) {
                     <td>
                       {stats && (
                         <div className={`confidence-cell ${stats.isSignificant ? 'significant' : ''}`}>
-                          {formatPercentage(stats.confidenceLevel * 100, 1)}
+                          {renderDecision(stats)}
                           {stats.isSignificant && <span className="significant-badge">✓</span>}
                         </div>
                       )}
@@ -294,20 +584,99 @@ export default function ABTestResults({ test, onBack, onStop }) {
             {statistics.map((stat) => (
               <div key={stat.variantId} className="stat-card-detailed">
                 <h4>{stat.variantName} vs Control</h4>
-                <div className="stat-row">
-                  <span className="stat-label">Z-Score:</span>
-                  <span className="stat-value">{stat.zScore?.toFixed(3) || 'N/A'}</span>
-                </div>
-                <div className="stat-row">
-                  <span className="stat-label">P-Value:</span>
-                  <span className="stat-value">{stat.pValue?.toFixed(4) || 'N/A'}</span>
-                </div>
-                <div className="stat-row">
-                  <span className="stat-label">Confidence:</span>
-                  <span className={`stat-value ${stat.isSignificant ? 'significant' : ''}`}>
-                    {(stat.confidenceLevel * 100).toFixed(1)}%
-                  </span>
-                </div>
+                {mode === 'fixed' && (
+                  <>
+                    <div className="stat-row">
+                      <span className="stat-label">Z-Score:</span>
+                      <span className="stat-value">{stat.zScore?.toFixed(3) || 'N/A'}</span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">P-Value:</span>
+                      <span className="stat-value">{stat.pValue?.toFixed(4) || 'N/A'}</span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">Confidence:</span>
+                      <span className={`stat-value ${stat.isSignificant ? 'significant' : ''}`}>
+                        {(stat.confidenceLevel * 100).toFixed(1)}%
+                      </span>
+                    </div>
+                  </>
+                )}
+                {mode === 'bayesian' && (
+                  <>
+                    <div className="stat-row">
+                      <span className="stat-label">P(Beat Control):</span>
+                      <span className={`stat-value ${stat.isSignificant ? 'significant' : ''}`}>
+                        {(stat.probabilityToBeatControl * 100).toFixed(1)}%
+                      </span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">P(Best):</span>
+                      <span className="stat-value">{(stat.probabilityToBeBest * 100).toFixed(1)}%</span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">Expected Loss (choose variant):</span>
+                      <span className="stat-value">{(stat.expectedLoss * 100).toFixed(3)} pts</span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">Expected Loss (keep control):</span>
+                      <span className="stat-value">{(stat.expectedLossControl * 100).toFixed(3)} pts</span>
+                    </div>
+                    <div className="stat-row">
+                      <span className="stat-label">Credible Interval:</span>
+                      <span className="stat-value">
+                        {formatPercentage(stat.treatmentCI.lower * 100, 1)} – {formatPercentage(stat.treatmentCI.upper * 100, 1)}
+                      </span>
+                    </div>
+                  </>
+                )}
+                {mode === 'sequential' && (
+                  <>
+                    <div className="stat-row">
+                      <span className="stat-label">Z-Score:</span>
+                      <span className="stat-value">{stat.zScore?.toFixed(3) || 'N/A'}</span>
+                    </div>
+                    {stat.sequentialMethod === 'alpha_spending' ? (
+                      <>
+                        <div className="stat-row">
+                          <span className="stat-label">Boundary:</span>
+                          <span className="stat-value">{stat.boundary?.toFixed(3) || 'N/A'}</span>
+                        </div>
+                        <div className="stat-row">
+                          <span className="stat-label">Information:</span>
+                          <span className="stat-value">{formatPercentage(stat.informationFraction * 100, 0)}</span>
+                        </div>
+                        <div className="stat-row">
+                          <span className="stat-label">Alpha Spent:</span>
+                          <span className="stat-value">{stat.alphaSpent.toFixed(4)}</span>
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <div className="stat-row">
+                          <span className="stat-label">Always-valid P-Value:</span>
+                          <span className={`stat-value ${stat.isSignificant ? 'significant' : ''}`}>
+                            {stat.alwaysValidPValue.toFixed(4)}
+                          </span>
+                        </div>
+                        {stat.differenceInterval && (
+                          <div className="stat-row">
+                            <span className="stat-label">Difference (always valid):</span>
+                            <span className="stat-value">
+                              {(stat.differenceInterval.lower * 100).toFixed(2)} to {(stat.differenceInterval.upper * 100).toFixed(2)} pts
+                            </span>
+                          </div>
+                        )}
+                      </>
+                    )}
+                    <div className="stat-row">
+                      <span className="stat-label">Crossed:</span>
+                      <span className={`stat-value ${stat.crossedAt ? 'significant' : ''}`}>
+                        {stat.crossedAt ? formatDate(stat.crossedAt) : 'Not yet'}
+                      </span>
+                    </div>
+                  </>
+                )}
                 <div className="stat-row">
                   <span className="stat-label">Absolute Difference:</span>
                   <span className={`stat-value ${stat.absoluteDifference > 0 ? 'positive' : 'negative'}`}>
@@ -327,6 +696,26 @@ export default function ABTestResults({ test, onBack, onStop }) {
         </div>
       )}
 
+      {/* Analysis Charts */}
+      {mode === 'bayesian' && analysis.posteriors?.length > 0 && (
+        <div className="analysis-charts">
+          <h3>Bayesian Analysis</h3>
+          <BayesianCharts posteriors={analysis.posteriors} />
+        </div>
+      )}
+      {mode === 'sequential' && statistics.length > 0 && (
+        <div className="analysis-charts">
+          <h3>Sequential Monitoring</h3>
+          <SequentialCharts statistics={statistics} alpha={alpha} />
+        </div>
+      )}
+      {analysis?.factorial && (
+        <div className="analysis-charts">
+          <h3>Factor Effects</h3>
+          <FactorialEffects factorial={analysis.factorial} />
+        </div>
+      )}
+
       {/* Daily Trends Chart */}
       {dailyStats.length > 0 && (
         <div className="daily-trends">
@@ -7,7 +7,7 @@
  * - Touchpoint engagement analysis
  * - A/B test results visualization
  * - Drop-off point identification
- * - Real-time metrics
+ * - Real-time metrics (live stream over SSE)
  * - Interactive charts and visualizations
  * - Support for 10,000+ active journeys
  */
@@ -20,8 +20,9 @@ import {
   TrendingUp, TrendingDown, Users, Mail, MousePointer, 
   Clock, Target, AlertTriangle, BarChart3, Activity,
   Calendar, Filter, Download, RefreshCw, ChevronDown,
-  PieChart, LineChart, Zap, ArrowRight
+  PieChart, LineChart, Zap, ArrowRight, Radio, Webhook, Workflow
 } from 'lucide-react';
+import { useLiveEvents, LIVE_EVENT_TYPES } from '../hooks/useLiveEvents';
 import './AnalyticsDashboard.css';
 
 // Mock data generators for local mode
@@ -188,6 +189,61 @@ const MetricCard = ({ title, value, change, changeType, icon: Icon, suffix = '',
   </div>
 );
 
+const formatLiftPoints = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)} pts`;
+const formatLiftPercent = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+// Incremental lift of the journey over its holdout group
+const IncrementalityPanel = ({ incrementality }) => {
+  const { treatment, holdout, absoluteLiftInterval, relativeLift, relativeLiftInterval, confidenceLevel } = incrementality;
+  const level = `${Math.round(confidenceLevel * 100)}% CI`;
+
+  return (
+    <div className="analytics-panel">
+      <h3 className="analytics-panel__title">
+        Incrementality ({incrementality.holdoutPercentage}% holdout)
+      </h3>
+      <div className="analytics-metrics">
+        <MetricCard
+          title="Enrolled"
+          value={(treatment.rate * 100).toFixed(2)}
+          suffix="%"
+          icon={Users}
+          subtitle={`${treatment.conversions.toLocaleString()} of ${treatment.participants.toLocaleString()} converted`}
+        />
+        <MetricCard
+          title="Held Out"
+          value={(holdout.rate * 100).toFixed(2)}
+          suffix="%"
+          icon={Users}
+          subtitle={`${holdout.conversions.toLocaleString()} of ${holdout.participants.toLocaleString()} converted`}
+        />
+        <MetricCard
+          title="Absolute Lift"
+          value={formatLiftPoints(incrementality.absoluteLift)}
+          icon={TrendingUp}
+          subtitle={absoluteLiftInterval
+            ? `${level}: ${formatLiftPoints(absoluteLiftInterval.lower)} to ${formatLiftPoints(absoluteLiftInterval.upper)}`
+            : 'Not enough contacts yet'}
+        />
+        <MetricCard
+          title="Relative Lift"
+          value={relativeLift === null ? '—' : formatLiftPercent(relativeLift)}
+          icon={Target}
+          subtitle={relativeLiftInterval
+            ? `${level}: ${formatLiftPercent(relativeLiftInterval.lower)} to ${formatLiftPercent(relativeLiftInterval.upper)}`
+            : 'Needs conversions in both groups'}
+        />
+        <MetricCard
+          title="Incremental Conversions"
+          value={Math.round(incrementality.incrementalConversions).toLocaleString()}
+          icon={Zap}
+          subtitle={incrementality.isSignificant ? 'Significant' : 'Not yet significant'}
+        />
+      </div>
+    </div>
+  );
+};
+
 // Chart Component (Simple Bar Chart)
 const SimpleBarChart = ({ data, xKey, yKey, color = '#4F46E5' }) => {
   const maxValue = Math.max(...data.map(d => d[yKey]));
@@ -239,6 +295,107 @@ const FunnelChart = ({ stages }) => {
   );
 };
 
+const LIVE_STATUS_LABELS = {
+  idle: 'Offline',
+  connecting: 'Connecting…',
+  open: 'Live',
+  reconnecting: 'Reconnecting…'
+};
+
+const describeLiveEvent = (event) => {
+  const { data } = event;
+  switch (event.type) {
+    case LIVE_EVENT_TYPES.WEBHOOK_DELIVERY:
+      return { icon: Webhook, title: `Webhook ${data.eventType || ''}`, detail: data.error || (data.skipped ? 'skipped' : data.status) };
+    case LIVE_EVENT_TYPES.TRIGGER_EXECUTION:
+      return { icon: Workflow, title: data.workflowName || 'Workflow execution', detail: data.error || data.status };
+    default:
+      return { icon: Activity, title: data.eventType, detail: data.contactId ? `contact ${data.contactId}` : '' };
+  }
+};
+
+// Live Activity Panel: one snapshot of the last hour, then pushed updates
+const LiveActivityPanel = ({ clientId, journeyId, usingLocalMode }) => {
+  const [snapshot, setSnapshot] = useState(null);
+
+  useEffect(() => {
+    if (usingLocalMode) return;
+    getApiClient()
+      .getRealtimeAnalytics({ clientId, journeyId })
+      .then(setSnapshot)
+      .catch(err => console.error('Error loading realtime analytics:', err));
+  }, [clientId, journeyId, usingLocalMode]);
+
+  const { events, status, error } = useLiveEvents({ clientId, journeyId, enabled: !usingLocalMode });
+
+  const eventCounts = useMemo(() => {
+    const counts = { ...(snapshot?.eventCounts || {}) };
+    events
+      .filter(event => event.type === LIVE_EVENT_TYPES.ANALYTICS_EVENT)
+      .forEach(event => { counts[event.data.eventType] = (counts[event.data.eventType] || 0) + 1; });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [snapshot, events]);
+
+  // Live events first, then the snapshot's recent events they don't repeat
+  const feed = useMemo(() => {
+    const liveIds = new Set(events.map(event => event.data?.id).filter(Boolean));
+    const recent = (snapshot?.recentEvents || [])
+      .filter(event => !liveIds.has(event.id))
+      .map(event => ({ id: `recent-${event.id}`, type: LIVE_EVENT_TYPES.ANALYTICS_EVENT, at: event.createdAt, data: event }));
+    return [...events, ...recent].slice(0, 50);
+  }, [snapshot, events]);
+
+  if (usingLocalMode) {
+    return (
+      <div className="analytics-panel">
+        <h3 className="analytics-panel__title">Live Activity</h3>
+        <p className="analytics-live__empty">The live stream needs the Journey API; it is not available in local mode.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="analytics-section">
+      <div className="analytics-panel">
+        <div className="analytics-panel__header">
+          <h3 className="analytics-panel__title">Live Activity</h3>
+          <span className={`analytics-live__status analytics-live__status--${status}`} title={error || ''}>
+            <Radio size={14} />
+            {LIVE_STATUS_LABELS[status] || status}
+          </span>
+        </div>
+        <div className="analytics-live__counts">
+          {eventCounts.length === 0 && <span className="analytics-live__empty">No events in the last hour</span>}
+          {eventCounts.map(([eventType, count]) => (
+            <div key={eventType} className="analytics-live__count">
+              <span className="analytics-variant__value">{count.toLocaleString()}</span>
+              <span className="analytics-variant__label">{eventType.replace(/_/g, ' ')}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="analytics-panel">
+        <h3 className="analytics-panel__title">Event Feed</h3>
+        <ul className="analytics-live__feed">
+          {feed.length === 0 && <li className="analytics-live__empty">Waiting for events…</li>}
+          {feed.map(event => {
+            const { icon: Icon, title, detail } = describeLiveEvent(event);
+            return (
+              <li key={event.id} className={`analytics-live__event analytics-live__event--${event.type}`}>
+                <Icon size={16} />
+                <span className="analytics-live__title">{title}</span>
+                <span className="analytics-live__detail">{detail}</span>
+                <time className="analytics-live__time">{new Date(event.at).toLocaleTimeString()}</time>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
 export function AnalyticsDashboard() {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
@@ -451,6 +608,13 @@ export function AnalyticsDashboard() {
           <Zap size={18} />
           A/B Tests
         </button>
+        <button 
+          className={`analytics-tab ${activeTab === 'live' ? 'analytics-tab--active' : ''}`}
+          onClick={() => setActiveTab('live')}
+        >
+          <Radio size={18} />
+          Live
+        </button>
       </nav>
 
       {/* Error Message */}
@@ -853,6 +1017,15 @@ export function AnalyticsDashboard() {
           </div>
         )}
 
+        {/* Live Tab */}
+        {activeTab === 'live' && (
+          <LiveActivityPanel
+            clientId={selectedClient !== 'all' ? selectedClient : undefined}
+            journeyId={selectedJourney || undefined}
+            usingLocalMode={usingLocalMode}
+          />
+        )}
+
         {/* Journey Detail Tab */}
         {activeTab === 'journey-detail' && journeyMetrics && (
           <div className="analytics-section">
@@ -899,6 +1072,10 @@ export function AnalyticsDashboard() {
               />
             </div>
 
+            {journeyMetrics.incrementality && (
+              <IncrementalityPanel incrementality={journeyMetrics.incrementality} />
+            )}
+
             <div className="analytics-panels">
               <div className="analytics-panel">
                 <h3 className="analytics-panel__title">Funnel</h3>
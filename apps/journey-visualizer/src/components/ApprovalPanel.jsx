@@ -6,6 +6,7 @@
 import React, { useState, useEffect } from 'react';
 import { JOURNEY_STATUS } from '../types';
 import { StatusBadge } from './StatusBadge';
+import { VersionDiff } from './VersionDiff';
 import { format } from 'date-fns';
 import { 
   Edit2, 
@@ -47,25 +48,54 @@ const printJourney = (options) => {
   window.print();
 };
 
-const generateHtmlDiff = (oldContent, newContent) => {
-  return `<div style="padding: 20px;">
-    <div style="background: #ffe6e6; padding: 10px; margin-bottom: 10px;">
-      <strong>Old:</strong> ${oldContent}
-    </div>
-    <div style="background: #e6ffe6; padding: 10px;">
-      <strong>New:</strong> ${newContent}
-    </div>
-  </div>`;
-};
-
-const compareTouchpoints = (a, b) => {
-  return {
-    changes: [],
-    added: [],
-    removed: [],
-    modified: []
+/**
+ * Each approver's decision on a pending request, from the API's policy outcome
+ */
+function SignOffs({ outcome }) {
+  const icon = (decision) => {
+    if (decision === JOURNEY_STATUS.APPROVED) return <CheckCircle size={14} />;
+    if (decision === JOURNEY_STATUS.REJECTED) return <XCircle size={14} />;
+    return <Clock size={14} />;
   };
-};
+
+  return (
+    <div className="approval-panel__signoffs">
+      <div className="approval-panel__signoffs-header">
+        <span>Sign-offs</span>
+        <span className="approval-panel__signoffs-count">
+          {outcome.approvedCount} of {outcome.requiredApprovals}
+        </span>
+      </div>
+      {outcome.missingRoles.length > 0 && (
+        <p className="approval-panel__signoffs-note">
+          Still needs: {outcome.missingRoles.join(', ')}
+        </p>
+      )}
+      <ul className="approval-panel__signoffs-list">
+        {outcome.approvers.map((approver) => (
+          <li
+            key={approver.email}
+            className={`approval-panel__signoff approval-panel__signoff--${approver.decision || 'waiting'}`}
+            title={approver.comments || undefined}
+          >
+            {icon(approver.decision)}
+            <span className="approval-panel__signoff-name">{approver.name || approver.email}</span>
+            {approver.role && <span className="approval-panel__signoff-role">{approver.role}</span>}
+            {outcome.nextApprover === approver.email && (
+              <span className="approval-panel__signoff-next">Next</span>
+            )}
+          </li>
+        ))}
+        {outcome.approvers.length === 0 && (
+          <li className="approval-panel__signoff approval-panel__signoff--waiting">
+            <Clock size={14} />
+            No decisions yet
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
 
 /**
  * ApprovalPanel component
@@ -103,11 +133,14 @@ export function ApprovalPanel({
   const [showVersionHistory, setShowVersionHistory] = useState(false);
   const [showComments, setShowComments] = useState(false);
   const [selectedVersion, setSelectedVersion] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
   const [touchpointComments, setTouchpointComments] = useState({});
   const [activeCommentTouchpoint, setActiveCommentTouchpoint] = useState(null);
   const [newComment, setNewComment] = useState('');
 
   const currentStatus = journey?.status || JOURNEY_STATUS.DRAFT;
+  // The open review request, if any; its outcome tracks each approver
+  const pendingApproval = approvalHistory.find(a => a.status === 'pending');
   const canApprove = currentStatus === JOURNEY_STATUS.CLIENT_REVIEW;
   const canRequestApproval = currentStatus === JOURNEY_STATUS.DRAFT;
   const canDeploy = currentStatus === JOURNEY_STATUS.APPROVED;
@@ -206,7 +239,8 @@ export function ApprovalPanel({
   const handleVersionSelect = (version) => {
     setSelectedVersion(version);
     setShowVersionHistory(false);
-    // Trigger version restore callback
+    // Compare the chosen version against the current journey
+    setShowDiff(true);
   };
 
   const handleAddTouchpointComment = (touchpointId) => {
@@ -340,16 +374,14 @@ export function ApprovalPanel({
         </button>
 
         {/* Version Compare Button */}
-        {versions.length > 0 && (
-          <button 
-            className="approval-panel__toolbar-btn"
-            onClick={() => setShowVersionHistory(!showVersionHistory)}
-            title="Compare versions"
-          >
-            <GitCompare size={16} />
-            Compare
-          </button>
-        )}
+        <button 
+          className={`approval-panel__toolbar-btn ${showDiff ? 'approval-panel__toolbar-btn--active' : ''}`}
+          onClick={() => setShowDiff(!showDiff)}
+          title="Compare with the last approved version"
+        >
+          <GitCompare size={16} />
+          Compare
+        </button>
 
         {/* Deploy Button (only when approved) */}
         {canDeploy && (
@@ -364,6 +396,17 @@ export function ApprovalPanel({
         )}
       </div>
 
+      {/* Version Diff Panel */}
+      {showDiff && journey?.id && (
+        <div className="approval-panel__comments-section">
+          <h4 className="approval-panel__comments-title">
+            <GitCompare size={16} />
+            {selectedVersion ? `Changes since v${selectedVersion.version}` : 'Changes since last approval'}
+          </h4>
+          <VersionDiff journeyId={journey.id} from={selectedVersion?.version ?? 'approved'} />
+        </div>
+      )}
+
       {/* Comments Panel */}
       {showComments && (
         <div className="approval-panel__comments-section">
@@ -450,6 +493,7 @@ export function ApprovalPanel({
 
         {canApprove && (
           <>
+            {pendingApproval?.outcome && <SignOffs outcome={pendingApproval.outcome} />}
             <div className="approval-panel__review-form">
               <textarea
                 className="approval-panel__comment-input"
@@ -552,7 +596,7 @@ export function ApprovalPanel({
                     showIcon={false}
                   />
                   <span className="approval-panel__history-date">
-                    {format(new Date(approval.reviewedAt || approval.requestedAt), 'MMM d, yyyy h:mm a')}
+                    {format(new Date(approval.reviewedAt || approval.requestedAt || approval.createdAt), 'MMM d, yyyy h:mm a')}
                   </span>
                 </div>
                 {approval.comments && (
@@ -572,6 +616,11 @@ export function ApprovalPanel({
                       v{approval.version}
                     </span>
                   )}
+                  {approval.outcome?.requiredApprovals > 1 && (
+                    <span>
+                      {approval.outcome.approvedCount}/{approval.outcome.requiredApprovals} sign-offs
+                    </span>
+                  )}
                 </div>
               </li>
             ))}
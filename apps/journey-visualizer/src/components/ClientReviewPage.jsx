@@ -1,11 +1,12 @@
 /**
  * ClientReviewPage
  * Shareable, no-login page for clients to review journey touchpoints and leave notes.
- * Route: /journeys/:journeyId/client-review
+ * Route: /journeys/:journeyId/client-review?token=... (the token comes from
+ * POST /api/journeys/:id/review-link and only opens this journey)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
 import './ClientReviewPage.css';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'https://bloom-backend.zeabur.app/api';
@@ -92,6 +93,9 @@ function TouchpointCard({ tp, index, total, note, onNoteChange }) {
 
 export function ClientReviewPage() {
   const { journeyId } = useParams();
+  const [searchParams] = useSearchParams();
+  const reviewToken = searchParams.get('token') || '';
+  const reviewHeaders = { 'X-Review-Token': reviewToken };
 
   const [journey, setJourney] = useState(null);
   const [touchpoints, setTouchpoints] = useState([]);
@@ -109,10 +113,13 @@ export function ClientReviewPage() {
       try {
         setLoading(true);
         const [jRes, tRes] = await Promise.all([
-          fetch(`${API_BASE}/journeys/${journeyId}`),
-          fetch(`${API_BASE}/touchpoints?journeyId=${journeyId}`),
+          fetch(`${API_BASE}/journeys/${journeyId}`, { headers: reviewHeaders }),
+          fetch(`${API_BASE}/touchpoints?journeyId=${journeyId}`, { headers: reviewHeaders }),
         ]);
 
+        if (jRes.status === 401 || jRes.status === 403) {
+          throw new Error('This review link is invalid or has expired. Ask Bloom for a new one.');
+        }
         if (!jRes.ok) throw new Error('Journey not found.');
         if (!tRes.ok) throw new Error('Could not load touchpoints.');
 
@@ -138,7 +145,7 @@ export function ClientReviewPage() {
       }
     }
     if (journeyId) load();
-  }, [journeyId]);
+  }, [journeyId, reviewToken]);
 
   const handleNoteChange = (id, value) => {
     setNotes((prev) => ({ ...prev, [id]: value }));
@@ -154,7 +161,7 @@ export function ClientReviewPage() {
         toSave.map(([id, note]) =>
           fetch(`${API_BASE}/touchpoints/${id}/note`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...reviewHeaders },
             body: JSON.stringify({ note }),
           }).then((r) => {
             if (!r.ok) throw new Error(`Failed to save note for ${id}`);
@@ -2,10 +2,18 @@
  * ConflictDialog Component
  * Displays when optimistic locking detects a conflict
  * Allows users to: retry with merge, force overwrite, or accept server version
+ *
+ * SyncConflictDialog resolves conflicts the sync engine recorded between a
+ * journey and its GHL workflow: keep Bloom's, keep GHL's, or merge per field.
  */
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { getApiClient } from '../services/apiClient';
 import './ConflictDialog.css';
 
+const apiClient = getApiClient();
+
+const MAX_VALUE_LENGTH = 200;
+
 /**
  * ConflictDialog - UI for resolving optimistic locking conflicts
  * @param {Object} props
@@ -140,4 +148,212 @@ export function ConflictDialog({
   );
 }
 
+/**
+ * Readable name for a diff field ('steps.step_abc' -> 'Step "Welcome email"')
+ */
+const fieldLabel = (entry) => {
+  if (!entry.field.startsWith('steps.')) return entry.field;
+  const step = entry.bloom || entry.ghl;
+  return `Step "${step?.name || entry.field.slice('steps.'.length)}"`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '(not present)';
+  if (typeof value !== 'object') return String(value) || '(empty)';
+
+  const text = value.type
+    ? `${value.type}: ${JSON.stringify(value.data || {})}`
+    : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+/**
+ * SyncConflictDialog - Resolve a journey's open sync conflicts
+ * @param {Object} props
+ * @param {Object} props.journey - Selected journey
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Function} props.onResolved - Called with each resolved conflict
+ */
+export function SyncConflictDialog({ journey, isOpen, onClose, onResolved }) {
+  const [conflicts, setConflicts] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadConflicts = useCallback(async () => {
+    if (!journey?.id) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const { conflicts: open } = await apiClient.getSyncConflicts({ journeyId: journey.id, status: 'open' });
+      setConflicts(open);
+      setSelectedId(open[0]?.id ?? null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [journey?.id]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadConflicts();
+    }
+  }, [isOpen, loadConflicts]);
+
+  const conflict = conflicts.find(c => c.id === selectedId);
+
+  // Merge choices start on Bloom's side for every differing field
+  useEffect(() => {
+    setChoices(Object.fromEntries((conflict?.diff || []).map(entry => [entry.field, 'ours'])));
+  }, [conflict]);
+
+  const handleResolve = async (resolution) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const resolved = await apiClient.resolveSyncConflict(
+        conflict.id,
+        resolution,
+        resolution === 'merge' ? choices : undefined
+      );
+      onResolved?.(resolved);
+      await loadConflicts();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const diff = conflict?.diff || [];
+  const canKeepTheirs = Boolean(conflict?.ghlSnapshot);
+
+  return (
+    <div className="conflict-dialog-overlay">
+      <div className="conflict-dialog">
+        <div className="conflict-dialog-header">
+          <h2>⚠️ GHL Sync Conflicts</h2>
+          <p className="conflict-subtitle">
+            {journey.name} differs from its GHL workflow. The next sync applies your choice.
+          </p>
+        </div>
+
+        <div className="conflict-dialog-content">
+          {error && <div className="conflict-warning">{error}</div>}
+
+          {loading && <p className="conflict-same">Loading conflicts…</p>}
+
+          {!loading && conflicts.length === 0 && (
+            <p className="conflict-same">No open sync conflicts.</p>
+          )}
+
+          {conflicts.length > 1 && (
+            <div className="sync-conflict-tabs">
+              {conflicts.map(c => (
+                <button
+                  key={c.id}
+                  className={`sync-conflict-tab ${c.id === selectedId ? 'sync-conflict-tab--active' : ''}`}
+                  onClick={() => setSelectedId(c.id)}
+                >
+                  {c.type.replace(/_/g, ' ')}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {conflict && (
+            <>
+              <div className="conflict-version-info">
+                <span className="version-badge server">Severity: {conflict.severity}</span>
+                <span className="version-badge local">
+                  Detected {new Date(conflict.detectedAt).toLocaleString()}
+                </span>
+              </div>
+              <p className="conflict-subtitle">{conflict.message}</p>
+
+              <div className="conflict-fields">
+                <h3>Differing Fields:</h3>
+                {diff.length === 0 && (
+                  <span className="conflict-same">No field differences; only the version or timestamps disagree.</span>
+                )}
+                {diff.map(entry => (
+                  <div key={entry.field} className="conflict-field">
+                    <span className="field-name">{fieldLabel(entry)}:</span>
+                    <div className="conflict-diff">
+                      <label className="conflict-local-value">
+                        <input
+                          type="radio"
+                          name={`choice-${entry.field}`}
+                          checked={choices[entry.field] === 'ours'}
+                          onChange={() => setChoices({ ...choices, [entry.field]: 'ours' })}
+                        />
+                        <span className="conflict-label">Bloom:</span>
+                        <span className="conflict-value">{formatValue(entry.bloom)}</span>
+                      </label>
+                      <label className="conflict-server-value">
+                        <input
+                          type="radio"
+                          name={`choice-${entry.field}`}
+                          checked={choices[entry.field] === 'theirs'}
+                          onChange={() => setChoices({ ...choices, [entry.field]: 'theirs' })}
+                        />
+                        <span className="conflict-label">GHL:</span>
+                        <span className="conflict-value">{formatValue(entry.ghl)}</span>
+                      </label>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="conflict-warning">
+                <strong>Warning:</strong> "Keep Bloom" overwrites the edits made in GHL.
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="conflict-dialog-actions">
+          <button className="conflict-btn conflict-btn-secondary" onClick={onClose}>
+            Close
+          </button>
+
+          {conflict && (
+            <>
+              <button
+                className="conflict-btn conflict-btn-secondary"
+                onClick={() => handleResolve('theirs')}
+                disabled={saving || !canKeepTheirs}
+              >
+                Keep GHL
+              </button>
+
+              <button
+                className="conflict-btn conflict-btn-primary"
+                onClick={() => handleResolve('merge')}
+                disabled={saving || !canKeepTheirs || diff.length === 0}
+              >
+                Merge Selected
+              </button>
+
+              <button
+                className="conflict-btn conflict-btn-danger"
+                onClick={() => handleResolve('ours')}
+                disabled={saving}
+              >
+                Keep Bloom
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default ConflictDialog;
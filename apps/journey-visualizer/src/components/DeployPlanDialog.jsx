@@ -0,0 +1,244 @@
+/**
+ * DeployPlanDialog Component
+ * Shows the deploy plans `ghl-sync deploy --plan-out` wrote for a journey:
+ * each GHL template the plan creates or updates, with the template as found
+ * in GHL beside what will be sent. Approvers sign a plan off here before
+ * `ghl-sync deploy --apply` runs it.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { getApiClient } from '../services/apiClient';
+import './DeployPlanDialog.css';
+
+const apiClient = getApiClient();
+
+const MAX_VALUE_LENGTH = 300;
+
+const ACTION_LABELS = {
+  create: 'Create',
+  update: 'Update',
+  noop: 'Unchanged'
+};
+
+const RESOURCE_LABELS = {
+  email_template: 'Email template',
+  sms_template: 'SMS template'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '(not present)';
+  const text = String(value);
+  if (!text) return '(empty)';
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+/**
+ * Payload fields an operation sets, with the value GHL had before where it differs
+ */
+const changedFields = (operation) => Object.keys(operation.payload)
+  .filter(field => !operation.before || operation.before[field] !== operation.payload[field])
+  .map(field => ({ field, before: operation.before?.[field], after: operation.payload[field] }));
+
+/**
+ * DeployPlanDialog - Review and sign off a journey's deploy plans
+ * @param {Object} props
+ * @param {Object} props.journey - Selected journey
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Function} props.onReviewed - Called with each reviewed plan
+ */
+export function DeployPlanDialog({ journey, isOpen, onClose, onReviewed }) {
+  const [plans, setPlans] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPlans = useCallback(async () => {
+    if (!journey?.id) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const { plans: found } = await apiClient.getDeployPlans({ journeyId: journey.id });
+      setPlans(found);
+      setSelectedId(current => (found.some(p => p.id === current) ? current : found[0]?.id ?? null));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [journey?.id]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadPlans();
+    }
+  }, [isOpen, loadPlans]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setPlan(null);
+      return;
+    }
+
+    let cancelled = false;
+    apiClient.getDeployPlan(selectedId)
+      .then(found => {
+        if (!cancelled) {
+          setPlan(found);
+          setNote(found.reviewNote || '');
+        }
+      })
+      .catch(err => !cancelled && setError(err.response?.data?.error || err.message));
+
+    return () => { cancelled = true; };
+  }, [selectedId]);
+
+  const handleReview = async (decision) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const reviewed = await apiClient.reviewDeployPlan(plan.id, decision, note || undefined);
+      setPlan({ ...plan, ...reviewed });
+      onReviewed?.(reviewed);
+      await loadPlans();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const operations = plan?.plan?.operations || [];
+  const pendingOperations = operations.filter(op => op.action !== 'noop');
+  const canReview = plan && plan.status !== 'applied';
+
+  return (
+    <div className="deploy-plan-overlay">
+      <div className="deploy-plan-dialog">
+        <div className="deploy-plan-header">
+          <h2>Deploy Plans</h2>
+          <p className="deploy-plan-subtitle">
+            GHL changes planned for {journey.name}. A signed-off plan is applied exactly as shown.
+          </p>
+        </div>
+
+        <div className="deploy-plan-content">
+          {error && <div className="deploy-plan-error">{error}</div>}
+
+          {loading && <p className="deploy-plan-empty">Loading plans…</p>}
+
+          {!loading && plans.length === 0 && (
+            <p className="deploy-plan-empty">
+              No deploy plans yet. Run <code>ghl-sync deploy --plan-out plan.json</code> to make one.
+            </p>
+          )}
+
+          {plans.length > 1 && (
+            <div className="deploy-plan-tabs">
+              {plans.map(p => (
+                <button
+                  key={p.id}
+                  className={`deploy-plan-tab ${p.id === selectedId ? 'deploy-plan-tab--active' : ''}`}
+                  onClick={() => setSelectedId(p.id)}
+                >
+                  {new Date(p.createdAt).toLocaleDateString()} · {p.status}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {plan && (
+            <>
+              <div className="deploy-plan-meta">
+                <span className={`deploy-plan-status deploy-plan-status--${plan.status}`}>{plan.status}</span>
+                <span>{plan.id}</span>
+                <span>Planned {new Date(plan.createdAt).toLocaleString()}</span>
+                {plan.reviewedBy && (
+                  <span>Reviewed by {plan.reviewedBy} {new Date(plan.reviewedAt).toLocaleString()}</span>
+                )}
+                {plan.appliedAt && <span>Applied {new Date(plan.appliedAt).toLocaleString()}</span>}
+              </div>
+
+              <div className="deploy-plan-summary">
+                <span className="deploy-plan-action deploy-plan-action--create">{plan.summary.create} to create</span>
+                <span className="deploy-plan-action deploy-plan-action--update">{plan.summary.update} to update</span>
+                <span className="deploy-plan-action deploy-plan-action--noop">{plan.summary.noop} unchanged</span>
+              </div>
+
+              {pendingOperations.length === 0 && (
+                <p className="deploy-plan-empty">GHL already matches this journey; the plan changes nothing.</p>
+              )}
+
+              {pendingOperations.map(op => (
+                <div key={`${op.resource}-${op.touchpointId}`} className="deploy-plan-operation">
+                  <div className="deploy-plan-operation-header">
+                    <span className={`deploy-plan-action deploy-plan-action--${op.action}`}>{ACTION_LABELS[op.action]}</span>
+                    <span className="deploy-plan-touchpoint">{op.touchpointName}</span>
+                    <span className="deploy-plan-resource">
+                      {RESOURCE_LABELS[op.resource] || op.resource}{op.templateId ? ` ${op.templateId}` : ''}
+                    </span>
+                  </div>
+                  {changedFields(op).map(({ field, before, after }) => (
+                    <div key={field} className="deploy-plan-field">
+                      <span className="deploy-plan-field-name">{field}</span>
+                      {op.before && (
+                        <span className="deploy-plan-before">{formatValue(before)}</span>
+                      )}
+                      <span className="deploy-plan-after">{formatValue(after)}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+
+              {canReview && (
+                <textarea
+                  className="deploy-plan-note"
+                  placeholder="Note for the sign-off (optional)"
+                  value={note}
+                  onChange={e => setNote(e.target.value)}
+                />
+              )}
+
+              <p className="deploy-plan-subtitle">
+                Once signed off, run <code>ghl-sync deploy --client {plan.clientSlug} --apply &lt;plan file&gt;</code>.
+                It refuses if GHL changes before then.
+              </p>
+            </>
+          )}
+        </div>
+
+        <div className="deploy-plan-actions">
+          <button className="deploy-plan-btn deploy-plan-btn--secondary" onClick={onClose}>
+            Close
+          </button>
+
+          {canReview && (
+            <>
+              <button
+                className="deploy-plan-btn deploy-plan-btn--danger"
+                onClick={() => handleReview('rejected')}
+                disabled={saving || plan.status === 'rejected'}
+              >
+                Reject
+              </button>
+
+              <button
+                className="deploy-plan-btn deploy-plan-btn--primary"
+                onClick={() => handleReview('approved')}
+                disabled={saving || plan.status === 'approved'}
+              >
+                Sign Off
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeployPlanDialog;
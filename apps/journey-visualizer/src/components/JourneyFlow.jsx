@@ -21,6 +21,7 @@ import { JourneyEdge } from './JourneyEdge';
 import { TemplateLibrary } from './TemplateLibrary';
 import { TouchpointEditor } from './TouchpointEditor';
 import { TOUCHPOINT_TYPE } from '../types';
+import { getApiClient } from '../services/apiClient';
 import { 
   Plus, 
   Save, 
@@ -32,7 +33,8 @@ import {
   Clock,
   GitBranch,
   MousePointer2,
-  Printer
+  Printer,
+  ShieldCheck
 } from 'lucide-react';
 import './JourneyFlow.css';
 
@@ -46,6 +48,56 @@ const edgeTypes = {
   journeyEdge: JourneyEdge
 };
 
+const apiClient = getApiClient();
+
+const DEFAULT_BRANCH = 'default';
+const CONDITION_BRANCHES = ['yes', 'no'];
+
+/**
+ * Convert a journey graph edge ({ sourceId, targetId, branch, ... }) to a
+ * React Flow edge. Branches map to the source handle on Condition nodes.
+ */
+function toFlowEdge(edge) {
+  const branch = edge.branch || DEFAULT_BRANCH;
+  return {
+    id: `edge-${edge.sourceId}-${branch}`,
+    source: edge.sourceId,
+    target: edge.targetId,
+    sourceHandle: branch === DEFAULT_BRANCH ? null : branch,
+    type: 'journeyEdge',
+    label: edge.label || (branch === DEFAULT_BRANCH ? undefined : branch),
+    data: { branch, condition: edge.condition || null },
+    markerEnd: { type: MarkerType.ArrowClosed },
+    animated: true
+  };
+}
+
+/**
+ * Convert a React Flow edge back to the API's graph edge shape
+ */
+function toGraphEdge(edge, index) {
+  const branch = edge.data?.branch || edge.sourceHandle || DEFAULT_BRANCH;
+  return {
+    sourceId: edge.source,
+    targetId: edge.target,
+    branch,
+    label: edge.label && edge.label !== branch ? edge.label : null,
+    condition: edge.data?.condition || null,
+    orderIndex: index
+  };
+}
+
+/**
+ * Links in touchpoint order, used when the graph cannot be loaded
+ */
+function orderEdges(touchpoints) {
+  return touchpoints.slice(0, -1).map((touchpoint, index) => ({
+    sourceId: touchpoint.id,
+    targetId: touchpoints[index + 1].id,
+    branch: DEFAULT_BRANCH
+  }));
+}
+
 /**
  * JourneyFlow - Editable journey canvas using React Flow
  */
@@ -62,6 +114,12 @@ export function JourneyFlow({
   const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
   const [editingTouchpoint, setEditingTouchpoint] = useState(null);
   const [isEditMode, setIsEditMode] = useState(!readOnly);
+  const [graphDirty, setGraphDirty] = useState(false);
+  const [graphStatus, setGraphStatus] = useState(null);
+  // Named branches added to Condition nodes that are not connected yet
+  const [extraBranches, setExtraBranches] = useState({});
+  const [validation, setValidation] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
 
   // Convert journey touchpoints to React Flow nodes
   useEffect(() => {
@@ -82,20 +140,53 @@ export function JourneyFlow({
         }
       }));
       
-      const flowEdges = journey.touchpoints.slice(0, -1).map((touchpoint, index) => ({
-        id: `edge-${touchpoint.id}-${journey.touchpoints[index + 1].id}`,
-        source: touchpoint.id,
-        target: journey.touchpoints[index + 1].id,
-        type: 'journeyEdge',
-        markerEnd: { type: MarkerType.ArrowClosed },
-        animated: true
-      }));
+      const nodeIds = new Set(flowNodes.map(node => node.id));
 
       setNodes(flowNodes);
-      setEdges(flowEdges);
+      // Drop links to touchpoints that were removed
+      setEdges((eds) => eds.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target)));
     }
   }, [journey, setNodes, setEdges]);
 
+  // Load the persisted graph when the journey changes
+  useEffect(() => {
+    if (!journey?.id) return undefined;
+    let cancelled = false;
+
+    apiClient.getJourneyGraph(journey.id)
+      .then((graph) => {
+        if (!cancelled) setEdges(graph.edges.map(toFlowEdge));
+      })
+      .catch(() => {
+        // Local mode or unsaved journey: fall back to touchpoint order
+        if (!cancelled) setEdges(orderEdges(journey.touchpoints || []).map(toFlowEdge));
+      });
+
+    setGraphDirty(false);
+    setGraphStatus(null);
+    setExtraBranches({});
+    setValidation(null);
+
+    return () => { cancelled = true; };
+    // Only reload when switching journeys; touchpoint edits keep local links
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [journey?.id, setEdges]);
+
+  // Condition nodes get one output handle per branch; validation issues show as badges
+  const displayNodes = useMemo(() => nodes.map((node) => {
+    const issues = validation?.byTouchpoint?.[node.id];
+    if (issues) node = { ...node, data: { ...node.data, issues } };
+    if (node.data.touchpointType !== TOUCHPOINT_TYPE.CONDITION) return node;
+
+    const branches = new Set(CONDITION_BRANCHES);
+    edges
+      .filter(e => e.source === node.id && e.data?.branch && e.data.branch !== DEFAULT_BRANCH)
+      .forEach(e => branches.add(e.data.branch));
+    (extraBranches[node.id] || []).forEach(b => branches.add(b.name));
+
+    return { ...node, data: { ...node.data, branches: [...branches] } };
+  }), [nodes, edges, extraBranches, validation]);
+
   // Handle node selection
   const onNodeClick = useCallback((event, node) => {
     setSelectedNode(node);
@@ -108,16 +199,82 @@ export function JourneyFlow({
     }
   }, [journey, isEditMode]);
 
-  // Handle edge connection
+  // Handle edge connection - each outlet (branch) leads to one target
   const onConnect = useCallback((params) => {
     if (!isEditMode) return;
-    setEdges((eds) => addEdge({
-      ...params,
-      type: 'journeyEdge',
-      markerEnd: { type: MarkerType.ArrowClosed },
-      animated: true
-    }, eds));
-  }, [isEditMode, setEdges]);
+    const branch = params.sourceHandle || DEFAULT_BRANCH;
+    const pending = extraBranches[params.source]?.find(b => b.name === branch);
+
+    setEdges((eds) => addEdge(
+      toFlowEdge({
+        sourceId: params.source,
+        targetId: params.target,
+        branch,
+        condition: pending?.condition
+      }),
+      eds.filter(e => !(e.source === params.source && (e.data?.branch || DEFAULT_BRANCH) === branch))
+    ));
+    setGraphDirty(true);
+  }, [isEditMode, extraBranches, setEdges]);
+
+  // Track removed links so they get saved
+  const handleEdgesChange = useCallback((changes) => {
+    onEdgesChange(changes);
+    if (changes.some(change => change.type === 'remove')) {
+      setGraphDirty(true);
+    }
+  }, [onEdgesChange]);
+
+  // Add a named branch to the selected Condition node
+  const handleAddBranch = useCallback(() => {
+    if (!selectedNode) return;
+    const name = prompt('Branch name (e.g. "vip")')
+      ?.trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-');
+    if (!name) return;
+    const condition = prompt(`Condition for the "${name}" branch (e.g. tag = "vip")`) || '';
+
+    setExtraBranches((prev) => ({
+      ...prev,
+      [selectedNode.id]: [...(prev[selectedNode.id] || []), { name, condition }]
+    }));
+  }, [selectedNode]);
+
+  // Run the journey validator; save links first so it checks what is on screen
+  const handleValidate = useCallback(async () => {
+    try {
+      setIsValidating(true);
+      setValidation(await apiClient.validateJourney(journey.id));
+    } catch (err) {
+      setValidation({
+        valid: false,
+        errorCount: 1,
+        warningCount: 0,
+        issues: [{ severity: 'error', message: err.response?.data?.error || err.message }],
+        byTouchpoint: {}
+      });
+    } finally {
+      setIsValidating(false);
+    }
+  }, [journey?.id]);
+
+  // Persist the links
+  const handleSaveGraph = useCallback(async () => {
+    try {
+      setGraphStatus(null);
+      const saved = await apiClient.saveJourneyGraph(journey.id, edges.map(toGraphEdge));
+      setEdges(saved.edges.map(toFlowEdge));
+      setGraphDirty(false);
+      setGraphStatus({ type: 'saved', message: 'Links saved' });
+    } catch (err) {
+      const details = err.response?.data?.details;
+      setGraphStatus({
+        type: 'error',
+        message: details?.join(' • ') || err.response?.data?.error || err.message
+      });
+    }
+  }, [journey?.id, edges, setEdges]);
 
   // Handle canvas click (deselect)
   const onPaneClick = useCallback(() => {
@@ -224,10 +381,10 @@ export function JourneyFlow({
   return (
     <div className="journey-flow">
       <ReactFlow
-        nodes={nodes}
+        nodes={displayNodes}
         edges={edges}
         onNodesChange={isEditMode ? onNodesChange : undefined}
-        onEdgesChange={isEditMode ? onEdgesChange : undefined}
+        onEdgesChange={isEditMode ? handleEdgesChange : undefined}
         onConnect={onConnect}
         onNodeClick={onNodeClick}
         onPaneClick={onPaneClick}
@@ -298,9 +455,36 @@ export function JourneyFlow({
                   Add Condition
                 </button>
 
+                <button
+                  className={`journey-flow__tool-btn ${graphDirty ? 'journey-flow__tool-btn--save' : ''}`}
+                  onClick={handleSaveGraph}
+                  disabled={!graphDirty}
+                  title="Save links and branches"
+                >
+                  <Save size={16} />
+                  Save Links
+                </button>
+
+                {graphStatus && (
+                  <span className={`journey-flow__graph-status journey-flow__graph-status--${graphStatus.type}`}>
+                    {graphStatus.message}
+                  </span>
+                )}
+
                 {selectedNode && (
                   <>
                     <div className="journey-flow__toolbar-divider" />
+
+                    {selectedNode.data?.touchpointType === TOUCHPOINT_TYPE.CONDITION && (
+                      <button
+                        className="journey-flow__tool-btn"
+                        onClick={handleAddBranch}
+                        title="Add another branch to this condition"
+                      >
+                        <GitBranch size={16} />
+                        Add Branch
+                      </button>
+                    )}
                     
                     <button
                       className="journey-flow__tool-btn journey-flow__tool-btn--edit"
@@ -359,6 +543,15 @@ export function JourneyFlow({
               <span className="journey-flow__selection-type">({selectedNode.data?.touchpointType})</span>
             </div>
           )}
+          <button
+            className="journey-flow__tool-btn"
+            onClick={handleValidate}
+            disabled={isValidating || graphDirty}
+            title={graphDirty ? 'Save links before validating' : 'Check the journey for problems'}
+          >
+            <ShieldCheck size={16} />
+            {isValidating ? 'Validating...' : 'Validate'}
+          </button>
           <button
             className="journey-flow__tool-btn"
             onClick={() => navigate(`/journeys/${journey.id}/print`)}
@@ -367,6 +560,20 @@ export function JourneyFlow({
             <Printer size={16} />
             Print Journey
           </button>
+          {validation && (
+            <div className={`journey-flow__validation ${validation.valid ? 'journey-flow__validation--valid' : ''}`}>
+              <span className="journey-flow__validation-summary">
+                {validation.valid
+                  ? `No errors${validation.warningCount ? `, ${validation.warningCount} warning(s)` : ''}`
+                  : `${validation.errorCount} error(s), ${validation.warningCount} warning(s)`}
+              </span>
+              {validation.issues
+                .filter(issue => !issue.touchpointId)
+                .map((issue, index) => (
+                  <span key={index} className="journey-flow__validation-issue">{issue.message}</span>
+                ))}
+            </div>
+          )}
         </Panel>
       </ReactFlow>
 
@@ -32,11 +32,18 @@ const nodeColors = {
   [TOUCHPOINT_TYPE.NOTE]: { bg: '#f1f5f9', border: '#64748b', text: '#334155' }
 };
 
+// Condition touchpoints branch on yes/no unless more outlets are added
+const DEFAULT_BRANCHES = ['yes', 'no'];
+
 /**
  * JourneyNode - Custom node component for React Flow
  */
 export const JourneyNode = memo(({ data, selected }) => {
-  const { label, touchpointType, content } = data;
+  const { label, touchpointType, content, branches, issues = [] } = data;
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity !== 'error');
+  const isCondition = touchpointType === TOUCHPOINT_TYPE.CONDITION;
+  const branchHandles = isCondition ? (branches?.length ? branches : DEFAULT_BRANCHES) : [];
   const icon = nodeIcons[touchpointType] || '📌';
   const colors = nodeColors[touchpointType] || nodeColors[TOUCHPOINT_TYPE.NOTE];
 
@@ -142,7 +149,7 @@ export const JourneyNode = memo(({ data, selected }) => {
 
   return (
     <div
-      className={`journey-node ${selected ? 'journey-node--selected' : ''}`}
+      className={`journey-node ${selected ? 'journey-node--selected' : ''} ${errors.length ? 'journey-node--invalid' : ''}`}
       style={{
         '--node-bg': colors.bg,
         '--node-border': colors.border,
@@ -160,6 +167,26 @@ export const JourneyNode = memo(({ data, selected }) => {
       <div className="journey-node__header">
         <span className="journey-node__icon">{icon}</span>
         <span className="journey-node__type">{touchpointType}</span>
+        {issues.length > 0 && (
+          <span className="journey-node__badges">
+            {errors.length > 0 && (
+              <span
+                className="journey-node__badge journey-node__badge--error"
+                title={errors.map(issue => issue.message).join('\n')}
+              >
+                {errors.length}
+              </span>
+            )}
+            {warnings.length > 0 && (
+              <span
+                className="journey-node__badge journey-node__badge--warning"
+                title={warnings.map(issue => issue.message).join('\n')}
+              >
+                {warnings.length}
+              </span>
+            )}
+          </span>
+        )}
       </div>
 
       {/* Node Content */}
@@ -168,12 +195,32 @@ export const JourneyNode = memo(({ data, selected }) => {
         {renderContentPreview()}
       </div>
 
-      {/* Output Handle */}
-      <Handle
-        type="source"
-        position={Position.Right}
-        className="journey-node__handle journey-node__handle--output"
-      />
+      {/* Output Handle(s) - one per branch on Condition nodes */}
+      {isCondition ? (
+        branchHandles.map((branch, index) => {
+          const top = `${((index + 1) / (branchHandles.length + 1)) * 100}%`;
+          return (
+            <React.Fragment key={branch}>
+              <Handle
+                type="source"
+                id={branch}
+                position={Position.Right}
+                style={{ top }}
+                className={`journey-node__handle journey-node__handle--output journey-node__handle--${branch}`}
+              />
+              <span className="journey-node__branch-label" style={{ top }}>
+                {branch}
+              </span>
+            </React.Fragment>
+          );
+        })
+      ) : (
+        <Handle
+          type="source"
+          position={Position.Right}
+          className="journey-node__handle journey-node__handle--output"
+        />
+      )}
     </div>
   );
 });
@@ -20,8 +20,10 @@ import {
   Tag,
   Check,
   Loader2,
+  GitCompare,
 } from 'lucide-react';
 import { getApiClient } from '../services/apiClient';
+import { VersionDiff } from './VersionDiff';
 import './JourneyReviewer.css';
 
 const apiClient = getApiClient();
@@ -37,6 +39,7 @@ export function JourneyReviewer() {
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
   const [savedIds, setSavedIds] = useState(new Set());
+  const [showChanges, setShowChanges] = useState(false);
 
   // Per-touchpoint edits: { [id]: { subject?, previewText?, body? } }
   const [edits, setEdits] = useState({});
@@ -264,6 +267,15 @@ export function JourneyReviewer() {
             </span>
           )}
 
+          <button
+            className={`journey-reviewer__changes-btn ${showChanges ? 'journey-reviewer__changes-btn--active' : ''}`}
+            onClick={() => setShowChanges(!showChanges)}
+            title="Changes since the last approved version"
+          >
+            <GitCompare size={16} />
+            Changes
+          </button>
+
           <button
             className="journey-reviewer__print-btn"
             onClick={handlePrintAll}
@@ -285,6 +297,12 @@ export function JourneyReviewer() {
           )}
         </div>
 
+        {showChanges && (
+          <div className="journey-reviewer__changes">
+            <VersionDiff journeyId={journeyId} />
+          </div>
+        )}
+
         <div className="journey-reviewer__doc">
           {/* Doc meta row */}
           <div className="journey-reviewer__doc-header">
@@ -0,0 +1,678 @@
+/**
+ * Outbound Webhook Manager Component
+ * Admin UI for partner subscriptions to journey-api events
+ *
+ * Provides UI for:
+ * - Managing outbound subscriptions (URL, event filter, signing secret)
+ * - Sending a signed ping to check an endpoint
+ * - Viewing the delivery log and redelivering events
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  RefreshCw,
+  Plus,
+  Send,
+  Trash2,
+  Edit2,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  Copy,
+  Play,
+  Pause,
+  RotateCcw,
+  Activity,
+  Clock,
+  Eye,
+  Key,
+  Settings
+} from 'lucide-react';
+import { getApiClient } from '../services/apiClient';
+const apiClient = getApiClient().client;
+import './WebhookManager.css';
+import './OutboundWebhookManager.css';
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  allClients: false,
+  events: [],
+  status: 'active',
+  maxRetries: 5,
+  timeoutMs: 10000
+};
+
+const OutboundWebhookManager = ({ clientId, clientName }) => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [eventTypes, setEventTypes] = useState({ eventTypes: [], descriptions: {} });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState('subscriptions');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [subscriptionFilter, setSubscriptionFilter] = useState('');
+  const [selectedSubscription, setSelectedSubscription] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [newSecret, setNewSecret] = useState('');
+  const [selectedDelivery, setSelectedDelivery] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!clientId) return;
+
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ clientId, limit: '25' });
+      if (statusFilter) params.set('status', statusFilter);
+      if (subscriptionFilter) params.set('subscriptionId', subscriptionFilter);
+
+      const [subscriptionsRes, eventTypesRes, deliveriesRes] = await Promise.all([
+        apiClient.get(`/outbound-webhooks?clientId=${clientId}`),
+        apiClient.get('/outbound-webhooks/event-types'),
+        apiClient.get(`/outbound-webhooks/deliveries?${params}`)
+      ]);
+
+      setSubscriptions(subscriptionsRes.data || []);
+      setEventTypes(eventTypesRes.data || { eventTypes: [], descriptions: {} });
+      setDeliveries(deliveriesRes.data?.data || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching outbound webhooks:', err);
+      setError(err.response?.status === 403
+        ? 'Outbound webhooks are managed by admins'
+        : 'Failed to load outbound webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, statusFilter, subscriptionFilter]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Handlers
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { allClients, ...fields } = formData;
+    const body = { ...fields, clientId: allClients ? null : clientId };
+
+    try {
+      if (selectedSubscription) {
+        await apiClient.put(`/outbound-webhooks/${selectedSubscription.id}`, body);
+      } else {
+        const response = await apiClient.post('/outbound-webhooks', body);
+        setNewSecret(response.data.secret);
+      }
+      setShowFormModal(false);
+      setSelectedSubscription(null);
+      fetchData();
+    } catch (err) {
+      alert('Failed to save subscription: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDelete = async (subscriptionId) => {
+    if (!confirm('Delete this subscription and its delivery log?')) return;
+
+    try {
+      await apiClient.delete(`/outbound-webhooks/${subscriptionId}`);
+      fetchData();
+    } catch (err) {
+      alert('Failed to delete subscription: ' + err.message);
+    }
+  };
+
+  const handleToggleStatus = async (subscription) => {
+    try {
+      await apiClient.put(`/outbound-webhooks/${subscription.id}`, {
+        status: subscription.status === 'active' ? 'paused' : 'active'
+      });
+      fetchData();
+    } catch (err) {
+      alert('Failed to update subscription: ' + err.message);
+    }
+  };
+
+  const handleRotateSecret = async (subscriptionId) => {
+    if (!confirm('Rotate the signing secret? The endpoint must be updated before the next delivery.')) return;
+
+    try {
+      const response = await apiClient.post(`/outbound-webhooks/${subscriptionId}/rotate-secret`);
+      setNewSecret(response.data.secret);
+      fetchData();
+    } catch (err) {
+      alert('Failed to rotate secret: ' + err.message);
+    }
+  };
+
+  const handlePing = async (subscriptionId) => {
+    try {
+      const response = await apiClient.post(`/outbound-webhooks/${subscriptionId}/ping`);
+      const { outcome } = response.data;
+      alert(outcome?.status === 'succeeded'
+        ? `Ping delivered (HTTP ${outcome.responseStatus})`
+        : `Ping failed: ${outcome?.error || 'unknown error'}. It will be retried.`);
+      fetchData();
+    } catch (err) {
+      alert('Failed to send ping: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleRedeliver = async (deliveryId) => {
+    try {
+      await apiClient.post(`/outbound-webhooks/deliveries/${deliveryId}/redeliver`);
+      fetchData();
+    } catch (err) {
+      alert('Failed to redeliver: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  // Helper functions
+  const openCreateModal = () => {
+    setSelectedSubscription(null);
+    setFormData(EMPTY_FORM);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (subscription) => {
+    setSelectedSubscription(subscription);
+    setFormData({
+      name: subscription.name,
+      url: subscription.url,
+      allClients: !subscription.clientId,
+      events: subscription.events || [],
+      status: subscription.status,
+      maxRetries: subscription.maxRetries,
+      timeoutMs: subscription.timeoutMs
+    });
+    setShowFormModal(true);
+  };
+
+  const toggleEvent = (eventType) => {
+    const current = formData.events;
+    setFormData({
+      ...formData,
+      events: current.includes(eventType)
+        ? current.filter(e => e !== eventType)
+        : [...current, eventType]
+    });
+  };
+
+  const showDeliveriesFor = (subscriptionId) => {
+    setSubscriptionFilter(subscriptionId);
+    setActiveTab('deliveries');
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+    alert('Copied to clipboard!');
+  };
+
+  // Render helpers
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'active':
+      case 'succeeded':
+        return <CheckCircle className="status-icon success" />;
+      case 'paused':
+        return <Pause className="status-icon paused" />;
+      case 'failed':
+        return <XCircle className="status-icon error" />;
+      case 'pending':
+        return <Clock className="status-icon pending" />;
+      case 'delivering':
+        return <RefreshCw className="status-icon pending" />;
+      default:
+        return <AlertCircle className="status-icon" />;
+    }
+  };
+
+  if (loading && subscriptions.length === 0 && !error) {
+    return (
+      <div className="webhook-manager loading">
+        <RefreshCw className="spinner" />
+        <p>Loading outbound webhooks...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="webhook-manager outbound-webhooks">
+      {/* Header */}
+      <div className="webhook-header">
+        <div className="header-title">
+          <Send className="header-icon" />
+          <div>
+            <h2>Outbound Webhooks</h2>
+            <p className="subtitle">{clientName || 'Client'} - Notify partner systems of journey events</p>
+          </div>
+        </div>
+        <div className="header-actions">
+          <button className="btn-secondary" onClick={fetchData}>
+            <RefreshCw size={16} />
+            Refresh
+          </button>
+          <button className="btn-primary" onClick={openCreateModal}>
+            <Plus size={16} />
+            Add Subscription
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-warning">
+          <AlertCircle size={20} />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Tabs */}
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'subscriptions' ? 'active' : ''}`}
+          onClick={() => setActiveTab('subscriptions')}
+        >
+          <Settings size={16} />
+          Subscriptions
+        </button>
+        <button
+          className={`tab ${activeTab === 'deliveries' ? 'active' : ''}`}
+          onClick={() => setActiveTab('deliveries')}
+        >
+          <Activity size={16} />
+          Delivery Log
+        </button>
+      </div>
+
+      {/* Subscriptions Tab */}
+      {activeTab === 'subscriptions' && (
+        <div className="configs-section">
+          {subscriptions.length === 0 ? (
+            <div className="empty-state">
+              <Send size={48} />
+              <h3>No outbound subscriptions</h3>
+              <p>Subscribe a partner endpoint to journey status changes, approvals, A/B test winners and change requests.</p>
+              <button className="btn-primary" onClick={openCreateModal}>
+                <Plus size={16} />
+                Add Subscription
+              </button>
+            </div>
+          ) : (
+            <div className="configs-list">
+              {subscriptions.map(subscription => (
+                <div key={subscription.id} className={`config-card ${subscription.status}`}>
+                  <div className="config-header">
+                    <div className="config-title">
+                      {getStatusIcon(subscription.status)}
+                      <div>
+                        <h4>{subscription.name}</h4>
+                        <span className="config-status">{subscription.status}</span>
+                      </div>
+                    </div>
+                    <div className="config-actions">
+                      <button className="btn-icon" onClick={() => handlePing(subscription.id)} title="Send ping">
+                        <Send size={16} />
+                      </button>
+                      <button
+                        className="btn-icon"
+                        onClick={() => handleToggleStatus(subscription)}
+                        title={subscription.status === 'active' ? 'Pause' : 'Resume'}
+                      >
+                        {subscription.status === 'active' ? <Pause size={16} /> : <Play size={16} />}
+                      </button>
+                      <button className="btn-icon" onClick={() => openEditModal(subscription)} title="Edit">
+                        <Edit2 size={16} />
+                      </button>
+                      <button className="btn-icon danger" onClick={() => handleDelete(subscription.id)} title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="config-details">
+                    <div className="detail-row">
+                      <span className="detail-label">Endpoint:</span>
+                      <div className="detail-value url-with-copy">
+                        <code>{subscription.url}</code>
+                        <button className="btn-icon small" onClick={() => copyToClipboard(subscription.url)}>
+                          <Copy size={14} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="detail-row">
+                      <span className="detail-label">Scope:</span>
+                      <span className="detail-value">
+                        {subscription.clientId ? (subscription.client?.name || clientName) : 'All clients'}
+                      </span>
+                    </div>
+
+                    <div className="detail-row">
+                      <span className="detail-label">Events:</span>
+                      <span className="detail-value">
+                        {(subscription.events || []).length > 0
+                          ? subscription.events.join(', ')
+                          : 'All events'
+                        }
+                      </span>
+                    </div>
+
+                    <div className="detail-row">
+                      <span className="detail-label">Deliveries:</span>
+                      <span className="detail-value">
+                        <button className="btn-secondary small" onClick={() => showDeliveriesFor(subscription.id)}>
+                          {subscription._count?.deliveries || 0} logged
+                        </button>
+                      </span>
+                    </div>
+
+                    <div className="detail-row">
+                      <span className="detail-label">Signing Secret:</span>
+                      <div className="detail-value secret-row">
+                        <code>{subscription.secret}</code>
+                        <button className="btn-secondary small" onClick={() => handleRotateSecret(subscription.id)}>
+                          <Key size={12} />
+                          Rotate
+                        </button>
+                      </div>
+                    </div>
+
+                    {(subscription.lastSuccessAt || subscription.lastFailureAt) && (
+                      <div className="detail-row">
+                        <span className="detail-label">Last Delivery:</span>
+                        <span className="detail-value">
+                          {subscription.lastSuccessAt && `Succeeded ${new Date(subscription.lastSuccessAt).toLocaleString()}`}
+                          {subscription.lastSuccessAt && subscription.lastFailureAt && ' · '}
+                          {subscription.lastFailureAt && `Failed ${new Date(subscription.lastFailureAt).toLocaleString()}`}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Delivery Log Tab */}
+      {activeTab === 'deliveries' && (
+        <div className="deliveries-section">
+          <div className="section-header">
+            <h3>Delivery Log</h3>
+            <div className="section-actions">
+              <select
+                className="delivery-filter"
+                value={subscriptionFilter}
+                onChange={e => setSubscriptionFilter(e.target.value)}
+              >
+                <option value="">All subscriptions</option>
+                {subscriptions.map(subscription => (
+                  <option key={subscription.id} value={subscription.id}>{subscription.name}</option>
+                ))}
+              </select>
+              <select
+                className="delivery-filter"
+                value={statusFilter}
+                onChange={e => setStatusFilter(e.target.value)}
+              >
+                <option value="">All statuses</option>
+                <option value="succeeded">Succeeded</option>
+                <option value="pending">Pending retry</option>
+                <option value="failed">Failed</option>
+              </select>
+            </div>
+          </div>
+
+          {deliveries.length === 0 ? (
+            <div className="empty-state">
+              <Activity size={48} />
+              <h3>No deliveries</h3>
+              <p>Events sent to subscribed endpoints will appear here.</p>
+            </div>
+          ) : (
+            <div className="deliveries-table-wrapper">
+              <table className="deliveries-table">
+                <thead>
+                  <tr>
+                    <th>Event</th>
+                    <th>Subscription</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Response</th>
+                    <th>Time</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map(delivery => (
+                    <tr key={delivery.id} className={delivery.status}>
+                      <td>
+                        <span className="event-type">{delivery.eventType}</span>
+                        {delivery.redeliveryOf && <span className="outbound-webhooks__tag">redelivery</span>}
+                      </td>
+                      <td>{delivery.subscription?.name}</td>
+                      <td>
+                        <span className={`status-badge ${delivery.status}`}>
+                          {getStatusIcon(delivery.status)}
+                          {delivery.status === 'pending' && delivery.attempts > 0 ? 'retrying' : delivery.status}
+                        </span>
+                        {delivery.status === 'pending' && delivery.attempts > 0 && (
+                          <span className="outbound-webhooks__next">
+                            Next attempt {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+                          </span>
+                        )}
+                      </td>
+                      <td>{delivery.attempts}</td>
+                      <td>
+                        {delivery.responseStatus
+                          ? `HTTP ${delivery.responseStatus}`
+                          : delivery.errorMessage || '-'
+                        }
+                      </td>
+                      <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                      <td>
+                        <button className="btn-icon" onClick={() => setSelectedDelivery(delivery)} title="Details">
+                          <Eye size={16} />
+                        </button>
+                        {['succeeded', 'failed'].includes(delivery.status) && (
+                          <button className="btn-icon" onClick={() => handleRedeliver(delivery.id)} title="Redeliver">
+                            <RotateCcw size={16} />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Subscription Modal */}
+      {showFormModal && (
+        <div className="modal-overlay" onClick={() => setShowFormModal(false)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{selectedSubscription ? 'Edit Subscription' : 'Add Subscription'}</h3>
+              <button className="btn-close" onClick={() => setShowFormModal(false)}>×</button>
+            </div>
+
+            <form onSubmit={handleSave}>
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={e => setFormData({...formData, name: e.target.value})}
+                  required
+                  placeholder="e.g., Partner CRM"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Endpoint URL *</label>
+                <input
+                  type="url"
+                  value={formData.url}
+                  onChange={e => setFormData({...formData, url: e.target.value})}
+                  required
+                  placeholder="https://partner.example.com/webhooks"
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.allClients}
+                    onChange={e => setFormData({...formData, allClients: e.target.checked})}
+                  />
+                  <span>Send events for every client, not just {clientName || 'this client'}</span>
+                </label>
+              </div>
+
+              <div className="form-group">
+                <label>Events</label>
+                <div className="event-checkboxes">
+                  {eventTypes.eventTypes.map(eventType => (
+                    <label key={eventType} className="checkbox-label" title={eventTypes.descriptions[eventType]}>
+                      <input
+                        type="checkbox"
+                        checked={formData.events.includes(eventType)}
+                        onChange={() => toggleEvent(eventType)}
+                      />
+                      <span>{eventType}</span>
+                    </label>
+                  ))}
+                </div>
+                <small>Leave empty to receive all events</small>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Max Retries</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="10"
+                    value={formData.maxRetries}
+                    onChange={e => setFormData({...formData, maxRetries: parseInt(e.target.value)})}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Timeout (ms)</label>
+                  <input
+                    type="number"
+                    min="1000"
+                    max="30000"
+                    step="1000"
+                    value={formData.timeoutMs}
+                    onChange={e => setFormData({...formData, timeoutMs: parseInt(e.target.value)})}
+                  />
+                </div>
+              </div>
+
+              {!selectedSubscription && (
+                <small>A signing secret is generated when the subscription is created.</small>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => setShowFormModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {selectedSubscription ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Secret Modal */}
+      {newSecret && (
+        <div className="modal-overlay" onClick={() => setNewSecret('')}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Signing Secret</h3>
+              <button className="btn-close" onClick={() => setNewSecret('')}>×</button>
+            </div>
+
+            <div className="modal-content">
+              <div className="alert alert-warning">
+                <AlertCircle size={20} />
+                <p>Store this secret securely. It will not be shown again.</p>
+              </div>
+
+              <div className="secret-display">
+                <code>{newSecret}</code>
+                <button className="btn-secondary" onClick={() => copyToClipboard(newSecret)}>
+                  <Copy size={16} />
+                  Copy
+                </button>
+              </div>
+              <small>Verify the X-Journey-Signature header: v1= followed by the HMAC-SHA256 of the raw body.</small>
+            </div>
+
+            <div className="modal-actions">
+              <button className="btn-primary" onClick={() => setNewSecret('')}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Delivery Details Modal */}
+      {selectedDelivery && (
+        <div className="modal-overlay" onClick={() => setSelectedDelivery(null)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{selectedDelivery.eventType}</h3>
+              <button className="btn-close" onClick={() => setSelectedDelivery(null)}>×</button>
+            </div>
+
+            <div className="modal-content">
+              <div className="detail-row">
+                <span className="detail-label">Event ID:</span>
+                <code className="detail-value">{selectedDelivery.eventId}</code>
+              </div>
+              <div className="detail-row">
+                <span className="detail-label">Endpoint:</span>
+                <code className="detail-value">{selectedDelivery.subscription?.url}</code>
+              </div>
+              {selectedDelivery.durationMs !== null && (
+                <div className="detail-row">
+                  <span className="detail-label">Duration:</span>
+                  <span className="detail-value">{selectedDelivery.durationMs}ms</span>
+                </div>
+              )}
+              {selectedDelivery.errorMessage && (
+                <div className="detail-row">
+                  <span className="detail-label">Error:</span>
+                  <span className="detail-value">{selectedDelivery.errorMessage}</span>
+                </div>
+              )}
+
+              <h4>Payload</h4>
+              <pre className="outbound-webhooks__code">{JSON.stringify(selectedDelivery.payload, null, 2)}</pre>
+
+              {selectedDelivery.responseBody && (
+                <>
+                  <h4>Response</h4>
+                  <pre className="outbound-webhooks__code">{selectedDelivery.responseBody}</pre>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutboundWebhookManager;
@@ -216,10 +216,17 @@ export function TouchpointList({ selectedClientId, selectedJourneyId, journeys =
     setNotification(null);
   };
 
-  // Copy client review link to clipboard
-  const handleShareReviewLink = () => {
+  // Create a signed client review link and copy it to the clipboard
+  const handleShareReviewLink = async () => {
     if (!selectedJourneyId) return;
-    const url = `${window.location.origin}/journeys/${selectedJourneyId}/client-review`;
+    let url;
+    try {
+      const link = await apiClient.createReviewLink(selectedJourneyId);
+      url = `${window.location.origin}/journeys/${selectedJourneyId}/client-review?token=${encodeURIComponent(link.token)}`;
+    } catch (err) {
+      showNotification('error', err.response?.data?.message || err.message || 'Could not create review link');
+      return;
+    }
     navigator.clipboard.writeText(url).then(() => {
       showNotification('success', `Review link copied: ${url}`);
     }).catch(() => {
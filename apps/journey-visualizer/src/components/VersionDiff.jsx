@@ -0,0 +1,189 @@
+/**
+ * VersionDiff Component
+ * Word-level diff of a journey between two versions, computed by the API
+ * (GET /journeys/:id/versions/diff). Defaults to the last approved version
+ * against the journey as it is now.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { getApiClient } from '../services/apiClient';
+import './VersionDiff.css';
+
+const apiClient = getApiClient();
+
+const FIELD_LABELS = {
+  name: 'Name',
+  type: 'Type',
+  description: 'Description',
+  category: 'Category',
+  goal: 'Goal',
+  'content.subject': 'Subject',
+  'content.body': 'Body',
+  'content.previewText': 'Preview text',
+  'content.message': 'Message',
+  'content.condition': 'Condition',
+  'content.duration': 'Wait',
+  'config.delay': 'Delay',
+  'config.delayUnit': 'Delay unit',
+  'config.condition': 'Condition'
+};
+
+const changedFields = (fields = {}) =>
+  Object.entries(fields).filter(([, diff]) => diff.type !== 'unchanged');
+
+function FieldDiffs({ fields }) {
+  return changedFields(fields).map(([field, diff]) => (
+    <div key={field} className="version-diff__field">
+      <div className="version-diff__field-label">{FIELD_LABELS[field] || field}</div>
+      <div className="version-diff__words">
+        {diff.changes.map((change, index) => (
+          <span key={index} className={`version-diff__word version-diff__word--${change.type}`}>
+            {change.value}
+          </span>
+        ))}
+      </div>
+    </div>
+  ));
+}
+
+/**
+ * VersionDiff
+ * @param {Object} props
+ * @param {string} props.journeyId
+ * @param {number|string} [props.from='approved'] - Version number or 'approved'
+ * @param {number|string} [props.to='current'] - Version number or 'current'
+ */
+export function VersionDiff({ journeyId, from = 'approved', to = 'current' }) {
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!journeyId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    apiClient.getJourneyVersionDiff(journeyId, { from, to })
+      .then((result) => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setDiff(null);
+          setError(err.response?.data?.error || err.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [journeyId, from, to]);
+
+  const handleExport = async () => {
+    const markdown = await apiClient.getJourneyVersionDiff(journeyId, { from, to, format: 'markdown' });
+    const blob = new Blob([markdown], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `journey-changes-${diff?.from?.version}-to-${diff?.to?.version}.md`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  if (loading) {
+    return (
+      <div className="version-diff version-diff--empty">
+        <Loader2 size={16} className="version-diff__spin" />
+        Loading changes...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="version-diff version-diff--empty">{error}</div>;
+  }
+
+  if (!diff) return null;
+
+  const { comparison } = diff;
+  const label = (version) => (version === 'current' ? 'current' : `v${version}`);
+
+  return (
+    <div className="version-diff">
+      <div className="version-diff__header">
+        <span className="version-diff__range">
+          {label(diff.from.version)} → {label(diff.to.version)}
+        </span>
+        <button className="version-diff__export" onClick={handleExport} title="Download as Markdown">
+          <Download size={14} />
+          Export
+        </button>
+      </div>
+
+      {!comparison.hasChanges ? (
+        <div className="version-diff__none">No changes</div>
+      ) : (
+        <>
+          <div className="version-diff__summary">
+            {comparison.summary.fieldsChanged > 0 && (
+              <span className="version-diff__chip version-diff__chip--changed">{comparison.summary.fieldsChanged} fields</span>
+            )}
+            {comparison.summary.modified > 0 && (
+              <span className="version-diff__chip version-diff__chip--changed">{comparison.summary.modified} modified</span>
+            )}
+            {comparison.summary.added > 0 && (
+              <span className="version-diff__chip version-diff__chip--added">{comparison.summary.added} added</span>
+            )}
+            {comparison.summary.removed > 0 && (
+              <span className="version-diff__chip version-diff__chip--removed">{comparison.summary.removed} removed</span>
+            )}
+            {comparison.summary.reordered > 0 && (
+              <span className="version-diff__chip">{comparison.summary.reordered} reordered</span>
+            )}
+          </div>
+
+          {changedFields(comparison.journeyFields).length > 0 && (
+            <div className="version-diff__group">
+              <div className="version-diff__group-title">Journey</div>
+              <FieldDiffs fields={comparison.journeyFields} />
+            </div>
+          )}
+
+          {comparison.addedTouchpoints.map(tp => (
+            <div key={tp.id} className="version-diff__group version-diff__group--added">
+              <div className="version-diff__group-title">+ {tp.name} <span>({tp.type})</span></div>
+            </div>
+          ))}
+
+          {comparison.removedTouchpoints.map(tp => (
+            <div key={tp.id} className="version-diff__group version-diff__group--removed">
+              <div className="version-diff__group-title">− {tp.name} <span>({tp.type})</span></div>
+            </div>
+          ))}
+
+          {comparison.reorderedTouchpoints.map(tp => (
+            <div key={tp.touchpointId} className="version-diff__group">
+              <div className="version-diff__group-title">
+                ↕ {tp.name} <span>position {tp.oldPosition} → {tp.newPosition}</span>
+              </div>
+            </div>
+          ))}
+
+          {comparison.modifiedTouchpoints.map(tp => (
+            <div key={tp.touchpointId} className="version-diff__group">
+              <div className="version-diff__group-title">{tp.name}</div>
+              <FieldDiffs fields={tp.fields} />
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VersionDiff;
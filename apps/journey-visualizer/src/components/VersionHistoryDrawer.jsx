@@ -0,0 +1,195 @@
+/**
+ * VersionHistoryDrawer Component
+ * Lists a journey's saved versions with preview and restore actions
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, History, Eye, RotateCcw, Save } from 'lucide-react';
+import { getApiClient } from '../services/apiClient';
+import './VersionHistoryDrawer.css';
+
+const apiClient = getApiClient();
+
+/**
+ * VersionHistoryDrawer
+ * @param {Object} props
+ * @param {Object} props.journey - Selected journey
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Function} props.onRestored - Called with the restore result
+ */
+export function VersionHistoryDrawer({ journey, isOpen, onClose, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(null); // { version, action }
+
+  const loadVersions = useCallback(async () => {
+    if (!journey?.id) return;
+    try {
+      setLoading(true);
+      setError(null);
+      setVersions(await apiClient.getJourneyVersions(journey.id));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [journey?.id]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPreview(null);
+      loadVersions();
+    }
+  }, [isOpen, loadVersions]);
+
+  const handleSnapshot = async () => {
+    const changeLog = prompt('Describe this version (optional)');
+    if (changeLog === null) return;
+    try {
+      setError(null);
+      await apiClient.createJourneyVersion(journey.id, { changeLog: changeLog || undefined });
+      await loadVersions();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handlePreview = async (version) => {
+    if (preview?.version === version) {
+      setPreview(null);
+      return;
+    }
+    try {
+      setBusy({ version, action: 'preview' });
+      setError(null);
+      setPreview(await apiClient.getJourneyVersion(journey.id, version));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Restore "${journey.name}" to version ${version}? The current state is saved as a new version first.`)) {
+      return;
+    }
+    try {
+      setBusy({ version, action: 'restore' });
+      setError(null);
+      const result = await apiClient.restoreJourneyVersion(journey.id, version);
+      await loadVersions();
+      onRestored?.(result);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const renderPreview = (snapshot) => {
+    const touchpoints = [...(snapshot?.touchpoints || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const branches = (snapshot?.edges || []).filter(edge => edge.branch && edge.branch !== 'default').length;
+
+    return (
+      <div className="version-drawer__preview">
+        <div className="version-drawer__preview-title">{snapshot?.journey?.name}</div>
+        {snapshot?.journey?.description && (
+          <p className="version-drawer__preview-description">{snapshot.journey.description}</p>
+        )}
+        <div className="version-drawer__preview-meta">
+          {touchpoints.length} touchpoints • {(snapshot?.edges || []).length} links
+          {branches > 0 && ` • ${branches} branch links`}
+        </div>
+        <ol className="version-drawer__preview-list">
+          {touchpoints.map(tp => (
+            <li key={tp.id}>
+              <span className="version-drawer__preview-type">{tp.type}</span>
+              {tp.name}
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  };
+
+  return (
+    <div className="version-drawer__overlay" onClick={onClose}>
+      <aside className="version-drawer" onClick={e => e.stopPropagation()}>
+        <div className="version-drawer__header">
+          <h3 className="version-drawer__title">
+            <History size={18} />
+            Version History
+          </h3>
+          <button className="version-drawer__close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="version-drawer__toolbar">
+          <span className="version-drawer__current">Current version: {journey.version}</span>
+          <button className="version-drawer__btn" onClick={handleSnapshot}>
+            <Save size={14} />
+            Save Version
+          </button>
+        </div>
+
+        {error && <div className="version-drawer__error">{error}</div>}
+
+        <div className="version-drawer__list">
+          {loading ? (
+            <div className="version-drawer__empty">Loading versions...</div>
+          ) : versions.length === 0 ? (
+            <div className="version-drawer__empty">No saved versions yet</div>
+          ) : (
+            versions.map(version => (
+              <div
+                key={version.id}
+                className={`version-drawer__item ${preview?.version === version.version ? 'version-drawer__item--active' : ''}`}
+              >
+                <div className="version-drawer__item-header">
+                  <span className="version-drawer__item-version">v{version.version}</span>
+                  <span className="version-drawer__item-date">
+                    {new Date(version.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {version.changeLog && (
+                  <p className="version-drawer__item-log">{version.changeLog}</p>
+                )}
+                {version.createdBy && (
+                  <span className="version-drawer__item-author">by {version.createdBy}</span>
+                )}
+                <div className="version-drawer__item-actions">
+                  <button
+                    className="version-drawer__btn"
+                    onClick={() => handlePreview(version.version)}
+                    disabled={busy !== null}
+                  >
+                    <Eye size={14} />
+                    {preview?.version === version.version ? 'Hide' : 'Preview'}
+                  </button>
+                  <button
+                    className="version-drawer__btn version-drawer__btn--restore"
+                    onClick={() => handleRestore(version.version)}
+                    disabled={busy !== null}
+                  >
+                    <RotateCcw size={14} />
+                    {busy?.action === 'restore' && busy.version === version.version ? 'Restoring...' : 'Restore'}
+                  </button>
+                </div>
+                {preview?.version === version.version && renderPreview(preview.snapshot)}
+              </div>
+            ))
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default VersionHistoryDrawer;
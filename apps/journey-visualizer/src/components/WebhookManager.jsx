@@ -6,6 +6,9 @@
  * - Managing webhook configurations
  * - Viewing webhook delivery logs
  * - Monitoring webhook statistics
+ * - Reviewing deliveries rejected by signature enforcement
+ * - Replaying dead-lettered deliveries, one at a time (optionally with an
+ *   edited payload) or in bulk
  * - Testing webhooks
  */
 
@@ -29,12 +32,28 @@ import {
   Activity,
   Clock,
   CheckSquare,
-  Server
+  Server,
+  ShieldAlert,
+  ShieldCheck,
+  Inbox
 } from 'lucide-react';
 import { getApiClient } from '../services/apiClient';
 const apiClient = getApiClient().client;
 import './WebhookManager.css';
 
+const SIGNATURE_MODE_LABELS = {
+  off: 'Not verified',
+  log_only: 'Verified, log only',
+  enforce: 'Enforced'
+};
+
+const SIGNATURE_ERROR_LABELS = {
+  missing_signature: 'Missing signature',
+  invalid_signature: 'Invalid signature',
+  missing_timestamp: 'Missing timestamp',
+  stale_timestamp: 'Timestamp outside tolerance'
+};
+
 const WebhookManager = ({ clientId, clientName }) => {
   // State
   const [configs, setConfigs] = useState([]);
@@ -51,6 +70,11 @@ const WebhookManager = ({ clientId, clientName }) => {
   const [testPayload, setTestPayload] = useState('');
   const [showTestModal, setShowTestModal] = useState(false);
   const [selectedEventType, setSelectedEventType] = useState('ContactCreate');
+  const [deliveryStatusFilter, setDeliveryStatusFilter] = useState('');
+  const [deadLetters, setDeadLetters] = useState({ data: [], facets: { eventTypes: [], errors: [] }, total: 0 });
+  const [deadLetterFilters, setDeadLetterFilters] = useState({ eventType: '', error: '' });
+  const [replayTarget, setReplayTarget] = useState(null);
+  const [replayPayload, setReplayPayload] = useState('');
 
   // Form state
   const [formData, setFormData] = useState({
@@ -62,7 +86,11 @@ const WebhookManager = ({ clientId, clientName }) => {
     status: 'active',
     maxRetries: 3,
     retryDelayMs: 5000,
-    rateLimitPerMinute: 100
+    retryBackoff: 'exponential',
+    maxRetryDelayMs: 3600000,
+    rateLimitPerMinute: 100,
+    signatureMode: 'enforce',
+    timestampToleranceSec: 300
   });
 
   // Fetch data
@@ -82,9 +110,20 @@ const WebhookManager = ({ clientId, clientName }) => {
       setEventTypes(eventTypesRes.data || {});
       
       // Fetch recent deliveries
-      const deliveriesRes = await apiClient.get(`/webhooks/deliveries?clientId=${clientId}&limit=20`);
+      const statusParam = deliveryStatusFilter ? `&status=${deliveryStatusFilter}` : '';
+      const deliveriesRes = await apiClient.get(`/webhooks/deliveries?clientId=${clientId}&limit=20${statusParam}`);
       setDeliveries(deliveriesRes.data?.data || []);
       
+      const deadLetterParams = new URLSearchParams({ clientId, limit: '50' });
+      if (deadLetterFilters.eventType) deadLetterParams.set('eventType', deadLetterFilters.eventType);
+      if (deadLetterFilters.error) deadLetterParams.set('error', deadLetterFilters.error);
+      const deadLettersRes = await apiClient.get(`/webhooks/dead-letters?${deadLetterParams}`);
+      setDeadLetters({
+        data: deadLettersRes.data?.data || [],
+        facets: deadLettersRes.data?.facets || { eventTypes: [], errors: [] },
+        total: deadLettersRes.data?.pagination?.total || 0
+      });
+      
       setError(null);
     } catch (err) {
       console.error('Error fetching webhook data:', err);
@@ -92,7 +131,7 @@ const WebhookManager = ({ clientId, clientName }) => {
     } finally {
       setLoading(false);
     }
-  }, [clientId]);
+  }, [clientId, deliveryStatusFilter, deadLetterFilters]);
 
   useEffect(() => {
     fetchData();
@@ -182,7 +221,57 @@ const WebhookManager = ({ clientId, clientName }) => {
     }
   };
 
+  const handleReplayDeadLetter = async (e) => {
+    e.preventDefault();
+    let payload;
+    try {
+      payload = JSON.parse(replayPayload);
+    } catch (err) {
+      alert('Payload is not valid JSON: ' + err.message);
+      return;
+    }
+    
+    const edited = JSON.stringify(payload) !== JSON.stringify(replayTarget.payload);
+    try {
+      const response = await apiClient.post(
+        `/webhooks/dead-letters/${replayTarget.id}/replay`,
+        edited ? { payload } : {}
+      );
+      if (response.data.success === false) {
+        alert('Replay failed again: ' + response.data.error);
+      }
+      setReplayTarget(null);
+      fetchData();
+    } catch (err) {
+      alert('Failed to replay delivery: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleBulkReplay = async () => {
+    const count = Math.min(deadLetters.total, 500);
+    if (!confirm(`Replay ${count} dead-lettered deliveries matching the current filters?`)) return;
+    
+    try {
+      const response = await apiClient.post('/webhooks/dead-letters/replay', {
+        clientId,
+        ...(deadLetterFilters.eventType && { eventType: deadLetterFilters.eventType }),
+        ...(deadLetterFilters.error && { error: deadLetterFilters.error }),
+        limit: count
+      });
+      const { matched, succeeded, failed } = response.data;
+      alert(`Replayed ${matched} deliveries: ${succeeded} succeeded, ${failed} failed again.`);
+      fetchData();
+    } catch (err) {
+      alert('Failed to replay deliveries: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   // Helper functions
+  const openReplayModal = (delivery) => {
+    setReplayTarget(delivery);
+    setReplayPayload(JSON.stringify(delivery.payload, null, 2));
+  };
+
   const resetForm = () => {
     setFormData({
       name: '',
@@ -193,7 +282,11 @@ const WebhookManager = ({ clientId, clientName }) => {
       status: 'active',
       maxRetries: 3,
       retryDelayMs: 5000,
-      rateLimitPerMinute: 100
+      retryBackoff: 'exponential',
+      maxRetryDelayMs: 3600000,
+      rateLimitPerMinute: 100,
+      signatureMode: 'enforce',
+      timestampToleranceSec: 300
     });
   };
 
@@ -208,7 +301,11 @@ const WebhookManager = ({ clientId, clientName }) => {
       status: config.status,
       maxRetries: config.maxRetries,
       retryDelayMs: config.retryDelayMs,
-      rateLimitPerMinute: config.rateLimitPerMinute
+      retryBackoff: config.retryBackoff || 'exponential',
+      maxRetryDelayMs: config.maxRetryDelayMs ?? 3600000,
+      rateLimitPerMinute: config.rateLimitPerMinute,
+      signatureMode: config.signatureMode || 'log_only',
+      timestampToleranceSec: config.timestampToleranceSec ?? 300
     });
     setShowConfigModal(true);
   };
@@ -265,8 +362,15 @@ const WebhookManager = ({ clientId, clientName }) => {
         return <CheckCircle className="status-icon success" />;
       case 'failed':
         return <XCircle className="status-icon error" />;
+      case 'rejected':
+        return <ShieldAlert className="status-icon error" />;
+      case 'duplicate':
+        return <Copy className="status-icon pending" />;
+      case 'replayed':
+        return <RotateCcw className="status-icon pending" />;
       case 'pending':
       case 'processing':
+      case 'retrying':
         return <Clock className="status-icon pending" />;
       default:
         return <AlertCircle className="status-icon" />;
@@ -340,6 +444,15 @@ const WebhookManager = ({ clientId, clientName }) => {
               <span className="stat-label">Failed</span>
             </div>
           </div>
+          <div className="stat-card">
+            <div className="stat-icon warning">
+              <ShieldAlert size={20} />
+            </div>
+            <div className="stat-info">
+              <span className="stat-value">{stats.rejected || 0}</span>
+              <span className="stat-label">Rejected</span>
+            </div>
+          </div>
           <div className="stat-card">
             <div className="stat-icon info">
               <Server size={20} />
@@ -368,6 +481,13 @@ const WebhookManager = ({ clientId, clientName }) => {
           <Activity size={16} />
           Delivery Logs
         </button>
+        <button
+          className={`tab ${activeTab === 'dead-letters' ? 'active' : ''}`}
+          onClick={() => setActiveTab('dead-letters')}
+        >
+          <Inbox size={16} />
+          Dead Letters{deadLetters.total > 0 && ` (${deadLetters.total})`}
+        </button>
       </div>
 
       {/* Configurations Tab */}
@@ -456,6 +576,41 @@ const WebhookManager = ({ clientId, clientName }) => {
                       <span className="detail-value">{config._count?.deliveries || 0}</span>
                     </div>
                     
+                    <div className="detail-row">
+                      <span className="detail-label">Retries:</span>
+                      <span className="detail-value">
+                        {config.maxRetries > 0
+                          ? `${config.maxRetries} × ${config.retryBackoff === 'fixed' ? 'every' : 'from'} ${config.retryDelayMs / 1000}s`
+                          : 'None, failures go straight to dead letters'
+                        }
+                      </span>
+                    </div>
+                    
+                    <div className="detail-row">
+                      <span className="detail-label">Signatures:</span>
+                      <span className="detail-value signature-summary">
+                        {config.signatureMode === 'enforce'
+                          ? <ShieldCheck size={14} className="status-icon success" />
+                          : <ShieldAlert size={14} className="status-icon paused" />
+                        }
+                        {SIGNATURE_MODE_LABELS[config.signatureMode] || config.signatureMode}
+                        {config.signatureMode !== 'off' && config.timestampToleranceSec > 0 &&
+                          ` · ${config.timestampToleranceSec}s window`
+                        }
+                        {config.rejectedDeliveries > 0 && (
+                          <button
+                            className="btn-secondary small"
+                            onClick={() => {
+                              setDeliveryStatusFilter('rejected');
+                              setActiveTab('deliveries');
+                            }}
+                          >
+                            {config.rejectedDeliveries} rejected
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    
                     <div className="detail-row">
                       <span className="detail-label">Secret Key:</span>
                       <div className="detail-value secret-row">
@@ -490,16 +645,31 @@ const WebhookManager = ({ clientId, clientName }) => {
         <div className="deliveries-section">
           <div className="section-header">
             <h3>Recent Deliveries</h3>
-            <button className="btn-secondary" onClick={openTestModal}>
-              <Play size={16} />
-              Test Webhook
-            </button>
+            <div className="section-actions">
+              <select
+                className="delivery-filter"
+                value={deliveryStatusFilter}
+                onChange={e => setDeliveryStatusFilter(e.target.value)}
+              >
+                <option value="">All statuses</option>
+                <option value="completed">Completed</option>
+                <option value="retrying">Retrying</option>
+                <option value="failed">Failed</option>
+                <option value="replayed">Replayed</option>
+                <option value="rejected">Rejected</option>
+                <option value="duplicate">Duplicate</option>
+              </select>
+              <button className="btn-secondary" onClick={openTestModal}>
+                <Play size={16} />
+                Test Webhook
+              </button>
+            </div>
           </div>
           
           {deliveries.length === 0 ? (
             <div className="empty-state">
               <Activity size={48} />
-              <h3>No deliveries yet</h3>
+              <h3>{deliveryStatusFilter ? `No ${deliveryStatusFilter} deliveries` : 'No deliveries yet'}</h3>
               <p>Webhook deliveries will appear here once events are received.</p>
             </div>
           ) : (
@@ -525,6 +695,11 @@ const WebhookManager = ({ clientId, clientName }) => {
                           {getStatusIcon(delivery.status)}
                           {delivery.status}
                         </span>
+                        {delivery.signatureError && (
+                          <span className={`signature-error ${delivery.status === 'rejected' ? 'rejected' : ''}`}>
+                            {SIGNATURE_ERROR_LABELS[delivery.signatureError] || delivery.signatureError}
+                          </span>
+                        )}
                       </td>
                       <td>{new Date(delivery.createdAt).toLocaleString()}</td>
                       <td>
@@ -534,7 +709,7 @@ const WebhookManager = ({ clientId, clientName }) => {
                         }
                       </td>
                       <td>
-                        {delivery.status === 'failed' && (
+                        {['failed', 'retrying', 'rejected'].includes(delivery.status) && (
                           <button
                             className="btn-icon"
                             onClick={() => handleRetryDelivery(delivery.id)}
@@ -553,6 +728,95 @@ const WebhookManager = ({ clientId, clientName }) => {
         </div>
       )}
 
+      {/* Dead Letters Tab */}
+      {activeTab === 'dead-letters' && (
+        <div className="deliveries-section">
+          <div className="section-header">
+            <h3>Dead Letters</h3>
+            <div className="section-actions">
+              <select
+                className="delivery-filter"
+                value={deadLetterFilters.eventType}
+                onChange={e => setDeadLetterFilters({ ...deadLetterFilters, eventType: e.target.value })}
+              >
+                <option value="">All event types</option>
+                {deadLetters.facets.eventTypes.map(({ eventType, count }) => (
+                  <option key={eventType} value={eventType}>{eventType} ({count})</option>
+                ))}
+              </select>
+              <select
+                className="delivery-filter"
+                value={deadLetterFilters.error}
+                onChange={e => setDeadLetterFilters({ ...deadLetterFilters, error: e.target.value })}
+              >
+                <option value="">All errors</option>
+                {deadLetters.facets.errors.filter(({ errorMessage }) => errorMessage).map(({ errorMessage, count }) => (
+                  <option key={errorMessage} value={errorMessage}>{errorMessage} ({count})</option>
+                ))}
+              </select>
+              <button
+                className="btn-primary"
+                onClick={handleBulkReplay}
+                disabled={deadLetters.total === 0}
+              >
+                <RotateCcw size={16} />
+                Replay {deadLetterFilters.eventType || deadLetterFilters.error ? 'Filtered' : 'All'}
+              </button>
+            </div>
+          </div>
+          
+          {deadLetters.data.length === 0 ? (
+            <div className="empty-state">
+              <Inbox size={48} />
+              <h3>No dead letters</h3>
+              <p>Deliveries that still fail after every retry allowed by their webhook's retry policy land here.</p>
+            </div>
+          ) : (
+            <div className="deliveries-table-wrapper">
+              <table className="deliveries-table">
+                <thead>
+                  <tr>
+                    <th>Event Type</th>
+                    <th>Error</th>
+                    <th>Attempts</th>
+                    <th>Received</th>
+                    <th>Dead-lettered</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deadLetters.data.map(delivery => (
+                    <tr key={delivery.id} className={delivery.status}>
+                      <td>
+                        <span className="event-type">{delivery.eventType}</span>
+                      </td>
+                      <td className="dead-letter-error">{delivery.errorMessage || '-'}</td>
+                      <td>{delivery.retryCount + 1}</td>
+                      <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                      <td>
+                        {delivery.deadLetteredAt
+                          ? new Date(delivery.deadLetteredAt).toLocaleString()
+                          : '-'
+                        }
+                      </td>
+                      <td>
+                        <button
+                          className="btn-icon"
+                          onClick={() => openReplayModal(delivery)}
+                          title="Review payload and replay"
+                        >
+                          <Edit2 size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Config Modal */}
       {showConfigModal && (
         <div className="modal-overlay" onClick={() => setShowConfigModal(false)}>
@@ -596,6 +860,33 @@ const WebhookManager = ({ clientId, clientName }) => {
                 <small>Used to verify webhook signatures from GoHighLevel</small>
               </div>
               
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Signature Mode</label>
+                  <select
+                    value={formData.signatureMode}
+                    onChange={e => setFormData({...formData, signatureMode: e.target.value})}
+                  >
+                    <option value="enforce">Enforce - reject bad signatures</option>
+                    <option value="log_only">Log only - process and flag</option>
+                    <option value="off">Off - don't verify</option>
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label>Timestamp Tolerance (s)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="86400"
+                    value={formData.timestampToleranceSec}
+                    onChange={e => setFormData({...formData, timestampToleranceSec: parseInt(e.target.value)})}
+                    disabled={formData.signatureMode === 'off'}
+                  />
+                  <small>0 disables the replay window</small>
+                </div>
+              </div>
+              
               <div className="form-group">
                 <label>Subscribed Events</label>
                 <div className="event-checkboxes">
@@ -637,6 +928,32 @@ const WebhookManager = ({ clientId, clientName }) => {
                 </div>
               </div>
               
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Backoff</label>
+                  <select
+                    value={formData.retryBackoff}
+                    onChange={e => setFormData({...formData, retryBackoff: e.target.value})}
+                  >
+                    <option value="exponential">Exponential</option>
+                    <option value="fixed">Fixed delay</option>
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label>Max Retry Delay (ms)</label>
+                  <input
+                    type="number"
+                    min="1000"
+                    step="1000"
+                    value={formData.maxRetryDelayMs}
+                    onChange={e => setFormData({...formData, maxRetryDelayMs: parseInt(e.target.value)})}
+                    disabled={formData.retryBackoff === 'fixed'}
+                  />
+                  <small>Failures past the last retry go to dead letters</small>
+                </div>
+              </div>
+              
               <div className="form-group">
                 <label>Rate Limit (per minute)</label>
                 <input
@@ -755,6 +1072,48 @@ const WebhookManager = ({ clientId, clientName }) => {
           </div>
         </div>
       )}
+
+      {/* Replay Modal */}
+      {replayTarget && (
+        <div className="modal-overlay" onClick={() => setReplayTarget(null)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Replay {replayTarget.eventType}</h3>
+              <button className="btn-close" onClick={() => setReplayTarget(null)}>×</button>
+            </div>
+            
+            <form onSubmit={handleReplayDeadLetter}>
+              {replayTarget.errorMessage && (
+                <div className="alert alert-warning">
+                  <AlertCircle size={20} />
+                  <p>{replayTarget.errorMessage}</p>
+                </div>
+              )}
+              
+              <div className="form-group">
+                <label>Payload (JSON)</label>
+                <textarea
+                  value={replayPayload}
+                  onChange={e => setReplayPayload(e.target.value)}
+                  rows={15}
+                  className="code-editor"
+                />
+                <small>Fix malformed fields before replaying. The original payload is kept on the dead letter.</small>
+              </div>
+              
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => setReplayTarget(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  <RotateCcw size={16} />
+                  Replay
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -60,93 +60,58 @@ export function useApprovals() {
     }
   }, [dataService]);
 
-  const requestApproval = async (journeyId, version) => {
-    const newApproval = {
-      id: `approval-${Date.now()}`,
-      journeyId,
-      status: JOURNEY_STATUS.CLIENT_REVIEW,
-      comments: '',
-      requestedBy: 'current-user',
-      requestedAt: new Date().toISOString(),
-      version
-    };
-
+  const requestApproval = async (journeyId, comments) => {
     try {
-      const record = await dataService.requestApproval(journeyId, {
-        status: JOURNEY_STATUS.CLIENT_REVIEW,
-        version
-      });
-      const approval = record || newApproval;
-      setApprovals(prev => [approval, ...prev]);
-      return approval;
+      const journey = await dataService.requestApproval(journeyId, comments);
+      await fetchApprovals(journeyId);
+      return journey;
     } catch (err) {
-      setError(err.message);
-      // Still add to local state for UI feedback
-      setApprovals(prev => [newApproval, ...prev]);
-      return newApproval;
+      setError(err.response?.data?.message || err.message);
+      throw err;
     }
   };
 
-  const approveJourney = async (journeyId, approvalId, comments = '') => {
-    const updatedApproval = {
-      id: approvalId,
-      journeyId,
-      status: JOURNEY_STATUS.APPROVED,
-      comments,
-      reviewedBy: 'current-user',
-      reviewedAt: new Date().toISOString()
-    };
-
+  /**
+   * Record the current user's decision on the pending request. Each
+   * approver's decision is tracked separately; the journey only moves once
+   * the client's approval policy is satisfied.
+   * @returns {Promise<Object>} { journey, approval, outcome }
+   */
+  const decide = async (journeyId, decision, comments) => {
     try {
-      await dataService.approveJourney(journeyId, comments);
-      setApprovals(prev => prev.map(a => 
-        a.id === approvalId ? { ...a, ...updatedApproval } : a
-      ));
-      return updatedApproval;
+      const result = decision === JOURNEY_STATUS.APPROVED
+        ? await dataService.approveJourney(journeyId, comments)
+        : await dataService.rejectJourney(journeyId, comments);
+      if (result?.approval && isMountedRef.current) {
+        setApprovals(prev => prev.map(a =>
+          a.id === result.approval.id ? result.approval : a
+        ));
+      }
+      return result;
     } catch (err) {
-      setError(err.message);
-      // Still update local state for UI feedback
-      setApprovals(prev => prev.map(a => 
-        a.id === approvalId ? { ...a, ...updatedApproval } : a
-      ));
-      return updatedApproval;
+      setError(err.response?.data?.error || err.message);
+      throw err;
     }
   };
 
-  const rejectJourney = async (journeyId, approvalId, comments) => {
+  const approveJourney = (journeyId, comments = '') =>
+    decide(journeyId, JOURNEY_STATUS.APPROVED, comments);
+
+  const rejectJourney = async (journeyId, comments) => {
     if (!comments || comments.trim() === '') {
       throw new Error('Rejection requires a comment explaining the reason');
     }
-
-    const updatedApproval = {
-      id: approvalId,
-      journeyId,
-      status: JOURNEY_STATUS.REJECTED,
-      comments,
-      reviewedBy: 'current-user',
-      reviewedAt: new Date().toISOString()
-    };
-
-    try {
-      await dataService.rejectJourney(journeyId, comments);
-      setApprovals(prev => prev.map(a => 
-        a.id === approvalId ? { ...a, ...updatedApproval } : a
-      ));
-      return updatedApproval;
-    } catch (err) {
-      setError(err.message);
-      // Still update local state for UI feedback
-      setApprovals(prev => prev.map(a => 
-        a.id === approvalId ? { ...a, ...updatedApproval } : a
-      ));
-      return updatedApproval;
-    }
+    return decide(journeyId, JOURNEY_STATUS.REJECTED, comments);
   };
 
   const getLatestApproval = (journeyId) => {
     return approvals.find(a => a.journeyId === journeyId);
   };
 
+  const getPendingApproval = (journeyId) => {
+    return approvals.find(a => a.journeyId === journeyId && a.status === 'pending');
+  };
+
   const getApprovalHistory = (journeyId) => {
     return approvals.filter(a => a.journeyId === journeyId);
   };
@@ -160,6 +125,7 @@ export function useApprovals() {
     approveJourney,
     rejectJourney,
     getLatestApproval,
+    getPendingApproval,
     getApprovalHistory
   };
 }
@@ -178,7 +144,18 @@ export function getMockApprovals(journeyId) {
       reviewedBy: 'client-user',
       reviewedAt: '2024-01-20T14:30:00Z',
       requestedAt: '2024-01-18T10:00:00Z',
-      version: 3
+      version: 3,
+      outcome: {
+        status: JOURNEY_STATUS.APPROVED,
+        approvedCount: 2,
+        requiredApprovals: 2,
+        missingRoles: [],
+        nextApprover: null,
+        approvers: [
+          { email: 'owner@venue.com', role: 'owner', decision: JOURNEY_STATUS.APPROVED, comments: null },
+          { email: 'events@venue.com', role: 'events_manager', decision: JOURNEY_STATUS.APPROVED, comments: 'Looks great! Ready for launch.' }
+        ]
+      }
     },
     {
       id: 'approval-2',
@@ -96,6 +96,26 @@ export function useJourneys(clientId = null) {
     }
   };
 
+  /**
+   * Move a journey to a new status. The API enforces the transition table,
+   * so errors carry the allowed transitions in err.response.data.
+   * @param {string} journeyId
+   * @param {string} status
+   * @param {string} [reason]
+   */
+  const updateJourneyStatus = async (journeyId, status, reason) => {
+    try {
+      const result = await dataService.updateJourneyStatus(journeyId, status, reason);
+      setJourneys(prev => prev.map(j =>
+        j.id === journeyId ? { ...j, ...result } : j
+      ));
+      return result;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      throw err;
+    }
+  };
+
   /**
    * Retry update with fresh server data (merge strategy)
    * @param {Object} mergedData - User's merged changes
@@ -225,6 +245,7 @@ export function useJourneys(clientId = null) {
     refetch: fetchJourneys,
     createJourney,
     updateJourney,
+    updateJourneyStatus,
     deleteJourney,
     duplicateJourney,
     // Conflict resolution
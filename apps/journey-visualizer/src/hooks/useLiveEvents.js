@@ -0,0 +1,85 @@
+/**
+ * useLiveEvents Hook
+ * Subscribes to the analytics live stream (analytics events, webhook
+ * deliveries, trigger executions) for a client and/or journey.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getApiClient } from '../services/apiClient';
+
+export const LIVE_EVENT_TYPES = {
+  ANALYTICS_EVENT: 'analytics_event',
+  WEBHOOK_DELIVERY: 'webhook_delivery',
+  TRIGGER_EXECUTION: 'trigger_execution'
+};
+
+/**
+ * @param {Object} options
+ * @param {string} [options.clientId]
+ * @param {string} [options.journeyId]
+ * @param {string[]} [options.types] - Defaults to every type
+ * @param {'sse'|'websocket'} [options.transport='sse']
+ * @param {boolean} [options.enabled=true]
+ * @param {number} [options.limit=100] - Events kept, newest first
+ * @param {Function} [options.onEvent] - Called with each event as it arrives
+ * @returns {{ events: Object[], status: string, error: string|null, clear: Function }}
+ */
+export function useLiveEvents({
+  clientId,
+  journeyId,
+  types,
+  transport = 'sse',
+  enabled = true,
+  limit = 100,
+  onEvent
+} = {}) {
+  const [events, setEvents] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  // Latest callback without resubscribing on every render
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  const typesKey = types?.join(',') || '';
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('idle');
+      return undefined;
+    }
+
+    setEvents([]);
+    setError(null);
+
+    const apiClient = getApiClient();
+    const open = transport === 'websocket'
+      ? apiClient.openLiveEventSocket.bind(apiClient)
+      : apiClient.streamLiveEvents.bind(apiClient);
+
+    const close = open(
+      { clientId, journeyId, types: typesKey ? typesKey.split(',') : undefined },
+      {
+        onEvent: (event) => {
+          setEvents(prev => [event, ...prev].slice(0, limit));
+          onEventRef.current?.(event);
+        },
+        onStatus: (next, err) => {
+          setStatus(next);
+          setError(err?.message || null);
+        }
+      }
+    );
+
+    return close;
+  }, [clientId, journeyId, typesKey, transport, enabled, limit]);
+
+  return {
+    events,
+    status,
+    error,
+    clear: () => setEvents([])
+  };
+}
+
+export default useLiveEvents;
@@ -9,6 +9,41 @@ import axios from 'axios';
 // Use production API URL by default, fallback to localhost for development
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://bloom-backend.zeabur.app/api';
 
+const LIVE_STREAM_RETRY_MS = 5000;
+// Close code the live socket uses when its periodic token check fails
+const LIVE_SOCKET_UNAUTHORIZED = 4001;
+
+const liveStreamQuery = ({ clientId, journeyId, types, lastEventId }) => {
+  const queryParams = new URLSearchParams();
+  if (clientId) queryParams.append('clientId', clientId);
+  if (journeyId) queryParams.append('journeyId', journeyId);
+  if (types?.length) queryParams.append('types', types.join(','));
+  if (lastEventId) queryParams.append('lastEventId', lastEventId);
+  return queryParams;
+};
+
+/**
+ * Fields of one Server-Sent Events message (comment lines are ignored)
+ * @param {string} message - Lines between two blank lines
+ * @returns {{ id?: string, event?: string, data?: string, retry?: number }}
+ */
+export function parseServerSentEvent(message) {
+  const parsed = {};
+  const data = [];
+  for (const line of message.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.slice(0, index);
+    const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+    if (field === 'data') data.push(value);
+    else if (field === 'id') parsed.id = value;
+    else if (field === 'event') parsed.event = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) parsed.retry = parseInt(value);
+  }
+  if (data.length > 0) parsed.data = data.join('\n');
+  return parsed;
+}
+
 /**
  * Custom error class for 409 Conflict responses
  */
@@ -50,10 +85,25 @@ export class ApiClient {
     // Add response interceptor for error handling
     this.client.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
+      async (error) => {
+        const original = error.config;
+        const isAuthCall = original?.url?.startsWith('/auth/');
+
+        if (error.response?.status === 401 && !isAuthCall) {
+          // Access tokens are short-lived: refresh once and retry
+          if (!original._retried && localStorage.getItem('refresh_token')) {
+            original._retried = true;
+            try {
+              const { accessToken } = await this.refreshSession();
+              original.headers.Authorization = `Bearer ${accessToken}`;
+              return this.client.request(original);
+            } catch (refreshError) {
+              // Fall through to the login redirect
+            }
+          }
+
           // Handle unauthorized - redirect to login
-          localStorage.removeItem('auth_token');
+          this.clearSession();
           window.location.href = '/login';
         }
         return Promise.reject(error);
@@ -64,12 +114,43 @@ export class ApiClient {
   /**
    * Authentication
    */
-  async login(email, name) {
-    const response = await this.client.post('/auth/login', { email, name });
-    const { token, user } = response.data;
-    localStorage.setItem('auth_token', token);
-    localStorage.setItem('user', JSON.stringify(user));
-    return { token, user };
+  storeSession({ accessToken, refreshToken, user }) {
+    localStorage.setItem('auth_token', accessToken);
+    localStorage.setItem('refresh_token', refreshToken);
+    if (user) {
+      localStorage.setItem('user', JSON.stringify(user));
+    }
+  }
+
+  clearSession() {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+    localStorage.removeItem('user');
+  }
+
+  async login(email, password) {
+    const response = await this.client.post('/auth/login', { email, password });
+    this.storeSession(response.data);
+    return { token: response.data.accessToken, user: response.data.user };
+  }
+
+  /**
+   * Exchange the stored refresh token for a new session. Concurrent 401s
+   * share one refresh so the rotated token is not used twice.
+   */
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.client
+        .post('/auth/refresh', { refreshToken: localStorage.getItem('refresh_token') })
+        .then((response) => {
+          this.storeSession(response.data);
+          return response.data;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
   }
 
   async getCurrentUser() {
@@ -77,9 +158,44 @@ export class ApiClient {
     return response.data.user;
   }
 
-  logout() {
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('user');
+  async logout() {
+    const refreshToken = localStorage.getItem('refresh_token');
+    this.clearSession();
+    if (refreshToken) {
+      try {
+        await this.client.post('/auth/logout', { refreshToken });
+      } catch (error) {
+        console.warn('Failed to revoke session:', error);
+      }
+    }
+  }
+
+  async acceptInvite(token, password, name) {
+    const response = await this.client.post('/auth/invites/accept', { token, password, name });
+    this.storeSession(response.data);
+    return response.data.user;
+  }
+
+  async requestPasswordReset(email) {
+    const response = await this.client.post('/auth/password/forgot', { email });
+    return response.data.message;
+  }
+
+  async resetPassword(token, password) {
+    const response = await this.client.post('/auth/password/reset', { token, password });
+    return response.data.user;
+  }
+
+  async getSsoProviders() {
+    const response = await this.client.get('/auth/sso/providers');
+    return response.data.providers;
+  }
+
+  /**
+   * Full-page URL that starts an SSO login (the API redirects to the IdP)
+   */
+  getSsoLoginUrl(providerName) {
+    return `${API_BASE_URL}/auth/sso/${encodeURIComponent(providerName)}/start`;
   }
 
   /**
@@ -190,8 +306,9 @@ export class ApiClient {
       const response = await this.client.put(`/journeys/${id}`, journeyData);
       return response.data;
     } catch (error) {
-      // Handle 409 Conflict for optimistic locking
-      if (error.response?.status === 409) {
+      // Handle 409 Conflict for optimistic locking (status transition
+      // conflicts also use 409 but carry no version)
+      if (error.response?.status === 409 && error.response.data?.currentVersion !== undefined) {
         const { currentVersion, submittedVersion, journey } = error.response.data;
         throw new ConflictError(
           'The journey has been modified by another user. Please review the changes and try again.',
@@ -204,8 +321,10 @@ export class ApiClient {
     }
   }
 
-  async updateJourneyStatus(id, status) {
-    const response = await this.client.put(`/journeys/${id}/status`, { status });
+  async updateJourneyStatus(id, status, reason) {
+    // 409 responses carry { message, allowedTransitions } when the move is not allowed;
+    // 202 means the decision was recorded but the approval policy needs more sign-offs
+    const response = await this.client.put(`/journeys/${id}/status`, { status, reason });
     return response.data;
   }
 
@@ -228,6 +347,127 @@ export class ApiClient {
     return response.data;
   }
 
+  async getJourneyVersion(id, version) {
+    const response = await this.client.get(`/journeys/${id}/versions/${version}`);
+    return response.data;
+  }
+
+  async getApprovals(journeyId) {
+    const response = await this.client.get(`/journeys/${journeyId}/approvals`);
+    return response.data;
+  }
+
+  async requestApproval(journeyId, comments) {
+    return this.updateJourneyStatus(journeyId, 'client_review', comments);
+  }
+
+  /**
+   * Record the current user's decision; the journey moves once the client's
+   * approval policy is satisfied. Returns { journey, approval, outcome }.
+   */
+  async decideApproval(journeyId, decision, comments) {
+    const response = await this.client.post(`/journeys/${journeyId}/approvals/decisions`, { decision, comments });
+    return response.data;
+  }
+
+  async approveJourney(journeyId, comments) {
+    return this.decideApproval(journeyId, 'approved', comments);
+  }
+
+  async rejectJourney(journeyId, comments) {
+    return this.decideApproval(journeyId, 'rejected', comments);
+  }
+
+  async getJourneyVersionDiff(id, { from, to, format } = {}) {
+    // from: version number or 'approved' (default); to: version number or 'current' (default)
+    const params = new URLSearchParams();
+    if (from !== undefined) params.set('from', from);
+    if (to !== undefined) params.set('to', to);
+    if (format) params.set('format', format);
+    const query = params.toString();
+    const response = await this.client.get(`/journeys/${id}/versions/diff${query ? `?${query}` : ''}`, {
+      // html/markdown come back as text
+      responseType: format && format !== 'json' ? 'text' : 'json'
+    });
+    return response.data;
+  }
+
+  async restoreJourneyVersion(id, version) {
+    // Returns { journey, restoredFrom, backupVersion, version }
+    const response = await this.client.post(`/journeys/${id}/versions/${version}/restore`);
+    return response.data;
+  }
+
+  async getJourneyGraph(id) {
+    const response = await this.client.get(`/journeys/${id}/graph`);
+    return response.data;
+  }
+
+  async saveJourneyGraph(id, edges) {
+    // edges: [{ sourceId, targetId, branch, label, condition }, ...]
+    const response = await this.client.put(`/journeys/${id}/graph`, { edges });
+    return response.data;
+  }
+
+  async createReviewLink(id) {
+    // Returns { url, token, expiresAt } for /journeys/:id/client-review
+    const response = await this.client.post(`/journeys/${id}/review-link`);
+    return response.data;
+  }
+
+  async validateJourney(id) {
+    const response = await this.client.post(`/journeys/${id}/validate`);
+    return response.data;
+  }
+
+  /**
+   * Sync conflicts the sync engine recorded between journeys and GHL
+   */
+  async getSyncConflicts({ journeyId, clientId, status } = {}) {
+    // Returns { conflicts, counts: { byStatus, bySeverity, byType } }
+    const params = new URLSearchParams();
+    if (journeyId) params.append('journeyId', journeyId);
+    if (clientId) params.append('clientId', clientId);
+    if (status) params.append('status', status);
+    const response = await this.client.get(`/sync-conflicts?${params}`);
+    return response.data;
+  }
+
+  async getSyncConflict(id) {
+    const response = await this.client.get(`/sync-conflicts/${id}`);
+    return response.data;
+  }
+
+  async resolveSyncConflict(id, resolution, fields) {
+    // resolution: ours, theirs or merge; fields maps each diff field to ours/theirs for merge
+    const response = await this.client.post(`/sync-conflicts/${id}/resolve`, { resolution, fields });
+    return response.data;
+  }
+
+  /**
+   * Deploy plans written by `ghl-sync deploy --plan-out`, for sign-off
+   */
+  async getDeployPlans({ journeyId, clientId, status } = {}) {
+    // Returns { plans } without their operations
+    const params = new URLSearchParams();
+    if (journeyId) params.append('journeyId', journeyId);
+    if (clientId) params.append('clientId', clientId);
+    if (status) params.append('status', status);
+    const response = await this.client.get(`/deploy-plans?${params}`);
+    return response.data;
+  }
+
+  async getDeployPlan(id) {
+    const response = await this.client.get(`/deploy-plans/${id}`);
+    return response.data;
+  }
+
+  async reviewDeployPlan(id, decision, note) {
+    // decision: approved or rejected
+    const response = await this.client.post(`/deploy-plans/${id}/review`, { decision, note });
+    return response.data;
+  }
+
   /**
    * Touchpoints
    */
@@ -449,6 +689,116 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Live analytics stream: analytics events, webhook deliveries and trigger
+   * executions as they land. Server-Sent Events are read with fetch so the
+   * Authorization header can be sent; the stream reconnects on its own and
+   * resumes from the last event it saw.
+   * @param {Object} params - { clientId, journeyId, types }
+   * @param {Object} handlers - { onEvent(event), onStatus(status, error) }
+   * @returns {Function} Close the stream
+   */
+  streamLiveEvents(params = {}, { onEvent, onStatus } = {}) {
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryMs = LIVE_STREAM_RETRY_MS;
+    let retryTimer = null;
+
+    const connect = async (refreshed = false) => {
+      onStatus?.('connecting');
+      try {
+        const headers = { Accept: 'text/event-stream' };
+        const token = localStorage.getItem('auth_token');
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+        const response = await fetch(`${API_BASE_URL}/analytics/stream?${liveStreamQuery(params)}`, {
+          headers,
+          signal: controller.signal
+        });
+        if (response.status === 401 && !refreshed && localStorage.getItem('refresh_token')) {
+          await this.refreshSession();
+          return connect(true);
+        }
+        if (!response.ok) {
+          const body = await response.json().catch(() => ({}));
+          throw new Error(body.message || body.error || `Live stream failed (${response.status})`);
+        }
+
+        onStatus?.('open');
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += value;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          for (const message of messages) {
+            const parsed = parseServerSentEvent(message);
+            if (parsed.retry) retryMs = parsed.retry;
+            if (parsed.id) lastEventId = parsed.id;
+            if (parsed.data) onEvent?.(JSON.parse(parsed.data));
+          }
+        }
+        throw new Error('Live stream closed');
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        onStatus?.('reconnecting', error);
+        retryTimer = setTimeout(() => connect(), retryMs);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }
+
+  /**
+   * WebSocket variant of streamLiveEvents() with the same handlers
+   * @returns {Function} Close the socket
+   */
+  openLiveEventSocket(params = {}, { onEvent, onStatus } = {}) {
+    let socket = null;
+    let lastEventId = null;
+    let retryTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      onStatus?.('connecting');
+      const query = liveStreamQuery({ ...params, lastEventId });
+      const url = new URL(`${API_BASE_URL}/analytics/stream/ws?${query}`, window.location.href);
+      url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+      socket = new WebSocket(url, ['bearer', localStorage.getItem('auth_token') || '']);
+      socket.onopen = () => onStatus?.('open');
+      socket.onmessage = (message) => {
+        const event = JSON.parse(message.data);
+        lastEventId = event.id;
+        onEvent?.(event);
+      };
+      socket.onclose = async (event) => {
+        if (closed) return;
+        onStatus?.('reconnecting');
+        // 4001: the server's periodic token check failed
+        if (event.code === LIVE_SOCKET_UNAUTHORIZED && localStorage.getItem('refresh_token')) {
+          await this.refreshSession().catch(() => {});
+          if (closed) return;
+        }
+        retryTimer = setTimeout(connect, LIVE_STREAM_RETRY_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    };
+  }
+
   async trackEvent(eventData) {
     const response = await this.client.post('/analytics/events', eventData);
     return response.data;
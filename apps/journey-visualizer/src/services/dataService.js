@@ -184,12 +184,12 @@ class DataService {
     }
   }
 
-  async updateJourneyStatus(id, status) {
+  async updateJourneyStatus(id, status, reason) {
     await this.initialize();
 
     switch (this.source) {
       case DATA_SOURCES.API:
-        return this.apiClient.updateJourneyStatus(id, status);
+        return this.apiClient.updateJourneyStatus(id, status, reason);
 
       case DATA_SOURCES.LOCAL:
         return updateLocalJourney(id, { status });
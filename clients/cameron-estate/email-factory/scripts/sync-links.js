@@ -21,7 +21,7 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
+const GHL_BASE_URL = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
 
 /**
  * GHL API Client for Links
@@ -6,7 +6,7 @@ export class GHLEmailTemplatesV2 {
   constructor(apiKey, locationId) {
     this.apiKey = apiKey;
     this.locationId = locationId;
-    this.baseUrl = GHL_BASE_URL;
+    this.baseUrl = process.env.GHL_BASE_URL || GHL_BASE_URL;
     this.rateLimitDelay = 250;
   }
 
@@ -22,6 +22,8 @@ class GHLClient {
   constructor(apiKey, locationId) {
     this.apiKey = apiKey;
     this.locationId = locationId;
+    // Read at construction so GHL_BASE_URL from .env (e.g. the GHL simulator) applies
+    this.baseUrl = process.env.GHL_BASE_URL || GHL_BASE_URL;
     this.headers = {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
@@ -31,7 +33,7 @@ class GHLClient {
   }
 
   async request(method, endpoint, data = null) {
-    const url = `${GHL_BASE_URL}${endpoint}`;
+    const url = `${this.baseUrl}${endpoint}`;
     
     // Rate limiting
     await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
@@ -0,0 +1,20 @@
+-- Workflow Execution Queue Migration
+-- Durable job queue columns so a worker can claim and step through executions
+
+ALTER TABLE "workflow_executions"
+    ADD COLUMN "scheduled_for" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN "current_step" INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN "retry_count" INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN "max_retries" INTEGER NOT NULL DEFAULT 3,
+    ADD COLUMN "locked_at" TIMESTAMP(3),
+    ADD COLUMN "locked_by" TEXT;
+
+-- Executions created before the queue existed were never picked up;
+-- leave them for manual review rather than running stale workflows.
+UPDATE "workflow_executions"
+    SET "status" = 'cancelled', "error" = 'Created before workflow queue was enabled'
+    WHERE "status" IN ('pending', 'running');
+
+-- Worker claim query: due pending rows, oldest first
+CREATE INDEX "workflow_executions_status_scheduled_for_idx" ON "workflow_executions"("status", "scheduled_for");
+CREATE INDEX "workflow_executions_locked_at_idx" ON "workflow_executions"("locked_at");
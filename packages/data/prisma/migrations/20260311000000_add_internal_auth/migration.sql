@@ -0,0 +1,56 @@
+-- Internal Authentication Migration
+-- Passwords, invite-only accounts, refresh tokens and SSO identities for internal users
+
+ALTER TABLE "users"
+    ADD COLUMN "status" TEXT NOT NULL DEFAULT 'invited',
+    ADD COLUMN "password_hash" TEXT,
+    ADD COLUMN "sso_provider" TEXT,
+    ADD COLUMN "sso_subject" TEXT,
+    ADD COLUMN "invited_by_id" TEXT,
+    ADD COLUMN "last_login_at" TIMESTAMP(3);
+
+-- Users created by the old passwordless login stay active; they set a
+-- password through the reset flow or sign in with SSO.
+UPDATE "users" SET "status" = 'active';
+
+CREATE UNIQUE INDEX "users_sso_provider_sso_subject_key" ON "users"("sso_provider", "sso_subject");
+
+-- CreateTable
+CREATE TABLE "refresh_tokens" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "replaced_by_id" TEXT,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_auth_tokens" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_auth_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_hash_key" ON "refresh_tokens"("token_hash");
+CREATE INDEX "refresh_tokens_user_id_idx" ON "refresh_tokens"("user_id");
+CREATE INDEX "refresh_tokens_expires_at_idx" ON "refresh_tokens"("expires_at");
+CREATE UNIQUE INDEX "user_auth_tokens_token_hash_key" ON "user_auth_tokens"("token_hash");
+CREATE INDEX "user_auth_tokens_user_id_purpose_idx" ON "user_auth_tokens"("user_id", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "user_auth_tokens" ADD CONSTRAINT "user_auth_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- Audit Log Migration
+-- Records denied access attempts and other security-relevant events
+
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "client_id" TEXT,
+    "action" TEXT NOT NULL,
+    "resource_type" TEXT,
+    "resource_id" TEXT,
+    "details" JSONB NOT NULL DEFAULT '{}',
+    "ip_address" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_user_id_created_at_idx" ON "audit_logs"("user_id", "created_at");
+CREATE INDEX "audit_logs_client_id_created_at_idx" ON "audit_logs"("client_id", "created_at");
+CREATE INDEX "audit_logs_action_created_at_idx" ON "audit_logs"("action", "created_at");
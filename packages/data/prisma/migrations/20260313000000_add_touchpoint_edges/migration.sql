@@ -0,0 +1,62 @@
+-- Touchpoint Edges Migration
+-- Persisted journey graph: links between touchpoints, including condition branches
+
+-- CreateTable
+CREATE TABLE "touchpoint_edges" (
+    "id" TEXT NOT NULL,
+    "journey_id" TEXT NOT NULL,
+    "source_id" TEXT NOT NULL,
+    "target_id" TEXT NOT NULL,
+    "branch" TEXT NOT NULL DEFAULT 'default',
+    "label" TEXT,
+    "condition" TEXT,
+    "order_index" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "touchpoint_edges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "touchpoint_edges_source_id_branch_key" ON "touchpoint_edges"("source_id", "branch");
+CREATE INDEX "touchpoint_edges_journey_id_idx" ON "touchpoint_edges"("journey_id");
+CREATE INDEX "touchpoint_edges_target_id_idx" ON "touchpoint_edges"("target_id");
+
+-- AddForeignKey
+ALTER TABLE "touchpoint_edges" ADD CONSTRAINT "touchpoint_edges_journey_id_fkey" FOREIGN KEY ("journey_id") REFERENCES "journeys"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "touchpoint_edges" ADD CONSTRAINT "touchpoint_edges_source_id_fkey" FOREIGN KEY ("source_id") REFERENCES "touchpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "touchpoint_edges" ADD CONSTRAINT "touchpoint_edges_target_id_fkey" FOREIGN KEY ("target_id") REFERENCES "touchpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Carry over the existing links the way journey-graph.js (deriveLinearEdges)
+-- infers them for journeys without stored edges: follow next_touchpoint_id
+-- when it points into the same journey, otherwise link to the next
+-- touchpoint by order_index. Self-links are dropped.
+WITH ordered AS (
+  SELECT tp."id",
+         tp."journey_id",
+         tp."next_touchpoint_id",
+         LEAD(tp."id") OVER (PARTITION BY tp."journey_id" ORDER BY tp."order_index", tp."id") AS next_by_order,
+         ROW_NUMBER() OVER (PARTITION BY tp."journey_id" ORDER BY tp."order_index", tp."id") AS seq
+  FROM "touchpoints" tp
+),
+links AS (
+  SELECT ordered."journey_id",
+         ordered."id" AS source_id,
+         COALESCE(explicit."id", ordered.next_by_order) AS target_id,
+         ordered.seq
+  FROM ordered
+  LEFT JOIN "touchpoints" explicit
+    ON explicit."id" = ordered."next_touchpoint_id"
+   AND explicit."journey_id" = ordered."journey_id"
+)
+INSERT INTO "touchpoint_edges" ("id", "journey_id", "source_id", "target_id", "branch", "order_index", "updated_at")
+SELECT gen_random_uuid()::text,
+       links."journey_id",
+       links.source_id,
+       links.target_id,
+       'default',
+       ROW_NUMBER() OVER (PARTITION BY links."journey_id" ORDER BY links.seq) - 1,
+       CURRENT_TIMESTAMP
+FROM links
+WHERE links.target_id IS NOT NULL
+  AND links.target_id <> links.source_id;
@@ -0,0 +1,27 @@
+-- Approval Decisions Migration
+-- Per-approver decisions for multi-approver policies (Client.settings.approvalPolicy)
+
+-- AlterTable
+ALTER TABLE "approvals" ADD COLUMN "policy" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "approval_decisions" (
+    "id" TEXT NOT NULL,
+    "approval_id" TEXT NOT NULL,
+    "approver_id" TEXT,
+    "approver_email" TEXT NOT NULL,
+    "role" TEXT,
+    "decision" TEXT NOT NULL,
+    "comments" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "approval_decisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "approval_decisions_approval_id_approver_email_key" ON "approval_decisions"("approval_id", "approver_email");
+CREATE INDEX "approval_decisions_approval_id_idx" ON "approval_decisions"("approval_id");
+
+-- AddForeignKey
+ALTER TABLE "approval_decisions" ADD CONSTRAINT "approval_decisions_approval_id_fkey" FOREIGN KEY ("approval_id") REFERENCES "approvals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
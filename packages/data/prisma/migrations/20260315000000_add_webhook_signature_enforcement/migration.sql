@@ -0,0 +1,29 @@
+-- Webhook Signature Enforcement Migration
+-- Per-config signature modes, replay window and eventId deduplication for inbound GHL webhooks
+
+-- AlterTable
+ALTER TABLE "webhook_configs" ADD COLUMN "signature_mode" TEXT NOT NULL DEFAULT 'log_only',
+ADD COLUMN "timestamp_tolerance_sec" INTEGER NOT NULL DEFAULT 300,
+ADD COLUMN "rejected_deliveries" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "webhook_deliveries" ADD COLUMN "signature_error" TEXT,
+ADD COLUMN "duplicate_of" TEXT;
+
+-- CreateTable
+CREATE TABLE "webhook_event_receipts" (
+    "id" TEXT NOT NULL,
+    "config_id" TEXT NOT NULL,
+    "event_id" TEXT NOT NULL,
+    "delivery_id" TEXT NOT NULL,
+    "received_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "webhook_event_receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_event_receipts_config_id_event_id_key" ON "webhook_event_receipts"("config_id", "event_id");
+CREATE INDEX "webhook_event_receipts_received_at_idx" ON "webhook_event_receipts"("received_at");
+
+-- AddForeignKey
+ALTER TABLE "webhook_event_receipts" ADD CONSTRAINT "webhook_event_receipts_config_id_fkey" FOREIGN KEY ("config_id") REFERENCES "webhook_configs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
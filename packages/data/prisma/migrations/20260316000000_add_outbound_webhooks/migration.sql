@@ -0,0 +1,59 @@
+-- Outbound Webhooks Migration
+-- Partner subscriptions to journey-api events and their delivery log
+
+-- CreateTable
+CREATE TABLE "outbound_webhooks" (
+    "id" TEXT NOT NULL,
+    "client_id" TEXT,
+    "name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "events" JSONB NOT NULL DEFAULT '[]',
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "max_retries" INTEGER NOT NULL DEFAULT 5,
+    "timeout_ms" INTEGER NOT NULL DEFAULT 10000,
+    "created_by" TEXT,
+    "last_success_at" TIMESTAMP(3),
+    "last_failure_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "outbound_webhooks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "outbound_webhook_deliveries" (
+    "id" TEXT NOT NULL,
+    "subscription_id" TEXT NOT NULL,
+    "client_id" TEXT,
+    "event_id" TEXT NOT NULL,
+    "event_type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_attempt_at" TIMESTAMP(3),
+    "delivered_at" TIMESTAMP(3),
+    "redelivery_of" TEXT,
+    "response_status" INTEGER,
+    "response_body" TEXT,
+    "error_message" TEXT,
+    "duration_ms" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "outbound_webhook_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "outbound_webhooks_client_id_idx" ON "outbound_webhooks"("client_id");
+CREATE INDEX "outbound_webhooks_status_idx" ON "outbound_webhooks"("status");
+CREATE INDEX "outbound_webhook_deliveries_subscription_id_created_at_idx" ON "outbound_webhook_deliveries"("subscription_id", "created_at");
+CREATE INDEX "outbound_webhook_deliveries_status_next_attempt_at_idx" ON "outbound_webhook_deliveries"("status", "next_attempt_at");
+CREATE INDEX "outbound_webhook_deliveries_event_id_idx" ON "outbound_webhook_deliveries"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "outbound_webhooks" ADD CONSTRAINT "outbound_webhooks_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "outbound_webhook_deliveries" ADD CONSTRAINT "outbound_webhook_deliveries_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "outbound_webhooks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
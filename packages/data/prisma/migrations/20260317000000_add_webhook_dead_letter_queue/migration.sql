@@ -0,0 +1,18 @@
+-- Webhook Dead-Letter Queue Migration
+-- Per-config retry policy, dead-lettering of exhausted deliveries and replay tracking
+
+-- AlterTable
+ALTER TABLE "webhook_configs" ADD COLUMN "retry_backoff" TEXT NOT NULL DEFAULT 'exponential',
+ADD COLUMN "max_retry_delay_ms" INTEGER NOT NULL DEFAULT 3600000;
+
+-- AlterTable
+ALTER TABLE "webhook_deliveries" ADD COLUMN "dead_lettered_at" TIMESTAMP(3),
+ADD COLUMN "replay_of" TEXT,
+ADD COLUMN "replayed_by" TEXT,
+ADD COLUMN "payload_edited" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing failed deliveries were never retried; they start in the dead-letter queue
+UPDATE "webhook_deliveries" SET "dead_lettered_at" = "updated_at" WHERE "status" = 'failed';
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_status_next_retry_at_idx" ON "webhook_deliveries"("status", "next_retry_at");
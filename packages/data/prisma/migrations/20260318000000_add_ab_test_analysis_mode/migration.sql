@@ -0,0 +1,6 @@
+-- A/B Test Analysis Mode Migration
+-- Per-test choice of fixed-horizon, Bayesian or sequential analysis
+
+-- AlterTable
+ALTER TABLE "journey_ab_tests" ADD COLUMN "analysis_mode" TEXT NOT NULL DEFAULT 'fixed',
+ADD COLUMN "analysis_config" JSONB NOT NULL DEFAULT '{}';
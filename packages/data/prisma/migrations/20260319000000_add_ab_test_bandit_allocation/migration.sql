@@ -0,0 +1,28 @@
+-- A/B Test Bandit Allocation Migration
+-- Optional Thompson sampling / epsilon-greedy traffic reweighting and an audit log of every reallocation
+
+-- AlterTable
+ALTER TABLE "journey_ab_tests" ADD COLUMN "allocation_mode" TEXT NOT NULL DEFAULT 'fixed',
+ADD COLUMN "allocation_config" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN "last_reallocated_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ab_test_allocations" (
+    "id" TEXT NOT NULL,
+    "test_id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "previous" JSONB NOT NULL,
+    "allocation" JSONB NOT NULL,
+    "observed" JSONB NOT NULL DEFAULT '{}',
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ab_test_allocations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ab_test_allocations_test_id_created_at_idx" ON "ab_test_allocations"("test_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "ab_test_allocations" ADD CONSTRAINT "ab_test_allocations_test_id_fkey" FOREIGN KEY ("test_id") REFERENCES "journey_ab_tests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
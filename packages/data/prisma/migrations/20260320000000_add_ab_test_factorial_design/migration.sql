@@ -0,0 +1,10 @@
+-- A/B Test Factorial Design Migration
+-- Full and fractional factorial tests: the test's factors and each variant's level of every factor
+
+-- AlterTable
+ALTER TABLE "journey_ab_tests" ADD COLUMN "design" TEXT NOT NULL DEFAULT 'ab',
+ADD COLUMN "factors" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN "factor_generators" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "journey_ab_test_variants" ADD COLUMN "factor_levels" JSONB;
@@ -0,0 +1,33 @@
+-- Journey Holdouts Migration
+-- Per-journey holdout percentage and the group and attributed conversion of each contact
+
+-- AlterTable
+ALTER TABLE "journeys" ADD COLUMN "holdout_percentage" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN "holdout_config" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "journey_holdout_assignments" (
+    "id" TEXT NOT NULL,
+    "journey_id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "group" TEXT NOT NULL,
+    "assigned_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "converted_at" TIMESTAMP(3),
+    "conversion_source" TEXT,
+    "conversion_ref" TEXT,
+
+    CONSTRAINT "journey_holdout_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "journey_holdout_assignments_journey_id_contact_id_key" ON "journey_holdout_assignments"("journey_id", "contact_id");
+
+-- CreateIndex
+CREATE INDEX "journey_holdout_assignments_journey_id_group_assigned_at_idx" ON "journey_holdout_assignments"("journey_id", "group", "assigned_at");
+
+-- CreateIndex
+CREATE INDEX "journey_holdout_assignments_client_id_idx" ON "journey_holdout_assignments"("client_id");
+
+-- AddForeignKey
+ALTER TABLE "journey_holdout_assignments" ADD CONSTRAINT "journey_holdout_assignments_journey_id_fkey" FOREIGN KEY ("journey_id") REFERENCES "journeys"("id") ON DELETE CASCADE ON UPDATE CASCADE;
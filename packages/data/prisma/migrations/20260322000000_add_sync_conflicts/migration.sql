@@ -0,0 +1,37 @@
+-- Sync Conflicts Migration
+-- Conflicts between journeys and their GHL workflows, with both snapshots, a field-level diff and resolution state
+
+-- CreateTable
+CREATE TABLE "sync_conflicts" (
+    "id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "journey_id" TEXT NOT NULL,
+    "ghl_workflow_id" TEXT,
+    "type" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "details" JSONB,
+    "bloom_snapshot" JSONB NOT NULL,
+    "ghl_snapshot" JSONB,
+    "diff" JSONB NOT NULL DEFAULT '[]',
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolution" TEXT,
+    "field_resolutions" JSONB,
+    "resolved_snapshot" JSONB,
+    "resolved_by" TEXT,
+    "resolved_at" TIMESTAMP(3),
+    "applied_at" TIMESTAMP(3),
+    "detected_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sync_conflicts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sync_conflicts_client_id_status_idx" ON "sync_conflicts"("client_id", "status");
+
+-- CreateIndex
+CREATE INDEX "sync_conflicts_journey_id_status_idx" ON "sync_conflicts"("journey_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "sync_conflicts" ADD CONSTRAINT "sync_conflicts_journey_id_fkey" FOREIGN KEY ("journey_id") REFERENCES "journeys"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- Deploy Plans Migration
+-- GHL template operations saved by `ghl-sync deploy --plan-out`, with their sign-off and apply state
+
+-- CreateTable
+CREATE TABLE "deploy_plans" (
+    "id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "client_slug" TEXT NOT NULL,
+    "journey_id" TEXT NOT NULL,
+    "plan" JSONB NOT NULL,
+    "plan_hash" TEXT NOT NULL,
+    "summary" JSONB NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "created_by" TEXT,
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "review_note" TEXT,
+    "applied_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "deploy_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "deploy_plans_client_id_status_idx" ON "deploy_plans"("client_id", "status");
+
+-- CreateIndex
+CREATE INDEX "deploy_plans_journey_id_status_idx" ON "deploy_plans"("journey_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "deploy_plans" ADD CONSTRAINT "deploy_plans_journey_id_fkey" FOREIGN KEY ("journey_id") REFERENCES "journeys"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,141 @@
+/**
+ * Sync Conflict Diff
+ * Field-level diff between the workflow Bloom would push and the workflow
+ * found in GHL, and the merge of the two from per-field choices.
+ *
+ * Used by the sync engine (conflict detection) and journey-api (conflict
+ * resolution) as `@bloom/data/conflict-diff`.
+ */
+
+/**
+ * Which side of a conflict wins, for the whole conflict or one field
+ */
+export const ConflictSide = {
+  OURS: 'ours',     // Bloom
+  THEIRS: 'theirs'  // GHL
+};
+
+// Workflow fields compared one by one; steps are compared per step
+export const WORKFLOW_FIELDS = ['name', 'description', 'status'];
+
+const STEP_FIELD_PREFIX = 'steps.';
+
+/**
+ * Key a step by its ID, falling back to its position for steps GHL
+ * created without one
+ */
+function stepKey(step, index) {
+  return step.id || `#${index}`;
+}
+
+/**
+ * The parts of a step Bloom writes, so fields GHL adds don't count as changes
+ */
+function comparableStep(step) {
+  return {
+    type: step.type,
+    name: step.name ?? null,
+    order: step.order ?? null,
+    data: step.data ?? {}
+  };
+}
+
+/**
+ * JSON with object keys sorted, so equal values compare equal
+ */
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function stepsByKey(steps = []) {
+  return new Map(steps.map((step, index) => [stepKey(step, index), step]));
+}
+
+/**
+ * Diff two workflow snapshots field by field
+ *
+ * @param {Object} bloom - Workflow as Bloom would push it
+ * @param {Object} ghl - Workflow as it is in GHL
+ * @returns {Array<{ field: string, bloom: *, ghl: * }>} One entry per differing
+ *   field; steps are `steps.<stepId>`, with null for a step only one side has
+ */
+export function diffWorkflows(bloom = {}, ghl = {}) {
+  const diff = [];
+
+  for (const field of WORKFLOW_FIELDS) {
+    const ours = bloom[field] ?? null;
+    const theirs = ghl[field] ?? null;
+    if (canonical(ours) !== canonical(theirs)) {
+      diff.push({ field, bloom: ours, ghl: theirs });
+    }
+  }
+
+  const bloomSteps = stepsByKey(bloom.steps);
+  const ghlSteps = stepsByKey(ghl.steps);
+  const keys = [...bloomSteps.keys(), ...[...ghlSteps.keys()].filter(key => !bloomSteps.has(key))];
+
+  for (const key of keys) {
+    const ours = bloomSteps.has(key) ? comparableStep(bloomSteps.get(key)) : null;
+    const theirs = ghlSteps.has(key) ? comparableStep(ghlSteps.get(key)) : null;
+    if (canonical(ours) !== canonical(theirs)) {
+      diff.push({ field: `${STEP_FIELD_PREFIX}${key}`, bloom: ours, ghl: theirs });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Build the workflow to push from per-field choices. Fields without a
+ * choice keep Bloom's value.
+ *
+ * @param {Object} bloom - Workflow as Bloom would push it
+ * @param {Object} ghl - Workflow as it is in GHL
+ * @param {Object<string, string>} choices - field -> ConflictSide
+ * @returns {Object} Merged workflow
+ */
+export function mergeWorkflows(bloom = {}, ghl = {}, choices = {}) {
+  const merged = { ...bloom };
+  const theirs = (field) => choices[field] === ConflictSide.THEIRS;
+
+  for (const field of WORKFLOW_FIELDS) {
+    if (theirs(field)) {
+      merged[field] = ghl[field] ?? null;
+    }
+  }
+
+  const bloomSteps = stepsByKey(bloom.steps);
+  const ghlSteps = stepsByKey(ghl.steps);
+  const steps = [];
+
+  for (const [key, step] of bloomSteps) {
+    if (!theirs(`${STEP_FIELD_PREFIX}${key}`)) {
+      steps.push(step);
+    } else if (ghlSteps.has(key)) {
+      steps.push(ghlSteps.get(key));
+    }
+  }
+  for (const [key, step] of ghlSteps) {
+    if (!bloomSteps.has(key) && theirs(`${STEP_FIELD_PREFIX}${key}`)) {
+      steps.push(step);
+    }
+  }
+
+  merged.steps = steps
+    .map((step, index) => ({ step, index }))
+    .sort((a, b) => (a.step.order ?? a.index) - (b.step.order ?? b.index) || a.index - b.index)
+    .map(({ step }) => step);
+
+  return merged;
+}
+
+export default {
+  diffWorkflows,
+  mergeWorkflows
+};
@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for the Sync Conflict Diff
+ * @vitest-environment node
+ */
+import { describe, it, expect } from 'vitest';
+import { diffWorkflows, mergeWorkflows } from './conflict-diff.js';
+
+const step = (id, order, body) => ({ id, order, type: 'email', name: `Step ${id}`, data: { subject: 'Hi', body } });
+
+const bloom = {
+  name: 'Welcome',
+  description: 'Greets new leads',
+  status: 'active',
+  settings: { journeyId: 'j1', journeyVersion: 3 },
+  steps: [step('step_a', 0, 'Hello'), step('step_b', 1, 'Still there?')]
+};
+
+const ghl = {
+  id: 'wf-1',
+  name: 'Welcome (edited in GHL)',
+  description: 'Greets new leads',
+  status: 'active',
+  updatedAt: '2026-03-22T10:00:00Z',
+  steps: [
+    { ...step('step_a', 0, 'Hello'), createdAt: '2026-03-01' },
+    step('step_b', 1, 'Are you still there?'),
+    step('step_ghl', 2, 'Added in GHL')
+  ]
+};
+
+describe('conflict-diff', () => {
+  it('lists differing fields and steps, ignoring fields only GHL keeps', () => {
+    const diff = diffWorkflows(bloom, ghl);
+
+    expect(diff.map(entry => entry.field)).toEqual(['name', 'steps.step_b', 'steps.step_ghl']);
+    expect(diff[0]).toEqual({ field: 'name', bloom: 'Welcome', ghl: 'Welcome (edited in GHL)' });
+    expect(diff[2].bloom).toBeNull();
+  });
+
+  it('merges per field, keeping ours where no choice is made', () => {
+    const merged = mergeWorkflows(bloom, ghl, { name: 'theirs', 'steps.step_ghl': 'theirs' });
+
+    expect(merged.name).toBe('Welcome (edited in GHL)');
+    expect(merged.settings).toEqual(bloom.settings);
+    expect(merged.steps.map(s => s.id)).toEqual(['step_a', 'step_b', 'step_ghl']);
+    expect(merged.steps[1].data.body).toBe('Still there?');
+    expect(diffWorkflows(merged, ghl).map(entry => entry.field)).toEqual(['steps.step_b']);
+  });
+});
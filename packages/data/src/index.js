@@ -0,0 +1,14 @@
+/**
+ * @bloom/data
+ * The Prisma client generated from the canonical schema, plus repository
+ * functions shared by journey-api and the sync engine. Repositories take
+ * the client (or a transaction client) as their first argument, so callers
+ * keep owning their connection and transactions.
+ */
+
+export { PrismaClient, Prisma } from '@prisma/client';
+
+export * as journeys from './repositories/journeys.js';
+export * as touchpoints from './repositories/touchpoints.js';
+export * as templates from './repositories/templates.js';
+export * as syncHistory from './repositories/sync-history.js';
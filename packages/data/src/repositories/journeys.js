@@ -0,0 +1,108 @@
+/**
+ * Journey Repository
+ * Journeys loaded with their graph: touchpoints in order and the edges
+ * between them.
+ */
+
+/** @typedef {import('../types.js').Db} Db */
+/** @typedef {import('../types.js').JourneyWithGraph} JourneyWithGraph */
+
+export const journeyGraphInclude = {
+  client: true,
+  pipeline: true,
+  touchpoints: { orderBy: { orderIndex: 'asc' } },
+  edges: { orderBy: [{ sourceId: 'asc' }, { orderIndex: 'asc' }] }
+};
+
+/**
+ * Journeys with their graph, most recently updated first
+ * @param {Db} db
+ * @param {Object} [filters]
+ * @param {string} [filters.clientId]
+ * @param {string} [filters.status] - e.g. published
+ * @param {Date} [filters.updatedSince] - Journeys, touchpoints or edges changed at or after this time
+ * @returns {Promise<JourneyWithGraph[]>}
+ */
+export function findJourneys(db, { clientId, status, updatedSince } = {}) {
+  return db.journey.findMany({
+    where: {
+      ...(clientId && { clientId }),
+      ...(status && { status }),
+      ...(updatedSince && {
+        OR: [
+          { updatedAt: { gte: updatedSince } },
+          { touchpoints: { some: { updatedAt: { gte: updatedSince } } } },
+          { edges: { some: { updatedAt: { gte: updatedSince } } } }
+        ]
+      })
+    },
+    orderBy: { updatedAt: 'desc' },
+    include: journeyGraphInclude
+  });
+}
+
+/**
+ * Journeys that are no longer published but still have a GHL workflow
+ * (metadata.ghlWorkflowId), without their graph
+ * @param {Db} db
+ * @param {Object} [filters]
+ * @param {string} [filters.clientId]
+ * @returns {Promise<import('@prisma/client').Journey[]>}
+ */
+export async function findUnpublishedJourneysInGhl(db, { clientId } = {}) {
+  const rows = await db.journey.findMany({
+    where: {
+      status: { not: 'published' },
+      ...(clientId && { clientId })
+    },
+    select: { id: true, name: true, clientId: true, status: true, version: true, metadata: true, updatedAt: true }
+  });
+
+  // metadata is free-form JSON, so the workflow id is checked here
+  return rows.filter(journey => journey.metadata?.ghlWorkflowId);
+}
+
+/**
+ * @param {Db} db
+ * @param {string} journeyId
+ * @returns {Promise<JourneyWithGraph|null>}
+ */
+export function findJourneyById(db, journeyId) {
+  return db.journey.findUnique({
+    where: { id: journeyId },
+    include: journeyGraphInclude
+  });
+}
+
+/**
+ * @param {Db} db
+ * @param {string} journeyId
+ * @param {import('@prisma/client').Prisma.JourneyUpdateInput} data
+ * @returns {Promise<import('@prisma/client').Journey>}
+ */
+export function updateJourney(db, journeyId, data) {
+  return db.journey.update({
+    where: { id: journeyId },
+    data
+  });
+}
+
+/**
+ * Set keys in Journey.metadata, keeping the others (tags, ghlWorkflowId, ...)
+ * @param {Db} db
+ * @param {string} journeyId
+ * @param {Object} metadata - Keys to set
+ * @param {import('@prisma/client').Prisma.JourneyUpdateInput} [data] - Other columns to update alongside
+ * @returns {Promise<import('@prisma/client').Journey>}
+ */
+export async function mergeJourneyMetadata(db, journeyId, metadata, data = {}) {
+  const journey = await db.journey.findUnique({
+    where: { id: journeyId },
+    select: { metadata: true }
+  });
+
+  return db.journey.update({
+    where: { id: journeyId },
+    data: { ...data, metadata: { ...(journey?.metadata || {}), ...metadata } }
+  });
+}
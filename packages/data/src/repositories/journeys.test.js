@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for the Journey Repository
+ * @vitest-environment node
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { findJourneys, findUnpublishedJourneysInGhl, mergeJourneyMetadata } from './journeys.js';
+
+describe('journeys repository', () => {
+  it('only filters on the given fields', async () => {
+    const db = { journey: { findMany: vi.fn().mockResolvedValue([]) } };
+
+    await findJourneys(db, { status: 'published' });
+
+    expect(db.journey.findMany.mock.calls[0][0].where).toEqual({ status: 'published' });
+  });
+
+  it('matches journeys whose touchpoints or edges changed since a time', async () => {
+    const db = { journey: { findMany: vi.fn().mockResolvedValue([]) } };
+    const since = new Date('2026-10-01T00:00:00Z');
+
+    await findJourneys(db, { status: 'published', updatedSince: since });
+
+    expect(db.journey.findMany.mock.calls[0][0].where.OR).toEqual([
+      { updatedAt: { gte: since } },
+      { touchpoints: { some: { updatedAt: { gte: since } } } },
+      { edges: { some: { updatedAt: { gte: since } } } }
+    ]);
+  });
+
+  it('finds unpublished journeys that still have a GHL workflow', async () => {
+    const db = {
+      journey: {
+        findMany: vi.fn().mockResolvedValue([
+          { id: 'j1', status: 'archived', metadata: { ghlWorkflowId: 'wf-1' } },
+          { id: 'j2', status: 'draft', metadata: { tags: [] } },
+          { id: 'j3', status: 'draft', metadata: null }
+        ])
+      }
+    };
+
+    const rows = await findUnpublishedJourneysInGhl(db, { clientId: 'c1' });
+
+    expect(rows.map(row => row.id)).toEqual(['j1']);
+    expect(db.journey.findMany.mock.calls[0][0].where).toEqual({ status: { not: 'published' }, clientId: 'c1' });
+  });
+
+  it('merges metadata instead of replacing it', async () => {
+    const db = {
+      journey: {
+        findUnique: vi.fn().mockResolvedValue({ metadata: { tags: ['welcome'], ghlWorkflowId: 'wf-old' } }),
+        update: vi.fn().mockResolvedValue({})
+      }
+    };
+
+    await mergeJourneyMetadata(db, 'j1', { ghlWorkflowId: 'wf-new' }, { status: 'published' });
+
+    expect(db.journey.update).toHaveBeenCalledWith({
+      where: { id: 'j1' },
+      data: { status: 'published', metadata: { tags: ['welcome'], ghlWorkflowId: 'wf-new' } }
+    });
+  });
+});
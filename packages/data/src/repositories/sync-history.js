@@ -0,0 +1,45 @@
+/**
+ * Sync History Repository
+ * One SyncHistory row per sync operation. Journey syncs keep the journey
+ * and GHL workflow in metadata ({ journeyId, ghlWorkflowId, duration }).
+ */
+
+/** @typedef {import('../types.js').Db} Db */
+/** @typedef {import('@prisma/client').SyncHistory} SyncHistory */
+
+/**
+ * @param {Db} db
+ * @param {Object} entry
+ * @param {string} [entry.clientId]
+ * @param {string} entry.operation - e.g. Create, Update, Skip
+ * @param {string} entry.status - success or failed
+ * @param {number} [entry.itemsSynced]
+ * @param {string} [entry.errors]
+ * @param {Object} [entry.metadata]
+ * @returns {Promise<SyncHistory>}
+ */
+export function recordSync(db, { clientId, operation, status, itemsSynced = 1, errors = null, metadata = {} }) {
+  return db.syncHistory.create({
+    data: { clientId, operation, status, itemsSynced, errors, metadata }
+  });
+}
+
+/**
+ * Latest sync history, optionally for one client or journey
+ * @param {Db} db
+ * @param {Object} [filters]
+ * @param {string} [filters.clientId]
+ * @param {string} [filters.journeyId]
+ * @param {number} [filters.limit]
+ * @returns {Promise<SyncHistory[]>}
+ */
+export function findSyncHistory(db, { clientId, journeyId, limit = 20 } = {}) {
+  return db.syncHistory.findMany({
+    where: {
+      ...(clientId && { clientId }),
+      ...(journeyId && { metadata: { path: ['journeyId'], equals: journeyId } })
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * Template Repository
+ * Email and SMS templates, and their sync state with GHL
+ */
+
+/** @typedef {import('../types.js').Db} Db */
+/** @typedef {import('@prisma/client').Template} Template */
+
+/**
+ * @param {Db} db
+ * @param {Object} [filters]
+ * @param {string} [filters.clientId]
+ * @param {string} [filters.type] - email or sms
+ * @param {string} [filters.status]
+ * @returns {Promise<Template[]>}
+ */
+export function findTemplates(db, { clientId, type, status } = {}) {
+  return db.template.findMany({
+    where: {
+      ...(clientId && { clientId }),
+      ...(type && { type }),
+      ...(status && { status })
+    },
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * @param {Db} db
+ * @param {string} ghlTemplateId
+ * @returns {Promise<Template|null>}
+ */
+export function findTemplateByGhlId(db, ghlTemplateId) {
+  return db.template.findUnique({ where: { ghlTemplateId } });
+}
+
+/**
+ * Create or update the template for a GHL template
+ * @param {Db} db
+ * @param {string} ghlTemplateId
+ * @param {Object} data - clientId, name, type, content, variables, status
+ * @returns {Promise<Template>}
+ */
+export function upsertTemplateByGhlId(db, ghlTemplateId, data) {
+  return db.template.upsert({
+    where: { ghlTemplateId },
+    create: { ...data, ghlTemplateId },
+    update: data
+  });
+}
+
+/**
+ * Record a template push to GHL
+ * @param {Db} db
+ * @param {string} templateId
+ * @param {Object} sync
+ * @param {string} [sync.ghlTemplateId] - Set when GHL created the template
+ * @param {string} [sync.syncStatus] - synced or failed
+ * @param {Date} [sync.now]
+ * @returns {Promise<Template>}
+ */
+export function markTemplateSynced(db, templateId, { ghlTemplateId, syncStatus = 'synced', now = new Date() } = {}) {
+  return db.template.update({
+    where: { id: templateId },
+    data: {
+      ...(ghlTemplateId && { ghlTemplateId }),
+      syncStatus,
+      lastSynced: now
+    }
+  });
+}
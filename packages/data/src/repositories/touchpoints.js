@@ -0,0 +1,54 @@
+/**
+ * Touchpoint Repository
+ */
+
+/** @typedef {import('../types.js').Db} Db */
+/** @typedef {import('@prisma/client').Touchpoint} Touchpoint */
+
+/**
+ * A journey's touchpoints in order
+ * @param {Db} db
+ * @param {string} journeyId
+ * @returns {Promise<Touchpoint[]>}
+ */
+export function findTouchpoints(db, journeyId) {
+  return db.touchpoint.findMany({
+    where: { journeyId },
+    orderBy: { orderIndex: 'asc' }
+  });
+}
+
+/**
+ * @param {Db} db
+ * @param {string} touchpointId
+ * @returns {Promise<Touchpoint|null>}
+ */
+export function findTouchpointById(db, touchpointId) {
+  return db.touchpoint.findUnique({ where: { id: touchpointId } });
+}
+
+/**
+ * Touchpoints using a GHL template, across journeys
+ * @param {Db} db
+ * @param {string} ghlTemplateId
+ * @returns {Promise<Touchpoint[]>}
+ */
+export function findTouchpointsByTemplate(db, ghlTemplateId) {
+  return db.touchpoint.findMany({
+    where: { ghlTemplateId },
+    orderBy: [{ journeyId: 'asc' }, { orderIndex: 'asc' }]
+  });
+}
+
+/**
+ * @param {Db} db
+ * @param {string} touchpointId
+ * @param {import('@prisma/client').Prisma.TouchpointUpdateInput} data
+ * @returns {Promise<Touchpoint>}
+ */
+export function updateTouchpoint(db, touchpointId, data) {
+  return db.touchpoint.update({
+    where: { id: touchpointId },
+    data
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Shared JSDoc types for the repositories
+ */
+
+/**
+ * A Prisma client or the client passed to a $transaction callback
+ * @typedef {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} Db
+ */
+
+/**
+ * Journey with its client, pipeline, touchpoints and edges
+ * @typedef {import('@prisma/client').Journey & {
+ *   client: import('@prisma/client').Client,
+ *   pipeline: import('@prisma/client').Pipeline | null,
+ *   touchpoints: import('@prisma/client').Touchpoint[],
+ *   edges: import('@prisma/client').TouchpointEdge[]
+ * }} JourneyWithGraph
+ */
+
+export {};
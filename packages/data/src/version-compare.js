@@ -1,6 +1,9 @@
 /**
  * Version Comparison Engine
  * Provides diff functionality for comparing touchpoint versions
+ *
+ * Used by journey-api (version diffs) and the sync engine (sync and deploy
+ * previews) as `@bloom/data/version-compare`.
  */
 
 /**
@@ -182,6 +185,20 @@ function generateSummary(changes) {
   };
 }
 
+/**
+ * Touchpoint fields compared word by word
+ */
+export const TOUCHPOINT_FIELDS = [
+  'name', 'type', 'content.subject', 'content.body', 'content.previewText', 'content.message',
+  'content.condition', 'content.duration', 'delay', 'delayUnit', 'config.delay', 'config.delayUnit',
+  'config.condition'
+];
+
+/**
+ * Journey fields compared word by word
+ */
+export const JOURNEY_FIELDS = ['name', 'description', 'category', 'goal'];
+
 /**
  * Compare two touchpoint objects
  * @param {Object} oldTouchpoint - Old touchpoint
@@ -189,20 +206,13 @@ function generateSummary(changes) {
  * @returns {Object} Detailed comparison
  */
 export function compareTouchpoints(oldTouchpoint, newTouchpoint) {
-  const fields = ['name', 'type', 'content.subject', 'content.body', 'content.previewText', 'delay', 'delayUnit'];
-  const fieldComparisons = {};
-  
-  fields.forEach(field => {
-    const oldValue = getNestedValue(oldTouchpoint, field);
-    const newValue = getNestedValue(newTouchpoint, field);
-    
-    fieldComparisons[field] = compareVersions(oldValue, newValue);
-  });
+  const fieldComparisons = compareFields(oldTouchpoint, newTouchpoint, TOUCHPOINT_FIELDS);
   
   const hasChanges = Object.values(fieldComparisons).some(f => f.type !== DIFF_TYPE.UNCHANGED);
   
   return {
     touchpointId: newTouchpoint.id || oldTouchpoint.id,
+    name: newTouchpoint.name || oldTouchpoint.name,
     hasChanges,
     fields: fieldComparisons,
     oldVersion: oldTouchpoint.version,
@@ -210,6 +220,74 @@ export function compareTouchpoints(oldTouchpoint, newTouchpoint) {
   };
 }
 
+/**
+ * Compare a list of fields between two objects
+ */
+function compareFields(oldObject, newObject, fields) {
+  const comparisons = {};
+  
+  fields.forEach(field => {
+    const oldValue = toText(getNestedValue(oldObject, field));
+    const newValue = toText(getNestedValue(newObject, field));
+    
+    comparisons[field] = compareVersions(oldValue, newValue);
+  });
+  
+  return comparisons;
+}
+
+/**
+ * Diffable text for a field value (numbers and objects included)
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+const positionOf = (touchpoint) => touchpoint.orderIndex ?? touchpoint.order ?? 0;
+
+/**
+ * Touchpoints kept in both versions that moved relative to each other.
+ * The longest run still in the old order stays put; everything else moved.
+ */
+function findReorderedTouchpoints(oldTouchpoints, newTouchpoints) {
+  const newIds = new Set(newTouchpoints.map(tp => tp.id));
+  const oldIds = new Set(oldTouchpoints.map(tp => tp.id));
+  const oldOrder = [...oldTouchpoints].filter(tp => newIds.has(tp.id)).sort((a, b) => positionOf(a) - positionOf(b));
+  const newOrder = [...newTouchpoints].filter(tp => oldIds.has(tp.id)).sort((a, b) => positionOf(a) - positionOf(b));
+  const oldIndex = new Map(oldOrder.map((tp, index) => [tp.id, index]));
+  const sequence = newOrder.map(tp => oldIndex.get(tp.id));
+  
+  // Longest increasing subsequence of old positions
+  const lengths = sequence.map(() => 1);
+  const previous = sequence.map(() => -1);
+  for (let i = 0; i < sequence.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (sequence[j] < sequence[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+  
+  const stable = new Set();
+  let index = lengths.indexOf(Math.max(0, ...lengths));
+  while (index !== -1) {
+    stable.add(index);
+    index = previous[index];
+  }
+  
+  return newOrder
+    .map((tp, position) => ({ tp, position }))
+    .filter(({ position }) => !stable.has(position))
+    .map(({ tp, position }) => ({
+      touchpointId: tp.id,
+      name: tp.name,
+      oldPosition: oldIndex.get(tp.id) + 1,
+      newPosition: position + 1
+    }));
+}
+
 /**
  * Compare entire journeys
  * @param {Object} oldJourney - Old journey
@@ -246,18 +324,27 @@ export function compareJourneys(oldJourney, newJourney) {
     }
   });
   
+  const journeyFields = compareFields(oldJourney, newJourney, JOURNEY_FIELDS);
+  const changedFields = Object.keys(journeyFields).filter(field => journeyFields[field].type !== DIFF_TYPE.UNCHANGED);
+  const reorderedTouchpoints = findReorderedTouchpoints(oldTouchpoints, newTouchpoints);
+  
   return {
     journeyId: newJourney.id || oldJourney.id,
     oldVersion: oldJourney.version,
     newVersion: newJourney.version,
-    hasChanges: touchpointComparisons.length > 0 || addedTouchpoints.length > 0 || removedTouchpoints.length > 0,
+    hasChanges: touchpointComparisons.length > 0 || addedTouchpoints.length > 0 || removedTouchpoints.length > 0 ||
+      changedFields.length > 0 || reorderedTouchpoints.length > 0,
+    journeyFields,
     modifiedTouchpoints: touchpointComparisons,
     addedTouchpoints,
     removedTouchpoints,
+    reorderedTouchpoints,
     summary: {
+      fieldsChanged: changedFields.length,
       modified: touchpointComparisons.length,
       added: addedTouchpoints.length,
       removed: removedTouchpoints.length,
+      reordered: reorderedTouchpoints.length,
       total: newTouchpoints.length
     }
   };
@@ -398,10 +485,10 @@ function getNestedValue(obj, path) {
 function escapeHtml(text) {
   if (!text) return '';
   return text
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>')
-    .replace(/"/g, '"')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
     .replace(/'/g, '&#039;');
 }
 
@@ -545,27 +632,70 @@ export function exportComparison(comparison, format = 'json') {
 }
 
 /**
- * Generate full HTML comparison document
+ * Changed fields of a field comparison map
  */
-function generateComparisonHtml(comparison) {
-  const touchpointDiffs = comparison.modifiedTouchpoints.map(tp => {
-    const fieldDiffs = Object.entries(tp.fields)
-      .filter(([_, diff]) => diff.type !== DIFF_TYPE.UNCHANGED)
-      .map(([field, diff]) => `
+function changedFieldEntries(fields = {}) {
+  return Object.entries(fields).filter(([_, diff]) => diff.type !== DIFF_TYPE.UNCHANGED);
+}
+
+/**
+ * Generate an HTML fragment describing a journey comparison
+ * @param {Object} comparison - Result of compareJourneys
+ * @returns {string} HTML without a document wrapper
+ */
+export function generateComparisonFragment(comparison) {
+  const fieldDiffs = (fields) => changedFieldEntries(fields).map(([field, diff]) => `
         <div class="field-diff">
-          <h4>${field}</h4>
-          ${generateHtmlDiff(diff.changes)}
+          <h4>${escapeHtml(field)}</h4>
+          ${generateHtmlDiff(diff.changes, { inline: true })}
         </div>
       `).join('');
-    
-    return `
+
+  const touchpointList = (title, touchpoints) => touchpoints.length === 0 ? '' : `
+    <div class="touchpoint-list">
+      <h3>${title}</h3>
+      <ul>${touchpoints.map(tp => `<li>${escapeHtml(tp.name || tp.id)}${tp.type ? ` (${escapeHtml(tp.type)})` : ''}</li>`).join('')}</ul>
+    </div>
+  `;
+
+  const journeyDiffs = fieldDiffs(comparison.journeyFields);
+
+  const touchpointDiffs = comparison.modifiedTouchpoints.map(tp => `
       <div class="touchpoint-diff">
-        <h3>${tp.touchpointId}</h3>
-        ${fieldDiffs}
+        <h3>${escapeHtml(tp.name || tp.touchpointId)}</h3>
+        ${fieldDiffs(tp.fields)}
       </div>
-    `;
-  }).join('');
-  
+    `).join('');
+
+  const reordered = (comparison.reorderedTouchpoints || []).length === 0 ? '' : `
+    <div class="touchpoint-list">
+      <h3>Reordered</h3>
+      <ul>${comparison.reorderedTouchpoints.map(tp => `<li>${escapeHtml(tp.name || tp.touchpointId)}: position ${tp.oldPosition} &rarr; ${tp.newPosition}</li>`).join('')}</ul>
+    </div>
+  `;
+
+  return `
+  <div class="comparison-summary">
+    <p>Comparing version ${escapeHtml(String(comparison.oldVersion))} to ${escapeHtml(String(comparison.newVersion))}</p>
+    <ul>
+      <li>${comparison.summary.fieldsChanged || 0} journey fields changed</li>
+      <li>${comparison.summary.modified} modified</li>
+      <li>${comparison.summary.added} added</li>
+      <li>${comparison.summary.removed} removed</li>
+      <li>${comparison.summary.reordered || 0} reordered</li>
+    </ul>
+  </div>
+  ${journeyDiffs ? `<div class="journey-diff"><h3>Journey</h3>${journeyDiffs}</div>` : ''}
+  ${touchpointList('Added', comparison.addedTouchpoints)}
+  ${touchpointList('Removed', comparison.removedTouchpoints)}
+  ${reordered}
+  ${touchpointDiffs}`;
+}
+
+/**
+ * Generate full HTML comparison document
+ */
+function generateComparisonHtml(comparison) {
   return `
 <!DOCTYPE html>
 <html>
@@ -575,19 +705,28 @@ function generateComparisonHtml(comparison) {
 </head>
 <body>
   <h1>Version Comparison</h1>
-  <div class="comparison-summary">
-    <p>Comparing version ${comparison.oldVersion} to ${comparison.newVersion}</p>
-    <ul>
-      <li>${comparison.summary.modified} modified</li>
-      <li>${comparison.summary.added} added</li>
-      <li>${comparison.summary.removed} removed</li>
-    </ul>
-  </div>
-  ${touchpointDiffs}
+  ${generateComparisonFragment(comparison)}
 </body>
 </html>`;
 }
 
+/**
+ * Markdown lines for a set of field diffs
+ */
+function fieldDiffsMarkdown(fields) {
+  let md = '';
+  changedFieldEntries(fields).forEach(([field, diff]) => {
+    md += `**${field}**:\n\n`;
+    diff.changes.forEach(change => {
+      const prefix = change.type === DIFF_TYPE.ADDED ? '+ ' :
+                     change.type === DIFF_TYPE.REMOVED ? '- ' : '  ';
+      md += `${prefix}${change.value}\n`;
+    });
+    md += '\n';
+  });
+  return md;
+}
+
 /**
  * Generate markdown comparison
  */
@@ -595,23 +734,40 @@ function generateComparisonMarkdown(comparison) {
   let md = `# Version Comparison\n\n`;
   md += `Comparing version ${comparison.oldVersion} to ${comparison.newVersion}\n\n`;
   md += `## Summary\n\n`;
+  md += `- Journey fields changed: ${comparison.summary.fieldsChanged || 0}\n`;
   md += `- Modified: ${comparison.summary.modified}\n`;
   md += `- Added: ${comparison.summary.added}\n`;
-  md += `- Removed: ${comparison.summary.removed}\n\n`;
+  md += `- Removed: ${comparison.summary.removed}\n`;
+  md += `- Reordered: ${comparison.summary.reordered || 0}\n\n`;
+  
+  if (changedFieldEntries(comparison.journeyFields).length > 0) {
+    md += `## Journey\n\n`;
+    md += fieldDiffsMarkdown(comparison.journeyFields);
+  }
+  
+  if (comparison.addedTouchpoints.length > 0) {
+    md += `## Added\n\n`;
+    comparison.addedTouchpoints.forEach(tp => { md += `- ${tp.name || tp.id}\n`; });
+    md += '\n';
+  }
+  
+  if (comparison.removedTouchpoints.length > 0) {
+    md += `## Removed\n\n`;
+    comparison.removedTouchpoints.forEach(tp => { md += `- ${tp.name || tp.id}\n`; });
+    md += '\n';
+  }
+  
+  if ((comparison.reorderedTouchpoints || []).length > 0) {
+    md += `## Reordered\n\n`;
+    comparison.reorderedTouchpoints.forEach(tp => {
+      md += `- ${tp.name || tp.touchpointId}: position ${tp.oldPosition} → ${tp.newPosition}\n`;
+    });
+    md += '\n';
+  }
   
   comparison.modifiedTouchpoints.forEach(tp => {
-    md += `### ${tp.touchpointId}\n\n`;
-    Object.entries(tp.fields)
-      .filter(([_, diff]) => diff.type !== DIFF_TYPE.UNCHANGED)
-      .forEach(([field, diff]) => {
-        md += `**${field}**:\n\n`;
-        diff.changes.forEach(change => {
-          const prefix = change.type === DIFF_TYPE.ADDED ? '+ ' :
-                         change.type === DIFF_TYPE.REMOVED ? '- ' : '  ';
-          md += `${prefix}${change.value}\n`;
-        });
-        md += '\n';
-      });
+    md += `### ${tp.name || tp.touchpointId}\n\n`;
+    md += fieldDiffsMarkdown(tp.fields);
   });
   
   return md;
@@ -626,5 +782,8 @@ export default {
   generateSideBySideDiff,
   generateUnifiedDiff,
   exportComparison,
+  generateComparisonFragment,
+  TOUCHPOINT_FIELDS,
+  JOURNEY_FIELDS,
   diffStyles
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for the Version Comparison Engine
+ * Journey field diffs, added/removed/reordered touchpoints and exports
+ * @vitest-environment node
+ */
+import { describe, it, expect } from 'vitest';
+import { compareJourneys, exportComparison, DIFF_TYPE } from './version-compare.js';
+
+const touchpoint = (id, orderIndex, content = {}) => ({
+  id,
+  name: `Touchpoint ${id}`,
+  type: 'email',
+  orderIndex,
+  content: { subject: `Subject ${id}`, body: 'Hello there', ...content },
+  config: {}
+});
+
+const oldJourney = {
+  version: 1,
+  name: 'Welcome Series',
+  description: 'Greets new leads',
+  touchpoints: [touchpoint('a', 0), touchpoint('b', 1), touchpoint('c', 2), touchpoint('d', 3)]
+};
+
+describe('compareJourneys', () => {
+  it('reports journey field and touchpoint changes word by word', () => {
+    const comparison = compareJourneys(oldJourney, {
+      ...oldJourney,
+      version: 2,
+      description: 'Greets new wedding leads',
+      touchpoints: [
+        touchpoint('a', 0, { body: 'Hello there, friend' }),
+        touchpoint('b', 1),
+        touchpoint('c', 2),
+        touchpoint('e', 3)
+      ]
+    });
+
+    expect(comparison.summary).toEqual({
+      fieldsChanged: 1,
+      modified: 1,
+      added: 1,
+      removed: 1,
+      reordered: 0,
+      total: 4
+    });
+    expect(comparison.journeyFields.description.changes).toContainEqual({ type: DIFF_TYPE.ADDED, value: ' wedding' });
+    expect(comparison.modifiedTouchpoints[0]).toMatchObject({ touchpointId: 'a', name: 'Touchpoint a' });
+    expect(comparison.addedTouchpoints.map(tp => tp.id)).toEqual(['e']);
+    expect(comparison.removedTouchpoints.map(tp => tp.id)).toEqual(['d']);
+  });
+
+  it('lists only the touchpoints that moved', () => {
+    const comparison = compareJourneys(oldJourney, {
+      ...oldJourney,
+      touchpoints: [touchpoint('d', 0), touchpoint('a', 1), touchpoint('b', 2), touchpoint('c', 3)]
+    });
+
+    expect(comparison.hasChanges).toBe(true);
+    expect(comparison.reorderedTouchpoints).toEqual([
+      { touchpointId: 'd', name: 'Touchpoint d', oldPosition: 4, newPosition: 1 }
+    ]);
+  });
+
+  it('exports markdown and escaped HTML', () => {
+    const comparison = compareJourneys(oldJourney, {
+      ...oldJourney,
+      touchpoints: [touchpoint('a', 0, { subject: 'Hi <b>there</b>' }), ...oldJourney.touchpoints.slice(1)]
+    });
+
+    const markdown = exportComparison(comparison, 'markdown');
+    expect(markdown).toContain('### Touchpoint a');
+    expect(markdown).toContain('**content.subject**');
+
+    const html = exportComparison(comparison, 'html');
+    expect(html).toContain('&lt;b&gt;');
+    expect(html).not.toContain('<b>there</b>');
+  });
+
+  it('escapes journey fields in HTML output', () => {
+    const comparison = compareJourneys(
+      { version: 1, name: 'Welcome', touchpoints: [] },
+      { version: 2, name: 'Welcome <script>', touchpoints: [] }
+    );
+
+    const html = exportComparison(comparison, 'html');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+});
@@ -14,7 +14,9 @@ import { fileURLToPath } from 'url';
 
 import syncOrchestration from './services/sync.js';
 import ghlService from './services/ghl.js';
-import conflictDetector from './utils/conflict.js';
+import databaseService from './services/database.js';
+import journeyApiService from './services/journey-api.js';
+import conflictDetector, { ConflictType } from './utils/conflict.js';
 import logger from './utils/logger.js';
 import { scaffoldClientJourneyBuilder } from './journey-builder/scaffold.js';
 import { KnowledgeHub } from './services/knowledge-hub.js';
@@ -50,6 +52,9 @@ program
   .option('--dry-run', 'Show what would be synced without making changes')
   .option('--client <clientId>', 'Sync only for specific client')
   .option('--journey <journeyId>', 'Sync only specific journey')
+  .option('--since <time>', 'Only consider journeys changed since a duration ago (24h, 7d) or a date')
+  .option('--full', 'Push every journey, even ones unchanged since the last sync')
+  .option('--plan', 'Print the sync plan and exit without applying it')
   .action(async (options) => {
     console.log(chalk.cyan('\n╔════════════════════════════════════════════════╗'));
     console.log(chalk.cyan('║      Bloom to GHL Sync Engine                 ║'));
@@ -59,6 +64,12 @@ program
       // Initialize sync
       await syncOrchestration.initialize(options);
 
+      if (options.plan) {
+        printSyncPlan(await syncOrchestration.plan());
+        await syncOrchestration.cleanup();
+        process.exit(0);
+      }
+
       // Test connections
       console.log(chalk.cyan('\nTesting connections...\n'));
 
@@ -77,7 +88,7 @@ program
         console.log(chalk.yellow('\n⚠ DRY RUN MODE - No changes will be made\n'));
       }
 
-      const result = await syncOrchestration.execute();
+      const result = await syncOrchestration.execute({ onPlan: printSyncPlan });
 
       if (result.success) {
         console.log(chalk.green('\n✓ Sync completed successfully!\n'));
@@ -102,6 +113,34 @@ program
     }
   });
 
+// Helper to print a sync plan: one line per journey, then its touchpoint changes
+function printSyncPlan(plan) {
+  const colors = { create: chalk.green, update: chalk.yellow, delete: chalk.red, noop: chalk.gray };
+  const symbols = { create: '+', update: '~', delete: '-', noop: '=' };
+
+  console.log(chalk.cyan('\nSync plan') + chalk.gray(plan.since ? ` (changed since ${plan.since})` : ''));
+
+  if (plan.journeys.length === 0) {
+    console.log(chalk.gray('  No journeys to plan.\n'));
+    return;
+  }
+
+  for (const entry of plan.journeys) {
+    const color = colors[entry.action];
+    console.log(color(`  ${symbols[entry.action]} ${entry.name}`) + chalk.gray(` [${entry.action}] ${entry.reason}`));
+
+    if (entry.action === 'noop') continue;
+    for (const touchpoint of entry.touchpoints.filter(tp => tp.action !== 'noop')) {
+      console.log(colors[touchpoint.action](`      ${symbols[touchpoint.action]} ${touchpoint.name || touchpoint.id}`) +
+        chalk.gray(touchpoint.type ? ` (${touchpoint.type})` : ''));
+    }
+  }
+
+  const { journeys, touchpoints } = plan.summary;
+  console.log(chalk.gray(`\n  Journeys: ${journeys.create} to create, ${journeys.update} to update, ${journeys.delete} to delete, ${journeys.noop} unchanged`));
+  console.log(chalk.gray(`  Touchpoints: ${touchpoints.create} added, ${touchpoints.update} changed, ${touchpoints.delete} removed, ${touchpoints.noop} unchanged\n`));
+}
+
 // Show sync history
 program
   .command('history')
@@ -149,15 +188,30 @@ program
 // Show conflicts
 program
   .command('conflicts')
-  .description('Show current conflicts')
-  .action(async () => {
+  .description('Show sync conflicts recorded in journey-api')
+  .option('--status <status>', 'open, resolved or applied', 'open')
+  .option('--client <clientId>', 'Only this client')
+  .option('--journey <journeyId>', 'Only this journey')
+  .action(async (options) => {
     console.log(chalk.cyan('\n╔════════════════════════════════════════════════╗'));
     console.log(chalk.cyan('║           Conflict Report                      ║'));
     console.log(chalk.cyan('╚════════════════════════════════════════════════╝\n'));
 
-    const report = conflictDetector.generateReport();
-    
-    console.log(`Total Conflicts: ${report.totalConflicts}`);
+    let result;
+    try {
+      result = await journeyApiService.listSyncConflicts({
+        status: options.status,
+        clientId: options.client,
+        journeyId: options.journey
+      });
+    } catch (error) {
+      console.log(chalk.red('Error fetching conflicts: ' + error.message));
+      process.exit(1);
+    }
+
+    const report = conflictDetector.generateReport(result.conflicts);
+
+    console.log(`Total Conflicts: ${report.totalConflicts} (${options.status})`);
     console.log(`Resolved: ${report.resolved}`);
     console.log(`Unresolved: ${report.unresolved}\n`);
 
@@ -174,11 +228,18 @@ program
     if (report.conflicts && report.conflicts.length > 0) {
       console.log('Conflicts:');
       report.conflicts.forEach((conflict, index) => {
-        console.log(`\n${index + 1}. ${conflict.journeyName}`);
+        console.log(`\n${index + 1}. ${conflict.journey?.name || conflict.journeyId}`);
+        console.log(`   ID: ${conflict.id}`);
         console.log(`   Type: ${conflict.type}`);
         console.log(`   Message: ${conflict.message}`);
         console.log(`   Severity: ${conflict.severity}`);
-        console.log(`   Resolution: ${conflict.resolution}`);
+        console.log(`   Status: ${conflict.status}${conflict.resolution ? ` (${conflict.resolution})` : ''}`);
+        (conflict.diff || []).forEach(entry => {
+          console.log(chalk.gray(`   ~ ${entry.field}`));
+        });
+        if (conflict.type === ConflictType.EXTERNAL_MODIFICATION && conflict.status === 'open') {
+          console.log(chalk.gray(`   To review the GHL edits in Bloom: ghl-sync import ${conflict.journeyId}`));
+        }
       });
     }
   });
@@ -186,29 +247,95 @@ program
 // Resolve conflict
 program
   .command('resolve')
-  .description('Resolve a conflict')
+  .description('Resolve a sync conflict; the next sync applies it')
   .argument('<conflictId>', 'Conflict ID to resolve')
-  .option('--overwrite', 'Overwrite GHL with Bloom data')
-  .option('--skip', 'Skip this sync')
-  .option('--merge', 'Merge changes')
+  .option('--ours', 'Push the Bloom workflow over GHL')
+  .option('--theirs', 'Keep the GHL workflow as it is')
+  .option('--merge', 'Choose per field with --field')
+  .option('--field <field=side...>', 'For --merge: a diff field and ours or theirs, e.g. name=theirs')
+  .option('--overwrite', 'Same as --ours')
+  .option('--skip', 'Same as --theirs')
   .action(async (conflictId, options) => {
     console.log(chalk.cyan(`\nResolving conflict: ${conflictId}\n`));
 
     let resolution;
-    if (options.overwrite) resolution = 'overwrite';
-    else if (options.skip) resolution = 'skip';
+    if (options.ours || options.overwrite) resolution = 'ours';
+    else if (options.theirs || options.skip) resolution = 'theirs';
     else if (options.merge) resolution = 'merge';
     else {
-      console.log(chalk.yellow('Please specify resolution: --overwrite, --skip, or --merge'));
+      console.log(chalk.yellow('Please specify resolution: --ours, --theirs, or --merge'));
       process.exit(1);
     }
 
-    const result = conflictDetector.resolveConflict(conflictId, resolution);
-    
-    if (result) {
-      console.log(chalk.green(`✓ Conflict resolved with: ${resolution}`));
-    } else {
-      console.log(chalk.red('Conflict not found'));
+    try {
+      let fields;
+      if (resolution === 'merge') {
+        fields = Object.fromEntries((options.field || []).map(choice => {
+          const separator = choice.lastIndexOf('=');
+          return [choice.slice(0, separator), choice.slice(separator + 1)];
+        }));
+
+        const conflict = await journeyApiService.getSyncConflict(conflictId);
+        const missing = (conflict.diff || []).filter(entry => !fields[entry.field]);
+        if (missing.length > 0) {
+          console.log(chalk.yellow('Choose ours or theirs for each differing field:'));
+          missing.forEach(entry => {
+            console.log(`  --field ${entry.field}=ours|theirs`);
+            console.log(chalk.gray(`      ours:   ${JSON.stringify(entry.bloom)}`));
+            console.log(chalk.gray(`      theirs: ${JSON.stringify(entry.ghl)}`));
+          });
+          process.exit(1);
+        }
+      }
+
+      const result = await journeyApiService.resolveSyncConflict(conflictId, { resolution, fields });
+      console.log(chalk.green(`✓ Conflict resolved with: ${result.resolution}`));
+      console.log(chalk.gray('  The next sync of this journey applies it.'));
+    } catch (error) {
+      console.log(chalk.red(`Failed to resolve conflict: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Import GHL edits as a draft version
+program
+  .command('import')
+  .description('Pull edits made in GHL back into a journey as a draft version for review')
+  .argument('<journeyId>', 'Journey to import its GHL workflow into')
+  .option('--dry-run', 'Show what would change without saving a version')
+  .action(async (journeyId, options) => {
+    console.log(chalk.cyan(`\nImporting GHL workflow for journey: ${journeyId}\n`));
+
+    try {
+      await syncOrchestration.initialize({ dryRun: options.dryRun, journey: journeyId });
+      const result = await syncOrchestration.importFromGHL(journeyId, { dryRun: options.dryRun });
+      const { summary, journeyFields } = result.comparison;
+
+      const changedFields = Object.keys(journeyFields).filter(field => journeyFields[field].type !== 'unchanged');
+      if (changedFields.length > 0) {
+        console.log(`Journey fields: ${changedFields.join(', ')}`);
+      }
+      console.log(`Touchpoints: ${summary.added} added, ${summary.modified} modified, ${summary.removed} removed, ${summary.reordered} reordered`);
+      result.comparison.addedTouchpoints.forEach(tp => console.log(chalk.green(`  + ${tp.name} (${tp.type})`)));
+      result.comparison.modifiedTouchpoints.forEach(tp => console.log(chalk.yellow(`  ~ ${tp.name}`)));
+      result.comparison.removedTouchpoints.forEach(tp => console.log(chalk.red(`  - ${tp.name}`)));
+      if (result.edgesChanged) {
+        console.log('Branches and links changed');
+      }
+
+      if (result.version) {
+        console.log(chalk.green(`\n✓ Saved as draft version ${result.version}`));
+        console.log(chalk.gray('  Review it in the version history and restore it to accept the edits.\n'));
+      } else if (options.dryRun) {
+        console.log(chalk.yellow('\n⚠ DRY RUN MODE - No version saved\n'));
+      } else {
+        console.log(chalk.gray('\nThe GHL workflow matches the journey; nothing to import.\n'));
+      }
+
+      await syncOrchestration.cleanup();
+    } catch (error) {
+      console.log(chalk.red(`Failed to import GHL workflow: ${error.message}`));
+      process.exit(1);
     }
   });
 
@@ -1102,34 +1229,68 @@ program
   .command('deploy')
   .description('Deploy journey to GoHighLevel')
   .requiredOption('--client <slug>', 'Client folder slug')
-  .requiredOption('--journey <journeyId>', 'Journey ID to deploy')
+  .option('--journey <journeyId>', 'Journey ID to deploy (not needed with --apply)')
   .option('--dry-run', 'Run without making changes', false)
   .option('--skip-validation', 'Skip pre-deployment validation', false)
-  .option('--skip-approval-check', 'Skip approval status check', false)
+  .option('--skip-approval-check', 'Skip approval status check (and plan sign-off with --apply; the plan is still verified and marked applied)', false)
+  .option('--plan-out <file>', 'Write the GHL operations to a plan file for sign-off instead of deploying')
+  .option('--apply <file>', 'Apply a signed-off plan file exactly as written')
   .action(async (options) => {
     console.log(chalk.cyan('\n╔════════════════════════════════════════════════╗'));
     console.log(chalk.cyan('║      Journey Deployment                        ║'));
     console.log(chalk.cyan('╚════════════════════════════════════════════════╝\n'));
 
     try {
-      const { DeployPipeline } = await import('./services/deploy-pipeline.js');
+      const { DeployPipeline, toDeployTouchpoints } = await import('./services/deploy-pipeline.js');
       
       const pipeline = new DeployPipeline(options.client);
       await pipeline.initialize();
 
-      // TODO: Load journey from PostgreSQL API
-      throw new Error('deploy command requires API integration — use the Bloom app to deploy journeys');
+      let result;
 
-      console.log(`Touchpoints: ${touchpoints.length}`);
-      if (options.dryRun) {
-        console.log(chalk.yellow('\n⚠ DRY RUN MODE - No changes will be made\n'));
-      }
-      console.log('');
+      if (options.apply) {
+        const plan = JSON.parse(await fs.readFile(path.resolve(options.apply), 'utf8'));
+        printDeployPlan(plan);
 
-      // Execute deployment
-      const result = await pipeline.execute(journey, touchpoints);
+        result = await pipeline.applyPlan(plan, { skipApprovalCheck: options.skipApprovalCheck });
+      } else {
+        if (!options.journey) {
+          throw new Error('--journey is required unless applying a plan with --apply');
+        }
 
-      if (result.success) {
+        await databaseService.connect();
+        const journey = await databaseService.getJourneyById(options.journey);
+        if (!journey) {
+          throw new Error(`Journey not found: ${options.journey}`);
+        }
+        const touchpoints = toDeployTouchpoints(journey);
+
+        console.log(`Journey: ${journey.name}`);
+        console.log(`Touchpoints: ${touchpoints.length}`);
+        if (options.dryRun) {
+          console.log(chalk.yellow('\n⚠ DRY RUN MODE - No changes will be made\n'));
+        }
+        console.log('');
+
+        // Execute deployment
+        result = await pipeline.execute(journey, touchpoints, {
+          dryRun: options.dryRun,
+          skipValidation: options.skipValidation,
+          skipApprovalCheck: options.skipApprovalCheck,
+          planOut: options.planOut
+        });
+      }
+
+      if (result.success && options.planOut) {
+        printDeployPlan(JSON.parse(await fs.readFile(path.resolve(options.planOut), 'utf8')));
+        console.log(chalk.green(`✓ Plan written to ${options.planOut}\n`));
+        if (options.dryRun) {
+          console.log(chalk.yellow('Dry run: the plan was not recorded and cannot be signed off or applied.\n'));
+        } else {
+          console.log('Sign it off in the visualizer (Deploy plans), then run:');
+          console.log(chalk.cyan(`  ghl-sync deploy --client ${options.client} --apply ${options.planOut}\n`));
+        }
+      } else if (result.success) {
         console.log(chalk.green('\n✓ Deployment completed successfully\n'));
         console.log(`Deployment ID: ${result.deployment.id}`);
         console.log(`Duration: ${Date.now() - new Date(result.deployment.startedAt).getTime()}ms\n`);
@@ -1147,6 +1308,9 @@ program
         if (result.step) {
           console.log(chalk.red(`Failed at step: ${result.step.name}`));
         }
+        for (const drifted of result.deployment.drift || []) {
+          console.log(chalk.yellow(`  Drifted: ${drifted.touchpointName} (${drifted.resource} ${drifted.templateId || 'new'})`));
+        }
         console.log('');
         process.exit(1);
       }
@@ -1158,6 +1322,19 @@ program
     }
   });
 
+// Helper to print a deploy plan's operations
+function printDeployPlan(plan) {
+  const colors = { create: chalk.green, update: chalk.yellow, noop: chalk.gray };
+  const symbols = { create: '+', update: '~', noop: '=' };
+
+  console.log(chalk.cyan(`Deploy plan ${plan.id}`) + chalk.gray(` for ${plan.journeyName} (${plan.createdAt})`));
+  for (const op of plan.operations) {
+    console.log(colors[op.action](`  ${symbols[op.action]} ${op.resource} ${op.touchpointName}`) +
+      chalk.gray(op.templateId ? ` [${op.templateId}]` : ''));
+  }
+  console.log(chalk.gray(`\n  ${plan.summary.create} to create, ${plan.summary.update} to update, ${plan.summary.noop} unchanged\n`));
+}
+
 // Rollback deployment
 program
   .command('rollback')
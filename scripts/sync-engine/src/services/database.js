@@ -1,9 +1,10 @@
 /**
  * PostgreSQL Database Service for Sync Engine
- * Replaces Airtable as the primary data source
+ * Replaces Airtable as the primary data source. Reads and writes go through
+ * @bloom/data, which holds the schema journey-api migrates.
  */
 
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, journeys, touchpoints, syncHistory } from '@bloom/data';
 import logger from '../utils/logger.js';
 
 class DatabaseService {
@@ -38,47 +39,45 @@ class DatabaseService {
 
   /**
    * Get published journeys
+   * @param {string} [clientId]
+   * @param {Object} [options]
+   * @param {Date} [options.updatedSince] - Only journeys with rows changed since then
    */
-  async getPublishedJourneys(clientId = null) {
+  async getPublishedJourneys(clientId = null, { updatedSince } = {}) {
     try {
-      const where = { status: 'published' };
-      if (clientId) where.clientId = clientId;
-
-      const journeys = await this.prisma.journey.findMany({
-        where,
-        orderBy: { updatedAt: 'desc' },
-        include: {
-          client: true,
-          pipeline: true,
-          touchpoints: {
-            orderBy: { orderIndex: 'asc' }
-          }
-        }
-      });
+      const published = await journeys.findJourneys(this.prisma, { status: 'published', clientId, updatedSince });
 
-      logger.info(`Found ${journeys.length} published journeys`, { clientId });
-      return journeys.map(j => this.transformJourney(j));
+      logger.info(`Found ${published.length} published journeys`, { clientId, updatedSince });
+      return published.map(j => this.transformJourney(j));
     } catch (error) {
       logger.error('Failed to fetch published journeys', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Get journeys that were unpublished after being pushed, so their GHL
+   * workflows can be removed
+   * @param {string} [clientId]
+   */
+  async getUnpublishedJourneysInGhl(clientId = null) {
+    try {
+      const rows = await journeys.findUnpublishedJourneysInGhl(this.prisma, { clientId });
+
+      logger.info(`Found ${rows.length} unpublished journeys still in GHL`, { clientId });
+      return rows.map(j => this.transformJourney(j));
+    } catch (error) {
+      logger.error('Failed to fetch unpublished journeys', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get journey by ID with touchpoints
    */
   async getJourneyById(journeyId) {
     try {
-      const journey = await this.prisma.journey.findUnique({
-        where: { id: journeyId },
-        include: {
-          client: true,
-          pipeline: true,
-          touchpoints: {
-            orderBy: { orderIndex: 'asc' }
-          }
-        }
-      });
+      const journey = await journeys.findJourneyById(this.prisma, journeyId);
 
       if (!journey) return null;
       return this.transformJourney(journey);
@@ -88,17 +87,62 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get a journey with its touchpoint and edge rows as stored, for building
+   * JourneyVersion snapshots
+   */
+  async getJourneyRecord(journeyId) {
+    try {
+      return await journeys.findJourneyById(this.prisma, journeyId);
+    } catch (error) {
+      logger.error('Failed to fetch journey record', { journeyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Save a snapshot as a draft JourneyVersion. Unlike journey-api's
+   * createJourneyVersion this leaves the journey and Journey.version alone;
+   * editors review the draft and restore it to accept it.
+   * @returns {Promise<Object>} The JourneyVersion row
+   */
+  async createDraftJourneyVersion(journeyId, snapshot, { createdBy, changeLog } = {}) {
+    try {
+      const record = await this.prisma.$transaction(async (tx) => {
+        const journey = await tx.journey.findUnique({ where: { id: journeyId }, select: { version: true } });
+        const latest = await tx.journeyVersion.findFirst({
+          where: { journeyId },
+          orderBy: { version: 'desc' },
+          select: { version: true }
+        });
+
+        return tx.journeyVersion.create({
+          data: {
+            journeyId,
+            version: Math.max(journey.version, latest?.version || 0) + 1,
+            snapshot,
+            createdBy,
+            changeLog
+          }
+        });
+      });
+
+      logger.info('Created draft journey version', { journeyId, version: record.version });
+      return record;
+    } catch (error) {
+      logger.error('Failed to create draft journey version', { journeyId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get touchpoints for a journey
    */
   async getTouchpointsForJourney(journeyId) {
     try {
-      const touchpoints = await this.prisma.touchpoint.findMany({
-        where: { journeyId },
-        orderBy: { orderIndex: 'asc' }
-      });
+      const rows = await touchpoints.findTouchpoints(this.prisma, journeyId);
 
-      return touchpoints.map(tp => this.transformTouchpoint(tp));
+      return rows.map(tp => this.transformTouchpoint(tp));
     } catch (error) {
       logger.error('Failed to fetch touchpoints', { journeyId, error: error.message });
       throw error;
@@ -116,17 +160,13 @@ class DatabaseService {
       };
 
       if (additionalFields['GHL Workflow ID']) {
-        updateData.metadata = {
-          ...updateData.metadata,
+        await journeys.mergeJourneyMetadata(this.prisma, journeyId, {
           ghlWorkflowId: additionalFields['GHL Workflow ID']
-        };
+        }, updateData);
+      } else {
+        await journeys.updateJourney(this.prisma, journeyId, updateData);
       }
 
-      await this.prisma.journey.update({
-        where: { id: journeyId },
-        data: updateData
-      });
-
       logger.info('Updated journey sync status', { journeyId, status });
       return true;
     } catch (error) {
@@ -140,14 +180,8 @@ class DatabaseService {
    */
   async updateJourneyGHLId(journeyId, ghlWorkflowId) {
     try {
-      await this.prisma.journey.update({
-        where: { id: journeyId },
-        data: {
-          metadata: {
-            ghlWorkflowId
-          },
-          updatedAt: new Date()
-        }
+      await journeys.mergeJourneyMetadata(this.prisma, journeyId, { ghlWorkflowId }, {
+        updatedAt: new Date()
       });
 
       logger.info('Updated journey GHL ID', { journeyId, ghlWorkflowId });
@@ -158,6 +192,35 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Store the content hashes of a journey's last successful push
+   * @param {string} journeyId
+   * @param {Object|null} syncState - { hash, settingsHash, touchpoints: { [touchpointId]: hash } | null, syncedAt }, or null to clear it
+   */
+  async updateJourneySyncState(journeyId, syncState) {
+    try {
+      await journeys.mergeJourneyMetadata(this.prisma, journeyId, { syncState });
+      return true;
+    } catch (error) {
+      logger.error('Failed to update journey sync state', { journeyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a journey's GHL workflow and sync state once the workflow is deleted
+   */
+  async clearJourneyGHLSync(journeyId) {
+    try {
+      await journeys.mergeJourneyMetadata(this.prisma, journeyId, { ghlWorkflowId: null, syncState: null });
+      logger.info('Cleared journey GHL workflow', { journeyId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to clear journey GHL workflow', { journeyId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Create sync history record
    */
@@ -168,18 +231,15 @@ class DatabaseService {
         select: { clientId: true }
       });
 
-      const record = await this.prisma.syncHistory.create({
-        data: {
-          clientId: journey?.clientId,
-          operation: syncData.type || 'sync',
-          status: syncData.status === 'Success' ? 'success' : 'failed',
-          itemsSynced: 1,
-          errors: syncData.error || null,
-          metadata: {
-            journeyId,
-            ghlWorkflowId: syncData.ghlWorkflowId,
-            duration: syncData.duration
-          }
+      const record = await syncHistory.recordSync(this.prisma, {
+        clientId: journey?.clientId,
+        operation: syncData.type || 'sync',
+        status: syncData.status === 'Success' ? 'success' : 'failed',
+        errors: syncData.error || null,
+        metadata: {
+          journeyId,
+          ghlWorkflowId: syncData.ghlWorkflowId,
+          duration: syncData.duration
         }
       });
 
@@ -196,16 +256,7 @@ class DatabaseService {
    */
   async getVersionHistory(journeyId) {
     try {
-      const history = await this.prisma.syncHistory.findMany({
-        where: {
-          metadata: {
-            path: ['journeyId'],
-            equals: journeyId
-          }
-        },
-        orderBy: { createdAt: 'desc' },
-        take: 20
-      });
+      const history = await syncHistory.findSyncHistory(this.prisma, { journeyId });
 
       return history.map(h => this.transformSyncHistory(h));
     } catch (error) {
@@ -214,6 +265,133 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Record a detected sync conflict. An open conflict of the same type for
+   * the journey is refreshed with the new snapshots instead of duplicated.
+   */
+  async recordSyncConflict(conflict) {
+    try {
+      const existing = await this.prisma.syncConflict.findFirst({
+        where: { journeyId: conflict.journeyId, type: conflict.type, status: 'open' },
+        select: { id: true }
+      });
+
+      const data = {
+        clientId: conflict.clientId,
+        ghlWorkflowId: conflict.ghlWorkflowId || null,
+        severity: conflict.severity,
+        message: conflict.message,
+        details: conflict.details || {},
+        bloomSnapshot: conflict.bloomSnapshot,
+        diff: conflict.diff || [],
+        // Json columns take an omitted value, not null, for "none"
+        ...(conflict.ghlSnapshot && { ghlSnapshot: conflict.ghlSnapshot })
+      };
+
+      const record = existing
+        ? await this.prisma.syncConflict.update({ where: { id: existing.id }, data: { ...data, detectedAt: new Date() } })
+        : await this.prisma.syncConflict.create({ data: { journeyId: conflict.journeyId, type: conflict.type, ...data } });
+
+      logger.info('Recorded sync conflict', { journeyId: conflict.journeyId, conflictId: record.id, type: conflict.type });
+      return record;
+    } catch (error) {
+      logger.error('Failed to record sync conflict', { journeyId: conflict.journeyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Conflicts an editor has resolved that the sync hasn't applied yet,
+   * latest resolution first
+   */
+  async getResolvedSyncConflicts(journeyId) {
+    try {
+      return await this.prisma.syncConflict.findMany({
+        where: { journeyId, status: 'resolved' },
+        orderBy: { resolvedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Failed to fetch resolved sync conflicts', { journeyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark resolved conflicts applied once their resolution has been synced
+   */
+  async markSyncConflictsApplied(conflictIds) {
+    try {
+      await this.prisma.syncConflict.updateMany({
+        where: { id: { in: conflictIds }, status: 'resolved' },
+        data: { status: 'applied', appliedAt: new Date() }
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to mark sync conflicts applied', { conflictIds, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a deploy plan for sign-off in the visualizer
+   * @param {Object} plan - As written to --plan-out
+   * @param {Object} options
+   * @param {string} options.clientId
+   * @param {string} options.planHash
+   * @param {string} [options.createdBy]
+   */
+  async recordDeployPlan(plan, { clientId, planHash, createdBy }) {
+    try {
+      const record = await this.prisma.deployPlan.create({
+        data: {
+          id: plan.id,
+          clientId,
+          clientSlug: plan.clientSlug,
+          journeyId: plan.journeyId,
+          plan,
+          planHash,
+          summary: plan.summary,
+          createdBy
+        }
+      });
+
+      logger.info('Recorded deploy plan', { planId: plan.id, journeyId: plan.journeyId });
+      return record;
+    } catch (error) {
+      logger.error('Failed to record deploy plan', { planId: plan.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a recorded deploy plan with its sign-off state
+   */
+  async getDeployPlan(planId) {
+    try {
+      return await this.prisma.deployPlan.findUnique({ where: { id: planId } });
+    } catch (error) {
+      logger.error('Failed to fetch deploy plan', { planId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a deploy plan applied, whether or not it was signed off
+   * @returns {boolean} false when it was already applied
+   */
+  async markDeployPlanApplied(planId) {
+    try {
+      const { count } = await this.prisma.deployPlan.updateMany({
+        where: { id: planId, status: { not: 'applied' } },
+        data: { status: 'applied', appliedAt: new Date() }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Failed to mark deploy plan applied', { planId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get client by slug
    */
@@ -257,9 +435,18 @@ class DatabaseService {
       version: journey.version,
       lastModified: journey.updatedAt,
       ghlWorkflowId: journey.metadata?.ghlWorkflowId || null,
+      syncState: journey.metadata?.syncState || null,
       syncStatus: journey.status,
       lastSync: journey.updatedAt,
       touchpoints: journey.touchpoints?.map(tp => this.transformTouchpoint(tp)) || [],
+      edges: journey.edges?.map(edge => ({
+        sourceId: edge.sourceId,
+        targetId: edge.targetId,
+        branch: edge.branch,
+        label: edge.label,
+        condition: edge.condition,
+        orderIndex: edge.orderIndex
+      })) || [],
       tags: journey.metadata?.tags || [],
       category: journey.category || '',
       pipelineId: journey.pipelineId,
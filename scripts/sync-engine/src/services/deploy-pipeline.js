@@ -1,17 +1,32 @@
 /**
  * Deployment Pipeline Service
- * Orchestrates full deployment from approval to GHL push
+ * Orchestrates full deployment from approval to GHL push, either directly or
+ * as a plan (the exact template operations) that is signed off in the
+ * visualizer and applied later
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { compareJourneys } from '@bloom/data/version-compare';
 import logger from '../utils/logger.js';
 import { KnowledgeHub } from './knowledge-hub.js';
 import { CommentSystem } from './comment-system.js';
-import { compareJourneys } from '../utils/version-compare.js';
+import { PlanAction } from '../utils/sync-plan.js';
+import {
+  DEPLOY_PLAN_FORMAT,
+  DeployPlanStatus,
+  TemplateResource,
+  buildDeployPlan,
+  buildOperation,
+  findDrift,
+  hashPlan,
+  normalizeRemoteTemplate,
+  templateResourceFor
+} from '../utils/deploy-plan.js';
 import ghlService from './ghl.js';
+import databaseService from './database.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -93,12 +108,13 @@ export class DeployPipeline {
    * Execute full deployment pipeline
    * @param {Object} journey - Journey data
    * @param {Array} touchpoints - Touchpoints to deploy
+   * @param {Object} [options] - Deployment options; planOut writes a plan there instead of deploying
    * @returns {Object} Deployment result
    */
-  async execute(journey, touchpoints) {
-    await this.startDeployment(journey);
+  async execute(journey, touchpoints, options = {}) {
+    await this.startDeployment(journey, options);
 
-    try {
+    return this.runDeployment(async () => {
       // Step 1: Validate approval status
       if (!this.currentDeployment.options.skipApprovalCheck) {
         await this.runStep('approval-check', () => this.validateApprovalStatus(journey));
@@ -117,23 +133,70 @@ export class DeployPipeline {
       // Step 4: Build email templates (if using Email Factory)
       await this.runStep('build', () => this.buildTemplates(touchpoints));
 
-      // Step 5: Deploy to GHL
-      await this.runStep('deploy', () => this.deployToGHL(journey, touchpoints));
+      // Step 5: Deploy to GHL, or only plan the deploy for sign-off
+      if (options.planOut) {
+        await this.runStep('plan', () => this.writePlan(journey, touchpoints, options.planOut));
+      } else {
+        await this.runStep('deploy', () => this.deployToGHL(journey, touchpoints));
+      }
 
       // Step 6: Generate report
       await this.runStep('report', () => this.generateReport());
+    });
+  }
+
+  /**
+   * Apply a saved plan exactly as written. Refuses a plan that hasn't been
+   * signed off in Bloom, was edited after it was recorded, was already
+   * applied, or whose templates changed in GHL since it was made.
+   * skipApprovalCheck only waives the sign-off.
+   * @param {Object} plan - Contents of a --plan-out file
+   * @param {Object} options - Deployment options
+   * @returns {Object} Deployment result
+   */
+  async applyPlan(plan, options = {}) {
+    await this.startDeployment({ id: plan.journeyId, name: plan.journeyName }, { ...options, planId: plan.id });
+
+    return this.runDeployment(async () => {
+      if (plan.format !== DEPLOY_PLAN_FORMAT) {
+        throw new Error(`Unsupported plan format: ${plan.format}`);
+      }
+      if (plan.clientSlug !== this.clientSlug) {
+        throw new Error(`Plan ${plan.id} is for ${plan.clientSlug}, not ${this.clientSlug}`);
+      }
+
+      await this.runStep('plan-approval', () => this.validatePlanApproval(plan, {
+        skipSignOff: this.currentDeployment.options.skipApprovalCheck
+      }));
+      await this.runStep('drift-check', () => this.checkDrift(plan));
+      await this.runStep('apply', () => this.applyOperations(plan));
+      await this.runStep('report', () => this.generateReport());
+
+      await databaseService.markDeployPlanApplied(plan.id);
+    });
+  }
 
-      // Mark as complete
-      this.currentDeployment.status = 'completed';
+  /**
+   * Run the current deployment's steps and record how it ended
+   * @param {Function} runSteps
+   * @returns {Object} Deployment result
+   */
+  async runDeployment(runSteps) {
+    try {
+      await runSteps();
+
+      // Mark as complete; a plan-only run waits for its plan to be applied
+      const planned = Boolean(this.currentDeployment.options.planOut);
+      this.currentDeployment.status = planned ? 'planned' : 'completed';
       this.currentDeployment.completedAt = new Date().toISOString();
       await this.saveDeployment();
 
-      logger.success(`Deployment ${this.currentDeployment.id} completed successfully`);
+      logger.success(`Deployment ${this.currentDeployment.id} ${planned ? 'planned' : 'completed successfully'}`);
       
       return {
         success: true,
         deployment: this.currentDeployment,
-        message: 'Deployment completed successfully'
+        message: planned ? 'Deployment planned' : 'Deployment completed successfully'
       };
 
     } catch (error) {
@@ -345,20 +408,7 @@ export class DeployPipeline {
    * Deploy to GHL
    */
   async deployToGHL(journey, touchpoints) {
-    // Import the enhanced GHL publisher
-    const { ghlPublisher } = await import(
-      path.join(this.clientDir, 'email-factory/src/services/ghl-publisher.js')
-    );
-
-    // Connect to GHL
-    const apiKey = process.env.GHL_API_KEY;
-    const locationId = process.env.GHL_LOCATION_ID;
-    
-    if (!apiKey || !locationId) {
-      throw new Error('GHL credentials not configured');
-    }
-
-    ghlPublisher.connect(apiKey, locationId);
+    const ghlPublisher = await this.connectPublisher();
 
     // Run batch publish
     const result = await ghlPublisher.batchPublishJourney(journey.id, touchpoints, {
@@ -375,6 +425,188 @@ export class DeployPipeline {
     return result;
   }
 
+  /**
+   * Plan the template operations a deploy would run, record the plan for
+   * sign-off and write it to planOut. A dry run writes the file without
+   * recording it, so it can't be signed off or applied.
+   */
+  async writePlan(journey, touchpoints, planOut) {
+    const ghlPublisher = await this.connectPublisher();
+    const remotes = await this.findRemoteTemplates(ghlPublisher.client, touchpoints.map(tp => ({
+      resource: templateResourceFor(tp),
+      templateId: tp.ghlTemplateId || null,
+      name: tp.name
+    })));
+
+    const plan = buildDeployPlan({
+      id: `plan-${uuidv4().split('-')[0]}`,
+      clientSlug: this.clientSlug,
+      journey,
+      operations: touchpoints.map((tp, i) => buildOperation(tp, remotes[i]))
+    });
+
+    const recorded = !this.currentDeployment.options.dryRun;
+    if (recorded) {
+      await databaseService.recordDeployPlan(plan, {
+        clientId: journey.clientId,
+        planHash: hashPlan(plan),
+        createdBy: 'ghl-sync'
+      });
+    }
+
+    const planPath = path.resolve(planOut);
+    await fs.writeFile(planPath, JSON.stringify(plan, null, 2));
+
+    this.currentDeployment.planId = plan.id;
+    logger.info(`Wrote ${recorded ? '' : 'dry-run '}deploy plan ${plan.id} to ${planPath}`, plan.summary);
+
+    return { planId: plan.id, planPath, summary: plan.summary, recorded };
+  }
+
+  /**
+   * Check the plan is the one recorded in Bloom, unchanged and not yet
+   * applied, and (unless skipSignOff) that it has been signed off
+   */
+  async validatePlanApproval(plan, { skipSignOff = false } = {}) {
+    const record = await databaseService.getDeployPlan(plan.id);
+
+    if (!record) {
+      throw new Error(`Plan ${plan.id} was not recorded in Bloom`);
+    }
+    if (record.planHash !== hashPlan(plan)) {
+      throw new Error(`Plan file ${plan.id} has been edited since it was recorded`);
+    }
+    if (record.status === DeployPlanStatus.APPLIED) {
+      throw new Error(`Plan ${plan.id} has already been applied`);
+    }
+    if (skipSignOff) {
+      logger.warn(`Applying plan ${plan.id} without sign-off (status: ${record.status})`);
+      return { approved: false, signOffSkipped: true, status: record.status };
+    }
+    if (record.status !== DeployPlanStatus.APPROVED) {
+      throw new Error(`Plan must be signed off before it is applied. Current status: ${record.status}`);
+    }
+
+    return { approved: true, reviewedBy: record.reviewedBy, reviewedAt: record.reviewedAt };
+  }
+
+  /**
+   * Refuse to apply when any template the plan touches changed in GHL since
+   */
+  async checkDrift(plan) {
+    const ghlPublisher = await this.connectPublisher();
+    const current = await this.findRemoteTemplates(ghlPublisher.client, plan.operations.map(op => ({
+      resource: op.resource,
+      templateId: op.templateId,
+      name: op.payload.name
+    })));
+
+    const drift = findDrift(plan, current);
+    if (drift.length > 0) {
+      this.currentDeployment.drift = drift;
+      throw new Error(`GHL has changed since plan ${plan.id} was made (${drift.map(d => d.touchpointName).join(', ')}). Make a new plan.`);
+    }
+
+    return { checked: plan.operations.length, drifted: 0 };
+  }
+
+  /**
+   * Run the plan's operations in order, stopping at the first failure. Email
+   * templates it updates are saved for `rollback` first.
+   */
+  async applyOperations(plan) {
+    const ghlPublisher = await this.connectPublisher();
+    const { client, tracker } = ghlPublisher;
+
+    const tracked = tracker.createDeployment(plan.journeyId, plan.operations.map(op => ({
+      id: op.touchpointId,
+      name: op.touchpointName,
+      type: op.resource === TemplateResource.SMS ? 'SMS' : 'Email'
+    })));
+    tracked.previousVersion = plan.operations
+      .filter(op => op.action === PlanAction.UPDATE && op.resource === TemplateResource.EMAIL)
+      .map(op => ({ touchpointId: op.touchpointId, ghlTemplateId: op.templateId, templateData: op.before }));
+    tracker.saveDeployment(tracked);
+    this.currentDeployment.ghlDeploymentId = tracked.id;
+
+    const results = { total: plan.operations.length, created: 0, updated: 0, unchanged: 0, operations: [] };
+
+    for (const op of plan.operations) {
+      let templateId = op.templateId;
+
+      if (op.action === PlanAction.CREATE) {
+        const created = op.resource === TemplateResource.SMS
+          ? await client.createSmsTemplate(op.payload)
+          : await client.createEmailTemplate(op.payload);
+        templateId = created.id;
+        results.created++;
+      } else if (op.action === PlanAction.UPDATE) {
+        if (op.resource === TemplateResource.SMS) {
+          await client.updateSmsTemplate(op.templateId, op.payload);
+        } else {
+          await client.updateEmailTemplate(op.templateId, op.payload);
+        }
+        results.updated++;
+      } else {
+        results.unchanged++;
+      }
+
+      tracker.updateTouchpointStatus(tracked.id, op.touchpointId, 'published', { ghlTemplateId: templateId, action: op.action });
+      results.operations.push({ touchpointId: op.touchpointId, action: op.action, templateId });
+      logger.info(`Applied ${op.action} ${op.resource} for ${op.touchpointName}`, { templateId });
+    }
+
+    return results;
+  }
+
+  /**
+   * Import the client's GHL publisher (from its Email Factory) and connect it
+   */
+  async connectPublisher() {
+    const { ghlPublisher } = await import(
+      path.join(this.clientDir, 'email-factory/src/services/ghl-publisher.js')
+    );
+
+    const apiKey = process.env.GHL_API_KEY;
+    const locationId = process.env.GHL_LOCATION_ID;
+
+    if (!apiKey || !locationId) {
+      throw new Error('GHL credentials not configured');
+    }
+
+    return ghlPublisher.connect(apiKey, locationId);
+  }
+
+  /**
+   * Find each template in GHL by ID, or by name when it has none yet (as the
+   * publisher matches them)
+   * @param {Object} client - Publisher's GHL client
+   * @param {Object[]} lookups - { resource, templateId, name }
+   * @returns {Promise<Array<Object|null>>} { id, template } per lookup, template normalized
+   */
+  async findRemoteTemplates(client, lookups) {
+    const needs = (resource) => lookups.some(lookup => lookup.resource === resource);
+    const emails = needs(TemplateResource.EMAIL) ? await client.getEmailTemplates() : [];
+    const sms = needs(TemplateResource.SMS) ? await client.getSmsTemplates() : [];
+
+    const remotes = [];
+    for (const { resource, templateId, name } of lookups) {
+      const list = resource === TemplateResource.SMS ? sms : emails;
+      const found = list.find(t => (templateId ? t.id === templateId : t.name === name));
+
+      if (!found) {
+        remotes.push(null);
+        continue;
+      }
+
+      // The email list leaves out the body, so fetch the full template
+      const template = resource === TemplateResource.EMAIL ? await client.getEmailTemplate(found.id) : found;
+      remotes.push({ id: found.id, template: normalizeRemoteTemplate(resource, template) });
+    }
+
+    return remotes;
+  }
+
   /**
    * Generate deployment report
    */
@@ -406,12 +638,7 @@ export class DeployPipeline {
       throw new Error(`Deployment not found: ${deploymentId}`);
     }
 
-    // Import GHL publisher
-    const { ghlPublisher } = await import(
-      path.join(this.clientDir, 'email-factory/src/services/ghl-publisher.js')
-    );
-
-    ghlPublisher.connect(process.env.GHL_API_KEY, process.env.GHL_LOCATION_ID);
+    const ghlPublisher = await this.connectPublisher();
 
     // Execute rollback
     const result = await ghlPublisher.rollbackDeployment(deployment.ghlDeploymentId);
@@ -479,6 +706,23 @@ export class DeployPipeline {
   }
 }
 
+/**
+ * A journey's email and SMS touchpoints in the shape the pipeline deploys
+ * @param {Object} journey - Sync-format journey (see DatabaseService.transformJourney)
+ * @returns {Object[]} { id, name, type, content, ghlTemplateId }
+ */
+export function toDeployTouchpoints(journey) {
+  return journey.touchpoints
+    .filter(tp => tp.type === 'Email' || tp.type === 'Sms')
+    .map(tp => ({
+      id: tp.id,
+      name: tp.name,
+      type: tp.type === 'Sms' ? 'SMS' : 'Email',
+      content: tp.config.content || {},
+      ghlTemplateId: tp.config.templateId || null
+    }));
+}
+
 /**
  * Create deployment pipeline for a client
  */
@@ -0,0 +1,122 @@
+/**
+ * Deploy Pipeline Tests
+ * Tests for plan verification, sign-off and dry-run plans
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const databaseService = {
+  getDeployPlan: jest.fn(),
+  markDeployPlanApplied: jest.fn(async () => true),
+  recordDeployPlan: jest.fn(async () => ({}))
+};
+
+jest.unstable_mockModule('./database.js', () => ({ default: databaseService }));
+
+const { DeployPipeline } = await import('./deploy-pipeline.js');
+const { buildDeployPlan, hashPlan } = await import('../utils/deploy-plan.js');
+
+const plan = buildDeployPlan({
+  id: 'plan-1',
+  clientSlug: 'maison-albion',
+  journey: { id: 'j1', name: 'Welcome', version: 1 },
+  operations: []
+});
+
+// A pipeline that doesn't touch GHL or write deployment records
+const pipeline = () => {
+  const instance = new DeployPipeline('maison-albion');
+  instance.saveDeployment = jest.fn(async () => {});
+  instance.generateReport = jest.fn(async () => ({}));
+  instance.checkDrift = jest.fn(async () => ({ drifted: 0 }));
+  instance.applyOperations = jest.fn(async () => ({ applied: 0 }));
+  return instance;
+};
+
+const recorded = (overrides = {}) => ({ id: plan.id, planHash: hashPlan(plan), status: 'approved', ...overrides });
+
+describe('DeployPipeline.applyPlan', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('applies a signed-off plan and marks it applied', async () => {
+    databaseService.getDeployPlan.mockResolvedValue(recorded());
+    const instance = pipeline();
+
+    const result = await instance.applyPlan(plan);
+
+    expect(result.success).toBe(true);
+    expect(instance.applyOperations).toHaveBeenCalled();
+    expect(databaseService.markDeployPlanApplied).toHaveBeenCalledWith('plan-1');
+  });
+
+  it('skips only the sign-off with skipApprovalCheck and still marks the plan applied', async () => {
+    databaseService.getDeployPlan.mockResolvedValue(recorded({ status: 'pending' }));
+    const instance = pipeline();
+
+    const result = await instance.applyPlan(plan, { skipApprovalCheck: true });
+
+    expect(result.success).toBe(true);
+    expect(databaseService.markDeployPlanApplied).toHaveBeenCalledWith('plan-1');
+  });
+
+  it('refuses an edited, unrecorded or applied plan even with skipApprovalCheck', async () => {
+    for (const record of [recorded({ planHash: 'edited' }), null, recorded({ status: 'applied' })]) {
+      databaseService.getDeployPlan.mockResolvedValue(record);
+      const instance = pipeline();
+
+      const result = await instance.applyPlan(plan, { skipApprovalCheck: true });
+
+      expect(result.success).toBe(false);
+      expect(instance.applyOperations).not.toHaveBeenCalled();
+    }
+    expect(databaseService.markDeployPlanApplied).not.toHaveBeenCalled();
+  });
+
+  it('refuses a plan that is not signed off', async () => {
+    databaseService.getDeployPlan.mockResolvedValue(recorded({ status: 'pending' }));
+
+    const result = await pipeline().applyPlan(plan);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch('signed off');
+  });
+});
+
+describe('DeployPipeline.writePlan', () => {
+  let dir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-plan-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const write = async (dryRun) => {
+    const instance = pipeline();
+    instance.connectPublisher = jest.fn(async () => ({ client: {} }));
+    instance.findRemoteTemplates = jest.fn(async () => []);
+    await instance.startDeployment({ id: 'j1', name: 'Welcome' }, { dryRun });
+    return instance.writePlan({ id: 'j1', name: 'Welcome', clientId: 'c1' }, [], path.join(dir, 'plan.json'));
+  };
+
+  it('records the plan for sign-off', async () => {
+    const result = await write(false);
+
+    expect(result.recorded).toBe(true);
+    expect(databaseService.recordDeployPlan).toHaveBeenCalled();
+  });
+
+  it('writes a dry-run plan without recording it', async () => {
+    const result = await write(true);
+
+    expect(result.recorded).toBe(false);
+    expect(databaseService.recordDeployPlan).not.toHaveBeenCalled();
+    expect(JSON.parse(await fs.readFile(result.planPath, 'utf8')).id).toBe(result.planId);
+  });
+});
@@ -18,7 +18,7 @@ export class GHLAutoExtractionService {
     this.clientSlug = clientSlug;
     this.locationId = ghlLocationId;
     this.apiKey = apiKey || process.env.GHL_API_KEY;
-    this.baseUrl = 'https://services.leadconnectorhq.com';
+    this.baseUrl = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
     this.clientDir = path.join(repoRoot, 'clients', clientSlug);
     this.apiResponsesDir = path.join(this.clientDir, 'api-responses');
     this.rateLimitDelay = 250; // 4 requests per second
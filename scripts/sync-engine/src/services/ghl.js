@@ -5,7 +5,7 @@ class GHLService {
   constructor() {
     this.apiKey = process.env.GHL_API_KEY;
     this.locationId = process.env.GHL_LOCATION_ID;
-    this.baseUrl = 'https://services.leadconnectorhq.com';
+    this.baseUrl = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
     this.isConnected = false;
     this.rateLimitDelay = 250; // 4 requests per second default
     this.maxRetries = parseInt(process.env.SYNC_MAX_RETRIES) || 3;
@@ -234,6 +234,49 @@ class GHLService {
     }
   }
 
+  // Change the workflow's own fields, leaving its steps alone
+  async updateWorkflowSettings(workflowId, workflowData) {
+    try {
+      const response = await this.request('PATCH', `/workflows/${workflowId}`, {
+        name: workflowData.name,
+        description: workflowData.description || '',
+        status: workflowData.status || 'active'
+      });
+
+      logger.success('Updated workflow settings', { workflowId, name: workflowData.name });
+      return response;
+    } catch (error) {
+      logger.error('Failed to update workflow settings', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Create or replace one step (steps are keyed by the touchpoint they map from)
+  async upsertWorkflowStep(workflowId, step) {
+    try {
+      const response = await this.request('PUT', `/workflows/${workflowId}/steps/${step.id}`, step);
+      logger.success('Pushed workflow step', { workflowId, stepId: step.id });
+      return response;
+    } catch (error) {
+      logger.error('Failed to push workflow step', { workflowId, stepId: step.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteWorkflowStep(workflowId, stepId) {
+    try {
+      await this.request('DELETE', `/workflows/${workflowId}/steps/${stepId}`);
+      logger.success('Deleted workflow step', { workflowId, stepId });
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      logger.error('Failed to delete workflow step', { workflowId, stepId, error: error.message });
+      throw error;
+    }
+  }
+
   async deleteWorkflow(workflowId) {
     try {
       await this.request('DELETE', `/workflows/${workflowId}`);
@@ -0,0 +1,85 @@
+/**
+ * Journey API Client
+ * Calls journey-api for records editors also work on from the visualizer,
+ * such as sync conflicts. Requests authenticate with JOURNEY_API_TOKEN, an
+ * access token for an editor (or admin) of the clients involved.
+ */
+
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+class JourneyApiService {
+  constructor() {
+    this.baseUrl = process.env.JOURNEY_API_URL || 'http://localhost:8080/api';
+    this.token = process.env.JOURNEY_API_TOKEN;
+    this.timeout = parseInt(process.env.JOURNEY_API_TIMEOUT_MS) || 30000;
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.token}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Send a request, turning API errors into readable messages
+   */
+  async request(method, url, { params, data } = {}) {
+    if (!this.token) {
+      throw new Error('JOURNEY_API_TOKEN is not set');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${url}`,
+        params,
+        data,
+        headers: this.getHeaders(),
+        timeout: this.timeout
+      });
+      return response.data;
+    } catch (error) {
+      const body = error.response?.data;
+      const message = body?.message || body?.error || error.message;
+      logger.error('Journey API request failed', { method, url, status: error.response?.status, error: message });
+
+      const apiError = new Error(message);
+      apiError.status = error.response?.status;
+      apiError.details = body?.details;
+      throw apiError;
+    }
+  }
+
+  /**
+   * Sync conflicts with counts
+   * @param {Object} [filters] - clientId, journeyId, status, limit
+   */
+  async listSyncConflicts(filters = {}) {
+    return this.request('get', '/sync-conflicts', { params: filters });
+  }
+
+  /**
+   * One sync conflict with both snapshots and the diff
+   */
+  async getSyncConflict(conflictId) {
+    return this.request('get', `/sync-conflicts/${encodeURIComponent(conflictId)}`);
+  }
+
+  /**
+   * Resolve a sync conflict
+   * @param {string} conflictId
+   * @param {Object} resolution
+   * @param {string} resolution.resolution - ours, theirs or merge
+   * @param {Object<string, string>} [resolution.fields] - field -> ours/theirs, for merge
+   */
+  async resolveSyncConflict(conflictId, { resolution, fields }) {
+    return this.request('post', `/sync-conflicts/${encodeURIComponent(conflictId)}/resolve`, {
+      data: { resolution, ...(fields && { fields }) }
+    });
+  }
+}
+
+export const journeyApiService = new JourneyApiService();
+export default journeyApiService;
@@ -6,9 +6,19 @@
 import databaseService from './database.js';
 import ghlService from './ghl.js';
 import mapper from '../utils/mapper.js';
-import conflictDetector from '../utils/conflict.js';
+import conflictDetector, { ConflictResolution, ConflictStatus } from '../utils/conflict.js';
 import logger from '../utils/logger.js';
 import rateLimiter from '../utils/rate-limiter.js';
+import { compareJourneys } from '@bloom/data/version-compare';
+import {
+  PlanAction,
+  planJourney,
+  summarizePlan,
+  parseSince,
+  hashWorkflow,
+  hashWorkflowSettings,
+  findWorkflowStep
+} from '../utils/sync-plan.js';
 
 export class SyncStatus {
   static PENDING = 'Pending';
@@ -22,22 +32,20 @@ export class SyncStatus {
 export class SyncType {
   static CREATE = 'Create';
   static UPDATE = 'Update';
+  static DELETE = 'Delete';
   static SKIP = 'Skip';
   static ROLLBACK = 'Rollback';
 }
 
-export class ConflictResolution {
-  static MANUAL = 'manual';
-  static AUTO = 'auto';
-  static IGNORE = 'ignore';
-}
-
 class SyncOrchestration {
   constructor() {
     this.dryRun = false;
     this.clientId = null;
     this.journeyId = null;
+    this.since = null;
+    this.full = false;
     this.syncHistory = [];
+    this.conflicts = [];
     this.batchSize = parseInt(process.env.SYNC_BATCH_SIZE) || 10;
     this.failFast = process.env.SYNC_FAIL_FAST !== 'true'; // Default to graceful degradation
     this.stats = {
@@ -46,7 +54,9 @@ class SyncOrchestration {
       failed: 0,
       created: 0,
       updated: 0,
+      deleted: 0,
       skipped: 0,
+      unchanged: 0,
       startTime: null,
       endTime: null
     };
@@ -60,12 +70,16 @@ class SyncOrchestration {
     this.dryRun = options.dryRun || process.env.SYNC_DRY_RUN === 'true';
     this.clientId = options.client || null;
     this.journeyId = options.journey || null;
+    this.since = options.since ? parseSince(options.since) : null;
+    this.full = options.full || false;
     this.failFast = options.failFast ?? (process.env.SYNC_FAIL_FAST !== 'true');
 
     logger.info('Initializing sync engine', { 
       dryRun: this.dryRun, 
       clientId: this.clientId,
       journeyId: this.journeyId,
+      since: this.since,
+      full: this.full,
       failFast: this.failFast
     });
 
@@ -105,9 +119,12 @@ class SyncOrchestration {
   }
 
   /**
-   * Execute full sync
+   * Execute sync: plan every journey against its stored content hashes, then
+   * push only the ones that changed
+   * @param {Object} [options]
+   * @param {Function} [options.onPlan] - Called with the plan before anything is applied
    */
-  async execute() {
+  async execute({ onPlan } = {}) {
     const startTime = Date.now();
     this.stats.startTime = startTime;
 
@@ -118,14 +135,21 @@ class SyncOrchestration {
       const journeys = await this.fetchJourneys();
       
       if (journeys.length === 0) {
-        logger.warn('No published journeys found to sync');
+        logger.warn('No published or unpublished-but-pushed journeys found to sync');
         return this.finishSync(startTime);
       }
 
-      logger.info(`Found ${journeys.length} journeys to sync`);
+      const plan = await this.buildPlan(journeys);
+      await onPlan?.(plan);
+
+      const entries = new Map(plan.journeys.map(entry => [entry.journeyId, entry]));
+      const pending = journeys.filter(journey => entries.get(journey.id).action !== PlanAction.NOOP);
+      this.stats.unchanged = journeys.length - pending.length;
+
+      logger.info(`Found ${journeys.length} journeys, ${pending.length} with changes to sync`);
 
       // Process in batches
-      const results = await this.processBatch(journeys);
+      const results = await this.processBatch(pending, entries);
 
       // Generate summary
       this.stats.endTime = Date.now();
@@ -137,13 +161,16 @@ class SyncOrchestration {
         failed: this.stats.failed,
         created: this.stats.created,
         updated: this.stats.updated,
+        deleted: this.stats.deleted,
+        unchanged: this.stats.unchanged,
         duration: this.stats.duration
       });
 
       return {
         success: true,
         stats: this.stats,
-        conflicts: conflictDetector.generateReport(),
+        plan,
+        conflicts: conflictDetector.generateReport(this.conflicts),
         history: this.syncHistory
       };
 
@@ -161,25 +188,70 @@ class SyncOrchestration {
   }
 
   /**
-   * Fetch journeys from PostgreSQL
+   * Fetch journeys from PostgreSQL: published ones, and unpublished ones whose
+   * workflow is still in GHL so it can be removed
    */
   async fetchJourneys() {
     if (this.journeyId) {
       const journey = await databaseService.getJourneyById(this.journeyId);
-      if (journey && journey.status === 'Published') {
+      if (journey && (journey.status === 'Published' || journey.ghlWorkflowId)) {
         return [journey];
       }
       return [];
     }
 
-    return await databaseService.getPublishedJourneys(this.clientId);
+    const published = await databaseService.getPublishedJourneys(this.clientId, { updatedSince: this.since });
+    const unpublished = await databaseService.getUnpublishedJourneysInGhl(this.clientId);
+    return [...published, ...unpublished];
+  }
+
+  /**
+   * Fetch journeys and plan them without applying anything
+   * @returns {Promise<Object>} See buildPlan
+   */
+  async plan() {
+    const journeys = await this.fetchJourneys();
+    return this.buildPlan(journeys);
+  }
+
+  /**
+   * Plan the create/update/delete/no-op action for each journey, with the
+   * touchpoint-level create/update/delete/no-op delta behind it
+   * @param {Object[]} journeys - Sync-format journeys
+   * @returns {Promise<Object>} { generatedAt, since, full, summary, journeys }
+   */
+  async buildPlan(journeys) {
+    const entries = [];
+
+    for (const journey of journeys) {
+      const entry = planJourney(journey, { full: this.full });
+
+      // A resolved conflict is pushed even when Bloom itself hasn't changed
+      if (entry.action === PlanAction.NOOP) {
+        const resolved = await conflictDetector.getResolvedConflicts(journey.id);
+        if (resolved.length > 0) {
+          entry.action = PlanAction.UPDATE;
+          entry.reason = 'Conflict resolution to apply';
+        }
+      }
+
+      entries.push(entry);
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      since: this.since?.toISOString() || null,
+      full: this.full,
+      summary: summarizePlan(entries),
+      journeys: entries
+    };
   }
 
   /**
    * Process a batch of journeys
    * Now continues processing other journeys even if one fails (graceful degradation)
    */
-  async processBatch(journeys) {
+  async processBatch(journeys, entries = new Map()) {
     const results = [];
     let hasCriticalFailure = false;
 
@@ -193,7 +265,7 @@ class SyncOrchestration {
       });
 
       try {
-        const result = await this.syncJourney(journey);
+        const result = await this.syncJourney(journey, entries.get(journey.id));
         results.push(result);
       } catch (error) {
         logger.error(`Failed to sync journey: ${journey.name}`, { 
@@ -248,10 +320,16 @@ class SyncOrchestration {
 
   /**
    * Sync single journey
+   * @param {Object} journey
+   * @param {Object} [entry] - The journey's plan entry, whose hashes are stored once it's pushed
    */
-  async syncJourney(journey) {
+  async syncJourney(journey, entry = planJourney(journey, { full: true })) {
     const syncStartTime = Date.now();
 
+    if (entry.action === PlanAction.DELETE) {
+      return this.removeJourney(journey, syncStartTime);
+    }
+
     // Update status to syncing
     await this.updateSyncStatus(journey.id, SyncStatus.SYNCING);
 
@@ -260,13 +338,18 @@ class SyncOrchestration {
       ? await ghlService.getWorkflowById(journey.ghlWorkflowId)
       : null;
 
-    // Detect conflicts
-    const conflicts = conflictDetector.detectConflicts(journey, existingWorkflow);
-    
-    if (conflicts.length > 0) {
-      for (const conflict of conflicts) {
-        conflictDetector.registerConflict(journey.id, conflict);
-      }
+    // A conflict an editor resolved decides what this run pushes; otherwise
+    // detect (and record) conflicts against the current GHL workflow
+    const resolved = await conflictDetector.getResolvedConflicts(journey.id);
+    const resolution = resolved[0] || null;
+    let conflicts = [];
+
+    if (!resolution) {
+      const detected = conflictDetector.detectConflicts(journey, existingWorkflow);
+      conflicts = detected.length > 0 && !this.dryRun
+        ? await conflictDetector.recordConflicts(detected)
+        : detected;
+      this.conflicts.push(...conflicts);
       this.stats.conflicts += conflicts.length;
     }
 
@@ -283,7 +366,11 @@ class SyncOrchestration {
       logger.info(`[DRY RUN] Would sync journey: ${journey.name}`, {
         journeyId: journey.id,
         action: existingWorkflow ? 'UPDATE' : 'CREATE',
-        conflicts: conflicts.length
+        reason: entry.reason,
+        incremental: Boolean(existingWorkflow && entry.incremental),
+        touchpoints: entry.touchpoints.filter(tp => tp.action !== PlanAction.NOOP).length,
+        conflicts: conflicts.length,
+        resolution: resolution?.resolution
       });
       
       await this.updateSyncStatus(journey.id, SyncStatus.SYNCED);
@@ -292,14 +379,35 @@ class SyncOrchestration {
       return { journeyId: journey.id, success: true, dryRun: true };
     }
 
-    // Perform sync
+    // Perform sync. Afterwards GHL holds the workflow as it was (THEIRS), the
+    // resolved snapshot, or Bloom's journey; the stored hashes describe that.
     let result;
-    if (existingWorkflow) {
+    let inGhl = null;
+    if (resolution?.resolution === ConflictResolution.THEIRS) {
+      result = { success: true, action: SyncType.SKIP, ghlWorkflowId: journey.ghlWorkflowId };
+      inGhl = existingWorkflow;
+    } else if (resolution?.resolvedSnapshot) {
+      result = existingWorkflow
+        ? await this.updateJourney(journey, existingWorkflow, resolution.resolvedSnapshot)
+        : await this.createJourney(journey, resolution.resolvedSnapshot);
+      inGhl = resolution.resolvedSnapshot;
+    } else if (existingWorkflow && entry.incremental) {
+      result = await this.pushChangedSteps(journey, entry);
+    } else if (existingWorkflow) {
       result = await this.updateJourney(journey, existingWorkflow);
     } else {
       result = await this.createJourney(journey);
     }
 
+    if (result.success) {
+      await conflictDetector.markApplied(resolved);
+      if (resolution?.resolution === ConflictResolution.THEIRS && !existingWorkflow) {
+        await this.saveSyncState(journey.id, null);
+      } else {
+        await this.saveSyncState(journey.id, entry, inGhl);
+      }
+    }
+
     const duration = Date.now() - syncStartTime;
 
     if (result.success) {
@@ -312,7 +420,7 @@ class SyncOrchestration {
       
       if (result.action === SyncType.CREATE) {
         this.stats.created++;
-      } else {
+      } else if (result.action === SyncType.UPDATE) {
         this.stats.updated++;
       }
       
@@ -334,10 +442,11 @@ class SyncOrchestration {
 
   /**
    * Create new workflow for journey
+   * @param {Object} journey
+   * @param {Object} [workflowData] - Workflow to push instead of the mapped journey (a conflict resolution)
    */
-  async createJourney(journey) {
+  async createJourney(journey, workflowData = mapper.journeyToGHLWorkflow(journey)) {
     try {
-      const workflowData = mapper.journeyToGHLWorkflow(journey);
       const workflow = await rateLimiter.execute(
         () => ghlService.createWorkflow(workflowData),
         `createWorkflow:${journey.name}`
@@ -367,10 +476,12 @@ class SyncOrchestration {
 
   /**
    * Update existing workflow
+   * @param {Object} journey
+   * @param {Object} existingWorkflow
+   * @param {Object} [workflowData] - Workflow to push instead of the mapped journey (a conflict resolution)
    */
-  async updateJourney(journey, existingWorkflow) {
+  async updateJourney(journey, existingWorkflow, workflowData = mapper.journeyToGHLWorkflow(journey)) {
     try {
-      const workflowData = mapper.journeyToGHLWorkflow(journey);
       const workflow = await rateLimiter.execute(
         () => ghlService.updateWorkflow(journey.ghlWorkflowId, workflowData),
         `updateWorkflow:${journey.name}`
@@ -396,6 +507,107 @@ class SyncOrchestration {
     }
   }
 
+  /**
+   * Push only what changed since the last sync: the workflow's own fields if
+   * they changed, each created or updated step, and a delete for each step
+   * whose touchpoint was removed
+   * @param {Object} journey
+   * @param {Object} entry - The journey's incremental plan entry
+   */
+  async pushChangedSteps(journey, entry) {
+    const workflowId = journey.ghlWorkflowId;
+    const workflow = mapper.journeyToGHLWorkflow(journey);
+    const pushed = { settings: false, steps: 0, deletedSteps: 0 };
+
+    try {
+      if (entry.settingsHash !== journey.syncState?.settingsHash) {
+        await rateLimiter.execute(
+          () => ghlService.updateWorkflowSettings(workflowId, workflow),
+          `updateWorkflowSettings:${journey.name}`
+        );
+        pushed.settings = true;
+      }
+
+      for (const touchpoint of entry.touchpoints) {
+        const stepId = mapper.stepId(touchpoint.id);
+
+        if (touchpoint.action === PlanAction.DELETE) {
+          await rateLimiter.execute(
+            () => ghlService.deleteWorkflowStep(workflowId, stepId),
+            `deleteWorkflowStep:${stepId}`
+          );
+          pushed.deletedSteps++;
+        } else if (touchpoint.action !== PlanAction.NOOP) {
+          // Unreachable touchpoints are left out of the workflow
+          const step = findWorkflowStep(workflow.steps, stepId);
+          if (!step) continue;
+          await rateLimiter.execute(
+            () => ghlService.upsertWorkflowStep(workflowId, step),
+            `upsertWorkflowStep:${stepId}`
+          );
+          pushed.steps++;
+        }
+      }
+
+      logger.success('Pushed changed workflow steps', { journeyId: journey.id, workflowId, ...pushed });
+
+      return {
+        success: true,
+        action: SyncType.UPDATE,
+        ghlWorkflowId: workflowId,
+        pushed
+      };
+    } catch (error) {
+      logger.error('Failed to push workflow steps', {
+        journeyId: journey.id,
+        workflowId,
+        error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete the GHL workflow of a journey that is no longer published
+   * @param {Object} journey
+   * @param {number} syncStartTime
+   */
+  async removeJourney(journey, syncStartTime) {
+    const workflowId = journey.ghlWorkflowId;
+
+    if (this.dryRun) {
+      logger.info(`[DRY RUN] Would delete GHL workflow of unpublished journey: ${journey.name}`, {
+        journeyId: journey.id,
+        workflowId
+      });
+      await this.createSyncHistory(journey, SyncType.SKIP, workflowId, 'Dry run - no changes made', syncStartTime);
+      this.stats.synced++;
+      return { journeyId: journey.id, success: true, dryRun: true };
+    }
+
+    try {
+      await rateLimiter.execute(
+        () => ghlService.deleteWorkflow(workflowId),
+        `deleteWorkflow:${journey.name}`
+      );
+    } catch (error) {
+      // Already gone from GHL: just forget it
+      if (error.status !== 404) {
+        logger.error('Failed to delete GHL workflow', { journeyId: journey.id, workflowId, error: error.message });
+        await this.createSyncHistory(journey, SyncType.DELETE, workflowId, error.message, Date.now() - syncStartTime);
+        this.stats.failed++;
+        return { journeyId: journey.id, success: false, action: SyncType.DELETE, error: error.message };
+      }
+    }
+
+    await databaseService.clearJourneyGHLSync(journey.id);
+    await this.createSyncHistory(journey, SyncType.DELETE, workflowId, null, Date.now() - syncStartTime);
+    this.stats.deleted++;
+    this.stats.synced++;
+
+    return { journeyId: journey.id, success: true, action: SyncType.DELETE, ghlWorkflowId: workflowId };
+  }
+
   /**
    * Update journey sync status in PostgreSQL
    */
@@ -407,6 +619,29 @@ class SyncOrchestration {
     }
   }
 
+  /**
+   * Store the hashes of what GHL now holds so the next run can skip the
+   * journey if it's unchanged. When GHL holds something other than Bloom's
+   * journey (a kept or resolved workflow), its hash is stored instead, with
+   * no step hashes unless it matches the journey; null clears the state.
+   * @param {string} journeyId
+   * @param {Object|null} entry - The journey's plan entry
+   * @param {Object} [inGhl] - Workflow GHL holds when it isn't the mapped journey
+   */
+  async saveSyncState(journeyId, entry, inGhl = null) {
+    try {
+      const hash = inGhl ? hashWorkflow(inGhl) : entry?.hash;
+      await databaseService.updateJourneySyncState(journeyId, entry && {
+        hash,
+        settingsHash: inGhl ? hashWorkflowSettings(inGhl) : entry.settingsHash,
+        touchpoints: hash === entry.hash ? entry.touchpointHashes : null,
+        syncedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to save sync state', { journeyId, error: error.message });
+    }
+  }
+
   /**
    * Create sync history record in PostgreSQL
    */
@@ -436,10 +671,7 @@ class SyncOrchestration {
    * Check if conflicts prevent sync
    */
   hasUnresolvedConflicts(conflicts) {
-    return conflicts.some(c => 
-      c.severity === 'high' && 
-      c.resolution === ConflictResolution.MANUAL
-    );
+    return conflictDetector.hasUnresolvedConflicts(conflicts);
   }
 
   /**
@@ -463,6 +695,70 @@ class SyncOrchestration {
     }
   }
 
+  /**
+   * Pull a journey's GHL workflow back into Bloom as a draft JourneyVersion,
+   * so edits made in GHL can be reviewed instead of overwritten. Nothing is
+   * saved when the workflow matches the journey.
+   * @param {string} journeyId
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Map and compare without saving
+   * @param {string} [options.createdBy]
+   * @returns {Promise<Object>} { journeyId, ghlWorkflowId, snapshot, comparison, edgesChanged, version }
+   */
+  async importFromGHL(journeyId, { dryRun = this.dryRun, createdBy = 'ghl-sync' } = {}) {
+    const journey = await databaseService.getJourneyRecord(journeyId);
+    if (!journey) {
+      throw new Error(`Journey ${journeyId} not found`);
+    }
+
+    const ghlWorkflowId = journey.metadata?.ghlWorkflowId;
+    if (!ghlWorkflowId) {
+      throw new Error('Journey has not been synced to GHL');
+    }
+
+    const workflow = await rateLimiter.execute(
+      () => ghlService.getWorkflowById(ghlWorkflowId),
+      `getWorkflow:${ghlWorkflowId}`
+    );
+    if (!workflow) {
+      throw new Error(`GHL workflow ${ghlWorkflowId} no longer exists`);
+    }
+
+    const { touchpoints, edges } = mapper.ghlWorkflowToJourneyGraph(workflow, journey.touchpoints);
+
+    // Only take fields GHL changed from what was pushed (names go out sanitized)
+    const changed = (ghlValue, pushedValue) => ghlValue !== undefined && ghlValue !== pushedValue;
+    const snapshot = {
+      journey: {
+        name: changed(workflow.name, mapper.sanitizeWorkflowName(journey.name)) ? workflow.name : journey.name,
+        description: changed(workflow.description, journey.description || '') ? workflow.description : journey.description,
+        category: journey.category,
+        triggerConfig: journey.triggerConfig,
+        goal: journey.goal
+      },
+      touchpoints,
+      edges,
+      source: { type: 'ghl_import', ghlWorkflowId, ghlUpdatedAt: workflow.updatedAt || null }
+    };
+
+    const comparison = compareJourneys(journey, { id: journey.id, ...snapshot.journey, touchpoints });
+    const links = (list) => list.map(e => `${e.sourceId}:${e.branch}:${e.targetId}`).sort().join();
+    const edgesChanged = links(journey.edges) !== links(edges);
+    const result = { journeyId, ghlWorkflowId, snapshot, comparison, edgesChanged, version: null };
+
+    if (dryRun || (!comparison.hasChanges && !edgesChanged)) {
+      logger.info('GHL import not saved', { journeyId, dryRun, hasChanges: comparison.hasChanges || edgesChanged });
+      return result;
+    }
+
+    const record = await databaseService.createDraftJourneyVersion(journeyId, snapshot, {
+      createdBy,
+      changeLog: `Imported from GHL workflow ${ghlWorkflowId}`
+    });
+
+    return { ...result, version: record.version };
+  }
+
   /**
    * Get sync history from PostgreSQL
    */
@@ -481,8 +777,10 @@ class SyncOrchestration {
       dryRun: this.dryRun,
       clientId: this.clientId,
       journeyId: this.journeyId,
+      since: this.since,
+      full: this.full,
       stats: this.stats,
-      pendingConflicts: conflictDetector.getAllConflicts()
+      pendingConflicts: this.conflicts.filter(c => c.status === ConflictStatus.OPEN)
     };
   }
 
@@ -0,0 +1,143 @@
+/**
+ * Sync Orchestration Tests
+ * Tests for incremental step pushes, unpublished journey removal and the
+ * sync state stored after a conflict resolution
+ */
+
+import { jest } from '@jest/globals';
+
+const databaseService = {
+  getResolvedSyncConflicts: jest.fn(async () => []),
+  markSyncConflictsApplied: jest.fn(async () => {}),
+  updateJourneySyncStatus: jest.fn(async () => true),
+  updateJourneySyncState: jest.fn(async () => true),
+  updateJourneyGHLId: jest.fn(async () => true),
+  clearJourneyGHLSync: jest.fn(async () => true),
+  createSyncHistoryRecord: jest.fn(async () => ({}))
+};
+
+const ghlService = {
+  getWorkflowById: jest.fn(),
+  createWorkflow: jest.fn(async () => ({ id: 'wf-new' })),
+  updateWorkflow: jest.fn(async () => ({})),
+  updateWorkflowSettings: jest.fn(async () => ({})),
+  upsertWorkflowStep: jest.fn(async () => ({})),
+  deleteWorkflowStep: jest.fn(async () => true),
+  deleteWorkflow: jest.fn(async () => true)
+};
+
+jest.unstable_mockModule('./database.js', () => ({ default: databaseService }));
+jest.unstable_mockModule('./ghl.js', () => ({ default: ghlService }));
+
+const { syncOrchestration } = await import('./sync.js');
+const { default: conflictDetector, ConflictResolution } = await import('../utils/conflict.js');
+const { PlanAction, planJourney, hashWorkflow } = await import('../utils/sync-plan.js');
+const { default: mapper } = await import('../utils/mapper.js');
+
+const touchpoint = (id, order, body = 'Hello there') => ({
+  id,
+  journeyId: 'j1',
+  name: `Touchpoint ${id}`,
+  type: 'Email',
+  order,
+  config: { delay: 0, delayUnit: 'hours', content: { subject: `Subject ${id}`, body }, templateId: '' },
+  nextTouchpointId: null
+});
+
+const journey = (touchpoints, overrides = {}) => ({
+  id: 'j1',
+  name: 'Welcome Series',
+  description: '',
+  status: 'Published',
+  clientId: 'c1',
+  version: 1,
+  ghlWorkflowId: 'wf-1',
+  touchpoints,
+  edges: [],
+  ...overrides
+});
+
+// The stored state a successful push of this journey leaves behind
+const syncedState = (synced) => {
+  const entry = planJourney(synced);
+  return { hash: entry.hash, settingsHash: entry.settingsHash, touchpoints: entry.touchpointHashes };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(conflictDetector, 'detectConflicts').mockReturnValue([]);
+  databaseService.getResolvedSyncConflicts.mockResolvedValue([]);
+  syncOrchestration.dryRun = false;
+});
+
+describe('syncJourney', () => {
+  it('pushes only the changed and removed steps of an incremental update', async () => {
+    const synced = journey([touchpoint('a', 0), touchpoint('b', 1), touchpoint('c', 2)]);
+    const edited = journey([touchpoint('a', 0, 'Hello again'), touchpoint('b', 1)], { syncState: syncedState(synced) });
+    ghlService.getWorkflowById.mockResolvedValue(mapper.journeyToGHLWorkflow(synced));
+
+    const entry = planJourney(edited);
+    const result = await syncOrchestration.syncJourney(edited, entry);
+
+    expect(entry.incremental).toBe(true);
+    expect(result.success).toBe(true);
+    expect(ghlService.updateWorkflow).not.toHaveBeenCalled();
+    expect(ghlService.updateWorkflowSettings).not.toHaveBeenCalled();
+    expect(ghlService.upsertWorkflowStep).toHaveBeenCalledTimes(1);
+    expect(ghlService.upsertWorkflowStep).toHaveBeenCalledWith('wf-1', expect.objectContaining({ id: 'step_a' }));
+    expect(ghlService.deleteWorkflowStep).toHaveBeenCalledWith('wf-1', 'step_c');
+    expect(databaseService.updateJourneySyncState).toHaveBeenCalledWith('j1', expect.objectContaining({
+      hash: entry.hash,
+      touchpoints: entry.touchpointHashes
+    }));
+  });
+
+  it('sends the whole workflow when there are no step hashes to compare', async () => {
+    const current = journey([touchpoint('a', 0)]);
+    ghlService.getWorkflowById.mockResolvedValue(mapper.journeyToGHLWorkflow(current));
+
+    await syncOrchestration.syncJourney(current, planJourney(current));
+
+    expect(ghlService.updateWorkflow).toHaveBeenCalledWith('wf-1', expect.objectContaining({ steps: [expect.any(Object)] }));
+    expect(ghlService.upsertWorkflowStep).not.toHaveBeenCalled();
+  });
+
+  it('deletes the workflow of an unpublished journey and forgets it', async () => {
+    const archived = journey([], { status: 'Archived', syncState: { hash: 'h', touchpoints: { a: 'ha' } } });
+
+    const entry = planJourney(archived);
+    const result = await syncOrchestration.syncJourney(archived, entry);
+
+    expect(entry.action).toBe(PlanAction.DELETE);
+    expect(result).toMatchObject({ success: true, action: 'Delete' });
+    expect(ghlService.deleteWorkflow).toHaveBeenCalledWith('wf-1');
+    expect(databaseService.clearJourneyGHLSync).toHaveBeenCalledWith('j1');
+    expect(databaseService.updateJourneySyncStatus).not.toHaveBeenCalled();
+  });
+
+  it('stores the hash of the GHL workflow it kept for a THEIRS resolution', async () => {
+    const bloom = journey([touchpoint('a', 0)]);
+    const ghl = { id: 'wf-1', updatedAt: '2026-10-01', ...mapper.journeyToGHLWorkflow(journey([touchpoint('a', 0, 'Edited in GHL')])) };
+    ghlService.getWorkflowById.mockResolvedValue(ghl);
+    databaseService.getResolvedSyncConflicts.mockResolvedValue([{ id: 'conflict-1', resolution: ConflictResolution.THEIRS }]);
+
+    const result = await syncOrchestration.syncJourney(bloom, planJourney(bloom, { full: true }));
+
+    expect(result.success).toBe(true);
+    expect(ghlService.updateWorkflow).not.toHaveBeenCalled();
+    const state = databaseService.updateJourneySyncState.mock.calls[0][1];
+    expect(state.hash).toBe(hashWorkflow(ghl));
+    expect(state.hash).not.toBe(planJourney(bloom).hash);
+    expect(state.touchpoints).toBeNull();
+  });
+
+  it('clears the stored state for a THEIRS resolution when the workflow is gone from GHL', async () => {
+    const bloom = journey([touchpoint('a', 0)]);
+    ghlService.getWorkflowById.mockResolvedValue(null);
+    databaseService.getResolvedSyncConflicts.mockResolvedValue([{ id: 'conflict-1', resolution: ConflictResolution.THEIRS }]);
+
+    await syncOrchestration.syncJourney(bloom, planJourney(bloom));
+
+    expect(databaseService.updateJourneySyncState).toHaveBeenCalledWith('j1', null);
+  });
+});
@@ -1,10 +1,16 @@
 /**
  * Conflict Detection Utility
- * Detects and handles conflicts between Bloom (PostgreSQL) and GHL versions
+ * Detects conflicts between Bloom (PostgreSQL) and GHL versions and records
+ * them in the sync_conflicts table, with both workflow snapshots and a
+ * field-level diff. Editors resolve them through journey-api (the
+ * visualizer or `ghl-sync resolve`); the next sync applies the resolution.
  */
 
 import logger from './logger.js';
+import mapper from './mapper.js';
+import databaseService from '../services/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import { diffWorkflows } from '@bloom/data/conflict-diff';
 
 export const ConflictType = {
   EXTERNAL_MODIFICATION: 'external_modification',
@@ -14,35 +20,60 @@ export const ConflictType = {
   MISSING_IN_DB: 'missing_in_db'
 };
 
+// Mirrors journey-api's SyncConflictStatus
+export const ConflictStatus = {
+  OPEN: 'open',         // Blocks the sync when severity is high
+  RESOLVED: 'resolved', // The next sync pushes resolvedSnapshot
+  APPLIED: 'applied'
+};
+
+// Mirrors journey-api's SyncConflictResolution
 export const ConflictResolution = {
-  SKIP: 'skip',
-  OVERWRITE: 'overwrite',
-  MERGE: 'merge',
-  MANUAL: 'manual'
+  OURS: 'ours',     // Push Bloom's workflow
+  THEIRS: 'theirs', // Keep GHL's workflow
+  MERGE: 'merge'    // Push the per-field merge
 };
 
 export class ConflictDetector {
-  constructor() {
-    this.conflicts = new Map();
+  /**
+   * Conflict record shared by every check: who it is about, the workflow
+   * Bloom would push, the one in GHL and how they differ
+   */
+  buildConflict(journey, ghlWorkflow, fields) {
+    const bloomSnapshot = mapper.journeyToGHLWorkflow(journey);
+
+    return {
+      id: uuidv4(),
+      journeyId: journey.id,
+      journeyName: journey.name,
+      clientId: journey.clientId,
+      ghlWorkflowId: ghlWorkflow?.id || journey.ghlWorkflowId || null,
+      status: ConflictStatus.OPEN,
+      bloomSnapshot,
+      ghlSnapshot: ghlWorkflow || null,
+      diff: ghlWorkflow ? diffWorkflows(bloomSnapshot, ghlWorkflow) : [],
+      ...fields
+    };
   }
 
   /**
-   * Detect conflicts between Airtable journey and GHL workflow
+   * Detect conflicts between a journey and its GHL workflow
    */
   detectConflicts(journey, ghlWorkflow) {
     const conflicts = [];
 
-    // Check if GHL workflow exists
+    // A journey that was never synced has nothing to conflict with
+    if (!ghlWorkflow && !journey.ghlWorkflowId) {
+      return conflicts;
+    }
+
+    // Check if the linked GHL workflow still exists
     if (!ghlWorkflow) {
-      const conflict = {
-        id: uuidv4(),
+      const conflict = this.buildConflict(journey, null, {
         type: ConflictType.MISSING_IN_GHL,
-        journeyId: journey.id,
-        journeyName: journey.name,
-        message: 'Journey exists in Airtable but not in GHL',
-        severity: 'warning',
-        resolution: ConflictResolution.CREATE
-      };
+        message: 'Journey is linked to a GHL workflow that no longer exists',
+        severity: 'warning'
+      });
       conflicts.push(conflict);
       logger.info('Conflict detected: Journey missing in GHL', { 
         journeyId: journey.id 
@@ -97,21 +128,16 @@ export class ConflictDetector {
 
     // If GHL modified is more recent than last sync AND after Airtable modified
     if (ghlModified > lastSync && ghlModified > airtableModified) {
-      const conflict = {
-        id: uuidv4(),
+      const conflict = this.buildConflict(journey, ghlWorkflow, {
         type: ConflictType.EXTERNAL_MODIFICATION,
-        journeyId: journey.id,
-        journeyName: journey.name,
-        ghlWorkflowId: ghlWorkflow.id,
         message: 'GHL workflow was modified outside the system',
         severity: 'high',
-        resolution: ConflictResolution.MANUAL,
         details: {
           airtableModified: journey.lastModified,
           ghlModified: ghlWorkflow.updatedAt,
           lastSync: journey.lastSync
         }
-      };
+      });
 
       logger.warn('External modification detected', {
         journeyId: journey.id,
@@ -133,20 +159,15 @@ export class ConflictDetector {
     const ghlVersion = ghlWorkflow.settings?.journeyVersion || 1;
 
     if (ghlVersion > airtableVersion) {
-      const conflict = {
-        id: uuidv4(),
+      const conflict = this.buildConflict(journey, ghlWorkflow, {
         type: ConflictType.VERSION_MISMATCH,
-        journeyId: journey.id,
-        journeyName: journey.name,
-        ghlWorkflowId: ghlWorkflow.id,
         message: 'GHL workflow version is ahead of Airtable version',
         severity: 'medium',
-        resolution: ConflictResolution.MERGE,
         details: {
           airtableVersion,
           ghlVersion
         }
-      };
+      });
 
       logger.warn('Version mismatch detected', {
         journeyId: journey.id,
@@ -168,20 +189,15 @@ export class ConflictDetector {
     const ghlSteps = ghlWorkflow.steps?.length || 0;
 
     if (airtableSteps !== ghlSteps) {
-      const conflict = {
-        id: uuidv4(),
+      const conflict = this.buildConflict(journey, ghlWorkflow, {
         type: ConflictType.CONCURRENT_EDIT,
-        journeyId: journey.id,
-        journeyName: journey.name,
-        ghlWorkflowId: ghlWorkflow.id,
         message: `Step count mismatch: Airtable has ${airtableSteps} steps, GHL has ${ghlSteps} steps`,
         severity: 'low',
-        resolution: ConflictResolution.OVERWRITE,
         details: {
           airtableSteps,
           ghlSteps
         }
-      };
+      });
 
       logger.info('Step count difference detected', {
         journeyId: journey.id,
@@ -196,78 +212,49 @@ export class ConflictDetector {
   }
 
   /**
-   * Register a conflict for tracking
+   * Store detected conflicts. Returns the stored records, which carry the
+   * IDs editors resolve them by.
    */
-  registerConflict(journeyId, conflict) {
-    if (!this.conflicts.has(journeyId)) {
-      this.conflicts.set(journeyId, []);
+  async recordConflicts(conflicts) {
+    const records = [];
+    for (const conflict of conflicts) {
+      const record = await databaseService.recordSyncConflict(conflict);
+      records.push({ ...record, journeyName: conflict.journeyName });
     }
-    this.conflicts.get(journeyId).push(conflict);
-    return conflict;
+    return records;
   }
 
   /**
-   * Get all conflicts for a journey
+   * Resolved conflicts for a journey that the sync still has to apply,
+   * latest resolution first
    */
-  getConflicts(journeyId) {
-    return this.conflicts.get(journeyId) || [];
+  async getResolvedConflicts(journeyId) {
+    return databaseService.getResolvedSyncConflicts(journeyId);
   }
 
   /**
-   * Get all conflicts
+   * Mark conflicts applied after their resolution was synced
    */
-  getAllConflicts() {
-    const allConflicts = [];
-    for (const [journeyId, conflicts] of this.conflicts) {
-      for (const conflict of conflicts) {
-        allConflicts.push({ journeyId, ...conflict });
-      }
-    }
-    return allConflicts;
-  }
-
-  /**
-   * Resolve a conflict
-   */
-  resolveConflict(conflictId, resolution) {
-    for (const [journeyId, conflicts] of this.conflicts) {
-      const conflictIndex = conflicts.findIndex(c => c.id === conflictId);
-      if (conflictIndex !== -1) {
-        conflicts[conflictIndex].resolution = resolution;
-        conflicts[conflictIndex].resolvedAt = new Date().toISOString();
-        
-        logger.info('Conflict resolved', { 
-          conflictId, 
-          journeyId, 
-          resolution 
-        });
-
-        return conflicts[conflictIndex];
-      }
-    }
-    return null;
-  }
+  async markApplied(conflicts) {
+    if (conflicts.length === 0) return;
 
-  /**
-   * Clear all conflicts
-   */
-  clearConflicts() {
-    this.conflicts.clear();
+    await databaseService.markSyncConflictsApplied(conflicts.map(c => c.id));
+    logger.info('Conflict resolutions applied', {
+      conflictIds: conflicts.map(c => c.id)
+    });
   }
 
   /**
-   * Check if journey has unresolved conflicts
+   * Check if any conflict blocks the sync
    */
-  hasUnresolvedConflicts(journeyId) {
-    const conflicts = this.getConflicts(journeyId);
-    return conflicts.some(c => c.resolution === ConflictResolution.MANUAL);
+  hasUnresolvedConflicts(conflicts) {
+    return conflicts.some(c => c.severity === 'high' && c.status === ConflictStatus.OPEN);
   }
 
   /**
-   * Generate conflict report
+   * Generate a conflict report
    */
-  generateReport() {
-    const conflicts = this.getAllConflicts();
+  generateReport(conflicts = []) {
     const report = {
       totalConflicts: conflicts.length,
       byType: {},
@@ -285,10 +272,10 @@ export class ConflictDetector {
       report.bySeverity[conflict.severity] = (report.bySeverity[conflict.severity] || 0) + 1;
 
       // Count resolved/unresolved
-      if (conflict.resolvedAt) {
-        report.resolved++;
-      } else {
+      if (conflict.status === ConflictStatus.OPEN) {
         report.unresolved++;
+      } else {
+        report.resolved++;
       }
     }
 
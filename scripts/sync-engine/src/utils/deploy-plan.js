@@ -0,0 +1,162 @@
+/**
+ * Deploy Plan
+ * The exact GHL template operations a deployment will run, built from the
+ * journey's touchpoints and the templates found in GHL. Each operation keeps
+ * the template it found and its hash, so a reviewed plan can be applied as
+ * shown and refused once GHL has drifted from it.
+ */
+
+import { PlanAction, hashContent } from './sync-plan.js';
+
+// Bump when the plan file shape changes; apply refuses other formats
+export const DEPLOY_PLAN_FORMAT = 1;
+
+// Mirrors journey-api's DeployPlanStatus
+export const DeployPlanStatus = {
+  PENDING: 'pending',   // Waiting for sign-off in the visualizer
+  APPROVED: 'approved', // Can be applied
+  REJECTED: 'rejected',
+  APPLIED: 'applied'
+};
+
+export class TemplateResource {
+  static EMAIL = 'email_template';
+  static SMS = 'sms_template';
+}
+
+/**
+ * Which GHL template a touchpoint publishes to. Like batchPublishJourney,
+ * anything that isn't SMS is an email.
+ */
+export function templateResourceFor(touchpoint) {
+  return touchpoint.type === 'SMS' || touchpoint.type === 'sms' ? TemplateResource.SMS : TemplateResource.EMAIL;
+}
+
+/**
+ * The template payload a touchpoint publishes, as the publisher sends it
+ * @param {Object} touchpoint - { name, type, content }
+ * @returns {Object} Email { name, subject, previewText, html } or SMS { name, content }
+ */
+export function desiredTemplate(touchpoint) {
+  const content = touchpoint.content || {};
+
+  if (templateResourceFor(touchpoint) === TemplateResource.SMS) {
+    return { name: touchpoint.name, content: content.body || content.message || '' };
+  }
+
+  return {
+    name: touchpoint.name,
+    subject: content.subject || '',
+    previewText: content.previewText || '',
+    html: content.html || content.body || ''
+  };
+}
+
+/**
+ * A template as GHL returns it, reduced to the payload fields so the two compare
+ * @param {string} resource - TemplateResource value
+ * @param {Object|null} template
+ * @returns {Object|null}
+ */
+export function normalizeRemoteTemplate(resource, template) {
+  if (!template) return null;
+
+  if (resource === TemplateResource.SMS) {
+    return { name: template.name, content: template.body ?? template.template?.body ?? '' };
+  }
+
+  return {
+    name: template.name,
+    subject: template.subject || '',
+    previewText: template.metaDescription ?? template.previewText ?? '',
+    html: template.html || template.body || ''
+  };
+}
+
+/**
+ * Plan one touchpoint's template: create it, update it, or leave it
+ * @param {Object} touchpoint - { id, name, type, content }
+ * @param {Object|null} remote - { id, template } found in GHL (template normalized), or null
+ * @returns {Object} Operation
+ */
+export function buildOperation(touchpoint, remote) {
+  const payload = desiredTemplate(touchpoint);
+  const before = remote?.template || null;
+
+  let action = PlanAction.UPDATE;
+  if (!remote) action = PlanAction.CREATE;
+  else if (hashContent(before) === hashContent(payload)) action = PlanAction.NOOP;
+
+  return {
+    touchpointId: touchpoint.id,
+    touchpointName: touchpoint.name,
+    resource: templateResourceFor(touchpoint),
+    action,
+    templateId: remote?.id || null,
+    payload,
+    before,
+    remoteHash: before ? hashContent(before) : null
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} options.clientSlug
+ * @param {Object} options.journey - { id, name, version }
+ * @param {Object[]} options.operations - buildOperation results
+ * @param {Date} [options.now]
+ * @returns {Object} Plan, as written to --plan-out
+ */
+export function buildDeployPlan({ id, clientSlug, journey, operations, now = new Date() }) {
+  const summary = { create: 0, update: 0, noop: 0 };
+  for (const operation of operations) {
+    summary[operation.action]++;
+  }
+
+  return {
+    format: DEPLOY_PLAN_FORMAT,
+    id,
+    clientSlug,
+    journeyId: journey.id,
+    journeyName: journey.name,
+    journeyVersion: journey.version ?? null,
+    createdAt: now.toISOString(),
+    summary,
+    operations
+  };
+}
+
+/**
+ * Hash of the whole plan, recorded with it so apply can tell the file was edited
+ */
+export function hashPlan(plan) {
+  return hashContent(plan);
+}
+
+/**
+ * Operations whose template in GHL no longer matches what the plan found:
+ * changed or deleted since, or created under the name a create would use
+ * @param {Object} plan
+ * @param {Array<Object|null>} current - { id, template } per operation, as found now
+ * @returns {Object[]} { touchpointId, touchpointName, resource, templateId, expected, actual }
+ */
+export function findDrift(plan, current) {
+  return plan.operations.flatMap((operation, index) => {
+    const remote = current[index] || null;
+    const actual = remote?.template ? hashContent(remote.template) : null;
+
+    if (actual === operation.remoteHash && (remote?.id || null) === operation.templateId) {
+      return [];
+    }
+
+    return [{
+      touchpointId: operation.touchpointId,
+      touchpointName: operation.touchpointName,
+      resource: operation.resource,
+      templateId: operation.templateId || remote?.id || null,
+      expected: operation.remoteHash,
+      actual
+    }];
+  });
+}
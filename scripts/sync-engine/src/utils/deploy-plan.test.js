@@ -0,0 +1,103 @@
+/**
+ * Deploy Plan Tests
+ * Tests for template operations, plan summaries and drift detection
+ */
+
+import {
+  TemplateResource,
+  buildDeployPlan,
+  buildOperation,
+  findDrift,
+  hashPlan,
+  normalizeRemoteTemplate
+} from './deploy-plan.js';
+
+const email = (id, body = '<p>Hello</p>') => ({
+  id,
+  name: `Email ${id}`,
+  type: 'Email',
+  content: { subject: `Subject ${id}`, body }
+});
+
+const sms = (id, body = 'Hi there') => ({ id, name: `SMS ${id}`, type: 'SMS', content: { body } });
+
+// A template as GHL returns it, found for the touchpoint
+const remoteEmail = (touchpoint, html = touchpoint.content.body) => ({
+  id: `tmpl-${touchpoint.id}`,
+  template: normalizeRemoteTemplate(TemplateResource.EMAIL, {
+    name: touchpoint.name,
+    subject: touchpoint.content.subject,
+    metaDescription: '',
+    html
+  })
+});
+
+const makePlan = (operations) => buildDeployPlan({
+  id: 'plan-1',
+  clientSlug: 'cameron-estate',
+  journey: { id: 'j1', name: 'Welcome Series', version: 3 },
+  operations,
+  now: new Date('2026-10-18T12:00:00Z')
+});
+
+describe('buildOperation', () => {
+  it('creates templates GHL does not have', () => {
+    const op = buildOperation(sms('a'), null);
+
+    expect(op).toMatchObject({
+      resource: TemplateResource.SMS,
+      action: 'create',
+      templateId: null,
+      payload: { name: 'SMS a', content: 'Hi there' },
+      before: null,
+      remoteHash: null
+    });
+  });
+
+  it('updates changed templates and leaves matching ones alone', () => {
+    const touchpoint = email('a', '<p>Hello again</p>');
+
+    const changed = buildOperation(touchpoint, remoteEmail(touchpoint, '<p>Hello</p>'));
+    const same = buildOperation(touchpoint, remoteEmail(touchpoint));
+
+    expect(changed.action).toBe('update');
+    expect(changed.templateId).toBe('tmpl-a');
+    expect(changed.before.html).toBe('<p>Hello</p>');
+    expect(changed.payload.html).toBe('<p>Hello again</p>');
+    expect(same.action).toBe('noop');
+  });
+});
+
+describe('buildDeployPlan', () => {
+  it('summarizes operations and hashes stably', () => {
+    const a = email('a');
+    const plan = makePlan([buildOperation(a, remoteEmail(a)), buildOperation(sms('b'), null)]);
+
+    expect(plan.summary).toEqual({ create: 1, update: 0, noop: 1 });
+    expect(plan.createdAt).toBe('2026-10-18T12:00:00.000Z');
+    expect(hashPlan(JSON.parse(JSON.stringify(plan)))).toBe(hashPlan(plan));
+  });
+});
+
+describe('findDrift', () => {
+  const a = email('a', '<p>New</p>');
+  const plan = makePlan([buildOperation(a, remoteEmail(a, '<p>Old</p>')), buildOperation(sms('b'), null)]);
+
+  it('finds nothing when GHL still matches the plan', () => {
+    expect(findDrift(plan, [remoteEmail(a, '<p>Old</p>'), null])).toEqual([]);
+  });
+
+  it('flags templates edited in GHL or created under a planned name', () => {
+    const drift = findDrift(plan, [
+      remoteEmail(a, '<p>Edited in GHL</p>'),
+      { id: 'tmpl-b', template: { name: 'SMS b', content: 'Made by hand' } }
+    ]);
+
+    expect(drift.map(d => [d.touchpointId, d.templateId])).toEqual([['a', 'tmpl-a'], ['b', 'tmpl-b']]);
+    expect(drift[1].expected).toBeNull();
+  });
+
+  it('flags templates deleted from GHL', () => {
+    expect(findDrift(plan, [null, null]).map(d => d.touchpointId)).toEqual(['a']);
+  });
+});
@@ -103,6 +103,8 @@ class Logger {
     console.log(`  ${chalk.red('✗')} Failed: ${syncResult.failed}`);
     console.log(`  ${chalk.blue('→')} Created: ${syncResult.created}`);
     console.log(`  ${chalk.blue('↻')} Updated: ${syncResult.updated}`);
+    console.log(`  ${chalk.red('-')} Deleted: ${syncResult.deleted ?? 0}`);
+    console.log(`  ${chalk.gray('=')} Unchanged: ${syncResult.unchanged ?? 0}`);
     console.log(`  ${chalk.cyan('⏱')} Duration: ${syncResult.duration}ms`);
     console.log(chalk.cyan('═'.repeat(50)) + '\n');
   }
@@ -3,9 +3,19 @@
  * Transforms Airtable data to GHL-compatible formats
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import { TouchpointType, StepType } from '../models/touchpoint.js';
 import logger from './logger.js';
 
+// Drop unset keys so imported content and config don't gain undefined fields
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+// Bodies pushed from PostgreSQL journeys carry the whole touchpoint content
+// object (see transformTouchpoint), so take the text back out of it
+const textOf = (value) => (value && typeof value === 'object' ? value.body : value);
+
 class Mapper {
   /**
    * Map journey to GHL workflow
@@ -27,7 +37,9 @@ class Mapper {
     };
 
     if (journey.touchpoints && journey.touchpoints.length > 0) {
-      workflow.steps = this.touchpointsToGHLSequence(journey.touchpoints);
+      workflow.steps = journey.edges?.length > 0
+        ? this.graphToGHLSteps(journey.touchpoints, journey.edges)
+        : this.touchpointsToGHLSequence(journey.touchpoints);
     }
 
     logger.debug('Mapped journey to GHL workflow', { 
@@ -54,13 +66,122 @@ class Mapper {
     return steps;
   }
 
+  /**
+   * Map a branching journey graph to GHL workflow steps. Condition
+   * touchpoints become if/else blocks: every branch other than "no"/"default"
+   * is an if branch and "no" (or "default") is the else branch. Paths that
+   * join again continue after the block instead of being repeated.
+   * @param {Array} touchpoints - Sync-format touchpoints
+   * @param {Array} edges - { sourceId, targetId, branch, label, condition, orderIndex }
+   */
+  graphToGHLSteps(touchpoints, edges) {
+    const byId = new Map(touchpoints.map(tp => [tp.id, tp]));
+    const outgoing = new Map();
+    const targets = new Set();
+
+    for (const edge of [...edges].sort((a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0))) {
+      if (!byId.has(edge.sourceId) || !byId.has(edge.targetId)) continue;
+      if (!outgoing.has(edge.sourceId)) outgoing.set(edge.sourceId, []);
+      outgoing.get(edge.sourceId).push(edge);
+      targets.add(edge.targetId);
+    }
+
+    const roots = touchpoints
+      .filter(tp => !targets.has(tp.id))
+      .sort((a, b) => a.order - b.order);
+    if (roots.length === 0) {
+      logger.warn('Journey graph has no starting touchpoint, using touchpoint order');
+      return this.touchpointsToGHLSequence(touchpoints);
+    }
+
+    const visited = new Set();
+    let order = 0;
+
+    const reachable = (startId) => {
+      const seen = [];
+      const queue = [startId];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        if (seen.includes(id)) continue;
+        seen.push(id);
+        (outgoing.get(id) || []).forEach(edge => queue.push(edge.targetId));
+      }
+      return seen;
+    };
+
+    // First touchpoint every path reaches, in order of the first path
+    const findMerge = (startIds) => {
+      if (startIds.length < 2) return null;
+      const [first, ...rest] = startIds.map(reachable);
+      return first.find(id => rest.every(ids => ids.includes(id))) || null;
+    };
+
+    const buildChain = (startId, stopId) => {
+      const steps = [];
+      let id = startId;
+
+      while (id && id !== stopId && !visited.has(id)) {
+        visited.add(id);
+        const touchpoint = byId.get(id);
+        const step = this.touchpointToGHLStep(touchpoint, order++);
+        steps.push(step);
+
+        const links = outgoing.get(id) || [];
+        if (step.type !== StepType.CONDITION) {
+          id = links.find(edge => edge.branch === 'default')?.targetId;
+          continue;
+        }
+
+        const elseLink = links.find(edge => edge.branch === 'no') ||
+          links.find(edge => edge.branch === 'default');
+        const ifLinks = links.filter(edge => edge !== elseLink && edge.branch !== 'default');
+        const merge = findMerge([...ifLinks, elseLink].filter(Boolean).map(edge => edge.targetId));
+
+        step.data = {
+          condition: touchpoint.config.condition || '',
+          branches: ifLinks.map(edge => ({
+            branch: edge.branch,
+            name: edge.label || edge.branch,
+            condition: edge.condition || touchpoint.config.condition || '',
+            steps: buildChain(edge.targetId, merge)
+          })),
+          elseBranch: elseLink
+            ? { branch: elseLink.branch, name: elseLink.label || elseLink.branch, steps: buildChain(elseLink.targetId, merge) }
+            : { branch: 'no', name: 'no', steps: [], action: 'end' }
+        };
+
+        id = merge;
+      }
+
+      return steps;
+    };
+
+    const steps = buildChain(roots[0].id, null);
+
+    const skipped = touchpoints.filter(tp => !visited.has(tp.id));
+    if (skipped.length > 0) {
+      logger.warn('Touchpoints not reachable from the journey start were left out of the workflow', {
+        touchpoints: skipped.map(tp => tp.name)
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * GHL step id of a touchpoint
+   */
+  stepId(touchpointId) {
+    return `step_${touchpointId}`;
+  }
+
   /**
    * Map single touchpoint to GHL step
    */
   touchpointToGHLStep(touchpoint, index) {
     const stepType = this.mapTouchpointTypeToStepType(touchpoint.type);
     const step = {
-      id: `step_${touchpoint.id}`,
+      id: this.stepId(touchpoint.id),
       order: index,
       type: stepType,
       name: touchpoint.name,
@@ -294,6 +415,178 @@ class Mapper {
     return config;
   }
 
+  /**
+   * Map a GHL workflow back to a journey graph, in the shape JourneyVersion
+   * snapshots store: touchpoint rows and edges. If/else blocks become a
+   * condition touchpoint with one edge per branch, and the last step of each
+   * branch links to the step after the block.
+   *
+   * Steps pushed from Bloom (step_<touchpointId>) keep their touchpoint's ID
+   * and the fields GHL doesn't carry, such as position. Steps added in GHL
+   * get new IDs.
+   * @param {Object} workflow - GHL workflow with steps
+   * @param {Array} [currentTouchpoints] - The journey's touchpoint rows
+   * @returns {{ touchpoints: Array, edges: Array }}
+   */
+  ghlWorkflowToJourneyGraph(workflow, currentTouchpoints = []) {
+    const current = new Map(currentTouchpoints.map(tp => [tp.id, tp]));
+    const touchpoints = [];
+    const edges = [];
+    const outlets = new Map();
+
+    const link = (end, targetId) => {
+      const orderIndex = outlets.get(end.sourceId) || 0;
+      outlets.set(end.sourceId, orderIndex + 1);
+      edges.push({
+        sourceId: end.sourceId,
+        targetId,
+        branch: end.branch,
+        label: end.label || null,
+        condition: end.condition || null,
+        orderIndex
+      });
+    };
+
+    // Map a chain of steps that the open path ends lead into, returning the
+    // ends that leave it
+    const walk = (steps, ends) => {
+      let open = ends;
+
+      for (const step of steps) {
+        const touchpointId = step.id?.startsWith('step_') ? step.id.slice('step_'.length) : null;
+        const claimed = touchpoints.some(tp => tp.id === touchpointId);
+        const touchpoint = this.ghlStepToTouchpoint(
+          step,
+          claimed ? null : current.get(touchpointId),
+          touchpoints.length
+        );
+        touchpoints.push(touchpoint);
+        open.forEach(end => link(end, touchpoint.id));
+
+        if (step.type !== StepType.CONDITION) {
+          open = [{ sourceId: touchpoint.id, branch: 'default' }];
+          continue;
+        }
+
+        const { condition = '', branches, elseBranch } = step.data || {};
+        if (!branches) {
+          // Condition without branches: continue when true, end otherwise
+          open = [{ sourceId: touchpoint.id, branch: 'yes' }];
+          continue;
+        }
+
+        const pathInto = (branch, fallback) => {
+          const name = branch.branch || fallback;
+          return {
+            sourceId: touchpoint.id,
+            branch: name,
+            label: branch.name !== name ? branch.name : null,
+            condition: branch.condition !== condition ? branch.condition : null
+          };
+        };
+
+        open = branches.flatMap((branch, index) =>
+          walk(branch.steps || [], [pathInto(branch, index === 0 ? 'yes' : `branch_${index + 1}`)])
+        );
+        if (elseBranch && (elseBranch.action !== 'end' || elseBranch.steps?.length > 0)) {
+          open.push(...walk(elseBranch.steps || [], [pathInto(elseBranch, 'no')]));
+        }
+      }
+
+      return open;
+    };
+
+    walk(workflow.steps || [], []);
+
+    // Older readers follow nextTouchpointId along the default links
+    for (const edge of edges.filter(e => e.branch === 'default')) {
+      touchpoints.find(tp => tp.id === edge.sourceId).nextTouchpointId = edge.targetId;
+    }
+
+    logger.debug('Mapped GHL workflow to journey graph', {
+      ghlWorkflowId: workflow.id,
+      touchpointCount: touchpoints.length,
+      edgeCount: edges.length
+    });
+
+    return { touchpoints, edges };
+  }
+
+  /**
+   * Map a GHL step to a touchpoint row, on top of the touchpoint it was
+   * pushed from when there is one
+   * @param {Object} step - GHL step
+   * @param {Object|null} existing - Touchpoint row the step came from
+   * @param {number} orderIndex
+   */
+  ghlStepToTouchpoint(step, existing, orderIndex) {
+    const known = Object.values(StepType).includes(step.type);
+    const type = known
+      ? this.mapStepTypeToTouchpointType(step.type).toLowerCase()
+      : TouchpointType.NOTE.toLowerCase();
+    const data = step.data || {};
+    const content = existing?.content ? { ...existing.content } : { type };
+    const config = { ...(existing?.config || {}) };
+    let ghlTemplateId = existing?.ghlTemplateId ?? null;
+
+    switch (step.type) {
+      case StepType.EMAIL:
+        Object.assign(content, compact({ subject: data.subject, body: textOf(data.body) }));
+        ghlTemplateId = data.templateId || ghlTemplateId;
+        break;
+
+      case StepType.SMS:
+        Object.assign(content, compact({ body: textOf(data.body) }));
+        ghlTemplateId = data.templateId || ghlTemplateId;
+        break;
+
+      case StepType.TASK:
+        Object.assign(content, compact({ body: textOf(data.description) }));
+        Object.assign(config, compact({ assignee: data.assignee, dueIn: data.dueIn, priority: data.priority }));
+        break;
+
+      case StepType.WAIT:
+        Object.assign(config, compact({ delay: data.amount, delayUnit: data.unit && this.mapDelayUnit(data.unit) }));
+        break;
+
+      case StepType.CONDITION:
+        Object.assign(config, compact({ condition: data.condition }));
+        break;
+
+      case StepType.TRIGGER:
+        Object.assign(config, compact({ triggerType: data.triggerType, triggerData: data.triggerData }));
+        break;
+
+      case StepType.CALL:
+        Object.assign(content, compact({ body: textOf(data.description) }));
+        Object.assign(config, compact({ assignee: data.assignee, duration: data.duration }));
+        break;
+
+      case StepType.NOTE:
+        Object.assign(content, compact({ body: textOf(data.content) }));
+        break;
+
+      default:
+        // GHL actions Bloom has no touchpoint for are kept as notes
+        logger.warn('Unsupported GHL step imported as a note', { stepId: step.id, stepType: step.type });
+        content.body = `GHL ${step.type} step`;
+        config.ghlStep = { type: step.type, data };
+    }
+
+    return {
+      id: existing?.id || uuidv4(),
+      name: step.name || data.title || existing?.name || `Step ${orderIndex + 1}`,
+      type,
+      orderIndex,
+      content,
+      config,
+      position: existing?.position ?? null,
+      ghlTemplateId,
+      status: existing?.status || 'draft',
+      nextTouchpointId: null
+    };
+  }
+
   /**
    * Create email template from journey data
    */
@@ -0,0 +1,206 @@
+/**
+ * Mapper Tests
+ * Tests for mapping branching journey graphs to GHL if/else steps and back
+ */
+
+import { mapper } from './mapper.js';
+
+const touchpoint = (id, type, order, config = {}) => ({
+  id,
+  name: id,
+  type,
+  order,
+  config: { content: '', ...config }
+});
+
+const touchpoints = [
+  touchpoint('welcome', 'Email', 0),
+  touchpoint('opened', 'Condition', 1, { condition: 'email.opened' }),
+  touchpoint('call', 'Call', 2),
+  touchpoint('nudge', 'SMS', 3),
+  touchpoint('followup', 'Email', 4)
+];
+
+const edge = (sourceId, targetId, branch = 'default', extra = {}) => ({ sourceId, targetId, branch, ...extra });
+
+describe('Mapper', () => {
+  describe('journeyToGHLWorkflow', () => {
+    it('keeps the linear sequence when the journey has no edges', () => {
+      const workflow = mapper.journeyToGHLWorkflow({ id: 'j1', name: 'Journey', touchpoints });
+
+      expect(workflow.steps.map(step => step.id)).toEqual([
+        'step_welcome', 'step_opened', 'step_call', 'step_nudge', 'step_followup'
+      ]);
+    });
+
+    it('maps condition branches to an if/else block that rejoins', () => {
+      const workflow = mapper.journeyToGHLWorkflow({
+        id: 'j1',
+        name: 'Journey',
+        touchpoints,
+        edges: [
+          edge('welcome', 'opened'),
+          edge('opened', 'call', 'yes', { label: 'Opened' }),
+          edge('opened', 'nudge', 'no'),
+          edge('call', 'followup'),
+          edge('nudge', 'followup')
+        ]
+      });
+
+      expect(workflow.steps.map(step => step.id)).toEqual(['step_welcome', 'step_opened', 'step_followup']);
+
+      const condition = workflow.steps[1];
+      expect(condition.type).toBe('conditional');
+      expect(condition.data.condition).toBe('email.opened');
+      expect(condition.data.branches).toHaveLength(1);
+      expect(condition.data.branches[0].name).toBe('Opened');
+      expect(condition.data.branches[0].steps.map(step => step.id)).toEqual(['step_call']);
+      expect(condition.data.elseBranch.steps.map(step => step.id)).toEqual(['step_nudge']);
+    });
+
+    it('supports named branches and ends paths without an else link', () => {
+      const workflow = mapper.journeyToGHLWorkflow({
+        id: 'j1',
+        name: 'Journey',
+        touchpoints,
+        edges: [
+          edge('welcome', 'opened'),
+          edge('opened', 'call', 'hot', { condition: 'score > 80' }),
+          edge('opened', 'nudge', 'warm', { condition: 'score > 40' })
+        ]
+      });
+
+      const condition = workflow.steps[1];
+      expect(condition.data.branches.map(b => [b.branch, b.condition])).toEqual([
+        ['hot', 'score > 80'],
+        ['warm', 'score > 40']
+      ]);
+      expect(condition.data.elseBranch).toEqual({ branch: 'no', name: 'no', steps: [], action: 'end' });
+      expect(workflow.steps).toHaveLength(2);
+    });
+  });
+});
+
+describe('Mapper.ghlWorkflowToJourneyGraph', () => {
+  const row = (id, type, orderIndex, content = {}, config = {}) => ({
+    id,
+    name: id,
+    type,
+    orderIndex,
+    content: { type, ...content },
+    config,
+    position: { x: orderIndex * 100, y: 0 },
+    ghlTemplateId: null,
+    status: 'approved',
+    nextTouchpointId: null
+  });
+
+  const linkOf = (edge) => [edge.sourceId, edge.branch, edge.targetId];
+
+  it('imports waits, emails, SMS and tasks edited in GHL onto their touchpoints', () => {
+    const workflow = mapper.journeyToGHLWorkflow({
+      id: 'j1',
+      name: 'Journey',
+      touchpoints: [
+        touchpoint('welcome', 'Email', 0, { subject: 'Hi', content: 'Welcome!' }),
+        touchpoint('pause', 'Wait', 1, { delay: 2, delayUnit: 'days' }),
+        touchpoint('nudge', 'SMS', 2, { content: 'Still there?' }),
+        touchpoint('call-back', 'Task', 3, { content: 'Call them', assignee: 'sam' })
+      ]
+    });
+    workflow.steps[0].data.subject = 'Hello there';
+    workflow.steps[1].data = { amount: 3, unit: 'day' };
+    workflow.steps[3].data.assignee = 'alex';
+
+    const { touchpoints: imported, edges } = mapper.ghlWorkflowToJourneyGraph(workflow, [
+      row('welcome', 'email', 0, { subject: 'Hi', body: 'Welcome!' }),
+      row('pause', 'wait', 1, {}, { delay: 2, delayUnit: 'days' }),
+      row('nudge', 'sms', 2, { body: 'Still there?' }),
+      row('call-back', 'task', 3, { body: 'Call them' }, { assignee: 'sam' })
+    ]);
+
+    expect(imported.map(tp => [tp.id, tp.type, tp.orderIndex])).toEqual([
+      ['welcome', 'email', 0],
+      ['pause', 'wait', 1],
+      ['nudge', 'sms', 2],
+      ['call-back', 'task', 3]
+    ]);
+    expect(imported[0].content).toEqual({ type: 'email', subject: 'Hello there', body: 'Welcome!' });
+    expect(imported[0]).toMatchObject({ position: { x: 0, y: 0 }, status: 'approved', nextTouchpointId: 'pause' });
+    expect(imported[1].config).toEqual({ delay: 3, delayUnit: 'days' });
+    expect(imported[2].content.body).toBe('Still there?');
+    expect(imported[3].config).toMatchObject({ assignee: 'alex', dueIn: 24, priority: 'normal' });
+    expect(edges.map(linkOf)).toEqual([
+      ['welcome', 'default', 'pause'],
+      ['pause', 'default', 'nudge'],
+      ['nudge', 'default', 'call-back']
+    ]);
+  });
+
+  it('turns if/else blocks back into condition branches that rejoin', () => {
+    const journeyEdges = [
+      edge('welcome', 'opened'),
+      edge('opened', 'call', 'yes', { label: 'Opened' }),
+      edge('opened', 'nudge', 'no'),
+      edge('call', 'followup'),
+      edge('nudge', 'followup')
+    ];
+    const workflow = mapper.journeyToGHLWorkflow({ id: 'j1', name: 'Journey', touchpoints, edges: journeyEdges });
+
+    const { touchpoints: imported, edges } = mapper.ghlWorkflowToJourneyGraph(workflow, [
+      row('welcome', 'email', 0),
+      row('opened', 'condition', 1, {}, { condition: 'email.opened' }),
+      row('call', 'call', 2),
+      row('nudge', 'sms', 3),
+      row('followup', 'email', 4)
+    ]);
+
+    expect(imported.map(tp => tp.id)).toEqual(['welcome', 'opened', 'call', 'nudge', 'followup']);
+    expect(imported[1].config.condition).toBe('email.opened');
+    expect(imported[1].nextTouchpointId).toBeNull();
+    expect(edges.map(linkOf)).toEqual(journeyEdges.map(linkOf));
+    expect(edges.find(e => e.branch === 'yes')).toMatchObject({ label: 'Opened', condition: null, orderIndex: 0 });
+  });
+
+  it('gives steps added in GHL new touchpoints and ends an else that ends', () => {
+    const workflow = {
+      id: 'wf-1',
+      steps: [
+        { id: 'step_welcome', type: 'email', name: 'welcome', data: { subject: 'Hi', body: 'Hello' } },
+        {
+          id: 'ghl-if',
+          type: 'conditional',
+          name: 'Replied?',
+          data: {
+            condition: 'contact.replied',
+            branches: [{ branch: 'hot', name: 'Hot lead', condition: 'score > 80', steps: [
+              { id: 'ghl-wait', type: 'delay', name: 'Wait', data: { amount: 30, unit: 'min' } },
+              { id: 'ghl-hook', type: 'webhook', name: 'Notify CRM', data: { url: 'https://example.test' } }
+            ] }],
+            elseBranch: { branch: 'no', name: 'no', steps: [], action: 'end' }
+          }
+        }
+      ]
+    };
+
+    const { touchpoints: imported, edges } = mapper.ghlWorkflowToJourneyGraph(workflow, [row('welcome', 'email', 0)]);
+
+    expect(imported[0].id).toBe('welcome');
+    expect(imported.slice(1).map(tp => [tp.type, tp.name, tp.status])).toEqual([
+      ['condition', 'Replied?', 'draft'],
+      ['wait', 'Wait', 'draft'],
+      ['note', 'Notify CRM', 'draft']
+    ]);
+    expect(new Set(imported.map(tp => tp.id)).size).toBe(4);
+    expect(imported[2].config).toEqual({ delay: 30, delayUnit: 'minutes' });
+    expect(imported[3].config.ghlStep).toEqual({ type: 'webhook', data: { url: 'https://example.test' } });
+
+    const [, condition, wait, note] = imported;
+    expect(edges.map(linkOf)).toEqual([
+      ['welcome', 'default', condition.id],
+      [condition.id, 'hot', wait.id],
+      [wait.id, 'default', note.id]
+    ]);
+    expect(edges[1]).toMatchObject({ label: 'Hot lead', condition: 'score > 80' });
+  });
+});
@@ -421,7 +421,7 @@ export class SetupValidator {
 
     try {
       const response = await axios.get(
-        `https://services.leadconnectorhq.com/locations/${locId}`,
+        `${process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com'}/locations/${locId}`,
         {
           headers: {
             'Authorization': `Bearer ${key}`,
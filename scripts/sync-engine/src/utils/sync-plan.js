@@ -0,0 +1,236 @@
+/**
+ * Sync Plan
+ * Content hashes for journeys and touchpoints, and the create/update/delete/
+ * no-op plan built from them, so a sync only pushes the journeys and steps
+ * that changed since their last successful push (like the email factory's
+ * PublishState).
+ */
+
+import crypto from 'crypto';
+import mapper from './mapper.js';
+
+export class PlanAction {
+  static CREATE = 'create';
+  static UPDATE = 'update';
+  static DELETE = 'delete';
+  static NOOP = 'noop';
+}
+
+// Sort object keys so equal content hashes the same however it was built
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * MD5 of the value's canonical JSON
+ * @param {*} value
+ * @returns {string}
+ */
+export function hashContent(value) {
+  return crypto.createHash('md5').update(JSON.stringify(canonical(value)) ?? '').digest('hex');
+}
+
+/**
+ * Hash what a touchpoint contributes to its GHL workflow: its own fields and
+ * the edges leaving it, so rewiring a step counts as changing it
+ * @param {Object} touchpoint - Sync-format touchpoint (see transformTouchpoint)
+ * @param {Object[]} [edges] - The journey's edges
+ * @returns {string}
+ */
+export function hashTouchpoint(touchpoint, edges = []) {
+  return hashContent({
+    name: touchpoint.name,
+    type: touchpoint.type,
+    order: touchpoint.order,
+    config: touchpoint.config,
+    edges: edges
+      .filter(edge => edge.sourceId === touchpoint.id)
+      .map(({ targetId, branch, label, condition, orderIndex }) => ({ targetId, branch, label, condition, orderIndex }))
+  });
+}
+
+/**
+ * Hash a GHL workflow's content, leaving out what GHL adds (id, timestamps)
+ * @param {Object} workflow - Mapped workflow or one fetched from GHL
+ * @returns {string}
+ */
+export function hashWorkflow({ name, description, status, steps, settings }) {
+  return hashContent({ name, description, status, steps, settings });
+}
+
+/**
+ * Hash the workflow's own fields, without its steps
+ * @param {Object} workflow
+ * @returns {string}
+ */
+export function hashWorkflowSettings({ name, description, status, settings }) {
+  return hashContent({ name, description, status, settings });
+}
+
+/**
+ * Hash the workflow the journey maps to, which is exactly what a sync sends
+ * @param {Object} journey - Sync-format journey (see transformJourney)
+ * @returns {string}
+ */
+export function hashJourney(journey) {
+  return hashWorkflow(mapper.journeyToGHLWorkflow(journey));
+}
+
+/**
+ * Plan removing the GHL workflow of a journey that is no longer published
+ * @param {Object} journey - Sync-format journey with a ghlWorkflowId
+ * @returns {Object} Plan entry, as planJourney()
+ */
+function planRemoval(journey) {
+  const storedTouchpoints = journey.syncState?.touchpoints || {};
+
+  return {
+    journeyId: journey.id,
+    name: journey.name,
+    clientId: journey.clientId,
+    ghlWorkflowId: journey.ghlWorkflowId,
+    action: PlanAction.DELETE,
+    reason: 'No longer published in Bloom',
+    incremental: false,
+    hash: null,
+    settingsHash: null,
+    touchpointHashes: {},
+    touchpoints: Object.entries(storedTouchpoints).map(([id, hash]) => ({
+      id, name: null, type: null, action: PlanAction.DELETE, hash
+    }))
+  };
+}
+
+/**
+ * Plan one journey against the hashes stored at its last push
+ * (journey.syncState: { hash, settingsHash, touchpoints: { [id]: hash } | null, syncedAt }).
+ * A journey that is no longer published but still has a GHL workflow is
+ * planned as a delete. An update is incremental (only the changed and
+ * removed steps are pushed) when every touchpoint hash from the last push
+ * is known; otherwise the whole workflow is sent.
+ * @param {Object} journey - Sync-format journey
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Update even when the hashes match, sending the whole workflow
+ * @returns {Object} { journeyId, name, clientId, ghlWorkflowId, action, reason, incremental, hash, settingsHash, touchpointHashes, touchpoints }
+ */
+export function planJourney(journey, { full = false } = {}) {
+  if (journey.status && journey.status !== 'Published' && journey.ghlWorkflowId) {
+    return planRemoval(journey);
+  }
+
+  const stored = journey.syncState || null;
+  const storedTouchpoints = stored?.touchpoints || {};
+  const touchpointHashes = {};
+
+  const touchpoints = journey.touchpoints.map((touchpoint) => {
+    const hash = hashTouchpoint(touchpoint, journey.edges);
+    touchpointHashes[touchpoint.id] = hash;
+
+    let action = PlanAction.NOOP;
+    if (!storedTouchpoints[touchpoint.id]) action = PlanAction.CREATE;
+    else if (storedTouchpoints[touchpoint.id] !== hash) action = PlanAction.UPDATE;
+
+    return { id: touchpoint.id, name: touchpoint.name, type: touchpoint.type, action, hash };
+  });
+
+  for (const id of Object.keys(storedTouchpoints)) {
+    if (!touchpointHashes[id]) {
+      touchpoints.push({ id, name: null, type: null, action: PlanAction.DELETE, hash: storedTouchpoints[id] });
+    }
+  }
+
+  const workflow = mapper.journeyToGHLWorkflow(journey);
+  const hash = hashWorkflow(workflow);
+  let action = PlanAction.UPDATE;
+  let reason;
+
+  if (!journey.ghlWorkflowId) {
+    action = PlanAction.CREATE;
+    reason = 'Not in GHL yet';
+  } else if (full) {
+    reason = 'Full sync';
+  } else if (!stored?.hash) {
+    reason = 'No hash from a previous sync';
+  } else if (stored.hash !== hash) {
+    reason = 'Content changed';
+  } else {
+    action = PlanAction.NOOP;
+    reason = 'Unchanged since last sync';
+  }
+
+  return {
+    journeyId: journey.id,
+    name: journey.name,
+    clientId: journey.clientId,
+    ghlWorkflowId: journey.ghlWorkflowId,
+    action,
+    reason,
+    incremental: action === PlanAction.UPDATE && !full && Boolean(stored?.hash && stored.touchpoints),
+    hash,
+    settingsHash: hashWorkflowSettings(workflow),
+    touchpointHashes,
+    touchpoints
+  };
+}
+
+/**
+ * Find a step by id in a mapped workflow, including steps inside condition branches
+ * @param {Object[]} steps
+ * @param {string} stepId
+ * @returns {Object|null}
+ */
+export function findWorkflowStep(steps, stepId) {
+  for (const step of steps || []) {
+    if (step.id === stepId) return step;
+    const branches = [...(step.data?.branches || []), step.data?.elseBranch].filter(Boolean);
+    for (const branch of branches) {
+      const found = findWorkflowStep(branch.steps, stepId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count planned journey and touchpoint actions
+ * @param {Object[]} entries - planJourney results
+ * @returns {Object} { journeys: { create, update, delete, noop }, touchpoints: { ... } }
+ */
+export function summarizePlan(entries) {
+  const counts = () => ({ create: 0, update: 0, delete: 0, noop: 0 });
+  const summary = { journeys: counts(), touchpoints: counts() };
+
+  for (const entry of entries) {
+    summary.journeys[entry.action]++;
+    for (const touchpoint of entry.touchpoints) {
+      summary.touchpoints[touchpoint.action]++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Parse a --since value: a duration back from now (30m, 24h, 7d) or a date
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function parseSince(value, now = new Date()) {
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const duration = /^(\d+)([mhd])$/.exec(String(value).trim());
+
+  if (duration) {
+    return new Date(now.getTime() - parseInt(duration[1]) * units[duration[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}": use a duration like 24h or 7d, or a date`);
+  }
+  return date;
+}
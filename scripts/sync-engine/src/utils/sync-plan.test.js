@@ -0,0 +1,163 @@
+/**
+ * Sync Plan Tests
+ * Tests for content hashing, journey/touchpoint plan actions and --since parsing
+ */
+
+import {
+  PlanAction,
+  hashContent,
+  hashTouchpoint,
+  hashWorkflow,
+  hashJourney,
+  planJourney,
+  summarizePlan,
+  parseSince,
+  findWorkflowStep
+} from './sync-plan.js';
+import mapper from './mapper.js';
+
+const touchpoint = (id, order, body = 'Hello there') => ({
+  id,
+  journeyId: 'j1',
+  name: `Touchpoint ${id}`,
+  type: 'Email',
+  order,
+  config: { delay: 0, delayUnit: 'hours', content: { subject: `Subject ${id}`, body }, templateId: '' },
+  nextTouchpointId: null
+});
+
+const journey = (touchpoints, overrides = {}) => ({
+  id: 'j1',
+  name: 'Welcome Series',
+  description: '',
+  clientId: 'c1',
+  version: 1,
+  ghlWorkflowId: 'wf-1',
+  touchpoints,
+  edges: [],
+  ...overrides
+});
+
+// The stored state a successful push of this journey leaves behind
+const syncedState = (synced) => {
+  const entry = planJourney(synced);
+  return {
+    hash: entry.hash,
+    settingsHash: entry.settingsHash,
+    touchpoints: entry.touchpointHashes,
+    syncedAt: '2026-10-01T00:00:00.000Z'
+  };
+};
+
+describe('hashContent', () => {
+  it('ignores key order', () => {
+    expect(hashContent({ a: 1, b: { c: 2, d: 3 } })).toBe(hashContent({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashContent({ a: 1 })).not.toBe(hashContent({ a: 2 }));
+  });
+
+  it('changes a touchpoint hash when its outgoing edges change', () => {
+    const tp = touchpoint('a', 0);
+    const toB = [{ sourceId: 'a', targetId: 'b', branch: 'default', orderIndex: 0 }];
+    const toC = [{ sourceId: 'a', targetId: 'c', branch: 'default', orderIndex: 0 }];
+
+    expect(hashTouchpoint(tp, toB)).not.toBe(hashTouchpoint(tp, toC));
+    expect(hashTouchpoint(tp, [])).toBe(hashTouchpoint(tp, [{ sourceId: 'x', targetId: 'a', branch: 'default' }]));
+  });
+});
+
+describe('planJourney', () => {
+  it('creates journeys that are not in GHL yet', () => {
+    const entry = planJourney(journey([touchpoint('a', 0)], { ghlWorkflowId: null }));
+
+    expect(entry.action).toBe(PlanAction.CREATE);
+    expect(entry.touchpoints.map(tp => tp.action)).toEqual([PlanAction.CREATE]);
+  });
+
+  it('skips journeys whose hash matches the last sync', () => {
+    const synced = journey([touchpoint('a', 0), touchpoint('b', 1)]);
+    const entry = planJourney({ ...synced, syncState: syncedState(synced) });
+
+    expect(entry.action).toBe(PlanAction.NOOP);
+    expect(entry.touchpoints.every(tp => tp.action === PlanAction.NOOP)).toBe(true);
+  });
+
+  it('updates with the touchpoint delta when content changed', () => {
+    const synced = journey([touchpoint('a', 0), touchpoint('b', 1), touchpoint('c', 2)]);
+    const edited = journey([touchpoint('a', 0, 'Hello again'), touchpoint('b', 1), touchpoint('d', 2)], {
+      syncState: syncedState(synced)
+    });
+
+    const entry = planJourney(edited);
+
+    expect(entry.action).toBe(PlanAction.UPDATE);
+    expect(entry.reason).toBe('Content changed');
+    expect(entry.touchpoints.map(tp => [tp.id, tp.action])).toEqual([
+      ['a', PlanAction.UPDATE],
+      ['b', PlanAction.NOOP],
+      ['d', PlanAction.CREATE],
+      ['c', PlanAction.DELETE]
+    ]);
+    expect(summarizePlan([entry])).toEqual({
+      journeys: { create: 0, update: 1, delete: 0, noop: 0 },
+      touchpoints: { create: 1, update: 1, delete: 1, noop: 1 }
+    });
+  });
+
+  it('updates unchanged journeys on a full sync or without a stored hash', () => {
+    const synced = journey([touchpoint('a', 0)]);
+
+    expect(planJourney({ ...synced, syncState: syncedState(synced) }, { full: true }).action).toBe(PlanAction.UPDATE);
+    expect(planJourney(synced).reason).toBe('No hash from a previous sync');
+  });
+
+  it('only plans step-by-step updates when the last push left step hashes', () => {
+    const synced = journey([touchpoint('a', 0)]);
+    const edited = journey([touchpoint('a', 0, 'Hello again')]);
+
+    expect(planJourney({ ...edited, syncState: syncedState(synced) }).incremental).toBe(true);
+    expect(planJourney({ ...edited, syncState: syncedState(synced) }, { full: true }).incremental).toBe(false);
+    expect(planJourney({ ...edited, syncState: { ...syncedState(synced), touchpoints: null } }).incremental).toBe(false);
+    expect(planJourney(edited).incremental).toBe(false);
+  });
+
+  it('deletes the workflow of a journey that is no longer published', () => {
+    const synced = journey([touchpoint('a', 0)]);
+    const entry = planJourney({ ...synced, status: 'Archived', syncState: syncedState(synced) });
+
+    expect(entry.action).toBe(PlanAction.DELETE);
+    expect(entry.touchpoints.map(tp => [tp.id, tp.action])).toEqual([['a', PlanAction.DELETE]]);
+    expect(summarizePlan([entry]).journeys.delete).toBe(1);
+    expect(planJourney({ ...synced, status: 'Draft', ghlWorkflowId: null }).action).toBe(PlanAction.CREATE);
+  });
+});
+
+describe('workflow hashes and steps', () => {
+  it('hashes a workflow from GHL like the journey it was pushed from', () => {
+    const synced = journey([touchpoint('a', 0)]);
+    const fromGhl = { id: 'wf-1', createdAt: '2026-10-01', ...mapper.journeyToGHLWorkflow(synced) };
+
+    expect(hashWorkflow(fromGhl)).toBe(hashJourney(synced));
+  });
+
+  it('finds steps inside condition branches', () => {
+    const steps = [{ id: 'step_a', data: { branches: [{ steps: [{ id: 'step_b', data: {} }] }], elseBranch: { steps: [] } } }];
+
+    expect(findWorkflowStep(steps, 'step_b')).toEqual({ id: 'step_b', data: {} });
+    expect(findWorkflowStep(steps, 'step_z')).toBeNull();
+  });
+});
+
+describe('parseSince', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  it('reads durations back from now and dates as given', () => {
+    expect(parseSince('24h', now).toISOString()).toBe('2026-10-17T12:00:00.000Z');
+    expect(parseSince('7d', now).toISOString()).toBe('2026-10-11T12:00:00.000Z');
+    expect(parseSince('30m', now).toISOString()).toBe('2026-10-18T11:30:00.000Z');
+    expect(parseSince('2026-10-01T00:00:00Z').toISOString()).toBe('2026-10-01T00:00:00.000Z');
+  });
+
+  it('rejects values it cannot read', () => {
+    expect(() => parseSince('yesterday')).toThrow('Invalid --since value');
+  });
+});